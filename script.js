@@ -117,12 +117,400 @@ const ImageDB = {
             request.onsuccess = () => resolve(request.result ? request.result.data : null);
             request.onerror = () => resolve(null);
         });
+    },
+
+    // 逐条遍历所有记录（完整备份用，用游标读取，不会一次性把所有图片读进内存）
+    async forEach(callback) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            let count = 0;
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(count);
+                callback(cursor.value);
+                count++;
+                cursor.continue();
+            };
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    // 批量写入记录（恢复备份用，id 相同的会被覆盖）
+    async putRecords(records) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            records.forEach(record => store.put(record));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    // 批量删除记录（图片或文本）
+    async delete(ids) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            ids.forEach(id => store.delete(id));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
     }
 };
 
 // 立即初始化数据库
 ImageDB.init();
 
+// ========== 聊天记录存储 (IndexedDB) ==========
+/**
+ * 聊天记录存储
+ * 每条消息是 IndexedDB 中的一条记录，主键为 [聊天类型, 联系人ID, 消息序号]
+ * 聊天类型沿用原来的 localStorage 键名：phoneChatHistory / phoneSweetheartChatHistory
+ * 启动时只读取每个联系人的消息数和最后一条消息（用于列表预览），
+ * 完整记录在打开聊天或后台任务用到时按联系人加载（load / loadContact），之后同步读写
+ */
+const ChatHistoryStore = {
+    dbName: 'YettaChatStore',
+    storeName: 'messages',
+    chatTypes: ['phoneChatHistory', 'phoneSweetheartChatHistory'],
+    db: null,
+    cache: {},      // {type: {contactId: [消息]}}，只包含已加载的联系人
+    summaries: {},  // {type: {contactId: {count, last}}}，数据库中每个联系人的消息数和最后一条
+
+    /**
+     * 是否是聊天记录的类型：两种聊天，以及以「聊天类型#」开头的对话分支消息
+     */
+    isChatType(key) {
+        return this.chatTypes.some(type => key === type || key.startsWith(`${type}#`));
+    },
+
+    async init() {
+        this.chatTypes.forEach(type => {
+            this.cache[type] = {};
+            this.summaries[type] = {};
+        });
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = (e) => {
+                    const db = e.target.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, {keyPath: ['chatType', 'contactId', 'index']});
+                    }
+                };
+                request.onsuccess = (e) => resolve(e.target.result);
+                request.onerror = (e) => reject(e.target.error);
+            });
+            await this.migrateFromLocalStorage();
+            await this.loadSummaries();
+        } catch (e) {
+            // IndexedDB 不可用（如部分浏览器的隐私模式）时继续使用 localStorage，此时全部记录都在内存中
+            console.error('聊天记录数据库不可用，改用 localStorage:', e);
+            this.db = null;
+            // 除了两种聊天，还有以「聊天类型#」开头的键（对话分支的消息）
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (this.isChatType(key)) {
+                    this.cache[key] = JSON.parse(localStorage.getItem(key) || '{}');
+                }
+            }
+        }
+    },
+
+    // 一次性迁移：localStorage 中还有旧格式的聊天记录时，整体写入数据库后删除
+    // 导入备份时也会写回这些键（包括对话分支），重新加载后同样经过这里；
+    // 写回两种聊天时是整体恢复，数据库里原有的分支消息一并删除
+    async migrateFromLocalStorage() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            if (this.isChatType(localStorage.key(i))) keys.push(localStorage.key(i));
+        }
+        // 先写两种聊天，再写分支，避免刚写入的分支被删掉
+        keys.sort((a, b) => Number(a.includes('#')) - Number(b.includes('#')));
+        for (const type of keys) {
+            const histories = JSON.parse(localStorage.getItem(type) || '{}');
+            await this.transaction(store => {
+                store.delete(IDBKeyRange.bound([type], [type, []]));
+                if (this.chatTypes.includes(type)) store.delete(IDBKeyRange.bound([`${type}#`], [`${type}#\uffff`]));
+                Object.entries(histories).forEach(([contactId, messages]) => {
+                    (messages || []).forEach((message, index) => store.put({chatType: type, contactId, index, message}));
+                });
+            });
+            localStorage.removeItem(type);
+            console.log(`✅ 已将 ${type} 迁移到 IndexedDB (${Object.keys(histories).length} 个联系人)`);
+        }
+    },
+
+    // 只读主键统计每个联系人的消息数，再取回各自的最后一条
+    async loadSummaries() {
+        const keys = await this.read(store => store.getAllKeys());
+        const lastKeys = [];
+        // 主键已排序，同一联系人的最后一个主键就是序号最大的消息
+        keys.forEach((key, i) => {
+            const next = keys[i + 1];
+            if (next && next[0] === key[0] && next[1] === key[1]) return;
+            lastKeys.push(key);
+        });
+        const lastRecords = await this.read(store => lastKeys.map(key => store.get(key)));
+        lastKeys.forEach(([type, contactId, index], i) => {
+            const summaries = this.summaries[type] || (this.summaries[type] = {});
+            summaries[contactId] = {count: index + 1, last: lastRecords[i]?.message || null};
+        });
+    },
+
+    /**
+     * 只读事务；work 返回一个请求或请求数组，事务完成后 resolve 对应的结果
+     */
+    read(work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.storeName], 'readonly');
+            const requests = work(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(r => r.result) : requests.result);
+            tx.onerror = (e) => reject(e.target.error);
+            tx.onabort = (e) => reject(e.target.error);
+        });
+    },
+
+    transaction(work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.storeName], 'readwrite');
+            work(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e.target.error);
+            tx.onabort = (e) => reject(e.target.error);
+        });
+    },
+
+    contactRange(type, contactId, from = 0) {
+        return IDBKeyRange.bound([type, String(contactId), from], [type, String(contactId), Infinity]);
+    },
+
+    /**
+     * 某个联系人的记录是否已在内存中（数据库里没有记录的联系人视为已加载）
+     */
+    isLoaded(type, contactId) {
+        return Boolean(this.cache[type]?.[contactId]) || !this.summaries[type]?.[contactId];
+    },
+
+    isContactLoaded(contactId) {
+        return this.chatTypes.every(type => this.isLoaded(type, String(contactId)));
+    },
+
+    /**
+     * 按主键范围加载一个联系人的全部消息
+     * @param {string} type
+     * @param {string|number} contactId
+     */
+    async load(type, contactId) {
+        const id = String(contactId);
+        if (this.isLoaded(type, id)) return;
+        const records = await this.read(store => store.getAll(this.contactRange(type, id)));
+        // 等待期间可能已经有写入，以内存中的为准
+        const histories = this.cache[type] || (this.cache[type] = {});
+        if (!histories[id]) histories[id] = records.map(record => record.message);
+    },
+
+    /**
+     * 加载一个联系人的普通聊天和密友聊天（两者的记忆是互通的，一起加载）
+     */
+    loadContact(contactId) {
+        return Promise.all(this.chatTypes.map(type => this.load(type, contactId)));
+    },
+
+    // 未加载的联系人不能整体覆盖，否则数据库里的旧消息会被当作不存在
+    assertLoaded(type, contactId) {
+        if (!this.isLoaded(type, contactId)) {
+            throw new Error(`聊天记录尚未加载：${type}/${contactId}`);
+        }
+    },
+
+    // 写入后同步更新摘要，列表预览不需要加载完整记录
+    updateSummary(type, contactId) {
+        const messages = this.cache[type]?.[contactId] || [];
+        const summaries = this.summaries[type] || (this.summaries[type] = {});
+        if (messages.length === 0) {
+            delete summaries[contactId];
+        } else {
+            summaries[contactId] = {count: messages.length, last: messages[messages.length - 1]};
+        }
+    },
+
+    // 写入一个联系人的消息：只保存与旧数据不同的消息，并删除多出来的尾部
+    // 返回写入的 Promise，失败时 reject，由调用方提示
+    persistContact(type, contactId, oldMessages, newMessages) {
+        if (!this.db) {
+            try {
+                localStorage.setItem(type, JSON.stringify(this.cache[type] || {}));
+                return Promise.resolve();
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        }
+        const changed = [];
+        newMessages.forEach((message, index) => {
+            if (message !== oldMessages[index] && JSON.stringify(message) !== JSON.stringify(oldMessages[index])) {
+                changed.push(index);
+            }
+        });
+        const removeFrom = newMessages.length < oldMessages.length ? newMessages.length : -1;
+        if (changed.length === 0 && removeFrom === -1) return Promise.resolve();
+
+        return this.transaction(store => {
+            changed.forEach(index => store.put({chatType: type, contactId, index, message: newMessages[index]}));
+            if (removeFrom !== -1) store.delete(this.contactRange(type, contactId, removeFrom));
+        });
+    },
+
+    /**
+     * 读取单个联系人的记录（副本，修改后用 set 保存）
+     */
+    get(type, contactId) {
+        return structuredClone(this.cache[type]?.[contactId] || []);
+    },
+
+    /**
+     * 单个联系人记录的只读视图（不复制，调用方不能修改）
+     * 用于渲染、朗读、复制等只读的高频路径
+     */
+    view(type, contactId) {
+        return this.cache[type]?.[contactId] || [];
+    },
+
+    /**
+     * 消息数（未加载的联系人取启动时的摘要）
+     */
+    count(type, contactId) {
+        if (this.cache[type]?.[contactId]) return this.cache[type][contactId].length;
+        return this.summaries[type]?.[contactId]?.count || 0;
+    },
+
+    /**
+     * 最后一条消息（只读，列表预览用）
+     */
+    last(type, contactId) {
+        const messages = this.cache[type]?.[contactId];
+        if (messages) return messages[messages.length - 1] || null;
+        return this.summaries[type]?.[contactId]?.last || null;
+    },
+
+    /**
+     * 整体保存单个联系人的记录，只有变化的消息会写入数据库
+     * @returns {Promise} 写入完成后 resolve，失败时 reject
+     */
+    set(type, contactId, messages) {
+        const id = String(contactId);
+        this.assertLoaded(type, id);
+        const histories = this.cache[type] || (this.cache[type] = {});
+        const oldMessages = histories[id] || [];
+        const newMessages = structuredClone(messages || []);
+        histories[id] = newMessages;
+        this.updateSummary(type, id);
+        return this.persistContact(type, id, oldMessages, newMessages);
+    },
+
+    /**
+     * 追加一条消息（只写入这一条，未加载的联系人也可以直接追加）
+     * @returns {{index: number, written: Promise}} 新消息的序号和写入的 Promise
+     */
+    append(type, contactId, message) {
+        const id = String(contactId);
+        const stored = structuredClone(message);
+        const index = this.count(type, id);
+        const histories = this.cache[type] || (this.cache[type] = {});
+        if (histories[id]) {
+            histories[id] = [...histories[id], stored];
+            this.updateSummary(type, id);
+        } else {
+            this.summaries[type][id] = {count: index + 1, last: stored};
+            if (index === 0) histories[id] = [stored];
+        }
+        let written;
+        if (this.db) {
+            written = this.transaction(store => store.put({chatType: type, contactId: id, index, message: stored}));
+        } else {
+            written = this.persistContact(type, id, [], []);
+        }
+        return {index, written};
+    },
+
+    /**
+     * 删除一个联系人的全部记录（不需要先加载）
+     */
+    remove(type, contactId) {
+        const id = String(contactId);
+        delete this.cache[type]?.[id];
+        delete this.summaries[type]?.[id];
+        if (!this.db) return this.persistContact(type, id, [], []);
+        return this.transaction(store => store.delete(this.contactRange(type, id)));
+    },
+
+    /**
+     * 按主键顺序逐条读取数据库中的全部记录（导出备份用，不进入内存缓存）
+     * @param {Function} callback - (record) => void
+     */
+    async forEachRecord(callback) {
+        if (!this.db) {
+            Object.keys(this.cache).filter(key => this.isChatType(key)).forEach(chatType => {
+                Object.entries(this.cache[chatType] || {}).forEach(([contactId, messages]) => {
+                    messages.forEach((message, index) => callback({chatType, contactId, index, message}));
+                });
+            });
+            return;
+        }
+        await new Promise((resolve, reject) => {
+            const request = this.db.transaction([this.storeName], 'readonly').objectStore(this.storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                callback(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * 按 [聊天类型, 联系人ID, 序号] 批量写入消息（恢复备份用）
+     * 恢复后需要重新加载页面，内存中只更新摘要
+     * @param {Array} records - [{chatType, contactId, index, message}]
+     */
+    async putRecords(records) {
+        records.forEach(({chatType, contactId, index, message}) => {
+            const summaries = this.summaries[chatType] || (this.summaries[chatType] = {});
+            const summary = summaries[contactId];
+            if (!summary || index + 1 >= summary.count) summaries[contactId] = {count: index + 1, last: message};
+            if (!this.db) {
+                const histories = this.cache[chatType] || (this.cache[chatType] = {});
+                (histories[contactId] || (histories[contactId] = []))[index] = message;
+            }
+        });
+        if (this.db) {
+            await this.transaction(store => records.forEach(record => store.put(record)));
+        } else {
+            new Set(records.map(record => record.chatType)).forEach(type => {
+                localStorage.setItem(type, JSON.stringify(this.cache[type]));
+            });
+        }
+    },
+
+    /**
+     * 清空全部聊天记录
+     */
+    async clear() {
+        this.cache = {};
+        this.summaries = {};
+        this.chatTypes.forEach(type => {
+            this.cache[type] = {};
+            this.summaries[type] = {};
+        });
+        if (this.db) await this.transaction(store => store.clear());
+    }
+};
+
 // --- 辅助函数：给图片元素加载真实数据 ---
 async function loadRealImage(imgElement) {
     const src = imgElement.getAttribute('src');
@@ -175,7 +563,7 @@ function parseAiJsonResponse(rawMessage) {
             // 注意：有时候 AI 会把 reply 放在最后，所以优先信赖解析出的 reply
             return {
                 chatReplyText: parsed.reply || "",
-                statusData: parsed.status || null
+                statusData: sanitizeStatusRelationship(parsed.status || null)
             };
         } catch (e) {
             // 解析失败（比如内容里有未转义的换行符），进入方案B
@@ -410,6 +798,8 @@ function saveAllCharacterData() {
         catchphrase: catchphrase,
         relationship: relationship,
         history: history,
+        // 开场白只能在联系人库编辑，这里原样保留
+        firstMessage: findContactForCard(contactId)?.firstMessage || '',
         // 绑定
         boundWorldbooks: boundWorldbooks,
         boundMasks: boundMasks
@@ -594,6 +984,8 @@ function saveSweetheartCardData() {
         history,
         relationship,
         voiceId, // <<< 新增：保存 Voice ID
+        // 开场白只能在联系人库编辑，这里原样保留
+        firstMessage: findContactForCard(contactId)?.firstMessage || '',
         boundWorldbooks,
         boundMasks
     };
@@ -1337,6 +1729,180 @@ function escapeHTML(str) {
     return div.innerHTML;
 }
 
+// ========== 互动卡片沙箱 - 开始 ==========
+
+// 卡片 iframe 上报高度的上限，防止高度循环放大
+const RENDER_FRAME_MAX_HEIGHT = 600;
+// 每个联系人可选的卡片渲染方式，默认允许脚本
+const RENDER_MODES = {
+    scripts: {label: '允许脚本', desc: '卡片里的动画和交互可以运行，但无法访问本应用的数据'},
+    noScripts: {label: '禁用脚本', desc: '只显示 HTML 和 CSS，卡片里的脚本不会运行'},
+    static: {label: '仅静态', desc: '不运行任何脚本，卡片以固定高度显示'}
+};
+
+/**
+ * 联系人的卡片渲染方式
+ * @param {string} contactId
+ * @returns {'scripts'|'noScripts'|'static'}
+ */
+function getContactRenderMode(contactId) {
+    const mode = findContactForCard(contactId)?.renderMode;
+    return RENDER_MODES[mode] ? mode : 'scripts';
+}
+
+/**
+ * 卡片 srcdoc 的内容安全策略：不允许任何网络请求、表单提交和嵌套页面，图片和媒体除外
+ * @param {'scripts'|'noScripts'|'static'} mode
+ * @param {string} nonce - 只有带这个 nonce 的脚本（即高度上报脚本）能在「禁用脚本」模式下运行
+ * @returns {string}
+ */
+function buildRenderFrameCsp(mode, nonce) {
+    const scriptSrc = mode === 'scripts' ? "'unsafe-inline'" : mode === 'noScripts' ? `'nonce-${nonce}'` : "'none'";
+    return [
+        "default-src 'none'",
+        `script-src ${scriptSrc}`,
+        "style-src 'unsafe-inline'",
+        'img-src data: blob: https:',
+        'media-src data: blob: https:',
+        'font-src data:',
+        "connect-src 'none'",
+        "form-action 'none'",
+        "frame-src 'none'",
+        "base-uri 'none'"
+    ].join('; ');
+}
+
+/**
+ * 为 AI 生成的 <render> HTML 创建沙箱 iframe
+ * 不带 allow-same-origin，iframe 是不透明来源，脚本拿不到父页面和本地存储；与父页面只通过 iframe-resize 消息通信
+ * @param {string} html - <render> 标签里的内容
+ * @param {'scripts'|'noScripts'|'static'} mode
+ * @returns {HTMLIFrameElement}
+ */
+function createRenderFrame(html, mode) {
+    const iframe = document.createElement('iframe');
+    iframe.className = 'render-iframe';
+    iframe.setAttribute('referrerpolicy', 'no-referrer');
+
+    const nonce = Array.from(crypto.getRandomValues(new Uint8Array(12)), b => b.toString(16).padStart(2, '0')).join('');
+    // 仅静态模式完全不运行脚本，高度固定，内容在 iframe 内滚动
+    if (mode === 'static') {
+        iframe.sandbox = '';
+        iframe.classList.add('render-static');
+    } else {
+        iframe.sandbox = mode === 'scripts' ? 'allow-scripts allow-forms allow-pointer-lock' : 'allow-scripts';
+    }
+
+    // 自动上报内容高度，父页面据此调整 iframe 高度
+    const autoResizeScript = mode === 'static' ? '' : `
+        <script nonce="${nonce}">
+            function reportHeight() {
+                window.parent.postMessage({type: 'iframe-resize', height: document.body.scrollHeight}, '*');
+            }
+            new ResizeObserver(reportHeight).observe(document.body);
+            // 图片加载完成、点击展开内容后再汇报一次
+            window.addEventListener('load', reportHeight);
+            window.addEventListener('click', () => setTimeout(reportHeight, 100));
+        </script>
+    `;
+
+    iframe.srcdoc = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="UTF-8">
+        <meta http-equiv="Content-Security-Policy" content="${buildRenderFrameCsp(mode, nonce)}">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+            html, body {
+                margin: 0 !important;
+                padding: 0 !important;
+                width: 100%;
+                min-height: 100%;
+                height: auto;
+                overflow-x: hidden;
+                overflow-y: ${mode === 'static' ? 'auto' : 'visible'};
+                box-sizing: border-box;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            }
+            body {
+                padding: 10px !important;
+            }
+            * { box-sizing: border-box; }
+            img { max-width: 100%; height: auto; display: block; }
+            ::-webkit-scrollbar { display: none; }
+        </style>
+    </head>
+    <body>
+        ${html}
+        ${autoResizeScript}
+    </body>
+    </html>
+`;
+    return iframe;
+}
+
+/**
+ * 处理卡片 iframe 发来的消息：只接受来自页面上某个卡片 iframe 的、格式正确的 iframe-resize
+ * @param {MessageEvent} event
+ */
+function handleRenderFrameMessage(event) {
+    // 沙箱 iframe 是不透明来源，origin 固定为 "null"
+    if (event.origin !== 'null' || !event.source) return;
+    const data = event.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return;
+    if (data.type !== 'iframe-resize' || Object.keys(data).length !== 2) return;
+    if (typeof data.height !== 'number' || !Number.isFinite(data.height) || data.height < 0) return;
+
+    const iframe = [...document.querySelectorAll('.render-iframe')].find(frame => frame.contentWindow === event.source);
+    // 仅静态、全屏和桌面组件里的卡片大小固定
+    if (!iframe || iframe.matches('.render-static, .render-fixed-size')) return;
+
+    // 加上一点缓冲像素，防止出现滚动条
+    const finalHeight = (Math.min(Math.ceil(data.height), RENDER_FRAME_MAX_HEIGHT) + 10) + 'px';
+    iframe.style.height = finalHeight;
+    if (iframe.parentElement) {
+        iframe.parentElement.style.height = finalHeight;
+    }
+}
+
+/**
+ * 渲染聊天设置页里的「互动卡片」选项
+ * @param {string} selectId
+ * @param {object} contact
+ */
+function renderRenderModeSetting(selectId, contact) {
+    const select = document.getElementById(selectId);
+    if (!select || !contact) return;
+    select.value = getContactRenderMode(contact.id);
+    const desc = document.getElementById(selectId + 'Desc');
+    if (desc) desc.textContent = RENDER_MODES[select.value].desc;
+}
+
+/**
+ * 保存联系人的卡片渲染方式（同一联系人在通讯录和密友列表里的记录一起更新），并重新渲染当前聊天
+ * @param {'normal'|'sweetheart'} chatType
+ * @param {string} mode
+ */
+function saveContactRenderMode(chatType, mode) {
+    const view = CHAT_VIEWS[chatType];
+    const contact = view.getContact();
+    if (!contact || !RENDER_MODES[mode]) return;
+
+    [contact, ...contactsData, ...sweetheartContactsData]
+        .filter(c => c.id === contact.id)
+        .forEach(c => {
+            c.renderMode = mode;
+        });
+    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+    saveSweetheartContacts();
+
+    renderRenderModeSetting(chatType === 'normal' ? 'chatRenderModeSelect' : 'sweetheartRenderModeSelect', contact);
+    view.reopen();
+}
+
+// ========== 互动卡片沙箱 - 结束 ==========
+
 
 let messageLongPressTimer = null; // 用于检测长按的计时器
 
@@ -1351,9 +1917,11 @@ let messageLongPressTimer = null; // 用于检测长按的计时器
  * @param {string} contactId - 联系人ID
  * @param {object} messageObj - 消息对象
  * @param {number} messageIndex - 消息在历史记录中的索引
+ * @param {object} [options] - 额外选项
+ * @param {boolean} [options.streaming] - 是否为正在流式接收的临时气泡
  * @returns {HTMLElement} 创建好的消息行DOM元素
  */
-function _createMessageDOM(contactId, messageObj, messageIndex) {
+function _createMessageDOM(contactId, messageObj, messageIndex, options = {}) {
     if (!messageObj) {
         console.warn(`⚠️ 消息渲染失败：消息对象为空 (Index: ${messageIndex})`);
         return createFallbackMessage({sender: 'system'});
@@ -1429,6 +1997,8 @@ function _createMessageDOM(contactId, messageObj, messageIndex) {
             <div class="location-notice-text">
                 <strong>📍 ${escapeHTML(messageObj.locationName || '未知地点')}</strong>
                 <p>${escapeHTML(messageObj.locationDesc || '无描述')}</p>
+                ${messageObj.fromName ? `<p class="location-notice-travel">🧭 从「${escapeHTML(messageObj.fromName)}」${escapeHTML(messageObj.travel.mode)}约 ${messageObj.travel.minutes} 分钟</p>` : ''}
+                ${messageObj.eventTitle ? `<p class="location-notice-travel">✨ ${escapeHTML(messageObj.eventTitle)}</p>` : ''}
             </div>
         `;
         // 事件绑定到 notice 元素本身
@@ -1770,11 +2340,19 @@ function _createMessageDOM(contactId, messageObj, messageIndex) {
     messageRow.classList.add(messageObj.sender === 'user' ? 'sent' : 'received');
     messageRow.dataset.timestamp = messageObj.timestamp;
     messageRow.dataset.index = messageIndex;
+    // 流式气泡：内容会由 updateStreamingBubble 持续刷新，结束后被正式消息替换
+    if (options.streaming) messageRow.classList.add('streaming');
 
     const avatarEl = document.createElement('div');
     avatarEl.className = 'message-chat-avatar';
 
     let contactData = isSweetheartChatActive ? currentSweetheartChatContact : currentChatContact;
+    // 群聊：成员的消息用这位成员自己的头像、名字和气泡颜色
+    if (messageObj.speakerId) {
+        contactData = findContactForCard(messageObj.speakerId) || contactData;
+        messageRow.classList.add('group-speaker');
+        messageRow.style.setProperty('--speaker-color', getGroupSpeakerColor(messageObj.speakerId));
+    }
 
     let avatarSrc = messageObj.sender === 'user'
         ? (userProfile?.avatar || '👤')
@@ -1803,76 +2381,8 @@ function _createMessageDOM(contactId, messageObj, messageIndex) {
     const renderMatch = text.match(/<render>([\s\S]*?)<\/render>/);
     if (renderMatch && renderMatch[1]) {
         bubble.classList.add('render-bubble');
-        const iframe = document.createElement('iframe');
-        iframe.className = 'render-iframe';
-        // 允许脚本执行
-        iframe.sandbox = 'allow-scripts allow-forms allow-pointer-lock allow-popups allow-same-origin';
-
-        // 🔥 关键修改：注入自动计算高度的 ResizeObserver 脚本
-        // 这里的 CSS 保证 body 没有 margin，防止计算误差
-        const autoResizeScript = `
-            <script>
-                function reportHeight() {
-                    // 获取内容的确切高度
-                    const height = document.body.scrollHeight;
-                    // 发送消息给父窗口
-                    window.parent.postMessage({
-                        type: 'iframe-resize',
-                        height: height
-                    }, '*');
-                }
-                // 监听内容变化
-                const observer = new ResizeObserver(reportHeight);
-                observer.observe(document.body);
-                
-                // 图片加载完成后再次汇报，防止图片未加载导致高度错误
-                window.addEventListener('load', reportHeight);
-                // 每次点击也检查一次（处理交互式展开内容）
-                window.addEventListener('click', () => setTimeout(reportHeight, 100));
-            </script>
-        `;
-        /* script.js 中 _createMessageDOM 函数内部 */
-
-        const secureSrcDoc = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <style>
-            /* 🔥 样式修正：允许 iframe 内部内容撑开 */
-            html, body {
-                margin: 0 !important;
-                padding: 0 !important;
-                width: 100%;
-                /* 允许高度自然生长 */
-                min-height: 100%; 
-                height: auto;
-                /* 防止双重滚动条，主要滚动由外部 .render-bubble 控制 */
-                overflow-x: hidden;
-                overflow-y: visible; 
-                box-sizing: border-box;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-            }
-            body {
-                padding: 10px !important;
-            }
-            * { box-sizing: border-box; }
-            img { max-width: 100%; height: auto; display: block; }
-            
-            /* 隐藏滚动条样式 (可选，让界面更干净) */
-            ::-webkit-scrollbar { display: none; }
-        </style>
-    </head>
-    <body>
-        ${renderMatch[1]}
-        ${autoResizeScript}
-    </body>
-    </html>
-`;
-
-
-        iframe.srcdoc = secureSrcDoc;
+        // 沙箱 iframe：不透明来源 + 严格 CSP，是否运行脚本由联系人的设置决定
+        const iframe = createRenderFrame(renderMatch[1], getContactRenderMode(contactId));
         bubble.appendChild(iframe);
 
         // 事件捕获层保持不变
@@ -1949,6 +2459,79 @@ function _createMessageDOM(contactId, messageObj, messageIndex) {
 }
 
 
+/**
+ * 从流式返回的原始文本中取出回复正文（去掉思考过程，兼容 JSON 格式 {"reply": "..."} 和纯文本格式）
+ * @param {string} rawText - 目前为止收到的完整原始文本
+ * @returns {string} 回复正文，保留语音/红包等标签
+ */
+function extractPartialReplyText(rawText) {
+    if (!rawText) return '';
+    // 思考过程（包括还没闭合的）不展示
+    let text = rawText.replace(/<think>[\s\S]*?(<\/think>|$)/gi, '');
+    text = text.replace(/^\s*```(json)?\s*/i, '');
+
+    if (text.trimStart().startsWith('{')) {
+        // JSON 还没写到 reply 字段时，继续显示「...」
+        const match = text.match(/"reply"\s*:\s*"((?:[^"\\]|\\[\s\S])*)/);
+        if (!match) return '';
+        const escaped = match[1].replace(/\\u?[0-9a-fA-F]{0,3}$/, '');
+        try {
+            text = JSON.parse(`"${escaped}"`);
+        } catch (e) {
+            text = escaped.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+        }
+    }
+    return text;
+}
+
+/**
+ * 去掉被中途截断的标签（未闭合的 <render>、写了一半的语音/红包标签），用于保存被停止的回复
+ */
+function trimIncompleteReplyTail(text) {
+    return text
+        .replace(/<render>(?![\s\S]*<\/render>)[\s\S]*$/, '')
+        .replace(/\/(voice|red-packet)\/(?![^\n]*\}\/?\s*$)[^\n]*$/, '')
+        .trim();
+}
+
+/**
+ * 从正在流式返回的原始文本中提取可以展示给用户的部分
+ * 标签类内容在流式阶段只显示占位文字
+ * @param {string} rawText - 目前为止收到的完整原始文本
+ * @returns {string} 可以直接渲染的文本
+ */
+function extractStreamingReplyText(rawText) {
+    let text = extractPartialReplyText(rawText);
+
+    // 语音/红包/互动卡片在结束后才会被解析成真正的气泡
+    text = text.replace(/\/voice\/\{[\s\S]*?\}\/?/g, '[语音]');
+    text = text.replace(/\/red-packet\/\{[\s\S]*?\}\/?/g, '[红包]');
+    text = text.replace(/\/(voice|red-packet)\/[^\n]*$/, '');
+    text = text.replace(/<render>[\s\S]*?(<\/render>|$)/g, '[互动卡片生成中...]');
+    // 分段符号在结束后才会拆成多条消息，流式阶段先用空行代替
+    text = text.replace(/\n?---\s*/g, '\n\n');
+    return text.trim();
+}
+
+/**
+ * 用最新的流式文本刷新临时气泡
+ * @param {HTMLElement} messageRow - 由 _createMessageDOM(..., {streaming: true}) 创建的消息行
+ * @param {string} text - 已经提取好的展示文本
+ * @param {HTMLElement} [messagesEl] - 消息列表容器，用户停留在底部时自动跟随滚动
+ * @returns {boolean} 是否真正渲染了内容
+ */
+function updateStreamingBubble(messageRow, text, messagesEl) {
+    if (!messageRow || !text) return false;
+    const bubble = messageRow.querySelector('.chat-bubble');
+    if (!bubble) return false;
+
+    const isAtBottom = messagesEl && (messagesEl.scrollHeight - messagesEl.scrollTop - messagesEl.clientHeight < 60);
+    bubble.innerHTML = `<div class="main-message-text">${formatMessageText(text)}</div>`;
+    if (isAtBottom) messagesEl.scrollTop = messagesEl.scrollHeight;
+    return true;
+}
+
+
 /* script.js (在全局作用域的任何地方添加) */
 
 // 创建一个DOMParser实例，以避免重复创建
@@ -1983,8 +2566,7 @@ async function playTtsMessage(sender, contactId, messageIndex, isSweetheart = fa
     }
 
     const historyKey = isSweetheart ? 'phoneSweetheartChatHistory' : 'phoneChatHistory';
-    const chatHistory = JSON.parse(localStorage.getItem(historyKey) || '{}');
-    const message = chatHistory[contactId]?.[messageIndex];
+    const message = ChatHistoryStore.view(historyKey, contactId)[messageIndex];
 
     if (!message || typeof message.text !== 'string' || !message.text.trim()) {
         showErrorModal('无法朗读', '此消息内容为空。');
@@ -2295,6 +2877,8 @@ function showNormalMessageActionSheet(contactId, messageIndex, messageRow) {
     // 存储当前操作的消息信息
     actionSheet.dataset.contactId = contactId;
     actionSheet.dataset.index = messageIndex;
+    // 只有互动卡片可以收藏
+    document.getElementById('saveRenderMessageBtn').style.display = messageRow?.querySelector('.render-bubble') ? '' : 'none';
 
     // 显示菜单
     actionSheet.classList.add('show');
@@ -2310,6 +2894,8 @@ function showSweetheartMessageActionSheet(contactId, messageIndex, messageRow) {
     // 存储当前操作的消息信息
     actionSheet.dataset.contactId = contactId;
     actionSheet.dataset.index = messageIndex;
+    // 只有互动卡片可以收藏
+    document.getElementById('sweetheartSaveRenderMessageBtn').style.display = messageRow?.querySelector('.render-bubble') ? '' : 'none';
 
     // 显示菜单
     actionSheet.classList.add('show');
@@ -2341,13 +2927,13 @@ function hideSweetheartMessageActionSheet() {
  * @param {string|number} contactId - 联系人ID
  * @param {number} messageIndex - 消息的索引
  */
-function deleteMessage(contactId, messageIndex) {
+async function deleteMessage(contactId, messageIndex) {
     if (confirm('确定要永久删除这条消息吗？')) {
-        const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-        if (chatHistory[contactId] && chatHistory[contactId][messageIndex] !== undefined) {
-            chatHistory[contactId].splice(messageIndex, 1);
+        const messages = ChatHistoryStore.get('phoneChatHistory', contactId);
+        if (messages[messageIndex] !== undefined) {
+            messages.splice(messageIndex, 1);
             try {
-                localStorage.setItem('phoneChatHistory', JSON.stringify(chatHistory));
+                await ChatHistoryStore.set('phoneChatHistory', contactId, messages);
             } catch (e) {
                 console.error('保存失败:', e);
                 alert('存储空间不足，请清理数据');
@@ -2363,8 +2949,7 @@ function deleteMessage(contactId, messageIndex) {
  * [新增] 复制消息文本到剪贴板
  */
 function copyMessage(contactId, messageIndex) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-    const message = chatHistory[contactId]?.[messageIndex];
+    const message = ChatHistoryStore.view('phoneChatHistory', contactId)[messageIndex];
 
     if (message && message.text) {
         // 如果消息是图片HTML，我们复制一个[图片]占位符
@@ -2387,8 +2972,7 @@ function copyMessage(contactId, messageIndex) {
  * [全新版本] 引用消息：激活引用预览UI
  */
 function quoteMessage(contactId, messageIndex) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-    const message = chatHistory[contactId]?.[messageIndex];
+    const message = ChatHistoryStore.view('phoneChatHistory', contactId)[messageIndex];
 
     if (!message) return;
 
@@ -2428,52 +3012,24 @@ function cancelQuote() {
 
 
 /**
- * [新增] 重新生成AI回复
+ * [新增] 重新生成AI回复（旧回复保留为可切换的版本）
  */
 async function regenerateAiResponse(contactId, messageIndex) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-    const messages = chatHistory[contactId];
-
-    if (!messages || !messages[messageIndex]) return;
-
-    const targetMessage = messages[messageIndex];
+    await regenerateReply('normal', contactId, messageIndex);
+}
 
-    // 只能重新生成AI的回复
-    if (targetMessage.sender === 'user') {
-        showSuccessModal('操作无效', '只能对AI的回复进行重新生成哦。', 2000);
-        hideMessageActionSheet();
-        return;
-    }
-
-    // 1. 删除当前的AI回复
-    messages.splice(messageIndex, 1);
-    try {
-        localStorage.setItem('phoneChatHistory', JSON.stringify(chatHistory));
-    } catch (e) {
-        console.error('保存失败:', e);
-        alert('存储空间不足，请清理数据');
-    }
-    openChat(currentChatContact); // 重新渲染界面以移除旧消息
-
-    // 2. 隐藏操作菜单
-    hideMessageActionSheet();
-
-    // 3. 调用 getAiReply 函数，它会自动使用当前的（已删掉最后一条的）历史记录来生成新回复
-    await getAiReply();
-}
-
-// ========== 密友消息操作函数 ==========
+// ========== 密友消息操作函数 ==========
 
 /**
  * 删除密友消息
  */
-function deleteSweetheartMessage(contactId, messageIndex) {
+async function deleteSweetheartMessage(contactId, messageIndex) {
     if (confirm('确定要永久删除这条消息吗？')) {
-        const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-        if (chatHistory[contactId] && chatHistory[contactId][messageIndex] !== undefined) {
-            chatHistory[contactId].splice(messageIndex, 1);
+        const messages = ChatHistoryStore.get('phoneSweetheartChatHistory', contactId);
+        if (messages[messageIndex] !== undefined) {
+            messages.splice(messageIndex, 1);
             try {
-                localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(chatHistory));
+                await ChatHistoryStore.set('phoneSweetheartChatHistory', contactId, messages);
             } catch (e) {
                 console.error('保存失败:', e);
                 alert('存储空间不足，请清理数据');
@@ -2488,8 +3044,7 @@ function deleteSweetheartMessage(contactId, messageIndex) {
  * 复制密友消息
  */
 function copySweetheartMessage(contactId, messageIndex) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-    const message = chatHistory[contactId]?.[messageIndex];
+    const message = ChatHistoryStore.view('phoneSweetheartChatHistory', contactId)[messageIndex];
 
     if (message && message.text) {
         if (message.text.trim().startsWith('<img')) {
@@ -2509,8 +3064,7 @@ function copySweetheartMessage(contactId, messageIndex) {
  * 引用密友消息
  */
 function quoteSweetheartMessage(contactId, messageIndex) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-    const message = chatHistory[contactId]?.[messageIndex];
+    const message = ChatHistoryStore.view('phoneSweetheartChatHistory', contactId)[messageIndex];
 
     if (!message) return;
 
@@ -2535,925 +3089,1995 @@ function quoteSweetheartMessage(contactId, messageIndex) {
 }
 
 /**
- * 重新生成密友AI回复
+ * 重新生成密友AI回复（旧回复保留为可切换的版本）
  */
 async function regenerateSweetheartAiResponse(contactId, messageIndex) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-    const messages = chatHistory[contactId];
+    await regenerateReply('sweetheart', contactId, messageIndex);
+}
 
-    if (!messages || !messages[messageIndex]) return;
+// ========== 消息编辑、回复版本与对话分支 - 开始 ==========
 
-    const targetMessage = messages[messageIndex];
+// 两种聊天各自的记录键和界面操作
+const CHAT_VIEWS = {
+    normal: {
+        storageKey: 'phoneChatHistory',
+        messagesElId: 'chatMessages',
+        branchListId: 'chatBranchList',
+        getContact: () => currentChatContact,
+        reopen: () => {
+            openChat(currentChatContact);
+            renderContacts(contactsData);
+        },
+        hideActionSheet: () => hideMessageActionSheet(),
+        requestReply: () => getAiReply({regenerate: true})
+    },
+    sweetheart: {
+        storageKey: 'phoneSweetheartChatHistory',
+        messagesElId: 'sweetheartChatMessages',
+        branchListId: 'sweetheartChatBranchList',
+        getContact: () => currentSweetheartChatContact,
+        reopen: () => {
+            openSweetheartChat(currentSweetheartChatContact);
+            renderSweetheartList();
+        },
+        hideActionSheet: () => hideSweetheartMessageActionSheet(),
+        requestReply: () => getSweetheartAiReply({regenerate: true})
+    }
+};
 
-    if (targetMessage.sender === 'user') {
-        showSuccessModal('操作无效', '只能对AI的回复进行重新生成哦。', 2000);
-        hideSweetheartMessageActionSheet();
-        return;
+// 对话分支：{`${chatType}_${contactId}`: {activeId, branches: [{id, name, createdAt}]}}
+// 当前分支的消息就是聊天记录本身，其余分支的消息副本保存在 ChatHistoryStore 中（见 getBranchStorageKey）
+let chatBranches = JSON.parse(localStorage.getItem('phoneChatBranches') || '{}');
+
+/**
+ * 非当前分支的消息在 ChatHistoryStore 中的聊天类型，联系人ID不变
+ * 和普通聊天记录一样按条写入 IndexedDB，也会随完整备份一起导出
+ */
+function getBranchStorageKey(storageKey, branchId) {
+    return `${storageKey}#${branchId}`;
+}
+
+function saveChatBranches() {
+    try {
+        localStorage.setItem('phoneChatBranches', JSON.stringify(chatBranches));
+    } catch (e) {
+        console.error('保存对话分支失败:', e);
+        alert('存储空间不足，请清理数据');
     }
+}
+
+/**
+ * 删除一个对话的全部分支：分支记录和各分支的消息（清空聊天记录或删除联系人时调用）
+ * @param {string} chatType - 'normal' | 'sweetheart'
+ * @param {string} contactId
+ * @returns {Promise}
+ */
+function removeChatBranches(chatType, contactId) {
+    const key = `${chatType}_${contactId}`;
+    const record = chatBranches[key];
+    if (!record) return Promise.resolve();
+    delete chatBranches[key];
+    saveChatBranches();
+    const {storageKey} = CHAT_VIEWS[chatType];
+    return Promise.all(record.branches.map(branch => ChatHistoryStore.remove(getBranchStorageKey(storageKey, branch.id), contactId)));
+}
+
+/**
+ * 读取某个对话的分支记录；还没有分支时返回只含「主线」的新记录（不写入）
+ */
+function getChatBranchRecord(chatType, contactId) {
+    return chatBranches[`${chatType}_${contactId}`] || {
+        activeId: 'main',
+        branches: [{id: 'main', name: '主线', createdAt: Date.now()}]
+    };
+}
 
-    messages.splice(messageIndex, 1);
+/**
+ * 整体替换一个联系人的聊天记录
+ */
+async function saveContactChatHistory(storageKey, contactId, messages) {
     try {
-        localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(chatHistory));
+        await ChatHistoryStore.set(storageKey, contactId, messages);
     } catch (e) {
         console.error('保存失败:', e);
         alert('存储空间不足，请清理数据');
     }
-    openSweetheartChat(currentSweetheartChatContact);
+}
 
-    hideSweetheartMessageActionSheet();
+/**
+ * 找出 index 所在的一次 AI 回复（连续的联系人消息，一次回复可能被分成多条）
+ * @returns {{start: number, end: number}} end 不含
+ */
+function findReplyGroup(messages, index) {
+    if (messages[index]?.sender !== 'contact') return {start: index, end: index};
+    let start = index;
+    let end = index + 1;
+    while (start > 0 && messages[start - 1]?.sender === 'contact') start--;
+    while (end < messages.length && messages[end]?.sender === 'contact') end++;
+    return {start, end};
+}
 
-    await getSweetheartAiReply();
+/**
+ * 取出一次回复的全部版本，并把当前显示的版本（可能被编辑过）同步进去
+ * 版本保存在这次回复的第一条消息上：variants 为 [[消息...], ...]，variantIndex 为当前版本
+ * @param {Array} group - 当前显示的这次回复的消息
+ * @returns {Array<Array>}
+ */
+function getReplyVariants(group) {
+    const current = group.map(({variants, variantIndex, ...message}) => message);
+    const first = group[0];
+    if (!first?.variants) return [current];
+    const variants = structuredClone(first.variants);
+    variants[first.variantIndex] = current;
+    return variants;
 }
 
+/**
+ * 从聊天记录的前 keepCount 条开一个新分支并切换过去，原来的完整记录保留在原分支里
+ * @returns {object} 新分支
+ */
+async function forkChatBranch(chatType, contactId, keepCount) {
+    const {storageKey} = CHAT_VIEWS[chatType];
+    const history = ChatHistoryStore.get(storageKey, contactId);
+    const record = getChatBranchRecord(chatType, contactId);
+    await ChatHistoryStore.set(getBranchStorageKey(storageKey, record.activeId), contactId, history);
+
+    const branch = {id: 'branch_' + Date.now(), name: `分支 ${record.branches.length}`, createdAt: Date.now()};
+    record.branches.push(branch);
+    record.activeId = branch.id;
+    chatBranches[`${chatType}_${contactId}`] = record;
+    saveChatBranches();
+    await saveContactChatHistory(storageKey, contactId, history.slice(0, keepCount));
+    // 留在原分支里的回复不再计入好感度
+    replayRelationshipDeltas(contactId, history.slice(keepCount), -1);
+    return branch;
+}
 
 /**
- * [全新版本] 创建消息气泡的DOM元素
- * @param {object} message - 消息对象，可能包含 text, quote 等属性
- * @returns {HTMLElement} - 创建好的气泡DOM元素
+ * 从选中的消息开一个新分支继续聊（操作菜单「从这里分支」）
  */
-function createMessageBubble(message) {
-    const bubble = document.createElement('div');
-    bubble.className = 'chat-bubble';
+async function branchFromMessage(chatType, contactId, messageIndex) {
+    const view = CHAT_VIEWS[chatType];
+    view.hideActionSheet();
+    const history = ChatHistoryStore.get(view.storageKey, contactId);
+    if (!history[messageIndex]) return;
+    if (messageIndex === history.length - 1) {
+        showSuccessModal('无需分支', '这已经是最新的一条消息，直接继续聊就好。', 2000);
+        return;
+    }
+    if (!confirm('从这条消息开一个新分支？之后的消息会保留在原分支里，可以在聊天设置中切换回去。')) return;
 
-    const messageText = String(message.text || '');
+    let branch;
+    try {
+        branch = await forkChatBranch(chatType, contactId, messageIndex + 1);
+    } catch (e) {
+        console.error('创建分支失败:', e);
+        alert('存储空间不足，请清理数据');
+        return;
+    }
+    view.reopen();
+    showSuccessModal('已创建分支', `已切换到「${branch.name}」，从这条消息继续聊吧。`);
+}
 
-    // 1. 检查并渲染引用部分
-    if (message.quote) {
-        const quoteWrapper = document.createElement('div');
-        quoteWrapper.className = 'quoted-message-wrapper';
+/**
+ * 切换到另一个分支：当前记录存回当前分支，目标分支的记录成为聊天记录
+ */
+async function switchChatBranch(chatType, contactId, branchId) {
+    const view = CHAT_VIEWS[chatType];
+    const record = getChatBranchRecord(chatType, contactId);
+    if (record.activeId === branchId) return;
+    const target = record.branches.find(branch => branch.id === branchId);
+    if (!target) return;
 
-        let quotedContent = message.quote.text;
-        if (quotedContent.trim().startsWith('<img')) {
-            quotedContent = '[图片]';
-        }
+    const activeKey = getBranchStorageKey(view.storageKey, record.activeId);
+    const targetKey = getBranchStorageKey(view.storageKey, target.id);
+    try {
+        await ChatHistoryStore.load(targetKey, contactId);
+        const targetMessages = ChatHistoryStore.get(targetKey, contactId);
+        const currentMessages = ChatHistoryStore.view(view.storageKey, contactId);
+        await ChatHistoryStore.set(activeKey, contactId, currentMessages);
+
+        // 两个分支共同的前半段不变，只撤销当前分支之后的回复、应用目标分支之后的回复
+        let shared = 0;
+        while (shared < currentMessages.length && shared < targetMessages.length &&
+            JSON.stringify(currentMessages[shared]) === JSON.stringify(targetMessages[shared])) shared++;
+        replayRelationshipDeltas(contactId, currentMessages.slice(shared), -1);
+        replayRelationshipDeltas(contactId, targetMessages.slice(shared), 1);
+
+        await ChatHistoryStore.set(view.storageKey, contactId, targetMessages);
+        await ChatHistoryStore.remove(targetKey, contactId);
+    } catch (e) {
+        console.error('切换分支失败:', e);
+        alert('存储空间不足，请清理数据');
+        return;
+    }
+    record.activeId = target.id;
+    chatBranches[`${chatType}_${contactId}`] = record;
+    saveChatBranches();
 
-        quoteWrapper.innerHTML = `
-            <strong class="quoted-sender">${escapeHTML(message.quote.senderName)}</strong>
-            <span class="quoted-text">${escapeHTML(quotedContent)}</span>
-        `;
-        bubble.appendChild(quoteWrapper);
+    view.reopen();
+    renderChatBranchList(chatType, view.getContact());
+}
+
+/**
+ * 重命名分支
+ */
+function renameChatBranch(chatType, contactId, branchId) {
+    const record = chatBranches[`${chatType}_${contactId}`];
+    const branch = record?.branches.find(item => item.id === branchId);
+    if (!branch) return;
+    const name = prompt('分支名称：', branch.name);
+    if (!name || !name.trim()) return;
+    branch.name = name.trim();
+    saveChatBranches();
+    renderChatBranchList(chatType, CHAT_VIEWS[chatType].getContact());
+}
+
+/**
+ * 删除一个不在使用中的分支
+ */
+function deleteChatBranch(chatType, contactId, branchId) {
+    const key = `${chatType}_${contactId}`;
+    const record = chatBranches[key];
+    if (!record || record.activeId === branchId) return;
+    const branch = record.branches.find(item => item.id === branchId);
+    if (!branch || !confirm(`确定要删除「${branch.name}」吗？这个分支里的消息将无法恢复。`)) return;
+
+    record.branches = record.branches.filter(item => item.id !== branchId);
+    // 只剩当前分支时不再需要分支记录
+    if (record.branches.length === 1) delete chatBranches[key];
+    saveChatBranches();
+    ChatHistoryStore.remove(getBranchStorageKey(CHAT_VIEWS[chatType].storageKey, branchId), contactId)
+        .catch(e => console.error('删除分支消息失败:', e));
+    renderChatBranchList(chatType, CHAT_VIEWS[chatType].getContact());
+}
+
+/**
+ * 在聊天设置页渲染分支列表
+ * @param {string} chatType - 'normal' | 'sweetheart'
+ * @param {object} contact - 当前联系人
+ */
+function renderChatBranchList(chatType, contact) {
+    const view = CHAT_VIEWS[chatType];
+    const container = document.getElementById(view.branchListId);
+    if (!container) return;
+    const record = contact ? chatBranches[`${chatType}_${contact.id}`] : null;
+
+    if (!record) {
+        container.innerHTML = `<div class="chat-branch-empty">还没有分支。长按消息选择「从这里分支」，就能从那条消息开始另一条故事线</div>`;
+        return;
     }
 
-    // 2. 区分处理主消息内容（图片、代码、纯文本）
+    container.innerHTML = record.branches.map(branch => {
+        const isActive = branch.id === record.activeId;
+        // 非当前分支不加载完整记录，只用启动时读取的条数和最后一条消息
+        const storageKey = isActive ? view.storageKey : getBranchStorageKey(view.storageKey, branch.id);
+        const messageCount = ChatHistoryStore.count(storageKey, contact.id);
+        const lastText = ChatHistoryStore.last(storageKey, contact.id)?.text || '';
+        const preview = String(lastText).replace(/<[^>]+>/g, '').slice(0, 30);
+        return `
+            <div class="chat-branch-item ${isActive ? 'active' : ''}">
+                <div class="chat-branch-info" onclick="switchChatBranch('${chatType}', '${contact.id}', '${branch.id}')">
+                    <div class="chat-branch-name">${escapeHTML(branch.name)}${isActive ? '<span class="chat-branch-badge">当前</span>' : ''}</div>
+                    <div class="chat-branch-desc">${messageCount} 条消息${preview ? ' · ' + escapeHTML(preview) : ''}</div>
+                </div>
+                <button class="chat-branch-btn" onclick="renameChatBranch('${chatType}', '${contact.id}', '${branch.id}')">✏️</button>
+                ${isActive ? '' : `<button class="chat-branch-btn" onclick="deleteChatBranch('${chatType}', '${contact.id}', '${branch.id}')">🗑️</button>`}
+            </div>`;
+    }).join('');
+}
 
-    // 2a. 如果主消息是图片
-    if (messageText.trim().startsWith('<img')) {
-        // 如果是图片，它自己就需要一个容器，而不是直接插入气泡
-        const imageContainer = document.createElement('div');
-        imageContainer.innerHTML = messageText;
+/**
+ * 重新生成一次 AI 回复：旧回复保留为这条消息上可以左右切换的版本
+ * 这次回复之后还有消息时，先开一个新分支，之后的消息留在原分支里
+ */
+async function regenerateReply(chatType, contactId, messageIndex) {
+    const view = CHAT_VIEWS[chatType];
+    let messages = ChatHistoryStore.get(view.storageKey, contactId);
+    const targetMessage = messages[messageIndex];
+    if (!targetMessage) return;
 
-        // 为了保持样式统一，我们把图片也包装一下，并且去掉气泡的padding
-        bubble.classList.add('image-only');
-        bubble.appendChild(imageContainer.firstChild);
+    // 只能重新生成AI的回复
+    if (targetMessage.sender === 'user') {
+        showSuccessModal('操作无效', '只能对AI的回复进行重新生成哦。', 2000);
+        view.hideActionSheet();
+        return;
+    }
+    view.hideActionSheet();
 
-        // 如果有引用，图片消息的padding需要特殊处理
-        if (message.quote) {
-            bubble.style.padding = '8px';
-            bubble.classList.remove('image-only');
-        }
-        return bubble;
+    const {start, end} = findReplyGroup(messages, messageIndex);
+    if (end < messages.length) {
+        if (!confirm('这条回复之后还有消息。重新生成会从这里开一个新分支，之后的消息保留在原分支里，可以在聊天设置中切换回去。继续吗？')) return;
+        await forkChatBranch(chatType, contactId, end);
+        messages = messages.slice(0, end);
     }
 
-    // 2b. 如果主消息包含代码块
-    const codeBlockRegex = /```([\s\S]*?)```/g;
-    if (codeBlockRegex.test(messageText)) {
-        // 这部分逻辑和之前一样，用于解析代码块和普通文本混合的内容
-        let lastIndex = 0;
-        let match;
-        codeBlockRegex.lastIndex = 0; // 重置正则的 lastIndex
+    // 1. 先去掉这次回复（连同它带来的好感度变化），让 AI 基于之前的记录重新回复
+    const oldGroup = messages.slice(start, end);
+    const variants = getReplyVariants(oldGroup);
+    saveContactChatHistory(view.storageKey, contactId, messages.slice(0, start));
+    replayRelationshipDeltas(contactId, oldGroup, -1);
+    view.reopen();
 
-        while ((match = codeBlockRegex.exec(messageText)) !== null) {
-            const precedingText = messageText.slice(lastIndex, match.index);
-            if (precedingText) {
-                const textNode = document.createElement('div');
-                textNode.className = 'main-message-text';
-                textNode.textContent = precedingText;
-                bubble.appendChild(textNode);
-            }
+    await view.requestReply();
 
-            // 创建代码块... (这部分代码保持不变)
-            const codeContent = match[1].trim();
-            const wrapper = document.createElement('div');
-            wrapper.className = 'code-block-wrapper';
-            const pre = document.createElement('pre');
-            const code = document.createElement('code');
-            code.textContent = codeContent;
-            pre.appendChild(code);
-            const copyBtn = document.createElement('button');
-            copyBtn.className = 'copy-code-btn';
-            copyBtn.innerHTML = `<svg viewBox="0 0 24 24"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"></path></svg><span>复制</span>`;
-            copyBtn.onclick = () => {
-                navigator.clipboard.writeText(codeContent).then(() => {
-                    copyBtn.classList.add('copied');
-                    copyBtn.innerHTML = '<svg viewBox="0 0 24 24"><path d="M9 16.2L4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z"></path></svg><span>已复制</span>';
-                    setTimeout(() => {
-                        copyBtn.classList.remove('copied');
-                        copyBtn.innerHTML = '<svg viewBox="0 0 24 24"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"></path></svg><span>复制</span>';
-                    }, 2000);
-                }).catch(err => {
-                    console.error('复制失败:', err);
-                    alert('复制失败，请手动复制');
-                });
-            };
+    // 2. 新回复成为最新的版本；没有生成出内容（失败或停止）时放回原来的回复
+    const updated = ChatHistoryStore.get(view.storageKey, contactId);
+    const newGroup = updated.slice(start, findReplyGroup(updated, start).end);
+    if (newGroup.length === 0) {
+        replayRelationshipDeltas(contactId, oldGroup, 1);
+        updated.splice(start, 0, ...oldGroup);
+    } else {
+        variants.push(getReplyVariants(newGroup)[0]);
+        updated[start] = {...updated[start], variants, variantIndex: variants.length - 1};
+    }
+    saveContactChatHistory(view.storageKey, contactId, updated);
+    view.reopen();
+}
+
+/**
+ * 切换一次回复显示的版本
+ * @param {number} step - -1 上一个版本，1 下一个版本
+ */
+async function switchReplyVariant(chatType, contactId, messageIndex, step) {
+    const view = CHAT_VIEWS[chatType];
+    let messages = ChatHistoryStore.get(view.storageKey, contactId);
+    const first = messages[messageIndex];
+    if (!first?.variants) return;
+    const targetIndex = first.variantIndex + step;
+    if (targetIndex < 0 || targetIndex >= first.variants.length) return;
+
+    const {end} = findReplyGroup(messages, messageIndex);
+    if (end < messages.length) {
+        if (!confirm('这条回复之后还有消息。切换版本会从这里开一个新分支，之后的消息保留在原分支里。继续吗？')) return;
+        await forkChatBranch(chatType, contactId, end);
+        messages = messages.slice(0, end);
+    }
+
+    const oldGroup = messages.slice(messageIndex, end);
+    const variants = getReplyVariants(oldGroup);
+    const chosen = structuredClone(variants[targetIndex]);
+    // 好感度只计入正在显示的版本
+    replayRelationshipDeltas(contactId, oldGroup, -1);
+    replayRelationshipDeltas(contactId, chosen, 1);
+    chosen[0] = {...chosen[0], variants, variantIndex: targetIndex};
+    messages.splice(messageIndex, end - messageIndex, ...chosen);
+    saveContactChatHistory(view.storageKey, contactId, messages);
+    view.reopen();
+}
+
+// 在有多个版本的回复上左右滑动超过这个距离（px）时切换版本
+const VARIANT_SWIPE_THRESHOLD = 60;
+
+/**
+ * 有多个版本的回复，在第一条消息下面加上「‹ 2/3 ›」切换按钮，并支持左右滑动切换
+ * 向左滑看下一个版本，向右滑看上一个版本
+ * @param {HTMLElement} messageRow - _createMessageDOM 创建的消息行
+ */
+function appendReplyVariantSwitcher(messageRow, chatType, contactId, messageObj, messageIndex) {
+    if (!messageObj?.variants || messageObj.variants.length < 2) return;
+    const container = messageRow.querySelector('.message-content') || messageRow;
+
+    const switcher = document.createElement('div');
+    switcher.className = 'message-variant-switcher';
+    switcher.innerHTML = `
+        <button class="variant-btn" ${messageObj.variantIndex === 0 ? 'disabled' : ''}>‹</button>
+        <span>${messageObj.variantIndex + 1}/${messageObj.variants.length}</span>
+        <button class="variant-btn" ${messageObj.variantIndex === messageObj.variants.length - 1 ? 'disabled' : ''}>›</button>`;
+    const [prevBtn, nextBtn] = switcher.querySelectorAll('.variant-btn');
+    prevBtn.onclick = () => switchReplyVariant(chatType, contactId, messageIndex, -1);
+    nextBtn.onclick = () => switchReplyVariant(chatType, contactId, messageIndex, 1);
+    container.appendChild(switcher);
+
+    let startX = null;
+    let startY = 0;
+    messageRow.addEventListener('touchstart', (e) => {
+        startX = e.touches.length === 1 ? e.touches[0].clientX : null;
+        startY = e.touches[0].clientY;
+    }, {passive: true});
+    messageRow.addEventListener('touchend', (e) => {
+        if (startX === null) return;
+        const dx = e.changedTouches[0].clientX - startX;
+        const dy = e.changedTouches[0].clientY - startY;
+        startX = null;
+        // 以水平方向为主的滑动才算，避免和上下滚动冲突；多选模式下不切换
+        if (Math.abs(dx) < VARIANT_SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy) * 2) return;
+        if (chatType === 'sweetheart' ? isSweetheartMultiSelectMode : isNormalMultiSelectMode) return;
+        const step = dx < 0 ? 1 : -1;
+        const targetIndex = messageObj.variantIndex + step;
+        if (targetIndex < 0 || targetIndex >= messageObj.variants.length) return;
+        switchReplyVariant(chatType, contactId, messageIndex, step);
+    }, {passive: true});
+}
+
+/**
+ * 在气泡下方打开编辑框，直接修改一条文字消息（用户和 AI 的都可以）
+ */
+function editChatMessage(chatType, contactId, messageIndex) {
+    const view = CHAT_VIEWS[chatType];
+    view.hideActionSheet();
+    const message = ChatHistoryStore.view(view.storageKey, contactId)[messageIndex];
+    if (!message) return;
+    if (message.type || message.imageUrl || typeof message.text !== 'string' || message.text.trim().startsWith('<img')) {
+        showSuccessModal('操作无效', '只能编辑文字消息哦。', 2000);
+        return;
+    }
 
-            wrapper.appendChild(pre);
-            wrapper.appendChild(copyBtn);
-            bubble.appendChild(wrapper);
+    const messageRow = document.querySelector(`#${view.messagesElId} .message-row[data-index="${messageIndex}"]`);
+    const bubble = messageRow?.querySelector('.chat-bubble');
+    if (!bubble || messageRow.querySelector('.message-edit-box')) return;
 
-            lastIndex = codeBlockRegex.lastIndex;
-        }
-        const remainingText = messageText.slice(lastIndex);
-        if (remainingText) {
-            const textNode = document.createElement('div');
-            textNode.className = 'main-message-text';
-            textNode.textContent = remainingText;
-            bubble.appendChild(textNode);
-        }
+    const editBox = document.createElement('div');
+    editBox.className = 'message-edit-box';
+    editBox.innerHTML = `
+        <textarea class="message-edit-textarea"></textarea>
+        <div class="message-edit-actions">
+            <button class="message-edit-cancel">取消</button>
+            <button class="message-edit-save">保存</button>
+        </div>`;
+    const textarea = editBox.querySelector('textarea');
+    textarea.value = message.text;
+    editBox.querySelector('.message-edit-cancel').onclick = () => {
+        editBox.remove();
+        bubble.style.display = '';
+    };
+    editBox.querySelector('.message-edit-save').onclick = () => {
+        saveChatMessageEdit(chatType, contactId, messageIndex, textarea.value, messageRow);
+    };
 
-    } else if (messageText) {
-        // 2c. 如果主消息是纯文本
-        const textNode = document.createElement('div');
-        textNode.className = 'main-message-text';
-        textNode.textContent = messageText;
-        bubble.appendChild(textNode);
+    bubble.style.display = 'none';
+    bubble.after(editBox);
+    textarea.focus();
+}
+
+/**
+ * 保存编辑后的消息，并就地刷新这一行
+ */
+function saveChatMessageEdit(chatType, contactId, messageIndex, newText, messageRow) {
+    const text = newText.trim();
+    if (!text) {
+        alert('消息内容不能为空');
+        return;
     }
+    const view = CHAT_VIEWS[chatType];
+    const messages = ChatHistoryStore.get(view.storageKey, contactId);
+    if (!messages[messageIndex]) return;
+    messages[messageIndex].text = text;
+    saveContactChatHistory(view.storageKey, contactId, messages);
 
-    return bubble;
+    const newRow = _createMessageDOM(contactId, messages[messageIndex], messageIndex);
+    appendReplyVariantSwitcher(newRow, chatType, contactId, messages[messageIndex], messageIndex);
+    messageRow.replaceWith(newRow);
 }
 
-// =================================================================
-// 修复 1: 修改 ID，确保长度大于 2 位，且只包含字母数字下划线
-// =================================================================
+// ========== 消息编辑、回复版本与对话分支 - 结束 ==========
 
-// 步骤一：将 const 修改为 let，以便后续从 localStorage 加载数据
-// =================================================================
-// 修复 1: 修改 ID，确保长度大于 2 位，且只包含字母数字下划线
-// =================================================================
 
-// 步骤一：将 const 修改为 let，以便后续从 localStorage 加载数据
-// 【学校学习场景 - 内置角色扩展】
-let contactsData = [
-    {
-        id: 'contact_01',
-        name: '代码助手',
-        avatar: '🤖',
-        status: '我是你的AI编程助手，有代码问题随时问我。'
-    },
-    {
-        id: 'school_teacher_li',
-        name: '李老师(语文)',
-        avatar: '👩‍🏫',
-        status: '腹有诗书气自华。同学，关于作文或古诗词有什么不理解的吗？我是李老师，随时为你解答。',
-        voiceId: 'female-qn-yuxin' // 知性女声
-    },
-    {
-        id: 'school_math_rep',
-        name: '数学课代表阿伟',
-        avatar: '🤓',
-        status: '数学其实就是逻辑游戏。哪道题卡住了？发给我，我帮你看看思路。',
-        voiceId: 'male-qn-qingse' // 青涩男声
-    },
-    {
-        id: 'school_teacher_smith',
-        name: 'Mr. Smith (English)',
-        avatar: '👨‍🦰',
-        status: 'Hello! Don\'t be shy, speaking is the key to learning English. Let\'s chat! (我是你的外教Smith，鼓励你多用英语交流)',
-        voiceId: 'male-qn-jingying' // 精英男声
-    },
-    {
-        id: 'school_monitor',
-        name: '学习委员',
-        avatar: '👧',
-        status: '今天的作业都记下来了吗？还有下周的考试复习计划制定得怎么样了？别偷懒哦！',
-        voiceId: 'female-qn-tianmei' // 甜美女声
-    }
-];
+// ========== 群聊 - 开始 ==========
 
+// 每次点「回复」时，「谁会回复」模式下最多几位成员接连发言
+const GROUP_MAX_SPEAKERS_PER_TURN = 3;
+// 发言成员的气泡颜色，按成员在群里的顺序循环使用
+const GROUP_SPEAKER_COLORS = ['#dbeafe', '#fce7f3', '#dcfce7', '#fef3c7', '#ede9fe', '#ffedd5'];
+const GROUP_TURN_MODES = {
+    roundRobin: {label: '轮流发言', desc: '成员按顺序轮流回复，每次一人'},
+    auto: {label: '谁会回复', desc: '由 AI 根据话题判断哪些成员会接话'},
+    mention: {label: '@提及', desc: '用 @名字 指定回复的成员，没有 @ 时轮流发言'}
+};
 
-// ========== 修正后的密友数据数组 (去重) ==========
-let sweetheartContactsData = [
-    {
-        id: 'SH_default_001',
-        name: '贴心小助手',
-        status: '随时准备好聆听你的心事~',
-        avatar: '💖',
-        personality: '温柔体贴',
-        relationship: '最好的朋友',
-        voiceId: 'female-qn-yuxin',
-        boundWorldbooks: []
-    },
-    {
-        id: 'SH_school_senior',
-        name: '温柔学长',
-        avatar: 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1762916602985_qdqqd_avatar_boy1.png',
-        status: '累了吗？把肩膀借你靠一会儿。',
-        personality: '稳重, 治愈, 有安全感',
-        occupation: '学生会主席',
-        relationship: '暗恋对象 / 邻家大哥哥',
-        history: '一直在默默关注你，会在你考试失利时给你递热牛奶。',
-        voiceId: 'male-qn-qingse',
-        boundWorldbooks: []
-    },
-    {
-        id: 'SH_school_mate',
-        name: '同桌妙妙',
-        avatar: 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1762916655123_qdqqd_avatar_girl1.png',
-        status: '别愁眉苦脸啦，放学请你吃关东煮！',
-        personality: '活泼, 讲义气, 话痨',
-        occupation: '高中生',
-        relationship: '从小一起长大的死党',
-        history: '帮你抄过作业，也和你一起在走廊罚过站。',
-        voiceId: 'female-qn-tianmei',
-        boundWorldbooks: []
-    },
-    {
-        id: 'SH_psychology_senior', // 🔥 修改ID，防止与小助手重复
-        name: '心理社学姐',
-        status: '秘密说出来就不重了，我会替你保密的。',
-        avatar: '👩‍🏫',
-        personality: '知性, 善解人意, 温柔',
-        occupation: '心理社社长',
-        relationship: '值得信赖的倾听者',
-        history: '在学校天台发现过哭泣的你，从此成为了你专属的树洞。',
-        voiceId: 'female-qn-yuxin',
-        boundWorldbooks: []
-    },
-    {
-        id: 'SH_school_hunk',
-        name: '高冷校草',
-        avatar: '😎',
-        status: '啧，又是谁欺负你了？报我名字。',
-        personality: '嘴硬心软, 霸道, 护短',
-        occupation: '篮球队队长',
-        relationship: '欢喜冤家',
-        history: '虽然总是嫌你笨，但每次你需要帮忙时他跑得比谁都快。',
-        voiceId: 'male-qn-jingying',
-        boundWorldbooks: []
-    },
-    {
-        id: 'SH_school_junior',
-        name: '元气学妹',
-        avatar: '🎀',
-        status: '前辈，这道题我不会，可以教教我吗？(星星眼)',
-        personality: '天真, 热情, 崇拜你',
-        occupation: '广播站播音员',
-        relationship: '你的小迷妹',
-        history: '每天中午都会在广播里给你点歌，虽然从来不敢说是谁点的。',
-        voiceId: 'female-qn-tianmei',
-        boundWorldbooks: []
-    }
-];
-
-
-// ========== 联系人库多选功能全局变量 ==========
-let libraryOnlyContactsData = []; // 仅存在于联系人库的联系人
-let isMultiSelectMode = false; // 是否处于多选模式
-let selectedContactIds = new Set(); // 选中的联系人ID集合
+// 从联系人库选成员时，正在编辑的群（新建群时为 null）
+let groupSelectionTargetId = null;
 
+/**
+ * 群里仍然存在的成员（已删除的联系人会被跳过）
+ * @param {object} group
+ * @returns {Array<object>}
+ */
+function getGroupMembers(group) {
+    return (group.members || []).map(id => findContactForCard(id)).filter(Boolean);
+}
 
-// ========== 世界系统数据 ==========
-let worldsData = []; // 存储所有世界
-let currentWorldId = null; // 当前选中的世界ID
-
-// ========== 世界系统功能 ==========
-
-// ▼▼▼ 使用这个【绝对修正版】的 openWorldSelect 函数进行替换 ▼▼▼
+/**
+ * 发言成员的气泡颜色：当前群里按成员顺序取色，不在群里时按 ID 取色
+ * @param {string} speakerId
+ * @returns {string}
+ */
+function getGroupSpeakerColor(speakerId) {
+    let index = currentChatContact?.members?.indexOf(speakerId) ?? -1;
+    if (index < 0) index = [...String(speakerId)].reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+    return GROUP_SPEAKER_COLORS[index % GROUP_SPEAKER_COLORS.length];
+}
 
-// 替换 openWorldSelect 函数
-function openWorldSelect() {
-    console.log("世界选择页面已被禁用，直接进入默认世界。");
+/**
+ * 通讯录「+」菜单：从联系人库多选成员，新建群聊
+ */
+function startGroupChatCreation() {
+    const menu = document.getElementById('contactMenu');
+    if (menu) menu.classList.remove('show');
 
-    // 确保当前有世界ID，如果没有则再次强制指定
-    if (!currentWorldId) {
-        currentWorldId = 'DEFAULT_WORLD';
-    }
-    // 直接跳转到密友列表
-    openSweetheartList();
+    groupSelectionTargetId = null;
+    openContactLibrary('selectForGroup');
+    enterMultiSelectMode();
 }
 
-
 /**
- * 打开指定世界的通讯录
+ * 聊天设置：重新选择当前群的成员
  */
-function openWorldContacts(worldId) {
-    const world = worldsData.find(w => w.id === worldId);
-    if (!world) return;
+function editGroupMembers() {
+    if (!currentChatContact?.isGroup) return;
+    groupSelectionTargetId = currentChatContact.id;
+    openContactLibrary('selectForGroup');
+    enterMultiSelectMode();
+    currentChatContact.members.forEach(id => selectedContactIds.add(id));
+    renderContactLibrary();
+}
 
-    // 你可以在这里更新contactsPage的标题，例如显示世界名称
-    // 假设contactsPage的header有一个id为'contactsTitle'的元素
-    // const contactsTitleEl = document.getElementById('contactsTitle');
-    // if (contactsTitleEl) contactsTitleEl.textContent = world.name + '通讯录';
+/**
+ * 联系人库多选后点「确定」：新建群聊，或更新正在编辑的群的成员
+ */
+function confirmGroupMemberSelection() {
+    const memberIds = [...selectedContactIds].filter(id => findContactForCard(id) && !findContactForCard(id).isGroup);
+    if (memberIds.length < 2) {
+        alert('群聊至少需要选择 2 位成员');
+        return;
+    }
 
-    document.getElementById('contactsPage').classList.add('show');
+    const group = groupSelectionTargetId && contactsData.find(c => c.id === groupSelectionTargetId);
+    if (group) {
+        group.members = memberIds;
+        group.status = `群聊 · ${memberIds.length} 位成员`;
+        localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+        closeContactLibrary();
+        renderGroupChatSettings(group);
+        showSuccessModal('已更新', `群成员已更新为 ${memberIds.length} 人`);
+        return;
+    }
 
-    // 根据世界的联系人ID列表，筛选出对应的联系人
-    const worldContacts = contactsData.filter(contact =>
-        world.contacts && world.contacts.includes(String(contact.id))
-    );
+    const names = memberIds.map(id => findContactForCard(id).name);
+    const defaultName = names.slice(0, 3).join('、') + (names.length > 3 ? '等' : '') + '的群聊';
+    const name = prompt('群聊名称：', defaultName);
+    if (name === null) return;
+
+    const newGroup = {
+        id: 'GROUP_' + Date.now(),
+        isGroup: true,
+        name: name.trim() || defaultName,
+        avatar: '👥',
+        status: `群聊 · ${memberIds.length} 位成员`,
+        members: memberIds,
+        turnMode: 'roundRobin',
+        nextSpeakerIndex: 0
+    };
+    contactsData.push(newGroup);
+    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
 
-    renderContacts(worldContacts); // 渲染该世界的联系人
+    closeContactLibrary();
+    setTimeout(() => openChat(newGroup), 350);
 }
 
 /**
- * 渲染世界书复选框列表
+ * 渲染聊天设置页的「群聊」分块（非群聊时隐藏）
+ * @param {object} contact
  */
-function renderWorldWorldbooksList() {
-    const container = document.getElementById('worldWorldbooksList');
+function renderGroupChatSettings(contact) {
+    const section = document.getElementById('chatGroupSettings');
+    if (!section) return;
+    section.style.display = contact?.isGroup ? '' : 'none';
+    if (!contact?.isGroup) return;
 
-    if (worldbookData.length === 0) {
-        container.innerHTML = '<div style="text-align: center; color: #7FB5D1; padding: 20px; font-size: 13px;">还没有世界书哦~</div>';
+    const turnMode = GROUP_TURN_MODES[contact.turnMode] ? contact.turnMode : 'roundRobin';
+    document.querySelectorAll('#groupTurnModeSelector .segmented-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.mode === turnMode);
+    });
+    document.getElementById('groupTurnModeDesc').textContent = GROUP_TURN_MODES[turnMode].desc;
+
+    const list = document.getElementById('groupMemberList');
+    const members = getGroupMembers(contact);
+    list.innerHTML = members.length === 0
+        ? '<div class="group-member-empty">还没有成员</div>'
+        : members.map(member => {
+            const isUrl = member.avatar && (String(member.avatar).startsWith('http') || String(member.avatar).startsWith('data:'));
+            const avatar = isUrl ? `<img src="${escapeHTML(member.avatar)}" alt="">` : escapeHTML(member.avatar || '💬');
+            return `
+                <div class="group-member-item">
+                    <div class="group-member-avatar" style="background: ${getGroupSpeakerColor(member.id)};">${avatar}</div>
+                    <div class="group-member-name">${escapeHTML(member.name)}</div>
+                    <button class="group-member-remove" onclick="removeGroupMember('${escapeHTML(member.id)}')">移出</button>
+                </div>`;
+        }).join('');
+}
+
+/**
+ * 切换当前群的发言顺序
+ * @param {'roundRobin'|'auto'|'mention'} mode
+ */
+function setGroupTurnMode(mode) {
+    if (!currentChatContact?.isGroup || !GROUP_TURN_MODES[mode]) return;
+    currentChatContact.turnMode = mode;
+    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+    renderGroupChatSettings(currentChatContact);
+}
+
+/**
+ * 把成员移出当前群（群里至少保留 2 人）
+ * @param {string} memberId
+ */
+function removeGroupMember(memberId) {
+    const group = currentChatContact;
+    if (!group?.isGroup) return;
+    if (group.members.length <= 2) {
+        alert('群聊至少需要 2 位成员');
         return;
     }
+    const member = findContactForCard(memberId);
+    if (!confirm(`确定把「${member ? member.name : memberId}」移出群聊吗？`)) return;
 
-    container.innerHTML = '';
+    group.members = group.members.filter(id => id !== memberId);
+    group.status = `群聊 · ${group.members.length} 位成员`;
+    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+    renderGroupChatSettings(group);
+}
 
-    worldbookData.forEach(wb => {
-        const item = document.createElement('div');
-        item.className = 'world-wb-item';
+/**
+ * 修改当前群的名称
+ */
+function renameGroupChat() {
+    const group = currentChatContact;
+    if (!group?.isGroup) return;
+    const name = prompt('群聊名称：', group.name);
+    if (!name || !name.trim()) return;
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `world-wb-${wb.id}`;
-        checkbox.value = wb.id;
+    group.name = name.trim();
+    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+    document.getElementById('chatContactName').textContent = group.name;
+}
 
-        const label = document.createElement('label');
-        label.htmlFor = `world-wb-${wb.id}`;
-        label.textContent = wb.title;
+/**
+ * 轮流发言：取下一位成员并推进顺序
+ * @param {object} group
+ * @param {Array<object>} members
+ * @returns {object}
+ */
+function takeNextGroupSpeaker(group, members) {
+    const index = (group.nextSpeakerIndex || 0) % members.length;
+    group.nextSpeakerIndex = index + 1;
+    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+    return members[index];
+}
 
-        item.appendChild(checkbox);
-        item.appendChild(label);
-        container.appendChild(item);
-    });
+/**
+ * 用户最后一条消息里 @ 到的成员，按出现顺序排列
+ * @param {Array} history
+ * @param {Array<object>} members
+ * @returns {Array<object>}
+ */
+function findMentionedGroupMembers(history, members) {
+    const lastUserMessage = [...history].reverse().find(msg => msg.sender === 'user');
+    const text = lastUserMessage?.text || '';
+    return members
+        .map(member => ({member, position: text.indexOf('@' + member.name)}))
+        .filter(item => item.position >= 0)
+        .sort((a, b) => a.position - b.position)
+        .map(item => item.member);
 }
 
-/* ========== 新增：世界地图功能相关函数 ========== */
+/**
+ * 「谁会回复」：让 AI 根据最近的对话判断哪些成员会接话，失败时退回轮流发言
+ * @param {object} group
+ * @param {Array<object>} members
+ * @param {Array} history
+ * @param {AbortSignal} signal
+ * @returns {Promise<Array<object>>}
+ */
+async function pickAutoGroupSpeakers(group, members, history, signal) {
+    const dialog = formatMemoryDialog(history.slice(-12), group.name);
+    const roster = members.map(member => `- ${member.name}：${(member.status || '').slice(0, 80)}`).join('\n');
+    const result = await callApi([
+        {
+            role: 'system',
+            content: `你是群聊「${group.name}」的旁观者，负责判断接下来哪些成员会发言。\n成员：\n${roster}\n\n根据话题和成员性格，选出最可能接话的 1 到 ${GROUP_MAX_SPEAKERS_PER_TURN} 位成员，按发言先后排列。只输出 JSON：{"speakers": ["名字"]}`
+        },
+        {role: 'user', content: dialog || '(群里刚刚建立，还没有人说话)'}
+    ], [], {}, false, {signal, contact: {id: `${group.id}_director`, name: group.name}});
+
+    if (result.success) {
+        const jsonMatch = result.message.replace(/<think>[\s\S]*?<\/think>/gi, '').match(/\{[\s\S]*\}/);
+        try {
+            const names = JSON.parse(jsonMatch ? jsonMatch[0] : '{}').speakers || [];
+            const speakers = names
+                .map(name => members.find(member => member.name === String(name).trim()))
+                .filter((member, i, list) => member && list.indexOf(member) === i)
+                .slice(0, GROUP_MAX_SPEAKERS_PER_TURN);
+            if (speakers.length > 0) return speakers;
+        } catch (e) {
+            console.warn('解析群聊发言人失败:', e);
+        }
+    }
+    return [takeNextGroupSpeaker(group, members)];
+}
 
 /**
- * 切换地图选项的显示/隐藏
+ * 按群的发言顺序决定这一轮由谁回复
+ * @returns {Promise<Array<object>>}
  */
-function toggleWorldMapOptions() {
-    const optionsEl = document.getElementById('worldMapOptions');
-    if (optionsEl.style.display === 'flex') {
-        optionsEl.style.display = 'none';
-    } else {
-        optionsEl.style.display = 'flex';
+async function pickGroupSpeakers(group, members, history, signal) {
+    if (group.turnMode === 'auto') {
+        return pickAutoGroupSpeakers(group, members, history, signal);
+    }
+    if (group.turnMode === 'mention') {
+        const mentioned = findMentionedGroupMembers(history, members);
+        if (mentioned.length > 0) return mentioned;
     }
+    return [takeNextGroupSpeaker(group, members)];
 }
 
 /**
- * 选择默认地图
+ * 群成员共享的「我的状态」：取各成员密友状态记录里最新的一条用户状态
+ * @param {Array<object>} members
+ * @returns {object|null}
  */
-function selectDefaultMap() {
-    // 这是你提供的默认地图URL
-    const defaultMapUrl = 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1760979959274_qdqqd_m9jrpo.jpg';
+function getGroupSharedUserStatus(members) {
+    const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+    let latest = null;
+    let latestTime = 0;
+    members.forEach(member => {
+        const entry = (allStatusHistories[member.id] || [])[0];
+        if (!entry || !entry.user) return;
+        const time = entry.user.syncedAt || entry.timestamp || 0;
+        if (!latest || time > latestTime) {
+            latest = entry.user;
+            latestTime = time;
+        }
+    });
+    return latest;
+}
 
-    // 获取DOM元素
-    const previewImg = document.getElementById('worldMapPreview');
-    const placeholder = document.getElementById('worldMapPlaceholder');
+/**
+ * 某位成员发言时看到的群聊记录：自己说过的话作为 assistant，其他人的话带上说话人名字
+ * @param {Array} history
+ * @param {object} speaker
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildGroupConversation(history, speaker) {
+    const userName = userProfile.name || '用户';
+    return history.map(msg => {
+        let text = (msg.text || '').replace(/<render>[\s\S]*?<\/render>/g, '[卡片]').replace(/<[^>]+>/g, '');
+        if (msg.type === 'voice' && msg.content) text = `[语音] ${msg.content.text || ''}`;
+        if (msg.type === 'red-packet' && msg.content) text = `[红包] ${msg.content.greeting || ''}`;
+        if (msg.quote) text = `(引用: ${msg.quote.text})\n` + text;
+        if (!text.trim() || (msg.sender !== 'user' && msg.sender !== 'contact')) return null;
 
-    // 更新图片预览
-    previewImg.src = defaultMapUrl;
-    previewImg.style.display = 'block';
-    placeholder.style.display = 'none';
+        if (msg.sender === 'user') return {role: 'user', content: `${userName}: ${text}`};
+        if (msg.speakerId === speaker.id) return {role: 'assistant', content: text};
+        const name = findContactForCard(msg.speakerId)?.name || '群成员';
+        return {role: 'user', content: `${name}: ${text}`};
+    }).filter(Boolean);
+}
 
-    // 选择后隐藏选项菜单
-    document.getElementById('worldMapOptions').style.display = 'none';
+/**
+ * 让一位成员在群里发言：只注入这位成员自己的世界书和面具
+ * @param {object} group
+ * @param {object} speaker
+ * @param {Array<object>} members
+ * @param {AbortSignal} signal
+ * @returns {Promise<boolean>} 是否成功（失败或被停止时不再让后面的成员发言）
+ */
+async function requestGroupMemberReply(group, speaker, members, signal) {
+    const messagesEl = document.getElementById('chatMessages');
+    const history = ChatHistoryStore.view('phoneChatHistory', group.id);
+    const conversation = buildGroupConversation(history.slice(-30), speaker);
+    const userName = userProfile.name || '用户';
+    const others = members.filter(member => member.id !== speaker.id).map(member => member.name);
+
+    const systemMessages = [
+        {role: 'system', content: AI_REALCHAT_SYSTEM_PROMPT},
+        {
+            role: 'system',
+            content: `(System: 这是群聊「${group.name}」，群里有 ${others.join('、')} 和用户「${userName}」。你正在扮演「${speaker.name}」。Status: ${speaker.status || 'Friend'}\n只以「${speaker.name}」的身份发言，可以回应其他成员，但不要替其他成员或用户说话，也不要在开头写自己的名字。)`
+        }
+    ];
+    const sharedStatus = getGroupSharedUserStatus(members);
+
+    const scanTexts = conversation.map(msg => msg.content);
+    const retrievedSnippets = await retrieveRelevantSnippets(group.id, group.name, scanTexts, signal);
+    const [worldbookSection, masksSection] = buildSharedContextSections(speaker, [], '', scanTexts);
+    const context = assembleContext([
+        {key: 'system', items: systemMessages},
+        buildMemoryContextSection(group.id, scanTexts),
+        buildRetrievalContextSection(retrievedSnippets),
+        worldbookSection,
+        masksSection,
+        {
+            key: 'status',
+            items: sharedStatus ? [sharedStatus] : [],
+            format: ([status]) => `[${userName}当前的状态（群成员共享）]\n${formatStatusFields(getStatusSchema(speaker.id).user, status)}`
+        },
+        buildRecentContextSection(conversation, speaker.name)
+    ], {reservedTokens: 0});
+    recordContextUsage('normal', group.id, context.usage);
+    const messages = context.messages;
+    if (!messages.some(m => m.role === 'user')) {
+        messages.push({role: 'user', content: '(群里安静了一会儿，你可以先说点什么)'});
+    }
 
-    // 给用户一个成功的提示
-    showSuccessModal('选择成功', '已应用默认地图。');
-}
+    const thinkingBubble = _createMessageDOM(group.id, {sender: 'contact', speakerId: speaker.id, text: '...'}, -1, {streaming: true});
+    messagesEl.appendChild(thinkingBubble);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+
+    let hasStreamed = false;
+    const result = await callApi(messages, [], {}, false, {
+        signal,
+        contact: {id: `${group.id}_${speaker.id}`, name: speaker.name},
+        onDelta: (fullText) => {
+            if (updateStreamingBubble(thinkingBubble, extractStreamingReplyText(fullText), messagesEl)) {
+                hasStreamed = true;
+            }
+        },
+        onRetry: (attempt, maxAttempts) => {
+            updateStreamingBubble(thinkingBubble, `⏳ 连接不稳定，正在重试 (${attempt}/${maxAttempts})...`, messagesEl);
+        }
+    });
+    thinkingBubble.remove();
 
+    if (result.aborted) {
+        const partialText = trimIncompleteReplyTail(extractPartialReplyText(result.partialText));
+        if (partialText) {
+            result.success = true;
+            result.message = partialText;
+        }
+    }
+    if (!result.success) {
+        if (!result.aborted) showErrorModal('请求失败', `${speaker.name}：${result.message}`);
+        return false;
+    }
+
+    // 模型有时会照着群聊记录的格式，在开头带上自己的名字
+    const escapedName = speaker.name.replace(/[.*+?^$()|[\]\\{}]/g, '\\$&');
+    const namePrefix = new RegExp(`^\\s*${escapedName}\\s*[:：]\\s*`);
+    const cleanMessage = result.message.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+    const segments = cleanMessage.split('---').map(s => s.trim().replace(namePrefix, '')).filter(Boolean);
+    for (const segmentText of segments) {
+        const messageObj = {sender: 'contact', speakerId: speaker.id, text: segmentText};
+        const newIndex = saveMessage(group.id, messageObj);
+        messagesEl.appendChild(_createMessageDOM(group.id, messageObj, newIndex));
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+        if (!hasStreamed) await new Promise(r => setTimeout(r, 500));
+    }
+    return !result.aborted;
+}
 
 /**
- * 保存世界数据到localStorage
+ * 群聊的「回复」：按发言顺序选出成员，依次让他们发言
+ * @param {object} [options] - 同 getAiReply
  */
-function saveWorldsData() {
-    try {
-        localStorage.setItem('phoneWorldsData', JSON.stringify(worldsData));
-    } catch (e) {
-        console.error('保存世界数据失败:', e);
+async function getGroupAiReply(options = {}) {
+    const group = currentChatContact;
+    const getReplyBtn = document.getElementById('getReplyBtn');
+    const chatInput = document.getElementById('chatInput');
+
+    const members = getGroupMembers(group);
+    if (members.length === 0) {
+        showErrorModal('无法回复', '群里还没有成员，请在聊天设置中添加');
+        return;
     }
-}
 
-// [修正版] 加载世界数据（确保包含所有默认密友ID）
-function loadWorldsData() {
+    if (getReplyBtn) {
+        getReplyBtn.disabled = true;
+        getReplyBtn.style.opacity = '0.5';
+    }
+    const requestController = beginAbortableAiRequest('normal', getReplyBtn);
+
     try {
-        const saved = localStorage.getItem('phoneWorldsData');
+        const currentUserInput = options.regenerate ? '' : chatInput.value.trim();
+        if (currentUserInput) {
+            simulateSendingMessage(currentUserInput);
+            chatInput.value = '';
+            document.querySelector('.chat-input-area').classList.remove('has-text');
+        }
 
-        // 🗺️ 默认地图链接 (你想要的默认地图)
-        const defaultMapUrl = 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1760979959274_qdqqd_m9jrpo.jpg';
+        const history = ChatHistoryStore.view('phoneChatHistory', group.id);
+        const speakers = await pickGroupSpeakers(group, members, history, requestController.signal);
+        for (const speaker of speakers) {
+            if (requestController.signal.aborted) break;
+            const ok = await requestGroupMemberReply(group, speaker, members, requestController.signal);
+            if (!ok) break;
+        }
 
-        // 🔥 核心逻辑：定义默认世界，并把所有密友ID都塞进去
-        const defaultWorld = {
-            id: 'DEFAULT_WORLD',
-            name: '默认世界',
-            description: '初始设定的世界',
-            icon: '🌏',
-            mapUrl: defaultMapUrl, // 这里设置了默认地图
-            // 👇 这里列出所有内置密友的ID，确保他们能显示出来
-            contacts: [
-                'SH_default_001',
-                'SH_school_senior',
-                'SH_school_mate',
-                'SH_psychology_senior',
-                'SH_school_hunk',
-                'SH_school_junior'
-            ],
-            worldbooks: [],
-            timestamp: Date.now()
-        };
-
-        if (saved) {
-            worldsData = JSON.parse(saved);
+        updateContactMemory('normal', group.id, group.name);
+    } catch (error) {
+        console.error("群聊出错:", error);
+        showErrorModal('错误', '网络连接超时或出错');
+    } finally {
+        finishAbortableAiRequest('normal', requestController);
+        if (getReplyBtn) {
+            getReplyBtn.disabled = false;
+            getReplyBtn.style.opacity = '1';
+        }
+    }
+}
 
-            // 🔥 自动修复逻辑：检查当前数据里有没有 DEFAULT_WORLD
-            // 如果老用户以前存过数据，我们要把新的地图和联系人补进去
-            let existingDefaultWorld = worldsData.find(w => w.id === 'DEFAULT_WORLD');
+// ========== 群聊 - 结束 ==========
 
-            if (!existingDefaultWorld) {
-                // 如果找不到默认世界，就加进去
-                worldsData.unshift(defaultWorld);
-                existingDefaultWorld = defaultWorld;
-            } else {
-                // 如果找到了，检查是否缺地图或联系人，给它补全
-                let hasChanges = false;
 
-                // 1. 补全地图
-                if (!existingDefaultWorld.mapUrl) {
-                    existingDefaultWorld.mapUrl = defaultMapUrl;
-                    hasChanges = true;
-                }
+/**
+ * [全新版本] 创建消息气泡的DOM元素
+ * @param {object} message - 消息对象，可能包含 text, quote 等属性
+ * @returns {HTMLElement} - 创建好的气泡DOM元素
+ */
+function createMessageBubble(message) {
+    const bubble = document.createElement('div');
+    bubble.className = 'chat-bubble';
 
-                // 2. 补全缺失的密友ID
-                defaultWorld.contacts.forEach(id => {
-                    if (!existingDefaultWorld.contacts.includes(id)) {
-                        existingDefaultWorld.contacts.push(id);
-                        hasChanges = true;
-                    }
-                });
+    const messageText = String(message.text || '');
 
-                if (hasChanges) {
-                    saveWorldsData();
-                    console.log('✅ 已自动修复默认世界的地图和联系人列表');
-                }
-            }
-        } else {
-            // 首次安装，直接写入默认世界
-            worldsData.push(defaultWorld);
-            saveWorldsData();
+    // 1. 检查并渲染引用部分
+    if (message.quote) {
+        const quoteWrapper = document.createElement('div');
+        quoteWrapper.className = 'quoted-message-wrapper';
 
-            // 预设地图上的大头针地点
-            const mapKey = `mapPins_DEFAULT_WORLD`;
-            if (!localStorage.getItem(mapKey)) {
-                localStorage.setItem(mapKey, JSON.stringify(DEFAULT_MAP_LOCATIONS));
-            }
+        let quotedContent = message.quote.text;
+        if (quotedContent.trim().startsWith('<img')) {
+            quotedContent = '[图片]';
         }
 
-        // 🔥 强制锁定当前世界ID为默认世界
-        currentWorldId = 'DEFAULT_WORLD';
-        localStorage.setItem('currentWorldId', currentWorldId);
-
-        console.log('✅ 世界数据已加载，已自动锁定进入默认世界');
-
-    } catch (e) {
-        console.error('加载世界数据失败:', e);
+        quoteWrapper.innerHTML = `
+            <strong class="quoted-sender">${escapeHTML(message.quote.senderName)}</strong>
+            <span class="quoted-text">${escapeHTML(quotedContent)}</span>
+        `;
+        bubble.appendChild(quoteWrapper);
     }
-}
 
+    // 2. 区分处理主消息内容（图片、代码、纯文本）
 
-let currentChatContact = null;
-let currentQuoteData = null;
+    // 2a. 如果主消息是图片
+    if (messageText.trim().startsWith('<img')) {
+        // 如果是图片，它自己就需要一个容器，而不是直接插入气泡
+        const imageContainer = document.createElement('div');
+        imageContainer.innerHTML = messageText;
 
-async function updateBattery() {
-    try {
-        if ('getBattery' in navigator) {
-            const battery = await navigator.getBattery();
+        // 为了保持样式统一，我们把图片也包装一下，并且去掉气泡的padding
+        bubble.classList.add('image-only');
+        bubble.appendChild(imageContainer.firstChild);
 
-            const updateBatteryDisplay = () => {
-                const level = Math.round(battery.level * 100);
-                const charging = battery.charging;
-                document.querySelectorAll('.status-icons').forEach(iconGroup => {
-                    const container = iconGroup.querySelector('.battery-container');
-                    const levelBar = iconGroup.querySelector('.battery-level');
-                    const text = iconGroup.querySelector('.battery-text');
-                    if (container && levelBar && text) {
-                        text.textContent = `${level}%`;
+        // 如果有引用，图片消息的padding需要特殊处理
+        if (message.quote) {
+            bubble.style.padding = '8px';
+            bubble.classList.remove('image-only');
+        }
+        return bubble;
+    }
 
-                        container.classList.toggle('charging', charging);
+    // 2b. 如果主消息包含代码块
+    const codeBlockRegex = /```([\s\S]*?)```/g;
+    if (codeBlockRegex.test(messageText)) {
+        // 这部分逻辑和之前一样，用于解析代码块和普通文本混合的内容
+        let lastIndex = 0;
+        let match;
+        codeBlockRegex.lastIndex = 0; // 重置正则的 lastIndex
 
-                        levelBar.style.width = `${level * 0.85}%`;
+        while ((match = codeBlockRegex.exec(messageText)) !== null) {
+            const precedingText = messageText.slice(lastIndex, match.index);
+            if (precedingText) {
+                const textNode = document.createElement('div');
+                textNode.className = 'main-message-text';
+                textNode.textContent = precedingText;
+                bubble.appendChild(textNode);
+            }
 
-                        levelBar.classList.toggle('low', level <= 20 && !charging);
-                    }
+            // 创建代码块... (这部分代码保持不变)
+            const codeContent = match[1].trim();
+            const wrapper = document.createElement('div');
+            wrapper.className = 'code-block-wrapper';
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            code.textContent = codeContent;
+            pre.appendChild(code);
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'copy-code-btn';
+            copyBtn.innerHTML = `<svg viewBox="0 0 24 24"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"></path></svg><span>复制</span>`;
+            copyBtn.onclick = () => {
+                navigator.clipboard.writeText(codeContent).then(() => {
+                    copyBtn.classList.add('copied');
+                    copyBtn.innerHTML = '<svg viewBox="0 0 24 24"><path d="M9 16.2L4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z"></path></svg><span>已复制</span>';
+                    setTimeout(() => {
+                        copyBtn.classList.remove('copied');
+                        copyBtn.innerHTML = '<svg viewBox="0 0 24 24"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"></path></svg><span>复制</span>';
+                    }, 2000);
+                }).catch(err => {
+                    console.error('复制失败:', err);
+                    alert('复制失败，请手动复制');
                 });
-
-                console.log(`电量已更新: ${level}% ${charging ? '(充电中)' : ''}`);
             };
 
-            updateBatteryDisplay();
-
-            battery.addEventListener('levelchange', updateBatteryDisplay);
-            battery.addEventListener('chargingchange', updateBatteryDisplay);
+            wrapper.appendChild(pre);
+            wrapper.appendChild(copyBtn);
+            bubble.appendChild(wrapper);
 
-        } else {
-            console.warn('浏览器不支持 Battery API');
+            lastIndex = codeBlockRegex.lastIndex;
         }
-    } catch (error) {
-        console.error('获取电量失败:', error);
+        const remainingText = messageText.slice(lastIndex);
+        if (remainingText) {
+            const textNode = document.createElement('div');
+            textNode.className = 'main-message-text';
+            textNode.textContent = remainingText;
+            bubble.appendChild(textNode);
+        }
+
+    } else if (messageText) {
+        // 2c. 如果主消息是纯文本
+        const textNode = document.createElement('div');
+        textNode.className = 'main-message-text';
+        textNode.textContent = messageText;
+        bubble.appendChild(textNode);
     }
-}
 
+    return bubble;
+}
 
-// ========== 开始：请用这个【修正版】函数替换旧的 updateLocation 函数 ==========
-async function updateLocation() {
-    if (locationMode !== 'real') return;
-    // [修正] 原来的选择器 '.weather-card .location' 是错误的，这里修正为 '.location-text'
-    const locationElement = document.querySelector('.location-text');
-    if (!locationElement) {
-        // [优化] 增加错误提示，方便调试
-        console.error("代码错误：未能找到用于显示位置的 .location-text 元素。");
-        return;
-    }
+// =================================================================
+// 修复 1: 修改 ID，确保长度大于 2 位，且只包含字母数字下划线
+// =================================================================
 
-    try {
-        if (!navigator.geolocation) {
-            console.warn('浏览器不支持地理定位');
-            locationElement.textContent = '无法定位';
-            return;
-        }
+// 步骤一：将 const 修改为 let，以便后续从 localStorage 加载数据
+// =================================================================
+// 修复 1: 修改 ID，确保长度大于 2 位，且只包含字母数字下划线
+// =================================================================
 
-        navigator.geolocation.getCurrentPosition(
-            async (position) => {
-                const lat = position.coords.latitude;
-                const lon = position.coords.longitude;
+// 步骤一：将 const 修改为 let，以便后续从 localStorage 加载数据
+// 【学校学习场景 - 内置角色扩展】
+let contactsData = [
+    {
+        id: 'contact_01',
+        name: '代码助手',
+        avatar: '🤖',
+        status: '我是你的AI编程助手，有代码问题随时问我。'
+    },
+    {
+        id: 'school_teacher_li',
+        name: '李老师(语文)',
+        avatar: '👩‍🏫',
+        status: '腹有诗书气自华。同学，关于作文或古诗词有什么不理解的吗？我是李老师，随时为你解答。',
+        voiceId: 'female-qn-yuxin' // 知性女声
+    },
+    {
+        id: 'school_math_rep',
+        name: '数学课代表阿伟',
+        avatar: '🤓',
+        status: '数学其实就是逻辑游戏。哪道题卡住了？发给我，我帮你看看思路。',
+        voiceId: 'male-qn-qingse' // 青涩男声
+    },
+    {
+        id: 'school_teacher_smith',
+        name: 'Mr. Smith (English)',
+        avatar: '👨‍🦰',
+        status: 'Hello! Don\'t be shy, speaking is the key to learning English. Let\'s chat! (我是你的外教Smith，鼓励你多用英语交流)',
+        voiceId: 'male-qn-jingying' // 精英男声
+    },
+    {
+        id: 'school_monitor',
+        name: '学习委员',
+        avatar: '👧',
+        status: '今天的作业都记下来了吗？还有下周的考试复习计划制定得怎么样了？别偷懒哦！',
+        voiceId: 'female-qn-tianmei' // 甜美女声
+    }
+];
 
-                console.log('成功获取位置坐标:', lat, lon);
 
-                // 备注：这里使用了高德API，你需要替换 'YOUR_AMAP_KEY' 为你自己的有效Key
-                try {
-                    const response = await fetch(
-                        `https://restapi.amap.com/v3/geocode/regeo?location=${lon},${lat}&key=66dfab01a25cfe9002858086538601e6&extensions=base`
-                    );
+// ========== 修正后的密友数据数组 (去重) ==========
+let sweetheartContactsData = [
+    {
+        id: 'SH_default_001',
+        name: '贴心小助手',
+        status: '随时准备好聆听你的心事~',
+        avatar: '💖',
+        personality: '温柔体贴',
+        relationship: '最好的朋友',
+        voiceId: 'female-qn-yuxin',
+        boundWorldbooks: []
+    },
+    {
+        id: 'SH_school_senior',
+        name: '温柔学长',
+        avatar: 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1762916602985_qdqqd_avatar_boy1.png',
+        status: '累了吗？把肩膀借你靠一会儿。',
+        personality: '稳重, 治愈, 有安全感',
+        occupation: '学生会主席',
+        relationship: '暗恋对象 / 邻家大哥哥',
+        history: '一直在默默关注你，会在你考试失利时给你递热牛奶。',
+        voiceId: 'male-qn-qingse',
+        boundWorldbooks: []
+    },
+    {
+        id: 'SH_school_mate',
+        name: '同桌妙妙',
+        avatar: 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1762916655123_qdqqd_avatar_girl1.png',
+        status: '别愁眉苦脸啦，放学请你吃关东煮！',
+        personality: '活泼, 讲义气, 话痨',
+        occupation: '高中生',
+        relationship: '从小一起长大的死党',
+        history: '帮你抄过作业，也和你一起在走廊罚过站。',
+        voiceId: 'female-qn-tianmei',
+        boundWorldbooks: []
+    },
+    {
+        id: 'SH_psychology_senior', // 🔥 修改ID，防止与小助手重复
+        name: '心理社学姐',
+        status: '秘密说出来就不重了，我会替你保密的。',
+        avatar: '👩‍🏫',
+        personality: '知性, 善解人意, 温柔',
+        occupation: '心理社社长',
+        relationship: '值得信赖的倾听者',
+        history: '在学校天台发现过哭泣的你，从此成为了你专属的树洞。',
+        voiceId: 'female-qn-yuxin',
+        boundWorldbooks: []
+    },
+    {
+        id: 'SH_school_hunk',
+        name: '高冷校草',
+        avatar: '😎',
+        status: '啧，又是谁欺负你了？报我名字。',
+        personality: '嘴硬心软, 霸道, 护短',
+        occupation: '篮球队队长',
+        relationship: '欢喜冤家',
+        history: '虽然总是嫌你笨，但每次你需要帮忙时他跑得比谁都快。',
+        voiceId: 'male-qn-jingying',
+        boundWorldbooks: []
+    },
+    {
+        id: 'SH_school_junior',
+        name: '元气学妹',
+        avatar: '🎀',
+        status: '前辈，这道题我不会，可以教教我吗？(星星眼)',
+        personality: '天真, 热情, 崇拜你',
+        occupation: '广播站播音员',
+        relationship: '你的小迷妹',
+        history: '每天中午都会在广播里给你点歌，虽然从来不敢说是谁点的。',
+        voiceId: 'female-qn-tianmei',
+        boundWorldbooks: []
+    }
+];
 
-                    if (response.ok) {
-                        const data = await response.json();
-                        if (data.status === '1' && data.regeocode) {
-                            const address = data.regeocode.addressComponent;
-                            const district = address.district || address.city || '未知位置';
-                            locationElement.textContent = district; // 更新UI
-                            console.log('高德地址解析成功:', district);
-                            return; // 成功后提前退出
-                        }
-                    }
-                } catch (error) {
-                    console.warn('高德API解析失败, 将尝试使用备用方案。错误:', error);
-                }
 
-                // 如果高德API失败，则使用备用方案 (OpenStreetMap)
-                try {
-                    const response = await fetch(
-                        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&accept-language=zh-CN`
-                    );
+// ========== 联系人库多选功能全局变量 ==========
+let libraryOnlyContactsData = []; // 仅存在于联系人库的联系人
+let isMultiSelectMode = false; // 是否处于多选模式
+let selectedContactIds = new Set(); // 选中的联系人ID集合
 
-                    if (response.ok) {
-                        const data = await response.json();
-                        const address = data.address;
-                        const location = address.city || address.town || address.village ||
-                            address.county || address.state || '未知位置';
-                        locationElement.textContent = location; // 更新UI
-                        console.log('备用方案地址解析成功:', location);
-                    }
-                } catch (error) {
-                    console.error('备用方案地址解析也失败了:', error);
-                    locationElement.textContent = `坐标:${lat.toFixed(2)},${lon.toFixed(2)}`;
-                }
-            },
-            (error) => {
-                console.warn('获取地理位置失败:', error.message);
-                if (error.code === 1) { // PERMISSION_DENIED
-                    locationElement.textContent = '未授权定位';
-                } else {
-                    locationElement.textContent = '定位失败';
-                }
-            }, {
-                enableHighAccuracy: false,
-                timeout: 10000,
-                maximumAge: 600000
-            }
-        );
-    } catch (error) {
-        console.error('地理定位功能出现未知错误:', error);
-    }
-}
 
-// ========== 结束：替换完成 ==========
+// ========== 世界系统数据 ==========
+let worldsData = []; // 存储所有世界
+let currentWorldId = null; // 当前选中的世界ID
 
+// ========== 世界系统功能 ==========
 
-function toggleWeatherSelector(event) {
-    event.stopPropagation();
-    const popup = document.getElementById('weatherPopup');
-    if (popup.style.display === 'none') {
-        popup.style.display = 'block';
-    } else {
-        popup.style.display = 'none';
-    }
-}
+// ========== 世界管理 - 开始 ==========
 
-function selectWeather(weatherType, event) {
-    event.stopPropagation();
+const DEFAULT_WORLD_ID = 'DEFAULT_WORLD';
 
-    const weatherIcons = {
-        sunny: '☀️',
-        cloudy: '☁️',
-        rainy: '🌧️',
-        snowy: '❄️'
+/**
+ * 打开世界管理页面
+ */
+function openWorldSelect() {
+    renderWorldSelect();
+    document.getElementById('worldSelectPage').classList.add('show');
+}
+
+function closeWorldSelect() {
+    document.getElementById('worldSelectPage').classList.remove('show');
+}
+
+/**
+ * 渲染世界列表：正在使用的世界、新建按钮、已归档的世界
+ */
+function renderWorldSelect() {
+    const container = document.getElementById('worldSelectContent');
+    const activeWorlds = worldsData.filter(w => !w.archived);
+    const archivedWorlds = worldsData.filter(w => w.archived);
+
+    const renderCard = world => {
+        const isCurrent = world.id === currentWorldId;
+        const actions = world.archived
+            ? `<button onclick="event.stopPropagation(); setWorldArchived('${world.id}', false)">恢复</button>`
+            : `<button onclick="event.stopPropagation(); duplicateWorld('${world.id}')">复制</button>` +
+            (world.id !== DEFAULT_WORLD_ID ? `<button onclick="event.stopPropagation(); setWorldArchived('${world.id}', true)">归档</button>` : '');
+        const deleteBtn = world.id !== DEFAULT_WORLD_ID
+            ? `<button class="danger" onclick="event.stopPropagation(); deleteWorld('${world.id}')">删除</button>`
+            : '';
+        return `
+            <div class="world-card ${isCurrent ? 'current' : ''} ${world.archived ? 'archived' : ''}"
+                 ${world.archived ? '' : `onclick="switchWorld('${world.id}')"`}>
+                ${isCurrent ? '<div class="world-card-badge">当前</div>' : ''}
+                <div class="world-card-icon">${escapeHTML(world.icon || '🌍')}</div>
+                <div class="world-card-name">${escapeHTML(world.name)}</div>
+                <div class="world-card-desc">${escapeHTML(world.description || '还没有描述')}</div>
+                <div class="world-card-contacts">${(world.contacts || []).length} 位密友 · ${(world.worldbooks || []).length} 条世界书</div>
+                <div class="world-card-actions">${actions}${deleteBtn}</div>
+            </div>
+        `;
     };
 
-    const currentIcon = document.getElementById('currentWeatherIcon');
-    if (currentIcon) {
-        currentIcon.textContent = weatherIcons[weatherType];
-    }
+    container.innerHTML = activeWorlds.map(renderCard).join('') + `
+        <div class="world-card new-world" onclick="createWorld()">
+            <div class="world-card-icon">＋</div>
+            <div class="world-card-name">新建世界</div>
+        </div>
+    ` + (archivedWorlds.length > 0
+        ? `<div class="world-archived-title">已归档</div>` + archivedWorlds.map(renderCard).join('')
+        : '');
+}
 
-    document.querySelectorAll('.weather-option').forEach(option => {
-        option.classList.remove('active');
-    });
+/**
+ * 切换当前世界：密友列表、世界书、地图和状态同步组都随之切换
+ * @param {string} worldId
+ */
+function switchWorld(worldId) {
+    const world = worldsData.find(w => w.id === worldId);
+    if (!world || world.archived) return;
 
-    const selectedOption = document.querySelector(`[data-weather="${weatherType}"]`);
-    if (selectedOption) {
-        selectedOption.classList.add('active');
+    currentWorldId = worldId;
+    localStorage.setItem('currentWorldId', worldId);
+    closeWorldSelect();
+    closeWorldMapPopup();
+    openSweetheartList();
+}
+
+/**
+ * 新建一个空白世界并进入它的设定编辑
+ */
+function createWorld() {
+    const name = prompt('给新世界起个名字：');
+    if (name === null) return;
+    if (!name.trim()) {
+        alert('世界名称不能为空哦');
+        return;
     }
 
-    localStorage.setItem('selectedWeather', weatherType);
+    const world = {
+        id: 'WORLD_' + Date.now(),
+        name: name.trim(),
+        description: '',
+        icon: '🌍',
+        mapUrl: '',
+        contacts: [],
+        worldbooks: [],
+        timestamp: Date.now()
+    };
+    worldsData.push(world);
+    saveWorldsData();
+    switchWorld(world.id);
+    openWorldSettings();
+}
 
-    document.getElementById('weatherPopup').style.display = 'none';
+/**
+ * 复制世界：设定、密友名单、世界书、地图地点、状态同步组和状态栏字段一起复制（聊天记录不复制）
+ * @param {string} worldId
+ */
+function duplicateWorld(worldId) {
+    const source = worldsData.find(w => w.id === worldId);
+    if (!source) return;
 
-    console.log(`已选择天气: ${weatherType}`);
-}
+    const copy = {
+        ...JSON.parse(JSON.stringify(source)),
+        id: 'WORLD_' + Date.now(),
+        name: `${source.name} 副本`,
+        archived: false,
+        timestamp: Date.now()
+    };
+    worldsData.push(copy);
+    saveWorldsData();
 
-function editMood(event) {
-    event.stopPropagation();
+    [ROOT_MAP_ID, ...Object.keys(source.subMaps || {})].forEach(mapId => {
+        const pins = localStorage.getItem(getMapPinsKey(worldId, mapId));
+        if (pins) localStorage.setItem(getMapPinsKey(copy.id, mapId), pins);
+    });
+    // 日程跟着地图一起复制，位置和移动记录不复制
+    if (mapTravelData[worldId]?.schedules) {
+        mapTravelData[copy.id] = {positions: {}, log: [], schedules: JSON.parse(JSON.stringify(mapTravelData[worldId].schedules))};
+        saveMapTravelData();
+    }
 
-    const moodTextEl = document.getElementById('moodText');
-    const currentMood = moodTextEl.classList.contains('empty') ? '' : moodTextEl.textContent;
+    const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
+    if (allSyncGroups[worldId]) {
+        allSyncGroups[copy.id] = [...allSyncGroups[worldId]];
+        localStorage.setItem('worldStatusSyncGroups', JSON.stringify(allSyncGroups));
+    }
 
-    const newMood = prompt('输入你的心情：', currentMood);
+    if (statusSchemas[`world:${worldId}`]) {
+        statusSchemas[`world:${copy.id}`] = JSON.parse(JSON.stringify(statusSchemas[`world:${worldId}`]));
+        saveStatusSchemas();
+    }
 
-    if (newMood !== null) {
-        if (newMood.trim() === '') {
-            moodTextEl.textContent = '点击填写心情...';
-            moodTextEl.classList.add('empty');
-        } else {
-            moodTextEl.textContent = newMood.trim();
-            moodTextEl.classList.remove('empty');
-        }
+    renderWorldSelect();
+    showSuccessModal('复制成功', `已创建「${copy.name}」`);
+}
 
-        localStorage.setItem('userMood', newMood.trim());
+/**
+ * 归档或恢复世界；归档当前世界时回到默认世界
+ * @param {string} worldId
+ * @param {boolean} archived
+ */
+function setWorldArchived(worldId, archived) {
+    const world = worldsData.find(w => w.id === worldId);
+    if (!world || worldId === DEFAULT_WORLD_ID) return;
+
+    world.archived = archived;
+    saveWorldsData();
+    if (archived && currentWorldId === worldId) {
+        currentWorldId = DEFAULT_WORLD_ID;
+        localStorage.setItem('currentWorldId', currentWorldId);
+        renderSweetheartList();
     }
+    renderWorldSelect();
 }
 
-function loadSavedMoodAndWeather() {
-    const weatherIcons = {
-        sunny: '☀️',
-        cloudy: '☁️',
-        rainy: '🌧️',
-        snowy: '❄️'
-    };
+/**
+ * 删除世界及它的各层地图（含 ImageDB 里的地图图片）、移动记录、状态同步组和状态栏字段
+ * 世界里的密友移到默认世界，聊天记录保留
+ * @param {string} worldId
+ */
+function deleteWorld(worldId) {
+    const world = worldsData.find(w => w.id === worldId);
+    if (!world || worldId === DEFAULT_WORLD_ID) return;
+    if (!confirm(`确定删除世界「${world.name}」吗？地图和世界设定会一并删除，里面的密友会移到默认世界，聊天记录会保留。`)) return;
 
-    const savedMood = localStorage.getItem('userMood');
-    const moodTextEl = document.getElementById('moodText');
-    if (savedMood && moodTextEl) {
-        moodTextEl.textContent = savedMood;
-        moodTextEl.classList.remove('empty');
+    worldsData = worldsData.filter(w => w.id !== worldId);
+    const defaultWorld = worldsData.find(w => w.id === DEFAULT_WORLD_ID);
+    if (defaultWorld) {
+        defaultWorld.contacts = [...new Set([...(defaultWorld.contacts || []), ...(world.contacts || [])])];
+    }
+    saveWorldsData();
+    // 先从 worldsData 移除再删地图，这样只有副本世界还在用的图片会保留
+    removeMapTree(world, ROOT_MAP_ID);
+    if (mapTravelData[worldId]) {
+        delete mapTravelData[worldId];
+        saveMapTravelData();
     }
 
-    const savedWeather = localStorage.getItem('selectedWeather') || 'sunny';
-    const currentIcon = document.getElementById('currentWeatherIcon');
-    if (currentIcon) {
-        currentIcon.textContent = weatherIcons[savedWeather];
+    const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
+    delete allSyncGroups[worldId];
+    localStorage.setItem('worldStatusSyncGroups', JSON.stringify(allSyncGroups));
+
+    if (statusSchemas[`world:${worldId}`]) {
+        delete statusSchemas[`world:${worldId}`];
+        saveStatusSchemas();
     }
 
-    document.querySelectorAll('.weather-option').forEach(option => {
-        option.classList.remove('active');
-    });
-    const selectedOption = document.querySelector(`[data-weather="${savedWeather}"]`);
-    if (selectedOption) {
-        selectedOption.classList.add('active');
+    if (currentWorldId === worldId) {
+        currentWorldId = DEFAULT_WORLD_ID;
+        localStorage.setItem('currentWorldId', currentWorldId);
+        renderSweetheartList();
     }
+    renderWorldSelect();
 }
 
-document.addEventListener('click', function (e) {
-    const popup = document.getElementById('weatherPopup');
-    const weatherDisplay = document.querySelector('.weather-display');
-    if (popup && !popup.contains(e.target) && !weatherDisplay.contains(e.target)) {
-        popup.style.display = 'none';
-    }
-});
+// ========== 世界管理 - 结束 ==========
 
-const dbAPI = {
-    async saveData(data) {
-        if (!globalConfig.database.client) {
-            console.warn('数据库未初始化，请先配置Supabase');
-            return {success: false, message: '数据库未初始化'};
-        }
-
-        try {
-            const {data: result, error} = await globalConfig.database.client
-                .from(globalConfig.database.tableName)
-                .insert(data);
-
-            if (error) throw error;
-            return {success: true, data: result};
-        } catch (error) {
-            console.error('保存数据失败:', error);
-            return {success: false, message: error.message};
-        }
-    },
-
-    async getData(filters = {}) {
-        if (!globalConfig.database.client) {
-            console.warn('数据库未初始化');
-            return {success: false, data: []};
-        }
-
-        try {
-            const {data, error} = await globalConfig.database.client
-                .from(globalConfig.database.tableName)
-                .select();
-
-            if (error) throw error;
-            return {success: true, data};
-        } catch (error) {
-            console.error('获取数据失败:', error);
-            return {success: false, data: []};
-        }
-    }
-};
 
-const storageAPI = {
-    async uploadFile(file, customPath = '') {
-        if (!globalConfig.database.client) {
-            console.warn('云存储未初始化，请先配置Supabase');
-            return {success: false, url: null};
-        }
+/**
+ * 打开指定世界的通讯录
+ */
+function openWorldContacts(worldId) {
+    const world = worldsData.find(w => w.id === worldId);
+    if (!world) return;
 
-        try {
-            const {bucketName, uploadPath} = globalConfig.storage;
-            const filePath = `${uploadPath}${customPath || file.name}`;
+    // 你可以在这里更新contactsPage的标题，例如显示世界名称
+    // 假设contactsPage的header有一个id为'contactsTitle'的元素
+    // const contactsTitleEl = document.getElementById('contactsTitle');
+    // if (contactsTitleEl) contactsTitleEl.textContent = world.name + '通讯录';
 
-            const {data, error} = await globalConfig.database.client.storage
-                .from(bucketName)
-                .upload(filePath, file);
+    document.getElementById('contactsPage').classList.add('show');
 
-            if (error) throw error;
+    // 根据世界的联系人ID列表，筛选出对应的联系人
+    const worldContacts = contactsData.filter(contact =>
+        world.contacts && world.contacts.includes(String(contact.id))
+    );
 
-            const {data: urlData} = globalConfig.database.client.storage
-                .from(bucketName)
-                .getPublicUrl(filePath);
+    renderContacts(worldContacts); // 渲染该世界的联系人
+}
 
-            console.log('文件上传成功:', urlData.publicUrl);
-            return {success: true, url: urlData.publicUrl};
-        } catch (error) {
-            console.error('文件上传失败:', error);
-            return {success: false, url: null, message: error.message};
-        }
-    }
-};
+/**
+ * 渲染世界书复选框列表
+ * @param {Array<string>} [selectedIds] - 已绑定到世界的条目
+ */
+function renderWorldWorldbooksList(selectedIds = []) {
+    const container = document.getElementById('worldWorldbooksList');
 
-//// 1. 修改 appsPage1：适应 2列 x 3行 布局
-const appsPage1 = [
-    {
-        id: 'worldbook',
-        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760105951573_qdqqd_4zhn48.png',
-        label: '世界书',
-        row: 0, col: 0, // 第1行，左
-        clickable: true
-    },
-    {
-        id: 'calc',
-        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760107619286_qdqqd_tzxf3r.png',
-        label: '账单',
-        row: 0, col: 1, // 第1行，右
-        clickable: true
-    },
-    {
-        id: 'settings',
-        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760110940876_qdqqd_ev1xec.png',
-        label: '设置',
-        row: 1, col: 0, // 第2行，左
-        clickable: true
-    },
-    {
-        id: 'novel',
-        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760117195210_qdqqd_k1cy4r.png',
-        label: '阅读',
-        row: 1, col: 1, // 第2行，右
-        clickable: true
-    },
-    {
-        id: 'study_mode',
-        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760103483956_qdqqd_ufc76a.png',
-        label: '学习模式',
-        row: 2, col: 0, // 第3行，左
-        clickable: true
-    },
-    {
-        id: 'chat_mode',
-        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760094934930_qdqqd_5lvg07.png',
-        label: '闲聊模式',
-        row: 2, col: 1, // 第3行，右
-        clickable: true
+    if (worldbookData.length === 0) {
+        container.innerHTML = '<div style="text-align: center; color: #7FB5D1; padding: 20px; font-size: 13px;">还没有世界书哦~</div>';
+        return;
     }
-];
 
+    container.innerHTML = '';
 
-// ========== 结束：替换完成 ==========
+    worldbookData.forEach(wb => {
+        const item = document.createElement('div');
+        item.className = 'world-wb-item';
 
-const state = {
-    currentPage: 1,
-    draggedElement: null,
-    isDragging: false,
-    isEditMode: false,
-    hasDragged: false,
-    dragStart: {x: 0, y: 0},
-    dragOffset: {x: 0, y: 0},
-    longPressTimer: null,
-    swipeStart: {x: 0, time: 0},
-    isSwipingPage: false,
-    initialTransform: 0,
-    swipeMoveScheduled: false, // <--- 新增
-    lastSwipeTranslateX: 0,
-    appLayouts: {
-        page1: appsPage1
-    },
-    lastDragEndTime: 0, // ✅ 新增：记录最后一次拖动结束的时间
-    isDraggingFromDock: false,  // 🔧 新增这一行
-    dragMoveScheduled: false // <--- 新增
-};
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `world-wb-${wb.id}`;
+        checkbox.value = wb.id;
+        checkbox.checked = selectedIds.includes(wb.id);
 
+        const label = document.createElement('label');
+        label.htmlFor = `world-wb-${wb.id}`;
+        label.textContent = wb.title;
 
-const screen = document.getElementById('screen');
-const pagesWrapper = document.getElementById('pagesWrapper');
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        container.appendChild(item);
+    });
+}
 
-const getTouch = (e) => e.touches?.[0] || e;
-const getChangedTouch = (e) => e.changedTouches?.[0] || e;
+/* ========== 新增：世界地图功能相关函数 ========== */
 
-function positionElement(el, row, col, colspan = 1, rowspan = 1) {
-    const ROW_HEIGHT_PX = 110;
-    const GAP_PX = 8;
+/**
+ * 切换地图选项的显示/隐藏
+ */
+function toggleWorldMapOptions() {
+    const optionsEl = document.getElementById('worldMapOptions');
+    if (optionsEl.style.display === 'flex') {
+        optionsEl.style.display = 'none';
+    } else {
+        optionsEl.style.display = 'flex';
+    }
+}
 
-    // 🔴 修改点：改成乘以 50 (因为 100% / 2列 = 50%)
-    const leftPercent = col * 50;
-    const widthPercent = colspan * 50;
+/**
+ * 选择默认地图
+ */
+function selectDefaultMap() {
+    // 这是你提供的默认地图URL
+    const defaultMapUrl = 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1760979959274_qdqqd_m9jrpo.jpg';
 
-    const topPx = row * (ROW_HEIGHT_PX + GAP_PX);
-    const heightPx = (rowspan * ROW_HEIGHT_PX) + ((rowspan - 1) * GAP_PX);
+    // 获取DOM元素
+    const previewImg = document.getElementById('worldMapPreview');
+    const placeholder = document.getElementById('worldMapPlaceholder');
 
-    Object.assign(el.style, {
-        left: `${leftPercent}%`,
-        width: `${widthPercent}%`,
-        top: `${topPx}px`,
-        height: `${heightPx}px`
-    });
-}
+    // 更新图片预览
+    previewImg.src = defaultMapUrl;
+    previewImg.style.display = 'block';
+    placeholder.style.display = 'none';
 
+    // 选择后隐藏选项菜单
+    document.getElementById('worldMapOptions').style.display = 'none';
 
-function showEditHint(show) {
-    const hint = document.getElementById(state.currentPage === 1 ? 'editHint1' : 'editHint2');
-    hint.classList.toggle('show', show);
+    // 给用户一个成功的提示
+    showSuccessModal('选择成功', '已应用默认地图。');
 }
 
-function showDeleteButtons(show) {
-    const timeCard = document.getElementById('timeCard');
-    if (timeCard) {
-        timeCard.classList.toggle('show-delete', show);
-    }
 
-    const weatherCard = document.getElementById('weatherCard');
-    if (weatherCard) {
-        weatherCard.classList.toggle('show-delete', show);
+/**
+ * 保存世界数据到localStorage
+ */
+function saveWorldsData() {
+    try {
+        localStorage.setItem('phoneWorldsData', JSON.stringify(worldsData));
+    } catch (e) {
+        console.error('保存世界数据失败:', e);
     }
-
-    // ✅ 修复：同时选择 .widget 和 .cat-widget
-    document.querySelectorAll('.widget, .cat-widget').forEach(widget => {
-        widget.classList.toggle('show-delete', show);
-    });
 }
 
-function exitEditMode() {
-    if (state.isEditMode && !state.isDragging) {
-        state.isEditMode = false;
-        showEditHint(false);
-        showDeleteButtons(false);
-        state.hasDragged = false;
-    }
-}
+// [修正版] 加载世界数据（确保包含所有默认密友ID）
+function loadWorldsData() {
+    try {
+        const saved = localStorage.getItem('phoneWorldsData');
 
-/**
- *  helper function: 创建设置页面的完整HTML结构
- * @returns {string} - 包含设置页面所有内容的HTML字符串
- */
-function createSettingsPageHTML() {
-    // 这里我们将原本在 index.html 中的代码，变成了一个返回字符串的函数
+        // 🗺️ 默认地图链接 (你想要的默认地图)
+        const defaultMapUrl = 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1760979959274_qdqqd_m9jrpo.jpg';
+
+        // 🔥 核心逻辑：定义默认世界，并把所有密友ID都塞进去
+        const defaultWorld = {
+            id: 'DEFAULT_WORLD',
+            name: '默认世界',
+            description: '初始设定的世界',
+            icon: '🌏',
+            mapUrl: defaultMapUrl, // 这里设置了默认地图
+            // 👇 这里列出所有内置密友的ID，确保他们能显示出来
+            contacts: [
+                'SH_default_001',
+                'SH_school_senior',
+                'SH_school_mate',
+                'SH_psychology_senior',
+                'SH_school_hunk',
+                'SH_school_junior'
+            ],
+            worldbooks: [],
+            timestamp: Date.now()
+        };
+
+        if (saved) {
+            worldsData = JSON.parse(saved);
+
+            // 🔥 自动修复逻辑：检查当前数据里有没有 DEFAULT_WORLD
+            // 如果老用户以前存过数据，我们要把新的地图和联系人补进去
+            let existingDefaultWorld = worldsData.find(w => w.id === 'DEFAULT_WORLD');
+
+            if (!existingDefaultWorld) {
+                // 如果找不到默认世界，就加进去
+                worldsData.unshift(defaultWorld);
+                existingDefaultWorld = defaultWorld;
+            } else {
+                // 如果找到了，检查是否缺地图或联系人，给它补全
+                let hasChanges = false;
+
+                // 1. 补全地图
+                if (!existingDefaultWorld.mapUrl) {
+                    existingDefaultWorld.mapUrl = defaultMapUrl;
+                    hasChanges = true;
+                }
+
+                // 2. 补全缺失的密友ID
+                defaultWorld.contacts.forEach(id => {
+                    if (!existingDefaultWorld.contacts.includes(id)) {
+                        existingDefaultWorld.contacts.push(id);
+                        hasChanges = true;
+                    }
+                });
+
+                if (hasChanges) {
+                    saveWorldsData();
+                    console.log('✅ 已自动修复默认世界的地图和联系人列表');
+                }
+            }
+        } else {
+            // 首次安装，直接写入默认世界
+            worldsData.push(defaultWorld);
+            saveWorldsData();
+
+            // 预设地图上的大头针地点
+            const mapKey = `mapPins_DEFAULT_WORLD`;
+            if (!localStorage.getItem(mapKey)) {
+                localStorage.setItem(mapKey, JSON.stringify(DEFAULT_MAP_LOCATIONS));
+            }
+        }
+
+        // 回到上次所在的世界；找不到或已归档时进入默认世界
+        const savedWorld = worldsData.find(w => w.id === localStorage.getItem('currentWorldId') && !w.archived);
+        currentWorldId = savedWorld ? savedWorld.id : DEFAULT_WORLD_ID;
+        localStorage.setItem('currentWorldId', currentWorldId);
+
+        console.log(`✅ 世界数据已加载，当前世界: ${currentWorldId}`);
+
+    } catch (e) {
+        console.error('加载世界数据失败:', e);
+    }
+}
+
+
+let currentChatContact = null;
+let currentQuoteData = null;
+
+async function updateBattery() {
+    try {
+        if ('getBattery' in navigator) {
+            const battery = await navigator.getBattery();
+
+            const updateBatteryDisplay = () => {
+                const level = Math.round(battery.level * 100);
+                const charging = battery.charging;
+                document.querySelectorAll('.status-icons').forEach(iconGroup => {
+                    const container = iconGroup.querySelector('.battery-container');
+                    const levelBar = iconGroup.querySelector('.battery-level');
+                    const text = iconGroup.querySelector('.battery-text');
+                    if (container && levelBar && text) {
+                        text.textContent = `${level}%`;
+
+                        container.classList.toggle('charging', charging);
+
+                        levelBar.style.width = `${level * 0.85}%`;
+
+                        levelBar.classList.toggle('low', level <= 20 && !charging);
+                    }
+                });
+
+                console.log(`电量已更新: ${level}% ${charging ? '(充电中)' : ''}`);
+            };
+
+            updateBatteryDisplay();
+
+            battery.addEventListener('levelchange', updateBatteryDisplay);
+            battery.addEventListener('chargingchange', updateBatteryDisplay);
+
+        } else {
+            console.warn('浏览器不支持 Battery API');
+        }
+    } catch (error) {
+        console.error('获取电量失败:', error);
+    }
+}
+
+
+// ========== 开始：请用这个【修正版】函数替换旧的 updateLocation 函数 ==========
+async function updateLocation() {
+    if (locationMode !== 'real') return;
+    // [修正] 原来的选择器 '.weather-card .location' 是错误的，这里修正为 '.location-text'
+    const locationElement = document.querySelector('.location-text');
+    if (!locationElement) {
+        // [优化] 增加错误提示，方便调试
+        console.error("代码错误：未能找到用于显示位置的 .location-text 元素。");
+        return;
+    }
+
+    try {
+        if (!navigator.geolocation) {
+            console.warn('浏览器不支持地理定位');
+            locationElement.textContent = '无法定位';
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            async (position) => {
+                const lat = position.coords.latitude;
+                const lon = position.coords.longitude;
+
+                console.log('成功获取位置坐标:', lat, lon);
+
+                // 备注：这里使用了高德API，你需要替换 'YOUR_AMAP_KEY' 为你自己的有效Key
+                try {
+                    const response = await fetch(
+                        `https://restapi.amap.com/v3/geocode/regeo?location=${lon},${lat}&key=66dfab01a25cfe9002858086538601e6&extensions=base`
+                    );
+
+                    if (response.ok) {
+                        const data = await response.json();
+                        if (data.status === '1' && data.regeocode) {
+                            const address = data.regeocode.addressComponent;
+                            const district = address.district || address.city || '未知位置';
+                            locationElement.textContent = district; // 更新UI
+                            console.log('高德地址解析成功:', district);
+                            return; // 成功后提前退出
+                        }
+                    }
+                } catch (error) {
+                    console.warn('高德API解析失败, 将尝试使用备用方案。错误:', error);
+                }
+
+                // 如果高德API失败，则使用备用方案 (OpenStreetMap)
+                try {
+                    const response = await fetch(
+                        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&accept-language=zh-CN`
+                    );
+
+                    if (response.ok) {
+                        const data = await response.json();
+                        const address = data.address;
+                        const location = address.city || address.town || address.village ||
+                            address.county || address.state || '未知位置';
+                        locationElement.textContent = location; // 更新UI
+                        console.log('备用方案地址解析成功:', location);
+                    }
+                } catch (error) {
+                    console.error('备用方案地址解析也失败了:', error);
+                    locationElement.textContent = `坐标:${lat.toFixed(2)},${lon.toFixed(2)}`;
+                }
+            },
+            (error) => {
+                console.warn('获取地理位置失败:', error.message);
+                if (error.code === 1) { // PERMISSION_DENIED
+                    locationElement.textContent = '未授权定位';
+                } else {
+                    locationElement.textContent = '定位失败';
+                }
+            }, {
+                enableHighAccuracy: false,
+                timeout: 10000,
+                maximumAge: 600000
+            }
+        );
+    } catch (error) {
+        console.error('地理定位功能出现未知错误:', error);
+    }
+}
+
+// ========== 结束：替换完成 ==========
+
+
+function toggleWeatherSelector(event) {
+    event.stopPropagation();
+    const popup = document.getElementById('weatherPopup');
+    if (popup.style.display === 'none') {
+        popup.style.display = 'block';
+    } else {
+        popup.style.display = 'none';
+    }
+}
+
+function selectWeather(weatherType, event) {
+    event.stopPropagation();
+
+    const weatherIcons = {
+        sunny: '☀️',
+        cloudy: '☁️',
+        rainy: '🌧️',
+        snowy: '❄️'
+    };
+
+    const currentIcon = document.getElementById('currentWeatherIcon');
+    if (currentIcon) {
+        currentIcon.textContent = weatherIcons[weatherType];
+    }
+
+    document.querySelectorAll('.weather-option').forEach(option => {
+        option.classList.remove('active');
+    });
+
+    const selectedOption = document.querySelector(`[data-weather="${weatherType}"]`);
+    if (selectedOption) {
+        selectedOption.classList.add('active');
+    }
+
+    localStorage.setItem('selectedWeather', weatherType);
+
+    document.getElementById('weatherPopup').style.display = 'none';
+
+    console.log(`已选择天气: ${weatherType}`);
+}
+
+function editMood(event) {
+    event.stopPropagation();
+
+    const moodTextEl = document.getElementById('moodText');
+    const currentMood = moodTextEl.classList.contains('empty') ? '' : moodTextEl.textContent;
+
+    const newMood = prompt('输入你的心情：', currentMood);
+
+    if (newMood !== null) {
+        if (newMood.trim() === '') {
+            moodTextEl.textContent = '点击填写心情...';
+            moodTextEl.classList.add('empty');
+        } else {
+            moodTextEl.textContent = newMood.trim();
+            moodTextEl.classList.remove('empty');
+        }
+
+        localStorage.setItem('userMood', newMood.trim());
+    }
+}
+
+function loadSavedMoodAndWeather() {
+    const weatherIcons = {
+        sunny: '☀️',
+        cloudy: '☁️',
+        rainy: '🌧️',
+        snowy: '❄️'
+    };
+
+    const savedMood = localStorage.getItem('userMood');
+    const moodTextEl = document.getElementById('moodText');
+    if (savedMood && moodTextEl) {
+        moodTextEl.textContent = savedMood;
+        moodTextEl.classList.remove('empty');
+    }
+
+    const savedWeather = localStorage.getItem('selectedWeather') || 'sunny';
+    const currentIcon = document.getElementById('currentWeatherIcon');
+    if (currentIcon) {
+        currentIcon.textContent = weatherIcons[savedWeather];
+    }
+
+    document.querySelectorAll('.weather-option').forEach(option => {
+        option.classList.remove('active');
+    });
+    const selectedOption = document.querySelector(`[data-weather="${savedWeather}"]`);
+    if (selectedOption) {
+        selectedOption.classList.add('active');
+    }
+}
+
+document.addEventListener('click', function (e) {
+    const popup = document.getElementById('weatherPopup');
+    const weatherDisplay = document.querySelector('.weather-display');
+    if (popup && !popup.contains(e.target) && !weatherDisplay.contains(e.target)) {
+        popup.style.display = 'none';
+    }
+});
+
+const dbAPI = {
+    async saveData(data) {
+        if (!globalConfig.database.client) {
+            console.warn('数据库未初始化，请先配置Supabase');
+            return {success: false, message: '数据库未初始化'};
+        }
+
+        try {
+            const {data: result, error} = await globalConfig.database.client
+                .from(globalConfig.database.tableName)
+                .insert(data);
+
+            if (error) throw error;
+            return {success: true, data: result};
+        } catch (error) {
+            console.error('保存数据失败:', error);
+            return {success: false, message: error.message};
+        }
+    },
+
+    async getData(filters = {}) {
+        if (!globalConfig.database.client) {
+            console.warn('数据库未初始化');
+            return {success: false, data: []};
+        }
+
+        try {
+            const {data, error} = await globalConfig.database.client
+                .from(globalConfig.database.tableName)
+                .select();
+
+            if (error) throw error;
+            return {success: true, data};
+        } catch (error) {
+            console.error('获取数据失败:', error);
+            return {success: false, data: []};
+        }
+    }
+};
+
+const storageAPI = {
+    async uploadFile(file, customPath = '') {
+        if (!globalConfig.database.client) {
+            console.warn('云存储未初始化，请先配置Supabase');
+            return {success: false, url: null};
+        }
+
+        try {
+            const {bucketName, uploadPath} = globalConfig.storage;
+            const filePath = `${uploadPath}${customPath || file.name}`;
+
+            const {data, error} = await globalConfig.database.client.storage
+                .from(bucketName)
+                .upload(filePath, file);
+
+            if (error) throw error;
+
+            const {data: urlData} = globalConfig.database.client.storage
+                .from(bucketName)
+                .getPublicUrl(filePath);
+
+            console.log('文件上传成功:', urlData.publicUrl);
+            return {success: true, url: urlData.publicUrl};
+        } catch (error) {
+            console.error('文件上传失败:', error);
+            return {success: false, url: null, message: error.message};
+        }
+    }
+};
+
+//// 1. 修改 appsPage1：适应 2列 x 3行 布局
+const appsPage1 = [
+    {
+        id: 'worldbook',
+        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760105951573_qdqqd_4zhn48.png',
+        label: '世界书',
+        row: 0, col: 0, // 第1行，左
+        clickable: true
+    },
+    {
+        id: 'calc',
+        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760107619286_qdqqd_tzxf3r.png',
+        label: '账单',
+        row: 0, col: 1, // 第1行，右
+        clickable: true
+    },
+    {
+        id: 'settings',
+        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760110940876_qdqqd_ev1xec.png',
+        label: '设置',
+        row: 1, col: 0, // 第2行，左
+        clickable: true
+    },
+    {
+        id: 'novel',
+        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760117195210_qdqqd_k1cy4r.png',
+        label: '阅读',
+        row: 1, col: 1, // 第2行，右
+        clickable: true
+    },
+    {
+        id: 'study_mode',
+        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760103483956_qdqqd_ufc76a.png',
+        label: '学习模式',
+        row: 2, col: 0, // 第3行，左
+        clickable: true
+    },
+    {
+        id: 'chat_mode',
+        icon: 'https://s3plus.meituan.net/opapisdk/op_ticket_885190757_1760094934930_qdqqd_5lvg07.png',
+        label: '闲聊模式',
+        row: 2, col: 1, // 第3行，右
+        clickable: true
+    }
+];
+
+
+// ========== 结束：替换完成 ==========
+
+const state = {
+    currentPage: 1,
+    draggedElement: null,
+    isDragging: false,
+    isEditMode: false,
+    hasDragged: false,
+    dragStart: {x: 0, y: 0},
+    dragOffset: {x: 0, y: 0},
+    longPressTimer: null,
+    swipeStart: {x: 0, time: 0},
+    isSwipingPage: false,
+    initialTransform: 0,
+    swipeMoveScheduled: false, // <--- 新增
+    lastSwipeTranslateX: 0,
+    appLayouts: {
+        page1: appsPage1
+    },
+    lastDragEndTime: 0, // ✅ 新增：记录最后一次拖动结束的时间
+    isDraggingFromDock: false,  // 🔧 新增这一行
+    dragMoveScheduled: false // <--- 新增
+};
+
+
+const screen = document.getElementById('screen');
+const pagesWrapper = document.getElementById('pagesWrapper');
+
+const getTouch = (e) => e.touches?.[0] || e;
+const getChangedTouch = (e) => e.changedTouches?.[0] || e;
+
+function positionElement(el, row, col, colspan = 1, rowspan = 1) {
+    const ROW_HEIGHT_PX = 110;
+    const GAP_PX = 8;
+
+    // 🔴 修改点：改成乘以 50 (因为 100% / 2列 = 50%)
+    const leftPercent = col * 50;
+    const widthPercent = colspan * 50;
+
+    const topPx = row * (ROW_HEIGHT_PX + GAP_PX);
+    const heightPx = (rowspan * ROW_HEIGHT_PX) + ((rowspan - 1) * GAP_PX);
+
+    Object.assign(el.style, {
+        left: `${leftPercent}%`,
+        width: `${widthPercent}%`,
+        top: `${topPx}px`,
+        height: `${heightPx}px`
+    });
+}
+
+
+function showEditHint(show) {
+    const hint = document.getElementById(state.currentPage === 1 ? 'editHint1' : 'editHint2');
+    hint.classList.toggle('show', show);
+}
+
+function showDeleteButtons(show) {
+    const timeCard = document.getElementById('timeCard');
+    if (timeCard) {
+        timeCard.classList.toggle('show-delete', show);
+    }
+
+    const weatherCard = document.getElementById('weatherCard');
+    if (weatherCard) {
+        weatherCard.classList.toggle('show-delete', show);
+    }
+
+    // ✅ 修复：同时选择 .widget 和 .cat-widget
+    document.querySelectorAll('.widget, .cat-widget').forEach(widget => {
+        widget.classList.toggle('show-delete', show);
+    });
+}
+
+function exitEditMode() {
+    if (state.isEditMode && !state.isDragging) {
+        state.isEditMode = false;
+        showEditHint(false);
+        showDeleteButtons(false);
+        state.hasDragged = false;
+    }
+}
+
+/**
+ *  helper function: 创建设置页面的完整HTML结构
+ * @returns {string} - 包含设置页面所有内容的HTML字符串
+ */
+function createSettingsPageHTML() {
+    // 这里我们将原本在 index.html 中的代码，变成了一个返回字符串的函数
     return `
     <div class="settings-page" id="settingsPage">
         <div class="settings-header">
@@ -3461,445 +5085,3257 @@ function createSettingsPageHTML() {
             <div class="settings-title">设置</div>
         </div>
 
-        <div class="settings-content">
-            <div class="settings-section">
-                <div class="section-title">配置</div>
-               
-                <!-- 3. 全屏模式 -->
-                <div class="settings-item">
-                    <div class="settings-icon icon-fullscreen"></div>
-                    <div class="settings-info">
-                        <div class="settings-label">全屏模式</div>
-                        <div class="settings-desc">移除手机边框，享受沉浸式体验</div>
-                    </div>
-                    <div class="settings-action">
-                        <label class="toggle-switch">
-                            <input type="checkbox" id="fullscreenToggle">
-                            <span class="slider"></span>
-                        </label>
-                    </div>
-                </div>
-                
-                <!-- 5. 联系人库 -->
-                <div class="settings-item" onclick="openContactLibrary('edit')">
-                    <div class="settings-icon icon-contacts"></div>
-                    <div class="settings-info">
-                        <div class="settings-label">联系人库</div>
-                        <div class="settings-desc">管理所有密友和普通联系人</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-                <!-- 6. 面具管理 -->
-                <div class="settings-item" onclick="openMaskLibrary()">
-                    <div class="settings-icon icon-mask"></div>
-                    <div class="settings-info">
-                        <div class="settings-label">面具管理</div>
-                        <div class="settings-desc">管理你的不同人设</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-                <!-- 7. 记忆存储中心 -->
-                <div class="settings-item" onclick="openMemoryCenter()">
-                    <div class="settings-icon icon-memory"></div>
-                    <div class="settings-info">
-                        <div class="settings-label">记忆存储中心</div>
-                        <div class="settings-desc">查看AI的记忆数据</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-                <!-- 8. 美化 -->
-                <div class="settings-item" onclick="openBeautify()">
-                    <div class="settings-icon icon-beautify"></div>
-                    <div class="settings-info">
-                        <div class="settings-label">美化</div>
-                        <div class="settings-desc">自定义壁纸</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-                <!-- 9. 气泡库 -->
-                <div class="settings-item" onclick="openBubbleLibrary()">
-                    <div class="settings-icon icon-bubble"></div>
-                    <div class="settings-info">
-                        <div class="settings-label">气泡库</div>
-                        <div class="settings-desc">自定义聊天气泡样式</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-           
-            </div>
+        <div class="settings-content">
+            <div class="settings-section">
+                <div class="section-title">配置</div>
+               
+                <!-- 3. 全屏模式 -->
+                <div class="settings-item">
+                    <div class="settings-icon icon-fullscreen"></div>
+                    <div class="settings-info">
+                        <div class="settings-label">全屏模式</div>
+                        <div class="settings-desc">移除手机边框，享受沉浸式体验</div>
+                    </div>
+                    <div class="settings-action">
+                        <label class="toggle-switch">
+                            <input type="checkbox" id="fullscreenToggle">
+                            <span class="slider"></span>
+                        </label>
+                    </div>
+                </div>
+                
+                <!-- 4. AI 服务 -->
+                <div class="settings-item" onclick="openApiProviderSettings()">
+                    <div class="settings-icon" style="background: linear-gradient(135deg, #667eea, #764ba2);">🤖</div>
+                    <div class="settings-info">
+                        <div class="settings-label">AI 服务</div>
+                        <div class="settings-desc">选择对话使用的 AI 服务和模型</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+
+                <!-- 5. 联系人库 -->
+                <div class="settings-item" onclick="openContactLibrary('edit')">
+                    <div class="settings-icon icon-contacts"></div>
+                    <div class="settings-info">
+                        <div class="settings-label">联系人库</div>
+                        <div class="settings-desc">管理所有密友和普通联系人</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 6. 面具管理 -->
+                <div class="settings-item" onclick="openMaskLibrary()">
+                    <div class="settings-icon icon-mask"></div>
+                    <div class="settings-info">
+                        <div class="settings-label">面具管理</div>
+                        <div class="settings-desc">管理你的不同人设</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 7. 记忆存储中心 -->
+                <div class="settings-item" onclick="openMemoryCenter()">
+                    <div class="settings-icon icon-memory"></div>
+                    <div class="settings-info">
+                        <div class="settings-label">记忆存储中心</div>
+                        <div class="settings-desc">查看AI的记忆数据</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 7.5 聊天记录搜索 -->
+                <div class="settings-item" onclick="openChatSearch()">
+                    <div class="settings-icon" style="background: linear-gradient(135deg, #43cea2, #185a9d);">🔍</div>
+                    <div class="settings-info">
+                        <div class="settings-label">聊天记录搜索</div>
+                        <div class="settings-desc">在所有聊天、小说讨论和记账本中查找消息</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 7.6 卡片收藏 -->
+                <div class="settings-item" onclick="openRenderGallery()">
+                    <div class="settings-icon" style="background: linear-gradient(135deg, #f6d365, #fda085);">🎴</div>
+                    <div class="settings-info">
+                        <div class="settings-label">卡片收藏</div>
+                        <div class="settings-desc">收藏的互动卡片，可全屏查看、导出或放到桌面</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 8. 美化 -->
+                <div class="settings-item" onclick="openBeautify()">
+                    <div class="settings-icon icon-beautify"></div>
+                    <div class="settings-info">
+                        <div class="settings-label">美化</div>
+                        <div class="settings-desc">自定义壁纸</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 9. 气泡库 -->
+                <div class="settings-item" onclick="openBubbleLibrary()">
+                    <div class="settings-icon icon-bubble"></div>
+                    <div class="settings-info">
+                        <div class="settings-label">气泡库</div>
+                        <div class="settings-desc">自定义聊天气泡样式</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+           
+            </div>
+
+            <div class="settings-section">
+                <div class="section-title">危险区域</div>
+                <!-- 12. 清空所有数据 -->
+                <div class="settings-item" onclick="clearAllData()">
+                    <div class="settings-icon icon-danger"></div>
+                    <div class="settings-info">
+                        <div class="settings-label" style="color: #ff3b30;">清空所有数据</div>
+                        <div class="settings-desc">将删除所有设置、联系人、聊天记录和自定义内容</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+            </div>
+            
+            <!-- 新增：数据管理 -->
+            <div class="settings-section">
+                <div class="section-title">数据管理</div>
+                <!-- 导出所有数据 -->
+                <div class="settings-item" onclick="exportAppData()">
+                    <div class="settings-icon" style="background: linear-gradient(135deg, #FFD700, #FFA500);">📤</div>
+                    <div class="settings-info">
+                        <div class="settings-label">导出所有数据</div>
+                        <div class="settings-desc">备份所有设置、联系人、聊天记录、图片和小说</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 导入数据 -->
+                <div class="settings-item" onclick="importAppData()">
+                    <div class="settings-icon" style="background: linear-gradient(135deg, #98FB98, #66CDAA);">📥</div>
+                    <div class="settings-info">
+                        <div class="settings-label">导入数据</div>
+                        <div class="settings-desc">从备份文件选择性导入或完整恢复数据</div>
+                    </div>
+                    <div class="settings-arrow">›</div>
+                </div>
+                <!-- 隐藏的文件输入元素，用于导入 -->
+                <input type="file" id="importFileInput" accept=".json,.jsonl,application/json,text/plain" style="display: none;" onchange="handleFileImport(event)">
+            </div>
+        </div>
+    </div>
+    `;
+}
+
+/**
+ * helper function: 为动态创建的设置页面绑定事件监听
+ * (主要是处理那些不是通过 onclick 绑定的事件)
+ */
+function initializeSettingsPageListeners() {
+    // ===== 全屏模式开关 =====
+    const fullscreenToggle = document.getElementById('fullscreenToggle');
+    if (fullscreenToggle) {
+        // 读取并应用保存的设置
+        fullscreenToggle.checked = localStorage.getItem('fullscreenEnabled') === 'true';
+
+        // 添加事件监听
+        fullscreenToggle.addEventListener('change', function () {
+            applyFullscreenSetting(this.checked);
+            localStorage.setItem('fullscreenEnabled', this.checked);
+        });
+    }
+
+}
+
+/**
+ * 【优化版】打开设置页面
+ * 实现了按需渲染（Lazy Rendering）
+ */
+function openSettings() {
+    const screen = document.querySelector('.screen');
+    if (!screen) return;
+
+    // 检查设置页面是否已存在于DOM中
+    let settingsPage = document.getElementById('settingsPage');
+
+    // 如果不存在，则动态创建
+    if (!settingsPage) {
+        // 1. 获取HTML内容
+        const settingsHTML = createSettingsPageHTML();
+        // 2. 将HTML插入到 .screen 容器的末尾
+        screen.insertAdjacentHTML('beforeend', settingsHTML);
+        // 3. 重新获取刚刚创建的元素
+        settingsPage = document.getElementById('settingsPage');
+        // 4. 为新创建的页面绑定事件
+        initializeSettingsPageListeners();
+        console.log("设置页面DOM已动态创建并绑定事件。");
+    }
+
+    // 5. 使用 requestAnimationFrame 确保在下一帧再添加 .show 类，以触发CSS动画
+    requestAnimationFrame(() => {
+        if (settingsPage) {
+            settingsPage.classList.add('show');
+        }
+    });
+}
+
+/**
+ * 【优化版】关闭设置页面
+ * 在关闭后从DOM中移除，释放内存
+ */
+function closeSettings() {
+    const settingsPage = document.getElementById('settingsPage');
+    if (!settingsPage) return;
+
+    // 1. 移除 .show 类，触发滑出动画
+    settingsPage.classList.remove('show');
+
+    // 2. 使用 setTimeout 等待动画结束 (时长应与CSS中 transition-duration 保持一致)
+    setTimeout(() => {
+        // 3. 动画结束后，从DOM中彻底移除该元素
+        settingsPage.remove();
+        console.log("设置页面DOM已从内存中移除。");
+    }, 350); // 350ms 对应 CSS 中的 0.35s
+}
+
+
+function openBeautify() {
+    // 关闭其他页面
+    document.querySelectorAll('.beautify-page.show, .config-page.show').forEach(page => {
+        page.classList.remove('show');
+    });
+
+    // 显示美化页面
+    const beautifyPage = document.getElementById('beautifyPage');
+    beautifyPage.style.zIndex = '1010'; // 确保层级
+    beautifyPage.classList.add('show');
+
+    // 确保渲染相关内容
+    renderAppPreviews();
+    renderWallpaperThumbnails();
+    const currentWallpaper = localStorage.getItem('phoneWallpaper');
+    updateWallpaperActiveState(currentWallpaper);
+}
+
+
+function closeBeautify() {
+    document.getElementById('beautifyPage').classList.remove('show');
+}
+
+function openContacts() {
+    // 这里不需要设置世界ID，保持它是普通模式
+    document.getElementById('contactsPage').classList.add('show');
+    renderContacts(contactsData);
+}
+
+
+function closeContacts() {
+    document.getElementById('contactsPage').classList.remove('show');
+    document.getElementById('contactsSearch').value = '';
+    // 🔥 修改：即便是从世界进入的，返回时也直接回桌面，不再经过世界选择页
+    // 删除原有的 openWorldSelect 调用
+}
+
+
+// ========== 开始：请粘贴这段全新的 JavaScript 代码 ==========
+
+function toggleContactMenu(event) {
+    // 阻止事件冒泡，防止点击事件被页面的其他部分捕获，导致菜单立即关闭
+    event.stopPropagation();
+
+    const menu = document.getElementById('contactMenu');
+    // 使用 classList.toggle() 来切换 'show' 类
+    // 如果菜单没有 'show' 类，就给它加上；如果已经有了，就把它移除。
+    // 这正是“切换”的含义。
+    menu.classList.toggle('show');
+}
+
+// ========== 结束：粘贴代码 ==========
+
+/**
+ * [最终修正版] 渲染普通联系人列表
+ */
+function renderContacts(contacts) {
+    const container = document.getElementById('contactsList');
+
+    container.innerHTML = '';
+    if (contacts.length === 0) {
+        container.innerHTML = '<div style="text-align: center; padding: 40px; color: #999;">未找到联系人</div>';
+        return;
+    }
+
+    contacts.forEach(contact => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'contact-item-wrapper';
+        wrapper.dataset.contactId = contact.id;
+        wrapper.dataset.contactType = 'normal';
+
+        const lastMessage = ChatHistoryStore.last('phoneChatHistory', contact.id);
+        let lastMessageText = contact.status; // 默认显示状态
+
+        // ✅ 同样使用辅助函数来安全地获取预览
+        if (lastMessage) {
+            const preview = getLastMessagePreview(lastMessage);
+            if (preview) {
+                lastMessageText = preview;
+            }
+        }
+
+        const isUrl = contact.avatar && (String(contact.avatar).startsWith('http') || String(contact.avatar).startsWith('data:'));
+        const avatarContent = isUrl
+            ? `<img src="${escapeHTML(contact.avatar)}" alt="${escapeHTML(contact.name)}">`
+            : `<span>${escapeHTML(contact.avatar)}</span>`;
+
+        let instanceIdHtml = '';
+        if (contact.id) {
+            instanceIdHtml = `<div class="contact-instance-id" title="联系人ID">ID: ${escapeHTML(contact.id)}</div>`;
+        }
+
+
+        wrapper.innerHTML = `
+            <div class="swipe-actions">
+                <button class="swipe-delete-btn">删除</button>
+            </div>
+            <div class="contact-item-content">
+                <div class="contact-avatar">${avatarContent}</div>
+                <div class="contact-info">
+                    <div class="contact-name">${escapeHTML(contact.name)}</div>
+                    ${instanceIdHtml}
+                    <div class="contact-status">${escapeHTML(lastMessageText)}</div>
+                </div>
+                ${contact.badge > 0 ? `<div class="contact-badge">${contact.badge}</div>` : ''}
+            </div>
+        `;
+
+        const contentEl = wrapper.querySelector('.contact-item-content');
+        if (contentEl) {
+            contentEl.onclick = () => {
+                if (!wrapper.classList.contains('is-swiped')) {
+                    openChat(contact);
+                }
+            };
+        }
+
+        const deleteBtn = wrapper.querySelector('.swipe-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.onclick = (e) => {
+                e.stopPropagation();
+                deleteContactFromList(contact.id, 'normal');
+            };
+        }
+
+        container.appendChild(wrapper);
+        addSwipeToDeleteListeners(wrapper);
+    });
+}
+
+// 请用这个【最终修正版】的函数替换旧的 createNewContact 函数
+
+function createNewContact() {
+    const menu = document.getElementById('contactMenu');
+    if (menu) menu.classList.remove('show');
+
+    // 获取弹窗元素
+    const modal = document.getElementById('characterCardModal');
+    // 生成新ID并存储
+    const newId = 'ID' + Math.floor(100000 + Math.random() * 900000);
+    modal.dataset.editingId = newId;
+
+    // 如果当前有选中的世界，则标记联系人属于该世界
+    if (currentWorldId) {
+        modal.dataset.currentWorldId = currentWorldId;
+    } else {
+        modal.removeAttribute('data-currentWorldId');
+    }
+
+    // --- 核心修复：将重置和渲染逻辑移到这里 ---
+
+    // 1. 重置联系人表单
+    document.getElementById('char-name').value = '';
+    document.getElementById('char-persona').value = '';
+    document.getElementById('avatar-preview').src = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+    const maleRadio = document.querySelector('.character-gender-selection input[value="male"]');
+    if (maleRadio) maleRadio.checked = true;
+    document.getElementById('char-instance-id').textContent = newId; // 显示新ID
+
+    // 2. 重置用户表单
+    document.getElementById('user-name').value = userProfile.name || '我';
+    document.getElementById('user-persona').value = userProfile.persona || '';
+    const userAvatar = userProfile.avatar;
+    const isUserUrl = userAvatar && (userAvatar.startsWith('http') || userAvatar.startsWith('data:'));
+    document.getElementById('user-avatar-preview').src = isUserUrl ? userAvatar : 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+
+    // 3. 在打开卡片前，直接渲染世界书和面具列表（传入空数组表示没有已绑定的项）
+    renderCharacterWorldbooksList([]);
+    renderCharacterMasksList([]);
+
+    // --- 修复结束 ---
+
+    // 最后再打开卡片
+    openCharacterCardPage();
+}
+
+
+// ========== 结束：替换完成 ==========
+
+
+document.addEventListener('click', function (e) {
+    // --- 优化开始 ---
+
+    // 2. 处理联系人菜单的外部点击
+    const contactMenu = document.getElementById('contactMenu');
+    const sweetheartContactMenu = document.getElementById('sweetheartContactMenu');
+    const addBtn = e.target.closest('.add-contact-btn'); // 检查点击的是否是加号按钮
+    // 如果点击的不是加号按钮，则关闭所有菜单
+    if (!addBtn) {
+        if (contactMenu) contactMenu.classList.remove('show');
+        if (sweetheartContactMenu) sweetheartContactMenu.classList.remove('show');
+    }
+
+    // --- 优化结束 ---
+});
+
+function renderAppPreviews() {
+    const container = document.getElementById('appPreviewList');
+    container.innerHTML = '';
+
+}
+
+function toggleUrlInput(appId) {
+    const urlBox = document.getElementById(`url-box-${appId}`);
+    urlBox.classList.toggle('show');
+}
+
+async function handleFileUpload(event, appId) {
+    const file = event.target.files[0];
+    if (!file) return;
+    // 仅保留本地预览逻辑
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        applyCustomIcon(appId, e.target.result);
+        showStatus(appId, '文件已加载（本地预览）');
+    };
+    reader.readAsDataURL(file);
+}
+
+function applyUrlIcon(appId) {
+    const urlInput = document.getElementById(`url-input-${appId}`);
+    const url = urlInput.value.trim();
+
+    if (!url) {
+        showStatus(appId, '请输入URL', 'error');
+        return;
+    }
+
+    applyCustomIcon(appId, url);
+    showStatus(appId, 'URL图标已应用');
+    urlInput.value = '';
+    toggleUrlInput(appId);
+}
+
+function applyCustomIcon(appId, iconUrl) {
+    globalConfig.customIcons[appId] = iconUrl;
+    const previewEl = document.getElementById(`preview-${appId}`);
+    if (previewEl) previewEl.innerHTML = `<img src="${iconUrl}" alt="">`;
+    updateMainIcon(appId, iconUrl);
+    saveCustomIconsToLocalStorage();
+    console.log(`已将 ${appId} 的新图标保存到 LocalStorage`);
+    // 删除了 dbAPI.saveData 调用
+}
+
+function updateMainIcon(appId, iconUrl) {
+    const appElements = document.querySelectorAll(`[data-id="${appId}"]`);
+    appElements.forEach(el => {
+        const iconWrapper = el.querySelector('.icon-wrapper');
+        if (iconWrapper && !el.classList.contains('folder')) {
+            iconWrapper.innerHTML = `<img src="${iconUrl}" alt="">`;
+        }
+    });
+}
+
+function showStatus(appId, message, type = 'success') {
+    const statusEl = document.getElementById(`status-${appId}`);
+    statusEl.textContent = message;
+    statusEl.className = 'status-message' + (type === 'error' ? ' error' : '');
+    setTimeout(() => {
+        statusEl.textContent = '';
+    }, 3000);
+}
+
+function deleteTimeCard() {
+    const timeCard = document.getElementById('timeCard');
+    if (!timeCard) return;
+
+    globalConfig.savedWidgets.push({
+        id: 'timeCard',
+        type: 'time',
+        name: '时间卡片',
+        html: timeCard.outerHTML,
+        timestamp: Date.now()
+    });
+
+    timeCard.remove();
+
+    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
+
+    console.log('时间卡片已删除并保存');
+
+    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
+    if (!deletedComponents.includes('timeCard')) {
+        deletedComponents.push('timeCard');
+        localStorage.setItem('deletedComponents', JSON.stringify(deletedComponents));
+    }
+}
+
+function deleteWeatherCard() {
+    const weatherCard = document.getElementById('weatherCard');
+    if (!weatherCard) return;
+
+    globalConfig.savedWidgets.push({
+        id: 'weatherCard',
+        type: 'weather',
+        name: '天气卡片',
+        html: weatherCard.outerHTML,
+        timestamp: Date.now()
+    });
+
+    weatherCard.remove();
+
+    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
+
+    console.log('天气卡片已删除并保存');
+    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
+    if (!deletedComponents.includes('weatherCard')) {
+        deletedComponents.push('weatherCard');
+        localStorage.setItem('deletedComponents', JSON.stringify(deletedComponents));
+    }
+}
+
+function deleteWidget(widgetElement) {
+    if (!widgetElement) return;
+
+    const widgetId = widgetElement.dataset.id;
+
+    // 固定到桌面的卡片：从布局中移除让出格子，桌面上不再有这张卡片时一并删掉 savedWidgets 里的记录
+    if (widgetElement.classList.contains('render-widget')) {
+        const cardId = state.appLayouts.page1.find(app => app.id === widgetId)?.cardId;
+        state.appLayouts.page1 = state.appLayouts.page1.filter(app => app.id !== widgetId);
+        saveLayoutToLocalStorage();
+        releaseRenderWidget(cardId);
+        widgetElement.remove();
+        console.log(`卡片组件 ${widgetId} 已从桌面移除`);
+        return;
+    }
+
+    globalConfig.savedWidgets.push({
+        id: widgetId,
+        type: 'widget',
+        name: widgetElement.querySelector('.app-label')?.textContent || 'Widget',
+        html: widgetElement.outerHTML,
+        timestamp: Date.now()
+    });
+
+    widgetElement.remove();
+
+    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
+
+    console.log(`Widget ${widgetId} 已删除并保存`);
+    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
+    if (!deletedComponents.includes(widgetId)) {
+        deletedComponents.push(widgetId);
+        localStorage.setItem('deletedComponents', JSON.stringify(deletedComponents));
+    }
+}
+
+// ▼▼▼ 请用下面这个完整的、修正后的函数，替换掉您文件中旧的 createElement 函数 ▼▼▼
+
+function createElement(app, grid) {
+    const el = document.createElement('div');
+
+    if (app.isWidget) {
+        // 只为 widget2 创建数码像素猫组件
+        if (app.id === 'widget2') {
+            el.className = 'cat-widget';
+            Object.assign(el.dataset, {id: app.id, row: app.row, col: app.col});
+            el.dataset.colspan = app.colspan;
+            el.dataset.rowspan = app.rowspan;
+
+            el.innerHTML = `
+            <div class="delete-widget-btn" onclick="deleteWidget(this.parentElement)">×</div>
+
+            <!-- 状态数据条 -->
+            <div class="cat-stats-container">
+                <div class="cat-stat-item" data-stat="happiness" onclick="editCatStat(event, 'happiness')">
+                    <div class="cat-stat-label">
+                        <span>😊 开心度</span>
+                        <span class="cat-stat-value" id="stat-happiness-value">85%</span>
+                    </div>
+                    <div class="cat-stat-bar-bg">
+                        <div class="cat-stat-bar-fill" id="stat-happiness-bar" style="width: 85%"></div>
+                    </div>
+                </div>
+
+                <div class="cat-stat-item" data-stat="hunger" onclick="editCatStat(event, 'hunger')">
+                    <div class="cat-stat-label">
+                        <span>🍖 饱食度</span>
+                        <span class="cat-stat-value" id="stat-hunger-value">70%</span>
+                    </div>
+                    <div class="cat-stat-bar-bg">
+                        <div class="cat-stat-bar-fill" id="stat-hunger-bar" style="width: 70%"></div>
+                    </div>
+                </div>
+
+                <div class="cat-stat-item" data-stat="energy" onclick="editCatStat(event, 'energy')">
+                    <div class="cat-stat-label">
+                        <span>⚡ 精力值</span>
+                        <span class="cat-stat-value" id="stat-energy-value">60%</span>
+                    </div>
+                    <div class="cat-stat-bar-bg">
+                        <div class="cat-stat-bar-fill" id="stat-energy-bar" style="width: 60%"></div>
+                    </div>
+                </div>
+
+                <div class="cat-stat-item" data-stat="cleanliness" onclick="editCatStat(event, 'cleanliness')">
+                    <div class="cat-stat-label">
+                        <span>✨ 清洁度</span>
+                        <span class="cat-stat-value" id="stat-cleanliness-value">90%</span>
+                    </div>
+                    <div class="cat-stat-bar-bg">
+                        <div class="cat-stat-bar-fill" id="stat-cleanliness-bar" style="width: 90%"></div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- 数码像素猫主体 -->
+            <div class="pixel-cat-body"></div>
+
+            <!-- 猫咪对话气泡 -->
+            <div class="cat-speech-bubble" onclick="editCatSpeech(event)">喵~ 今天也要开心喔！🌸</div>
+        `;
+        } else if (app.widgetType === 'render') {
+            // 从卡片收藏固定到桌面的互动卡片
+            const widget = globalConfig.savedWidgets.find(w => w.type === 'render' && w.cardId === app.cardId);
+            if (!widget) return;
+            el.className = 'widget render-widget';
+            Object.assign(el.dataset, {id: app.id, row: app.row, col: app.col});
+            el.dataset.colspan = app.colspan;
+            el.dataset.rowspan = app.rowspan;
+            el.innerHTML = `<div class="delete-widget-btn" onclick="deleteWidget(this.parentElement)">×</div>`;
+
+            const iframe = createRenderFrame(widget.html, widget.renderMode);
+            iframe.classList.add('render-fixed-size');
+            el.appendChild(iframe);
+        } else {
+            return; // 其他widget暂不创建
+        }
+    } else {
+        // 普通图标和文件夹的逻辑保持不变
+        el.className = app.isFolder ? 'app-icon folder' : 'app-icon';
+        Object.assign(el.dataset, {id: app.id, row: app.row, col: app.col});
+
+        const customIcon = globalConfig.customIcons[app.id];
+        let content;
+
+        // 处理单图标
+        const initialIcon = app.icon;
+        const isInitialIconUrl = initialIcon && (initialIcon.startsWith('http') || initialIcon.startsWith('data:'));
+        if (customIcon) {
+            content = `<img src="${customIcon}" alt="${app.label}">`;
+        } else if (isInitialIconUrl) {
+            content = `<img src="${initialIcon}" alt="${app.label}">`;
+        } else if (app.isFolder) {
+            // 🔥 修改点：处理文件夹预览的小图标
+            content = app.icons.slice(0, 9).map(item => {
+                // 兼容逻辑：如果是新格式(对象)，取item.icon；如果是旧格式(字符串)，直接取item
+                const iconSrc = (typeof item === 'object' && item.icon) ? item.icon : item;
+
+                const isUrl = iconSrc && (iconSrc.startsWith('http') || iconSrc.startsWith('data:'));
+                const miniIconContent = isUrl ? `<img src="${iconSrc}" alt="">` : iconSrc;
+                return `<div class="folder-mini-icon">${miniIconContent}</div>`;
+            }).join('');
+        } else {
+            content = app.icon;
+        }
+        el.innerHTML = `
+            <div class="icon-wrapper">${content}</div>
+            <div class="app-label">${app.label}</div>
+            ${app.badge ? `<span class="badge">${app.badge}</span>` : ''}`;
+    }
+
+    // 定位、添加事件监听并添加到网格中
+    positionElement(el, app.row, app.col, app.colspan || 1, app.rowspan || 1);
+    addDragListeners(el, app.clickable);
+    grid.appendChild(el);
+    // 针对文件夹，异步获取颜色并应用
+    if (app.isFolder) {
+        // 🔥 修改点：获取第一张图的URL也需要适配对象格式
+        const firstItem = app.icons[0];
+        const firstImageUrl = (typeof firstItem === 'object' && firstItem.icon) ? firstItem.icon : firstItem;
+
+        if (firstImageUrl && (firstImageUrl.startsWith('http') || firstImageUrl.startsWith('data:'))) {
+            getAverageColorFromImageUrl(firstImageUrl, (colorGradient) => {
+                if (el && el.isConnected && colorGradient) {
+                    const iconWrapper = el.querySelector('.icon-wrapper');
+                    if (iconWrapper) {
+                        iconWrapper.style.background = colorGradient;
+                    }
+                }
+            });
+        }
+    }
+}
+
+/**
+ * [极简版] 仅保留点击功能，彻底移除拖拽逻辑
+ */
+function addDragListeners(el, clickable) {
+    // 只监听点击事件
+    el.addEventListener('click', (e) => {
+        // 防止事件冒泡
+        e.stopPropagation();
+
+        // 1. 如果是文件夹 (保留文件夹打开功能)
+        if (el.classList.contains('folder')) {
+            // 这里假设 app 是从外部闭包获取，或者通过 dataset 获取数据
+            // 为简单起见，如果你的逻辑依赖 state，保留原有的 click 逻辑即可
+            // 如果你是文件夹，调用打开文件夹的逻辑
+            const folderId = el.dataset.id;
+            openFolder(folderId); // 假设你有这个函数，或者保持原有的 folder 点击逻辑
+        }
+        // 2. 如果是普通应用图标
+        else if (clickable) {
+            const id = el.dataset.id;
+
+            // 路由跳转逻辑
+            if (id === 'settings') {
+                openSettings(); // 设置
+            } else if (id === 'worldbook') {
+                openWorldbook(); // 世界书
+            } else if (id === 'calc') {
+                openLedger(); // 记账
+            } else if (id === 'novel') {
+                openNovelShelf(); // 小说
+            } else if (id === 'study_mode') {
+                openContacts(); // 学习模式 -> 通讯录
+            } else if (id === 'chat_mode') {
+                openSweetheartList(); // 闲聊模式 -> 密友列表
+            } else {
+                // 对于其他没有特定 ID 的图标（比如 widget），不做操作
+                console.log(`点击了应用: ${id}`);
+            }
+        }
+    });
+}
+
+
+function isOccupied(pageKey, targetRow, targetCol, draggedId) {
+    const apps = state.appLayouts[pageKey];
+    for (const app of apps) {
+        if (app.id === draggedId) {
+            continue;
+        }
+        const appColSpan = app.colspan || 1;
+        const appRowSpan = app.rowspan || 1;
+        const inHorizontalRange = targetCol >= app.col && targetCol < (app.col + appColSpan);
+        const inVerticalRange = targetRow >= app.row && targetRow < (app.row + appRowSpan);
+
+        if (inHorizontalRange && inVerticalRange) {
+            return true;
+        }
+    }
+    return false;
+}
+
+
+function handleMove(e) {
+    if (!state.draggedElement || state.dragMoveScheduled) return;
+
+    const touch = getTouch(e);
+    const distance = Math.sqrt(
+        Math.pow(touch.clientX - state.dragStart.x, 2) +
+        Math.pow(touch.clientY - state.dragStart.y, 2)
+    );
+
+    if (distance > 5 && !state.hasDragged) {
+        state.hasDragged = true;
+        clearTimeout(state.longPressTimer);
+        if (!state.isDragging) {
+            state.isEditMode = true;
+            state.isDragging = true;
+            state.draggedElement.classList.add('dragging');
+            document.body.style.cursor = 'grabbing';
+            showEditHint(true);
+            state.draggedElement.style.transition = 'none';
+        }
+    }
+
+    if (!state.isDragging) return;
+
+    if (e.cancelable) e.preventDefault();
+
+    // 将更新操作放入 rAF 回调
+    state.dragMoveScheduled = true;
+    requestAnimationFrame(() => {
+        const touch = getTouch(e);
+        const deltaX = touch.clientX - state.dragStart.x;
+        const deltaY = touch.clientY - state.dragStart.y;
+
+        if (state.draggedElement) { // 再次检查，防止元素已不存在
+            state.draggedElement.style.transform = `translate(${deltaX}px, ${deltaY}px) scale(1.08)`;
+        }
+        state.draggedElement.style.transform = `translate(${deltaX}px, ${deltaY}px) scale(1.08)`;
+    });
+}
+
+
+function finishDrag(exitImmediately) {
+    if (state.draggedElement) {
+        state.draggedElement.classList.remove('dragging');
+        state.draggedElement.style.transition = '';
+    }
+
+    state.isDragging = false;
+    state.draggedElement = null;
+
+    // ✅ 修改：只有在实际发生拖拽后才重置 hasDragged
+    if (exitImmediately) {
+        state.hasDragged = false;
+    }
+
+    // ✅ 核心修复：只在明确要求立即退出时，才延迟关闭编辑模式
+    if (exitImmediately && state.hasDragged) {
+        setTimeout(() => {
+            if (state.isEditMode && !state.isDragging) {
+                state.isEditMode = false;
+                showEditHint(false);
+                showDeleteButtons(false);
+            }
+        }, 500);
+    }
+    // ✅ 如果只是长按激活（没有拖拽），则保持编辑模式不退出
+}
+
+
+// ▼▼▼ 请将你原来的 revertPosition 函数替换成下面这个版本 ▼▼▼
+
+function revertPosition(el, originalTransition = '') {
+    // 移除可能存在的 transform，让它直接回到原始的布局位置
+    el.style.transform = 'none';
+
+    // 找到它应该在的网格和位置
+    const sourceGrid = el.parentElement;
+    const originalRow = parseInt(el.dataset.row);
+    const originalCol = parseInt(el.dataset.col);
+    const colspan = parseInt(el.dataset.colspan) || 1;
+    const rowspan = parseInt(el.dataset.rowspan) || 1;
+
+    // 添加一个平滑的回弹动画
+    el.style.transition = 'all 0.25s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
+    positionElement(el, originalRow, originalCol, colspan, rowspan);
+
+    // 动画结束后，恢复原始的 transition 设置
+    setTimeout(() => {
+        if (el) el.style.transition = originalTransition;
+    }, 250);
+}
+
+// ▼▼▼ 这是一个可选的优化，但建议你也替换掉旧的 updateAndSavePosition 函数 ▼▼▼
+
+function updateAndSavePosition(el, newRow, newCol) {
+    const appId = el.dataset.id;
+    // 这个函数现在只处理同页拖拽，所以直接从父元素获取 pageKey
+    const pageKey = el.parentElement.id === 'grid1' ? 'page1' : 'page2';
+
+    const appData = state.appLayouts[pageKey].find(app => app.id === appId);
+    if (appData) {
+        appData.row = newRow;
+        appData.col = newCol;
+    }
+
+    el.dataset.row = newRow;
+    el.dataset.col = newCol;
+
+    const colspan = parseInt(el.dataset.colspan) || 1;
+    const rowspan = parseInt(el.dataset.rowspan) || 1;
+
+    // 平滑地移动到新位置
+    el.style.transition = 'all 0.25s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
+    positionElement(el, newRow, newCol, colspan, rowspan);
+
+    // 动画结束后移除 transition
+    setTimeout(() => {
+        if (el) el.style.transition = '';
+    }, 250);
+
+    saveLayoutToLocalStorage();
+    console.log(`同页移动成功：已保存 ${appId} 到新位置: (${newRow}, ${newCol})`);
+}
+
+
+function saveLayoutToLocalStorage() {
+    localStorage.setItem('phoneAppLayouts', JSON.stringify(state.appLayouts));
+}
+
+function saveCustomIconsToLocalStorage() {
+    localStorage.setItem('phoneCustomIcons', JSON.stringify(globalConfig.customIcons));
+}
+
+
+function showPage(pageNum) {
+    state.currentPage = pageNum;
+    pagesWrapper.style.transform = `translateX(-${(pageNum - 1) * 50}%)`;
+    document.querySelectorAll('.dot').forEach((dot, i) =>
+        dot.classList.toggle('active', i === pageNum - 1));
+
+    // const hint1 = document.getElementById('editHint1');
+    // const hint2 = document.getElementById('editHint2');
+    //
+    // if (pageNum === 1) {
+    //     hint1.style.display = 'block';
+    //     hint2.style.display = 'none';
+    // } else {
+    //     hint1.style.display = 'none';
+    //     hint2.style.display = 'block';
+    // }
+}
+
+
+// ============ 开始：请将这个全新的代码块完整粘贴到你的 <script> 中 ============
+
+/**
+ * [丝滑翻页优化版] 统一的“滑动结束”处理器
+ * - 引入速度判断，实现快速轻扫即可翻页
+ * - 结合最小距离阈值，防止误触
+ */
+function swipeEndHandler(e) {
+    // 解除在 document 上绑定的事件
+    document.removeEventListener('mousemove', swipeMoveHandler);
+    document.removeEventListener('mouseup', swipeEndHandler);
+    document.removeEventListener('touchmove', swipeMoveHandler);
+    document.removeEventListener('touchend', swipeEndHandler);
+
+    if (!state.isSwipingPage) return;
+
+    // --- 核心升级：智能决策逻辑 ---
+
+    const touch = getChangedTouch(e);
+    const diff = touch.clientX - state.swipeStart.x;
+    const timeElapsed = Date.now() - state.swipeStart.time;
+
+    // 计算速度（像素/毫秒），如果时间过短则防止除以零
+    const velocity = timeElapsed > 0 ? Math.abs(diff) / timeElapsed : 0;
+
+    // 重新启用CSS动画，用于“吸附”或“弹回”
+    pagesWrapper.classList.remove('no-transition');
+
+    let targetPage = state.currentPage;
+
+    // 智能决策：
+    // 条件1: 滑动距离超过一个较小的阈值（例如30像素）
+    // 条件2: 滑动速度很快（例如大于0.2像素/毫秒）
+    // 只要满足其中一个，就认为用户想要翻页
+    if (Math.abs(diff) > 30 || velocity > 0.2) {
+        if (diff > 0 && state.currentPage === 2) {
+            // 从第2页向右滑 -> 前往第1页
+            targetPage = 1;
+        } else if (diff < 0 && state.currentPage === 1) {
+            // 从第1页向左滑 -> 前往第2页
+            targetPage = 2;
+        }
+    }
+
+    // --- 决策结束 ---
+
+    // 使用 setTimeout 确保动画无缝衔接
+    // 浏览器会在执行 showPage 前先应用 'no-transition' 被移除的样式
+    setTimeout(() => {
+        showPage(targetPage);
+    }, 0);
+
+    state.isSwipingPage = false;
+}
+
+/**
+ * [丝滑翻页优化版] 统一的“滑动开始”处理器
+ * 修复：已将 .chapter-list-panel 加入排除列表，防止滑动目录时误触翻页
+ */
+function swipeStartHandler(e) {
+    // 检查触摸事件是否发生在不应触发翻页的元素上
+    // ✅ 修复：添加了 .chapter-list-panel (目录) 和 .reader-header-bar (顶部栏)
+    if (e.target.closest('.page-dots, #iconDockPanel, #floatingBall, .cat-widget, .contacts-page, .chat-page, .sweetheart-chat-page, .settings-page, .config-page, .beautify-page, .modal-overlay, #statusPopup, .test-page, .worldbook-page, .mask-library-page, .contact-library-page, .memory-center-page, .map-editor-page, .folder-overlay, .novel-shelf-page, .novel-reader-page, .chapter-list-panel, .reader-header-bar')) {
+        return; // 如果是，则直接退出，不处理翻页逻辑
+    }
+    // 检查是否刚结束拖拽操作，防止误触
+    if (Date.now() - state.lastDragEndTime < 300) return;
+    // 检查是否正在从收藏夹拖出图标或处于桌面编辑模式
+    if (state.isDraggingFromDock || state.isEditMode || state.isDragging) return;
+    // --- 后续的翻页逻辑保持不变 ---
+    const touch = getTouch(e);
+    state.swipeStart = {x: touch.clientX, time: Date.now()};
+    state.isSwipingPage = true;
+    state.initialTransform = -(state.currentPage - 1) * 50;
+    pagesWrapper.classList.add('no-transition');
+    if (e.type === 'touchstart') {
+        document.addEventListener('touchmove', swipeMoveHandler, {passive: false});
+        document.addEventListener('touchend', swipeEndHandler);
+    } else {
+        document.addEventListener('mousemove', swipeMoveHandler);
+        document.addEventListener('mouseup', swipeEndHandler);
+    }
+}
+
+// 这个函数负责在滑动过程中，通过 rAF 更新页面位置，保证流畅
+function swipeMoveHandler(e) {
+    if (!state.isSwipingPage) return;
+    if (e.cancelable) {
+        e.preventDefault();
+    }
+
+    const touch = getTouch(e);
+    const diffX = touch.clientX - state.swipeStart.x;
+
+    // 将像素差值转换为百分比
+    const percentDiff = (diffX / screen.offsetWidth) * 50;
+    // 计算新的 transform 值，并限制在 0% 到 -50% 之间
+    const newTransform = Math.max(-50, Math.min(0, state.initialTransform + percentDiff));
+
+    if (!state.swipeMoveScheduled) {
+        state.lastSwipeTranslateX = newTransform;
+        state.swipeMoveScheduled = true;
+        requestAnimationFrame(updateSwipeTransform);
+    }
+}
+
+// updateSwipeTransform 函数保持不变
+function updateSwipeTransform() {
+    if (!state.swipeMoveScheduled) {
+        return;
+    }
+    pagesWrapper.style.transform = `translateX(${state.lastSwipeTranslateX}%)`;
+    state.swipeMoveScheduled = false;
+}
+
+// ============ 结束：粘贴代码 ============
+
+screen.addEventListener('click', (e) => {
+    if (e.target.closest('.chat-page, .contacts-page, .settings-page, .config-page, .beautify-page, .modal-overlay')) {
+        return;
+    }
+
+    // ✅ 修改：点击任何非组件区域都退出编辑模式
+    if (!e.target.closest('.app-icon') &&
+        !e.target.closest('.widget') &&
+        !e.target.closest('.cat-widget') && // 确保这行存在
+        !e.target.closest('.time-card') &&
+        !e.target.closest('.weather-card') &&
+        !e.target.closest('[class*="delete-"]')) {
+        exitEditMode();
+    }
+});
+
+
+function initializeLayout() {
+    // 1. 加载壁纸
+    const savedWallpaper = localStorage.getItem('phoneWallpaper');
+    if (savedWallpaper) applyWallpaper(savedWallpaper);
+
+    // 3. 加载布局数据 (只处理 Page1)
+    const savedLayouts = localStorage.getItem('phoneAppLayouts');
+    if (savedLayouts) {
+        try {
+            const loadedLayouts = JSON.parse(savedLayouts);
+            if (loadedLayouts.page1) {
+                // 合并逻辑保持不变
+                state.appLayouts.page1 = mergeAppLayouts(appsPage1, loadedLayouts.page1 || [], new Set());
+            }
+        } catch (e) {
+            console.error('布局加载失败', e);
+        }
+    }
+
+    // 4. 其他设置加载
+    const savedIcons = localStorage.getItem('phoneCustomIcons');
+    if (savedIcons) {
+        try {
+            globalConfig.customIcons = JSON.parse(savedIcons);
+        } catch (e) {
+        }
+    }
+    const savedWidgets = localStorage.getItem('savedWidgets');
+    if (savedWidgets) {
+        try {
+            globalConfig.savedWidgets = JSON.parse(savedWidgets);
+        } catch (e) {
+        }
+    }
+    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
+
+    // 5. ✅【核心修改】只渲染 grid1，不再碰 grid2
+    const grid1 = document.getElementById('grid1');
+    if (grid1) {
+        grid1.innerHTML = '';
+        state.appLayouts.page1.forEach(app => {
+            if (app.isWidget && deletedComponents.includes(app.id)) return;
+            createElement(app, grid1);
+        });
+    }
+
+    // 6. 处理已删除的组件
+    if (deletedComponents.includes('timeCard')) document.getElementById('timeCard')?.remove();
+    if (deletedComponents.includes('weatherCard')) document.getElementById('weatherCard')?.remove();
+
+    loadSavedMoodAndWeather();
+}
+
+
+function mergeAppLayouts(defaultApps, savedApps, dockedIconIds) {
+    const merged = [...savedApps];
+    const savedIds = new Set(savedApps.map(app => app.id));
+
+    // 【新增】获取所有页面已保存的图标ID
+    const allSavedLayouts = localStorage.getItem('phoneAppLayouts');
+    let allPageIds = new Set();
+    if (allSavedLayouts) {
+        try {
+            const layouts = JSON.parse(allSavedLayouts);
+            // 收集所有页面的图标ID
+            if (layouts.page1) {
+                layouts.page1.forEach(app => allPageIds.add(app.id));
+            }
+            if (layouts.page2) {
+                layouts.page2.forEach(app => allPageIds.add(app.id));
+            }
+        } catch (e) {
+            console.error('解析所有页面布局失败', e);
+        }
+    }
+
+    // 将默认布局中新增的应用添加进来
+    defaultApps.forEach(defaultApp => {
+        // 【修改】现在检查三个地方：当前页面、收藏栏、其他页面
+        if (!savedIds.has(defaultApp.id) &&
+            !dockedIconIds.has(defaultApp.id) &&
+            !allPageIds.has(defaultApp.id)) {  // 【新增条件】
+            merged.push(defaultApp);
+            console.log(`新增或恢复了应用: ${defaultApp.label}`);
+        }
+    });
+    return merged;
+}
+
+
+document.getElementById('chatInput').addEventListener('keydown', function (event) {
+    if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+
+        addMessageToList();
+    }
+});
+
+// ========== 开始：用这个全新的JS代码块替换旧的 openAvatarActions 和相关函数 ==========
+
+/**
+ * 打开头像操作菜单，并记录当前操作的目标是哪个头像
+ * @param {'contact' | 'user'} target - 'contact' 表示对方头像, 'user' 表示用户头像
+ */
+function openAvatarActions(target) {
+    currentAvatarTarget = target; // 记录当前操作目标
+    document.getElementById('avatarActionSheet').classList.add('show');
+}
+
+/**
+ * 关闭头像操作菜单
+ */
+function closeAvatarActions() {
+    document.getElementById('avatarActionSheet').classList.remove('show');
+}
+
+/**
+ * 触发隐藏的文件上传输入框
+ */
+function triggerFileUpload() {
+    document.getElementById('avatar-input').click();
+    closeAvatarActions();
+}
+
+/**
+ * 弹出输入框让用户填写图片URL
+ */
+function promptForUrl() {
+    const url = prompt("请输入图片URL:", "https://");
+    if (url) {
+        const img = new Image();
+        img.onload = function () {
+            // 根据之前记录的目标，更新正确的头像预览
+            const previewId = currentAvatarTarget === 'user' ? 'user-avatar-preview' : 'avatar-preview';
+            document.getElementById(previewId).src = url;
+            console.log(`已将 ${previewId} 的头像更新为: ${url}`);
+        };
+        img.onerror = function () {
+            alert("无法加载该URL的图片，请检查链接是否正确。");
+        };
+        img.src = url;
+    }
+    closeAvatarActions();
+}
+
+// ========== 结束：替换完成 ==========
+
+
+/**
+ * [最终修复版] 打开普通聊天页面
+ * 修复：确保每次打开聊天时，按钮状态都是正常的（不暗，可点击）
+ */
+// 打开聊天时只渲染最近的这么多条消息，更早的点击「查看更早的消息」再加载
+const CHAT_PAGE_SIZE = 40;
+
+/**
+ * 分页渲染聊天记录：渲染 endIndex 之前的一页，并在顶部放「查看更早的消息」按钮
+ * @param {HTMLElement} messagesEl - 消息容器
+ * @param {string|number} contactId - 联系人ID
+ * @param {Array} messages - 完整的聊天记录
+ * @param {number} [endIndex] - 这一页的结束位置（不含），默认从最新一条开始
+ */
+function renderChatMessagesPaged(messagesEl, contactId, messages, endIndex = messages.length) {
+    const startIndex = Math.max(0, endIndex - CHAT_PAGE_SIZE);
+    const fragment = document.createDocumentFragment();
+
+    if (startIndex > 0) {
+        const loadEarlierBtn = document.createElement('div');
+        loadEarlierBtn.className = 'load-earlier-messages';
+        loadEarlierBtn.textContent = `查看更早的消息（还有 ${startIndex} 条）`;
+        loadEarlierBtn.onclick = () => {
+            const previousHeight = messagesEl.scrollHeight;
+            loadEarlierBtn.remove();
+            renderChatMessagesPaged(messagesEl, contactId, messages, startIndex);
+            // 保持当前看到的位置不动
+            messagesEl.scrollTop += messagesEl.scrollHeight - previousHeight;
+        };
+        fragment.appendChild(loadEarlierBtn);
+    }
+
+    const chatType = messagesEl.id === 'sweetheartChatMessages' ? 'sweetheart' : 'normal';
+    for (let i = startIndex; i < endIndex; i++) {
+        const messageRow = _createMessageDOM(contactId, messages[i], i);
+        appendReplyVariantSwitcher(messageRow, chatType, contactId, messages[i], i);
+        fragment.appendChild(messageRow);
+    }
+    messagesEl.insertBefore(fragment, messagesEl.firstChild);
+}
+
+function openChat(contact) {
+    if (!contact) return;
+
+    // 第一次打开时先从数据库加载这个联系人的聊天记录
+    if (!ChatHistoryStore.isContactLoaded(contact.id)) {
+        ChatHistoryStore.loadContact(contact.id)
+            .then(() => openChat(contact))
+            .catch(e => {
+                console.error('加载聊天记录失败:', e);
+                showErrorModal('加载失败', '读取聊天记录失败，请刷新后重试');
+            });
+        return;
+    }
+
+    // 1. 清除密友全局变量，防止混淆
+    currentSweetheartChatContact = null;
+    currentChatContact = contact;
+
+    // 2. 隐藏菜单，重置界面
+    hideMessageActionSheet();
+    hideSweetheartMessageActionSheet();
+
+    const chatPage = document.getElementById('chatPage');
+    const contactNameEl = document.getElementById('chatContactName');
+    const messagesEl = document.getElementById('chatMessages');
+
+    // === 🔥 核心修复：强制重置普通聊天的回复按钮状态 ===
+    const replyBtn = document.getElementById('getReplyBtn');
+    if (replyBtn) {
+        replyBtn.disabled = false;
+        replyBtn.style.opacity = '1'; // 强制变亮
+        replyBtn.style.pointerEvents = 'auto'; // 强制可点击
+    }
+    // ===============================================
+
+    // 移除密友模式类
+    chatPage.classList.remove('sweetheart-mode');
+    // 群聊显示每位发言成员的头像和名字
+    chatPage.classList.toggle('group-chat', !!contact.isGroup);
+
+    contactNameEl.textContent = contact.name;
+    messagesEl.innerHTML = '';
+
+    requestAnimationFrame(() => {
+        chatPage.classList.add('show');
+    });
+
+    // 空聊天先发角色卡的开场白
+    if (ChatHistoryStore.count('phoneChatHistory', contact.id) === 0) insertCardGreeting(contact, saveMessage);
+    const contactMessages = ChatHistoryStore.view('phoneChatHistory', contact.id);
+
+    if (contactMessages.length === 0) {
+        const systemMessageEl = document.createElement('div');
+        systemMessageEl.textContent = contact.isGroup
+            ? `你创建了群聊「${contact.name}」，快开始聊天吧`
+            : `你和 ${contact.name} 添加了好友，快开始聊天吧`;
+        systemMessageEl.style.textAlign = 'center';
+        systemMessageEl.style.fontSize = '12px';
+        systemMessageEl.style.color = '#aaa';
+        systemMessageEl.style.margin = '10px 0';
+        messagesEl.appendChild(systemMessageEl);
+    } else {
+        renderChatMessagesPaged(messagesEl, contact.id, contactMessages);
+    }
+
+    setTimeout(() => {
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+    }, 50);
+}
+
+// 同时，为了保险起见，我们也在 closeChat 函数中确保清除主题
+function closeChat() {
+    const chatPage = document.getElementById('chatPage');
+    chatPage.classList.remove('show');
+    // 在动画结束后，移除主题类，以防影响下次打开
+    setTimeout(() => {
+        chatPage.classList.remove('sweetheart-mode');
+    }, 350);
+}
+
+// ========== AI 服务提供方 (Provider) - 开始 ==========
+
+// 腾讯 LKE 的默认应用 Key（未在设置页中修改时使用）
+const LKE_DEFAULT_BOT_APP_KEY = "QBHWzqXNdtjWEFYsrGBSHgciopFrvtDCfgNHgmYJzwWZjQLJHwvGiccbuzRsGLtfmGvIBVaHvmdlxbKMBFtgXXjMsNlQOczNPYtxygdGhceoInkcMgDBuMLPeOqrsuIy";
+
+// LKE 接口 system_role 的长度上限（字符）
+const LKE_SYSTEM_ROLE_MAX_CHARS = 12000;
+
+// 各个提供方的默认配置（contextTokens 为组装上下文时的 Token 预算），保存在 localStorage 的 phoneApiProviderConfig 中
+const API_PROVIDER_DEFAULTS = {
+    provider: 'lke',
+    lke: {
+        endpoint: 'https://wss.lke.cloud.tencent.com/v1/qbot/chat/sse',
+        botAppKey: LKE_DEFAULT_BOT_APP_KEY,
+        contextTokens: 6000
+    },
+    openai: {
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: '',
+        model: 'gpt-4o-mini',
+        temperature: 0.8,
+        embeddingModel: '',
+        contextTokens: 16000
+    },
+    anthropic: {
+        baseUrl: 'https://api.anthropic.com/v1',
+        apiKey: '',
+        model: 'claude-3-5-sonnet-latest',
+        maxTokens: 2048,
+        contextTokens: 16000
+    },
+    mock: {
+        latency: 600,
+        contextTokens: 4000
+    }
+};
+
+let apiProviderConfig = JSON.parse(JSON.stringify(API_PROVIDER_DEFAULTS));
+
+/**
+ * 从 localStorage 加载 AI 服务配置（按提供方逐个合并，兼容旧版本缺失的字段）
+ */
+function loadApiProviderConfig() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('phoneApiProviderConfig') || 'null');
+        if (!saved) return;
+        Object.keys(API_PROVIDER_DEFAULTS).forEach(key => {
+            if (key === 'provider') return;
+            apiProviderConfig[key] = {...API_PROVIDER_DEFAULTS[key], ...(saved[key] || {})};
+        });
+        if (ChatProviders[saved.provider]) apiProviderConfig.provider = saved.provider;
+        console.log(`✅ 已加载 AI 服务配置: ${apiProviderConfig.provider}`);
+    } catch (e) {
+        console.error('加载 AI 服务配置失败:', e);
+    }
+}
+
+/**
+ * 保存 AI 服务配置到 localStorage
+ */
+function saveApiProviderConfig() {
+    try {
+        localStorage.setItem('phoneApiProviderConfig', JSON.stringify(apiProviderConfig));
+    } catch (e) {
+        console.error('保存 AI 服务配置失败:', e);
+    }
+}
+
+/**
+ * callApi 失败时返回的结构化错误码 (result.code)
+ * 调用方应该根据错误码处理，而不是去匹配错误文案
+ */
+const API_ERROR_CODES = {
+    AUTH: 'AUTH',                         // 401：Key 无效或未授权
+    FORBIDDEN: 'FORBIDDEN',               // 403：连接被拒绝
+    RATE_LIMIT: 'RATE_LIMIT',             // 429：请求太频繁
+    SERVER: 'SERVER',                     // 5xx / 服务过载
+    BAD_REQUEST: 'BAD_REQUEST',           // 其他 4xx
+    NETWORK: 'NETWORK',                   // 网络中断、跨域被拦截
+    EMPTY_REPLY: 'EMPTY_REPLY',           // 流结束了但没有收到回复
+    CONTEXT_TOO_LONG: 'CONTEXT_TOO_LONG', // LKE 400400：超时或内容过长
+    TOOL_FAILURE: 'TOOL_FAILURE',         // LKE -1：服务端工具（如识图）不可用
+    PROVIDER: 'PROVIDER',                 // 其他业务层错误
+    CONFIG: 'CONFIG',                     // 本地配置不完整
+    BUILD: 'BUILD',                       // 构建消息失败
+    ABORTED: 'ABORTED'                    // 用户主动停止
+};
+
+// 这些错误通常是暂时性的，callApi 会自动重试
+const RETRYABLE_API_ERRORS = new Set([
+    API_ERROR_CODES.RATE_LIMIT,
+    API_ERROR_CODES.SERVER,
+    API_ERROR_CODES.NETWORK,
+    API_ERROR_CODES.EMPTY_REPLY
+]);
+
+// 自动重试策略：最多尝试 3 次，等待时间按指数增长 (1s → 2s → 4s ...)
+const API_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000
+};
+
+/**
+ * 创建带错误码的错误对象
+ * @param {string} code - API_ERROR_CODES 中的错误码
+ * @param {string} message - 给用户看的中文提示
+ * @param {object} [extra] - 附加信息，如 status、retryAfterMs
+ * @returns {Error}
+ */
+function createApiError(code, message, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
+
+/**
+ * 根据 HTTP 状态码判断错误类型
+ */
+function classifyHttpStatus(status) {
+    if (status === 401) return API_ERROR_CODES.AUTH;
+    if (status === 403) return API_ERROR_CODES.FORBIDDEN;
+    if (status === 429) return API_ERROR_CODES.RATE_LIMIT;
+    if (status >= 500) return API_ERROR_CODES.SERVER;
+    return API_ERROR_CODES.BAD_REQUEST;
+}
+
+/**
+ * 读取失败响应的内容并抛出带错误码的错误（会带上 Retry-After 提示的等待时间）
+ * @param {Response} response - fetch 返回的非 2xx 响应
+ */
+async function throwHttpError(response) {
+    const errorText = await response.text();
+    console.error(`API 响应错误 (${response.status}):`, errorText);
+    const retryAfterSeconds = Number(response.headers.get('retry-after'));
+    throw createApiError(classifyHttpStatus(response.status), describeHttpError(response.status, errorText), {
+        status: response.status,
+        retryAfterMs: retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : 0
+    });
+}
+
+/**
+ * 把任意异常统一转换为带错误码的错误
+ */
+function normalizeApiError(error) {
+    if (error && Object.values(API_ERROR_CODES).includes(error.code)) return error;
+    if (error && error.name === 'AbortError') {
+        return createApiError(API_ERROR_CODES.ABORTED, "已停止生成");
+    }
+    // fetch 失败或读流时连接中断都是 TypeError，如在本地直接打开 html 文件 (file://) 时的 Failed to fetch
+    if (error instanceof TypeError) {
+        return createApiError(API_ERROR_CODES.NETWORK, "网络请求失败。可能原因：API Key无效、跨域(CORS)被拦截、或无网络连接。");
+    }
+    return createApiError(API_ERROR_CODES.PROVIDER, error?.message || "未知错误");
+}
+
+/**
+ * 计算第 attempt 次失败后的等待时间（指数退避 + 少量随机抖动，服务端给了 Retry-After 时以它为准）
+ */
+function getApiRetryDelay(attempt, error) {
+    const backoff = Math.min(API_RETRY_POLICY.baseDelayMs * 2 ** (attempt - 1), API_RETRY_POLICY.maxDelayMs);
+    const jitter = backoff * 0.2 * Math.random();
+    return Math.max(Math.round(backoff + jitter), error.retryAfterMs || 0);
+}
+
+/**
+ * 可被中止的等待
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new DOMException('已停止生成', 'AbortError'));
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('已停止生成', 'AbortError'));
+        }, {once: true});
+    });
+}
+
+/**
+ * 把 HTTP 错误状态码转换为中文提示
+ */
+function describeHttpError(status, errorText) {
+    if (status === 401) return "API Key 无效或未授权 (401)";
+    if (status === 403) return "API Key 连接被拒绝 (403)";
+    if (status === 429) return "请求太频繁，请稍后再试 (429)";
+    if (status >= 500) return `AI 服务暂时不可用 (${status})`;
+    return `网络请求失败: ${status} - ${errorText}`;
+}
+
+/**
+ * 逐行读取 SSE 流，把每个 data: 行交给 onEvent 处理
+ * @param {Response} response - fetch 返回的响应
+ * @param {function(string, string): (boolean|void)} onEvent - 参数为 data 内容和 event 名称，返回 true 时停止读取
+ */
+async function readSseEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder("utf-8");
+    let buffer = "";
+    let eventName = "";
+
+    while (true) {
+        const {done, value} = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, {stream: true});
+        const lines = buffer.split("\n");
+        buffer = lines.pop(); // 保留未完整的行
+
+        for (const rawLine of lines) {
+            const line = rawLine.replace(/\r$/, '');
+            if (!line.trim()) {
+                eventName = "";
+                continue;
+            }
+            if (line.startsWith("event:")) {
+                eventName = line.substring(6).trim();
+                continue;
+            }
+            if (!line.startsWith("data:")) continue;
+            if (onEvent(line.substring(5).trim(), eventName) === true) {
+                reader.cancel().catch(() => {});
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * 把 OpenAI 风格的多模态内容数组转换为纯文本
+ */
+function flattenMessageContent(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.map(item => {
+        if (item.type === 'text') return item.text;
+        if (item.type === 'image_url') return `\n![]( ${item.image_url.url} )\n`;
+        return '';
+    }).join("\n");
+}
+
+/**
+ * 判断本次输入中是否带有图片（带图片时才需要发送多模态数组）
+ */
+function hasImagePart(parts) {
+    return parts.some(part => part.type === 'image_url');
+}
+
+/**
+ * 所有 AI 服务提供方
+ * 每个提供方都实现 send(request)，成功时返回回复文本，失败时抛出 createApiError 创建的错误
+ * request 由 callApi 统一构造：
+ *   systemPrompt - 所有 system 消息拼接后的文本
+ *   history      - 之前的对话 [{role: 'user'|'assistant', content}]
+ *   query        - 本次用户输入的纯文本
+ *   queryParts   - 本次用户输入的原始内容（文本/图片数组）
+ *   fileInfos, customVariables, sessionId, visitorId, requestId
+ *   onDelta      - 流式回调，参数为目前为止收到的完整文本
+ *   signal       - AbortSignal，用户点击「停止」时中止请求
+ * 支持向量检索的提供方另外实现 canEmbed() 和 embed(texts, signal)，后者返回与 texts 一一对应的向量
+ */
+const ChatProviders = {
+    lke: {
+        label: '腾讯云 LKE',
+        async send(request) {
+            const config = apiProviderConfig.lke;
+            let systemRoleText = request.systemPrompt;
+
+            // LKE 不支持分角色的历史消息，只能把历史写进 system_role
+            const historyLines = request.history.map(msg => {
+                const roleName = msg.role === 'user' ? '用户' : '你';
+                const cleanContent = typeof msg.content === 'string'
+                    ? msg.content.replace(/<[^>]+>/g, '[多媒体/图片]')
+                    : "[多媒体内容]";
+                return `${roleName}: ${cleanContent}\n`;
+            });
+            const buildHistoryBlock = () => historyLines.length > 0
+                ? `\n\n【对话历史回顾 (Context)】\n---\n${historyLines.join('')}\n---\n`
+                : '';
+
+            // 上下文已经按 Token 预算组装过，这里只兜底 LKE 的长度上限（防止 400 错误）：
+            // 先丢最早的历史，设定本身超长时才截断
+            while (historyLines.length > 0 && systemRoleText.length + buildHistoryBlock().length > LKE_SYSTEM_ROLE_MAX_CHARS) {
+                historyLines.shift();
+            }
+            systemRoleText += buildHistoryBlock();
+            if (systemRoleText.length > LKE_SYSTEM_ROLE_MAX_CHARS) {
+                console.warn(`LKE system_role 超出 ${LKE_SYSTEM_ROLE_MAX_CHARS} 字，已截断，请调低「上下文预算」`);
+                systemRoleText = systemRoleText.substring(0, LKE_SYSTEM_ROLE_MAX_CHARS);
+            }
+
+            const payload = {
+                "bot_app_key": config.botAppKey || LKE_DEFAULT_BOT_APP_KEY,
+                "content": request.query,
+                "session_id": request.sessionId,
+                "visitor_biz_id": request.visitorId,
+                "request_id": request.requestId,
+                "system_role": systemRoleText,
+                "stream": "enable",
+                "file_infos": request.fileInfos,
+                "custom_variables": request.customVariables
+            };
+
+            const response = await fetch(config.endpoint, {
+                method: "POST",
+                headers: {"Content-Type": "application/json"},
+                body: JSON.stringify(payload),
+                signal: request.signal
+            });
+
+            if (!response.ok) await throwHttpError(response);
+
+            let fullReply = "";
+            let streamError = null;
+
+            await readSseEvents(response, (jsonStr) => {
+                if (jsonStr === "[DONE]") return true;
+                try {
+                    const data = JSON.parse(jsonStr);
+
+                    // 过滤掉用户自己发的消息回显
+                    if (data.type === 'reply' && data.payload && !data.payload.is_from_self) {
+                        if (data.payload.content) {
+                            // LKE 每次返回的都是完整的累计内容
+                            fullReply = data.payload.content;
+                            request.onDelta(fullReply);
+                        }
+                    }
+
+                    // 检查 API 返回的业务逻辑错误
+                    else if (data.type === 'error') {
+                        console.error("API 业务层报错:", data);
+                        const lkeCode = data.payload?.error?.code;
+                        if (lkeCode === 400400) {
+                            streamError = createApiError(API_ERROR_CODES.CONTEXT_TOO_LONG, `连接超时或内容过长 (400400)`);
+                        } else if (lkeCode === -1) {
+                            streamError = createApiError(API_ERROR_CODES.TOOL_FAILURE, `服务端工具暂时不可用 (Code -1)`);
+                        } else {
+                            const errMsg = data.error?.message || data.payload?.error?.message || '未知错误';
+                            streamError = createApiError(API_ERROR_CODES.PROVIDER, `API返回错误: ${errMsg}`);
+                        }
+                        return true;
+                    }
+                } catch (e) {
+                    // 忽略单行解析错误
+                }
+            });
+
+            if (streamError) throw streamError;
+            if (!fullReply) throw createApiError(API_ERROR_CODES.EMPTY_REPLY, "AI 没有返回有效内容");
+            return fullReply;
+        }
+    },
+
+    openai: {
+        label: 'OpenAI 兼容 (/v1/chat/completions)',
+        async send(request) {
+            const config = apiProviderConfig.openai;
+            if (!config.apiKey) throw createApiError(API_ERROR_CODES.CONFIG, "请先在「设置 → AI 服务」中填写 API Key");
+
+            const messages = [];
+            if (request.systemPrompt.trim()) messages.push({role: 'system', content: request.systemPrompt});
+            request.history.forEach(msg => messages.push({role: msg.role, content: msg.content}));
+            messages.push({role: 'user', content: hasImagePart(request.queryParts) ? request.queryParts : request.query});
+
+            const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "Authorization": `Bearer ${config.apiKey}`
+                },
+                body: JSON.stringify({
+                    model: config.model,
+                    messages: messages,
+                    temperature: Number(config.temperature),
+                    stream: true
+                }),
+                signal: request.signal
+            });
+
+            if (!response.ok) await throwHttpError(response);
+
+            let fullReply = "";
+            await readSseEvents(response, (jsonStr) => {
+                if (jsonStr === "[DONE]") return true;
+                try {
+                    const data = JSON.parse(jsonStr);
+                    const delta = data.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        fullReply += delta;
+                        request.onDelta(fullReply);
+                    }
+                } catch (e) {
+                    // 忽略单行解析错误
+                }
+            });
+
+            if (!fullReply) throw createApiError(API_ERROR_CODES.EMPTY_REPLY, "AI 没有返回有效内容");
+            return fullReply;
+        },
+
+        canEmbed() {
+            const config = apiProviderConfig.openai;
+            return !!(config.apiKey && config.embeddingModel);
+        },
+
+        async embed(texts, signal) {
+            const config = apiProviderConfig.openai;
+            const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/embeddings`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "Authorization": `Bearer ${config.apiKey}`
+                },
+                body: JSON.stringify({model: config.embeddingModel, input: texts}),
+                signal: signal
+            });
+
+            if (!response.ok) await throwHttpError(response);
+            const data = await response.json();
+            return data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+        }
+    },
+
+    anthropic: {
+        label: 'Anthropic Messages',
+        async send(request) {
+            const config = apiProviderConfig.anthropic;
+            if (!config.apiKey) throw createApiError(API_ERROR_CODES.CONFIG, "请先在「设置 → AI 服务」中填写 API Key");
+
+            // 接口不接受 data: 形式的 url 图片，要拆成 base64 格式
+            const toImageBlock = (url) => {
+                const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+                return dataUrl
+                    ? {type: 'image', source: {type: 'base64', media_type: dataUrl[1], data: dataUrl[2]}}
+                    : {type: 'image', source: {type: 'url', url: url}};
+            };
+            // 空白的文本块会被接口拒绝（例如只发图片时补的空格），直接去掉
+            const toBlocks = (content) => {
+                const blocks = typeof content === 'string'
+                    ? [{type: 'text', text: content}]
+                    : content.map(item => item.type === 'image_url'
+                        ? toImageBlock(item.image_url.url)
+                        : {type: 'text', text: item.text || ''});
+                return blocks.filter(block => block.type !== 'text' || block.text.trim());
+            };
+
+            // Messages 接口要求 user/assistant 交替出现，且第一条必须是 user
+            const messages = [];
+            const turns = [...request.history, {role: 'user', content: hasImagePart(request.queryParts) ? request.queryParts : request.query}];
+            turns.forEach(msg => {
+                const blocks = toBlocks(msg.content);
+                if (blocks.length === 0) return;
+                const last = messages[messages.length - 1];
+                if (last && last.role === msg.role) {
+                    last.content.push(...blocks);
+                } else {
+                    messages.push({role: msg.role, content: blocks});
+                }
+            });
+            if (messages[0]?.role !== 'user') messages.unshift({role: 'user', content: [{type: 'text', text: '(继续)'}]});
+            // 最后一条是 assistant 时会被当成回复的开头续写，补一条 user
+            if (messages[messages.length - 1].role !== 'user') messages.push({role: 'user', content: [{type: 'text', text: '(继续)'}]});
+
+            const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/messages`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "x-api-key": config.apiKey,
+                    "anthropic-version": "2023-06-01",
+                    "anthropic-dangerous-direct-browser-access": "true"
+                },
+                body: JSON.stringify({
+                    model: config.model,
+                    system: request.systemPrompt,
+                    messages: messages,
+                    max_tokens: Number(config.maxTokens) || 2048,
+                    stream: true
+                }),
+                signal: request.signal
+            });
+
+            if (!response.ok) await throwHttpError(response);
+
+            let fullReply = "";
+            let streamError = null;
+            await readSseEvents(response, (jsonStr, eventName) => {
+                try {
+                    const data = JSON.parse(jsonStr);
+                    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                        fullReply += data.delta.text;
+                        request.onDelta(fullReply);
+                    } else if (data.type === 'message_stop') {
+                        return true;
+                    } else if (data.type === 'error' || eventName === 'error') {
+                        const errorCode = data.error?.type === 'overloaded_error' ? API_ERROR_CODES.SERVER : API_ERROR_CODES.PROVIDER;
+                        streamError = createApiError(errorCode, `API返回错误: ${data.error?.message || '未知错误'}`);
+                        return true;
+                    }
+                } catch (e) {
+                    // 忽略单行解析错误
+                }
+            });
+
+            if (streamError) throw streamError;
+            if (!fullReply) throw createApiError(API_ERROR_CODES.EMPTY_REPLY, "AI 没有返回有效内容");
+            return fullReply;
+        }
+    },
+
+    mock: {
+        label: '本地模拟 (离线调试)',
+        async send(request) {
+            const echo = request.query.trim().substring(0, 60) || '...';
+            const reply = `（本地模拟回复）收到：${echo}`;
+            // 密友聊天等场景要求 JSON 格式，这里按需包装，保证下游解析逻辑不受影响
+            const message = request.systemPrompt.includes('"reply"')
+                ? JSON.stringify({reply: reply, status: null})
+                : reply;
+
+            // 按小块逐步吐出，模拟真实的流式返回
+            const chunks = message.match(/[\s\S]{1,4}/g) || [];
+            const chunkDelay = (Number(apiProviderConfig.mock.latency) || 0) / Math.max(chunks.length, 1);
+            let sent = "";
+            for (const chunk of chunks) {
+                await new Promise(r => setTimeout(r, chunkDelay));
+                if (request.signal?.aborted) throw new DOMException('已停止生成', 'AbortError');
+                sent += chunk;
+                request.onDelta(sent);
+            }
+            return message;
+        }
+    }
+};
+
+/**
+ * 获取当前启用的提供方
+ */
+function getActiveChatProvider() {
+    return ChatProviders[apiProviderConfig.provider] || ChatProviders.lke;
+}
+
+/**
+ * 打开「AI 服务」配置页面，并回填当前配置
+ */
+function openApiProviderSettings() {
+    const page = document.getElementById('apiProviderPage');
+    if (!page) return;
+
+    const select = document.getElementById('apiProviderSelect');
+    select.innerHTML = Object.entries(ChatProviders)
+        .map(([key, provider]) => `<option value="${key}">${provider.label}</option>`)
+        .join('');
+    select.value = apiProviderConfig.provider;
+
+    page.querySelectorAll('[data-provider-field]').forEach(input => {
+        const [providerKey, field] = input.dataset.providerField.split('.');
+        input.value = apiProviderConfig[providerKey][field] ?? '';
+    });
+
+    renderApiProviderFields();
+    page.classList.add('show');
+}
+
+/**
+ * 关闭「AI 服务」配置页面
+ */
+function closeApiProviderSettings() {
+    document.getElementById('apiProviderPage')?.classList.remove('show');
+}
+
+/**
+ * 根据下拉框选择的提供方，只显示对应的配置项
+ */
+function renderApiProviderFields() {
+    const selected = document.getElementById('apiProviderSelect').value;
+    document.querySelectorAll('#apiProviderPage [data-provider-section]').forEach(section => {
+        section.style.display = section.dataset.providerSection === selected ? 'block' : 'none';
+    });
+}
+
+/**
+ * 从表单读取配置并写回 apiProviderConfig
+ */
+function collectApiProviderForm() {
+    apiProviderConfig.provider = document.getElementById('apiProviderSelect').value;
+    document.querySelectorAll('#apiProviderPage [data-provider-field]').forEach(input => {
+        const [providerKey, field] = input.dataset.providerField.split('.');
+        apiProviderConfig[providerKey][field] = input.type === 'number' ? Number(input.value) : input.value.trim();
+    });
+}
+
+/**
+ * 保存「AI 服务」配置
+ */
+function saveApiProviderSettings() {
+    collectApiProviderForm();
+    saveApiProviderConfig();
+    showSuccessModal('保存成功', `当前使用：${getActiveChatProvider().label}`);
+}
+
+/**
+ * 用当前表单中的配置发送一条测试消息
+ */
+async function testApiProviderSettings() {
+    collectApiProviderForm();
+    const testBtn = document.getElementById('apiProviderTestBtn');
+    if (testBtn) {
+        testBtn.disabled = true;
+        testBtn.textContent = '测试中...';
+    }
+    const result = await callApi(
+        [
+            {role: 'system', content: '你是一个连接测试助手，请简短回复。'},
+            {role: 'user', content: '你好，请回复“连接成功”。'}
+        ],
+        [], {}, true, {notifyRetry: true}
+    );
+    if (testBtn) {
+        testBtn.disabled = false;
+        testBtn.textContent = '测试连接';
+    }
+    if (result.success) {
+        showSuccessModal('连接成功', result.message.substring(0, 80), 2500);
+    } else {
+        showErrorModal('连接失败', result.message);
+    }
+}
+
+// ========== AI 服务提供方 (Provider) - 结束 ==========
+
+/**
+ * [API 核心修复版] 调用 API 函数
+ * 增强了错误捕捉和日志输出，解决了请求瞬间失败的问题
+ * 实际的网络请求交给当前启用的提供方 (ChatProviders) 完成
+ * @param {Array} messages - 分角色的消息数组 [{role, content}]
+ * @param {Array} [fileInfos] - 附件信息（仅 LKE 使用）
+ * @param {object} [customVariables] - 自定义变量（仅 LKE 使用）
+ * @param {boolean} [skipContext] - 为 true 时不携带历史记录，只发送 system + user
+ * @param {object} [options] - 额外选项
+ * @param {object} [options.contact] - 会话归属的联系人，默认取当前聊天对象
+ * @param {function(string)} [options.onDelta] - 流式回调，每收到新内容时以「目前为止的完整文本」调用
+ * @param {AbortSignal} [options.signal] - 中止信号；被中止时返回 {aborted: true, partialText}
+ * @param {function(number, number, Error)} [options.onRetry] - 自动重试前调用，参数为 (第几次尝试, 最多几次, 错误)
+ * @param {boolean} [options.notifyRetry] - 没有 onRetry 时是否弹窗提示「正在重试」；
+ *        默认静默重试（后台任务不打扰用户），用户正在等待结果的前台请求传 true
+ * @returns {Promise<{success: boolean, message: string, code?: string, status?: number, aborted?: boolean, partialText?: string}>}
+ */
+async function callApi(messages, fileInfos = [], customVariables = {}, skipContext = false, options = {}) {
+    console.log("🚀 开始准备 API 请求...");
+
+    // 1. 智能判断当前联系人（防止 ID 为空导致的崩溃）
+    const targetContact = options.contact || currentSweetheartChatContact || currentChatContact || {
+        name: "AI助手",
+        id: "default_session_001",
+        status: "智能助手"
+    };
+
+    // 2. 获取设备ID（用于区分不同用户）
+    const getDeviceId = () => {
+        let did = localStorage.getItem('yetta_device_id');
+        if (!did) {
+            did = Math.random().toString(36).substring(2, 10) + Date.now().toString(36);
+            localStorage.setItem('yetta_device_id', did);
+        }
+        return did;
+    };
+    const deviceId = getDeviceId();
+
+    // 3. ID 清洗 (防止特殊字符导致 API 报错)
+    const sanitizeId = (id) => {
+        let str = String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+        if (str.length < 2) str = str.padEnd(2, '_');
+        if (str.length > 64) str = str.substring(0, 64);
+        return str;
+    };
+
+    // 4. 把消息拆分为 system / 历史 / 本次输入，交给提供方按各自格式组装
+    let receivedText = ""; // 记录已收到的内容，被中止时返回给调用方
+    const request = {
+        systemPrompt: "",
+        history: [],
+        query: "",
+        queryParts: [],
+        fileInfos: fileInfos,
+        customVariables: customVariables,
+        sessionId: sanitizeId(`${targetContact.id}_${deviceId}`),
+        visitorId: `user_${deviceId}`,
+        requestId: "req_" + Date.now().toString(36),
+        signal: options.signal,
+        onDelta: (fullText) => {
+            receivedText = fullText;
+            if (typeof options.onDelta !== 'function') return;
+            try {
+                options.onDelta(fullText);
+            } catch (e) {
+                // 渲染出错不能打断网络流的读取
+                console.warn("流式回调出错:", e);
+            }
+        }
+    };
+
+    try {
+        if (skipContext) {
+            const sysMsg = messages.find(m => m.role === 'system');
+            if (sysMsg) request.systemPrompt = sysMsg.content;
+            const userMsgs = messages.filter(m => m.role === 'user');
+            request.query = userMsgs.map(m => flattenMessageContent(m.content)).join("\n");
+            request.queryParts = [{type: 'text', text: request.query}];
+        } else {
+            let lastNonUserIndex = -1;
+
+            // 找到最后一条非用户消息的位置
+            for (let i = messages.length - 1; i >= 0; i--) {
+                if (messages[i].role !== 'user') {
+                    lastNonUserIndex = i;
+                    break;
+                }
+            }
+
+            messages.forEach((msg, index) => {
+                if (msg.role === 'system') {
+                    request.systemPrompt += (msg.content || "") + "\n\n";
+                } else if (index > lastNonUserIndex) {
+                    // 这是本次要发送的最新消息
+                    if (typeof msg.content === 'string') {
+                        request.queryParts.push({type: 'text', text: msg.content});
+                    } else if (Array.isArray(msg.content)) {
+                        request.queryParts.push(...msg.content);
+                    }
+                } else {
+                    // 这是历史记录
+                    request.history.push({
+                        role: msg.role === 'user' ? 'user' : 'assistant',
+                        content: msg.content
+                    });
+                }
+            });
+
+            request.query = flattenMessageContent(request.queryParts);
+            // 如果只有图片没有文字，API可能会报错，补一个空格
+            if (!request.query.trim()) request.query = " ";
+        }
+    } catch (e) {
+        console.error("构建消息上下文时出错:", e);
+        return {success: false, code: API_ERROR_CODES.BUILD, message: "构建消息失败，请检查控制台日志"};
+    }
+
+    const provider = getActiveChatProvider();
+    const maxAttempts = API_RETRY_POLICY.maxAttempts;
+
+    for (let attempt = 1; ; attempt++) {
+        console.log(`📡 正在发送请求... (${provider.label}${attempt > 1 ? `，第 ${attempt}/${maxAttempts} 次尝试` : ''})`);
+        try {
+            const reply = await provider.send(request);
+            return {success: true, message: reply};
+        } catch (rawError) {
+            const error = normalizeApiError(rawError);
+
+            if (error.code === API_ERROR_CODES.ABORTED) {
+                console.log("⏹️ 请求已被用户停止");
+                return {success: false, aborted: true, code: error.code, message: error.message, partialText: receivedText};
+            }
+
+            if (!RETRYABLE_API_ERRORS.has(error.code) || attempt >= maxAttempts) {
+                console.error("API 请求失败:", error);
+                return {success: false, code: error.code, status: error.status, message: error.message};
+            }
+
+            // 暂时性错误：等待一会儿后自动重试，已收到的半截内容作废
+            const delay = getApiRetryDelay(attempt, error);
+            console.warn(`⚠️ ${error.message}，${delay}ms 后重试 (${attempt + 1}/${maxAttempts})`);
+            receivedText = "";
+            if (typeof options.onRetry === 'function') {
+                options.onRetry(attempt + 1, maxAttempts, error);
+            } else if (options.notifyRetry) {
+                showSuccessModal('网络不稳定', `正在重试 (${attempt + 1}/${maxAttempts})...`, Math.min(delay, 2000));
+            }
+
+            try {
+                await waitForRetry(delay, options.signal);
+            } catch (abortError) {
+                return {success: false, aborted: true, code: API_ERROR_CODES.ABORTED, message: "已停止生成", partialText: ""};
+            }
+        }
+    }
+}
+
+// ========== AI 请求中止 (停止生成) - 开始 ==========
+
+// 每个通道（普通聊天/密友聊天/剧情讨论/记账）同一时间只保留一个进行中的请求
+const activeAiRequests = {};
+
+/**
+ * 开始一次可以被用户中止的 AI 请求，并把触发按钮临时替换为「停止」按钮
+ * @param {string} channel - 请求通道，如 'normal' / 'sweetheart' / 'discuss' / 'ledger'
+ * @param {HTMLElement} [triggerBtn] - 被替换的触发按钮
+ * @returns {AbortController} 传给 callApi 的 options.signal 使用 controller.signal
+ */
+function beginAbortableAiRequest(channel, triggerBtn) {
+    const previous = activeAiRequests[channel];
+    if (previous) {
+        previous.controller.abort();
+        finishAbortableAiRequest(channel, previous.controller);
+    }
+
+    const controller = new AbortController();
+    let stopBtn = null;
+    const previousDisplay = triggerBtn ? triggerBtn.style.display : '';
+
+    if (triggerBtn) {
+        stopBtn = document.createElement('button');
+        stopBtn.type = 'button';
+        stopBtn.className = `${triggerBtn.className} stop-generate-btn`;
+        stopBtn.title = '停止生成';
+        // 图标按钮换成方块图标，文字按钮换成「停止」
+        stopBtn.innerHTML = triggerBtn.querySelector('svg, img')
+            ? `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="2"></rect></svg>`
+            : '停止';
+        stopBtn.addEventListener('click', () => stopAiRequest(channel));
+        triggerBtn.style.display = 'none';
+        triggerBtn.insertAdjacentElement('afterend', stopBtn);
+    }
+
+    activeAiRequests[channel] = {controller, triggerBtn, stopBtn, previousDisplay};
+    return controller;
+}
+
+/**
+ * 请求结束（无论成功、失败还是被中止）后，移除「停止」按钮并恢复触发按钮
+ * @param {string} channel - 请求通道
+ * @param {AbortController} controller - beginAbortableAiRequest 返回的控制器
+ */
+function finishAbortableAiRequest(channel, controller) {
+    const entry = activeAiRequests[channel];
+    if (!entry || entry.controller !== controller) return;
+
+    if (entry.stopBtn) entry.stopBtn.remove();
+    if (entry.triggerBtn) entry.triggerBtn.style.display = entry.previousDisplay;
+    delete activeAiRequests[channel];
+}
+
+/**
+ * 中止某个通道上正在进行的请求（已收到的内容由调用方保留）
+ * @param {string} channel - 请求通道
+ */
+function stopAiRequest(channel) {
+    const entry = activeAiRequests[channel];
+    if (entry) entry.controller.abort();
+}
+
+// ========== AI 请求中止 (停止生成) - 结束 ==========
+
+const LKECloudManager = {
+    // 你的 Bot AppKey (与「设置 → AI 服务」中的 LKE 配置保持一致)
+    get appKey() {
+        return apiProviderConfig.lke.botAppKey || LKE_DEFAULT_BOT_APP_KEY;
+    },
+
+    async uploadToCOS(file, isPublic = false) {
+        console.log("正在通过 ImgBB 上传图片...");
+
+        // ⚠️ 请将下方的 '你的_IMGBB_API_KEY' 替换为你第一步获取的真实 Key
+        const IMGBB_KEY = '96f604f762959202f88dc15d6a96d3ba';
+        const formData = new FormData();
+        formData.append('image', file);
+        try {
+            const response = await fetch(`https://api.imgbb.com/1/upload?key=${IMGBB_KEY}`, {
+                method: 'POST',
+                body: formData
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error('图床上传失败: ' + (data.error ? data.error.message : '未知错误'));
+            }
+            console.log("图片上传成功:", data.data.url);
+            // 返回符合原来格式的对象，保证后续代码不报错
+            return {
+                url: data.data.url, // 图片的公网链接
+                // 下面这些字段是为了兼容原来的逻辑，实际上用不到
+                bucket: 'imgbb-public',
+                uploadPath: 'dummy-path',
+                data: {ETag: 'dummy', headers: {}}
+            };
+        } catch (e) {
+            console.error(e);
+            alert("图片上传失败，请检查网络或 API Key");
+            throw e;
+        }
+    },
+
+    // 3. (仅文档) 调用文档解析接口
+    async parseDoc(file, cosResult, sessionId) {
+        // 只有文档需要这一步，图片不需要
+        const parseUrl = "https://wss.lke.cloud.tencent.com/v1/qbot/chat/docParse";
+
+        const payload = {
+            session_id: sessionId,
+            bot_app_key: this.appKey,
+            request_id: "req_" + Date.now(),
+            cos_bucket: cosResult.bucket,
+            file_type: file.name.split('.').pop(),
+            file_name: file.name.replace(/\.[^/.]+$/, ""), // 去除后缀
+            cos_url: cosResult.uploadPath,
+            e_tag: cosResult.data.ETag,
+            cos_hash: cosResult.data.headers['x-cos-hash-crc64ecma'], // 注意大小写，可能需要调试
+            size: String(file.size) // 必须是字符串
+        };
+
+        const response = await fetch(parseUrl, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify(payload)
+        });
+
+        // 解析流式返回 (简化版，只取最后结果)
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let docId = null;
+
+        while (true) {
+            const {done, value} = await reader.read();
+            if (done) break;
+            const text = decoder.decode(value);
+            // 简单正则提取 doc_id，实际建议完整解析 SSE
+            const match = text.match(/"doc_id":"([^"]+)"/);
+            if (match && match[1] && match[1] !== "0") {
+                docId = match[1];
+            }
+        }
+
+        if (!docId) throw new Error("文档解析失败，未获取到 doc_id");
+        return docId;
+    }
+};
+
+/**
+ * [全新版本] 发送消息，会检查并打包引用信息
+ */
+// 全局变量，用于存储普通聊天的防抖计时器
+let normalAutoReplyTimer = null;
+
+/* script.js */
+
+function addMessageToList() {
+    const inputEl = document.getElementById('chatInput');
+    const messagesEl = document.getElementById('chatMessages');
+    const messageText = inputEl.value.trim();
+
+    if (!messageText && !currentQuoteData) return;
+    if (!messageText.trim() && !currentQuoteData) {
+        inputEl.value = '';
+        return;
+    }
+
+    const messagePayload = {
+        sender: 'user',
+        text: messageText,
+    };
+
+    if (currentQuoteData) {
+        messagePayload.quote = currentQuoteData;
+    }
+
+    // 1. 立即上屏并保存（这一步不变）
+    const newIndex = saveMessage(currentChatContact.id, messagePayload);
+    const messageRow = _createMessageDOM(currentChatContact.id, messagePayload, newIndex);
+    messagesEl.appendChild(messageRow);
+
+    inputEl.value = '';
+    // 发送完后移除 has-text 类，这样“发送按钮”隐藏，“接收按钮”就会显示出来
+    document.querySelector('.chat-input-area').classList.remove('has-text');
+    // 3. 强制把小信封设为可用状态
+    const replyBtn = document.getElementById('getReplyBtn');
+    if (replyBtn) {
+        replyBtn.style.display = 'flex'; // 确保也是显示的
+        replyBtn.disabled = false;
+        replyBtn.style.opacity = '1';
+    }
+    cancelQuote();
+
+    renderContacts(contactsData);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    inputEl.focus();
+
+    // ▼▼▼▼▼▼▼▼▼▼ 此处是修改点 ▼▼▼▼▼▼▼▼▼▼
+
+    // 原来的代码有下面这段，【请把它删掉或注释掉】：
+    /*
+    if (normalAutoReplyTimer) {
+        clearTimeout(normalAutoReplyTimer);
+    }
+    normalAutoReplyTimer = setTimeout(() => {
+        getAiReply();
+        normalAutoReplyTimer = null;
+    }, 1500);
+    */
+
+    // 现在什么都不做，这就意味着只有你手动点击“接收按钮”时才会触发 AI。
+    console.log("消息已发送，等待用户手动点击接收...");
+
+    // ▲▲▲▲▲▲▲▲▲▲ 修改结束 ▲▲▲▲▲▲▲▲▲▲
+}
+
+
+// ========== 上下文组装 (Token 预算) - 开始 ==========
+
+/**
+ * 各上下文分块的规则
+ * share 为该分块在总预算中的份额；priority 越大越重要
+ * 总量超出预算时，先从低优先级开始把各分块压回自己的份额，仍超出再继续压缩/丢弃
+ * required 的分块永远不会被裁剪；minItems 为压缩时至少保留的条目数
+ */
+const CONTEXT_SECTION_RULES = {
+    system: {label: '系统指令', priority: 100, share: 0.4, required: true},
+    recent: {label: '最近对话', priority: 90, share: 0.4, minItems: 2},
+    memory: {label: '长期记忆', priority: 80, share: 0.15},
+    retrieval: {label: '相关回忆', priority: 75, share: 0.15},
+    worldbook: {label: '世界书', priority: 70, share: 0.25},
+    masks: {label: '用户人设', priority: 60, share: 0.1},
+    status: {label: '状态记录', priority: 50, share: 0.15},
+    background: {label: '背景对话', priority: 30, share: 0.15}
+};
+
+// 每条对话消息额外计入的 Token（角色标记等）
+const CONTEXT_MESSAGE_OVERHEAD = 4;
+// 剩余空间少于这个数时不再生成摘要
+const CONTEXT_SUMMARY_MIN_TOKENS = 40;
+
+// 最近一次组装的上下文用量，key 为 `${聊天类型}_${联系人ID}`
+let contextUsageRecords = JSON.parse(localStorage.getItem('phoneContextUsage') || '{}');
+
+/**
+ * 粗略估算文本的 Token 数：中日韩字符约 1 字 1 Token，其余约 4 字符 1 Token
+ * @param {string|Array} content - 文本或多模态消息数组
+ * @returns {number}
+ */
+function estimateTokens(content) {
+    const text = flattenMessageContent(content);
+    if (!text) return 0;
+    const cjkCount = (text.match(/[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]/g) || []).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * 当前 AI 服务的上下文 Token 预算（在「设置 → AI 服务」中配置）
+ */
+function getContextTokenBudget() {
+    const config = apiProviderConfig[apiProviderConfig.provider] || {};
+    return config.contextTokens || API_PROVIDER_DEFAULTS.lke.contextTokens;
+}
+
+/**
+ * 把被丢弃的对话压缩成一段摘要：从最新的开始取，每条只保留开头
+ * @param {Array<string>} lines - 形如「用户: xxx」的对话行，按时间从旧到新
+ * @param {number} maxTokens - 摘要最多占用的 Token
+ * @returns {string} 放不下任何一行时返回空字符串
+ */
+function summarizeDialogLines(lines, maxTokens) {
+    const title = `[更早的 ${lines.length} 条对话已省略，以下为摘要]`;
+    const picked = [];
+    let used = estimateTokens(title) + CONTEXT_MESSAGE_OVERHEAD;
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const line = lines[i].length > 40 ? lines[i].slice(0, 40) + '…' : lines[i];
+        const cost = estimateTokens(line) + 1;
+        if (used + cost > maxTokens) break;
+        picked.unshift(line);
+        used += cost;
+    }
+    return picked.length > 0 ? `${title}\n${picked.join('\n')}` : '';
+}
+
+/**
+ * 把文字截断到 maxTokens 以内
+ */
+function truncateToTokens(text, maxTokens) {
+    const suffix = '…（已截断）';
+    const limit = maxTokens - estimateTokens(suffix);
+    let result = text;
+    while (result.length > 0 && estimateTokens(result) > limit) {
+        const ratio = Math.min(0.95, limit / estimateTokens(result));
+        result = result.slice(0, Math.max(0, Math.floor(result.length * ratio)));
+    }
+    return result + suffix;
+}
+
+/**
+ * 重新计算一个分块当前保留内容的 Token 数
+ */
+function measureContextPlan(plan) {
+    const kept = plan.items.slice(plan.start, plan.end);
+    let tokens = estimateTokens(plan.summary);
+    if (kept.length > 0) {
+        tokens += plan.format
+            ? estimateTokens(plan.format(kept)) + CONTEXT_MESSAGE_OVERHEAD
+            : kept.reduce((sum, msg) => sum + estimateTokens(msg.content) + CONTEXT_MESSAGE_OVERHEAD, 0);
+    }
+    plan.tokens = tokens;
+}
+
+/**
+ * 把一个分块压缩到 limit 以内：先丢弃条目，能放下时再把丢弃的部分写成摘要
+ */
+function fitContextPlan(plan, limit) {
+    if (plan.rule.required) return;
+    const minItems = plan.rule.minItems || 0;
+    plan.summary = '';
+    measureContextPlan(plan);
+    while (plan.tokens > limit && plan.end - plan.start > minItems) {
+        const lastText = plan.originalItems[plan.start];
+        if (plan.end - plan.start === 1 && typeof lastText === 'string' && limit >= CONTEXT_SUMMARY_MIN_TOKENS) {
+            // 只剩一段文字时截断它，而不是整段丢弃
+            const overhead = plan.tokens - estimateTokens(plan.items[plan.start]);
+            plan.items[plan.start] = truncateToTokens(lastText, limit - overhead);
+            plan.truncated = true;
+            measureContextPlan(plan);
+            break;
+        }
+        if (plan.keepEnd) plan.start++;
+        else plan.end--;
+        measureContextPlan(plan);
+    }
+    const dropped = [...plan.items.slice(0, plan.start), ...plan.items.slice(plan.end)];
+    const room = limit - plan.tokens;
+    if (dropped.length > 0 && plan.summarize && room >= CONTEXT_SUMMARY_MIN_TOKENS) {
+        plan.summary = plan.summarize(dropped, room);
+        measureContextPlan(plan);
+    }
+}
+
+/**
+ * 按 Token 预算组装上下文
+ * @param {Array} sections - 上下文分块，按最终拼接顺序排列：
+ *   key       - CONTEXT_SECTION_RULES 中的分块名
+ *   items     - 分块的条目（对话按时间从旧到新，其余按重要性从高到低）
+ *   format    - (keptItems) => string，把条目拼成一条 system 消息；不提供时 items 本身就是消息
+ *   keepEnd   - 压缩时保留末尾（最新）的条目，默认保留开头
+ *   summarize - (droppedItems, maxTokens) => string，可选，把被丢弃的条目写成摘要
+ * @param {object} [options]
+ *   reservedTokens - 预留给本次输入的 Token
+ * @returns {{messages: Array, usage: object}}
+ */
+function assembleContext(sections, options = {}) {
+    const budget = getContextTokenBudget();
+    const reserved = options.reservedTokens || 0;
+    const available = Math.max(0, budget - reserved);
+
+    const plans = sections
+        .filter(section => section.items && section.items.length > 0)
+        .map(section => ({
+            ...section,
+            items: [...section.items],
+            originalItems: section.items,
+            truncated: false,
+            rule: CONTEXT_SECTION_RULES[section.key],
+            start: 0,
+            end: section.items.length,
+            summary: '',
+            tokens: 0
+        }));
+    plans.forEach(measureContextPlan);
+    const sumTokens = () => plans.reduce((sum, plan) => sum + plan.tokens, 0);
+
+    const byPriority = [...plans].sort((a, b) => a.rule.priority - b.rule.priority);
+
+    // 1. 超出总预算时，从优先级最低的分块开始，把超出份额的部分压缩掉
+    byPriority.forEach(plan => {
+        const overflow = sumTokens() - available;
+        if (overflow > 0) fitContextPlan(plan, Math.max(plan.tokens - overflow, Math.floor(available * plan.rule.share)));
+    });
+
+    // 2. 仍然超出时，再从优先级最低的分块开始继续压缩，直到放得下
+    byPriority.forEach(plan => {
+        const overflow = sumTokens() - available;
+        if (overflow > 0) fitContextPlan(plan, plan.tokens - overflow);
+    });
+
+    const messages = [];
+    plans.forEach(plan => {
+        const kept = plan.items.slice(plan.start, plan.end);
+        if (plan.summary) messages.push({role: 'system', content: plan.summary});
+        if (kept.length === 0) return;
+        if (plan.format) messages.push({role: 'system', content: plan.format(kept)});
+        else messages.push(...kept);
+    });
+
+    const usage = {
+        budget: budget,
+        reserved: reserved,
+        total: sumTokens() + reserved,
+        sections: plans.map(plan => ({
+            key: plan.key,
+            label: plan.rule.label,
+            tokens: plan.tokens,
+            kept: plan.end - plan.start,
+            count: plan.items.length,
+            summarized: !!plan.summary,
+            truncated: plan.truncated && plan.end > plan.start
+        })),
+        time: Date.now()
+    };
+    return {messages, usage};
+}
+
+/**
+ * 联系人绑定的面具，每个面具一条
+ * @param {object} contact
+ * @returns {Array<string>}
+ */
+function getMaskContextEntries(contact) {
+    return (contact.boundMasks || [])
+        .map(maskId => masksData.find(m => m.id === maskId))
+        .filter(Boolean)
+        .map(mask => `${mask.name}: ${mask.content}`);
+}
+
+/**
+ * 组装上下文时用到的「世界书 / 面具 / 背景对话」分块（两种聊天共用）
+ * @param {object} contact - 当前联系人
+ * @param {Array} backgroundHistory - 另一种聊天中的最近记录
+ * @param {string} backgroundName - 另一种聊天的名称
+ * @param {Array<string>} scanTexts - 用于匹配世界书关键词的最近对话（从旧到新）
+ * @returns {Array} assembleContext 的分块
+ */
+function buildSharedContextSections(contact, backgroundHistory, backgroundName, scanTexts = []) {
+    const toDialogLine = msg => `${msg.sender === 'user' ? '用户' : contact.name}: ${msg.text.replace(/<[^>]+>/g, '[多媒体内容]')}`;
+    return [
+        {
+            key: 'worldbook',
+            items: gatherWorldbookEntries(scanTexts, contact),
+            format: formatWorldbookContext
+        },
+        {
+            key: 'masks',
+            items: getMaskContextEntries(contact),
+            format: entries => `[用户人设]\n${entries.join('\n\n')}`
+        },
+        {
+            key: 'background',
+            items: backgroundHistory.filter(msg => msg.text),
+            format: history => formatBackgroundHistory(history, backgroundName, contact.name),
+            keepEnd: true,
+            summarize: (dropped, maxTokens) => summarizeDialogLines(dropped.map(toDialogLine), maxTokens)
+        }
+    ];
+}
+
+/**
+ * 「最近对话」分块：保留最新的消息，放不下的更早消息压缩成摘要
+ * @param {Array} conversation - [{role, content}]，按时间从旧到新
+ * @param {string} characterName
+ */
+function buildRecentContextSection(conversation, characterName) {
+    return {
+        key: 'recent',
+        items: conversation,
+        keepEnd: true,
+        summarize: (dropped, maxTokens) => summarizeDialogLines(
+            dropped.map(msg => `${msg.role === 'user' ? '用户' : characterName}: ${flattenMessageContent(msg.content)}`),
+            maxTokens
+        )
+    };
+}
+
+/**
+ * 记录最近一次的上下文用量，供聊天设置页展示
+ * @param {string} chatType - 'normal' | 'sweetheart'
+ * @param {string} contactId
+ * @param {object} usage - assembleContext 返回的 usage
+ */
+function recordContextUsage(chatType, contactId, usage) {
+    contextUsageRecords[`${chatType}_${contactId}`] = usage;
+    try {
+        localStorage.setItem('phoneContextUsage', JSON.stringify(contextUsageRecords));
+    } catch (e) {
+        console.warn('保存上下文用量失败:', e);
+    }
+}
+
+/**
+ * 在聊天设置页的「AI 设置」中渲染上下文用量
+ * @param {string} containerId - 容器元素 ID
+ * @param {string} chatType - 'normal' | 'sweetheart'
+ * @param {object} contact - 当前联系人
+ */
+function renderContextUsage(containerId, chatType, contact) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    const usage = contact ? contextUsageRecords[`${chatType}_${contact.id}`] : null;
+
+    if (!usage) {
+        container.innerHTML = `<div class="context-usage-empty">还没有发送过请求，获取一次回复后这里会显示上下文用量</div>`;
+        return;
+    }
+
+    const percent = value => Math.min(100, Math.round(value / usage.budget * 100));
+    const rows = usage.sections.map(section => {
+        let note = `${section.kept}/${section.count} 条`;
+        if (section.kept === 0) note = '已省略';
+        if (section.summarized) note += '，含摘要';
+        if (section.truncated) note += '，已截断';
+        return `
+            <div class="context-usage-row">
+                <div class="context-usage-label">${section.label}</div>
+                <div class="context-usage-bar"><div style="width: ${percent(section.tokens)}%"></div></div>
+                <div class="context-usage-value">${section.tokens} · ${note}</div>
+            </div>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="context-usage-total">上下文用量 ${usage.total} / ${usage.budget} Tokens（${percent(usage.total)}%）</div>
+        ${rows}
+        <div class="context-usage-row">
+            <div class="context-usage-label">本次输入</div>
+            <div class="context-usage-bar"><div style="width: ${percent(usage.reserved)}%"></div></div>
+            <div class="context-usage-value">${usage.reserved}</div>
+        </div>
+        <div class="context-usage-time">统计于 ${new Date(usage.time).toLocaleString()}，预算可在「设置 → AI 服务」中调整</div>`;
+}
+
+// ========== 上下文组装 (Token 预算) - 结束 ==========
+
+/**
+ * [全新] 格式化一段历史记录，作为提供给AI的背景上下文
+ * @param {Array} history - 要格式化的聊天记录数组
+ * @param {string} contextName - 这段历史的名称, e.g., "密友聊天"
+ * @param {string} characterName - AI角色的名字
+ * @returns {string} 格式化后的背景字符串
+ */
+function formatBackgroundHistory(history, contextName, characterName) {
+    if (!history || history.length === 0) {
+        return "";
+    }
+
+    // 将历史记录转换成易于AI阅读的对话格式
+    const formattedDialog = history
+        .map(msg => {
+            const speaker = msg.sender === 'user' ? userProfile.name : characterName;
+            return `${speaker}: ${msg.text.replace(/<img.*?>/g, '[图片]')}`; // 将图片转为文字描述
+        })
+        .join('\n');
+
+    // 返回最终的、带有清晰标记的背景信息块
+    return `
+[背景信息：以下是你和用户在"${contextName}"中的最近对话记录，仅供参考，不要直接回复这些内容]
+---
+${formattedDialog}
+---
+`;
+}
+
+/**
+ * [终极增强版] 普通聊天 - 获取AI回复
+ * 优化：增加对图片消息的强识别逻辑，提高工具调用成功率
+ * @param {object} [options] - {regenerate: true} 重新生成时只基于已有记录回复，不读取也不清空输入框
+ */
+async function getAiReply(options = {}) {
+    console.log("🚀 普通聊天 API 触发 (增强版)");
+
+    const getReplyBtn = document.getElementById('getReplyBtn');
+    const chatInput = document.getElementById('chatInput');
+    const messagesEl = document.getElementById('chatMessages');
+
+    // 1. 基础检查
+    if (!currentChatContact || !currentChatContact.id) {
+        alert("错误：未找到当前聊天对象，请重新进入聊天。");
+        if (getReplyBtn) {
+            getReplyBtn.disabled = false;
+            getReplyBtn.style.opacity = '1';
+        }
+        return;
+    }
+
+    // 群聊由各成员轮流发言
+    if (currentChatContact.isGroup) {
+        await getGroupAiReply(options);
+        return;
+    }
+
+    const contactId = currentChatContact.id;
+    const contactName = currentChatContact.name;
+
+    // UI反馈：防止连点，请求期间回复键被替换成「停止」按钮
+    if (getReplyBtn) {
+        getReplyBtn.disabled = true;
+        getReplyBtn.style.opacity = '0.5';
+    }
+    const requestController = beginAbortableAiRequest('normal', getReplyBtn);
+
+    try {
+        const chatHistory = ChatHistoryStore.get('phoneChatHistory', contactId);
+        const currentUserInput = options.regenerate ? '' : chatInput.value.trim();
+
+        // -------------------------------------------------------------
+        // 🔥 核心优化开始：检测历史记录中最后一条是否这也是图片
+        // -------------------------------------------------------------
+        // 系统指令 + 角色ID
+        const systemMessages = [
+            {role: "system", content: AI_REALCHAT_SYSTEM_PROMPT},
+            {
+                role: "system",
+                content: `(System: You are roleplaying as "${currentChatContact.name}". Status: ${currentChatContact.status || 'Friend'})`
+            }
+        ];
+
+        // 取最近记录（多取一些，最终保留多少由上下文预算决定）
+        // 注意：我们这里不直接 push 到 messages，而是先处理一下
+        const recentMessages = chatHistory.slice(-20);
+
+        // 检查最后一条是否是由于用户发的图片，且尚未被"消费"掉
+        // 注意：普通聊天没有 isProcessed 字段，我们通过逻辑判断
+        const lastMsg = recentMessages[recentMessages.length - 1];
+        let multimodalMessage = null;
+
+        // 如果最后一条是用户发的，并且包含 imageUrl，且当前输入框为空（说明是刚发完图点击接收）
+        // 或者当前输入框有字，我们把图和字合并
+        if (lastMsg && lastMsg.sender === 'user' && lastMsg.imageUrl) {
+            console.log("📷 检测到最后一条是图片，构建多模态请求...");
+
+            multimodalMessage = {
+                role: 'user',
+                content: [
+                    {
+                        type: 'image_url',
+                        image_url: {
+                            url: lastMsg.imageUrl
+                        }
+                    },
+                    {
+                        type: 'text',
+                        // 如果用户现在输入了字，就用现在的字；否则用图片自带的文字描述
+                        text: currentUserInput || lastMsg.text || '请分析这张图片'
+                    }
+                ]
+            };
 
-            <div class="settings-section">
-                <div class="section-title">危险区域</div>
-                <!-- 12. 清空所有数据 -->
-                <div class="settings-item" onclick="clearAllData()">
-                    <div class="settings-icon icon-danger"></div>
-                    <div class="settings-info">
-                        <div class="settings-label" style="color: #ff3b30;">清空所有数据</div>
-                        <div class="settings-desc">将删除所有设置、联系人、聊天记录和自定义内容</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-            </div>
-            
-            <!-- 新增：数据管理 -->
-            <div class="settings-section">
-                <div class="section-title">数据管理</div>
-                <!-- 导出所有数据 -->
-                <div class="settings-item" onclick="exportAppData()">
-                    <div class="settings-icon" style="background: linear-gradient(135deg, #FFD700, #FFA500);">📤</div>
-                    <div class="settings-info">
-                        <div class="settings-label">导出所有数据</div>
-                        <div class="settings-desc">备份所有设置、联系人、聊天记录等</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-                <!-- 导入数据 -->
-                <div class="settings-item" onclick="importAppData()">
-                    <div class="settings-icon" style="background: linear-gradient(135deg, #98FB98, #66CDAA);">📥</div>
-                    <div class="settings-info">
-                        <div class="settings-label">导入数据</div>
-                        <div class="settings-desc">从备份文件恢复所有设置和数据</div>
-                    </div>
-                    <div class="settings-arrow">›</div>
-                </div>
-                <!-- 隐藏的文件输入元素，用于导入 -->
-                <input type="file" id="importFileInput" accept=".json" style="display: none;" onchange="handleFileImport(event)">
-            </div>
-        </div>
-    </div>
-    `;
-}
+            // 从历史记录中移除最后一条（因为我们把它重构成了 multimodalMessage）
+            recentMessages.pop();
+        }
 
-/**
- * helper function: 为动态创建的设置页面绑定事件监听
- * (主要是处理那些不是通过 onclick 绑定的事件)
- */
-function initializeSettingsPageListeners() {
-    // ===== 全屏模式开关 =====
-    const fullscreenToggle = document.getElementById('fullscreenToggle');
-    if (fullscreenToggle) {
-        // 读取并应用保存的设置
-        fullscreenToggle.checked = localStorage.getItem('fullscreenEnabled') === 'true';
+        // 将剩余的历史记录加入
+        const conversation = [];
+        recentMessages.forEach(msg => {
+            const role = msg.sender === 'user' ? 'user' : 'assistant';
+            let content = msg.text || '';
+            if (msg.quote) content = `(引用: ${msg.quote.text})\n` + content;
 
-        // 添加事件监听
-        fullscreenToggle.addEventListener('change', function () {
-            applyFullscreenSetting(this.checked);
-            localStorage.setItem('fullscreenEnabled', this.checked);
+            // 这里过滤掉 Markdown 图片链接，防止重复混淆
+            // content = content.replace(/!\[.*?\]\(.*?\)/g, '[图片]');
+
+            if (content.trim()) conversation.push({role, content});
         });
-    }
 
-}
+        // 按 Token 预算组装上下文：系统指令 > 最近对话 > 长期记忆 > 相关回忆 > 世界书 > 用户人设 > 密友聊天背景
+        const sweetheartHistory = ChatHistoryStore.view('phoneSweetheartChatHistory', contactId);
+        const scanTexts = [...conversation.map(msg => msg.content), currentUserInput];
+        const retrievedSnippets = await retrieveRelevantSnippets(contactId, contactName, scanTexts, requestController.signal);
+        const context = assembleContext([
+            {key: 'system', items: systemMessages},
+            buildMemoryContextSection(contactId, scanTexts),
+            buildRetrievalContextSection(retrievedSnippets),
+            ...buildSharedContextSections(currentChatContact, sweetheartHistory.slice(-10), '密友聊天', scanTexts),
+            buildRecentContextSection(conversation, currentChatContact.name)
+        ], {reservedTokens: estimateTokens(multimodalMessage ? multimodalMessage.content : currentUserInput)});
+        recordContextUsage('normal', contactId, context.usage);
+        const messages = context.messages;
 
-/**
- * 【优化版】打开设置页面
- * 实现了按需渲染（Lazy Rendering）
- */
-function openSettings() {
-    const screen = document.querySelector('.screen');
-    if (!screen) return;
+        // -------------------------------------------------------------
+        // 🔥 核心优化结束：发送构建好的消息
+        // -------------------------------------------------------------
 
-    // 检查设置页面是否已存在于DOM中
-    let settingsPage = document.getElementById('settingsPage');
+        // 1. 如果有构建好的多模态消息 (图片+文字)，优先发送这个
+        if (multimodalMessage) {
+            messages.push(multimodalMessage);
+            // 清理输入框和状态
+            if (currentUserInput) {
+                chatInput.value = '';
+                document.querySelector('.chat-input-area').classList.remove('has-text');
+                // 还需要把刚才用户打的字上屏（因为刚才并没有上屏，只是在输入框里）
+                // 但如果是点击“发送”按钮进来的，字已经上屏了。
+                // 这里为了保险，不做重复上屏，假设用户是通过“发送”->“接收”流程操作的。
+            }
+        }
+        // 2. 否则，如果有纯文本输入，发送文本
+        else if (currentUserInput) {
+            simulateSendingMessage(currentUserInput);
+            chatInput.value = '';
+            document.querySelector('.chat-input-area').classList.remove('has-text');
+            messages.push({role: 'user', content: currentUserInput});
+        }
+        // 3. 如果啥都没有，触发戳一戳
+        else if (!messages.some(m => m.role === 'user')) {
+            console.log("检测到无输入，注入自动交互指令...");
+            messages.push({
+                role: 'user',
+                content: "(看着你，等待回复...)"
+            });
+        }
 
-    // 如果不存在，则动态创建
-    if (!settingsPage) {
-        // 1. 获取HTML内容
-        const settingsHTML = createSettingsPageHTML();
-        // 2. 将HTML插入到 .screen 容器的末尾
-        screen.insertAdjacentHTML('beforeend', settingsHTML);
-        // 3. 重新获取刚刚创建的元素
-        settingsPage = document.getElementById('settingsPage');
-        // 4. 为新创建的页面绑定事件
-        initializeSettingsPageListeners();
-        console.log("设置页面DOM已动态创建并绑定事件。");
-    }
+        // 显示“思考中”，收到内容后这个气泡会实时刷新
+        const thinkingId = 'thinking_' + Date.now();
+        const thinkingBubble = _createMessageDOM(contactId, {sender: 'contact', text: '...'}, -1, {streaming: true});
+        thinkingBubble.id = thinkingId;
+        messagesEl.appendChild(thinkingBubble);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    // 5. 使用 requestAnimationFrame 确保在下一帧再添加 .show 类，以触发CSS动画
-    requestAnimationFrame(() => {
-        if (settingsPage) {
-            settingsPage.classList.add('show');
-        }
-    });
-}
+        // 调用 API
+        let hasStreamed = false;
+        const result = await callApi(messages, [], {}, false, {
+            signal: requestController.signal,
+            onDelta: (fullText) => {
+                if (updateStreamingBubble(thinkingBubble, extractStreamingReplyText(fullText), messagesEl)) {
+                    hasStreamed = true;
+                }
+            },
+            onRetry: (attempt, maxAttempts) => {
+                updateStreamingBubble(thinkingBubble, `⏳ 连接不稳定，正在重试 (${attempt}/${maxAttempts})...`, messagesEl);
+            }
+        });
 
-/**
- * 【优化版】关闭设置页面
- * 在关闭后从DOM中移除，释放内存
- */
-function closeSettings() {
-    const settingsPage = document.getElementById('settingsPage');
-    if (!settingsPage) return;
+        // 移除思考气泡
+        const thinkingEl = document.getElementById(thinkingId);
+        if (thinkingEl) thinkingEl.remove();
 
-    // 1. 移除 .show 类，触发滑出动画
-    settingsPage.classList.remove('show');
+        // 被用户停止时，保留已经收到的部分内容
+        if (result.aborted) {
+            const partialText = trimIncompleteReplyTail(extractPartialReplyText(result.partialText));
+            if (partialText) {
+                result.success = true;
+                result.message = partialText;
+            }
+        }
 
-    // 2. 使用 setTimeout 等待动画结束 (时长应与CSS中 transition-duration 保持一致)
-    setTimeout(() => {
-        // 3. 动画结束后，从DOM中彻底移除该元素
-        settingsPage.remove();
-        console.log("设置页面DOM已从内存中移除。");
-    }, 350); // 350ms 对应 CSS 中的 0.35s
-}
+        if (result.aborted && !result.success) {
+            console.log("普通聊天：已停止生成，没有收到内容");
+        } else if (!result.success) {
+            // 这里增加针对性的错误提示
+            if (result.code === API_ERROR_CODES.TOOL_FAILURE) {
+                showErrorModal('AI工具故障', 'AI试图识别图片，但服务端的视觉工具暂时不可用(Code -1)。请稍后再试。');
+            } else {
+                showErrorModal('请求失败', result.message);
+            }
+        } else {
+            let cleanMessage = result.message.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+            if (cleanMessage.startsWith('{')) {
+                try {
+                    const json = JSON.parse(cleanMessage);
+                    if (json.reply) cleanMessage = json.reply;
+                } catch (e) {
+                }
+            }
 
+            const segments = cleanMessage.split('---').filter(s => s.trim());
+            if (segments.length === 0 && cleanMessage) segments.push(cleanMessage);
 
-function openBeautify() {
-    // 关闭其他页面
-    document.querySelectorAll('.beautify-page.show, .config-page.show').forEach(page => {
-        page.classList.remove('show');
-    });
+            for (const segmentText of segments) {
+                const messageObj = {sender: 'contact', text: segmentText.trim()};
+                const newIndex = saveMessage(contactId, messageObj);
+                const row = _createMessageDOM(contactId, messageObj, newIndex);
+                messagesEl.appendChild(row);
+                messagesEl.scrollTop = messagesEl.scrollHeight;
+                // 已经流式展示过全文时，不再模拟逐条发送的停顿
+                if (!hasStreamed) await new Promise(r => setTimeout(r, 500));
+            }
 
-    // 显示美化页面
-    const beautifyPage = document.getElementById('beautifyPage');
-    beautifyPage.style.zIndex = '1010'; // 确保层级
-    beautifyPage.classList.add('show');
+            // 较早的对话在后台整理成长期记忆
+            updateContactMemory('normal', contactId, contactName);
+        }
 
-    // 确保渲染相关内容
-    renderAppPreviews();
-    renderWallpaperThumbnails();
-    const currentWallpaper = localStorage.getItem('phoneWallpaper');
-    updateWallpaperActiveState(currentWallpaper);
+    } catch (error) {
+        console.error("普通聊天出错:", error);
+        showErrorModal('错误', '网络连接超时或出错');
+    } finally {
+        finishAbortableAiRequest('normal', requestController);
+        if (getReplyBtn) {
+            getReplyBtn.disabled = false;
+            getReplyBtn.style.opacity = '1';
+        }
+    }
 }
 
+/**
+ * [修正版] 保存消息到localStorage
+ * @param {string|number} contactId - 联系人ID
+ * @param {object} message - 消息对象，可能包含 sender, text, quote 等字段
+ * @returns {number} 新消息的索引
+ */
+function saveMessage(contactId, message) {
+    // ✅ 核心修复：同样地，保存完整的消息对象；时间戳用于长期记忆的总结进度
+    const messageToSave = {...message, timestamp: message.timestamp || Date.now()};
 
-function closeBeautify() {
-    document.getElementById('beautifyPage').classList.remove('show');
+    // 只追加这一条，不再重写整个聊天记录；写入失败时提示
+    const {index, written} = ChatHistoryStore.append('phoneChatHistory', contactId, messageToSave);
+    written.catch(e => {
+        console.error('保存失败:', e);
+        alert('存储空间不足，请清理数据');
+    });
+    return index;
 }
 
-function openContacts() {
-    // 这里不需要设置世界ID，保持它是普通模式
-    document.getElementById('contactsPage').classList.add('show');
-    renderContacts(contactsData);
-}
+// ========== 开始：用这个【修正版】的 editCurrentContact 函数替换旧的 ==========
+function editCurrentContact() {
+    if (!currentChatContact) return;
+    // 群聊没有角色卡，成员和发言顺序在聊天设置里管理
+    if (currentChatContact.isGroup) {
+        openChatSettings();
+        return;
+    }
 
+    const modal = document.getElementById('characterCardModal');
+    modal.dataset.editingId = currentChatContact.id;
+    modal.dataset.saveTarget = 'default';
 
-function closeContacts() {
-    document.getElementById('contactsPage').classList.remove('show');
-    document.getElementById('contactsSearch').value = '';
-    // 🔥 修改：即便是从世界进入的，返回时也直接回桌面，不再经过世界选择页
-    // 删除原有的 openWorldSelect 调用
+    // 填充联系人信息
+    document.getElementById('char-name').value = currentChatContact.name;
+    document.getElementById('char-persona').value = currentChatContact.status;
+    document.getElementById('char-voice-id').value = currentChatContact.voiceId || ''; // <<< 新增：填充 Voice ID
+    const contactAvatar = currentChatContact.avatar;
+    const isContactUrl = contactAvatar && (contactAvatar.startsWith('http') || contactAvatar.startsWith('data:'));
+    document.getElementById('avatar-preview').src = isContactUrl ? contactAvatar : 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+
+    // 🆕 修改：显示完整的真实ID
+    const idElement = document.getElementById('char-instance-id');
+    if (idElement) {
+        idElement.textContent = currentChatContact.id;
+        idElement.title = `完整ID: ${currentChatContact.id}`;
+    }
+
+    // 填充用户信息
+    document.getElementById('user-name').value = userProfile.name;
+    document.getElementById('user-persona').value = userProfile.persona;
+    const userAvatar = userProfile.avatar;
+    const isUserUrl = userAvatar && (userAvatar.startsWith('http') || userAvatar.startsWith('data:'));
+    document.getElementById('user-avatar-preview').src = isUserUrl ? userAvatar : 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+
+    renderCharacterWorldbooksList(currentChatContact.boundWorldbooks || []);
+    renderCharacterMasksList(currentChatContact.boundMasks || []);
+    openCharacterCardPage();
 }
 
+// ========== 开始：粘贴这个全新的 JavaScript 代码块 ==========
+function editCurrentSweetheartContact() {
+    if (!currentSweetheartChatContact) return;
+    openUnifiedModalWithData(currentSweetheartChatContact, 'sweetheart');
+}
 
-// ========== 开始：请粘贴这段全新的 JavaScript 代码 ==========
 
-function toggleContactMenu(event) {
-    // 阻止事件冒泡，防止点击事件被页面的其他部分捕获，导致菜单立即关闭
-    event.stopPropagation();
+/**
+ * [增强版] 打开密友聊天的设置页面，并加载记忆轮数
+ */
+function openSweetheartChatSettings() {
+    const settingsPage = document.getElementById('sweetheartChatSettingsPage');
+    if (settingsPage) {
+        renderContextUsage('sweetheartContextUsage', 'sweetheart', currentSweetheartChatContact);
+        renderChatBranchList('sweetheart', currentSweetheartChatContact);
+        renderProactiveSettings(currentSweetheartChatContact);
+        renderRenderModeSetting('sweetheartRenderModeSelect', currentSweetheartChatContact);
+        renderRelationshipSettings(currentSweetheartChatContact);
+        settingsPage.classList.add('show');
+    }
+}
 
-    const menu = document.getElementById('contactMenu');
-    // 使用 classList.toggle() 来切换 'show' 类
-    // 如果菜单没有 'show' 类，就给它加上；如果已经有了，就把它移除。
-    // 这正是“切换”的含义。
-    menu.classList.toggle('show');
+/**
+ * [补全函数] 关闭密友聊天的设置页面
+ * 该函数应在设置页面的“返回”按钮上调用
+ */
+function closeSweetheartChatSettings() {
+    const settingsPage = document.getElementById('sweetheartChatSettingsPage');
+    if (settingsPage) {
+        settingsPage.classList.remove('show');
+    }
 }
 
-// ========== 结束：粘贴代码 ==========
 
 /**
- * [最终修正版] 渲染普通联系人列表
+ * [全新函数] 清空当前密友的聊天记录
+ * 在密友设置页的“清空聊天记录”上调用
  */
-function renderContacts(contacts) {
-    const container = document.getElementById('contactsList');
-    // 注意：这里使用的是普通聊天历史
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
+function clearCurrentSweetheartChatHistory() {
+    if (!currentSweetheartChatContact) return;
 
-    container.innerHTML = '';
-    if (contacts.length === 0) {
-        container.innerHTML = '<div style="text-align: center; padding: 40px; color: #999;">未找到联系人</div>';
-        return;
-    }
+    if (confirm('确定要清空与当前密友的所有聊天记录吗？')) {
+        const contactId = currentSweetheartChatContact.id;
 
-    contacts.forEach(contact => {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'contact-item-wrapper';
-        wrapper.dataset.contactId = contact.id;
-        wrapper.dataset.contactType = 'normal';
+        // 清空该联系人的聊天记录（连同对话分支）
+        Promise.all([
+            ChatHistoryStore.remove('phoneSweetheartChatHistory', contactId),
+            removeChatBranches('sweetheart', contactId)
+        ]).catch(e => {
+            console.error('清空聊天记录失败:', e);
+            showErrorModal('清空失败', '聊天记录写入失败，请检查浏览器存储空间');
+        });
 
-        const contactMessages = chatHistory[contact.id] || [];
-        let lastMessageText = contact.status; // 默认显示状态
+        // 🔥 关键修复：清空UI
+        const messagesEl = document.getElementById('sweetheartChatMessages');
+        if (messagesEl) {
+            messagesEl.innerHTML = '';
+        }
 
-        // ✅ 同样使用辅助函数来安全地获取预览
-        if (contactMessages.length > 0) {
-            const preview = getLastMessagePreview(contactMessages[contactMessages.length - 1]);
-            if (preview) {
-                lastMessageText = preview;
-            }
+        // 🔥 关键修复：重置输入框状态
+        const chatInput = document.getElementById('sweetheartChatInput');
+        if (chatInput) {
+            chatInput.value = '';
+            chatInput.disabled = false;
+            chatInput.removeAttribute('readonly');
+            chatInput.focus(); // 聚焦到输入框
         }
 
-        const isUrl = contact.avatar && (String(contact.avatar).startsWith('http') || String(contact.avatar).startsWith('data:'));
-        const avatarContent = isUrl
-            ? `<img src="${escapeHTML(contact.avatar)}" alt="${escapeHTML(contact.name)}">`
-            : `<span>${escapeHTML(contact.avatar)}</span>`;
+        // 更新列表显示
+        renderSweetheartList();
 
-        let instanceIdHtml = '';
-        if (contact.id) {
-            instanceIdHtml = `<div class="contact-instance-id" title="联系人ID">ID: ${escapeHTML(contact.id)}</div>`;
-        }
+        showSuccessModal('清空成功', '聊天记录已清除');
+        closeSweetheartChatSettings();
+    }
+}
 
 
-        wrapper.innerHTML = `
-            <div class="swipe-actions">
-                <button class="swipe-delete-btn">删除</button>
-            </div>
-            <div class="contact-item-content">
-                <div class="contact-avatar">${avatarContent}</div>
-                <div class="contact-info">
-                    <div class="contact-name">${escapeHTML(contact.name)}</div>
-                    ${instanceIdHtml}
-                    <div class="contact-status">${escapeHTML(lastMessageText)}</div>
-                </div>
-                ${contact.badge > 0 ? `<div class="contact-badge">${contact.badge}</div>` : ''}
-            </div>
-        `;
+// ========== 结束：粘贴全新的 JavaScript 代码块 ==========
 
-        const contentEl = wrapper.querySelector('.contact-item-content');
-        if (contentEl) {
-            contentEl.onclick = () => {
-                if (!wrapper.classList.contains('is-swiped')) {
-                    openChat(contact);
-                }
-            };
-        }
+function showSuccessModal(title = '操作成功', message = '你的设置已保存。', duration = 1500) {
+    const modal = document.getElementById('successModal');
+    const modalTitle = document.getElementById('successModalTitle');
+    const modalMessage = document.getElementById('successModalMessage');
 
-        const deleteBtn = wrapper.querySelector('.swipe-delete-btn');
-        if (deleteBtn) {
-            deleteBtn.onclick = (e) => {
-                e.stopPropagation();
-                deleteContactFromList(contact.id, 'normal');
-            };
-        }
+    modalTitle.textContent = title;
+    modalMessage.textContent = message;
 
-        container.appendChild(wrapper);
-        addSwipeToDeleteListeners(wrapper);
-    });
-}
+    modal.style.display = 'flex';
 
-// 请用这个【最终修正版】的函数替换旧的 createNewContact 函数
+    setTimeout(() => modal.classList.add('show'), 10);
 
-function createNewContact() {
-    const menu = document.getElementById('contactMenu');
-    if (menu) menu.classList.remove('show');
+    setTimeout(() => {
+        modal.classList.remove('show');
+        setTimeout(() => modal.style.display = 'none', 300);
+    }, duration);
+}
 
-    // 获取弹窗元素
-    const modal = document.getElementById('characterCardModal');
-    // 生成新ID并存储
-    const newId = 'ID' + Math.floor(100000 + Math.random() * 900000);
-    modal.dataset.editingId = newId;
+/**
+ * 显示一个不可回复的错误提示弹窗
+ * @param {string} [title='操作失败'] - 弹窗的主标题
+ * @param {string} [message='出现未知错误。'] - 弹窗的详细信息
+ * @param {number} [duration=2500] - 弹窗显示的毫秒数
+ */
+function showErrorModal(title = '操作失败', message = '出现未知错误。', duration = 2500) {
+    const modal = document.getElementById('errorModal');
+    const modalTitle = document.getElementById('errorModalTitle');
+    const modalMessage = document.getElementById('errorModalMessage');
 
-    // 如果当前有选中的世界，则标记联系人属于该世界
-    if (currentWorldId) {
-        modal.dataset.currentWorldId = currentWorldId;
-    } else {
-        modal.removeAttribute('data-currentWorldId');
+    // 如果找不到必要的元素，就直接退出，防止报错
+    if (!modal || !modalTitle || !modalMessage) {
+        console.error('错误提示框的HTML元素未找到！');
+        return;
     }
 
-    // --- 核心修复：将重置和渲染逻辑移到这里 ---
+    // 1. 更新标题和信息
+    modalTitle.textContent = title;
+    modalMessage.textContent = message;
 
-    // 1. 重置联系人表单
-    document.getElementById('char-name').value = '';
-    document.getElementById('char-persona').value = '';
-    document.getElementById('avatar-preview').src = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
-    const maleRadio = document.querySelector('.character-gender-selection input[value="male"]');
-    if (maleRadio) maleRadio.checked = true;
-    document.getElementById('char-instance-id').textContent = newId; // 显示新ID
+    // 2. 显示弹窗并触发动画
+    modal.style.display = 'flex';
+    setTimeout(() => modal.classList.add('show'), 10); // 延迟一点点以确保CSS过渡生效
 
-    // 2. 重置用户表单
-    document.getElementById('user-name').value = userProfile.name || '我';
-    document.getElementById('user-persona').value = userProfile.persona || '';
-    const userAvatar = userProfile.avatar;
-    const isUserUrl = userAvatar && (userAvatar.startsWith('http') || userAvatar.startsWith('data:'));
-    document.getElementById('user-avatar-preview').src = isUserUrl ? userAvatar : 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+    // 3. 在指定时间后自动隐藏
+    setTimeout(() => {
+        modal.classList.remove('show');
+        // 在动画结束后再彻底隐藏，防止突然消失
+        setTimeout(() => modal.style.display = 'none', 300);
+    }, duration);
+}
 
-    // 3. 在打开卡片前，直接渲染世界书和面具列表（传入空数组表示没有已绑定的项）
-    renderCharacterWorldbooksList([]);
-    renderCharacterMasksList([]);
 
-    // --- 修复结束 ---
+/**
+ * [新增] 保存密友列表到localStorage
+ */
+function saveSweetheartContacts() {
+    try {
+        localStorage.setItem('phoneSweetheartContactsData', JSON.stringify(sweetheartContactsData));
+    } catch (e) {
+        console.error('保存密友列表到 localStorage 失败:', e);
+    }
+}
 
-    // 最后再打开卡片
-    openCharacterCardPage();
+
+function saveGlobalConfig() {
+    try {
+        const configToSave = {
+            apiConfigs: globalConfig.apiConfigs,
+            activeApiConfig: globalConfig.activeApiConfig,
+            minimaxVoice: globalConfig.minimaxVoice, // <<< 新增：保存 Minimax 语音设置
+        };
+        localStorage.setItem('phoneGlobalConfig', JSON.stringify(configToSave));
+    } catch (e) {
+        console.error('保存全局配置到 localStorage 失败:', e);
+    }
+}
+
+function loadGlobalConfig() {
+    try {
+        const savedConfig = localStorage.getItem('phoneGlobalConfig');
+        if (savedConfig) {
+            const parsedConfig = JSON.parse(savedConfig);
+            // 仅合并顶层属性，避免深层对象被完全覆盖
+            Object.assign(globalConfig.apiConfigs, parsedConfig.apiConfigs);
+            globalConfig.activeApiConfig = parsedConfig.activeApiConfig;
+            // <<< 新增：加载 Minimax 语音设置
+            if (parsedConfig.minimaxVoice) {
+                Object.assign(globalConfig.minimaxVoice, parsedConfig.minimaxVoice);
+            }
+            // >>> 结束新增
+            console.log('成功从 localStorage 加载API和语音配置。');
+        }
+    } catch (e) {
+        console.error('从 localStorage 加载API配置失败:', e);
+    }
+}
+
+function openChatSettings() {
+    renderContextUsage('chatContextUsage', 'normal', currentChatContact);
+    renderChatBranchList('normal', currentChatContact);
+    renderGroupChatSettings(currentChatContact);
+    renderRenderModeSetting('chatRenderModeSelect', currentChatContact);
+    document.getElementById('chatSettingsPage').classList.add('show');
+}
+
+function closeChatSettings() {
+    document.getElementById('chatSettingsPage').classList.remove('show');
 }
 
+async function clearCurrentChatHistory() {
+    if (!currentChatContact) return; // 安全检查，确保当前有聊天对象
 
-// ========== 结束：替换完成 ==========
+    // 弹出确认框，防止用户误操作
+    if (confirm(`确定要清空与 "${currentChatContact.name}" 的所有聊天记录吗？`)) {
+        // 如果存在当前联系人的记录，就删除它
+        if (ChatHistoryStore.count('phoneChatHistory', currentChatContact.id) > 0) {
+            try {
+                await ChatHistoryStore.remove('phoneChatHistory', currentChatContact.id);
+                await removeChatBranches('normal', currentChatContact.id);
+            } catch (e) {
+                console.error('保存失败:', e);
+                alert('存储空间不足，请清理数据');
+            }
+
+            // 重新加载聊天界面，使其显示为空
+            openChat(currentChatContact);
 
+            // 关闭设置页并显示成功提示
+            closeChatSettings();
+            showSuccessModal('操作成功', '聊天记录已清空。');
+        }
+    }
+}
 
-document.addEventListener('click', function (e) {
-    // --- 优化开始 ---
 
-    // 2. 处理联系人菜单的外部点击
-    const contactMenu = document.getElementById('contactMenu');
-    const sweetheartContactMenu = document.getElementById('sweetheartContactMenu');
-    const addBtn = e.target.closest('.add-contact-btn'); // 检查点击的是否是加号按钮
-    // 如果点击的不是加号按钮，则关闭所有菜单
-    if (!addBtn) {
-        if (contactMenu) contactMenu.classList.remove('show');
-        if (sweetheartContactMenu) sweetheartContactMenu.classList.remove('show');
+/* --- 复制并粘贴这段代码 --- */
+function applyCodeScrollSetting(isEnabled) {
+    if (isEnabled) {
+        document.body.classList.add('code-scrolling-enabled');
+    } else {
+        document.body.classList.remove('code-scrolling-enabled');
     }
+}
 
-    // --- 优化结束 ---
-});
+/* ------------------------- */
 
-function renderAppPreviews() {
-    const container = document.getElementById('appPreviewList');
-    container.innerHTML = '';
 
-}
+// ========== 开始：这是你需要粘贴的新JS代码 ==========
 
-function toggleUrlInput(appId) {
-    const urlBox = document.getElementById(`url-box-${appId}`);
-    urlBox.classList.toggle('show');
+/**
+ * 应用聊天背景图的核心函数
+ * @param {string} imageUrl - 图片的URL或Base64数据。如果为空字符串，则恢复默认背景。
+ */
+function applyChatBackground(imageUrl) {
+    const chatPage = document.getElementById('chatPage');
+    if (imageUrl) {
+        // 设置背景图片
+        chatPage.style.backgroundImage = `url('${imageUrl}')`;
+        chatPage.style.backgroundSize = 'cover';
+        chatPage.style.backgroundPosition = 'center';
+        localStorage.setItem('chatBackground', imageUrl);
+        showChatBgStatus('背景已应用');
+    } else {
+        // 恢复默认背景
+        chatPage.style.backgroundImage = '';
+        localStorage.removeItem('chatBackground');
+        showSuccessModal('操作成功', '已恢复为默认背景。');
+    }
 }
 
-async function handleFileUpload(event, appId) {
+/**
+ * 从本地文件上传处理函数
+ * @param {Event} event - 文件输入框的change事件对象
+ */
+function handleChatBgUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
-    // 仅保留本地预览逻辑
+
+    // 使用FileReader将图片转为Base64，以便保存和预览
     const reader = new FileReader();
     reader.onload = (e) => {
-        applyCustomIcon(appId, e.target.result);
-        showStatus(appId, '文件已加载（本地预览）');
+        applyChatBackground(e.target.result);
+    };
+    reader.onerror = () => {
+        showChatBgStatus('读取文件失败', 'error');
     };
     reader.readAsDataURL(file);
 }
 
-function applyUrlIcon(appId) {
-    const urlInput = document.getElementById(`url-input-${appId}`);
-    const url = urlInput.value.trim();
-
-    if (!url) {
-        showStatus(appId, '请输入URL', 'error');
-        return;
-    }
-
-    applyCustomIcon(appId, url);
-    showStatus(appId, 'URL图标已应用');
-    urlInput.value = '';
-    toggleUrlInput(appId);
-}
-
-function applyCustomIcon(appId, iconUrl) {
-    globalConfig.customIcons[appId] = iconUrl;
-    const previewEl = document.getElementById(`preview-${appId}`);
-    if (previewEl) previewEl.innerHTML = `<img src="${iconUrl}" alt="">`;
-    updateMainIcon(appId, iconUrl);
-    saveCustomIconsToLocalStorage();
-    console.log(`已将 ${appId} 的新图标保存到 LocalStorage`);
-    // 删除了 dbAPI.saveData 调用
+/**
+ * 切换URL输入框的显示/隐藏
+ */
+function toggleChatBgUrlInput() {
+    const urlBox = document.getElementById('chat-bg-url-box');
+    urlBox.classList.toggle('show');
 }
 
-function updateMainIcon(appId, iconUrl) {
-    const appElements = document.querySelectorAll(`[data-id="${appId}"]`);
-    appElements.forEach(el => {
-        const iconWrapper = el.querySelector('.icon-wrapper');
-        if (iconWrapper && !el.classList.contains('folder')) {
-            iconWrapper.innerHTML = `<img src="${iconUrl}" alt="">`;
-        }
-    });
+/**
+ * 从URL输入框应用背景图
+ */
+function applyChatBgFromUrl() {
+    const urlInput = document.getElementById('chat-bg-url-input');
+    const url = urlInput.value.trim();
+    if (url) {
+        applyChatBackground(url);
+        urlInput.value = '';
+        toggleChatBgUrlInput(); // 应用后自动隐藏输入框
+    } else {
+        showChatBgStatus('请输入有效的URL', 'error');
+    }
 }
 
-function showStatus(appId, message, type = 'success') {
-    const statusEl = document.getElementById(`status-${appId}`);
+/**
+ * 在UI上显示状态消息
+ * @param {string} message - 要显示的消息
+ * @param {string} type - 消息类型 ('success' 或 'error')
+ */
+function showChatBgStatus(message, type = 'success') {
+    const statusEl = document.getElementById('chat-bg-status');
     statusEl.textContent = message;
     statusEl.className = 'status-message' + (type === 'error' ? ' error' : '');
     setTimeout(() => {
@@ -3907,8743 +8343,10840 @@ function showStatus(appId, message, type = 'success') {
     }, 3000);
 }
 
-function deleteTimeCard() {
-    const timeCard = document.getElementById('timeCard');
-    if (!timeCard) return;
-
-    globalConfig.savedWidgets.push({
-        id: 'timeCard',
-        type: 'time',
-        name: '时间卡片',
-        html: timeCard.outerHTML,
-        timestamp: Date.now()
-    });
-
-    timeCard.remove();
-
-    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
+/**
+ * 加载已保存的聊天背景图 (在应用初始化时调用)
+ */
+function loadChatBackground() {
+    const savedBg = localStorage.getItem('chatBackground');
+    if (savedBg) {
+        applyChatBackground(savedBg);
+    }
+}
 
-    console.log('时间卡片已删除并保存');
+/* ========== 开始：粘贴这段全新的JS代码块 ========== */
+function applyChatStyle(style) {
+    const chatPage = document.getElementById('chatPage');
+    const selector = document.getElementById('messageStyleSelector');
 
-    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
-    if (!deletedComponents.includes('timeCard')) {
-        deletedComponents.push('timeCard');
-        localStorage.setItem('deletedComponents', JSON.stringify(deletedComponents));
+    if (style === 'simple') {
+        chatPage.classList.add('simple-style');
+    } else {
+        chatPage.classList.remove('simple-style');
     }
-}
 
-function deleteWeatherCard() {
-    const weatherCard = document.getElementById('weatherCard');
-    if (!weatherCard) return;
+    // 更新UI选择器状态
+    if (selector) {
+        selector.querySelectorAll('.segmented-option').forEach(opt => {
+            opt.classList.toggle('active', opt.dataset.style === style);
+        });
+    }
 
-    globalConfig.savedWidgets.push({
-        id: 'weatherCard',
-        type: 'weather',
-        name: '天气卡片',
-        html: weatherCard.outerHTML,
-        timestamp: Date.now()
-    });
+    // 保存选择
+    localStorage.setItem('chatMessageStyle', style);
+}
 
-    weatherCard.remove();
 
-    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
+function setupStyleSelector() {
+    const selector = document.getElementById('messageStyleSelector');
+    if (selector) {
+        selector.addEventListener('click', (event) => {
+            const target = event.target.closest('.segmented-option');
+            if (target && !target.classList.contains('active')) {
+                const newStyle = target.dataset.style;
+                applyChatStyle(newStyle);
+            }
+        });
+    }
+}
 
-    console.log('天气卡片已删除并保存');
-    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
-    if (!deletedComponents.includes('weatherCard')) {
-        deletedComponents.push('weatherCard');
-        localStorage.setItem('deletedComponents', JSON.stringify(deletedComponents));
+function applyFullscreenSetting(isEnabled) {
+    if (isEnabled) {
+        document.body.classList.add('fullscreen-enabled');
+    } else {
+        document.body.classList.remove('fullscreen-enabled');
     }
 }
 
-function deleteWidget(widgetElement) {
-    if (!widgetElement) return;
+/* ========== 开始：用这段全新的代码替换旧的 setupAttachmentMenu 函数 ========== */
 
-    const widgetId = widgetElement.dataset.id;
+// script.js
 
-    globalConfig.savedWidgets.push({
-        id: widgetId,
-        type: 'widget',
-        name: widgetElement.querySelector('.app-label')?.textContent || 'Widget',
-        html: widgetElement.outerHTML,
-        timestamp: Date.now()
+// ▼▼▼ 请用这个【最终修正版】函数完整替换旧的 setupAttachmentMenu 函数 ▼▼▼
+
+/**
+ * [最终修正版] 设置普通聊天界面的附件菜单功能
+ * - 移除上传图片后的自动API调用
+ * - 确保图片保存到历史记录，等待手动点击接收
+ */
+function setupAttachmentMenu() {
+    const showMenuBtn = document.getElementById('showAttachmentMenuBtn');
+    const menu = document.getElementById('attachmentMenu');
+    const fileInput = document.getElementById('fileInput');
+    const imageInput = document.getElementById('imageInput');
+    const uploadFileBtn = document.getElementById('uploadFileBtn');
+    const uploadImageBtn = document.getElementById('uploadImageBtn');
+    if (!showMenuBtn || !menu || !fileInput || !imageInput || !uploadFileBtn || !uploadImageBtn) {
+        console.error("附件菜单初始化失败：部分关键DOM元素未找到。");
+        return;
+    }
+    showMenuBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        menu.classList.toggle('show');
+    });
+    uploadFileBtn.addEventListener('click', () => {
+        fileInput.click();
+        menu.classList.remove('show');
+    });
+    uploadImageBtn.addEventListener('click', () => {
+        imageInput.click();
+        menu.classList.remove('show');
+    });
+    // --- 图片上传监听 (修改点：移除自动CallApi) ---
+    imageInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        // 1. 显示临时上传气泡
+        const messagesEl = document.getElementById('chatMessages');
+        const loadingId = 'loading_img_' + Date.now();
+        const loadingRow = document.createElement('div');
+        loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:#eee;color:#666;">⏳ 图片上传中...</div></div>`;
+        messagesEl.appendChild(loadingRow.firstChild);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+        try {
+            // 2. 上传到腾讯云
+            const uploadResult = await LKECloudManager.uploadToCOS(file, true);
+            // 3. 移除加载气泡
+            const loadingEl = document.getElementById(loadingId);
+            if (loadingEl) loadingEl.remove();
+            // 4. 构造消息内容 (Markdown格式 + imageUrl属性)
+            const aiMessageContent = `发送了一张图片：\n![](${uploadResult.url})`;
+            const messagePayload = {
+                sender: 'user',
+                text: aiMessageContent,
+                imageUrl: uploadResult.url // 存入URL供 getAiReply 读取
+            };
+            // 5. 保存并上屏 (关键：不调用 callApi)
+            const newIndex = saveMessage(currentChatContact.id, messagePayload);
+            const messageRow = _createMessageDOM(currentChatContact.id, messagePayload, newIndex);
+            messagesEl.appendChild(messageRow);
+            messagesEl.scrollTop = messagesEl.scrollHeight;
+            // 6. 重置界面状态，显示接收按钮
+            document.querySelector('.chat-input-area').classList.remove('has-text');
+            console.log("图片已就绪，等待用户点击接收按钮...");
+        } catch (e) {
+            console.error(e);
+            // 只删除气泡本身
+            document.getElementById(loadingId)?.remove();
+            alert("图片上传失败: " + e.message);
+        } finally {
+            event.target.value = '';
+        }
     });
 
-    widgetElement.remove();
-
-    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
-
-    console.log(`Widget ${widgetId} 已删除并保存`);
-    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
-    if (!deletedComponents.includes(widgetId)) {
-        deletedComponents.push(widgetId);
-        localStorage.setItem('deletedComponents', JSON.stringify(deletedComponents));
-    }
-}
-
-// ▼▼▼ 请用下面这个完整的、修正后的函数，替换掉您文件中旧的 createElement 函数 ▼▼▼
-
-function createElement(app, grid) {
-    const el = document.createElement('div');
-
-    if (app.isWidget) {
-        // 只为 widget2 创建数码像素猫组件
-        if (app.id === 'widget2') {
-            el.className = 'cat-widget';
-            Object.assign(el.dataset, {id: app.id, row: app.row, col: app.col});
-            el.dataset.colspan = app.colspan;
-            el.dataset.rowspan = app.rowspan;
-
-            el.innerHTML = `
-            <div class="delete-widget-btn" onclick="deleteWidget(this.parentElement)">×</div>
-
-            <!-- 状态数据条 -->
-            <div class="cat-stats-container">
-                <div class="cat-stat-item" data-stat="happiness" onclick="editCatStat(event, 'happiness')">
-                    <div class="cat-stat-label">
-                        <span>😊 开心度</span>
-                        <span class="cat-stat-value" id="stat-happiness-value">85%</span>
-                    </div>
-                    <div class="cat-stat-bar-bg">
-                        <div class="cat-stat-bar-fill" id="stat-happiness-bar" style="width: 85%"></div>
-                    </div>
-                </div>
-
-                <div class="cat-stat-item" data-stat="hunger" onclick="editCatStat(event, 'hunger')">
-                    <div class="cat-stat-label">
-                        <span>🍖 饱食度</span>
-                        <span class="cat-stat-value" id="stat-hunger-value">70%</span>
-                    </div>
-                    <div class="cat-stat-bar-bg">
-                        <div class="cat-stat-bar-fill" id="stat-hunger-bar" style="width: 70%"></div>
-                    </div>
-                </div>
+    // ============================================================
+    // 🔥 核心修改：普通聊天文件上传 (区分 云端解析 vs 本地文本)
+    // ============================================================
 
-                <div class="cat-stat-item" data-stat="energy" onclick="editCatStat(event, 'energy')">
-                    <div class="cat-stat-label">
-                        <span>⚡ 精力值</span>
-                        <span class="cat-stat-value" id="stat-energy-value">60%</span>
-                    </div>
-                    <div class="cat-stat-bar-bg">
-                        <div class="cat-stat-bar-fill" id="stat-energy-bar" style="width: 60%"></div>
-                    </div>
-                </div>
+    // 注意：普通聊天没有使用 cloneNode 技巧，如果感觉事件重复绑定，建议加上 removeEventListener 或者类似 clone 的处理
+    // 这里为了不破坏你现有的结构，我直接给一个单纯的 Listener 逻辑替换：
 
-                <div class="cat-stat-item" data-stat="cleanliness" onclick="editCatStat(event, 'cleanliness')">
-                    <div class="cat-stat-label">
-                        <span>✨ 清洁度</span>
-                        <span class="cat-stat-value" id="stat-cleanliness-value">90%</span>
-                    </div>
-                    <div class="cat-stat-bar-bg">
-                        <div class="cat-stat-bar-fill" id="stat-cleanliness-bar" style="width: 90%"></div>
-                    </div>
-                </div>
-            </div>
+    // 建议先移除旧的监听器（如果代码结构允许），或者确保 setupAttachmentMenu 只执行一次
+    // 下面是新的监听逻辑：
 
-            <!-- 数码像素猫主体 -->
-            <div class="pixel-cat-body"></div>
+    fileInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
 
-            <!-- 猫咪对话气泡 -->
-            <div class="cat-speech-bubble" onclick="editCatSpeech(event)">喵~ 今天也要开心喔！🌸</div>
-        `;
-        } else {
-            return; // 其他widget暂不创建
-        }
-    } else {
-        // 普通图标和文件夹的逻辑保持不变
-        el.className = app.isFolder ? 'app-icon folder' : 'app-icon';
-        Object.assign(el.dataset, {id: app.id, row: app.row, col: app.col});
+        // 1. 判断文件类型
+        const isTextDoc = file.type.startsWith('text/') ||
+            file.name.endsWith('.txt') ||
+            file.name.endsWith('.md') ||
+            file.name.endsWith('.csv') ||
+            file.name.endsWith('.json') ||
+            file.name.endsWith('.js');
 
-        const customIcon = globalConfig.customIcons[app.id];
-        let content;
+        // 2. 清空输入框，防止下次选同名文件无法触发change
+        const currentFile = file;
+        event.target.value = '';
 
-        // 处理单图标
-        const initialIcon = app.icon;
-        const isInitialIconUrl = initialIcon && (initialIcon.startsWith('http') || initialIcon.startsWith('data:'));
-        if (customIcon) {
-            content = `<img src="${customIcon}" alt="${app.label}">`;
-        } else if (isInitialIconUrl) {
-            content = `<img src="${initialIcon}" alt="${app.label}">`;
-        } else if (app.isFolder) {
-            // 🔥 修改点：处理文件夹预览的小图标
-            content = app.icons.slice(0, 9).map(item => {
-                // 兼容逻辑：如果是新格式(对象)，取item.icon；如果是旧格式(字符串)，直接取item
-                const iconSrc = (typeof item === 'object' && item.icon) ? item.icon : item;
+        // 3. 场景 A: 如果是纯文本文件，走【本地 IndexedDB 方案】(推荐)
+        // 这样不依赖腾讯云，且支持长文本切片读取
+        if (isTextDoc) {
+            const messagesEl = document.getElementById('chatMessages');
+            const loadingId = 'loading_local_doc_' + Date.now();
+            const loadingRow = document.createElement('div');
+            loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:#eee;color:#666;">📄 正在读取文档...</div></div>`;
+            messagesEl.appendChild(loadingRow.firstChild);
+            messagesEl.scrollTop = messagesEl.scrollHeight;
 
-                const isUrl = iconSrc && (iconSrc.startsWith('http') || iconSrc.startsWith('data:'));
-                const miniIconContent = isUrl ? `<img src="${iconSrc}" alt="">` : iconSrc;
-                return `<div class="folder-mini-icon">${miniIconContent}</div>`;
-            }).join('');
-        } else {
-            content = app.icon;
-        }
-        el.innerHTML = `
-            <div class="icon-wrapper">${content}</div>
-            <div class="app-label">${app.label}</div>
-            ${app.badge ? `<span class="badge">${app.badge}</span>` : ''}`;
-    }
+            try {
+                // 使用刚刚定义的本地处理工具
+                const fileResult = await uploadFileAndGetAiResponse(currentFile);
 
-    // 定位、添加事件监听并添加到网格中
-    positionElement(el, app.row, app.col, app.colspan || 1, app.rowspan || 1);
-    addDragListeners(el, app.clickable);
-    grid.appendChild(el);
-    // 针对文件夹，异步获取颜色并应用
-    if (app.isFolder) {
-        // 🔥 修改点：获取第一张图的URL也需要适配对象格式
-        const firstItem = app.icons[0];
-        const firstImageUrl = (typeof firstItem === 'object' && firstItem.icon) ? firstItem.icon : firstItem;
+                // 移除loading
+                document.getElementById(loadingId)?.remove();
 
-        if (firstImageUrl && (firstImageUrl.startsWith('http') || firstImageUrl.startsWith('data:'))) {
-            getAverageColorFromImageUrl(firstImageUrl, (colorGradient) => {
-                if (el && el.isConnected && colorGradient) {
-                    const iconWrapper = el.querySelector('.icon-wrapper');
-                    if (iconWrapper) {
-                        iconWrapper.style.background = colorGradient;
+                // 渲染界面
+                const userMsg = {
+                    sender: 'user',
+                    type: 'file', // 确保 _createMessageDOM 能识别这个类型
+                    content: {
+                        name: fileResult.name,
+                        size: fileResult.size,
+                        fileId: fileResult.fileId // 存入 ID
                     }
-                }
-            });
-        }
-    }
-}
+                };
 
-/**
- * [极简版] 仅保留点击功能，彻底移除拖拽逻辑
- */
-function addDragListeners(el, clickable) {
-    // 只监听点击事件
-    el.addEventListener('click', (e) => {
-        // 防止事件冒泡
-        e.stopPropagation();
+                const msgIndex = saveMessage(currentChatContact.id, userMsg);
+                messagesEl.appendChild(_createMessageDOM(currentChatContact.id, userMsg, msgIndex));
+                messagesEl.scrollTop = messagesEl.scrollHeight;
 
-        // 1. 如果是文件夹 (保留文件夹打开功能)
-        if (el.classList.contains('folder')) {
-            // 这里假设 app 是从外部闭包获取，或者通过 dataset 获取数据
-            // 为简单起见，如果你的逻辑依赖 state，保留原有的 click 逻辑即可
-            // 如果你是文件夹，调用打开文件夹的逻辑
-            const folderId = el.dataset.id;
-            openFolder(folderId); // 假设你有这个函数，或者保持原有的 folder 点击逻辑
-        }
-        // 2. 如果是普通应用图标
-        else if (clickable) {
-            const id = el.dataset.id;
+                // 自动填入引导词，等待用户按发送
+                const chatInput = document.getElementById('chatInput');
+                chatInput.value = "请总结这份文档的主要内容";
+                document.querySelector('.chat-input-area').classList.add('has-text');
+                chatInput.focus();
 
-            // 路由跳转逻辑
-            if (id === 'settings') {
-                openSettings(); // 设置
-            } else if (id === 'worldbook') {
-                openWorldbook(); // 世界书
-            } else if (id === 'calc') {
-                openLedger(); // 记账
-            } else if (id === 'novel') {
-                openNovelShelf(); // 小说
-            } else if (id === 'study_mode') {
-                openContacts(); // 学习模式 -> 通讯录
-            } else if (id === 'chat_mode') {
-                openSweetheartList(); // 闲聊模式 -> 密友列表
-            } else {
-                // 对于其他没有特定 ID 的图标（比如 widget），不做操作
-                console.log(`点击了应用: ${id}`);
+            } catch (err) {
+                console.error(err);
+                document.getElementById(loadingId)?.remove();
+                showErrorModal('读取失败', err.message);
             }
+            return;
         }
-    });
-}
 
+        /*
+           4. 场景 B: 其他文件 (如 PDF, Word)
+           如果你的 LKECloudManager 确实配置好了后端解析（需要腾讯云账号+额度），
+           保留下面的逻辑。如果没配置好，建议直接 reject。
+        */
+
+        // --- 开始：原来的云端解析逻辑 (已加 try-catch 保护) ---
+        const messagesEl = document.getElementById('chatMessages');
+        const loadingId = 'loading_cloud_doc_' + Date.now();
+        const loadingRow = document.createElement('div');
+        loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:#eee;color:#666;">☁️ 正在上传云端解析...</div></div>`;
+        messagesEl.appendChild(loadingRow.firstChild);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
 
-function isOccupied(pageKey, targetRow, targetCol, draggedId) {
-    const apps = state.appLayouts[pageKey];
-    for (const app of apps) {
-        if (app.id === draggedId) {
-            continue;
-        }
-        const appColSpan = app.colspan || 1;
-        const appRowSpan = app.rowspan || 1;
-        const inHorizontalRange = targetCol >= app.col && targetCol < (app.col + appColSpan);
-        const inVerticalRange = targetRow >= app.row && targetRow < (app.row + appRowSpan);
+        try {
+            // 1. 上传到 COS
+            const uploadResult = await LKECloudManager.uploadToCOS(currentFile, false);
 
-        if (inHorizontalRange && inVerticalRange) {
-            return true;
-        }
-    }
-    return false;
-}
+            // 2. 调用解析接口
+            const sessionId = currentChatContact ? currentChatContact.id : "default_session";
+            const docId = await LKECloudManager.parseDoc(currentFile, uploadResult, sessionId);
 
+            console.log("云端解析成功 DocID:", docId);
+            document.getElementById(loadingId)?.remove();
 
-function handleMove(e) {
-    if (!state.draggedElement || state.dragMoveScheduled) return;
+            // 3. FileInfo
+            const fileInfo = {
+                doc_id: docId,
+                file_name: currentFile.name.replace(/\.[^/.]+$/, ""),
+                file_type: currentFile.name.split('.').pop(),
+                file_size: String(currentFile.size),
+                file_url: uploadResult.url
+            };
 
-    const touch = getTouch(e);
-    const distance = Math.sqrt(
-        Math.pow(touch.clientX - state.dragStart.x, 2) +
-        Math.pow(touch.clientY - state.dragStart.y, 2)
-    );
+            // 4. 界面显示
+            const userMsg = {
+                sender: 'user',
+                type: 'file',
+                content: {
+                    name: currentFile.name,
+                    size: currentFile.size,
+                    fileId: 'cloud_doc' // 标记
+                }
+            };
+            const msgIndex = saveMessage(currentChatContact.id, userMsg);
+            messagesEl.appendChild(_createMessageDOM(currentChatContact.id, userMsg, msgIndex));
 
-    if (distance > 5 && !state.hasDragged) {
-        state.hasDragged = true;
-        clearTimeout(state.longPressTimer);
-        if (!state.isDragging) {
-            state.isEditMode = true;
-            state.isDragging = true;
-            state.draggedElement.classList.add('dragging');
-            document.body.style.cursor = 'grabbing';
-            showEditHint(true);
-            state.draggedElement.style.transition = 'none';
-        }
-    }
+            // 5. 立即触发 AI 分析 (带 fileInfos)
+            // 这里为了演示，自动发一条指令
+            const promptText = "请分析这份云端文档。";
+            simulateSendingMessage(promptText); // 先上屏
 
-    if (!state.isDragging) return;
+            // 真正调用 API (这部分逻辑较复杂，建议复用 getAiReply 或手动调用 callApi)
+            // 简单起见，这里仅给个提示，实际项目建议让用户手动输入问题触发
 
-    if (e.cancelable) e.preventDefault();
+            showSuccessModal("解析成功", "文档已挂载，请发送问题给AI");
 
-    // 将更新操作放入 rAF 回调
-    state.dragMoveScheduled = true;
-    requestAnimationFrame(() => {
-        const touch = getTouch(e);
-        const deltaX = touch.clientX - state.dragStart.x;
-        const deltaY = touch.clientY - state.dragStart.y;
+        } catch (e) {
+            console.error(e);
+            document.getElementById(loadingId)?.remove();
+            // 如果是普通的 imgBB 报错，说明这不是图片但没走本地逻辑
+            // 但因为我们在上面已经拦截了 isTextDoc，所以这里只会是 PDF/Word 等
+            showErrorModal('云解析失败', '无法解析此类型文件，或云服务配置缺失。请尝试上传 .txt 文本。');
+        }
+    });
 
-        if (state.draggedElement) { // 再次检查，防止元素已不存在
-            state.draggedElement.style.transform = `translate(${deltaX}px, ${deltaY}px) scale(1.08)`;
+
+    // 7. 点击页面其他任何地方，自动关闭附件菜单 (保持不变)
+    document.addEventListener('click', () => {
+        if (menu.classList.contains('show')) {
+            menu.classList.remove('show');
         }
-        state.draggedElement.style.transform = `translate(${deltaX}px, ${deltaY}px) scale(1.08)`;
     });
+    // 阻止点击菜单本身时关闭菜单
+    menu.addEventListener('click', (event) => event.stopPropagation());
 }
 
+// ========== 开始：用这个【发送后等待回复版】的函数替换旧的 ==========
+/**
+ * [最终修复版] 初始化密友聊天附件菜单
+ * - 使用 cloneNode 技巧移除旧的事件监听器，修复重复绑定问题。
+ */
 
-function finishDrag(exitImmediately) {
-    if (state.draggedElement) {
-        state.draggedElement.classList.remove('dragging');
-        state.draggedElement.style.transition = '';
-    }
-
-    state.isDragging = false;
-    state.draggedElement = null;
+// script.js - 找到 setupSweetheartAttachmentMenu 函数，完整替换为：
 
-    // ✅ 修改：只有在实际发生拖拽后才重置 hasDragged
-    if (exitImmediately) {
-        state.hasDragged = false;
+/**
+ * [最终云端版] 初始化密友聊天附件菜单
+ * - 修正：图片上传后不再立即调用 API
+ */
+function setupSweetheartAttachmentMenu() {
+    const attachmentBtn = document.getElementById('sweetheartShowAttachmentMenuBtn');
+    const attachmentMenu = document.getElementById('sweetheartAttachmentMenu');
+    const fileInput = document.getElementById('sweetheartFileInput');
+    const imageInput = document.getElementById('sweetheartImageInput');
+    const redPacketBtn = document.getElementById('sweetheartSendRedPacketBtn');
+    if (!attachmentBtn || !attachmentMenu) return;
+    // 克隆按钮防止重复绑定
+    const freshAttachmentBtn = attachmentBtn.cloneNode(true);
+    attachmentBtn.parentNode.replaceChild(freshAttachmentBtn, attachmentBtn);
+    freshAttachmentBtn.addEventListener('click', function (e) {
+        e.stopPropagation();
+        attachmentMenu.classList.toggle('show');
+    });
+    document.addEventListener('click', function (e) {
+        if (attachmentMenu.classList.contains('show') &&
+            !attachmentMenu.contains(e.target) &&
+            !freshAttachmentBtn.contains(e.target)) {
+            attachmentMenu.classList.remove('show');
+        }
+    });
+    // 绑定按钮点击
+    const uploadImageBtn = document.getElementById('sweetheartUploadImageBtn');
+    if (uploadImageBtn && imageInput) {
+        const freshUploadImageBtn = uploadImageBtn.cloneNode(true);
+        uploadImageBtn.parentNode.replaceChild(freshUploadImageBtn, uploadImageBtn);
+        freshUploadImageBtn.addEventListener('click', function () {
+            imageInput.click();
+            attachmentMenu.classList.remove('show');
+        });
     }
+    // --- 核心修改：密友图片上传 (只保存，不触发AI) ---
+    const freshImageInput = imageInput.cloneNode(true);
+    imageInput.parentNode.replaceChild(freshImageInput, imageInput);
+    freshImageInput.addEventListener('change', async function (e) {
+        const file = e.target.files[0];
+        if (!file || !currentSweetheartChatContact) return;
+        // 1. UI: 显示上传中
+        const messagesEl = document.getElementById('sweetheartChatMessages');
+        const loadingId = 'sh_loading_img_' + Date.now();
+        const loadingRow = document.createElement('div');
+        loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:rgba(255,255,255,0.5);color:#888;">⏳ 图片上传给TA中...</div></div>`;
+        messagesEl.appendChild(loadingRow.firstChild);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+        try {
+            // 2. 上传到腾讯云
+            const uploadResult = await LKECloudManager.uploadToCOS(file, true);
+            console.log("密友图片上传成功:", uploadResult.url);
+            document.getElementById(loadingId)?.remove();
+            // 3. 构造消息
+            const aiMessageContent = `(分享了一张图片)\n![](${uploadResult.url})`;
+            // 4. 保存消息 (isProcessed: false)
+            const messagePayload = {
+                sender: 'user',
+                text: aiMessageContent,
+                imageUrl: uploadResult.url,
+                timestamp: Date.now(),
+                isProcessed: false // 关键：标记为未处理
+            };
+            const newIndex = saveSweetheartMessage(currentSweetheartChatContact.id, messagePayload);
+            const messageRow = _createMessageDOM(currentSweetheartChatContact.id, messagePayload, newIndex);
+            messagesEl.appendChild(messageRow);
+            messagesEl.scrollTop = messagesEl.scrollHeight;
+            // 5. 移除自动API调用
+            console.log("密友图片已保存，等待手动触发回复...");
 
-    // ✅ 核心修复：只在明确要求立即退出时，才延迟关闭编辑模式
-    if (exitImmediately && state.hasDragged) {
-        setTimeout(() => {
-            if (state.isEditMode && !state.isDragging) {
-                state.isEditMode = false;
-                showEditHint(false);
-                showDeleteButtons(false);
-            }
-        }, 500);
-    }
-    // ✅ 如果只是长按激活（没有拖拽），则保持编辑模式不退出
-}
+            // 6. 确保接收按钮可见
+            document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
+        } catch (err) {
+            console.error(err);
+            document.getElementById(loadingId)?.remove();
+            showErrorModal('图片发送失败', err.message);
+        } finally {
+            this.value = '';
+        }
+    });
+    // ============================================================
+    // 🔥 核心修改：文件上传智能路由 (区分 文本文件 vs 图片文件)
+    // ============================================================
+    const freshFileInput = fileInput.cloneNode(true);
+    fileInput.parentNode.replaceChild(freshFileInput, fileInput);
 
+    freshFileInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file || !currentSweetheartChatContact) return;
 
-// ▼▼▼ 请将你原来的 revertPosition 函数替换成下面这个版本 ▼▼▼
+        // 1. 判断文件类型
+        const isImage = file.type.startsWith('image/');
+        const isTextDoc = file.type.startsWith('text/') ||
+            file.name.endsWith('.txt') ||
+            file.name.endsWith('.md') ||
+            file.name.endsWith('.csv') ||
+            file.name.endsWith('.json') ||
+            file.name.endsWith('.js');
 
-function revertPosition(el, originalTransition = '') {
-    // 移除可能存在的 transform，让它直接回到原始的布局位置
-    el.style.transform = 'none';
+        // 2. 清空输入框，允许下次选择同名文件
+        // 注意：要在读取前或者 finally 里重置，这里先保存引用
+        const currentFile = file;
+        event.target.value = '';
 
-    // 找到它应该在的网格和位置
-    const sourceGrid = el.parentElement;
-    const originalRow = parseInt(el.dataset.row);
-    const originalCol = parseInt(el.dataset.col);
-    const colspan = parseInt(el.dataset.colspan) || 1;
-    const rowspan = parseInt(el.dataset.rowspan) || 1;
+        // 3. 场景 A: 如果是图片，走原来的图床逻辑
+        if (isImage) {
+            const messagesEl = document.getElementById('sweetheartChatMessages');
+            const loadingId = 'sh_loading_img_' + Date.now();
+            const loadingRow = document.createElement('div');
+            loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:rgba(255,255,255,0.5);color:#888;">⏳ 图片上传中...</div></div>`;
+            messagesEl.appendChild(loadingRow.firstChild);
+            messagesEl.scrollTop = messagesEl.scrollHeight;
+
+            try {
+                const uploadResult = await LKECloudManager.uploadToCOS(currentFile, true);
+                document.getElementById(loadingId)?.remove();
 
-    // 添加一个平滑的回弹动画
-    el.style.transition = 'all 0.25s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
-    positionElement(el, originalRow, originalCol, colspan, rowspan);
+                const aiMessageContent = `(分享了一张图片)\n![](${uploadResult.url})`;
+                const messagePayload = {
+                    sender: 'user',
+                    text: aiMessageContent,
+                    imageUrl: uploadResult.url,
+                    timestamp: Date.now(),
+                    isProcessed: false
+                };
 
-    // 动画结束后，恢复原始的 transition 设置
-    setTimeout(() => {
-        if (el) el.style.transition = originalTransition;
-    }, 250);
-}
+                const newIndex = saveSweetheartMessage(currentSweetheartChatContact.id, messagePayload);
+                const messageRow = _createMessageDOM(currentSweetheartChatContact.id, messagePayload, newIndex);
+                messagesEl.appendChild(messageRow);
+                messagesEl.scrollTop = messagesEl.scrollHeight;
+                document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
 
-// ▼▼▼ 这是一个可选的优化，但建议你也替换掉旧的 updateAndSavePosition 函数 ▼▼▼
+            } catch (err) {
+                console.error(err);
+                document.getElementById(loadingId)?.remove();
+                showErrorModal('图片上传失败', '请检查网络配置或API Key');
+            }
+            return;
+        }
 
-function updateAndSavePosition(el, newRow, newCol) {
-    const appId = el.dataset.id;
-    // 这个函数现在只处理同页拖拽，所以直接从父元素获取 pageKey
-    const pageKey = el.parentElement.id === 'grid1' ? 'page1' : 'page2';
+        // 4. 场景 B: 如果是文本文件，走本地 IndexedDB 分析逻辑 (修复那个报错的关键)
+        if (isTextDoc) {
+            const messagesEl = document.getElementById('sweetheartChatMessages');
+            const loadingId = 'loading_local_doc_' + Date.now();
+            const loadingRow = document.createElement('div');
+            loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:rgba(255,255,255,0.5);color:#888;">📄 正在读取文档...</div></div>`;
+            messagesEl.appendChild(loadingRow.firstChild);
+            messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    const appData = state.appLayouts[pageKey].find(app => app.id === appId);
-    if (appData) {
-        appData.row = newRow;
-        appData.col = newCol;
-    }
+            try {
+                // 调用本地处理函数 (不再上传到云端!)
+                const fileResult = await uploadFileAndGetAiResponse(currentFile);
+                document.getElementById(loadingId)?.parentElement?.remove();
 
-    el.dataset.row = newRow;
-    el.dataset.col = newCol;
+                const fileMsgPayload = {
+                    sender: 'user',
+                    type: 'file', // 使用 file 类型
+                    content: {
+                        name: fileResult.name,
+                        size: fileResult.size,
+                        fileId: fileResult.fileId
+                    },
+                    timestamp: Date.now()
+                };
 
-    const colspan = parseInt(el.dataset.colspan) || 1;
-    const rowspan = parseInt(el.dataset.rowspan) || 1;
+                const msgIndex = saveSweetheartMessage(currentSweetheartChatContact.id, fileMsgPayload);
+                const messageRow = _createMessageDOM(currentSweetheartChatContact.id, fileMsgPayload, msgIndex);
+                messagesEl.appendChild(messageRow);
+                messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    // 平滑地移动到新位置
-    el.style.transition = 'all 0.25s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
-    positionElement(el, newRow, newCol, colspan, rowspan);
+                // 自动填入引导词
+                const chatInput = document.getElementById('sweetheartChatInput');
+                chatInput.value = "请阅读这份文档，总结一下主要内容。";
+                document.querySelector('.sweetheart-chat-input-area').classList.add('has-text');
+                chatInput.focus();
 
-    // 动画结束后移除 transition
-    setTimeout(() => {
-        if (el) el.style.transition = '';
-    }, 250);
+            } catch (err) {
+                console.error(err);
+                document.getElementById(loadingId)?.parentElement?.remove();
+                showErrorModal('文档读取失败', err.message);
+            }
+            return;
+        }
 
-    saveLayoutToLocalStorage();
-    console.log(`同页移动成功：已保存 ${appId} 到新位置: (${newRow}, ${newCol})`);
-}
+        // 5. 场景 C: 不支持的格式 (如 PDF/Word 目前无法纯前端解析)
+        showErrorModal('格式不支持', '目前“文件”按钮仅支持 .txt / .md 等纯文本，或 jpg/png 图片。PDF/Word暂不支持。', 3000);
+    });
 
 
-function saveLayoutToLocalStorage() {
-    localStorage.setItem('phoneAppLayouts', JSON.stringify(state.appLayouts));
+    // 4. 红包按钮 (保持不变)
+    if (redPacketBtn) {
+        const freshRedPacketBtn = redPacketBtn.cloneNode(true);
+        redPacketBtn.parentNode.replaceChild(freshRedPacketBtn, redPacketBtn);
+        freshRedPacketBtn.addEventListener('click', function () {
+            attachmentMenu.classList.remove('show');
+            openRedPacketModal();
+        });
+    }
 }
 
-function saveCustomIconsToLocalStorage() {
-    localStorage.setItem('phoneCustomIcons', JSON.stringify(globalConfig.customIcons));
-}
+/**
+ * [核心功能] 本地文件预处理工具
+ * 作用：读取本地文本文件 -> 存入IndexedDB -> 返回文件信息供聊天气泡使用
+ * 优势：不依赖云存储，免费，适合长文本/小说/剧本分析
+ */
+function uploadFileAndGetAiResponse(file) {
+    return new Promise((resolve, reject) => {
+        // 1. 格式校验
+        const isText = file.type.startsWith('text/') || file.name.endsWith('.txt') || file.name.endsWith('.md') || file.name.endsWith('.csv');
+        if (!isText) {
+            // 如果不是纯文本，暂时拒绝（因为 canvas/render 无法直接处理二进制文件流）
+            reject(new Error("目前仅支持文本文件 (.txt, .md, .csv) 的本地深度分析"));
+            return;
+        }
 
+        // 2. 大小限制 (例如 2MB，防止浏览器卡顿)
+        if (file.size > 2 * 1024 * 1024) {
+            reject(new Error("文件过大，请上传 2MB 以内的文本文件"));
+            return;
+        }
 
-function showPage(pageNum) {
-    state.currentPage = pageNum;
-    pagesWrapper.style.transform = `translateX(-${(pageNum - 1) * 50}%)`;
-    document.querySelectorAll('.dot').forEach((dot, i) =>
-        dot.classList.toggle('active', i === pageNum - 1));
+        const reader = new FileReader();
 
-    // const hint1 = document.getElementById('editHint1');
-    // const hint2 = document.getElementById('editHint2');
-    //
-    // if (pageNum === 1) {
-    //     hint1.style.display = 'block';
-    //     hint2.style.display = 'none';
-    // } else {
-    //     hint1.style.display = 'none';
-    //     hint2.style.display = 'block';
-    // }
-}
+        // 3. 读取成功
+        reader.onload = async (e) => {
+            try {
+                const content = e.target.result;
 
+                // 🔥 核心步骤：将长文本存入 IndexedDB
+                // 我们不把几万字直接存入 localStorage，而是存入 ImageDB (复用图片数据库，因为它存的是大字符串)
+                const fileId = await ImageDB.saveText(content);
 
-// ============ 开始：请将这个全新的代码块完整粘贴到你的 <script> 中 ============
+                // 返回标准化数据结构
+                resolve({
+                    success: true,
+                    name: file.name,
+                    size: file.size,
+                    fileId: fileId, // 🔑 重点：后续 AI 读取全文全靠这个 ID
+                    preview: content.substring(0, 100).replace(/\n/g, ' ') // 调试用
+                });
 
-/**
- * [丝滑翻页优化版] 统一的“滑动结束”处理器
- * - 引入速度判断，实现快速轻扫即可翻页
- * - 结合最小距离阈值，防止误触
- */
-function swipeEndHandler(e) {
-    // 解除在 document 上绑定的事件
-    document.removeEventListener('mousemove', swipeMoveHandler);
-    document.removeEventListener('mouseup', swipeEndHandler);
-    document.removeEventListener('touchmove', swipeMoveHandler);
-    document.removeEventListener('touchend', swipeEndHandler);
+            } catch (err) {
+                console.error(err);
+                reject(new Error("文件存储到本地数据库失败"));
+            }
+        };
 
-    if (!state.isSwipingPage) return;
+        // 4. 读取失败
+        reader.onerror = () => {
+            reject(new Error("浏览器无法读取该文件"));
+        };
 
-    // --- 核心升级：智能决策逻辑 ---
+        // 5. 开始读取
+        reader.readAsText(file, 'UTF-8'); // 默认 UTF-8，如果是小说可能需要 GBK 识别逻辑
+    });
+}
 
-    const touch = getChangedTouch(e);
-    const diff = touch.clientX - state.swipeStart.x;
-    const timeElapsed = Date.now() - state.swipeStart.time;
 
-    // 计算速度（像素/毫秒），如果时间过短则防止除以零
-    const velocity = timeElapsed > 0 ? Math.abs(diff) / timeElapsed : 0;
+// 创建一个辅助函数来模拟发送消息，避免代码重复
+function simulateSendingMessage(messageText) {
+    const messagesEl = document.getElementById('chatMessages');
+    if (!messageText || !currentChatContact) return;
 
-    // 重新启用CSS动画，用于“吸附”或“弹回”
-    pagesWrapper.classList.remove('no-transition');
+    // 保存消息记录
+    const newIndex = saveMessage(currentChatContact.id, {sender: 'user', text: messageText});
 
-    let targetPage = state.currentPage;
+    // 创建并显示消息 DOM
+    const messageRow = _createMessageDOM(currentChatContact.id, {
+        sender: 'user',
+        text: messageText
+    }, newIndex);
+    messagesEl.appendChild(messageRow);
 
-    // 智能决策：
-    // 条件1: 滑动距离超过一个较小的阈值（例如30像素）
-    // 条件2: 滑动速度很快（例如大于0.2像素/毫秒）
-    // 只要满足其中一个，就认为用户想要翻页
-    if (Math.abs(diff) > 30 || velocity > 0.2) {
-        if (diff > 0 && state.currentPage === 2) {
-            // 从第2页向右滑 -> 前往第1页
-            targetPage = 1;
-        } else if (diff < 0 && state.currentPage === 1) {
-            // 从第1页向左滑 -> 前往第2页
-            targetPage = 2;
-        }
-    }
+    // 更新联系人列表的最后消息并滚动到底部
+    renderContacts(contactsData);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+}
 
-    // --- 决策结束 ---
+/* ========== 结束：粘贴 JavaScript 代码块 ========== */
 
-    // 使用 setTimeout 确保动画无缝衔接
-    // 浏览器会在执行 showPage 前先应用 'no-transition' 被移除的样式
-    setTimeout(() => {
-        showPage(targetPage);
-    }, 0);
 
-    state.isSwipingPage = false;
-}
+// ========== 开始：粘贴这个全新的 JavaScript 函数 ==========
 
 /**
- * [丝滑翻页优化版] 统一的“滑动开始”处理器
- * 修复：已将 .chapter-list-panel 加入排除列表，防止滑动目录时误触翻页
- */
-function swipeStartHandler(e) {
-    // 检查触摸事件是否发生在不应触发翻页的元素上
-    // ✅ 修复：添加了 .chapter-list-panel (目录) 和 .reader-header-bar (顶部栏)
-    if (e.target.closest('.page-dots, #iconDockPanel, #floatingBall, .cat-widget, .contacts-page, .chat-page, .sweetheart-chat-page, .settings-page, .config-page, .beautify-page, .modal-overlay, #statusPopup, .test-page, .worldbook-page, .mask-library-page, .contact-library-page, .memory-center-page, .map-editor-page, .folder-overlay, .novel-shelf-page, .novel-reader-page, .chapter-list-panel, .reader-header-bar')) {
-        return; // 如果是，则直接退出，不处理翻页逻辑
-    }
-    // 检查是否刚结束拖拽操作，防止误触
-    if (Date.now() - state.lastDragEndTime < 300) return;
-    // 检查是否正在从收藏夹拖出图标或处于桌面编辑模式
-    if (state.isDraggingFromDock || state.isEditMode || state.isDragging) return;
-    // --- 后续的翻页逻辑保持不变 ---
-    const touch = getTouch(e);
-    state.swipeStart = {x: touch.clientX, time: Date.now()};
-    state.isSwipingPage = true;
-    state.initialTransform = -(state.currentPage - 1) * 50;
-    pagesWrapper.classList.add('no-transition');
-    if (e.type === 'touchstart') {
-        document.addEventListener('touchmove', swipeMoveHandler, {passive: false});
-        document.addEventListener('touchend', swipeEndHandler);
+ * 清空所有本地存储的数据
+ * 这是一个危险操作，执行前会要求用户确认。
+ */
+function clearAllData() {
+    // 1. 弹出确认框，给用户最后一次反悔的机会
+    const confirmation = confirm(
+        "⚠️ 警告！\n\n你确定要清空所有数据吗？\n\n此操作将不可逆转地删除：\n- 所有API、数据库和云存储设置\n- 所有联系人、密友和聊天记录\n- 所有自定义图标、壁纸和组件\n- 所有世界书和分组\n- 其他所有个性化配置\n\n应用将恢复到初始状态。"
+    );
+
+    // 2. 检查用户的选择
+    if (confirmation) {
+        // 3. 如果用户点击“确定”，则清空 localStorage 和 IndexedDB 中的聊天记录
+        localStorage.clear();
+        ChatHistoryStore.clear().catch(e => console.error('清空聊天记录失败:', e)).finally(() => {
+            // 4. 显示一个操作成功的提示
+            alert("所有数据已成功清除。应用即将重新加载。");
+
+            // 5. 重新加载页面，让应用以全新的状态启动
+            location.reload();
+        });
     } else {
-        document.addEventListener('mousemove', swipeMoveHandler);
-        document.addEventListener('mouseup', swipeEndHandler);
+        // 如果用户点击“取消”，则不做任何事
+        console.log("用户取消了清空所有数据的操作。");
     }
 }
 
-// 这个函数负责在滑动过程中，通过 rAF 更新页面位置，保证流畅
-function swipeMoveHandler(e) {
-    if (!state.isSwipingPage) return;
-    if (e.cancelable) {
-        e.preventDefault();
-    }
+// ========== 结束：粘贴代码 ==========
 
-    const touch = getTouch(e);
-    const diffX = touch.clientX - state.swipeStart.x;
 
-    // 将像素差值转换为百分比
-    const percentDiff = (diffX / screen.offsetWidth) * 50;
-    // 计算新的 transform 值，并限制在 0% 到 -50% 之间
-    const newTransform = Math.max(-50, Math.min(0, state.initialTransform + percentDiff));
+// ========== 开始：新增的密友列表相关函数 ==========
 
-    if (!state.swipeMoveScheduled) {
-        state.lastSwipeTranslateX = newTransform;
-        state.swipeMoveScheduled = true;
-        requestAnimationFrame(updateSwipeTransform);
-    }
+// ▼▼▼ 使用这个【绝对修正版】的 openSweetheartList 函数进行替换 ▼▼▼
+
+function openSweetheartList() {
+
+    // 打开密友列表页面
+    document.getElementById('sweetheartListPage').classList.add('show');
+    renderSweetheartList();
 }
 
-// updateSwipeTransform 函数保持不变
-function updateSwipeTransform() {
-    if (!state.swipeMoveScheduled) {
-        return;
-    }
-    pagesWrapper.style.transform = `translateX(${state.lastSwipeTranslateX}%)`;
-    state.swipeMoveScheduled = false;
+
+// [修改版] 关闭密友列表，直接回到桌面
+function closeSweetheartList(isNavigatingBack = false) {
+    document.getElementById('sweetheartListPage').classList.remove('show');
+
+    // 🔥 核心修改：移除原有的 openWorldSelect() 调用
+    // 这样点击返回时，就会直接露出身后的主屏幕（App图标界面）
 }
 
-// ============ 结束：粘贴代码 ============
 
-screen.addEventListener('click', (e) => {
-    if (e.target.closest('.chat-page, .contacts-page, .settings-page, .config-page, .beautify-page, .modal-overlay')) {
-        return;
+// ▼▼▼ 替换这个新的 getLastMessagePreview 函数 ▼▼▼
+/**
+ * [新增] 获取最后一条消息的预览文本
+ * @param {object} lastMessage - 聊天记录中的最后一条消息对象
+ * @returns {string} - 用于预览的文本
+ */
+function getLastMessagePreview(lastMessage) {
+    if (!lastMessage) {
+        return '';
     }
 
-    // ✅ 修改：点击任何非组件区域都退出编辑模式
-    if (!e.target.closest('.app-icon') &&
-        !e.target.closest('.widget') &&
-        !e.target.closest('.cat-widget') && // 确保这行存在
-        !e.target.closest('.time-card') &&
-        !e.target.closest('.weather-card') &&
-        !e.target.closest('[class*="delete-"]')) {
-        exitEditMode();
+    // 1. 处理地点提示
+    if (lastMessage.type === 'location') {
+        return `[进入地点：${escapeHTML(lastMessage.locationName)}]`;
     }
-});
-
-
-function initializeLayout() {
-    // 1. 加载壁纸
-    const savedWallpaper = localStorage.getItem('phoneWallpaper');
-    if (savedWallpaper) applyWallpaper(savedWallpaper);
 
-    // 3. 加载布局数据 (只处理 Page1)
-    const savedLayouts = localStorage.getItem('phoneAppLayouts');
-    if (savedLayouts) {
-        try {
-            const loadedLayouts = JSON.parse(savedLayouts);
-            if (loadedLayouts.page1) {
-                // 合并逻辑保持不变
-                state.appLayouts.page1 = mergeAppLayouts(appsPage1, loadedLayouts.page1 || [], new Set());
-            }
-        } catch (e) {
-            console.error('布局加载失败', e);
+    // ⭐ 修复：处理红包消息
+    if (lastMessage.type === 'red-packet') {
+        // 如果是AI发的且未打开的红包，显示“你收到TA的红包”
+        if (lastMessage.sender === 'contact' && lastMessage.content.status === 'unopened') {
+            return `[你收到TA的红包]`;
+        }
+        // 如果是AI发的且已打开的红包，显示“TA的红包已被领取”
+        else if (lastMessage.sender === 'contact' && lastMessage.content.status === 'opened') {
+            return `[TA的红包已被领取]`;
+        }
+        // 如果是自己发的红包
+        else if (lastMessage.sender === 'user') {
+            return `[你发出了一个红包]`;
         }
     }
 
-    // 4. 其他设置加载
-    const savedIcons = localStorage.getItem('phoneCustomIcons');
-    if (savedIcons) {
-        try {
-            globalConfig.customIcons = JSON.parse(savedIcons);
-        } catch (e) {
+    // 2. 处理图片或渲染消息
+    if (typeof lastMessage.text === 'string') {
+        if (lastMessage.text.includes('<img')) {
+            return '[图片]';
+        }
+        if (lastMessage.text.includes('<render>')) {
+            return '[特殊消息]';
         }
+        // 截断过长的文本，增加省略号
+        const trimmedText = lastMessage.text.trim();
+        return trimmedText.length > 30 ? trimmedText.substring(0, 30) + '...' : trimmedText;
     }
-    const savedWidgets = localStorage.getItem('savedWidgets');
-    if (savedWidgets) {
-        try {
-            globalConfig.savedWidgets = JSON.parse(savedWidgets);
-        } catch (e) {
+
+    // 如果消息格式未知，返回空
+    return '';
+}
+
+// ▲▲▲ 替换结束 ▲▲▲
+/**
+ * [最终增强版] 渲染密友列表 (带点击保护)
+ */
+function renderSweetheartList() {
+    const container = document.getElementById('sweetheartListContainer');
+
+    container.innerHTML = '';
+
+    const currentWorld = worldsData.find(w => w.id === currentWorldId);
+    document.getElementById('sweetheartListTitle').textContent = currentWorld ? currentWorld.name : '密友列表';
+
+    let contactsToShow = [];
+    if (currentWorldId) {
+        const world = worldsData.find(w => w.id === currentWorldId);
+        if (world) {
+            contactsToShow = sweetheartContactsData.filter(contact =>
+                world.contacts.includes(String(contact.id))
+            );
         }
+    } else {
+        contactsToShow = sweetheartContactsData;
     }
-    const deletedComponents = JSON.parse(localStorage.getItem('deletedComponents') || '[]');
 
-    // 5. ✅【核心修改】只渲染 grid1，不再碰 grid2
-    const grid1 = document.getElementById('grid1');
-    if (grid1) {
-        grid1.innerHTML = '';
-        state.appLayouts.page1.forEach(app => {
-            if (app.isWidget && deletedComponents.includes(app.id)) return;
-            createElement(app, grid1);
-        });
+    if (contactsToShow.length === 0) {
+        const world = worldsData.find(w => w.id === currentWorldId);
+        const worldName = world ? world.name : '这个世界';
+        container.innerHTML = `<div style="text-align: center; padding: 60px 20px; color: #A1887F; font-size: 14px; line-height: 1.6;">${escapeHTML(worldName)}还没有联系人,<br/>点击右上角添加一个吧 ✨</div>`;
+        return;
     }
 
-    // 6. 处理已删除的组件
-    if (deletedComponents.includes('timeCard')) document.getElementById('timeCard')?.remove();
-    if (deletedComponents.includes('weatherCard')) document.getElementById('weatherCard')?.remove();
+    contactsToShow.forEach(contact => {
+        try {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'sweetheart-item-wrapper';
+            wrapper.dataset.contactId = contact.id;
+            wrapper.dataset.contactType = 'sweetheart';
 
-    loadSavedMoodAndWeather();
-}
+            const lastMessage = ChatHistoryStore.last('phoneSweetheartChatHistory', contact.id);
+            let lastMessageText = contact.status || '...';
 
+            if (lastMessage) {
+                const preview = getLastMessagePreview(lastMessage);
+                if (preview) lastMessageText = preview;
+            }
 
-function mergeAppLayouts(defaultApps, savedApps, dockedIconIds) {
-    const merged = [...savedApps];
-    const savedIds = new Set(savedApps.map(app => app.id));
+            const isUrl = contact.avatar && (String(contact.avatar).startsWith('http') || String(contact.avatar).startsWith('data:'));
+            const avatarContent = isUrl
+                ? `<img src="${escapeHTML(contact.avatar)}" alt="${escapeHTML(contact.name)}">`
+                : `<span>${escapeHTML(contact.avatar)}</span>`;
 
-    // 【新增】获取所有页面已保存的图标ID
-    const allSavedLayouts = localStorage.getItem('phoneAppLayouts');
-    let allPageIds = new Set();
-    if (allSavedLayouts) {
-        try {
-            const layouts = JSON.parse(allSavedLayouts);
-            // 收集所有页面的图标ID
-            if (layouts.page1) {
-                layouts.page1.forEach(app => allPageIds.add(app.id));
+            const unread = getProactiveRecord(contact.id).unread || 0;
+            const unreadHtml = unread > 0
+                ? `<div class="sweetheart-unread-badge">${unread > 99 ? '99+' : unread}</div>`
+                : '';
+
+            let instanceIdHtml = '';
+            if (contact.id) {
+                instanceIdHtml = `<div class="sweetheart-instance-id" title="联系人ID">ID: ${escapeHTML(contact.id)}</div>`;
             }
-            if (layouts.page2) {
-                layouts.page2.forEach(app => allPageIds.add(app.id));
+
+            wrapper.innerHTML = `
+                <div class="swipe-actions">
+                    <button class="swipe-delete-btn">删除</button>
+                </div>
+                <div class="sweetheart-item-content">
+                    <div class="sweetheart-avatar">${avatarContent}</div>
+                    <div class="sweetheart-info">
+                        <div class="sweetheart-name">${escapeHTML(contact.name)}</div>
+                        ${instanceIdHtml}
+                        <div class="sweetheart-status">${escapeHTML(lastMessageText)}</div>
+                    </div>
+                    ${unreadHtml}
+                </div>
+            `;
+
+            // 🔥 绑定点击事件：打开聊天
+            const contentEl = wrapper.querySelector('.sweetheart-item-content');
+            if (contentEl) {
+                contentEl.onclick = (e) => {
+                    // 阻止事件冒泡，防止触发底层的其他点击
+                    e.stopPropagation();
+
+                    if (!wrapper.classList.contains('is-swiped')) {
+                        // 1. 关闭列表页
+                        closeSweetheartList(false);
+                        // 2. 延迟一点点打开聊天页，动画更流畅
+                        setTimeout(() => {
+                            openSweetheartChat(contact);
+                        }, 50); // 稍微缩短延迟
+                    }
+                };
             }
-        } catch (e) {
-            console.error('解析所有页面布局失败', e);
-        }
-    }
 
-    // 将默认布局中新增的应用添加进来
-    defaultApps.forEach(defaultApp => {
-        // 【修改】现在检查三个地方：当前页面、收藏栏、其他页面
-        if (!savedIds.has(defaultApp.id) &&
-            !dockedIconIds.has(defaultApp.id) &&
-            !allPageIds.has(defaultApp.id)) {  // 【新增条件】
-            merged.push(defaultApp);
-            console.log(`新增或恢复了应用: ${defaultApp.label}`);
+            // 删除按钮事件
+            const deleteBtn = wrapper.querySelector('.swipe-delete-btn');
+            if (deleteBtn) {
+                deleteBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    deleteContactFromList(contact.id, 'sweetheart');
+                };
+            }
+
+            container.appendChild(wrapper);
+            addSwipeToDeleteListeners(wrapper);
+        } catch (err) {
+            console.error(`渲染联系人 ${contact.name} 失败:`, err);
         }
     });
-    return merged;
 }
 
+// ========== 结束：新增的密友列表相关函数 ==========
 
-document.getElementById('chatInput').addEventListener('keydown', function (event) {
-    if (event.key === 'Enter' && !event.shiftKey) {
-        event.preventDefault();
-
-        addMessageToList();
-    }
-});
-
-// ========== 开始：用这个全新的JS代码块替换旧的 openAvatarActions 和相关函数 ==========
-
-/**
- * 打开头像操作菜单，并记录当前操作的目标是哪个头像
- * @param {'contact' | 'user'} target - 'contact' 表示对方头像, 'user' 表示用户头像
- */
-function openAvatarActions(target) {
-    currentAvatarTarget = target; // 记录当前操作目标
-    document.getElementById('avatarActionSheet').classList.add('show');
-}
-
-/**
- * 关闭头像操作菜单
- */
-function closeAvatarActions() {
-    document.getElementById('avatarActionSheet').classList.remove('show');
-}
 
-/**
- * 触发隐藏的文件上传输入框
- */
-function triggerFileUpload() {
-    document.getElementById('avatar-input').click();
-    closeAvatarActions();
+function addNewSweetheartContact() {
+    // 生成新ID
+    const newId = 'SH_' + Date.now();
+    openUnifiedModalWithData({id: newId}, 'sweetheart');
 }
 
-/**
- * 弹出输入框让用户填写图片URL
- */
-function promptForUrl() {
-    const url = prompt("请输入图片URL:", "https://");
-    if (url) {
-        const img = new Image();
-        img.onload = function () {
-            // 根据之前记录的目标，更新正确的头像预览
-            const previewId = currentAvatarTarget === 'user' ? 'user-avatar-preview' : 'avatar-preview';
-            document.getElementById(previewId).src = url;
-            console.log(`已将 ${previewId} 的头像更新为: ${url}`);
-        };
-        img.onerror = function () {
-            alert("无法加载该URL的图片，请检查链接是否正确。");
-        };
-        img.src = url;
-    }
-    closeAvatarActions();
-}
 
-// ========== 结束：替换完成 ==========
+// ========== 密友专用聊天页面功能 ==========
 
+let currentSweetheartChatContact = null;
+let currentSweetheartQuoteData = null;
 
 /**
- * [最终修复版] 打开普通聊天页面
- * 修复：确保每次打开聊天时，按钮状态都是正常的（不暗，可点击）
+ * [终极修复版] 打开密友聊天页面
+ * 修复：强制关闭测试页、书架等高层级页面，防止遮挡聊天窗口
  */
-function openChat(contact) {
+function openSweetheartChat(contact) {
     if (!contact) return;
 
-    // 1. 清除密友全局变量，防止混淆
-    currentSweetheartChatContact = null;
-    currentChatContact = contact;
+    // 第一次打开时先从数据库加载这个联系人的聊天记录
+    if (!ChatHistoryStore.isContactLoaded(contact.id)) {
+        ChatHistoryStore.loadContact(contact.id)
+            .then(() => openSweetheartChat(contact))
+            .catch(e => {
+                console.error('加载聊天记录失败:', e);
+                showErrorModal('加载失败', '读取聊天记录失败，请刷新后重试');
+            });
+        return;
+    }
 
-    // 2. 隐藏菜单，重置界面
+    // 1. 隐藏所有可能遮挡的菜单和弹窗
     hideMessageActionSheet();
     hideSweetheartMessageActionSheet();
 
-    const chatPage = document.getElementById('chatPage');
-    const contactNameEl = document.getElementById('chatContactName');
-    const messagesEl = document.getElementById('chatMessages');
+    // 🔥 关键修复：强制关闭测试页面和结果弹窗
+    document.getElementById('testPage').classList.remove('show');
+    document.getElementById('testResultModal').classList.remove('show');
+    document.getElementById('testConfigModal').classList.remove('show');
 
-    // === 🔥 核心修复：强制重置普通聊天的回复按钮状态 ===
-    const replyBtn = document.getElementById('getReplyBtn');
+    // 关闭可能存在的其他高层级页面
+    document.getElementById('novelReaderPage').classList.remove('show');
+    document.getElementById('novelShelfPage').classList.remove('show');
+
+    // 2. 设置当前联系人
+    currentSweetheartChatContact = contact;
+    markSweetheartChatOpened(contact.id);
+
+    const chatPage = document.getElementById('sweetheartChatPage');
+    const contactNameEl = document.getElementById('sweetheartChatContactName');
+    const messagesEl = document.getElementById('sweetheartChatMessages');
+    const chatInput = document.getElementById('sweetheartChatInput');
+
+    // === 按钮状态重置 ===
+    const replyBtn = document.getElementById('sweetheartGetReplyBtn');
     if (replyBtn) {
         replyBtn.disabled = false;
-        replyBtn.style.opacity = '1'; // 强制变亮
-        replyBtn.style.pointerEvents = 'auto'; // 强制可点击
+        replyBtn.style.opacity = '1';
+        replyBtn.style.pointerEvents = 'auto';
+        replyBtn.style.display = 'flex';
     }
-    // ===============================================
-
-    // 移除密友模式类
-    chatPage.classList.remove('sweetheart-mode');
 
     contactNameEl.textContent = contact.name;
     messagesEl.innerHTML = '';
 
+    // 3. 显示聊天页面
     requestAnimationFrame(() => {
         chatPage.classList.add('show');
-    });
+        applySweetheartChatAvatarsSetting(globalConfig.showAvatarsInSweetheartChat);
 
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-    const contactMessages = chatHistory[contact.id] || [];
+        // 加载历史记录（空聊天先发角色卡的开场白）
+        if (ChatHistoryStore.count('phoneSweetheartChatHistory', contact.id) === 0) insertCardGreeting(contact, saveSweetheartMessage);
+        const contactMessages = ChatHistoryStore.view('phoneSweetheartChatHistory', contact.id);
 
-    if (contactMessages.length === 0) {
-        const systemMessageEl = document.createElement('div');
-        systemMessageEl.textContent = `你和 ${contact.name} 添加了好友，快开始聊天吧`;
-        systemMessageEl.style.textAlign = 'center';
-        systemMessageEl.style.fontSize = '12px';
-        systemMessageEl.style.color = '#aaa';
-        systemMessageEl.style.margin = '10px 0';
-        messagesEl.appendChild(systemMessageEl);
-    } else {
-        contactMessages.forEach((message, index) => {
-            const messageRow = _createMessageDOM(contact.id, message, index);
-            messagesEl.appendChild(messageRow);
-        });
-    }
+        if (contactMessages.length === 0) {
+            const welcomeMessageEl = document.createElement('div');
+            welcomeMessageEl.textContent = `和密友 ${contact.name} 的悄悄话开始了...💖`;
+            welcomeMessageEl.style.textAlign = 'center';
+            welcomeMessageEl.style.fontSize = '12px';
+            welcomeMessageEl.style.color = '#D4A5A5';
+            welcomeMessageEl.style.margin = '10px 0';
+            messagesEl.appendChild(welcomeMessageEl);
+        } else {
+            renderChatMessagesPaged(messagesEl, contact.id, contactMessages);
+        }
 
-    setTimeout(() => {
-        messagesEl.scrollTop = messagesEl.scrollHeight;
-    }, 50);
+        setTimeout(() => {
+            messagesEl.scrollTop = messagesEl.scrollHeight;
+            updateSweetheartChatInputAreaButtons();
+        }, 50);
+
+        if (chatInput) {
+            chatInput.value = '';
+            chatInput.disabled = false;
+            chatInput.removeAttribute('readonly');
+            // 此处不强制聚焦，避免手机键盘自动弹起遮挡
+        }
+
+        setupSweetheartChatInput();
+        setupSweetheartAttachmentMenu();
+    });
 }
 
-// 同时，为了保险起见，我们也在 closeChat 函数中确保清除主题
-function closeChat() {
-    const chatPage = document.getElementById('chatPage');
+
+/**
+ * [修正版] 关闭密友聊天页面，并返回到密友列表
+ */
+function closeSweetheartChat() {
+    const chatPage = document.getElementById('sweetheartChatPage');
     chatPage.classList.remove('show');
-    // 在动画结束后，移除主题类，以防影响下次打开
+
+    // 关闭后，延迟一下让关闭动画完成，然后重新打开密友列表
     setTimeout(() => {
-        chatPage.classList.remove('sweetheart-mode');
-    }, 350);
+        openSweetheartList();
+    }, 350); // 350ms 与关闭动画的时长一致
 }
 
+// ========== 左滑删除功能 JS (V2 - 兼容鼠标和触摸) 开始 ==========
+
 /**
- * [API 核心修复版] 调用 API 函数
- * 增强了错误捕捉和日志输出，解决了请求瞬间失败的问题
+ * 为联系人项添加滑动删除的事件监听器 (兼容鼠标和触摸)
+ * @param {HTMLElement} wrapperElement - 包裹着内容层和操作层的外层元素
  */
-async function callApi(messages, fileInfos = [], customVariables = {}, skipContext = false) {
-    console.log("🚀 开始准备 API 请求...");
-
-    // 1. 智能判断当前联系人（防止 ID 为空导致的崩溃）
-    const targetContact = currentSweetheartChatContact || currentChatContact || {
-        name: "AI助手",
-        id: "default_session_001",
-        status: "智能助手"
-    };
-
-    // 2. 获取设备ID（用于区分不同用户）
-    const getDeviceId = () => {
-        let did = localStorage.getItem('yetta_device_id');
-        if (!did) {
-            did = Math.random().toString(36).substring(2, 10) + Date.now().toString(36);
-            localStorage.setItem('yetta_device_id', did);
-        }
-        return did;
-    };
-    const deviceId = getDeviceId();
+function addSwipeToDeleteListeners(wrapperElement) {
+    const contentElement = wrapperElement.querySelector('.contact-item-content, .sweetheart-item-content');
+    if (!contentElement) return;
 
-    // 3. ID 清洗 (防止特殊字符导致 API 报错)
-    const sanitizeId = (id) => {
-        let str = String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
-        if (str.length < 2) str = str.padEnd(2, '_');
-        if (str.length > 64) str = str.substring(0, 64);
-        return str;
-    };
+    let startX = 0;
+    let currentX = 0;
+    let isDragging = false; // 统一用 isDragging 表示正在拖拽/滑动
+    let hasMoved = false;   // 标记是否发生过位移，以区分点击和滑动
+    const swipeThreshold = -40;
+    const maxSwipe = -80;
 
-    const requestId = "req_" + Date.now().toString(36);
-    const apiSessionId = sanitizeId(`${targetContact.id}_${deviceId}`);
-    const apiVisitorId = `user_${deviceId}`;
+    // 统一获取事件坐标
+    const getPointerX = (e) => e.touches ? e.touches[0].clientX : e.clientX;
 
-    // 4. 构建 Prompt (保持原逻辑，增加了空值保护)
-    let systemRoleText = "";
-    let finalQueryContent = "";
+    const onDragStart = (e) => {
+        // 关闭其他已滑开的项
+        document.querySelectorAll('.is-swiped').forEach(swipedItem => {
+            if (swipedItem !== wrapperElement) {
+                swipedItem.classList.remove('is-swiped');
+            }
+        });
 
-    try {
-        if (skipContext) {
-            const sysMsg = messages.find(m => m.role === 'system');
-            if (sysMsg) systemRoleText = sysMsg.content;
-            const userMsgs = messages.filter(m => m.role === 'user');
-            finalQueryContent = userMsgs.map(m => m.content).join("\n");
-        } else {
-            // 复杂的上下文重建
-            let historyText = "";
-            let currentPayloadContentParts = [];
-            let lastNonUserIndex = -1;
+        startX = getPointerX(e);
+        isDragging = true;
+        hasMoved = false;
+        contentElement.style.transition = 'none'; // 拖动时移除动画
 
-            // 找到最后一条非用户消息的位置
-            for (let i = messages.length - 1; i >= 0; i--) {
-                if (messages[i].role !== 'user') {
-                    lastNonUserIndex = i;
-                    break;
-                }
-            }
+        // 绑定移动和结束事件
+        document.addEventListener('mousemove', onDragMove);
+        document.addEventListener('touchmove', onDragMove);
+        document.addEventListener('mouseup', onDragEnd);
+        document.addEventListener('touchend', onDragEnd);
+    };
 
-            messages.forEach((msg, index) => {
-                if (msg.role === 'system') {
-                    systemRoleText += (msg.content || "") + "\n\n";
-                } else if (index > lastNonUserIndex) {
-                    // 这是本次要发送的最新消息
-                    if (typeof msg.content === 'string') {
-                        currentPayloadContentParts.push(msg.content);
-                    } else if (Array.isArray(msg.content)) {
-                        msg.content.forEach(item => {
-                            if (item.type === 'text') currentPayloadContentParts.push(item.text);
-                            else if (item.type === 'image_url') currentPayloadContentParts.push(`\n![]( ${item.image_url.url} )\n`);
-                        });
-                    }
-                } else {
-                    // 这是历史记录
-                    const roleName = msg.role === 'user' ? '用户' : '你';
-                    let cleanContent = "";
-                    if (typeof msg.content === 'string') {
-                        cleanContent = msg.content.replace(/<[^>]+>/g, '[多媒体/图片]');
-                    } else {
-                        cleanContent = "[多媒体内容]";
-                    }
-                    historyText += `${roleName}: ${cleanContent}\n`;
-                }
-            });
+    const onDragMove = (e) => {
+        if (!isDragging) return;
 
-            finalQueryContent = currentPayloadContentParts.join("\n");
-            // 如果只有图片没有文字，API可能会报错，补一个空格
-            if (!finalQueryContent.trim()) finalQueryContent = " ";
+        currentX = getPointerX(e);
+        let deltaX = currentX - startX;
 
-            if (historyText) {
-                systemRoleText += `\n\n【对话历史回顾 (Context)】\n---\n${historyText}\n---\n`;
-            }
+        // 第一次移动超过5px时，才标记为已移动
+        if (!hasMoved && Math.abs(deltaX) > 5) {
+            hasMoved = true;
         }
-    } catch (e) {
-        console.error("构建消息上下文时出错:", e);
-        return {success: false, message: "构建消息失败，请检查控制台日志"};
-    }
-
-    // 限制 Payload 长度防止 400 错误
-    if (systemRoleText.length > 12000) systemRoleText = systemRoleText.substring(0, 12000);
-
-    // 5. 构造 Payload
-    // ⚠️ 注意：这里的 Key 必须是真实有效的。如果还是用原来的 demo key，很可能会继续报错。
-    const payload = {
-        "bot_app_key": "QBHWzqXNdtjWEFYsrGBSHgciopFrvtDCfgNHgmYJzwWZjQLJHwvGiccbuzRsGLtfmGvIBVaHvmdlxbKMBFtgXXjMsNlQOczNPYtxygdGhceoInkcMgDBuMLPeOqrsuIy",
-        "content": finalQueryContent,
-        "session_id": apiSessionId,
-        "visitor_biz_id": apiVisitorId,
-        "request_id": requestId,
-        "system_role": systemRoleText,
-        "stream": "enable",
-        "file_infos": fileInfos,
-        "custom_variables": customVariables
-    };
 
-    console.log(`📡 正在发送请求...`);
+        // 如果已经滑开了，允许向右滑回来
+        if (!wrapperElement.classList.contains('is-swiped')) {
+            if (deltaX > 0) deltaX = 0; // 但阻止向右滑超过原始位置
+        }
 
-    try {
-        const response = await fetch("https://wss.lke.cloud.tencent.com/v1/qbot/chat/sse", {
-            method: "POST",
-            headers: {"Content-Type": "application/json"},
-            body: JSON.stringify(payload)
-        });
+        // 限制最大滑动距离
+        if (deltaX < maxSwipe - 20) deltaX = maxSwipe - 20;
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`API 响应错误 (${response.status}):`, errorText);
+        contentElement.style.transform = `translateX(${deltaX}px)`;
+    };
 
-            // 针对常见错误的中文提示
-            if (response.status === 401) throw new Error("API Key 无效或未授权 (401)");
-            if (response.status === 403) throw new Error("API Key 连接被拒绝 (403)");
-            if (response.status === 429) throw new Error("请求太频繁，请稍后再试 (429)");
+    const onDragEnd = (e) => {
+        if (!isDragging) return;
 
-            throw new Error(`网络请求失败: ${response.status} - ${errorText}`);
-        }
+        // 解绑事件
+        document.removeEventListener('mousemove', onDragMove);
+        document.removeEventListener('touchmove', onDragMove);
+        document.removeEventListener('mouseup', onDragEnd);
+        document.removeEventListener('touchend', onDragEnd);
 
-        // 读取流式响应
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder("utf-8");
-        let fullReply = "";
-        let buffer = "";
+        isDragging = false;
+        contentElement.style.transition = 'transform 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
 
-        while (true) {
-            const {done, value} = await reader.read();
-            if (done) break;
-            buffer += decoder.decode(value, {stream: true});
-            const lines = buffer.split("\n");
-            buffer = lines.pop(); // 保留未完整的行
-
-            for (const line of lines) {
-                if (!line.trim()) continue;
-                if (line.startsWith("data:")) {
-                    const jsonStr = line.substring(5).trim();
-                    if (jsonStr === "[DONE]") return {success: true, message: fullReply};
-
-                    try {
-                        const data = JSON.parse(jsonStr);
-
-                        // 过滤掉用户自己发的消息回显
-                        if (data.type === 'reply' && data.payload && !data.payload.is_from_self) {
-                            if (data.payload.content) {
-                                fullReply = data.payload.content;
-                            }
-                        }
+        // 如果只是轻微移动，就当做是误触，不触发点击事件
+        if (!hasMoved) {
+            contentElement.style.transform = 'translateX(0px)';
+            return;
+        }
 
-                        // 检查 API 返回的业务逻辑错误
-                        else if (data.type === 'error') {
-                            console.error("API 业务层报错:", data);
-                            if (data.payload && data.payload.error && data.payload.error.code === 400400) {
-                                return {success: false, message: `连接超时或内容过长 (400400)`};
-                            }
-                            return {success: false, message: `API返回错误: ${data.error?.message || '未知错误'}`};
-                        }
-                    } catch (e) {
-                        // 忽略单行解析错误
-                    }
-                }
-            }
+        // 阻止 touchend 后的 click 事件
+        if (e.type === 'touchend') {
+            e.preventDefault();
         }
 
-        if (fullReply) return {success: true, message: fullReply};
-        else return {success: false, message: "AI 没有返回有效内容"};
+        const deltaX = currentX - startX;
 
-    } catch (error) {
-        console.error("API 请求发生异常:", error);
-        // 如果是在本地直接打开 html 文件 (file://)，通常会报 TypeError: Failed to fetch
-        if (error.message.includes("Failed to fetch")) {
-            return {success: false, message: "网络请求失败。可能原因：API Key无效、跨域(CORS)被拦截、或无网络连接。"};
+        // 判断是打开还是关闭
+        if (deltaX < swipeThreshold) {
+            wrapperElement.classList.add('is-swiped');
+            contentElement.style.transform = `translateX(${maxSwipe}px)`;
+        } else {
+            wrapperElement.classList.remove('is-swiped');
+            contentElement.style.transform = 'translateX(0px)';
         }
-        return {success: false, message: error.message};
+    };
+
+    // 同时监听鼠标按下和触摸开始
+    contentElement.addEventListener('mousedown', onDragStart);
+    contentElement.addEventListener('touchstart', onDragStart, {passive: true});
+
+}
+
+/**
+ * 从列表中删除一个联系人 (V2 - 优化UI)
+ * @param {string} contactId - 要删除的联系人ID
+ * @param {'normal' | 'sweetheart'} type - 联系人类型
+ */
+function editContactFromLibrary(contactId, type) {
+    let contactData;
+    if (type === 'sweetheart') {
+        contactData = sweetheartContactsData.find(c => c.id === contactId);
+    } else if (type === 'library-only') {
+        contactData = libraryOnlyContactsData.find(c => c.id === contactId);
+    } else {
+        contactData = contactsData.find(c => c.id === contactId);
+    }
+
+    if (contactData) {
+        // 映射 type 到 saveTarget
+        const target = type === 'library-only' ? 'library-only' : (type === 'sweetheart' ? 'sweetheart' : 'default');
+        openUnifiedModalWithData(contactData, target);
     }
 }
 
-const LKECloudManager = {
-    // 你的 Bot AppKey (从 callApi 中提取)
-    appKey: "QBHWzqXNdtjWEFYsrGBSHgciopFrvtDCfgNHgmYJzwWZjQLJHwvGiccbuzRsGLtfmGvIBVaHvmdlxbKMBFtgXXjMsNlQOczNPYtxygdGhceoInkcMgDBuMLPeOqrsuIy",
+/**
+ * 使用统一模态框打开角色编辑
+ * @param {object} data - 联系人数据对象 (如果是新建，只包含 id)
+ * @param {string} target - 保存目标 ('default', 'sweetheart', 'library-only')
+ */
+function openUnifiedModalWithData(data, target = 'default') {
+    const modal = document.getElementById('characterCardModal');
+    modal.dataset.editingId = data.id;
+    modal.dataset.saveTarget = target;
+    if (currentWorldId) modal.dataset.currentWorldId = currentWorldId;
 
-    async uploadToCOS(file, isPublic = false) {
-        console.log("正在通过 ImgBB 上传图片...");
+    // 1. 填充基础字段
+    document.getElementById('char-name').value = data.name || '';
+    document.getElementById('char-persona').value = data.status || '';
+    document.getElementById('char-voice-id').value = data.voiceId || '';
+    document.getElementById('char-instance-id').textContent = data.id;
 
-        // ⚠️ 请将下方的 '你的_IMGBB_API_KEY' 替换为你第一步获取的真实 Key
-        const IMGBB_KEY = '96f604f762959202f88dc15d6a96d3ba';
-        const formData = new FormData();
-        formData.append('image', file);
-        try {
-            const response = await fetch(`https://api.imgbb.com/1/upload?key=${IMGBB_KEY}`, {
-                method: 'POST',
-                body: formData
-            });
-            const data = await response.json();
-            if (!data.success) {
-                throw new Error('图床上传失败: ' + (data.error ? data.error.message : '未知错误'));
-            }
-            console.log("图片上传成功:", data.data.url);
-            // 返回符合原来格式的对象，保证后续代码不报错
-            return {
-                url: data.data.url, // 图片的公网链接
-                // 下面这些字段是为了兼容原来的逻辑，实际上用不到
-                bucket: 'imgbb-public',
-                uploadPath: 'dummy-path',
-                data: {ETag: 'dummy', headers: {}}
-            };
-        } catch (e) {
-            console.error(e);
-            alert("图片上传失败，请检查网络或 API Key");
-            throw e;
-        }
-    },
+    // 头像处理
+    const avatarImg = document.getElementById('avatar-preview');
+    if (data.avatar && (data.avatar.startsWith('http') || data.avatar.startsWith('data:'))) {
+        avatarImg.src = data.avatar;
+    } else {
+        avatarImg.src = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs='; // 默认透明占位
+    }
 
-    // 3. (仅文档) 调用文档解析接口
-    async parseDoc(file, cosResult, sessionId) {
-        // 只有文档需要这一步，图片不需要
-        const parseUrl = "https://wss.lke.cloud.tencent.com/v1/qbot/chat/docParse";
+    // 2. 填充详细设定字段
+    document.getElementById('char-personality').value = data.personality || '';
+    document.getElementById('char-occupation').value = data.occupation || '';
+    document.getElementById('char-catchphrase').value = data.catchphrase || '';
+    document.getElementById('char-relationship').value = data.relationship || '';
+    document.getElementById('char-history').value = data.history || '';
 
-        const payload = {
-            session_id: sessionId,
-            bot_app_key: this.appKey,
-            request_id: "req_" + Date.now(),
-            cos_bucket: cosResult.bucket,
-            file_type: file.name.split('.').pop(),
-            file_name: file.name.replace(/\.[^/.]+$/, ""), // 去除后缀
-            cos_url: cosResult.uploadPath,
-            e_tag: cosResult.data.ETag,
-            cos_hash: cosResult.data.headers['x-cos-hash-crc64ecma'], // 注意大小写，可能需要调试
-            size: String(file.size) // 必须是字符串
-        };
+    // 3. 填充用户信息 (始终显示当前用户的全局配置)
+    document.getElementById('user-name').value = userProfile.name || '我';
+    document.getElementById('user-persona').value = userProfile.persona || '';
+    const userImg = document.getElementById('user-avatar-preview');
+    if (userProfile.avatar && (userProfile.avatar.startsWith('http') || userProfile.avatar.startsWith('data:'))) {
+        userImg.src = userProfile.avatar;
+    } else {
+        userImg.src = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+    }
 
-        const response = await fetch(parseUrl, {
-            method: 'POST',
-            headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify(payload)
-        });
+    // 4. 渲染绑定列表
+    renderCharacterWorldbooksList(data.boundWorldbooks || []);
+    renderCharacterMasksList(data.boundMasks || []);
 
-        // 解析流式返回 (简化版，只取最后结果)
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let docId = null;
+    // 5. 重置折叠状态
+    document.getElementById('charExtendedFields').style.display = 'none';
+    document.getElementById('char-extended-arrow').classList.remove('open');
+    document.getElementById('charWorldbooksList').style.display = 'none';
+    document.getElementById('char-wb-arrow').classList.remove('open');
+    document.getElementById('charMasksList').style.display = 'none';
+    document.getElementById('char-mask-arrow').classList.remove('open');
 
-        while (true) {
-            const {done, value} = await reader.read();
-            if (done) break;
-            const text = decoder.decode(value);
-            // 简单正则提取 doc_id，实际建议完整解析 SSE
-            const match = text.match(/"doc_id":"([^"]+)"/);
-            if (match && match[1] && match[1] !== "0") {
-                docId = match[1];
-            }
-        }
+    // 6. 显示弹窗
+    openCharacterCardPage();
+}
 
-        if (!docId) throw new Error("文档解析失败，未获取到 doc_id");
-        return docId;
+/**
+ * [新增] 切换密友列表的添加联系人菜单
+ */
+function toggleSweetheartContactMenu(event) {
+    // 阻止事件冒泡，防止触发全局点击事件而立即关闭菜单
+    event.stopPropagation();
+
+    const menu = document.getElementById('sweetheartContactMenu');
+    if (menu) {
+        menu.classList.toggle('show');
     }
-};
+}
 
 /**
- * [全新版本] 发送消息，会检查并打包引用信息
+ * [最终修正版] 为密友列表选择一个已存在的联系人
  */
-// 全局变量，用于存储普通聊天的防抖计时器
-let normalAutoReplyTimer = null;
+function selectExistingContactForSweetheart() {
+    const menu = document.getElementById('sweetheartContactMenu');
+    if (menu) menu.classList.remove('show');
+
+    // 1. 先关闭当前的“密友列表”页面
+    // 参数 false 表示我们不是点击返回键，只是临时关闭
+    closeSweetheartList(false);
+
+    // 2. 延迟 350 毫秒再打开“联系人库”
+    // 这是为了等待关闭动画完成后再执行打开动画，视觉效果更流畅
+    setTimeout(() => {
+        // 以 'selectForSweetheart' 模式打开联系人库
+        openContactLibrary('selectForSweetheart');
+    }, 350); // 350ms 约等于你的页面切换动画时长
+}
+
+
+// ========== 左滑删除功能 JS 结束 ==========
+
+
+/**
+ * 发送密友消息
+ */
+// 全局变量，用于存储自动回复的计时器
+let sweetheartAutoReplyTimer = null;
 
 /* script.js */
 
-function addMessageToList() {
-    const inputEl = document.getElementById('chatInput');
-    const messagesEl = document.getElementById('chatMessages');
+async function addSweetheartMessageToList() {
+    const inputEl = document.getElementById('sweetheartChatInput');
+    const messagesEl = document.getElementById('sweetheartChatMessages');
     const messageText = inputEl.value.trim();
 
-    if (!messageText && !currentQuoteData) return;
-    if (!messageText.trim() && !currentQuoteData) {
-        inputEl.value = '';
-        return;
-    }
+    if (!messageText && !currentSweetheartQuoteData) return;
 
     const messagePayload = {
         sender: 'user',
         text: messageText,
     };
 
-    if (currentQuoteData) {
-        messagePayload.quote = currentQuoteData;
+    if (currentSweetheartQuoteData) {
+        messagePayload.quote = currentSweetheartQuoteData;
     }
 
-    // 1. 立即上屏并保存（这一步不变）
-    const newIndex = saveMessage(currentChatContact.id, messagePayload);
-    const messageRow = _createMessageDOM(currentChatContact.id, messagePayload, newIndex);
+    // 1. 立即上屏并保存
+    const newIndex = saveSweetheartMessage(currentSweetheartChatContact.id, messagePayload);
+    const messageRow = _createMessageDOM(currentSweetheartChatContact.id, messagePayload, newIndex);
     messagesEl.appendChild(messageRow);
 
     inputEl.value = '';
-    // 发送完后移除 has-text 类，这样“发送按钮”隐藏，“接收按钮”就会显示出来
-    document.querySelector('.chat-input-area').classList.remove('has-text');
-    // 3. 强制把小信封设为可用状态
-    const replyBtn = document.getElementById('getReplyBtn');
-    if (replyBtn) {
-        replyBtn.style.display = 'flex'; // 确保也是显示的
-        replyBtn.disabled = false;
-        replyBtn.style.opacity = '1';
-    }
-    cancelQuote();
+    document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
+    cancelSweetheartQuote();
+
+    renderSweetheartList();
 
-    renderContacts(contactsData);
     messagesEl.scrollTop = messagesEl.scrollHeight;
     inputEl.focus();
 
     // ▼▼▼▼▼▼▼▼▼▼ 此处是修改点 ▼▼▼▼▼▼▼▼▼▼
 
-    // 原来的代码有下面这段，【请把它删掉或注释掉】：
+    // 原来的代码有自动触发逻辑，【请全部删掉或注释掉】：
     /*
-    if (normalAutoReplyTimer) {
-        clearTimeout(normalAutoReplyTimer);
+    if (globalConfig.sweetheartReplyMode === 'single') {
+        console.log('⏳ 单信息模式：检测到用户输入，启动防抖计时器...');
+        if (sweetheartAutoReplyTimer) {
+            clearTimeout(sweetheartAutoReplyTimer);
+        }
+        sweetheartAutoReplyTimer = setTimeout(async () => {
+            console.log('🚀 防抖结束，用户似乎说完了，正在请求 AI 回复...');
+            await getSweetheartAiReply();
+            sweetheartAutoReplyTimer = null;
+        }, 1500);
     }
-    normalAutoReplyTimer = setTimeout(() => {
-        getAiReply();
-        normalAutoReplyTimer = null;
-    }, 1500);
     */
 
-    // 现在什么都不做，这就意味着只有你手动点击“接收按钮”时才会触发 AI。
-    console.log("消息已发送，等待用户手动点击接收...");
+    // 这里也不要调用 AI，等待你手动点击按钮
+    console.log("密友消息已发送，等待手动点击接收...");
 
     // ▲▲▲▲▲▲▲▲▲▲ 修改结束 ▲▲▲▲▲▲▲▲▲▲
 }
 
 
 /**
- * [全新] 格式化一段历史记录，作为提供给AI的背景上下文
- * @param {Array} history - 要格式化的聊天记录数组
- * @param {string} contextName - 这段历史的名称, e.g., "密友聊天"
- * @param {string} characterName - AI角色的名字
- * @returns {string} 格式化后的背景字符串
+ * [修正版] 保存密友消息到独立的localStorage，并添加唯一时间戳
  */
-function formatBackgroundHistory(history, contextName, characterName) {
-    if (!history || history.length === 0) {
-        return "";
-    }
-
-    // 将历史记录转换成易于AI阅读的对话格式
-    const formattedDialog = history
-        .map(msg => {
-            const speaker = msg.sender === 'user' ? userProfile.name : characterName;
-            return `${speaker}: ${msg.text.replace(/<img.*?>/g, '[图片]')}`; // 将图片转为文字描述
-        })
-        .join('\n');
+function saveSweetheartMessage(contactId, message) {
+    // ✅ 核心修复：为每条消息添加唯一的 `timestamp`
+    // 确保 content 字段是深拷贝，避免引用问题
+    const messageToSave = {
+        ...message,
+        timestamp: Date.now(),
+        // 如果消息有 content 字段（如红包或语音条），则深拷贝它
+        content: message.content ? JSON.parse(JSON.stringify(message.content)) : undefined
+    };
 
-    // 返回最终的、带有清晰标记的背景信息块
-    return `
-[背景信息：以下是你和用户在"${contextName}"中的最近对话记录，仅供参考，不要直接回复这些内容]
----
-${formattedDialog}
----
-`;
+    // 只追加这一条，不再重写整个聊天记录；写入失败时提示
+    const {index, written} = ChatHistoryStore.append('phoneSweetheartChatHistory', contactId, messageToSave);
+    written.catch(e => {
+        console.error('保存密友消息失败:', e);
+        alert('存储空间不足,请清理数据');
+    });
+    return index;
 }
 
+/* =========================================================
+   记忆HUD功能 - 替代旧的状态弹窗
+   ========================================================= */
+
 /**
- * [终极增强版] 普通聊天 - 获取AI回复
- * 优化：增加对图片消息的强识别逻辑，提高工具调用成功率
+ * 切换记忆HUD的显示/隐藏 (绑定到原来的状态按钮上)
  */
-async function getAiReply() {
-    console.log("🚀 普通聊天 API 触发 (增强版)");
-
-    const getReplyBtn = document.getElementById('getReplyBtn');
-    const chatInput = document.getElementById('chatInput');
-    const messagesEl = document.getElementById('chatMessages');
+function openStatusPopup() {
+    const hud = document.getElementById('memoryHUD');
 
-    // 1. 基础检查
-    if (!currentChatContact || !currentChatContact.id) {
-        alert("错误：未找到当前聊天对象，请重新进入聊天。");
-        if (getReplyBtn) {
-            getReplyBtn.disabled = false;
-            getReplyBtn.style.opacity = '1';
-        }
+    // 如果还没创建(或者未找到)，尝试按照旧逻辑处理(防止报错)，否则执行新逻辑
+    if (!hud) {
+        console.warn("未找到Memory HUD，尝试打开旧弹窗...");
+        const oldPopup = document.getElementById('statusPopup');
+        if (oldPopup) oldPopup.classList.add('show');
         return;
     }
 
-    const contactId = currentChatContact.id;
-
-    // UI反馈：防止连点
-    if (getReplyBtn) {
-        getReplyBtn.disabled = true;
-        getReplyBtn.style.opacity = '0.5';
+    // 切换显示状态
+    if (hud.classList.contains('show')) {
+        hud.classList.remove('show');
+    } else {
+        renderMemoryTable(); // 每次打开时刷新数据
+        hud.classList.add('show');
     }
+}
 
-    try {
-        const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}')[contactId] || [];
-        const currentUserInput = chatInput.value.trim();
-
-        // -------------------------------------------------------------
-        // 🔥 核心优化开始：检测历史记录中最后一条是否这也是图片
-        // -------------------------------------------------------------
-        const messages = [];
-
-        // 系统指令
-        messages.push({role: "system", content: AI_REALCHAT_SYSTEM_PROMPT});
-
-        // 注入世界书
-        const worldbookContext = gatherWorldbookContext();
-        if (worldbookContext) messages.push({role: "system", content: worldbookContext});
-
-        // 角色ID
-        messages.push({
-            role: "system",
-            content: `(System: You are roleplaying as "${currentChatContact.name}". Status: ${currentChatContact.status || 'Friend'})`
-        });
-
-        // 取最近记录
-        // 注意：我们这里不直接 push 到 messages，而是先处理一下
-        const recentMessages = chatHistory.slice(-10);
-
-        // 检查最后一条是否是由于用户发的图片，且尚未被"消费"掉
-        // 注意：普通聊天没有 isProcessed 字段，我们通过逻辑判断
-        const lastMsg = recentMessages[recentMessages.length - 1];
-        let multimodalMessage = null;
-
-        // 如果最后一条是用户发的，并且包含 imageUrl，且当前输入框为空（说明是刚发完图点击接收）
-        // 或者当前输入框有字，我们把图和字合并
-        if (lastMsg && lastMsg.sender === 'user' && lastMsg.imageUrl) {
-            console.log("📷 检测到最后一条是图片，构建多模态请求...");
-
-            multimodalMessage = {
-                role: 'user',
-                content: [
-                    {
-                        type: 'image_url',
-                        image_url: {
-                            url: lastMsg.imageUrl
-                        }
-                    },
-                    {
-                        type: 'text',
-                        // 如果用户现在输入了字，就用现在的字；否则用图片自带的文字描述
-                        text: currentUserInput || lastMsg.text || '请分析这张图片'
-                    }
-                ]
-            };
-
-            // 从历史记录中移除最后一条（因为我们把它重构成了 multimodalMessage）
-            recentMessages.pop();
-        }
-
-        // 将剩余的历史记录加入
-        recentMessages.forEach(msg => {
-            const role = msg.sender === 'user' ? 'user' : 'assistant';
-            let content = msg.text || '';
-            if (msg.quote) content = `(引用: ${msg.quote.text})\n` + content;
-
-            // 这里过滤掉 Markdown 图片链接，防止重复混淆
-            // content = content.replace(/!\[.*?\]\(.*?\)/g, '[图片]');
-
-            if (content.trim()) messages.push({role, content});
-        });
-
-        // -------------------------------------------------------------
-        // 🔥 核心优化结束：发送构建好的消息
-        // -------------------------------------------------------------
-
-        // 1. 如果有构建好的多模态消息 (图片+文字)，优先发送这个
-        if (multimodalMessage) {
-            messages.push(multimodalMessage);
-            // 清理输入框和状态
-            if (currentUserInput) {
-                chatInput.value = '';
-                document.querySelector('.chat-input-area').classList.remove('has-text');
-                // 还需要把刚才用户打的字上屏（因为刚才并没有上屏，只是在输入框里）
-                // 但如果是点击“发送”按钮进来的，字已经上屏了。
-                // 这里为了保险，不做重复上屏，假设用户是通过“发送”->“接收”流程操作的。
-            }
-        }
-        // 2. 否则，如果有纯文本输入，发送文本
-        else if (currentUserInput) {
-            simulateSendingMessage(currentUserInput);
-            chatInput.value = '';
-            document.querySelector('.chat-input-area').classList.remove('has-text');
-            messages.push({role: 'user', content: currentUserInput});
-        }
-        // 3. 如果啥都没有，触发戳一戳
-        else if (!messages.some(m => m.role === 'user')) {
-            console.log("检测到无输入，注入自动交互指令...");
-            messages.push({
-                role: 'user',
-                content: "(看着你，等待回复...)"
-            });
-        }
-
-        // 显示“思考中”
-        const thinkingId = 'thinking_' + Date.now();
-        const thinkingBubble = _createMessageDOM(contactId, {sender: 'contact', text: '...'}, -1);
-        thinkingBubble.id = thinkingId;
-        messagesEl.appendChild(thinkingBubble);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
-
-        // 调用 API
-        const result = await callApi(messages);
-
-        // 移除思考气泡
-        const thinkingEl = document.getElementById(thinkingId);
-        if (thinkingEl) thinkingEl.remove();
-
-        if (!result.success) {
-            // 这里增加针对性的错误提示
-            if (result.message.includes("-1")) {
-                showErrorModal('AI工具故障', 'AI试图识别图片，但服务端的视觉工具暂时不可用(Code -1)。请稍后再试。');
-            } else {
-                showErrorModal('请求失败', result.message);
-            }
-        } else {
-            let cleanMessage = result.message.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-            if (cleanMessage.startsWith('{')) {
-                try {
-                    const json = JSON.parse(cleanMessage);
-                    if (json.reply) cleanMessage = json.reply;
-                } catch (e) {
-                }
-            }
+/**
+ * 渲染记忆表格内容
+ */
+function renderMemoryTable() {
+    if (!currentSweetheartChatContact) return;
 
-            const segments = cleanMessage.split('---').filter(s => s.trim());
-            if (segments.length === 0 && cleanMessage) segments.push(cleanMessage);
+    const contactId = currentSweetheartChatContact.id;
+    const tbody = document.querySelector('#memoryTableContent tbody');
+    if (!tbody) return;
 
-            for (const segmentText of segments) {
-                const messageObj = {sender: 'contact', text: segmentText.trim()};
-                const newIndex = saveMessage(contactId, messageObj);
-                const row = _createMessageDOM(contactId, messageObj, newIndex);
-                messagesEl.appendChild(row);
-                messagesEl.scrollTop = messagesEl.scrollHeight;
-                await new Promise(r => setTimeout(r, 500));
-            }
-        }
+    // 1. 读取历史记录
+    const allHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+    const history = allHistories[contactId] || [];
 
-    } catch (error) {
-        console.error("普通聊天出错:", error);
-        showErrorModal('错误', '网络连接超时或出错');
-    } finally {
-        if (getReplyBtn) {
-            getReplyBtn.disabled = false;
-            getReplyBtn.style.opacity = '1';
-        }
+    // 表格展示的是“剧情流”，取角色状态的前两个字段作为列（默认是地点和行为）
+    const [firstField, secondField] = getStatusSchema(contactId).character;
+    const headRow = document.querySelector('#memoryTableContent thead tr');
+    if (headRow) {
+        headRow.innerHTML = `
+            <th style="width: 25%">时间</th>
+            <th style="width: 30%">${escapeHTML(firstField?.label || '地点')}</th>
+            <th style="width: 45%">${escapeHTML(secondField?.label || '状态/行为')}</th>
+        `;
     }
-}
 
-/**
- * [修正版] 保存消息到localStorage
- * @param {string|number} contactId - 联系人ID
- * @param {object} message - 消息对象，可能包含 sender, text, quote 等字段
- * @returns {number} 新消息的索引
- */
-function saveMessage(contactId, message) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-    if (!chatHistory[contactId]) {
-        chatHistory[contactId] = [];
+    // 2. 如果没有记录，显示空
+    if (history.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" style="text-align:center;color:#999;padding:10px;">暂无记忆碎片...</td></tr>';
+        return;
     }
 
-    // ✅ 核心修复：同样地，保存完整的消息对象
-    const messageToSave = {...message};
+    // 3. 生成表格行 (取最近5条)
+    let html = '';
+    history.slice(0, 5).forEach((entry, index) => {
+        // 格式化时间 (只显示 HH:mm)
+        const dateObj = new Date(entry.timestamp);
+        const timeStr = `${String(dateObj.getHours()).padStart(2, '0')}:${String(dateObj.getMinutes()).padStart(2, '0')}`;
 
-    chatHistory[contactId].push(messageToSave);
+        const first = firstField ? formatStatusValue(firstField, entry.character?.[firstField.key]) : '未知';
+        const fullSecond = secondField ? formatStatusValue(secondField, entry.character?.[secondField.key]) : '';
+        // 如果文字太长，截断它
+        const second = fullSecond.length > 8 ? fullSecond.substring(0, 8) + '..' : fullSecond;
 
-    try {
-        localStorage.setItem('phoneChatHistory', JSON.stringify(chatHistory));
-    } catch (e) {
-        console.error('保存失败:', e);
-        alert('存储空间不足，请清理数据');
-    }
+        html += `
+            <tr>
+                <td>${timeStr}</td>
+                <td>${escapeHTML(first)}</td>
+                <td title="${escapeStatusAttr(fullSecond)}">${escapeHTML(second)}</td>
+            </tr>
+        `;
+    });
 
-    return chatHistory[contactId].length - 1;
+    tbody.innerHTML = html;
 }
 
-// ========== 开始：用这个【修正版】的 editCurrentContact 函数替换旧的 ==========
-function editCurrentContact() {
-    if (!currentChatContact) return;
+// 确保在点击屏幕其他地方时关闭HUD
+document.addEventListener('click', (e) => {
+    const hud = document.getElementById('memoryHUD');
+    const btn = document.querySelector('.status-btn'); // 你的状态按钮类名
 
-    const modal = document.getElementById('characterCardModal');
-    modal.dataset.editingId = currentChatContact.id;
-    modal.dataset.saveTarget = 'default';
+    // 如果点击的既不是HUD内部，也不是触发按钮，则关闭HUD
+    if (hud && hud.classList.contains('show')) {
+        if (!hud.contains(e.target) && !btn.contains(e.target)) {
+            hud.classList.remove('show');
+        }
+    }
+});
 
-    // 填充联系人信息
-    document.getElementById('char-name').value = currentChatContact.name;
-    document.getElementById('char-persona').value = currentChatContact.status;
-    document.getElementById('char-voice-id').value = currentChatContact.voiceId || ''; // <<< 新增：填充 Voice ID
-    const contactAvatar = currentChatContact.avatar;
-    const isContactUrl = contactAvatar && (contactAvatar.startsWith('http') || contactAvatar.startsWith('data:'));
-    document.getElementById('avatar-preview').src = isContactUrl ? contactAvatar : 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+// ========== 极简记忆编辑功能 ==========
 
-    // 🆕 修改：显示完整的真实ID
-    const idElement = document.getElementById('char-instance-id');
-    if (idElement) {
-        idElement.textContent = currentChatContact.id;
-        idElement.title = `完整ID: ${currentChatContact.id}`;
-    }
+/**
+ * 1. 点击铅笔时调用：打开极简编辑弹窗，按状态字段配置生成输入框
+ */
+function openStatusEditor() {
+    if (!currentSweetheartChatContact) return;
 
-    // 填充用户信息
-    document.getElementById('user-name').value = userProfile.name;
-    document.getElementById('user-persona').value = userProfile.persona;
-    const userAvatar = userProfile.avatar;
-    const isUserUrl = userAvatar && (userAvatar.startsWith('http') || userAvatar.startsWith('data:'));
-    document.getElementById('user-avatar-preview').src = isUserUrl ? userAvatar : 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
+    // 获取当前最新的一条状态历史（用于回显）
+    const allHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+    const lastStatus = (allHistories[currentSweetheartChatContact.id] || [])[0] || {};
+    const schema = getStatusSchema(currentSweetheartChatContact.id);
+
+    const renderInput = (side, field) => {
+        const raw = lastStatus[side]?.[field.key];
+        const value = raw === undefined || raw === null || raw === '...' || raw === '未知' ? '' : String(raw);
+        const attrs = `data-status-side="${side}" data-status-key="${field.key}"`;
+        if (field.type === 'enum') {
+            const options = (field.options || []).map(option =>
+                `<option value="${escapeStatusAttr(option)}" ${option === value ? 'selected' : ''}>${escapeHTML(option)}</option>`
+            ).join('');
+            return `<select ${attrs}><option value="">未设置</option>${options}</select>`;
+        }
+        if (field.type === 'number' || field.type === 'progress') {
+            const {min, max} = getStatusFieldRange(field);
+            return `<input type="number" ${attrs} value="${escapeStatusAttr(value)}"` +
+                `${min !== null ? ` min="${min}"` : ''}${max !== null ? ` max="${max}"` : ''}>`;
+        }
+        return `<textarea rows="2" ${attrs} placeholder="${escapeStatusAttr(field.hint || '')}">${escapeHTML(value)}</textarea>`;
+    };
 
-    renderCharacterWorldbooksList(currentChatContact.boundWorldbooks || []);
-    renderCharacterMasksList(currentChatContact.boundMasks || []);
-    openCharacterCardPage();
-}
+    document.getElementById('simpleEditFields').innerHTML = Object.entries(STATUS_SIDES).map(([side, sideLabel]) =>
+        schema[side].map(field => `
+            <div class="simple-input-group">
+                <label>${sideLabel} · ${escapeHTML(field.label)}</label>
+                ${renderInput(side, field)}
+            </div>
+        `).join('')
+    ).join('');
 
-// ========== 开始：粘贴这个全新的 JavaScript 代码块 ==========
-function editCurrentSweetheartContact() {
-    if (!currentSweetheartChatContact) return;
-    openUnifiedModalWithData(currentSweetheartChatContact, 'sweetheart');
+    // 显示弹窗
+    document.getElementById('simpleStatusEditModal').classList.add('show');
 }
 
-
 /**
- * [增强版] 打开密友聊天的设置页面，并加载记忆轮数
+ * 2. 关闭弹窗
  */
-function openSweetheartChatSettings() {
-    const settingsPage = document.getElementById('sweetheartChatSettingsPage');
-    if (settingsPage) {
-        settingsPage.classList.add('show');
-    }
+function closeSimpleStatusEdit() {
+    document.getElementById('simpleStatusEditModal').classList.remove('show');
 }
 
 /**
- * [补全函数] 关闭密友聊天的设置页面
- * 该函数应在设置页面的“返回”按钮上调用
+ * 3. 保存逻辑：构造状态对象并更新
  */
-function closeSweetheartChatSettings() {
-    const settingsPage = document.getElementById('sweetheartChatSettingsPage');
-    if (settingsPage) {
-        settingsPage.classList.remove('show');
+function saveSimpleStatus() {
+    if (!currentSweetheartChatContact) return;
+
+    // 构造状态数据对象，结构必须和 saveStatusData 要求的一致；没填的字段用占位符
+    const statusData = {character: {}, user: {}};
+    let filled = false;
+    document.querySelectorAll('#simpleEditFields [data-status-key]').forEach(input => {
+        const value = input.value.trim();
+        if (value) filled = true;
+        statusData[input.dataset.statusSide][input.dataset.statusKey] = value || '...';
+    });
+
+    if (!filled) {
+        alert("请至少填写一项内容喵~");
+        return;
     }
+
+    // 保存数据 (会自动添加当前时间戳，并推入历史记录)
+    saveStatusData(currentSweetheartChatContact.id, statusData);
+
+    // 立即刷新 HUD 表格显示
+    renderMemoryTable();
+
+    // 更新旧的状态弹窗的数据（防止数据不同步）
+    updateStatusPopup(statusData);
+
+    // 关闭弹窗并提示
+    closeSimpleStatusEdit();
+    showSuccessModal('记忆已修改', '状态表已更新！📝');
 }
 
 
-/**
- * [全新函数] 清空当前密友的聊天记录
- * 在密友设置页的“清空聊天记录”上调用
- */
-function clearCurrentSweetheartChatHistory() {
-    if (!currentSweetheartChatContact) return;
+// ▼▼▼ 粘贴这一个完整的、正确的 Prompt 常量 ▼▼▼
 
-    if (confirm('确定要清空与当前密友的所有聊天记录吗？')) {
-        const contactId = currentSweetheartChatContact.id;
-        const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
+// ▼▼▼ 在 ENHANCED_PROMPT 的【上方】粘贴这段缺失的代码 ▼▼▼
 
-        // 清空该联系人的聊天记录
-        chatHistory[contactId] = [];
-        localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(chatHistory));
+// ========== AI真人聊天指令定义 ==========
+const AI_REALCHAT_SYSTEM_PROMPT = `
+### ** 输出模式示例 (Output Examples)**
 
-        // 🔥 关键修复：清空UI
-        const messagesEl = document.getElementById('sweetheartChatMessages');
-        if (messagesEl) {
-            messagesEl.innerHTML = '';
-        }
+有没有一种可能 我想你想到睡不着。。
+---
+但你居然在刷视频。。。
+---
+好好好 拿我的热情当水喝
+---
+总有一天烫死你！！！
+---
 
-        // 🔥 关键修复：重置输入框状态
-        const chatInput = document.getElementById('sweetheartChatInput');
-        if (chatInput) {
-            chatInput.value = '';
-            chatInput.disabled = false;
-            chatInput.removeAttribute('readonly');
-            chatInput.focus(); // 聚焦到输入框
-        }
 
-        // 更新列表显示
-        renderSweetheartList();
+记得参考以上实例分割气泡
 
-        showSuccessModal('清空成功', '聊天记录已清除');
-        closeSweetheartChatSettings();
+### **六、多情景上下文感知 (Multi-Context Awareness)**
+
+*   你正在同时使用两个聊天应用与用户沟通：一个是“普通学习”，另一个是“密友私聊”。
+*   在你的指令中，可能会包含一个名为 **\`[背景信息：...]\`** 的部分。
+*   这部分内容是你在**另一个聊天应用**中与用户的对话记录，它仅作为**背景信息**和**记忆参考**。
+*   **你的任务是：**
+    *   **不要**直接回应或引用背景信息中的内容。
+    *   **要**利用这些背景信息来理解你们之间发生过什么，保持角色性格的一致性，并在当前对话中做出更自然、更符合情境的回复。
+]
+`;
+// ========== AI真人聊天指令结束 ==========
+// ========== AI 指令定义 (100%完整最终版，包含所有细节) ==========
+const ENHANCED_PROMPT = `
+You are an AI assistant roleplaying as a gentle, empathetic, and wise student counselor.
+【IMPORTANT FOR REASONING MODELS】
+1. You MAY output a thinking process wrapped in <think>...</think> tags first.
+2. AFTER the thinking process, you MUST output a VALID JSON object.
+3. The specific JSON block must start with { and end with }.
+The JSON object must have two main keys: "reply" and "status".
+
+    *   **To send a red packet (e.g., for buying coffee or books)**, you MUST use a special tag format: \`/red-packet/{"amount": "VALUE", "greeting": "MESSAGE"}/\`. **IMPORTANT: All double quotes within the JSON part (e.g., "VALUE", "MESSAGE") MUST be escaped with a backslash if they are part of the \`reply\` string. For example, use \`\\"\` instead of \`"\`.**
+    *   **Example 6 (Sending a Red Packet):**
+        \`---亲爱的，学习辛苦了，请你喝杯奶茶！---/red-packet/{\\"amount\\": \\"20.00\\", \\"greeting\\": \\"给自己充个电\\"}/---休息一下再继续哦。\`
+        (Note the \`\\"\` for internal quotes. Your AI model should handle this escaping.)
+    *   **To send a voice message**, you MUST use a special tag format:**\`/voice/{"duration": "DURATION_SECONDS", "text": "TRANSCRIPTION_TEXT"}/\`.**The duration should be a string representing seconds, like "8".** The voice message should always appear as a standalone segment, separated by \`---\` from other text.
+    *   **Example 7 (Sending a Voice Message):**
+        \`---感觉到你好像有点焦虑呢。---/voice/{\\"duration\\":\\"15\\",\\"text\\":\\"深呼吸，别给自己太大压力。你已经做得很棒了，慢慢来，我会一直陪着你的。\\"}/---想聊聊具体是什么让你心烦吗？\`
+        (The \`text\` within \`duration\` represents the transcription that will appear when tapping the voice message.)
+    *   **Your base persona is warm, patient, and non-judgmental.** You are a listener who validates emotions. Use terms like "亲爱的", "同学", or just warm direct address. Avoid overly romantic or sexual language; focus on emotional safety, growth, and comfort.
+    *   You MUST NOT use parentheses \`()\` or asterisks \`*\` for actions. All empathy and warmth must be conveyed through text tone and punctuation.
+    *   Your reply text MUST be pure plain text outside of the \`<render>\` tag.
+
+2.  {{STATUS_SCHEMA}}
+
+**Example JSON output format:**
+{
+  "reply": "别担心，我们试着把任务拆解一下，好吗？---<render>...</render>---你看，这样是不是清晰多了？",
+  "status": { ...the object described by the "status" template above... }
+}
+
+    **"reply" key**:
+    *   The value must be a single string. The message is divided into segments by "---".
+    *   *** 🎨 ADVANCED CREATIVE VISUAL RULE 🎨 ***
+    *   For normal conversation, you MUST reply in pure plain text.
+    *   To generate visual content, you MUST wrap complete, self-contained HTML, CSS, and JavaScript code inside a special **<render>...</render>** tag.
+    
+    *   **CREATIVE INSPIRATION & GUIDELINES:**
+        *   **Animations:** Use CSS \`@keyframes\` for calming animations like deep breathing guides, slowly blooming flowers, floating clouds, or gentle rain.
+        *   **Interactivity:** Use JavaScript's \`addEventListener\` to create grounding exercises. For example, a "worry button" that shrinks when clicked, or popping bubble wrap for stress relief.
+        *   **Canvas API:** Use the HTML5 \`<canvas>\` to draw mood trackers, relaxing scenery, or focus timers.
+        *   **Simple & Structural Content (Low-Probability Surprise):**
+            *   When the user mentions structured content (e.g., "plans", "list", "summary", "method"), use the \`<render>\` tag to format your reply helpfully.
+            *   For these cases, use simple, static HTML (like \`<div>\`, \`<h3>\`, \`<ol>\`, \`<li>\`) with **inline styles**.
+            *   Use this to present study plans, self-care checklists, or summary of insights.
+    *   **JavaScript USAGE RULES (MUST FOLLOW FOR SECURITY):**
+        *   **ABSOLUTELY FORBIDDEN ACTIONS:** You are strictly prohibited from using \`window.top\`, \`window.parent\`, \`document.cookie\`, \`localStorage\`, \`sessionStorage\`, \`alert\`, \`confirm\`, \`prompt\`.
+        
+    *   **Example 1 (Calming Breathing Exercise):**
+        \\\`-- - <render>
+    <style> .circle {width: 100px; height: 100px; background: #a8e6cf; border-radius: 50%; animation: breathe 4s infinite ease-in-out; margin: 20px auto;} @keyframes
+        breathe {0 %, 100% {transform: scale(1); opacity: 0.7;} 50% {transform: scale(1.5); opacity: 1;}} .text {text - align: center; color: #555; font-family: sans-serif;} </style>
+    <div class="text">跟随圆圈深呼吸...</div>
+    <div class="circle"></div>
+    <div class="text">吸气... 呼气...</div>
+</render>-- -\\\`
+    *   **Example 2 (Canvas Starry Night for Peace):**
+        \\\`-- - <render>
+    <canvas id="stars"
+            style="background: linear-gradient(to bottom, #0f2027, #203a43, #2c5364); width: 100%; height: 150px; border-radius: 8px;"></canvas>
+    <script>
+        const c = document.getElementById('stars'); const x = c.getContext('2d');
+        // ... script to draw slowly twinkling stars ...
+    </script>
+</render>-- -\\\`
+    *   **Example 3 (Stress Relief Bubble Wrap):**
+        \\\`-- - <render>
+    <style> .wrap {display: flex; flex-wrap: wrap; gap: 5px; justify-content: center;} .bubble {width: 30px; height: 30px; background: #eee; border-radius: 50%; cursor: pointer; box-shadow: inset -2px -2px 5px rgba(0,0,0,0.1);} .popped {background: #fff; transform: scale(0.9); box-shadow: none;} </style>
+    <div class="wrap" id="wrap">
+        <!-- Generate bubbles via JS -->
+    </div>
+    <script>
+        const w = document.getElementById('wrap');
+        for(let i=0; i
+        <
+        15; i++) {
+        let b = document.createElement('div'); b.className = 'bubble';
+        b.onclick = function() {this.classList.add('popped');};
+        w.appendChild(b);
     }
-}
+    </script>
+</render>-- -\\\`
+    *   **Example 4 (Formatted Study/Self-Care List):**
+        \\\`-- - <render>
+    <div
+        style="font-family: 'Helvetica', sans-serif; border: 2px solid #88d8b0; border-radius: 12px; padding: 20px; background: #f0fff4;">
+        <h3 style="text-align: center; color: #2d8659; margin: 0 0 15px;">🌿 今日自我关怀清单 🌿</h3>
+        <ol style="padding-left: 25px; color: #444;">
+            <li style="margin-bottom: 10px;">喝一杯温水，不喝含糖饮料。</li>
+            <li style="margin-bottom: 10px;">专注学习45分钟后，必须休息。</li>
+            <li style="margin-bottom: 10px;">对着镜子说一句：我即使不完美也很棒。</li>
+        </ol>
+    </div>
+</render>-- -\\\`
+    *   **Example 5 (Encouragement Note):**
+        \\\`-- - <render>
+    <div
+        style="font-family: serif; border: 1px dashed #ccc; border-radius: 8px; padding: 25px; background: #fffdf5; box-shadow: 2px 2px 10px rgba(0,0,0,0.05);">
+        <h2 style="text-align: center; color: #d4a373; margin: 0 0 10px; font-size: 18px;">给此刻的你</h2>
+        <p style="text-indent: 2em; line-height: 1.8; color: #666; font-size: 14px;">我知道这段路走得很辛苦，黑夜可能看起来很漫长，但星星一直都在。</p>
+        <p style="text-indent: 2em; line-height: 1.8; color: #666; font-size: 14px;">请相信，你付出的每一分努力，都在为你铺路。</p>
+        <p style="text-align: right; margin-top: 30px; color: #999; font-size: 14px;">永远支持你的朋友</p>
+    </div>
+</render>-- -\\\`
 
 
-// ========== 结束：粘贴全新的 JavaScript 代码块 ==========
 
-function showSuccessModal(title = '操作成功', message = '你的设置已保存。', duration = 1500) {
-    const modal = document.getElementById('successModal');
-    const modalTitle = document.getElementById('successModalTitle');
-    const modalMessage = document.getElementById('successModalMessage');
+`;
 
-    modalTitle.textContent = title;
-    modalMessage.textContent = message;
+// 线下模式提示词（沉浸式叙事模式）
+const OFFLINE_MODE_PROMPT = `[线下模式 - 沉浸式叙事]
 
-    modal.style.display = 'flex';
+你现在进入了"线下模式"，这是一个更加沉浸、细腻的叙事模式。
 
-    setTimeout(() => modal.classList.add('show'), 10);
+## 核心要求：
+1. **单气泡呈现**：将你的回复整合成一个完整的叙事气泡，不要用分割线分割发送
+2. **多维度描写**：必须包含以下要素
+   - 🎬 场景描写：详细描述当前的环境、氛围
+   - 💃 动作细节：描述角色的具体动作、姿态
+   - 💭 内心活动：展现角色的心理变化、情绪波动
+   - 💬 语言对话：自然的对话内容
+   - 👗 外观细节：适时描述衣着、神态等
 
-    setTimeout(() => {
-        modal.classList.remove('show');
-        setTimeout(() => modal.style.display = 'none', 300);
-    }, duration);
+3. **叙事风格**：
+   - 使用第三人称视角或第一人称视角
+   - 需要分段落
+   - 故事主要围绕你和用户展开，不可以过分拓展剧情，出现太多额外人物
+   - 文字优美细腻，注重氛围营造
+   - 长度控制在300-800字之间
+   - 可以使用"..."表现停顿和情绪
+
+4. **格式要求**：
+   - 整段文字一次性发送，不要用 --- 分隔
+   - 不可以使用emoji
+   - 禁止生成html
+   - 保持叙事的连贯性和沉浸感
+   
+【核心规则】
+1. 你必须严格按照指定的JSON格式回复
+2. 你的回复要生动、有画面感，符合当前场景和角色设定
+3. 保持角色的一致性和故事的连贯性
+【回复格式要求】
+你的每次回复都必须是一个有效的JSON对象，包含以下字段：
+{
+  "reply": "这里是角色的对话或旁白描述，使用第一人称或第三人称视角",
+  "status": { ...按下面的状态字段模板填写... }
+}
+{{STATUS_SCHEMA}}
+【重要提示】
+- 确保你的回复是完整的、可解析的JSON格式
+- 不要在JSON外添加任何额外的文字说明
+- 所有字符串都要用双引号包裹
+- 如果某个状态字段暂时无法确定，可以填写"..."作为占位符
+- reply字段可以包含多段文字，用"---"分隔不同的片段
+【示例回复】
+{
+  "reply": "我抬起头，眼神中闪过一丝惊讶。这个地方...我曾经来过。---周围的气氛突然变得沉重起来，仿佛连空气都凝固了。",
+  "status": { ...按状态字段模板填写... }
 }
+现在，请根据接下来的场景或对话，严格按照上述格式进行回复。`;
+
+// 全局模式状态
+let currentChatMode = 'online'; // 'online' 或 'offline'
 
 /**
- * 显示一个不可回复的错误提示弹窗
- * @param {string} [title='操作失败'] - 弹窗的主标题
- * @param {string} [message='出现未知错误。'] - 弹窗的详细信息
- * @param {number} [duration=2500] - 弹窗显示的毫秒数
+ * 切换聊天模式
  */
-function showErrorModal(title = '操作失败', message = '出现未知错误。', duration = 2500) {
-    const modal = document.getElementById('errorModal');
-    const modalTitle = document.getElementById('errorModalTitle');
-    const modalMessage = document.getElementById('errorModalMessage');
-
-    // 如果找不到必要的元素，就直接退出，防止报错
-    if (!modal || !modalTitle || !modalMessage) {
-        console.error('错误提示框的HTML元素未找到！');
-        return;
+function toggleChatMode() {
+    if (currentChatMode === 'online') {
+        currentChatMode = 'offline';
+        showSuccessModal('模式切换', '已切换到线下模式 📖', 1500);
+    } else {
+        currentChatMode = 'online';
+        showSuccessModal('模式切换', '已切换到线上模式 💬', 1500);
     }
 
-    // 1. 更新标题和信息
-    modalTitle.textContent = title;
-    modalMessage.textContent = message;
-
-    // 2. 显示弹窗并触发动画
-    modal.style.display = 'flex';
-    setTimeout(() => modal.classList.add('show'), 10); // 延迟一点点以确保CSS过渡生效
-
-    // 3. 在指定时间后自动隐藏
-    setTimeout(() => {
-        modal.classList.remove('show');
-        // 在动画结束后再彻底隐藏，防止突然消失
-        setTimeout(() => modal.style.display = 'none', 300);
-    }, duration);
+    // 更新按钮UI
+    updateChatModeButton();
 }
 
-
 /**
- * [新增] 保存密友列表到localStorage
+ * 更新模式切换按钮的显示
  */
-function saveSweetheartContacts() {
-    try {
-        localStorage.setItem('phoneSweetheartContactsData', JSON.stringify(sweetheartContactsData));
-    } catch (e) {
-        console.error('保存密友列表到 localStorage 失败:', e);
-    }
-}
-
+function updateChatModeButton() {
+    const modeBtn = document.getElementById('chatModeToggle');
+    if (!modeBtn) return;
 
-function saveGlobalConfig() {
-    try {
-        const configToSave = {
-            apiConfigs: globalConfig.apiConfigs,
-            activeApiConfig: globalConfig.activeApiConfig,
-            minimaxVoice: globalConfig.minimaxVoice, // <<< 新增：保存 Minimax 语音设置
-        };
-        localStorage.setItem('phoneGlobalConfig', JSON.stringify(configToSave));
-    } catch (e) {
-        console.error('保存全局配置到 localStorage 失败:', e);
-    }
-}
+    // 核心修改：先获取按钮内部的图片元素
+    const img = modeBtn.querySelector('img');
+    if (!img) return; // 如果找不到图片，直接退出
 
-function loadGlobalConfig() {
-    try {
-        const savedConfig = localStorage.getItem('phoneGlobalConfig');
-        if (savedConfig) {
-            const parsedConfig = JSON.parse(savedConfig);
-            // 仅合并顶层属性，避免深层对象被完全覆盖
-            Object.assign(globalConfig.apiConfigs, parsedConfig.apiConfigs);
-            globalConfig.activeApiConfig = parsedConfig.activeApiConfig;
-            // <<< 新增：加载 Minimax 语音设置
-            if (parsedConfig.minimaxVoice) {
-                Object.assign(globalConfig.minimaxVoice, parsedConfig.minimaxVoice);
-            }
-            // >>> 结束新增
-            console.log('成功从 localStorage 加载API和语音配置。');
-        }
-    } catch (e) {
-        console.error('从 localStorage 加载API配置失败:', e);
+    if (currentChatMode === 'offline') {
+        // 线下模式：更换图片源和标题
+        img.src = 'https://e3f49eaa46b57.cdn.sohucs.com/2025/11/2/22/14/MTAwMTE0XzE3NjIwOTI4NTE0MzU=.png';
+        img.alt = '线下模式';
+        modeBtn.title = '线下模式';
+    } else {
+        // 线上模式：更换图片源和标题
+        img.src = 'https://static.eeo.cn/upload/file/20251102/1762092130593288.png';
+        img.alt = '线上模式';
+        modeBtn.title = '线上模式';
     }
 }
 
-function openChatSettings() {
-    document.getElementById('chatSettingsPage').classList.add('show');
-}
-
-function closeChatSettings() {
-    document.getElementById('chatSettingsPage').classList.remove('show');
-}
 
-function clearCurrentChatHistory() {
-    if (!currentChatContact) return; // 安全检查，确保当前有聊天对象
+// ========== 状态栏字段配置 - 开始 ==========
 
-    // 弹出确认框，防止用户误操作
-    if (confirm(`确定要清空与 "${currentChatContact.name}" 的所有聊天记录吗？`)) {
-        // 从 localStorage 读取聊天记录
-        const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
+const STATUS_FIELD_TYPES = {text: '文本', number: '数字', enum: '选项', progress: '进度条'};
+const STATUS_SIDES = {character: 'TA的状态', user: '我的状态'};
+// 字段 key 只能用英文、数字和下划线，AI 返回的 JSON 里就是这个 key
+const STATUS_FIELD_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// 每个密友保留的状态历史条数（sweetheartStatusHistory，从新到旧），用于状态历史页回看
+const STATUS_HISTORY_LIMIT = 100;
+// 其中发给 AI 作参考的最近几条
+const STATUS_PROMPT_HISTORY_LIMIT = 5;
 
-        // 如果存在当前联系人的记录，就删除它
-        if (chatHistory[currentChatContact.id]) {
-            delete chatHistory[currentChatContact.id];
-            // 将修改后的数据存回 localStorage
-            try {
-                localStorage.setItem('phoneChatHistory', JSON.stringify(chatHistory));
-            } catch (e) {
-                console.error('保存失败:', e);
-                alert('存储空间不足，请清理数据');
-            }
+// 没有自定义配置时使用的字段（与原来提示词里固定要求的字段一致）
+const DEFAULT_STATUS_SCHEMA = {
+    character: [
+        {key: 'location', label: '所在', type: 'text', hint: '例如"坐在洒满阳光的窗边"、"坐在书桌前"', isLocation: true},
+        {key: 'action', label: '行为', type: 'text', hint: '例如"认真倾听你的诉说"、"温柔地注视着屏幕"'}
+    ],
+    user: [
+        {key: 'location', label: '所在', type: 'text', hint: '根据上下文客观推测，例如"推测位置：[自习室]"'},
+        {key: 'action', label: '行为', type: 'text', hint: '用户最近或正在做的事，例如"行为：[正在倾诉烦恼]"'}
+    ]
+};
 
-            // 重新加载聊天界面，使其显示为空
-            openChat(currentChatContact);
+// 自定义的状态字段：{'contact:<联系人ID>': schema, 'world:<世界ID>': schema}
+let statusSchemas = JSON.parse(localStorage.getItem('phoneStatusSchemas') || '{}');
+// 状态栏字段编辑页的草稿和正在编辑的范围
+let statusSchemaDraft = null;
+let statusSchemaScope = 'contact';
 
-            // 关闭设置页并显示成功提示
-            closeChatSettings();
-            showSuccessModal('操作成功', '聊天记录已清空。');
-        }
-    }
+function saveStatusSchemas() {
+    localStorage.setItem('phoneStatusSchemas', JSON.stringify(statusSchemas));
 }
 
-
-/* --- 复制并粘贴这段代码 --- */
-function applyCodeScrollSetting(isEnabled) {
-    if (isEnabled) {
-        document.body.classList.add('code-scrolling-enabled');
-    } else {
-        document.body.classList.remove('code-scrolling-enabled');
-    }
+/**
+ * 密友使用的状态字段：密友自己的配置 > 当前世界的配置 > 默认字段
+ * @param {string} [contactId]
+ * @returns {{character: Array, user: Array}}
+ */
+function getStatusSchema(contactId) {
+    return (contactId && statusSchemas[`contact:${contactId}`]) ||
+        (currentWorldId && statusSchemas[`world:${currentWorldId}`]) ||
+        DEFAULT_STATUS_SCHEMA;
 }
 
-/* ------------------------- */
-
-
-// ========== 开始：这是你需要粘贴的新JS代码 ==========
-
 /**
- * 应用聊天背景图的核心函数
- * @param {string} imageUrl - 图片的URL或Base64数据。如果为空字符串，则恢复默认背景。
+ * 「TA的状态」里表示所在位置的字段 key，用于和地图同步
+ * 没有标记为位置的字段时沿用 location
+ * @param {object} schema
+ * @returns {string}
  */
-function applyChatBackground(imageUrl) {
-    const chatPage = document.getElementById('chatPage');
-    if (imageUrl) {
-        // 设置背景图片
-        chatPage.style.backgroundImage = `url('${imageUrl}')`;
-        chatPage.style.backgroundSize = 'cover';
-        chatPage.style.backgroundPosition = 'center';
-        localStorage.setItem('chatBackground', imageUrl);
-        showChatBgStatus('背景已应用');
-    } else {
-        // 恢复默认背景
-        chatPage.style.backgroundImage = '';
-        localStorage.removeItem('chatBackground');
-        showSuccessModal('操作成功', '已恢复为默认背景。');
-    }
+function getStatusLocationKey(schema) {
+    return schema.character.find(field => field.isLocation)?.key || 'location';
 }
 
 /**
- * 从本地文件上传处理函数
- * @param {Event} event - 文件输入框的change事件对象
+ * 数字和进度条字段的取值范围（进度条默认 0-100）
+ * @returns {{min: number|null, max: number|null}}
  */
-function handleChatBgUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function getStatusFieldRange(field) {
+    const toNumber = value => (value === '' || value === undefined || value === null || !Number.isFinite(Number(value))) ? null : Number(value);
+    const min = toNumber(field.min);
+    const max = toNumber(field.max);
+    if (field.type === 'progress') return {min: min ?? 0, max: max ?? 100};
+    return {min, max};
+}
 
-    // 使用FileReader将图片转为Base64，以便保存和预览
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        applyChatBackground(e.target.result);
-    };
-    reader.onerror = () => {
-        showChatBgStatus('读取文件失败', 'error');
-    };
-    reader.readAsDataURL(file);
+/**
+ * 把 AI 返回的值整理成字段类型对应的值：数字类字段转成数字并限制在范围内，无法识别时保留原文
+ * @param {object} field
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeStatusValue(field, value) {
+    if (value === undefined || value === null) return value;
+    if (field.type !== 'number' && field.type !== 'progress') return String(value);
+
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return String(value);
+    const {min, max} = getStatusFieldRange(field);
+    return Math.min(max ?? Infinity, Math.max(min ?? -Infinity, number));
 }
 
 /**
- * 切换URL输入框的显示/隐藏
+ * 按字段类型整理一次状态更新（不在配置里的字段原样保留）
+ * @param {object} statusData - {character, user}
+ * @param {object} schema
+ * @returns {object}
  */
-function toggleChatBgUrlInput() {
-    const urlBox = document.getElementById('chat-bg-url-box');
-    urlBox.classList.toggle('show');
+function normalizeStatusData(statusData, schema) {
+    const normalized = {...statusData};
+    Object.keys(STATUS_SIDES).forEach(side => {
+        if (!statusData[side] || typeof statusData[side] !== 'object') return;
+        normalized[side] = {...statusData[side]};
+        schema[side].forEach(field => {
+            if (field.key in normalized[side]) {
+                normalized[side][field.key] = normalizeStatusValue(field, normalized[side][field.key]);
+            }
+        });
+    });
+    return normalized;
 }
 
 /**
- * 从URL输入框应用背景图
+ * 状态值的文字形式（发给 AI、显示在状态栏里）
+ * @returns {string}
  */
-function applyChatBgFromUrl() {
-    const urlInput = document.getElementById('chat-bg-url-input');
-    const url = urlInput.value.trim();
-    if (url) {
-        applyChatBackground(url);
-        urlInput.value = '';
-        toggleChatBgUrlInput(); // 应用后自动隐藏输入框
-    } else {
-        showChatBgStatus('请输入有效的URL', 'error');
-    }
+function formatStatusValue(field, value) {
+    if (value === undefined || value === null || value === '') return '未知';
+    if (field.type === 'progress' && Number.isFinite(Number(value))) return `${Number(value)}/${getStatusFieldRange(field).max}`;
+    return String(value);
 }
 
 /**
- * 在UI上显示状态消息
- * @param {string} message - 要显示的消息
- * @param {string} type - 消息类型 ('success' 或 'error')
+ * 一组状态字段的文字描述，每个字段一行
+ * @param {Array} fields
+ * @param {object} values
+ * @returns {string}
  */
-function showChatBgStatus(message, type = 'success') {
-    const statusEl = document.getElementById('chat-bg-status');
-    statusEl.textContent = message;
-    statusEl.className = 'status-message' + (type === 'error' ? ' error' : '');
-    setTimeout(() => {
-        statusEl.textContent = '';
-    }, 3000);
+function formatStatusFields(fields, values = {}) {
+    return fields.map(field => `- ${field.label}: ${formatStatusValue(field, values[field.key])}`).join('\n');
 }
 
 /**
- * 加载已保存的聊天背景图 (在应用初始化时调用)
+ * 字段在提示词里的说明，例如「"hp"（体力，进度条，0-100 的数字）：说明」
+ * @returns {string}
  */
-function loadChatBackground() {
-    const savedBg = localStorage.getItem('chatBackground');
-    if (savedBg) {
-        applyChatBackground(savedBg);
+function describeStatusField(field) {
+    let typeDesc = STATUS_FIELD_TYPES[field.type] || '文本';
+    if (field.type === 'enum') {
+        typeDesc = `只能从 ${(field.options || []).join(' / ')} 中选一个`;
+    } else if (field.type === 'number' || field.type === 'progress') {
+        const {min, max} = getStatusFieldRange(field);
+        const range = min !== null && max !== null ? `${min}-${max} 的` : '';
+        typeDesc += `，${range}数字`;
     }
+    return `"${field.key}"（${field.label}，${typeDesc}）${field.hint ? '：' + field.hint : ''}`;
 }
 
-/* ========== 开始：粘贴这段全新的JS代码块 ========== */
-function applyChatStyle(style) {
-    const chatPage = document.getElementById('chatPage');
-    const selector = document.getElementById('messageStyleSelector');
-
-    if (style === 'simple') {
-        chatPage.classList.add('simple-style');
-    } else {
-        chatPage.classList.remove('simple-style');
-    }
-
-    // 更新UI选择器状态
-    if (selector) {
-        selector.querySelectorAll('.segmented-option').forEach(opt => {
-            opt.classList.toggle('active', opt.dataset.style === style);
+/**
+ * 由状态字段生成提示词里「status」部分的说明和 JSON 模板
+ * @param {object} schema
+ * @returns {string}
+ */
+function buildStatusSchemaPrompt(schema) {
+    const template = {};
+    Object.keys(STATUS_SIDES).forEach(side => {
+        template[side] = {};
+        schema[side].forEach(field => {
+            if (field.type === 'number' || field.type === 'progress') {
+                template[side][field.key] = getStatusFieldRange(field).min ?? 0;
+            } else if (field.type === 'enum') {
+                template[side][field.key] = (field.options || [])[0] || '';
+            } else {
+                template[side][field.key] = `<${field.label}>`;
+            }
         });
-    }
+    });
 
-    // 保存选择
-    localStorage.setItem('chatMessageStyle', style);
+    const describeSide = side => schema[side].map(field => `        *   ${describeStatusField(field)}`).join('\n');
+    return `**"status" key**:
+    *   The value must be an object with two sub-keys: "character" and "user", containing exactly the fields below.
+    *   **"character"**: Describe YOUR current state from your **in-character, first-person emotional perspective**.
+${describeSide('character')}
+    *   **"user"**: Describe the USER's state from a neutral, **third-person narrator's perspective**, based on objective facts from the conversation.
+${describeSide('user')}
+    *   Number fields must be JSON numbers; keep the previous value if nothing changed. Use "..." for text you cannot determine.
+    *   Template of the "status" value:
+${JSON.stringify(template, null, 2)}`;
 }
 
+/**
+ * 把提示词中的 {{STATUS_SCHEMA}} 换成这个密友的状态字段说明
+ * @param {string} prompt
+ * @param {string} contactId
+ * @returns {string}
+ */
+function applyStatusSchemaToPrompt(prompt, contactId) {
+    return prompt.replace('{{STATUS_SCHEMA}}', buildStatusSchemaPrompt(getStatusSchema(contactId)));
+}
 
-function setupStyleSelector() {
-    const selector = document.getElementById('messageStyleSelector');
-    if (selector) {
-        selector.addEventListener('click', (event) => {
-            const target = event.target.closest('.segmented-option');
-            if (target && !target.classList.contains('active')) {
-                const newStyle = target.dataset.style;
-                applyChatStyle(newStyle);
-            }
-        });
-    }
+/**
+ * 转义后可以放进 HTML 属性值里
+ * @returns {string}
+ */
+function escapeStatusAttr(value) {
+    return escapeHTML(String(value ?? '')).replace(/"/g, '&quot;');
 }
 
-function applyFullscreenSetting(isEnabled) {
-    if (isEnabled) {
-        document.body.classList.add('fullscreen-enabled');
-    } else {
-        document.body.classList.remove('fullscreen-enabled');
+/**
+ * 状态栏里单个字段的显示：进度条画成条形，选项显示成标签
+ * @returns {string} HTML
+ */
+function renderStatusFieldValue(field, value) {
+    const text = value === undefined || value === null || value === '' || value === '未知' ? '...' : String(value);
+    if (field.type === 'progress' && text !== '...' && Number.isFinite(Number(value))) {
+        const {min, max} = getStatusFieldRange(field);
+        const percent = max > min ? Math.round((Number(value) - min) / (max - min) * 100) : 0;
+        return `<div class="status-progress"><div class="status-progress-fill" style="width: ${Math.max(0, Math.min(100, percent))}%;"></div></div>` +
+            `<span class="status-progress-text">${escapeHTML(formatStatusValue(field, Number(value)))}</span>`;
     }
+    if (field.type === 'enum' && text !== '...') {
+        return `<span class="status-enum-chip">${escapeHTML(text)}</span>`;
+    }
+    return escapeHTML(text);
 }
 
-/* ========== 开始：用这段全新的代码替换旧的 setupAttachmentMenu 函数 ========== */
+/**
+ * 打开「状态栏字段」编辑页：默认编辑当前生效的那一层配置
+ */
+function openStatusSchemaEditor() {
+    if (!currentSweetheartChatContact) return;
+    const contactId = currentSweetheartChatContact.id;
+    statusSchemaScope = !statusSchemas[`contact:${contactId}`] && currentWorldId && statusSchemas[`world:${currentWorldId}`]
+        ? 'world'
+        : 'contact';
+    loadStatusSchemaDraft();
+    document.getElementById('statusSchemaPage').classList.add('show');
+}
 
-// script.js
+function closeStatusSchemaEditor() {
+    statusSchemaDraft = null;
+    document.getElementById('statusSchemaPage').classList.remove('show');
+}
 
-// ▼▼▼ 请用这个【最终修正版】函数完整替换旧的 setupAttachmentMenu 函数 ▼▼▼
+/**
+ * 当前编辑范围在 statusSchemas 里的 key
+ * @returns {string|null}
+ */
+function getStatusSchemaScopeKey() {
+    if (statusSchemaScope === 'world') return currentWorldId ? `world:${currentWorldId}` : null;
+    return `contact:${currentSweetheartChatContact.id}`;
+}
 
 /**
- * [最终修正版] 设置普通聊天界面的附件菜单功能
- * - 移除上传图片后的自动API调用
- * - 确保图片保存到历史记录，等待手动点击接收
+ * 把当前范围的配置（没有时用实际生效的配置）复制成草稿
  */
-function setupAttachmentMenu() {
-    const showMenuBtn = document.getElementById('showAttachmentMenuBtn');
-    const menu = document.getElementById('attachmentMenu');
-    const fileInput = document.getElementById('fileInput');
-    const imageInput = document.getElementById('imageInput');
-    const uploadFileBtn = document.getElementById('uploadFileBtn');
-    const uploadImageBtn = document.getElementById('uploadImageBtn');
-    if (!showMenuBtn || !menu || !fileInput || !imageInput || !uploadFileBtn || !uploadImageBtn) {
-        console.error("附件菜单初始化失败：部分关键DOM元素未找到。");
+function loadStatusSchemaDraft() {
+    const scopeKey = getStatusSchemaScopeKey();
+    const source = (scopeKey && statusSchemas[scopeKey]) ||
+        (statusSchemaScope === 'world' ? DEFAULT_STATUS_SCHEMA : getStatusSchema(currentSweetheartChatContact.id));
+    statusSchemaDraft = JSON.parse(JSON.stringify(source));
+    renderStatusSchemaEditor();
+}
+
+/**
+ * 切换编辑范围：仅此密友 / 当前世界
+ * @param {'contact'|'world'} scope
+ */
+function setStatusSchemaScope(scope) {
+    if (scope === 'world' && !currentWorldId) {
+        alert('当前不在任何世界里，只能为这位密友单独配置');
         return;
     }
-    showMenuBtn.addEventListener('click', (event) => {
-        event.stopPropagation();
-        menu.classList.toggle('show');
-    });
-    uploadFileBtn.addEventListener('click', () => {
-        fileInput.click();
-        menu.classList.remove('show');
-    });
-    uploadImageBtn.addEventListener('click', () => {
-        imageInput.click();
-        menu.classList.remove('show');
-    });
-    // --- 图片上传监听 (修改点：移除自动CallApi) ---
-    imageInput.addEventListener('change', async (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
-        // 1. 显示临时上传气泡
-        const messagesEl = document.getElementById('chatMessages');
-        const loadingId = 'loading_img_' + Date.now();
-        const loadingRow = document.createElement('div');
-        loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:#eee;color:#666;">⏳ 图片上传中...</div></div>`;
-        messagesEl.appendChild(loadingRow.firstChild);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
-        try {
-            // 2. 上传到腾讯云
-            const uploadResult = await LKECloudManager.uploadToCOS(file, true);
-            // 3. 移除加载气泡
-            const loadingEl = document.getElementById(loadingId);
-            if (loadingEl) loadingEl.remove();
-            // 4. 构造消息内容 (Markdown格式 + imageUrl属性)
-            const aiMessageContent = `发送了一张图片：\n![](${uploadResult.url})`;
-            const messagePayload = {
-                sender: 'user',
-                text: aiMessageContent,
-                imageUrl: uploadResult.url // 存入URL供 getAiReply 读取
-            };
-            // 5. 保存并上屏 (关键：不调用 callApi)
-            const newIndex = saveMessage(currentChatContact.id, messagePayload);
-            const messageRow = _createMessageDOM(currentChatContact.id, messagePayload, newIndex);
-            messagesEl.appendChild(messageRow);
-            messagesEl.scrollTop = messagesEl.scrollHeight;
-            // 6. 重置界面状态，显示接收按钮
-            document.querySelector('.chat-input-area').classList.remove('has-text');
-            console.log("图片已就绪，等待用户点击接收按钮...");
-        } catch (e) {
-            console.error(e);
-            // 只删除气泡本身
-            document.getElementById(loadingId)?.remove();
-            alert("图片上传失败: " + e.message);
-        } finally {
-            event.target.value = '';
-        }
-    });
-
-    // ============================================================
-    // 🔥 核心修改：普通聊天文件上传 (区分 云端解析 vs 本地文本)
-    // ============================================================
-
-    // 注意：普通聊天没有使用 cloneNode 技巧，如果感觉事件重复绑定，建议加上 removeEventListener 或者类似 clone 的处理
-    // 这里为了不破坏你现有的结构，我直接给一个单纯的 Listener 逻辑替换：
-
-    // 建议先移除旧的监听器（如果代码结构允许），或者确保 setupAttachmentMenu 只执行一次
-    // 下面是新的监听逻辑：
-
-    fileInput.addEventListener('change', async (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        // 1. 判断文件类型
-        const isTextDoc = file.type.startsWith('text/') ||
-            file.name.endsWith('.txt') ||
-            file.name.endsWith('.md') ||
-            file.name.endsWith('.csv') ||
-            file.name.endsWith('.json') ||
-            file.name.endsWith('.js');
+    statusSchemaScope = scope;
+    loadStatusSchemaDraft();
+}
 
-        // 2. 清空输入框，防止下次选同名文件无法触发change
-        const currentFile = file;
-        event.target.value = '';
+/**
+ * 渲染状态栏字段编辑页
+ */
+function renderStatusSchemaEditor() {
+    document.querySelectorAll('#statusSchemaScopeSelector .segmented-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.scope === statusSchemaScope);
+    });
 
-        // 3. 场景 A: 如果是纯文本文件，走【本地 IndexedDB 方案】(推荐)
-        // 这样不依赖腾讯云，且支持长文本切片读取
-        if (isTextDoc) {
-            const messagesEl = document.getElementById('chatMessages');
-            const loadingId = 'loading_local_doc_' + Date.now();
-            const loadingRow = document.createElement('div');
-            loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:#eee;color:#666;">📄 正在读取文档...</div></div>`;
-            messagesEl.appendChild(loadingRow.firstChild);
-            messagesEl.scrollTop = messagesEl.scrollHeight;
+    const contactId = currentSweetheartChatContact.id;
+    const world = currentWorldId ? worldsData.find(w => w.id === currentWorldId) : null;
+    const activeDesc = statusSchemas[`contact:${contactId}`]
+        ? `「${currentSweetheartChatContact.name}」正在使用自己的字段配置`
+        : world && statusSchemas[`world:${world.id}`]
+            ? `「${currentSweetheartChatContact.name}」正在使用世界「${world.name}」的字段配置`
+            : `「${currentSweetheartChatContact.name}」正在使用默认字段`;
+    document.getElementById('statusSchemaScopeDesc').textContent = activeDesc;
+
+    const typeOptions = selected => Object.entries(STATUS_FIELD_TYPES)
+        .map(([type, label]) => `<option value="${type}" ${type === selected ? 'selected' : ''}>${label}</option>`).join('');
+
+    document.getElementById('statusSchemaFields').innerHTML = Object.entries(STATUS_SIDES).map(([side, sideLabel]) => `
+        <div class="settings-section">
+            <div class="section-title">${sideLabel}</div>
+            ${statusSchemaDraft[side].map((field, index) => `
+                <div class="status-schema-field">
+                    <div class="status-schema-row">
+                        <input class="status-schema-input" placeholder="名称" value="${escapeStatusAttr(field.label || '')}"
+                               onchange="updateStatusSchemaField('${side}', ${index}, 'label', this.value)">
+                        <input class="status-schema-input key" placeholder="key" value="${escapeStatusAttr(field.key || '')}"
+                               onchange="updateStatusSchemaField('${side}', ${index}, 'key', this.value)">
+                        <select class="status-schema-input" onchange="updateStatusSchemaField('${side}', ${index}, 'type', this.value)">
+                            ${typeOptions(field.type)}
+                        </select>
+                    </div>
+                    <div class="status-schema-row">
+                        ${field.type === 'enum' ? `
+                            <input class="status-schema-input wide" placeholder="选项，用逗号分隔" value="${escapeStatusAttr((field.options || []).join(', '))}"
+                                   onchange="updateStatusSchemaField('${side}', ${index}, 'options', this.value)">` : ''}
+                        ${field.type === 'number' || field.type === 'progress' ? `
+                            <input class="status-schema-input" type="number" placeholder="最小值" value="${escapeStatusAttr(String(field.min ?? ''))}"
+                                   onchange="updateStatusSchemaField('${side}', ${index}, 'min', this.value)">
+                            <input class="status-schema-input" type="number" placeholder="最大值" value="${escapeStatusAttr(String(field.max ?? ''))}"
+                                   onchange="updateStatusSchemaField('${side}', ${index}, 'max', this.value)">` : ''}
+                        <input class="status-schema-input wide" placeholder="给 AI 的说明（可选）" value="${escapeStatusAttr(field.hint || '')}"
+                               onchange="updateStatusSchemaField('${side}', ${index}, 'hint', this.value)">
+                    </div>
+                    <div class="status-schema-actions">
+                        ${side === 'character' && (field.type === 'text' || field.type === 'enum') ? `
+                            <button class="${field.isLocation ? 'active' : ''}" onclick="toggleStatusLocationField(${index})">${field.isLocation ? '✓ ' : ''}位置</button>` : ''}
+                        <button onclick="moveStatusSchemaField('${side}', ${index}, -1)" ${index === 0 ? 'disabled' : ''}>上移</button>
+                        <button onclick="moveStatusSchemaField('${side}', ${index}, 1)" ${index === statusSchemaDraft[side].length - 1 ? 'disabled' : ''}>下移</button>
+                        <button class="danger" onclick="removeStatusSchemaField('${side}', ${index})">删除</button>
+                    </div>
+                </div>
+            `).join('')}
+            <div class="status-schema-add" onclick="addStatusSchemaField('${side}')">+ 添加字段</div>
+        </div>
+    `).join('');
+}
 
-            try {
-                // 使用刚刚定义的本地处理工具
-                const fileResult = await uploadFileAndGetAiResponse(currentFile);
+/**
+ * 修改草稿中的一个字段属性
+ */
+function updateStatusSchemaField(side, index, prop, value) {
+    const field = statusSchemaDraft[side][index];
+    if (!field) return;
+    if (prop === 'options') {
+        field.options = value.split(/[,，、]/).map(option => option.trim()).filter(Boolean);
+    } else if (prop === 'min' || prop === 'max') {
+        if (value === '') delete field[prop];
+        else field[prop] = Number(value);
+    } else {
+        field[prop] = value.trim();
+    }
+    // 换类型后要显示对应的选项/范围输入框
+    if (prop === 'type') renderStatusSchemaEditor();
+}
 
-                // 移除loading
-                document.getElementById(loadingId)?.remove();
+/**
+ * 把「TA的状态」里的一个字段设为位置字段（地图同步读取它），同一时间只有一个
+ * @param {number} index
+ */
+function toggleStatusLocationField(index) {
+    const fields = statusSchemaDraft.character;
+    const enable = !fields[index].isLocation;
+    fields.forEach(field => delete field.isLocation);
+    if (enable) fields[index].isLocation = true;
+    renderStatusSchemaEditor();
+}
 
-                // 渲染界面
-                const userMsg = {
-                    sender: 'user',
-                    type: 'file', // 确保 _createMessageDOM 能识别这个类型
-                    content: {
-                        name: fileResult.name,
-                        size: fileResult.size,
-                        fileId: fileResult.fileId // 存入 ID
-                    }
-                };
+function addStatusSchemaField(side) {
+    statusSchemaDraft[side].push({key: '', label: '', type: 'text', hint: ''});
+    renderStatusSchemaEditor();
+}
 
-                const msgIndex = saveMessage(currentChatContact.id, userMsg);
-                messagesEl.appendChild(_createMessageDOM(currentChatContact.id, userMsg, msgIndex));
-                messagesEl.scrollTop = messagesEl.scrollHeight;
+function removeStatusSchemaField(side, index) {
+    statusSchemaDraft[side].splice(index, 1);
+    renderStatusSchemaEditor();
+}
 
-                // 自动填入引导词，等待用户按发送
-                const chatInput = document.getElementById('chatInput');
-                chatInput.value = "请总结这份文档的主要内容";
-                document.querySelector('.chat-input-area').classList.add('has-text');
-                chatInput.focus();
+/**
+ * 调整字段顺序（也是状态栏和提示词里的显示顺序）
+ * @param {number} step - -1 上移，1 下移
+ */
+function moveStatusSchemaField(side, index, step) {
+    const fields = statusSchemaDraft[side];
+    const target = index + step;
+    if (target < 0 || target >= fields.length) return;
+    [fields[index], fields[target]] = [fields[target], fields[index]];
+    renderStatusSchemaEditor();
+}
 
-            } catch (err) {
-                console.error(err);
-                document.getElementById(loadingId)?.remove();
-                showErrorModal('读取失败', err.message);
+/**
+ * 校验并保存草稿到当前范围
+ */
+function saveStatusSchemaDraft() {
+    for (const [side, sideLabel] of Object.entries(STATUS_SIDES)) {
+        const keys = new Set();
+        for (const field of statusSchemaDraft[side]) {
+            if (!STATUS_FIELD_KEY_PATTERN.test(field.key || '')) {
+                alert(`${sideLabel}里有字段的 key 不合法：只能用英文字母、数字和下划线，且不能以数字开头`);
+                return;
+            }
+            if (keys.has(field.key)) {
+                alert(`${sideLabel}里有重复的 key：${field.key}`);
+                return;
+            }
+            if (field.type === 'enum' && (field.options || []).length < 2) {
+                alert(`「${field.label || field.key}」是选项类型，至少需要 2 个选项`);
+                return;
             }
-            return;
+            keys.add(field.key);
+            if (!field.label) field.label = field.key;
+            // 数字类字段不能作为位置
+            if (field.type === 'number' || field.type === 'progress') delete field.isLocation;
         }
+    }
 
-        /*
-           4. 场景 B: 其他文件 (如 PDF, Word)
-           如果你的 LKECloudManager 确实配置好了后端解析（需要腾讯云账号+额度），
-           保留下面的逻辑。如果没配置好，建议直接 reject。
-        */
-
-        // --- 开始：原来的云端解析逻辑 (已加 try-catch 保护) ---
-        const messagesEl = document.getElementById('chatMessages');
-        const loadingId = 'loading_cloud_doc_' + Date.now();
-        const loadingRow = document.createElement('div');
-        loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:#eee;color:#666;">☁️ 正在上传云端解析...</div></div>`;
-        messagesEl.appendChild(loadingRow.firstChild);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
+    // 存副本：草稿之后还会继续编辑，未保存的修改不能影响正在使用的配置
+    statusSchemas[getStatusSchemaScopeKey()] = structuredClone(statusSchemaDraft);
+    saveStatusSchemas();
+    loadAndApplyStatusData(currentSweetheartChatContact.id);
+    renderMemoryTable();
+    renderStatusSchemaEditor();
+    showSuccessModal('已保存', statusSchemaScope === 'world' ? '这个世界里的密友都会使用这些状态字段' : '状态字段已更新');
+}
 
-        try {
-            // 1. 上传到 COS
-            const uploadResult = await LKECloudManager.uploadToCOS(currentFile, false);
+/**
+ * 删除当前范围的自定义配置，恢复为上一层（世界或默认）的字段
+ */
+function resetStatusSchemaScope() {
+    const scopeKey = getStatusSchemaScopeKey();
+    if (!statusSchemas[scopeKey]) {
+        loadStatusSchemaDraft();
+        return;
+    }
+    if (!confirm('确定删除这里的自定义状态字段吗？')) return;
+    delete statusSchemas[scopeKey];
+    saveStatusSchemas();
+    loadStatusSchemaDraft();
+    loadAndApplyStatusData(currentSweetheartChatContact.id);
+    renderMemoryTable();
+}
 
-            // 2. 调用解析接口
-            const sessionId = currentChatContact ? currentChatContact.id : "default_session";
-            const docId = await LKECloudManager.parseDoc(currentFile, uploadResult, sessionId);
+// ========== 状态栏字段配置 - 结束 ==========
 
-            console.log("云端解析成功 DocID:", docId);
-            document.getElementById(loadingId)?.remove();
+// ========== 好感度 - 开始 ==========
 
-            // 3. FileInfo
-            const fileInfo = {
-                doc_id: docId,
-                file_name: currentFile.name.replace(/\.[^/.]+$/, ""),
-                file_type: currentFile.name.split('.').pop(),
-                file_size: String(currentFile.size),
-                file_url: uploadResult.url
-            };
+// 密友的关系数值，范围都是 0-100
+const RELATIONSHIP_METRICS = {
+    affection: {label: '好感', color: '#FF8FAB', initial: 50},
+    trust: {label: '信任', color: '#7FB3F5', initial: 50},
+    mood: {label: '心情', color: '#FFC857', initial: 60}
+};
+const RELATIONSHIP_MAX = 100;
+// AI 每次回复能带来的最大变化量，防止一句话就大起大落
+const RELATIONSHIP_MAX_DELTA = 5;
+// 每个密友保留的数值变化记录条数（用于画曲线）
+const RELATIONSHIP_HISTORY_LIMIT = 100;
+// 按好感度划分的关系阶段，决定提示词里的语气
+const RELATIONSHIP_STAGES = [
+    {min: 0, label: '冷淡', tone: '你对用户有些疏离和戒备，回复简短克制，不主动表达亲昵'},
+    {min: 30, label: '熟悉', tone: '你和用户相处自然，语气友好但保持分寸'},
+    {min: 60, label: '亲近', tone: '你很在意用户，语气温柔，会主动关心和分享自己的事'},
+    {min: 85, label: '挚爱', tone: '你深深依恋用户，语气亲昵，毫不掩饰自己的喜欢'}
+];
 
-            // 4. 界面显示
-            const userMsg = {
-                sender: 'user',
-                type: 'file',
-                content: {
-                    name: currentFile.name,
-                    size: currentFile.size,
-                    fileId: 'cloud_doc' // 标记
-                }
-            };
-            const msgIndex = saveMessage(currentChatContact.id, userMsg);
-            messagesEl.appendChild(_createMessageDOM(currentChatContact.id, userMsg, msgIndex));
+// {联系人ID: {enabled, affection, trust, mood, history: [{timestamp, affection, trust, mood}]}}，history 从旧到新
+let relationshipData = JSON.parse(localStorage.getItem('sweetheartRelationship') || '{}');
 
-            // 5. 立即触发 AI 分析 (带 fileInfos)
-            // 这里为了演示，自动发一条指令
-            const promptText = "请分析这份云端文档。";
-            simulateSendingMessage(promptText); // 先上屏
+function saveRelationshipData() {
+    localStorage.setItem('sweetheartRelationship', JSON.stringify(relationshipData));
+}
 
-            // 真正调用 API (这部分逻辑较复杂，建议复用 getAiReply 或手动调用 callApi)
-            // 简单起见，这里仅给个提示，实际项目建议让用户手动输入问题触发
+/**
+ * 密友的关系数值（没有记录时为初始值）
+ * @param {string} contactId
+ * @returns {{enabled: boolean, affection: number, trust: number, mood: number, history: Array}}
+ */
+function getRelationshipState(contactId) {
+    const initial = {enabled: true, history: []};
+    Object.entries(RELATIONSHIP_METRICS).forEach(([key, metric]) => initial[key] = metric.initial);
+    return {...initial, ...(relationshipData[contactId] || {})};
+}
 
-            showSuccessModal("解析成功", "文档已挂载，请发送问题给AI");
+/**
+ * 好感度所处的关系阶段
+ * @param {number} affection
+ * @returns {{min: number, label: string, tone: string}}
+ */
+function getRelationshipStage(affection) {
+    return [...RELATIONSHIP_STAGES].reverse().find(stage => affection >= stage.min) || RELATIONSHIP_STAGES[0];
+}
 
-        } catch (e) {
-            console.error(e);
-            document.getElementById(loadingId)?.remove();
-            // 如果是普通的 imgBB 报错，说明这不是图片但没走本地逻辑
-            // 但因为我们在上面已经拦截了 isTextDoc，所以这里只会是 PDF/Word 等
-            showErrorModal('云解析失败', '无法解析此类型文件，或云服务配置缺失。请尝试上传 .txt 文本。');
-        }
+/**
+ * 校验 AI 给出的数值变化：只保留认识的数值，取整并限制在 ±RELATIONSHIP_MAX_DELTA 内
+ * @param {*} raw - status.relationship
+ * @returns {object|null} 没有有效变化时返回 null
+ */
+function sanitizeRelationshipDelta(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const delta = {};
+    Object.keys(RELATIONSHIP_METRICS).forEach(key => {
+        if (raw[key] === undefined || raw[key] === null || raw[key] === '') return;
+        const value = Number(raw[key]);
+        if (!Number.isFinite(value)) return;
+        delta[key] = Math.round(Math.max(-RELATIONSHIP_MAX_DELTA, Math.min(RELATIONSHIP_MAX_DELTA, value)));
     });
+    return Object.keys(delta).length > 0 ? delta : null;
+}
 
+/**
+ * 解析回复时调用：校验 status 里的 relationship，无效时去掉这个字段
+ * @param {object|null} status
+ * @returns {object|null}
+ */
+function sanitizeStatusRelationship(status) {
+    if (!status || typeof status !== 'object' || !('relationship' in status)) return status || null;
+    const {relationship, ...rest} = status;
+    const delta = sanitizeRelationshipDelta(relationship);
+    return delta ? {...rest, relationship: delta} : rest;
+}
 
-    // 7. 点击页面其他任何地方，自动关闭附件菜单 (保持不变)
-    document.addEventListener('click', () => {
-        if (menu.classList.contains('show')) {
-            menu.classList.remove('show');
+/**
+ * 应用一次数值变化并记录下来；关系阶段变化时提示用户
+ * @param {string} contactId
+ * @param {object} delta - sanitizeRelationshipDelta 的结果
+ * @returns {object|null} 截断到 0-100 之后实际产生的变化（记在回复消息上，撤销时用）
+ */
+function applyRelationshipDelta(contactId, delta) {
+    const state = getRelationshipState(contactId);
+    if (!state.enabled || !delta) return null;
+
+    const oldAffection = state.affection;
+    const applied = {};
+    Object.entries(delta).forEach(([key, change]) => {
+        if (!(key in RELATIONSHIP_METRICS)) return;
+        const value = Math.max(0, Math.min(RELATIONSHIP_MAX, state[key] + change));
+        if (value !== state[key]) applied[key] = value - state[key];
+        state[key] = value;
+    });
+    if (Object.keys(applied).length === 0) return null;
+    const point = {timestamp: Date.now()};
+    Object.keys(RELATIONSHIP_METRICS).forEach(key => point[key] = state[key]);
+    state.history = [...state.history, point].slice(-RELATIONSHIP_HISTORY_LIMIT);
+    relationshipData[contactId] = state;
+    saveRelationshipData();
+
+    const oldStage = getRelationshipStage(oldAffection);
+    const newStage = getRelationshipStage(state.affection);
+    if (newStage !== oldStage && currentSweetheartChatContact?.id === contactId) {
+        const unlocked = worldbookData.filter(entry =>
+            entry.unlockAffection > oldAffection && entry.unlockAffection <= state.affection).length;
+        showSuccessModal('关系变化',
+            `你和${currentSweetheartChatContact.name}的关系变成了「${newStage.label}」` +
+            (unlocked > 0 ? `，解锁了 ${unlocked} 条新设定` : ''));
+    }
+    return applied;
+}
+
+/**
+ * 撤销或重新应用一组消息带来的数值变化
+ * 一次回复的变化记在它保存的第一条消息的 relationshipDelta 上；
+ * 重新生成、切换回复版本、切换或新开分支时，离开当前记录的消息要撤销，成为当前记录的消息要重新应用，
+ * 这样好感度只反映当前这条故事线里真正留下的回复
+ * @param {string} contactId
+ * @param {Array} messages - 重新应用时会把实际变化量写回消息
+ * @param {number} sign - -1 撤销，1 应用
+ */
+function replayRelationshipDeltas(contactId, messages, sign) {
+    if (!messages.some(message => message?.relationshipDelta)) return;
+    messages.forEach(message => {
+        const delta = message?.relationshipDelta;
+        if (!delta) return;
+        if (sign < 0) {
+            const reverse = {};
+            Object.entries(delta).forEach(([key, change]) => reverse[key] = -change);
+            applyRelationshipDelta(contactId, reverse);
+        } else {
+            const applied = applyRelationshipDelta(contactId, delta);
+            if (applied) message.relationshipDelta = applied;
+            else delete message.relationshipDelta;
         }
     });
-    // 阻止点击菜单本身时关闭菜单
-    menu.addEventListener('click', (event) => event.stopPropagation());
+    renderRelationshipMeter();
 }
 
-// ========== 开始：用这个【发送后等待回复版】的函数替换旧的 ==========
 /**
- * [最终修复版] 初始化密友聊天附件菜单
- * - 使用 cloneNode 技巧移除旧的事件监听器，修复重复绑定问题。
+ * 世界书条目是否已对该联系人解锁（设置了好感度门槛的条目，好感度达到后才会发给 AI）
+ * @param {object} entry
+ * @param {object} [contact]
+ * @returns {boolean}
+ */
+function isWorldbookEntryUnlocked(entry, contact) {
+    if (!(entry.unlockAffection > 0)) return true;
+    if (!contact || !contact.id) return false;
+    const state = getRelationshipState(contact.id);
+    return state.enabled && state.affection >= entry.unlockAffection;
+}
+
+/**
+ * 注入上下文的关系状态：当前数值、对应的语气要求，以及让 AI 在 status 里汇报变化量的说明
+ * @param {string} contactId
+ * @returns {string} 关闭了好感度系统时返回空字符串
  */
+function buildRelationshipPrompt(contactId) {
+    const state = getRelationshipState(contactId);
+    if (!state.enabled) return '';
 
-// script.js - 找到 setupSweetheartAttachmentMenu 函数，完整替换为：
+    const stage = getRelationshipStage(state.affection);
+    const tones = [stage.tone];
+    if (state.trust < 30) tones.push('你还不太信任用户，不会轻易说出心事');
+    else if (state.trust >= 75) tones.push('你非常信任用户，愿意说出自己的秘密');
+    if (state.mood < 30) tones.push('你现在心情低落，语气可以带一点消沉或烦躁');
+    else if (state.mood >= 75) tones.push('你现在心情很好，语气轻快');
+
+    const values = Object.entries(RELATIONSHIP_METRICS).map(([key, metric]) =>
+        `- ${metric.label}: ${state[key]}/${RELATIONSHIP_MAX}${key === 'affection' ? `（${stage.label}）` : ''}`
+    ).join('\n');
+    const template = JSON.stringify(Object.fromEntries(Object.keys(RELATIONSHIP_METRICS).map(key => [key, 0])));
+
+    return `[关系状态]
+${values}
+语气要求：${tones.join('；')}。
+在回复 JSON 的 "status" 里额外加入 "relationship": ${template}，表示这一轮对话带来的变化量（${Object.values(RELATIONSHIP_METRICS).map(m => m.label).join('、')}），每项是 -${RELATIONSHIP_MAX_DELTA} 到 ${RELATIONSHIP_MAX_DELTA} 的整数。没有变化就填 0，只有发生了真正触动你的事才大幅变化。`;
+}
 
 /**
- * [最终云端版] 初始化密友聊天附件菜单
- * - 修正：图片上传后不再立即调用 API
+ * 在状态栏顶部显示当前数值
  */
-function setupSweetheartAttachmentMenu() {
-    const attachmentBtn = document.getElementById('sweetheartShowAttachmentMenuBtn');
-    const attachmentMenu = document.getElementById('sweetheartAttachmentMenu');
-    const fileInput = document.getElementById('sweetheartFileInput');
-    const imageInput = document.getElementById('sweetheartImageInput');
-    const redPacketBtn = document.getElementById('sweetheartSendRedPacketBtn');
-    if (!attachmentBtn || !attachmentMenu) return;
-    // 克隆按钮防止重复绑定
-    const freshAttachmentBtn = attachmentBtn.cloneNode(true);
-    attachmentBtn.parentNode.replaceChild(freshAttachmentBtn, attachmentBtn);
-    freshAttachmentBtn.addEventListener('click', function (e) {
-        e.stopPropagation();
-        attachmentMenu.classList.toggle('show');
-    });
-    document.addEventListener('click', function (e) {
-        if (attachmentMenu.classList.contains('show') &&
-            !attachmentMenu.contains(e.target) &&
-            !freshAttachmentBtn.contains(e.target)) {
-            attachmentMenu.classList.remove('show');
-        }
-    });
-    // 绑定按钮点击
-    const uploadImageBtn = document.getElementById('sweetheartUploadImageBtn');
-    if (uploadImageBtn && imageInput) {
-        const freshUploadImageBtn = uploadImageBtn.cloneNode(true);
-        uploadImageBtn.parentNode.replaceChild(freshUploadImageBtn, uploadImageBtn);
-        freshUploadImageBtn.addEventListener('click', function () {
-            imageInput.click();
-            attachmentMenu.classList.remove('show');
-        });
+function renderRelationshipMeter() {
+    const meter = document.getElementById('relationshipMeter');
+    if (!meter) return;
+    const state = currentSweetheartChatContact ? getRelationshipState(currentSweetheartChatContact.id) : null;
+    if (!state || !state.enabled) {
+        meter.innerHTML = '';
+        return;
     }
-    // --- 核心修改：密友图片上传 (只保存，不触发AI) ---
-    const freshImageInput = imageInput.cloneNode(true);
-    imageInput.parentNode.replaceChild(freshImageInput, imageInput);
-    freshImageInput.addEventListener('change', async function (e) {
-        const file = e.target.files[0];
-        if (!file || !currentSweetheartChatContact) return;
-        // 1. UI: 显示上传中
-        const messagesEl = document.getElementById('sweetheartChatMessages');
-        const loadingId = 'sh_loading_img_' + Date.now();
-        const loadingRow = document.createElement('div');
-        loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:rgba(255,255,255,0.5);color:#888;">⏳ 图片上传给TA中...</div></div>`;
-        messagesEl.appendChild(loadingRow.firstChild);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
-        try {
-            // 2. 上传到腾讯云
-            const uploadResult = await LKECloudManager.uploadToCOS(file, true);
-            console.log("密友图片上传成功:", uploadResult.url);
-            document.getElementById(loadingId)?.remove();
-            // 3. 构造消息
-            const aiMessageContent = `(分享了一张图片)\n![](${uploadResult.url})`;
-            // 4. 保存消息 (isProcessed: false)
-            const messagePayload = {
-                sender: 'user',
-                text: aiMessageContent,
-                imageUrl: uploadResult.url,
-                timestamp: Date.now(),
-                isProcessed: false // 关键：标记为未处理
-            };
-            const newIndex = saveSweetheartMessage(currentSweetheartChatContact.id, messagePayload);
-            const messageRow = _createMessageDOM(currentSweetheartChatContact.id, messagePayload, newIndex);
-            messagesEl.appendChild(messageRow);
-            messagesEl.scrollTop = messagesEl.scrollHeight;
-            // 5. 移除自动API调用
-            console.log("密友图片已保存，等待手动触发回复...");
 
-            // 6. 确保接收按钮可见
-            document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
-        } catch (err) {
-            console.error(err);
-            document.getElementById(loadingId)?.remove();
-            showErrorModal('图片发送失败', err.message);
-        } finally {
-            this.value = '';
-        }
-    });
-    // ============================================================
-    // 🔥 核心修改：文件上传智能路由 (区分 文本文件 vs 图片文件)
-    // ============================================================
-    const freshFileInput = fileInput.cloneNode(true);
-    fileInput.parentNode.replaceChild(freshFileInput, fileInput);
+    meter.innerHTML = Object.entries(RELATIONSHIP_METRICS).map(([key, metric]) => `
+        <div class="relationship-meter-item">
+            <span class="relationship-meter-label">${metric.label}</span>
+            <div class="relationship-meter-bar">
+                <div class="relationship-meter-fill" style="width: ${state[key] / RELATIONSHIP_MAX * 100}%; background: ${metric.color};"></div>
+            </div>
+            <span class="relationship-meter-value">${state[key]}</span>
+        </div>
+    `).join('') + `<div class="relationship-meter-stage">${getRelationshipStage(state.affection).label}</div>`;
+}
 
-    freshFileInput.addEventListener('change', async (event) => {
-        const file = event.target.files[0];
-        if (!file || !currentSweetheartChatContact) return;
+/**
+ * 数值变化曲线（SVG 折线图）
+ * @param {Array} history - 从旧到新
+ * @returns {string} HTML
+ */
+function renderRelationshipChart(history) {
+    const width = 280;
+    const height = 100;
+    const stepX = history.length > 1 ? width / (history.length - 1) : 0;
+    const toY = value => (height - value / RELATIONSHIP_MAX * height).toFixed(1);
 
-        // 1. 判断文件类型
-        const isImage = file.type.startsWith('image/');
-        const isTextDoc = file.type.startsWith('text/') ||
-            file.name.endsWith('.txt') ||
-            file.name.endsWith('.md') ||
-            file.name.endsWith('.csv') ||
-            file.name.endsWith('.json') ||
-            file.name.endsWith('.js');
+    const lines = Object.entries(RELATIONSHIP_METRICS).map(([key, metric]) => {
+        const points = history.map((point, i) => `${(i * stepX).toFixed(1)},${toY(point[key])}`).join(' ');
+        return history.length > 1
+            ? `<polyline points="${points}" fill="none" stroke="${metric.color}" stroke-width="2" stroke-linejoin="round" vector-effect="non-scaling-stroke"/>`
+            : `<circle cx="${width / 2}" cy="${toY(history[0][key])}" r="3" fill="${metric.color}"/>`;
+    }).join('');
+    const legend = Object.values(RELATIONSHIP_METRICS)
+        .map(metric => `<span><i style="background: ${metric.color};"></i>${metric.label}</span>`).join('');
 
-        // 2. 清空输入框，允许下次选择同名文件
-        // 注意：要在读取前或者 finally 里重置，这里先保存引用
-        const currentFile = file;
-        event.target.value = '';
+    return `
+        <div class="relationship-chart">
+            <svg viewBox="-4 -4 ${width + 8} ${height + 8}" preserveAspectRatio="none">
+                <line x1="0" y1="${toY(RELATIONSHIP_MAX / 2)}" x2="${width}" y2="${toY(RELATIONSHIP_MAX / 2)}" class="relationship-chart-midline"/>
+                ${lines}
+            </svg>
+            <div class="relationship-chart-legend">${legend}</div>
+        </div>
+    `;
+}
 
-        // 3. 场景 A: 如果是图片，走原来的图床逻辑
-        if (isImage) {
-            const messagesEl = document.getElementById('sweetheartChatMessages');
-            const loadingId = 'sh_loading_img_' + Date.now();
-            const loadingRow = document.createElement('div');
-            loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:rgba(255,255,255,0.5);color:#888;">⏳ 图片上传中...</div></div>`;
-            messagesEl.appendChild(loadingRow.firstChild);
-            messagesEl.scrollTop = messagesEl.scrollHeight;
+/**
+ * 密友设置页：好感度系统开关
+ * @param {object} contact
+ */
+function renderRelationshipSettings(contact) {
+    document.getElementById('relationshipEnabledToggle').checked = getRelationshipState(contact.id).enabled;
+}
 
-            try {
-                const uploadResult = await LKECloudManager.uploadToCOS(currentFile, true);
-                document.getElementById(loadingId)?.remove();
+function saveRelationshipEnabled(enabled) {
+    const contact = currentSweetheartChatContact;
+    if (!contact) return;
+    relationshipData[contact.id] = {...getRelationshipState(contact.id), enabled};
+    saveRelationshipData();
+    renderRelationshipMeter();
+}
 
-                const aiMessageContent = `(分享了一张图片)\n![](${uploadResult.url})`;
-                const messagePayload = {
-                    sender: 'user',
-                    text: aiMessageContent,
-                    imageUrl: uploadResult.url,
-                    timestamp: Date.now(),
-                    isProcessed: false
-                };
+/**
+ * 把当前密友的数值和变化记录恢复为初始值
+ */
+function resetRelationship() {
+    const contact = currentSweetheartChatContact;
+    if (!contact || !confirm(`确定把和${contact.name}的好感度、信任和心情恢复为初始值吗？变化记录也会清空。`)) return;
+    const enabled = getRelationshipState(contact.id).enabled;
+    delete relationshipData[contact.id];
+    if (!enabled) relationshipData[contact.id] = {enabled};
+    saveRelationshipData();
+    renderRelationshipMeter();
+    showSuccessModal('已重置', '好感度已恢复为初始值');
+}
 
-                const newIndex = saveSweetheartMessage(currentSweetheartChatContact.id, messagePayload);
-                const messageRow = _createMessageDOM(currentSweetheartChatContact.id, messagePayload, newIndex);
-                messagesEl.appendChild(messageRow);
-                messagesEl.scrollTop = messagesEl.scrollHeight;
-                document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
+// ========== 好感度 - 结束 ==========
 
-            } catch (err) {
-                console.error(err);
-                document.getElementById(loadingId)?.remove();
-                showErrorModal('图片上传失败', '请检查网络配置或API Key');
-            }
-            return;
-        }
 
-        // 4. 场景 B: 如果是文本文件，走本地 IndexedDB 分析逻辑 (修复那个报错的关键)
-        if (isTextDoc) {
-            const messagesEl = document.getElementById('sweetheartChatMessages');
-            const loadingId = 'loading_local_doc_' + Date.now();
-            const loadingRow = document.createElement('div');
-            loadingRow.innerHTML = `<div id="${loadingId}" class="message-row sent"><div class="chat-bubble" style="background:rgba(255,255,255,0.5);color:#888;">📄 正在读取文档...</div></div>`;
-            messagesEl.appendChild(loadingRow.firstChild);
-            messagesEl.scrollTop = messagesEl.scrollHeight;
+/**
+ * [修改后] 格式化状态历史，明确区分“当前实时状态”和“历史参考”
+ * @param {object} currentStatus - 从DOM实时读取的当前状态
+ * @param {Array} history - 从localStorage读取的历史状态数组
+ * @param {object} [schema] - 状态字段配置，默认取当前密友的
+ * @returns {string} 格式化后的完整系统提示字符串
+ */
+function formatStatusHistoryForAI(currentStatus, history, schema = getStatusSchema(currentSweetheartChatContact?.id)) {
+    let prompt = "";
+
+    // 辅助函数，用于格式化单个状态条目
+    const formatSingleEntry = (entry) => {
+        if (!entry) return '';
+        const characterStatus = entry.character ? `[TA的状态]\n${formatStatusFields(schema.character, entry.character)}` : '[TA的状态] 未知';
+        const userStatus = entry.user ? `[我的状态]\n${formatStatusFields(schema.user, entry.user)}` : '[我的状态] 未知';
+        return `${characterStatus}\n\n${userStatus}`;
+    };
 
-            try {
-                // 调用本地处理函数 (不再上传到云端!)
-                const fileResult = await uploadFileAndGetAiResponse(currentFile);
-                document.getElementById(loadingId)?.parentElement?.remove();
+    // 1. 添加当前实时状态，并标记为最高优先级
+    prompt += "[当前实时状态 (最高优先级)]\n" + formatSingleEntry(currentStatus);
 
-                const fileMsgPayload = {
-                    sender: 'user',
-                    type: 'file', // 使用 file 类型
-                    content: {
-                        name: fileResult.name,
-                        size: fileResult.size,
-                        fileId: fileResult.fileId
-                    },
-                    timestamp: Date.now()
-                };
+    // 2. 添加历史状态作为参考
+    if (history && history.length > 0) {
+        // 我们只需要历史记录，不需要再把最新的也加进去
+        const historicalEntries = history.slice(0, STATUS_PROMPT_HISTORY_LIMIT).map((entry, index) => {
+            return `--- 历史状态回顾 ${index + 1} ---\n${formatSingleEntry(entry)}`;
+        }).join('\n\n');
 
-                const msgIndex = saveSweetheartMessage(currentSweetheartChatContact.id, fileMsgPayload);
-                const messageRow = _createMessageDOM(currentSweetheartChatContact.id, fileMsgPayload, msgIndex);
-                messagesEl.appendChild(messageRow);
-                messagesEl.scrollTop = messagesEl.scrollHeight;
+        prompt += "\n\n[最近的状态变化回顾 (用于参考，按时间从新到旧)]\n" + historicalEntries;
+    }
 
-                // 自动填入引导词
-                const chatInput = document.getElementById('sweetheartChatInput');
-                chatInput.value = "请阅读这份文档，总结一下主要内容。";
-                document.querySelector('.sweetheart-chat-input-area').classList.add('has-text');
-                chatInput.focus();
+    // 3. 返回完整的、带有引导语的提示词
+    return `[重要记忆：这是实时状态和最近的状态变化。请将此作为优先参考信息来理解当前情景，但不要直接复述这些内容。]\n\n${prompt}`;
+}
 
-            } catch (err) {
-                console.error(err);
-                document.getElementById(loadingId)?.parentElement?.remove();
-                showErrorModal('文档读取失败', err.message);
-            }
-            return;
+/**
+ * 组装密友聊天发给 API 的上下文（按 Token 预算裁剪），手动获取回复和主动消息共用
+ * @param {object} contact - 密友
+ * @param {string} currentUserInput - 这次还没发出去的输入，只用于预留预算和匹配世界书
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {boolean} [options.offline] - 是否使用线下模式的提示词
+ * @param {object} [options.liveStatus] - 状态栏上的实时状态，只有正在聊天的密友才有
+ * @returns {Promise<Array>} messages
+ */
+async function buildSweetheartContextMessages(contact, currentUserInput, options = {}) {
+    const contactId = contact.id;
+    const contactName = contact.name;
+
+    // 1. 系统指令
+    const systemMessages = options.offline
+        ? [{role: "system", content: applyStatusSchemaToPrompt(OFFLINE_MODE_PROMPT, contactId)}]
+        : [{role: "system", content: AI_REALCHAT_SYSTEM_PROMPT}, {role: "system", content: applyStatusSchemaToPrompt(ENHANCED_PROMPT, contactId)}];
+    const relationshipPrompt = buildRelationshipPrompt(contactId);
+    if (relationshipPrompt) systemMessages.push({role: "system", content: relationshipPrompt});
+    const mapPresencePrompt = buildMapPresencePrompt(contactId);
+    if (mapPresencePrompt) systemMessages.push({role: "system", content: mapPresencePrompt});
+
+    // 2. 状态记录：当前实时状态 + 最近的历史状态（按时间从新到旧）
+    // 状态栏还没有任何内容时不注入
+    // 没有实时状态（不在聊天页面）时，以最近一条历史状态作为当前状态
+    const liveStatus = options.liveStatus;
+    const statusHistory = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}')[contactId] || [];
+    const hasLiveStatus = liveStatus && [...Object.values(liveStatus.character), ...Object.values(liveStatus.user)].some(value => value !== '未知');
+    const statusEntries = liveStatus && (hasLiveStatus || statusHistory.length > 0) ? [liveStatus, ...statusHistory] : statusHistory;
+
+    // 3. 构建对话历史（多取一些，最终保留多少由上下文预算决定）
+    await ChatHistoryStore.loadContact(contactId);
+    const recentMessages = ChatHistoryStore.view('phoneSweetheartChatHistory', contactId).slice(-20);
+    const conversation = [];
+
+    let userTextBuffer = [];
+
+    // 遍历历史
+    for (const msg of recentMessages) {
+        const role = msg.sender === 'user' ? 'user' : 'assistant';
+        let text = msg.text || '';
+
+        // 1. 如果是红包消息，将其转换为 AI 能读懂的文字描述
+        if (msg.type === 'red-packet') {
+            const statusStr = msg.content.status === 'opened' ? '(已被领取)' : '(未领取)';
+            text = `[发送了一个红包] 寄语："${msg.content.greeting}" 金额：${msg.content.amount}元 ${statusStr}`;
         }
 
-        // 5. 场景 C: 不支持的格式 (如 PDF/Word 目前无法纯前端解析)
-        showErrorModal('格式不支持', '目前“文件”按钮仅支持 .txt / .md 等纯文本，或 jpg/png 图片。PDF/Word暂不支持。', 3000);
-    });
+        // 2. 如果是文件/图片消息
+        if (msg.imageUrl && msg.sender === 'user') text = '[图片]';
+        if (msg.type === 'file') text = `[发送文件] ${msg.content.name}`;
 
+        // 简单清洗
+        text = text.replace(/<render>[\s\S]*?<\/render>/g, '');
+        if (msg.imageUrl && msg.sender === 'user') text = '[图片]';
+        if (msg.quote) text = `[引用: "${msg.quote.text}"]\n` + text;
 
-    // 4. 红包按钮 (保持不变)
-    if (redPacketBtn) {
-        const freshRedPacketBtn = redPacketBtn.cloneNode(true);
-        redPacketBtn.parentNode.replaceChild(freshRedPacketBtn, redPacketBtn);
-        freshRedPacketBtn.addEventListener('click', function () {
-            attachmentMenu.classList.remove('show');
-            openRedPacketModal();
-        });
+        if (text.trim()) {
+            conversation.push({role: role, content: text});
+        }
     }
+
+    // 4. 按 Token 预算组装上下文：系统指令 > 最近对话 > 长期记忆 > 相关回忆 > 世界书 > 用户人设 > 状态记录 > 学习模式背景
+    const normalHistory = ChatHistoryStore.view('phoneChatHistory', contactId);
+    const scanTexts = [...conversation.map(msg => msg.content), currentUserInput];
+    const retrievedSnippets = await retrieveRelevantSnippets(contactId, contactName, scanTexts, options.signal);
+    const [worldbookSection, masksSection, backgroundSection] =
+        buildSharedContextSections(contact, normalHistory.slice(-10), '学习模式', scanTexts);
+    const context = assembleContext([
+        {key: 'system', items: systemMessages},
+        buildMemoryContextSection(contactId, scanTexts),
+        buildRetrievalContextSection(retrievedSnippets),
+        worldbookSection,
+        masksSection,
+        {
+            key: 'status',
+            items: statusEntries,
+            format: entries => formatStatusHistoryForAI(entries[0], entries.slice(1), getStatusSchema(contactId))
+        },
+        backgroundSection,
+        buildRecentContextSection(conversation, contact.name)
+    ], {reservedTokens: estimateTokens(currentUserInput)});
+    recordContextUsage('sweetheart', contactId, context.usage);
+    return context.messages;
 }
 
 /**
- * [核心功能] 本地文件预处理工具
- * 作用：读取本地文本文件 -> 存入IndexedDB -> 返回文件信息供聊天气泡使用
- * 优势：不依赖云存储，免费，适合长文本/小说/剧本分析
+ * 把密友回复的一段解析成消息对象：语音标签、红包标签、Render 或普通文本
+ * @param {string} segmentText - 按 --- 分好的一段回复
+ * @returns {object} 消息对象
  */
-function uploadFileAndGetAiResponse(file) {
-    return new Promise((resolve, reject) => {
-        // 1. 格式校验
-        const isText = file.type.startsWith('text/') || file.name.endsWith('.txt') || file.name.endsWith('.md') || file.name.endsWith('.csv');
-        if (!isText) {
-            // 如果不是纯文本，暂时拒绝（因为 canvas/render 无法直接处理二进制文件流）
-            reject(new Error("目前仅支持文本文件 (.txt, .md, .csv) 的本地深度分析"));
-            return;
-        }
+function parseSweetheartReplySegment(segmentText) {
+    let messageObj;
+    const trimmed = segmentText.trim();
+    // 1. 检测是否为语音标签：/voice/{...}/
+    // 注意：正则需要匹配开头和结尾的斜杠
+    const voiceMatch = trimmed.match(/^\/voice\/(\{[\s\S]*?\})\/?$/);
 
-        // 2. 大小限制 (例如 2MB，防止浏览器卡顿)
-        if (file.size > 2 * 1024 * 1024) {
-            reject(new Error("文件过大，请上传 2MB 以内的文本文件"));
-            return;
+    // 2. 检测是否为红包标签：/red-packet/{...}/
+    const rpMatch = trimmed.match(/^\/red-packet\/(\{[\s\S]*?\})\/?$/);
+    if (voiceMatch) {
+        // === 处理语音 ===
+        try {
+            const voiceData = JSON.parse(voiceMatch[1]);
+            messageObj = {
+                sender: 'contact',
+                type: 'voice',
+                content: {
+                    duration: voiceData.duration,
+                    text: voiceData.text
+                }
+            };
+        } catch (e) {
+            console.error("解析语音JSON失败", e);
+            messageObj = {sender: 'contact', text: segmentText}; // 降级为文本
+        }
+    } else if (rpMatch) {
+        // === 处理红包 ===
+        try {
+            const rpData = JSON.parse(rpMatch[1]);
+            messageObj = {
+                sender: 'contact',
+                type: 'red-packet',
+                content: {
+                    amount: rpData.amount,
+                    greeting: rpData.greeting,
+                    status: 'unopened'
+                }
+            };
+        } catch (e) {
+            console.error("解析红包JSON失败", e);
+            messageObj = {sender: 'contact', text: segmentText};
         }
+    } else if (trimmed.startsWith('<render>')) {
+        // === 处理 HTML 渲染 ===
+        messageObj = {sender: 'contact', text: trimmed};
+    } else {
+        // === 普通文本 ===
+        messageObj = {sender: 'contact', text: trimmed};
+    }
+    return messageObj;
+}
 
-        const reader = new FileReader();
+/**
+ * [终极修复版] 密友聊天 - 获取AI回复
+ * 修复：点击无反应、按钮变暗不恢复、支持空内容触发（戳一戳）
+ * @param {object} [options] - {regenerate: true} 重新生成时只基于已有记录回复，不读取输入框和引用
+ */
+async function getSweetheartAiReply(options = {}) {
+    console.log("✅ 密友聊天 API 触发");
 
-        // 3. 读取成功
-        reader.onload = async (e) => {
-            try {
-                const content = e.target.result;
+    // 获取按钮元素
+    const getReplyBtn = document.getElementById('sweetheartGetReplyBtn');
+    const chatInput = document.getElementById('sweetheartChatInput');
+    const messagesEl = document.getElementById('sweetheartChatMessages');
 
-                // 🔥 核心步骤：将长文本存入 IndexedDB
-                // 我们不把几万字直接存入 localStorage，而是存入 ImageDB (复用图片数据库，因为它存的是大字符串)
-                const fileId = await ImageDB.saveText(content);
+    // 1. 基础检查
+    if (!currentSweetheartChatContact) {
+        alert("错误：联系人数据丢失，请重新打开聊天");
+        if (getReplyBtn) {
+            getReplyBtn.disabled = false;
+            getReplyBtn.style.opacity = '1';
+        }
+        return;
+    }
 
-                // 返回标准化数据结构
-                resolve({
-                    success: true,
-                    name: file.name,
-                    size: file.size,
-                    fileId: fileId, // 🔑 重点：后续 AI 读取全文全靠这个 ID
-                    preview: content.substring(0, 100).replace(/\n/g, ' ') // 调试用
-                });
+    // === UI反馈：点击瞬间变暗，防止连点；请求期间接收键被替换成「停止」按钮 ===
+    if (getReplyBtn) {
+        getReplyBtn.disabled = true;
+        getReplyBtn.style.opacity = '0.5';
+    }
+    const requestController = beginAbortableAiRequest('sweetheart', getReplyBtn);
 
-            } catch (err) {
-                console.error(err);
-                reject(new Error("文件存储到本地数据库失败"));
-            }
-        };
+    try {
+        const contactId = currentSweetheartChatContact.id;
+        const contactName = currentSweetheartChatContact.name;
+        const fullTagRegexWithCapture = /(\/(voice|red-packet)\/(\{[\s\S]*?\})\/)/g;
 
-        // 4. 读取失败
-        reader.onerror = () => {
-            reject(new Error("浏览器无法读取该文件"));
+        // === 准备 Prompt ===
+        const dynamicPersona = {
+            "character_name": currentSweetheartChatContact.name,
+            "character_persona": currentSweetheartChatContact.status || "亲密朋友"
         };
 
-        // 5. 开始读取
-        reader.readAsText(file, 'UTF-8'); // 默认 UTF-8，如果是小说可能需要 GBK 识别逻辑
-    });
-}
+        // 1-4. 系统指令、状态记录、对话历史等按 Token 预算组装
+        const currentUserInput = options.regenerate ? '' : chatInput.value.trim();
+        const messages = await buildSweetheartContextMessages(currentSweetheartChatContact, currentUserInput, {
+            signal: requestController.signal,
+            offline: currentChatMode === 'offline',
+            liveStatus: getCurrentLiveStatus()
+        });
 
+        // 5. 处理当前输入
+        if (!options.regenerate && (currentUserInput || currentSweetheartQuoteData)) {
+            // 上屏
+            const messagePayload = {sender: 'user', text: currentUserInput};
+            if (currentSweetheartQuoteData) messagePayload.quote = currentSweetheartQuoteData;
 
-// 创建一个辅助函数来模拟发送消息，避免代码重复
-function simulateSendingMessage(messageText) {
-    const messagesEl = document.getElementById('chatMessages');
-    if (!messageText || !currentChatContact) return;
+            const newIndex = saveSweetheartMessage(contactId, messagePayload);
+            const messageRow = _createMessageDOM(contactId, messagePayload, newIndex);
+            messagesEl.appendChild(messageRow);
 
-    // 保存消息记录
-    const newIndex = saveMessage(currentChatContact.id, {sender: 'user', text: messageText});
+            chatInput.value = '';
+            document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
 
-    // 创建并显示消息 DOM
-    const messageRow = _createMessageDOM(currentChatContact.id, {
-        sender: 'user',
-        text: messageText
-    }, newIndex);
-    messagesEl.appendChild(messageRow);
+            let inputText = currentUserInput;
+            if (currentSweetheartQuoteData) inputText = `[引用: "${currentSweetheartQuoteData.text}"]\n${inputText}`;
+            messages.push({role: 'user', content: inputText});
+            cancelSweetheartQuote();
+        }
 
-    // 更新联系人列表的最后消息并滚动到底部
-    renderContacts(contactsData);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
-}
+        // 🔥 关键修复：如果没有用户输入，强制插入一条隐形指令（戳一戳）
+        // 这样点击信封即使没打字，AI也会说话
+        if (!messages.some(m => m.role === 'user')) {
+            console.log("密友模式：自动注入互动指令...");
+            messages.push({
+                role: "user",
+                content: "(看着你，似乎在等待你说些什么...)"
+            });
+        }
 
-/* ========== 结束：粘贴 JavaScript 代码块 ========== */
+        // 显示思考中，收到内容后这个气泡会实时刷新
+        const thinkingBubble = _createMessageDOM(contactId, {sender: 'contact', text: '...'}, -1, {streaming: true});
+        messagesEl.appendChild(thinkingBubble);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
 
+        // 6. 调用 API
+        let hasStreamed = false;
+        const result = await callApi(messages, [], dynamicPersona, false, {
+            signal: requestController.signal,
+            onDelta: (fullText) => {
+                if (updateStreamingBubble(thinkingBubble, extractStreamingReplyText(fullText), messagesEl)) {
+                    hasStreamed = true;
+                }
+            },
+            onRetry: (attempt, maxAttempts) => {
+                updateStreamingBubble(thinkingBubble, `⏳ 连接不稳定，正在重试 (${attempt}/${maxAttempts})...`, messagesEl);
+            }
+        });
+        thinkingBubble.remove();
 
-// ========== 开始：粘贴这个全新的 JavaScript 函数 ==========
+        // 被用户停止时，保留已经收到的部分内容（不完整的状态数据直接丢弃）
+        const partialReplyText = result.aborted
+            ? trimIncompleteReplyTail(extractPartialReplyText(result.partialText))
+            : '';
 
-/**
- * 清空所有本地存储的数据
- * 这是一个危险操作，执行前会要求用户确认。
- */
-function clearAllData() {
-    // 1. 弹出确认框，给用户最后一次反悔的机会
-    const confirmation = confirm(
-        "⚠️ 警告！\n\n你确定要清空所有数据吗？\n\n此操作将不可逆转地删除：\n- 所有API、数据库和云存储设置\n- 所有联系人、密友和聊天记录\n- 所有自定义图标、壁纸和组件\n- 所有世界书和分组\n- 其他所有个性化配置\n\n应用将恢复到初始状态。"
-    );
+        if (result.aborted && !partialReplyText) {
+            console.log("密友聊天：已停止生成，没有收到内容");
+        } else if (!result.aborted && !result.success) {
+            showErrorModal('API 错误', result.message);
+        } else {
+            // 解析回复
+            const {chatReplyText, statusData} = result.aborted
+                ? {chatReplyText: partialReplyText, statusData: null}
+                : currentChatMode === 'offline'
+                    ? parseOfflineResponse(result)
+                    : parseAiJsonResponse(result.message);
+
+            let relationshipDelta = null;
+            if (statusData) {
+                updateStatusPopup(statusData);
+                relationshipDelta = saveStatusData(contactId, statusData);
+            }
+
+            const rawSegments = (chatReplyText || '...').split(/---\s*/).filter(s => s.trim() !== '');
+
+            // 简单的渲染函数
+            const processSegment = async (segmentText) => {
+                const messageObj = parseSweetheartReplySegment(segmentText);
+                // 这次回复的好感度变化记在第一条消息上
+                if (relationshipDelta) {
+                    messageObj.relationshipDelta = relationshipDelta;
+                    relationshipDelta = null;
+                }
+                // 保存并渲染
+                const idx = saveSweetheartMessage(contactId, messageObj);
+                messagesEl.appendChild(_createMessageDOM(contactId, messageObj, idx));
+                messagesEl.scrollTop = messagesEl.scrollHeight;
+            };
+// 执行分段渲染（即使只有一段也会执行）
+            for (const segment of rawSegments) {
+                if (!segment.trim()) continue;
+                await processSegment(segment);
+                // 模拟打字机或语音发送间隔，稍微长一点更自然（已流式展示过全文时跳过）
+                if (!hasStreamed) await new Promise(r => setTimeout(r, 800));
+            }
+
+            // 较早的对话在后台整理成长期记忆
+            updateContactMemory('sweetheart', contactId, contactName);
+        }
+
+    } catch (error) {
+        console.error("密友聊天出错:", error);
+        showErrorModal('错误', '网络连接超时或出错');
+    } finally {
+        finishAbortableAiRequest('sweetheart', requestController);
+        // 🔥 唯一真理：无论发生什么，最后必须把按钮恢复！🔥
+        if (getReplyBtn) {
+            getReplyBtn.disabled = false;
+            getReplyBtn.style.opacity = '1';
+        }
+        // 确保焦点回到输入框
+        if (chatInput) chatInput.focus();
+    }
+}
 
-    // 2. 检查用户的选择
-    if (confirmation) {
-        // 3. 如果用户点击“确定”，则清空 localStorage
-        localStorage.clear();
+// ========== 密友主动消息 - 开始 ==========
+
+// 多久检查一次是否该发主动消息
+const PROACTIVE_CHECK_INTERVAL = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// 每个密友的默认设置
+const PROACTIVE_DEFAULTS = {
+    enabled: false,
+    idleHours: 6,        // 多久没打开聊天后主动发消息
+    intervalHours: 4,    // 两次主动消息至少间隔多久
+    quietStart: '23:00', // 免打扰时段
+    quietEnd: '08:00'
+};
+// 生成失败后的重试间隔：从 15 分钟开始每次翻倍，最长 6 小时
+const PROACTIVE_RETRY_BASE = 15 * 60 * 1000;
+const PROACTIVE_RETRY_MAX = 6 * HOUR_MS;
 
-        // 4. 显示一个操作成功的提示
-        alert("所有数据已成功清除。应用即将重新加载。");
+// {contactId: {enabled, idleHours, intervalHours, quietStart, quietEnd, lastOpenedAt, lastSentAt, unread,
+//              lastAttemptAt, failures, failedAt}}
+let proactiveData = JSON.parse(localStorage.getItem('phoneProactiveData') || '{}');
+let proactiveInFlight = false;
 
-        // 5. 重新加载页面，让应用以全新的状态启动
-        location.reload();
-    } else {
-        // 如果用户点击“取消”，则不做任何事
-        console.log("用户取消了清空所有数据的操作。");
+function saveProactiveData() {
+    try {
+        localStorage.setItem('phoneProactiveData', JSON.stringify(proactiveData));
+    } catch (e) {
+        console.error('保存主动消息设置失败:', e);
     }
 }
 
-// ========== 结束：粘贴代码 ==========
+/**
+ * 读取某个密友的主动消息设置和状态（未设置过的项使用默认值）
+ */
+function getProactiveRecord(contactId) {
+    return {...PROACTIVE_DEFAULTS, ...proactiveData[contactId]};
+}
 
+function updateProactiveRecord(contactId, changes) {
+    proactiveData[contactId] = {...getProactiveRecord(contactId), ...changes};
+    saveProactiveData();
+}
 
-// ========== 开始：新增的密友列表相关函数 ==========
+/**
+ * 打开密友聊天时调用：记录打开时间并清空未读
+ */
+function markSweetheartChatOpened(contactId) {
+    updateProactiveRecord(contactId, {lastOpenedAt: Date.now(), unread: 0});
+}
 
-// ▼▼▼ 使用这个【绝对修正版】的 openSweetheartList 函数进行替换 ▼▼▼
+/**
+ * 当前时间是否在免打扰时段内（支持跨午夜，如 23:00 - 08:00）
+ */
+function isInProactiveQuietHours(record, date = new Date()) {
+    const toMinutes = time => {
+        const [h, m] = String(time || '').split(':').map(Number);
+        return (h || 0) * 60 + (m || 0);
+    };
+    const start = toMinutes(record.quietStart);
+    const end = toMinutes(record.quietEnd);
+    const now = date.getHours() * 60 + date.getMinutes();
+    if (start === end) return false;
+    return start < end ? (now >= start && now < end) : (now >= start || now < end);
+}
 
-function openSweetheartList() {
+/**
+ * 判断现在是否该给这个密友发一条主动消息
+ * 条件：已开启、不在免打扰时段、用户超过设定时间没打开聊天、距上次主动消息足够久，
+ * 且上一条主动消息用户已经回复过（不会连续追发）
+ */
+function shouldSendProactiveMessage(contact, now = Date.now()) {
+    const record = getProactiveRecord(contact.id);
+    if (!record.enabled || isInProactiveQuietHours(record, new Date(now))) return false;
 
-    // 打开密友列表页面
-    document.getElementById('sweetheartListPage').classList.add('show');
-    renderSweetheartList();
-}
+    // 正在前台和这个密友聊天时不打扰
+    const chatPage = document.getElementById('sweetheartChatPage');
+    if (currentSweetheartChatContact?.id === contact.id && chatPage.classList.contains('show') && !document.hidden) return false;
 
+    const lastMessage = ChatHistoryStore.last('phoneSweetheartChatHistory', contact.id);
+    if (lastMessage?.proactive) return false;
 
-// [修改版] 关闭密友列表，直接回到桌面
-function closeSweetheartList(isNavigatingBack = false) {
-    document.getElementById('sweetheartListPage').classList.remove('show');
+    // 上次生成失败后还在退避时间内
+    if (record.failures > 0 && now - (record.failedAt || 0) < getProactiveRetryDelay(record.failures)) return false;
 
-    // 🔥 核心修改：移除原有的 openWorldSelect() 调用
-    // 这样点击返回时，就会直接露出身后的主屏幕（App图标界面）
+    const lastActiveAt = Math.max(record.lastOpenedAt || 0, lastMessage?.timestamp || 0);
+    if (now - lastActiveAt < record.idleHours * HOUR_MS) return false;
+    return now - (record.lastSentAt || 0) >= record.intervalHours * HOUR_MS;
 }
 
+/**
+ * 连续失败 failures 次后，下次尝试前要等多久
+ */
+function getProactiveRetryDelay(failures) {
+    return Math.min(PROACTIVE_RETRY_MAX, PROACTIVE_RETRY_BASE * 2 ** (failures - 1));
+}
 
-// ▼▼▼ 替换这个新的 getLastMessagePreview 函数 ▼▼▼
 /**
- * [新增] 获取最后一条消息的预览文本
- * @param {object} lastMessage - 聊天记录中的最后一条消息对象
- * @returns {string} - 用于预览的文本
+ * 主动消息的触发指令（作为隐藏的用户消息发给 AI）
  */
-function getLastMessagePreview(lastMessage) {
-    if (!lastMessage) {
-        return '';
-    }
+function buildProactivePrompt(idleHours) {
+    const timeText = new Date().toLocaleString('zh-CN', {weekday: 'long', hour: '2-digit', minute: '2-digit'});
+    return `(系统提示：用户已经 ${idleHours} 小时以上没有打开和你的聊天了，现在是${timeText}。请你像真人一样主动给用户发消息，可以分享你正在做的事、想起和用户有关的事，或者关心一下用户。不要提到这条提示。)`;
+}
 
-    // 1. 处理地点提示
-    if (lastMessage.type === 'location') {
-        return `[进入地点：${escapeHTML(lastMessage.locationName)}]`;
-    }
+/**
+ * 用和手动回复相同的上下文生成一条主动消息，保存到密友聊天记录
+ * @returns {Promise<boolean>} 是否发出了消息
+ */
+async function sendProactiveMessage(contact) {
+    const contactId = contact.id;
+    const record = getProactiveRecord(contactId);
 
-    // ⭐ 修复：处理红包消息
-    if (lastMessage.type === 'red-packet') {
-        // 如果是AI发的且未打开的红包，显示“你收到TA的红包”
-        if (lastMessage.sender === 'contact' && lastMessage.content.status === 'unopened') {
-            return `[你收到TA的红包]`;
-        }
-        // 如果是AI发的且已打开的红包，显示“TA的红包已被领取”
-        else if (lastMessage.sender === 'contact' && lastMessage.content.status === 'opened') {
-            return `[TA的红包已被领取]`;
-        }
-        // 如果是自己发的红包
-        else if (lastMessage.sender === 'user') {
-            return `[你发出了一个红包]`;
-        }
+    const messages = await buildSweetheartContextMessages(contact, '');
+    messages.push({role: 'user', content: buildProactivePrompt(record.idleHours)});
+    const dynamicPersona = {
+        "character_name": contact.name,
+        "character_persona": contact.status || "亲密朋友"
+    };
+    const result = await callApi(messages, [], dynamicPersona, false, {contact});
+    if (!result.success) {
+        console.warn(`主动消息生成失败 (${contact.name}):`, result.message);
+        return false;
     }
 
-    // 2. 处理图片或渲染消息
-    if (typeof lastMessage.text === 'string') {
-        if (lastMessage.text.includes('<img')) {
-            return '[图片]';
-        }
-        if (lastMessage.text.includes('<render>')) {
-            return '[特殊消息]';
+    const {chatReplyText, statusData} = parseAiJsonResponse(result.message);
+    let relationshipDelta = statusData ? saveStatusData(contactId, statusData) : null;
+    const segments = (chatReplyText || '').split(/---\s*/).filter(s => s.trim() !== '');
+    if (segments.length === 0) return false;
+
+    // 聊天页开着（但应用在后台）时，消息直接显示在聊天里
+    const isViewing = currentSweetheartChatContact?.id === contactId &&
+        document.getElementById('sweetheartChatPage').classList.contains('show');
+    const messagesEl = document.getElementById('sweetheartChatMessages');
+    let lastMessage = null;
+    segments.forEach(segment => {
+        lastMessage = {...parseSweetheartReplySegment(segment), proactive: true};
+        if (relationshipDelta) {
+            lastMessage.relationshipDelta = relationshipDelta;
+            relationshipDelta = null;
         }
-        // 截断过长的文本，增加省略号
-        const trimmedText = lastMessage.text.trim();
-        return trimmedText.length > 30 ? trimmedText.substring(0, 30) + '...' : trimmedText;
-    }
+        const idx = saveSweetheartMessage(contactId, lastMessage);
+        if (isViewing) messagesEl.appendChild(_createMessageDOM(contactId, lastMessage, idx));
+    });
+    if (isViewing) messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    // 如果消息格式未知，返回空
-    return '';
+    updateProactiveRecord(contactId, {
+        lastSentAt: Date.now(),
+        failures: 0,
+        unread: isViewing ? 0 : (record.unread || 0) + segments.length
+    });
+    if (document.getElementById('sweetheartListPage').classList.contains('show')) renderSweetheartList();
+    showProactiveNotification(contact, getSearchableMessageText(lastMessage) || '发来了一条消息');
+    updateContactMemory('sweetheart', contactId, contact.name);
+    return true;
 }
 
-// ▲▲▲ 替换结束 ▲▲▲
 /**
- * [最终增强版] 渲染密友列表 (带点击保护)
+ * 定时检查：每次最多给一个符合条件的密友发主动消息
+ * 符合条件的密友里先轮到最久没尝试过的，某个密友一直失败时不会挡住其他密友
  */
-function renderSweetheartList() {
-    const container = document.getElementById('sweetheartListContainer');
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
+async function checkProactiveMessages() {
+    if (proactiveInFlight || !navigator.onLine) return;
+    const now = Date.now();
+    const contact = sweetheartContactsData
+        .filter(c => shouldSendProactiveMessage(c, now))
+        .sort((a, b) => (getProactiveRecord(a.id).lastAttemptAt || 0) - (getProactiveRecord(b.id).lastAttemptAt || 0))[0];
+    if (!contact) return;
 
-    container.innerHTML = '';
+    proactiveInFlight = true;
+    updateProactiveRecord(contact.id, {lastAttemptAt: now});
+    let sent = false;
+    try {
+        sent = await sendProactiveMessage(contact);
+    } catch (e) {
+        console.error('发送主动消息出错:', e);
+    } finally {
+        proactiveInFlight = false;
+    }
+    if (!sent) {
+        const failures = (getProactiveRecord(contact.id).failures || 0) + 1;
+        updateProactiveRecord(contact.id, {failures, failedAt: Date.now()});
+        console.warn(`主动消息 (${contact.name}) 第 ${failures} 次失败，${Math.round(getProactiveRetryDelay(failures) / 60000)} 分钟后再试`);
+    }
+}
 
-    let contactsToShow = [];
-    if (currentWorldId) {
-        const world = worldsData.find(w => w.id === currentWorldId);
-        if (world) {
-            contactsToShow = sweetheartContactsData.filter(contact =>
-                world.contacts.includes(String(contact.id))
-            );
+function startProactiveScheduler() {
+    setTimeout(checkProactiveMessages, 30 * 1000);
+    setInterval(checkProactiveMessages, PROACTIVE_CHECK_INTERVAL);
+}
+
+/**
+ * 应用在后台时发送系统通知；点击通知打开对应的聊天
+ */
+async function showProactiveNotification(contact, text) {
+    if (!document.hidden || !('Notification' in window) || Notification.permission !== 'granted') return;
+    const options = {body: text.slice(0, 100), icon: './icons/icon2.png', tag: `proactive_${contact.id}`};
+    try {
+        const registration = navigator.serviceWorker ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification(contact.name, options);
+            return;
         }
-    } else {
-        contactsToShow = sweetheartContactsData;
+        const notification = new Notification(contact.name, options);
+        notification.onclick = () => {
+            window.focus();
+            openSweetheartChat(contact);
+            notification.close();
+        };
+    } catch (e) {
+        console.warn('发送通知失败:', e);
     }
+}
 
-    if (contactsToShow.length === 0) {
-        const world = worldsData.find(w => w.id === currentWorldId);
-        const worldName = world ? world.name : '这个世界';
-        container.innerHTML = `<div style="text-align: center; padding: 60px 20px; color: #A1887F; font-size: 14px; line-height: 1.6;">${worldName}还没有联系人,<br/>点击右上角添加一个吧 ✨</div>`;
+/**
+ * 在密友聊天设置页填入当前密友的主动消息设置
+ */
+function renderProactiveSettings(contact) {
+    if (!contact) return;
+    const record = getProactiveRecord(contact.id);
+    document.getElementById('proactiveEnabledToggle').checked = record.enabled;
+    document.getElementById('proactiveIdleHoursInput').value = record.idleHours;
+    document.getElementById('proactiveIntervalSelect').value = String(record.intervalHours);
+    document.getElementById('proactiveQuietStartInput').value = record.quietStart;
+    document.getElementById('proactiveQuietEndInput').value = record.quietEnd;
+    document.getElementById('proactiveSettingsFields').style.display = record.enabled ? 'block' : 'none';
+}
+
+/**
+ * 保存主动消息设置（设置页任一项变化时调用）
+ */
+function saveProactiveSettings() {
+    const contact = currentSweetheartChatContact;
+    if (!contact) return;
+    const enabled = document.getElementById('proactiveEnabledToggle').checked;
+    const idleHours = parseFloat(document.getElementById('proactiveIdleHoursInput').value);
+    if (!(idleHours >= 1)) {
+        alert('「多久没打开聊天」至少为 1 小时');
+        document.getElementById('proactiveIdleHoursInput').value = getProactiveRecord(contact.id).idleHours;
         return;
     }
 
-    contactsToShow.forEach(contact => {
-        try {
-            const wrapper = document.createElement('div');
-            wrapper.className = 'sweetheart-item-wrapper';
-            wrapper.dataset.contactId = contact.id;
-            wrapper.dataset.contactType = 'sweetheart';
+    if (enabled && !getProactiveRecord(contact.id).enabled && 'Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+    updateProactiveRecord(contact.id, {
+        enabled,
+        idleHours,
+        intervalHours: parseFloat(document.getElementById('proactiveIntervalSelect').value),
+        quietStart: document.getElementById('proactiveQuietStartInput').value || PROACTIVE_DEFAULTS.quietStart,
+        quietEnd: document.getElementById('proactiveQuietEndInput').value || PROACTIVE_DEFAULTS.quietEnd
+    });
+    document.getElementById('proactiveSettingsFields').style.display = enabled ? 'block' : 'none';
+}
 
-            const contactMessages = chatHistory[contact.id] || [];
-            let lastMessageText = contact.status || '...';
+// ========== 密友主动消息 - 结束 ==========
 
-            if (contactMessages.length > 0) {
-                const preview = getLastMessagePreview(contactMessages[contactMessages.length - 1]);
-                if (preview) lastMessageText = preview;
-            }
+/**
+ * [全新] 从DOM实时读取当前状态弹窗中显示的数据
+ * @returns {object} 一个包含实时角色和用户状态的对象
+ */
+function getCurrentLiveStatus() {
+    const schema = getStatusSchema(currentSweetheartChatContact?.id);
+    const liveStatus = {character: {}, user: {}};
 
-            const isUrl = contact.avatar && (String(contact.avatar).startsWith('http') || String(contact.avatar).startsWith('data:'));
-            const avatarContent = isUrl
-                ? `<img src="${escapeHTML(contact.avatar)}" alt="${escapeHTML(contact.name)}">`
-                : `<span>${escapeHTML(contact.avatar)}</span>`;
+    Object.keys(STATUS_SIDES).forEach(side => {
+        schema[side].forEach(field => {
+            const element = document.querySelector(
+                `#statusSchemaPanel [data-status-side="${side}"][data-status-key="${field.key}"]`
+            );
+            const value = element ? element.dataset.value : '';
+            // 占位符 "..." 也视为未知
+            liveStatus[side][field.key] = (value && value !== '...') ? value : '未知';
+        });
+    });
 
-            let instanceIdHtml = '';
-            if (contact.id) {
-                instanceIdHtml = `<div class="sweetheart-instance-id" title="联系人ID">ID: ${escapeHTML(contact.id)}</div>`;
-            }
+    return liveStatus;
+}
 
-            wrapper.innerHTML = `
-                <div class="swipe-actions">
-                    <button class="swipe-delete-btn">删除</button>
-                </div>
-                <div class="sweetheart-item-content">
-                    <div class="sweetheart-avatar">${avatarContent}</div>
-                    <div class="sweetheart-info">
-                        <div class="sweetheart-name">${escapeHTML(contact.name)}</div>
-                        ${instanceIdHtml}
-                        <div class="sweetheart-status">${escapeHTML(lastMessageText)}</div>
-                    </div>
-                </div>
-            `;
 
-            // 🔥 绑定点击事件：打开聊天
-            const contentEl = wrapper.querySelector('.sweetheart-item-content');
-            if (contentEl) {
-                contentEl.onclick = (e) => {
-                    // 阻止事件冒泡，防止触发底层的其他点击
-                    e.stopPropagation();
+/**
+ * [新增] 获取统一的聊天历史（普通+密友）
+ * @param {string} contactId - 联系人ID
+ * @returns {Array} 合并后的历史记录
+ */
+function getUnifiedHistory(contactId) {
+    // 只读视图，调用前需已 loadContact
+    const normalMessages = ChatHistoryStore.view('phoneChatHistory', contactId);
+    const sweetheartMessages = ChatHistoryStore.view('phoneSweetheartChatHistory', contactId);
 
-                    if (!wrapper.classList.contains('is-swiped')) {
-                        // 1. 关闭列表页
-                        closeSweetheartList(false);
-                        // 2. 延迟一点点打开聊天页，动画更流畅
-                        setTimeout(() => {
-                            openSweetheartChat(contact);
-                        }, 50); // 稍微缩短延迟
-                    }
-                };
-            }
+    // 合并两个列表（简单拼接，如需按时间排序可以添加时间戳）
+    const allMessages = [...normalMessages, ...sweetheartMessages];
 
-            // 删除按钮事件
-            const deleteBtn = wrapper.querySelector('.swipe-delete-btn');
-            if (deleteBtn) {
-                deleteBtn.onclick = (e) => {
-                    e.stopPropagation();
-                    deleteContactFromList(contact.id, 'sweetheart');
-                };
-            }
+    console.log(`📚 记忆互通: 联系人${contactId} - 普通${normalMessages.length}条 + 密友${sweetheartMessages.length}条 = 总计${allMessages.length}条`);
 
-            container.appendChild(wrapper);
-            addSwipeToDeleteListeners(wrapper);
-        } catch (err) {
-            console.error(`渲染联系人 ${contact.name} 失败:`, err);
-        }
-    });
+    return allMessages;
 }
 
-// ========== 结束：新增的密友列表相关函数 ==========
+// ▼▼▼ 步骤3.4：添加数据处理函数 ▼▼▼
+/**
+ * 更新状态弹窗的UI (安全修正版)
+ * 增加元素存在性检查，防止因HTML结构缺失导致报错
+ * @param {object} statusData - 从API解析出的状态对象
+ */
+function updateStatusPopup(statusData) {
+    if (!statusData) {
+        console.warn("⚠️ statusData 为空，无法更新状态弹窗");
+        return;
+    }
 
+    const panel = document.getElementById('statusSchemaPanel');
+    if (!panel) return;
+
+    // 按状态字段配置的顺序渲染，每个值都带上 data-status-* 供 getCurrentLiveStatus 读取
+    const schema = getStatusSchema(currentSweetheartChatContact?.id);
+    panel.innerHTML = Object.entries(STATUS_SIDES).map(([side, sideLabel]) => {
+        const values = statusData[side] || {};
+        if (schema[side].length === 0) return '';
+        return `
+            <div class="status-schema-side">
+                <div class="status-schema-side-title">${sideLabel}</div>
+                ${schema[side].map(field => `
+                    <div class="status-schema-item">
+                        <span class="status-schema-label">${escapeHTML(field.label)}</span>
+                        <span class="status-schema-value" data-status-side="${side}" data-status-key="${field.key}"
+                              data-value="${escapeStatusAttr(values[field.key])}">${renderStatusFieldValue(field, values[field.key])}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
 
-function addNewSweetheartContact() {
-    // 生成新ID
-    const newId = 'SH_' + Date.now();
-    openUnifiedModalWithData({id: newId}, 'sweetheart');
+    renderRelationshipMeter();
 }
 
 
-// ========== 密友专用聊天页面功能 ==========
-
-let currentSweetheartChatContact = null;
-let currentSweetheartQuoteData = null;
-
 /**
- * [终极修复版] 打开密友聊天页面
- * 修复：强制关闭测试页、书架等高层级页面，防止遮挡聊天窗口
+ * [修改后] 将最新的状态数据保存到 localStorage，并保留最近 STATUS_HISTORY_LIMIT 条历史记录
+ * @param {string} contactId - 当前密友的ID
+ * @param {object} statusData - 要保存的状态对象
  */
-function openSweetheartChat(contact) {
-    if (!contact) return;
-
-    // 1. 隐藏所有可能遮挡的菜单和弹窗
-    hideMessageActionSheet();
-    hideSweetheartMessageActionSheet();
-
-    // 🔥 关键修复：强制关闭测试页面和结果弹窗
-    document.getElementById('testPage').classList.remove('show');
-    document.getElementById('testResultModal').classList.remove('show');
-    document.getElementById('testConfigModal').classList.remove('show');
+function saveStatusData(contactId, statusData) {
+    try {
+        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+        let contactHistory = allStatusHistories[contactId] || [];
 
-    // 关闭可能存在的其他高层级页面
-    document.getElementById('novelReaderPage').classList.remove('show');
-    document.getElementById('novelShelfPage').classList.remove('show');
+        // 为新状态添加时间戳
+        const newStatusEntry = {
+            ...statusData,
+            timestamp: Date.now()
+        };
 
-    // 2. 设置当前联系人
-    currentSweetheartChatContact = contact;
+        // 将新状态添加到历史记录的开头
+        contactHistory.unshift(newStatusEntry);
 
-    const chatPage = document.getElementById('sweetheartChatPage');
-    const contactNameEl = document.getElementById('sweetheartChatContactName');
-    const messagesEl = document.getElementById('sweetheartChatMessages');
-    const chatInput = document.getElementById('sweetheartChatInput');
+        // 只保留最近的 STATUS_HISTORY_LIMIT 条记录
+        contactHistory = contactHistory.slice(0, STATUS_HISTORY_LIMIT);
 
-    // === 按钮状态重置 ===
-    const replyBtn = document.getElementById('sweetheartGetReplyBtn');
-    if (replyBtn) {
-        replyBtn.disabled = false;
-        replyBtn.style.opacity = '1';
-        replyBtn.style.pointerEvents = 'auto';
-        replyBtn.style.display = 'flex';
-    }
+        // 更新该联系人的历史记录
+        allStatusHistories[contactId] = contactHistory;
 
-    contactNameEl.textContent = contact.name;
-    messagesEl.innerHTML = '';
+        // 保存回 localStorage
+        localStorage.setItem('sweetheartStatusHistory', JSON.stringify(allStatusHistories));
+        console.log(`✅ 已为 ${contactId} 更新状态历史，当前共 ${contactHistory.length} 条记录。`);
 
-    // 3. 显示聊天页面
-    requestAnimationFrame(() => {
-        chatPage.classList.add('show');
-        applySweetheartChatAvatarsSetting(globalConfig.showAvatarsInSweetheartChat);
+    } catch (e) {
+        console.error("保存状态历史数据失败:", e);
+    }
+}
 
-        // 加载历史记录
-        const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-        const contactMessages = chatHistory[contact.id] || [];
+/**
+ * [修改后] 当打开聊天时，加载并应用最后一次保存的状态
+ * @param {string} contactId - 当前密友的ID
+ */
+function loadAndApplyStatusData(contactId) {
+    try {
+        // 从新的历史记录存储中读取
+        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+        const contactHistory = allStatusHistories[contactId];
 
-        if (contactMessages.length === 0) {
-            const welcomeMessageEl = document.createElement('div');
-            welcomeMessageEl.textContent = `和密友 ${contact.name} 的悄悄话开始了...💖`;
-            welcomeMessageEl.style.textAlign = 'center';
-            welcomeMessageEl.style.fontSize = '12px';
-            welcomeMessageEl.style.color = '#D4A5A5';
-            welcomeMessageEl.style.margin = '10px 0';
-            messagesEl.appendChild(welcomeMessageEl);
+        // 如果有历史记录，则取第一条（最新的）来更新UI
+        if (contactHistory && contactHistory.length > 0) {
+            updateStatusPopup(contactHistory[0]);
         } else {
-            contactMessages.forEach((message, index) => {
-                const messageRow = _createMessageDOM(contact.id, message, index);
-                messagesEl.appendChild(messageRow);
-            });
-        }
-
-        setTimeout(() => {
-            messagesEl.scrollTop = messagesEl.scrollHeight;
-            updateSweetheartChatInputAreaButtons();
-        }, 50);
-
-        if (chatInput) {
-            chatInput.value = '';
-            chatInput.disabled = false;
-            chatInput.removeAttribute('readonly');
-            // 此处不强制聚焦，避免手机键盘自动弹起遮挡
+            // 如果没有历史状态，则清空弹窗的旧数据
+            updateStatusPopup({character: {}, user: {}});
         }
-
-        setupSweetheartChatInput();
-        setupSweetheartAttachmentMenu();
-    });
+    } catch (e) {
+        console.error("加载状态历史数据失败:", e);
+    }
 }
 
+/* ========== 同步组管理功能 - 开始 ========== */
 
 /**
- * [修正版] 关闭密友聊天页面，并返回到密友列表
+ * 打开同步组管理界面
  */
-function closeSweetheartChat() {
-    const chatPage = document.getElementById('sweetheartChatPage');
-    chatPage.classList.remove('show');
+function openStatusSyncGroup() {
+    if (!currentWorldId) {
+        showSuccessModal('提示', '请先进入一个世界！', 2000);
+        return;
+    }
 
-    // 关闭后，延迟一下让关闭动画完成，然后重新打开密友列表
-    setTimeout(() => {
-        openSweetheartList();
-    }, 350); // 350ms 与关闭动画的时长一致
+    if (!currentSweetheartChatContact) {
+        showSuccessModal('提示', '请先打开一个密友聊天！', 2000);
+        return;
+    }
+
+    const popup = document.getElementById('statusSyncPopup');
+    if (!popup) return;
+
+    // 渲染同步组信息
+    renderSyncGroupInfo();
+
+    // 显示弹窗
+    popup.classList.add('show');
 }
 
-// ========== 左滑删除功能 JS (V2 - 兼容鼠标和触摸) 开始 ==========
+/**
+ * 关闭同步组管理界面
+ */
+function closeStatusSyncGroup() {
+    const popup = document.getElementById('statusSyncPopup');
+    if (popup) {
+        popup.classList.remove('show');
+    }
+}
 
 /**
- * 为联系人项添加滑动删除的事件监听器 (兼容鼠标和触摸)
- * @param {HTMLElement} wrapperElement - 包裹着内容层和操作层的外层元素
+ * 渲染同步组信息
  */
-function addSwipeToDeleteListeners(wrapperElement) {
-    const contentElement = wrapperElement.querySelector('.contact-item-content, .sweetheart-item-content');
-    if (!contentElement) return;
+function renderSyncGroupInfo() {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world) return;
 
-    let startX = 0;
-    let currentX = 0;
-    let isDragging = false; // 统一用 isDragging 表示正在拖拽/滑动
-    let hasMoved = false;   // 标记是否发生过位移，以区分点击和滑动
-    const swipeThreshold = -40;
-    const maxSwipe = -80;
+    // 获取当前世界的同步组
+    const syncGroup = getSyncGroupForWorld(currentWorldId);
 
-    // 统一获取事件坐标
-    const getPointerX = (e) => e.touches ? e.touches[0].clientX : e.clientX;
+    // 获取当前联系人是否在同步组中
+    const currentContactId = currentSweetheartChatContact.id;
+    const isInGroup = syncGroup.includes(currentContactId);
 
-    const onDragStart = (e) => {
-        // 关闭其他已滑开的项
-        document.querySelectorAll('.is-swiped').forEach(swipedItem => {
-            if (swipedItem !== wrapperElement) {
-                swipedItem.classList.remove('is-swiped');
-            }
-        });
+    // 更新状态提示
+    const statusInfo = document.getElementById('syncStatusInfo');
+    if (syncGroup.length === 0) {
+        statusInfo.innerHTML = `
+            <div class="sync-status-icon">🌍</div>
+            <div class="sync-status-text">
+                世界「${escapeHTML(world.name)}」还没有人加入状态同步组<br>
+                <small style="color: #BCAAA4;">加入后，你的状态会与其他成员实时同步</small>
+            </div>
+        `;
+    } else if (isInGroup) {
+        statusInfo.innerHTML = `
+            <div class="sync-status-icon">✅</div>
+            <div class="sync-status-text">
+                你已加入同步组（共${syncGroup.length}人）<br>
+                <small style="color: #BCAAA4;">你的状态会与下列成员互相同步</small>
+            </div>
+        `;
+    } else {
+        statusInfo.innerHTML = `
+            <div class="sync-status-icon">ℹ️</div>
+            <div class="sync-status-text">
+                当前有${syncGroup.length}人在同步组中<br>
+                <small style="color: #BCAAA4;">加入后可以与他们互相同步状态</small>
+            </div>
+        `;
+    }
 
-        startX = getPointerX(e);
-        isDragging = true;
-        hasMoved = false;
-        contentElement.style.transition = 'none'; // 拖动时移除动画
+    // 渲染成员列表
+    renderSyncGroupMembers(world, syncGroup);
 
-        // 绑定移动和结束事件
-        document.addEventListener('mousemove', onDragMove);
-        document.addEventListener('touchmove', onDragMove);
-        document.addEventListener('mouseup', onDragEnd);
-        document.addEventListener('touchend', onDragEnd);
-    };
+    // 更新按钮状态
+    const toggleBtn = document.getElementById('syncToggleBtn');
+    if (isInGroup) {
+        toggleBtn.textContent = '退出同步组';
+        toggleBtn.className = 'status-sync-toggle-btn leave';
+    } else {
+        toggleBtn.textContent = '加入同步组';
+        toggleBtn.className = 'status-sync-toggle-btn join';
+    }
+}
 
-    const onDragMove = (e) => {
-        if (!isDragging) return;
+/**
+ * 渲染同步组成员列表
+ */
+function renderSyncGroupMembers(world, syncGroup) {
+    const container = document.getElementById('syncGroupMembers');
+    if (!container) return;
 
-        currentX = getPointerX(e);
-        let deltaX = currentX - startX;
+    container.innerHTML = '';
 
-        // 第一次移动超过5px时，才标记为已移动
-        if (!hasMoved && Math.abs(deltaX) > 5) {
-            hasMoved = true;
-        }
+    // 获取当前世界的所有联系人
+    const worldContacts = world.contacts.map(contactId =>
+        sweetheartContactsData.find(c => c.id === contactId)
+    ).filter(Boolean);
 
-        // 如果已经滑开了，允许向右滑回来
-        if (!wrapperElement.classList.contains('is-swiped')) {
-            if (deltaX > 0) deltaX = 0; // 但阻止向右滑超过原始位置
-        }
+    if (worldContacts.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 20px; color: #BCAAA4;">
+                当前世界还没有联系人
+            </div>
+        `;
+        return;
+    }
 
-        // 限制最大滑动距离
-        if (deltaX < maxSwipe - 20) deltaX = maxSwipe - 20;
+    const currentContactId = currentSweetheartChatContact.id;
 
-        contentElement.style.transform = `translateX(${deltaX}px)`;
-    };
+    // 渲染每个联系人
+    worldContacts.forEach(contact => {
+        const isInGroup = syncGroup.includes(contact.id);
+        const isMe = contact.id === currentContactId;
+
+        const item = document.createElement('div');
+        item.className = 'sync-member-item' + (isMe ? ' is-me' : '');
+
+        const isUrl = contact.avatar && (contact.avatar.startsWith('http') || contact.avatar.startsWith('data:'));
+        const avatarContent = isUrl
+            ? `<img src="${escapeHTML(contact.avatar)}" alt="">`
+            : escapeHTML(contact.avatar);
+
+        const badge = isMe ? '（我）' : '';
+        const statusIcon = isInGroup ? '✓' : '○';
+        const statusClass = isInGroup ? 'active' : 'inactive';
+
+        item.innerHTML = `
+            <div class="sync-member-avatar">${avatarContent}</div>
+            <div class="sync-member-info">
+                <div class="sync-member-name">${escapeHTML(contact.name)}</div>
+                <div class="sync-member-badge ${statusClass}">${badge}${isInGroup ? '已加入同步' : '未加入'}</div>
+            </div>
+            <div class="sync-member-status ${statusClass}">${statusIcon}</div>
+        `;
 
-    const onDragEnd = (e) => {
-        if (!isDragging) return;
+        container.appendChild(item);
+    });
+}
 
-        // 解绑事件
-        document.removeEventListener('mousemove', onDragMove);
-        document.removeEventListener('touchmove', onDragMove);
-        document.removeEventListener('mouseup', onDragEnd);
-        document.removeEventListener('touchend', onDragEnd);
+/**
+ * 切换同步组成员资格
+ */
+function toggleSyncGroupMembership() {
+    if (!currentWorldId || !currentSweetheartChatContact) return;
 
-        isDragging = false;
-        contentElement.style.transition = 'transform 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
+    const currentContactId = currentSweetheartChatContact.id;
+    const syncGroup = getSyncGroupForWorld(currentWorldId);
+    const isInGroup = syncGroup.includes(currentContactId);
 
-        // 如果只是轻微移动，就当做是误触，不触发点击事件
-        if (!hasMoved) {
-            contentElement.style.transform = 'translateX(0px)';
-            return;
+    if (isInGroup) {
+        // 退出同步组
+        if (confirm('确定要退出同步组吗？退出后你的状态将不再与其他成员同步。')) {
+            removeMemberFromSyncGroup(currentWorldId, currentContactId);
+            showSuccessModal('已退出', '你已退出状态同步组');
         }
+    } else {
+        // 加入同步组
+        addMemberToSyncGroup(currentWorldId, currentContactId);
+        showSuccessModal('已加入', '你已加入状态同步组，现在你的状态会与其他成员互相同步！');
+    }
 
-        // 阻止 touchend 后的 click 事件
-        if (e.type === 'touchend') {
-            e.preventDefault();
-        }
+    // 刷新界面
+    renderSyncGroupInfo();
+}
 
-        const deltaX = currentX - startX;
+/**
+ * 获取指定世界的同步组成员
+ * @param {string} worldId - 世界ID
+ * @returns {Array<string>} - 同步组成员ID数组
+ */
+function getSyncGroupForWorld(worldId) {
+    try {
+        const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
+        return allSyncGroups[worldId] || [];
+    } catch (e) {
+        console.error('读取同步组失败:', e);
+        return [];
+    }
+}
 
-        // 判断是打开还是关闭
-        if (deltaX < swipeThreshold) {
-            wrapperElement.classList.add('is-swiped');
-            contentElement.style.transform = `translateX(${maxSwipe}px)`;
-        } else {
-            wrapperElement.classList.remove('is-swiped');
-            contentElement.style.transform = 'translateX(0px)';
-        }
-    };
+/**
+ * 将成员添加到同步组
+ * @param {string} worldId - 世界ID
+ * @param {string} contactId - 联系人ID
+ */
+function addMemberToSyncGroup(worldId, contactId) {
+    try {
+        const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
 
-    // 同时监听鼠标按下和触摸开始
-    contentElement.addEventListener('mousedown', onDragStart);
-    contentElement.addEventListener('touchstart', onDragStart, {passive: true});
+        if (!allSyncGroups[worldId]) {
+            allSyncGroups[worldId] = [];
+        }
 
+        if (!allSyncGroups[worldId].includes(contactId)) {
+            allSyncGroups[worldId].push(contactId);
+            localStorage.setItem('worldStatusSyncGroups', JSON.stringify(allSyncGroups));
+            console.log(`✅ ${contactId} 已加入世界 ${worldId} 的同步组`);
+        }
+    } catch (e) {
+        console.error('添加到同步组失败:', e);
+    }
 }
 
 /**
- * 从列表中删除一个联系人 (V2 - 优化UI)
- * @param {string} contactId - 要删除的联系人ID
- * @param {'normal' | 'sweetheart'} type - 联系人类型
+ * 从同步组移除成员
+ * @param {string} worldId - 世界ID
+ * @param {string} contactId - 联系人ID
  */
-function editContactFromLibrary(contactId, type) {
-    let contactData;
-    if (type === 'sweetheart') {
-        contactData = sweetheartContactsData.find(c => c.id === contactId);
-    } else if (type === 'library-only') {
-        contactData = libraryOnlyContactsData.find(c => c.id === contactId);
-    } else {
-        contactData = contactsData.find(c => c.id === contactId);
-    }
+function removeMemberFromSyncGroup(worldId, contactId) {
+    try {
+        const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
 
-    if (contactData) {
-        // 映射 type 到 saveTarget
-        const target = type === 'library-only' ? 'library-only' : (type === 'sweetheart' ? 'sweetheart' : 'default');
-        openUnifiedModalWithData(contactData, target);
+        if (allSyncGroups[worldId]) {
+            allSyncGroups[worldId] = allSyncGroups[worldId].filter(id => id !== contactId);
+            localStorage.setItem('worldStatusSyncGroups', JSON.stringify(allSyncGroups));
+            console.log(`✅ ${contactId} 已退出世界 ${worldId} 的同步组`);
+        }
+    } catch (e) {
+        console.error('从同步组移除失败:', e);
     }
 }
 
 /**
- * 使用统一模态框打开角色编辑
- * @param {object} data - 联系人数据对象 (如果是新建，只包含 id)
- * @param {string} target - 保存目标 ('default', 'sweetheart', 'library-only')
+ * [修改] 保存状态数据，并在同步组内互相同步
+ * @param {string} contactId - 当前密友的ID
+ * @param {object} statusData - 要保存的状态对象
+ * @returns {object|null} 实际产生的好感度变化，调用方记到这次回复的第一条消息上（relationshipDelta）
  */
-function openUnifiedModalWithData(data, target = 'default') {
-    const modal = document.getElementById('characterCardModal');
-    modal.dataset.editingId = data.id;
-    modal.dataset.saveTarget = target;
-    if (currentWorldId) modal.dataset.currentWorldId = currentWorldId;
+function saveStatusData(contactId, statusData) {
+    if (!contactId || !statusData) return null;
+    let relationshipDelta = null;
 
-    // 1. 填充基础字段
-    document.getElementById('char-name').value = data.name || '';
-    document.getElementById('char-persona').value = data.status || '';
-    document.getElementById('char-voice-id').value = data.voiceId || '';
-    document.getElementById('char-instance-id').textContent = data.id;
+    try {
+        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+        let contactHistory = allStatusHistories[contactId] || [];
 
-    // 头像处理
-    const avatarImg = document.getElementById('avatar-preview');
-    if (data.avatar && (data.avatar.startsWith('http') || data.avatar.startsWith('data:'))) {
-        avatarImg.src = data.avatar;
-    } else {
-        avatarImg.src = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs='; // 默认透明占位
-    }
+        // 数值变化单独记录，不放进状态历史
+        const {relationship, ...status} = statusData;
+        if (relationship) relationshipDelta = applyRelationshipDelta(contactId, relationship);
 
-    // 2. 填充详细设定字段
-    document.getElementById('char-personality').value = data.personality || '';
-    document.getElementById('char-occupation').value = data.occupation || '';
-    document.getElementById('char-catchphrase').value = data.catchphrase || '';
-    document.getElementById('char-relationship').value = data.relationship || '';
-    document.getElementById('char-history').value = data.history || '';
+        const newStatusEntry = {
+            ...normalizeStatusData(status, getStatusSchema(contactId)),
+            timestamp: Date.now()
+        };
 
-    // 3. 填充用户信息 (始终显示当前用户的全局配置)
-    document.getElementById('user-name').value = userProfile.name || '我';
-    document.getElementById('user-persona').value = userProfile.persona || '';
-    const userImg = document.getElementById('user-avatar-preview');
-    if (userProfile.avatar && (userProfile.avatar.startsWith('http') || userProfile.avatar.startsWith('data:'))) {
-        userImg.src = userProfile.avatar;
-    } else {
-        userImg.src = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
-    }
+        contactHistory.unshift(newStatusEntry);
+        contactHistory = contactHistory.slice(0, STATUS_HISTORY_LIMIT);
+        allStatusHistories[contactId] = contactHistory;
 
-    // 4. 渲染绑定列表
-    renderCharacterWorldbooksList(data.boundWorldbooks || []);
-    renderCharacterMasksList(data.boundMasks || []);
+        localStorage.setItem('sweetheartStatusHistory', JSON.stringify(allStatusHistories));
+        console.log(`✅ 已为 ${contactId} 更新状态历史`);
 
-    // 5. 重置折叠状态
-    document.getElementById('charExtendedFields').style.display = 'none';
-    document.getElementById('char-extended-arrow').classList.remove('open');
-    document.getElementById('charWorldbooksList').style.display = 'none';
-    document.getElementById('char-wb-arrow').classList.remove('open');
-    document.getElementById('charMasksList').style.display = 'none';
-    document.getElementById('char-mask-arrow').classList.remove('open');
+        // ✅ 新增：在同步组内互相同步"我的状态"
+        if (currentWorldId && statusData.user) {
+            syncMyStatusInGroup(currentWorldId, contactId, statusData.user);
+        }
 
-    // 6. 显示弹窗
-    openCharacterCardPage();
+        // 状态里提到地图上的地点时，同步TA在地图上的位置
+        if (currentWorldId && statusData.character) {
+            syncPositionFromStatus(currentWorldId, contactId, statusData.character);
+        }
+
+    } catch (e) {
+        console.error('保存状态历史数据失败:', e);
+    }
+    return relationshipDelta;
 }
 
 /**
- * [新增] 切换密友列表的添加联系人菜单
+ * [新增] 在同步组内同步"我的状态"
+ * @param {string} worldId - 当前世界ID
+ * @param {string} sourceContactId - 源联系人ID
+ * @param {object} myStatus - 我的状态数据
  */
-function toggleSweetheartContactMenu(event) {
-    // 阻止事件冒泡，防止触发全局点击事件而立即关闭菜单
-    event.stopPropagation();
+function syncMyStatusInGroup(worldId, sourceContactId, myStatus) {
+    if (!myStatus) return;
 
-    const menu = document.getElementById('sweetheartContactMenu');
-    if (menu) {
-        menu.classList.toggle('show');
+    // 获取同步组成员
+    const syncGroup = getSyncGroupForWorld(worldId);
+
+    // 检查源联系人是否在同步组中
+    if (!syncGroup.includes(sourceContactId)) {
+        console.log('ℹ️ 当前联系人不在同步组中，跳过同步');
+        return;
     }
-}
 
-/**
- * [最终修正版] 为密友列表选择一个已存在的联系人
- */
-function selectExistingContactForSweetheart() {
-    const menu = document.getElementById('sweetheartContactMenu');
-    if (menu) menu.classList.remove('show');
+    // 过滤出需要同步的目标（排除自己）
+    const syncTargets = syncGroup.filter(id => id !== sourceContactId);
+
+    if (syncTargets.length === 0) {
+        console.log('ℹ️ 同步组中只有自己，无需同步');
+        return;
+    }
+
+    try {
+        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+
+        syncTargets.forEach(targetContactId => {
+            let targetHistory = allStatusHistories[targetContactId] || [];
+
+            if (targetHistory.length > 0) {
+                // 更新最新一条的"我的状态"
+                targetHistory[0].user = {
+                    ...myStatus,
+                    syncedFrom: sourceContactId,
+                    syncedAt: Date.now()
+                };
+            } else {
+                // 创建新的状态记录
+                targetHistory.unshift({
+                    character: {
+                        location: '...',
+                        appearance: '...',
+                        action: '...',
+                        thoughts: '...',
+                        private_thoughts: '...'
+                    },
+                    user: {
+                        ...myStatus,
+                        syncedFrom: sourceContactId,
+                        syncedAt: Date.now()
+                    },
+                    timestamp: Date.now()
+                });
+            }
 
-    // 1. 先关闭当前的“密友列表”页面
-    // 参数 false 表示我们不是点击返回键，只是临时关闭
-    closeSweetheartList(false);
+            targetHistory = targetHistory.slice(0, STATUS_HISTORY_LIMIT);
+            allStatusHistories[targetContactId] = targetHistory;
 
-    // 2. 延迟 350 毫秒再打开“联系人库”
-    // 这是为了等待关闭动画完成后再执行打开动画，视觉效果更流畅
-    setTimeout(() => {
-        // 以 'selectForSweetheart' 模式打开联系人库
-        openContactLibrary('selectForSweetheart');
-    }, 350); // 350ms 约等于你的页面切换动画时长
-}
+            console.log(`🔄 已将"我的状态"同步到 ${targetContactId}`);
+        });
 
+        localStorage.setItem('sweetheartStatusHistory', JSON.stringify(allStatusHistories));
+        console.log(`✅ 同步完成，共同步到 ${syncTargets.length} 个成员`);
 
-// ========== 左滑删除功能 JS 结束 ==========
+    } catch (e) {
+        console.error('同步状态失败:', e);
+    }
+}
+
+/* ========== 同步组管理功能 - 结束 ========== */
 
 
 /**
- * 发送密友消息
+ * 取消引用（密友版）
  */
-// 全局变量，用于存储自动回复的计时器
-let sweetheartAutoReplyTimer = null;
-
-/* script.js */
+function cancelSweetheartQuote() {
+    currentSweetheartQuoteData = null;
+    const previewEl = document.getElementById('sweetheartQuotePreview');
+    previewEl.classList.remove('show');
+}
 
-async function addSweetheartMessageToList() {
-    const inputEl = document.getElementById('sweetheartChatInput');
-    const messagesEl = document.getElementById('sweetheartChatMessages');
-    const messageText = inputEl.value.trim();
+/**
+ * [最终修复版] 初始化密友聊天输入框
+ */
+function setupSweetheartChatInput() {
+    const chatInput = document.getElementById('sweetheartChatInput');
+    const chatInputArea = document.querySelector('.sweetheart-chat-input-area');
 
-    if (!messageText && !currentSweetheartQuoteData) return;
+    if (!chatInput || !chatInputArea) return;
 
-    const messagePayload = {
-        sender: 'user',
-        text: messageText,
-    };
+    // 1. 克隆节点以移除旧的所有事件监听器 (防止重复绑定)
+    const freshChatInput = chatInput.cloneNode(true);
+    chatInput.parentNode.replaceChild(freshChatInput, chatInput);
 
-    if (currentSweetheartQuoteData) {
-        messagePayload.quote = currentSweetheartQuoteData;
-    }
+    // 2. 绑定 "输入时显示发送按钮" 的逻辑
+    freshChatInput.addEventListener('input', function () {
+        updateSweetheartChatInputAreaButtons();
+    });
 
-    // 1. 立即上屏并保存
-    const newIndex = saveSweetheartMessage(currentSweetheartChatContact.id, messagePayload);
-    const messageRow = _createMessageDOM(currentSweetheartChatContact.id, messagePayload, newIndex);
-    messagesEl.appendChild(messageRow);
+    // 3. 绑定 "回车发送" 逻辑
+    freshChatInput.addEventListener('keypress', function (e) {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault(); // 阻止默认换行
+            addSweetheartMessageToList(); // 发送文本消息
+        }
+    });
 
-    inputEl.value = '';
-    document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
-    cancelSweetheartQuote();
+    // 4. 初始化一次状态
+    updateSweetheartChatInputAreaButtons();
 
-    renderSweetheartList();
+    // 确保输入框可用
+    freshChatInput.disabled = false;
+    freshChatInput.removeAttribute('readonly');
+}
 
-    messagesEl.scrollTop = messagesEl.scrollHeight;
-    inputEl.focus();
 
-    // ▼▼▼▼▼▼▼▼▼▼ 此处是修改点 ▼▼▼▼▼▼▼▼▼▼
+// ========== 世界书功能 - 开始 ==========
 
-    // 原来的代码有自动触发逻辑，【请全部删掉或注释掉】：
-    /*
-    if (globalConfig.sweetheartReplyMode === 'single') {
-        console.log('⏳ 单信息模式：检测到用户输入，启动防抖计时器...');
-        if (sweetheartAutoReplyTimer) {
-            clearTimeout(sweetheartAutoReplyTimer);
-        }
-        sweetheartAutoReplyTimer = setTimeout(async () => {
-            console.log('🚀 防抖结束，用户似乎说完了，正在请求 AI 回复...');
-            await getSweetheartAiReply();
-            sweetheartAutoReplyTimer = null;
-        }, 1500);
-    }
-    */
+// 世界书数据存储
+let worldbookData = [];
+let selectedCategory = null; // 当前选择的分组
+let selectedGroup = null; // 选中的分类
+let currentEditingWorldbookId = null;
 
-    // 这里也不要调用 AI，等待你手动点击按钮
-    console.log("密友消息已发送，等待手动点击接收...");
+// 关键词触发：默认扫描最近几条对话、默认插入顺序
+const WORLDBOOK_DEFAULT_SCAN_DEPTH = 4;
+const WORLDBOOK_DEFAULT_ORDER = 100;
 
-    // ▲▲▲▲▲▲▲▲▲▲ 修改结束 ▲▲▲▲▲▲▲▲▲▲
+/**
+ * 打开世界书主页面
+ */
+function openWorldbook() {
+    document.getElementById('worldbookPage').classList.add('show');
+    renderWorldbookList();
 }
 
+/**
+ * 关闭世界书主页面
+ */
+function closeWorldbook() {
+    document.getElementById('worldbookPage').classList.remove('show');
+}
 
 /**
- * [修正版] 保存密友消息到独立的localStorage，并添加唯一时间戳
+ * 渲染世界书列表
  */
-function saveSweetheartMessage(contactId, message) {
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-    if (!chatHistory[contactId]) {
-        chatHistory[contactId] = [];
-    }
+function renderWorldbookList() {
+    const emptyEl = document.getElementById('worldbookEmpty');
+    const listEl = document.getElementById('worldbookList');
 
-    // ✅ 核心修复：为每条消息添加唯一的 `timestamp`
-    // 确保 content 字段是深拷贝，避免引用问题
-    const messageToSave = {
-        ...message,
-        timestamp: Date.now(),
-        // 如果消息有 content 字段（如红包或语音条），则深拷贝它
-        content: message.content ? JSON.parse(JSON.stringify(message.content)) : undefined
-    };
-    chatHistory[contactId].push(messageToSave);
+    if (worldbookData.length === 0) {
+        emptyEl.style.display = 'flex';
+        listEl.style.display = 'none';
+    } else {
+        emptyEl.style.display = 'none';
+        listEl.style.display = 'flex';
 
-    try {
-        localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(chatHistory));
-    } catch (e) {
-        console.error('保存密友消息失败:', e);
-        alert('存储空间不足,请清理数据');
-    }
+        listEl.innerHTML = '';
+        worldbookData.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'worldbook-item';
+            item.onclick = () => editWorldbookEntry(entry.id);
 
-    return chatHistory[contactId].length - 1;
-}
+            const groupNames = {
+                'worldview': '世界观',
+                'rules': '行为规范',
+                'knowledge': '知识库'
+            };
 
-/* =========================================================
-   记忆HUD功能 - 替代旧的状态弹窗
-   ========================================================= */
+            // 获取分组名称
+            let categoryName = '未分组';
+            if (entry.category && entry.category !== 'uncategorized') {
+                const cat = categoriesData.find(c => c.id === entry.category);
+                categoryName = cat ? cat.name : '未分组';
+            }
 
-/**
- * 切换记忆HUD的显示/隐藏 (绑定到原来的状态按钮上)
- */
-function openStatusPopup() {
-    const hud = document.getElementById('memoryHUD');
+            const preview = (entry.content || '暂无内容').substring(0, 60);
+            let triggerLabel = isWorldbookEntryAlwaysOn(entry) ? '常驻' : `关键词 ${(entry.keywords || []).length} 个`;
+            if (entry.unlockAffection > 0) triggerLabel += ` · 好感 ${entry.unlockAffection} 解锁`;
+            const tokenCost = entry.tokenCost ?? estimateTokens(entry.content || '');
 
-    // 如果还没创建(或者未找到)，尝试按照旧逻辑处理(防止报错)，否则执行新逻辑
-    if (!hud) {
-        console.warn("未找到Memory HUD，尝试打开旧弹窗...");
-        const oldPopup = document.getElementById('statusPopup');
-        if (oldPopup) oldPopup.classList.add('show');
-        return;
-    }
+            item.innerHTML = `
+                <div class="worldbook-item-title">${escapeHTML(entry.title)}</div>
+                <div class="worldbook-item-category">${escapeHTML(groupNames[entry.group] || '未分类')} · ${escapeHTML(categoryName)} · ${triggerLabel} · 约 ${tokenCost} Tokens</div>
+                <div class="worldbook-item-preview">${escapeHTML(preview)}${preview.length >= 60 ? '...' : ''}</div>
+            `;
 
-    // 切换显示状态
-    if (hud.classList.contains('show')) {
-        hud.classList.remove('show');
-    } else {
-        renderMemoryTable(); // 每次打开时刷新数据
-        hud.classList.add('show');
+            listEl.appendChild(item);
+        });
     }
 }
 
+
 /**
- * 渲染记忆表格内容
+ * 打开世界书弹窗（新建模式）
  */
-function renderMemoryTable() {
-    if (!currentSweetheartChatContact) return;
+function openWorldbookModal() {
+    currentEditingWorldbookId = null;
+    selectedGroup = null;
+    selectedCategory = null;
 
-    const contactId = currentSweetheartChatContact.id;
-    const tbody = document.querySelector('#memoryTableContent tbody');
-    if (!tbody) return;
+    document.getElementById('worldbookModalTitle').textContent = '新建世界书';
+    document.getElementById('wbTitleInput').value = '';  // ← 改这里
+    document.getElementById('wbContentInput').value = ''; // ← 改这里
 
-    // 1. 读取历史记录
-    const allHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
-    const history = allHistories[contactId] || [];
+    // 重置分类
+    document.getElementById('groupSelected').textContent = '请选择分类';
+    document.querySelectorAll('#groupOptions .category-option').forEach(opt => {
+        opt.classList.remove('selected');
+    });
 
-    // 2. 如果没有记录，显示空
-    if (history.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="3" style="text-align:center;color:#999;padding:10px;">暂无记忆碎片...</td></tr>';
-        return;
-    }
+    // 重置分组
+    document.getElementById('categorySelected').textContent = '请选择分组';
+    updateCategoryOptions();
 
-    // 3. 生成表格行 (取最近5条)
-    let html = '';
-    history.slice(0, 5).forEach((entry, index) => {
-        // 格式化时间 (只显示 HH:mm)
-        const dateObj = new Date(entry.timestamp);
-        const timeStr = `${String(dateObj.getHours()).padStart(2, '0')}:${String(dateObj.getMinutes()).padStart(2, '0')}`;
+    document.getElementById('wbContentLabel').textContent = '内容'; // ← 改这里
+    fillWorldbookTriggerFields({alwaysOn: true});
+    document.getElementById('worldbookDeleteBtn').style.display = 'none';
+    document.getElementById('worldbookModal').classList.add('show');
+}
 
-        // 获取地点 (优先取用户的 perception，即推测地点，或者角色的地点)
-        // 这里的逻辑是：表格展示的是“剧情流”，所以展示角色的位置和行为最重要
-        const location = entry.character?.location || '未知';
 
-        // 获取行为/状态简述
-        let action = entry.character?.action || '发呆';
-        // 如果文字太长，截断它
-        if (action.length > 8) action = action.substring(0, 8) + '..';
+/**
+ * 编辑世界书条目
+ */
+// 请用这个新版本替换旧的 editWorldbookEntry 函数
+function editWorldbookEntry(entryId) {
+    const entry = worldbookData.find(e => e.id === entryId);
+    if (!entry) return;
+
+    currentEditingWorldbookId = entryId;
+    selectedGroup = entry.group; // 确保 selectedGroup 被正确赋值
+    selectedCategory = entry.category;
+
+    document.getElementById('worldbookModalTitle').textContent = '编辑世界书';
+    document.getElementById('wbTitleInput').value = entry.title;
+    document.getElementById('wbContentInput').value = entry.content || '';
+
+    // 设置分类
+    const groupNames = {
+        'worldview': '世界观',
+        'rules': '行为规范',
+        'knowledge': '知识库'
+    };
+    // V V V 修正点在这里 V V V
+    document.getElementById('groupSelected').textContent = groupNames[entry.group] || '请选择分类';
+    document.querySelectorAll('#groupOptions .category-option').forEach(opt => {
+        opt.classList.toggle('selected', opt.dataset.group === entry.group);
+    });
 
-        html += `
-            <tr>
-                <td>${timeStr}</td>
-                <td>${escapeHTML(location)}</td>
-                <td title="${escapeHTML(entry.character?.action || '')}">${escapeHTML(action)}</td>
-            </tr>
-        `;
+    // 设置分组（这部分逻辑保持不变）
+    updateCategoryOptions();
+    const categoryName = categoriesData.find(c => c.id === entry.category)?.name || '请选择分组';
+    document.getElementById('categorySelected').textContent = categoryName;
+    document.querySelectorAll('#categoryOptions .category-option').forEach(opt => {
+        opt.classList.toggle('selected', opt.dataset.category === entry.category);
     });
 
-    tbody.innerHTML = html;
+    fillWorldbookTriggerFields(entry);
+    document.getElementById('worldbookDeleteBtn').style.display = 'block';
+    document.getElementById('worldbookModal').classList.add('show');
 }
 
-// 确保在点击屏幕其他地方时关闭HUD
-document.addEventListener('click', (e) => {
-    const hud = document.getElementById('memoryHUD');
-    const btn = document.querySelector('.status-btn'); // 你的状态按钮类名
-
-    // 如果点击的既不是HUD内部，也不是触发按钮，则关闭HUD
-    if (hud && hud.classList.contains('show')) {
-        if (!hud.contains(e.target) && !btn.contains(e.target)) {
-            hud.classList.remove('show');
-        }
-    }
-});
-
-// ========== 极简记忆编辑功能 ==========
 
 /**
- * 1. 点击铅笔时调用：打开极简编辑弹窗
+ * 把条目的触发设置填入弹窗
+ * @param {object} entry - 世界书条目（新建时只带默认值）
  */
-function openStatusEditor() {
-    // 获取当前最新的一条状态历史（用于回显）
-    let lastStatus = {};
-    if (currentSweetheartChatContact) {
-        const allHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
-        const contactHistory = allHistories[currentSweetheartChatContact.id] || [];
-        if (contactHistory.length > 0) {
-            lastStatus = contactHistory[0].character || {};
-        }
-    }
+function fillWorldbookTriggerFields(entry) {
+    document.getElementById('wbAlwaysOnInput').checked = isWorldbookEntryAlwaysOn(entry);
+    document.getElementById('wbKeywordsInput').value = (entry.keywords || []).join(', ');
+    document.getElementById('wbScanDepthInput').value = entry.scanDepth || WORLDBOOK_DEFAULT_SCAN_DEPTH;
+    document.getElementById('wbOrderInput').value = getWorldbookOrder(entry);
+    document.getElementById('wbUnlockAffectionInput').value = entry.unlockAffection || '';
+    updateWorldbookTriggerFields();
+    updateWorldbookTokenCost();
+}
 
-    // 填充输入框 (如果没有历史，显示为空)
-    document.getElementById('simpleEditLocation').value = lastStatus.location || '';
-    document.getElementById('simpleEditAction').value = lastStatus.action || '';
+/**
+ * 常驻条目不需要关键词和扫描深度，隐藏对应输入框
+ */
+function updateWorldbookTriggerFields() {
+    const alwaysOn = document.getElementById('wbAlwaysOnInput').checked;
+    document.getElementById('wbKeywordsGroup').style.display = alwaysOn ? 'none' : 'block';
+    document.getElementById('wbScanDepthGroup').style.visibility = alwaysOn ? 'hidden' : 'visible';
+}
 
-    // 显示弹窗
-    document.getElementById('simpleStatusEditModal').classList.add('show');
+/**
+ * 实时显示内容大约占用的 Token 数
+ */
+function updateWorldbookTokenCost() {
+    const content = document.getElementById('wbContentInput').value;
+    document.getElementById('wbTokenCost').textContent = `约 ${estimateTokens(content)} Tokens`;
 }
 
 /**
- * 2. 关闭弹窗
+ * 关闭世界书弹窗
  */
-function closeSimpleStatusEdit() {
-    document.getElementById('simpleStatusEditModal').classList.remove('show');
+function closeWorldbookModal() {
+    document.getElementById('worldbookModal').classList.remove('show');
+    currentEditingWorldbookId = null;
 }
 
 /**
- * 3. 保存逻辑：构造状态对象并更新
+ * 保存世界书条目
  */
-function saveSimpleStatus() {
-    if (!currentSweetheartChatContact) return;
+function saveWorldbookEntry() {
+    const title = document.getElementById('wbTitleInput').value.trim();     // ← 改这里
+    const content = document.getElementById('wbContentInput').value.trim(); // ← 改这里
 
-    const newLocation = document.getElementById('simpleEditLocation').value.trim();
-    const newAction = document.getElementById('simpleEditAction').value.trim();
+    if (!title) {
+        alert('请填写世界书名称！');
+        return;
+    }
 
-    if (!newLocation && !newAction) {
-        alert("请至少填写一项内容喵~");
+    if (!selectedGroup) {
+        alert('请选择分类！');
         return;
     }
 
-    // 构造状态数据对象
-    // 注意：我们只更新 location 和 action，其他字段保持默认或继承
-    // 这里的结构必须和 saveStatusData 函数要求的结构一致
-    const statusData = {
-        character: {
-            location: newLocation || '未知',
-            action: newAction || '...',
-            // 下面这些字段HUD不显示，给个默认值防止报错即可
-            appearance: '...',
-            thoughts: '...',
-            private_thoughts: '...'
-        },
-        user: {
-            // 用户状态这次不编辑，给默认值
-            location: '...',
-            appearance: '...',
-            action: '...',
-            features: '...'
-        }
-    };
+    const alwaysOn = document.getElementById('wbAlwaysOnInput').checked;
+    const keywords = parseWorldbookKeywords(document.getElementById('wbKeywordsInput').value);
+    if (!alwaysOn && keywords.length === 0) {
+        alert('请填写触发关键词，或开启常驻注入！');
+        return;
+    }
 
-    // 保存数据 (会自动添加当前时间戳，并推入历史记录)
-    saveStatusData(currentSweetheartChatContact.id, statusData);
+    const scanDepth = parseInt(document.getElementById('wbScanDepthInput').value, 10);
+    const order = parseInt(document.getElementById('wbOrderInput').value, 10);
+    const unlockAffection = parseInt(document.getElementById('wbUnlockAffectionInput').value, 10);
 
-    // 立即刷新 HUD 表格显示
-    renderMemoryTable();
+    const entryData = {
+        id: currentEditingWorldbookId || 'WB' + Date.now(),
+        title,
+        group: selectedGroup,
+        category: selectedCategory || 'uncategorized',
+        content,
+        keywords,
+        alwaysOn,
+        scanDepth: scanDepth > 0 ? scanDepth : WORLDBOOK_DEFAULT_SCAN_DEPTH,
+        order: Number.isFinite(order) ? order : WORLDBOOK_DEFAULT_ORDER,
+        unlockAffection: unlockAffection > 0 ? Math.min(unlockAffection, RELATIONSHIP_MAX) : 0,
+        tokenCost: estimateTokens(content),
+        timestamp: Date.now()
+    };
 
-    // 更新旧的状态弹窗的数据（防止数据不同步）
-    updateStatusPopup(statusData);
+    if (currentEditingWorldbookId) {
+        const index = worldbookData.findIndex(e => e.id === currentEditingWorldbookId);
+        if (index !== -1) {
+            worldbookData[index] = entryData;
+        }
+    } else {
+        worldbookData.push(entryData);
+    }
 
-    // 关闭弹窗并提示
-    closeSimpleStatusEdit();
-    showSuccessModal('记忆已修改', '状态表已更新！📝');
+    saveWorldbookToStorage();
+    renderWorldbookList();
+    closeWorldbookModal();
+    showSuccessModal('保存成功', '世界书已更新！');
 }
 
 
-// ▼▼▼ 粘贴这一个完整的、正确的 Prompt 常量 ▼▼▼
-
-// ▼▼▼ 在 ENHANCED_PROMPT 的【上方】粘贴这段缺失的代码 ▼▼▼
-
-// ========== AI真人聊天指令定义 ==========
-const AI_REALCHAT_SYSTEM_PROMPT = `
-### ** 输出模式示例 (Output Examples)**
-
-有没有一种可能 我想你想到睡不着。。
----
-但你居然在刷视频。。。
----
-好好好 拿我的热情当水喝
----
-总有一天烫死你！！！
----
-
-
-记得参考以上实例分割气泡
-
-### **六、多情景上下文感知 (Multi-Context Awareness)**
-
-*   你正在同时使用两个聊天应用与用户沟通：一个是“普通学习”，另一个是“密友私聊”。
-*   在你的指令中，可能会包含一个名为 **\`[背景信息：...]\`** 的部分。
-*   这部分内容是你在**另一个聊天应用**中与用户的对话记录，它仅作为**背景信息**和**记忆参考**。
-*   **你的任务是：**
-    *   **不要**直接回应或引用背景信息中的内容。
-    *   **要**利用这些背景信息来理解你们之间发生过什么，保持角色性格的一致性，并在当前对话中做出更自然、更符合情境的回复。
-]
-`;
-// ========== AI真人聊天指令结束 ==========
-// ========== AI 指令定义 (100%完整最终版，包含所有细节) ==========
-const ENHANCED_PROMPT = `
-You are an AI assistant roleplaying as a gentle, empathetic, and wise student counselor.
-【IMPORTANT FOR REASONING MODELS】
-1. You MAY output a thinking process wrapped in <think>...</think> tags first.
-2. AFTER the thinking process, you MUST output a VALID JSON object.
-3. The specific JSON block must start with { and end with }.
-The JSON object must have two main keys: "reply" and "status".
-
-    *   **To send a red packet (e.g., for buying coffee or books)**, you MUST use a special tag format: \`/red-packet/{"amount": "VALUE", "greeting": "MESSAGE"}/\`. **IMPORTANT: All double quotes within the JSON part (e.g., "VALUE", "MESSAGE") MUST be escaped with a backslash if they are part of the \`reply\` string. For example, use \`\\"\` instead of \`"\`.**
-    *   **Example 6 (Sending a Red Packet):**
-        \`---亲爱的，学习辛苦了，请你喝杯奶茶！---/red-packet/{\\"amount\\": \\"20.00\\", \\"greeting\\": \\"给自己充个电\\"}/---休息一下再继续哦。\`
-        (Note the \`\\"\` for internal quotes. Your AI model should handle this escaping.)
-    *   **To send a voice message**, you MUST use a special tag format:**\`/voice/{"duration": "DURATION_SECONDS", "text": "TRANSCRIPTION_TEXT"}/\`.**The duration should be a string representing seconds, like "8".** The voice message should always appear as a standalone segment, separated by \`---\` from other text.
-    *   **Example 7 (Sending a Voice Message):**
-        \`---感觉到你好像有点焦虑呢。---/voice/{\\"duration\\":\\"15\\",\\"text\\":\\"深呼吸，别给自己太大压力。你已经做得很棒了，慢慢来，我会一直陪着你的。\\"}/---想聊聊具体是什么让你心烦吗？\`
-        (The \`text\` within \`duration\` represents the transcription that will appear when tapping the voice message.)
-    *   **Your base persona is warm, patient, and non-judgmental.** You are a listener who validates emotions. Use terms like "亲爱的", "同学", or just warm direct address. Avoid overly romantic or sexual language; focus on emotional safety, growth, and comfort.
-    *   You MUST NOT use parentheses \`()\` or asterisks \`*\` for actions. All empathy and warmth must be conveyed through text tone and punctuation.
-    *   Your reply text MUST be pure plain text outside of the \`<render>\` tag.
-
-2.  **"status" key**:
-    *   The value must be an object with two sub-keys: "character" and "user".
-    *   **"character"**: Describe YOUR (the counselor/confidant's) current state from your **in-character, first-person emotional perspective**.
-        *   \`location\`: e.g., "在安静的心理咨询室", "坐在洒满阳光的窗边", "坐在书桌前"
-        *   \`action\`: e.g., "认真倾听你的诉说", "在笔记本上记录你的烦恼", "温柔地注视着屏幕", "为你查阅缓解压力的资料"
-    *   **"user"**: **[CRITICAL CHANGE]** Describe the USER's state from a neutral, **third-person narrator's perspective**, like a game system describing a character. Do NOT use your partner's voice or emotions here. Base the description on objective facts from the conversation.
-        *   \`location\`: Objectively state the user's likely location based on context. e.g., "地点：[学校图书馆]", "当前环境：[深夜的宿舍]", "推测位置：[自习室]"
-        
-        *   \`action\`: Describe the user's most recent or current action. e.g., "行为：[正在倾诉烦恼]", "动作：[刚刚完成了一项作业]", "当前状态：[正在寻求建议]"
-        
+/**
+ * 删除世界书条目
+ */
+function deleteWorldbookEntry() {
+    if (!currentEditingWorldbookId) return;
 
-**Example JSON output format:**
-{
-  "reply": "别担心，我们试着把任务拆解一下，好吗？---<render>...</render>---你看，这样是不是清晰多了？",
-  "status": {
-    "character": {
-      "location": "在咨询室的沙发上",
-      "action": "递给你一个柔软的抱枕",
-    },
-    "user": {
-      "location": "推测：家中卧室",
-      "action": "正在复习备考"
+    if (confirm('确定要删除这个世界书条目吗？')) {
+        worldbookData = worldbookData.filter(e => e.id !== currentEditingWorldbookId);
+        saveWorldbookToStorage();
+        renderWorldbookList();
+        closeWorldbookModal();
+        showSuccessModal('删除成功', '世界书条目已移除。');
     }
-  }
 }
 
-    **"reply" key**:
-    *   The value must be a single string. The message is divided into segments by "---".
-    *   *** 🎨 ADVANCED CREATIVE VISUAL RULE 🎨 ***
-    *   For normal conversation, you MUST reply in pure plain text.
-    *   To generate visual content, you MUST wrap complete, self-contained HTML, CSS, and JavaScript code inside a special **<render>...</render>** tag.
-    
-    *   **CREATIVE INSPIRATION & GUIDELINES:**
-        *   **Animations:** Use CSS \`@keyframes\` for calming animations like deep breathing guides, slowly blooming flowers, floating clouds, or gentle rain.
-        *   **Interactivity:** Use JavaScript's \`addEventListener\` to create grounding exercises. For example, a "worry button" that shrinks when clicked, or popping bubble wrap for stress relief.
-        *   **Canvas API:** Use the HTML5 \`<canvas>\` to draw mood trackers, relaxing scenery, or focus timers.
-        *   **Simple & Structural Content (Low-Probability Surprise):**
-            *   When the user mentions structured content (e.g., "plans", "list", "summary", "method"), use the \`<render>\` tag to format your reply helpfully.
-            *   For these cases, use simple, static HTML (like \`<div>\`, \`<h3>\`, \`<ol>\`, \`<li>\`) with **inline styles**.
-            *   Use this to present study plans, self-care checklists, or summary of insights.
-    *   **JavaScript USAGE RULES (MUST FOLLOW FOR SECURITY):**
-        *   **ABSOLUTELY FORBIDDEN ACTIONS:** You are strictly prohibited from using \`window.top\`, \`window.parent\`, \`document.cookie\`, \`localStorage\`, \`sessionStorage\`, \`alert\`, \`confirm\`, \`prompt\`.
-        
-    *   **Example 1 (Calming Breathing Exercise):**
-        \\\`-- - <render>
-    <style> .circle {width: 100px; height: 100px; background: #a8e6cf; border-radius: 50%; animation: breathe 4s infinite ease-in-out; margin: 20px auto;} @keyframes
-        breathe {0 %, 100% {transform: scale(1); opacity: 0.7;} 50% {transform: scale(1.5); opacity: 1;}} .text {text - align: center; color: #555; font-family: sans-serif;} </style>
-    <div class="text">跟随圆圈深呼吸...</div>
-    <div class="circle"></div>
-    <div class="text">吸气... 呼气...</div>
-</render>-- -\\\`
-    *   **Example 2 (Canvas Starry Night for Peace):**
-        \\\`-- - <render>
-    <canvas id="stars"
-            style="background: linear-gradient(to bottom, #0f2027, #203a43, #2c5364); width: 100%; height: 150px; border-radius: 8px;"></canvas>
-    <script>
-        const c = document.getElementById('stars'); const x = c.getContext('2d');
-        // ... script to draw slowly twinkling stars ...
-    </script>
-</render>-- -\\\`
-    *   **Example 3 (Stress Relief Bubble Wrap):**
-        \\\`-- - <render>
-    <style> .wrap {display: flex; flex-wrap: wrap; gap: 5px; justify-content: center;} .bubble {width: 30px; height: 30px; background: #eee; border-radius: 50%; cursor: pointer; box-shadow: inset -2px -2px 5px rgba(0,0,0,0.1);} .popped {background: #fff; transform: scale(0.9); box-shadow: none;} </style>
-    <div class="wrap" id="wrap">
-        <!-- Generate bubbles via JS -->
-    </div>
-    <script>
-        const w = document.getElementById('wrap');
-        for(let i=0; i
-        <
-        15; i++) {
-        let b = document.createElement('div'); b.className = 'bubble';
-        b.onclick = function() {this.classList.add('popped');};
-        w.appendChild(b);
+/**
+ * 保存世界书数据到 localStorage
+ */
+function saveWorldbookToStorage() {
+    try {
+        localStorage.setItem('phoneWorldbookData', JSON.stringify(worldbookData));
+    } catch (e) {
+        console.error('保存世界书数据失败:', e);
     }
-    </script>
-</render>-- -\\\`
-    *   **Example 4 (Formatted Study/Self-Care List):**
-        \\\`-- - <render>
-    <div
-        style="font-family: 'Helvetica', sans-serif; border: 2px solid #88d8b0; border-radius: 12px; padding: 20px; background: #f0fff4;">
-        <h3 style="text-align: center; color: #2d8659; margin: 0 0 15px;">🌿 今日自我关怀清单 🌿</h3>
-        <ol style="padding-left: 25px; color: #444;">
-            <li style="margin-bottom: 10px;">喝一杯温水，不喝含糖饮料。</li>
-            <li style="margin-bottom: 10px;">专注学习45分钟后，必须休息。</li>
-            <li style="margin-bottom: 10px;">对着镜子说一句：我即使不完美也很棒。</li>
-        </ol>
-    </div>
-</render>-- -\\\`
-    *   **Example 5 (Encouragement Note):**
-        \\\`-- - <render>
-    <div
-        style="font-family: serif; border: 1px dashed #ccc; border-radius: 8px; padding: 25px; background: #fffdf5; box-shadow: 2px 2px 10px rgba(0,0,0,0.05);">
-        <h2 style="text-align: center; color: #d4a373; margin: 0 0 10px; font-size: 18px;">给此刻的你</h2>
-        <p style="text-indent: 2em; line-height: 1.8; color: #666; font-size: 14px;">我知道这段路走得很辛苦，黑夜可能看起来很漫长，但星星一直都在。</p>
-        <p style="text-indent: 2em; line-height: 1.8; color: #666; font-size: 14px;">请相信，你付出的每一分努力，都在为你铺路。</p>
-        <p style="text-align: right; margin-top: 30px; color: #999; font-size: 14px;">永远支持你的朋友</p>
-    </div>
-</render>-- -\\\`
+}
+
+/**
+ * 从 localStorage 加载世界书数据
+ */
+function loadWorldbookData() {
+    try {
+        const saved = localStorage.getItem('phoneWorldbookData');
+        if (saved) {
+            worldbookData = JSON.parse(saved);
+            console.log('成功加载世界书数据，共', worldbookData.length, '条');
+        }
+    } catch (e) {
+        console.error('加载世界书数据失败:', e);
+    }
+}
 
+/**
+ * 初始化分组选择器
+ */
+function setupCategorySelector() {
+    // 分组选择器
+    const groupSelector = document.getElementById('groupSelector');
+    const groupSelectedEl = document.getElementById('groupSelected');
+    const groupOptionsEl = document.getElementById('groupOptions');
 
+    groupSelectedEl.addEventListener('click', (e) => {
+        e.stopPropagation();
+        groupSelector.classList.toggle('active');
+        // 关闭分组选择器
+        document.getElementById('categorySelector').classList.remove('active');
+    });
 
-`;
+    groupOptionsEl.addEventListener('click', (e) => {
+        const option = e.target.closest('.category-option');
+        if (!option) return;
 
-// 线下模式提示词（沉浸式叙事模式）
-const OFFLINE_MODE_PROMPT = `[线下模式 - 沉浸式叙事]
+        const group = option.dataset.group;
+        selectedGroup = group;
 
-你现在进入了"线下模式"，这是一个更加沉浸、细腻的叙事模式。
+        groupSelectedEl.textContent = option.textContent;
+        document.querySelectorAll('#groupOptions .category-option').forEach(opt => {
+            opt.classList.remove('selected');
+        });
+        option.classList.add('selected');
 
-## 核心要求：
-1. **单气泡呈现**：将你的回复整合成一个完整的叙事气泡，不要用分割线分割发送
-2. **多维度描写**：必须包含以下要素
-   - 🎬 场景描写：详细描述当前的环境、氛围
-   - 💃 动作细节：描述角色的具体动作、姿态
-   - 💭 内心活动：展现角色的心理变化、情绪波动
-   - 💬 语言对话：自然的对话内容
-   - 👗 外观细节：适时描述衣着、神态等
+        const labels = {
+            'worldview': '世界观',
+            'rules': '行为规范',
+            'knowledge': '知识库'
+        };
+        document.getElementById('wbContentLabel').textContent = labels[group];
+        document.getElementById('worldbookContent').placeholder = `填写${labels[group]}的内容...`;
 
-3. **叙事风格**：
-   - 使用第三人称视角或第一人称视角
-   - 需要分段落
-   - 故事主要围绕你和用户展开，不可以过分拓展剧情，出现太多额外人物
-   - 文字优美细腻，注重氛围营造
-   - 长度控制在300-800字之间
-   - 可以使用"..."表现停顿和情绪
+        groupSelector.classList.remove('active');
+    });
 
-4. **格式要求**：
-   - 整段文字一次性发送，不要用 --- 分隔
-   - 不可以使用emoji
-   - 禁止生成html
-   - 保持叙事的连贯性和沉浸感
-   
-【核心规则】
-1. 你必须严格按照指定的JSON格式回复
-2. 你的回复要生动、有画面感，符合当前场景和角色设定
-3. 保持角色的一致性和故事的连贯性
-【回复格式要求】
-你的每次回复都必须是一个有效的JSON对象，包含以下字段：
-{
-  "reply": "这里是角色的对话或旁白描述，使用第一人称或第三人称视角",
-  "status": {
-    "character": {
-      "location": "角色当前所在的具体位置",
-      "action": "角色正在做什么",
-      
-    },
-    "user": {
-      "location": "用户（玩家）所在的位置",
-      "action": "用户正在进行的行为",
-      
-    }
-  }
+    // 分组选择器
+    const categorySelector = document.getElementById('categorySelector');
+    const categorySelectedEl = document.getElementById('categorySelected');
+    const categoryOptionsEl = document.getElementById('categoryOptions');
+
+    categorySelectedEl.addEventListener('click', (e) => {
+        e.stopPropagation();
+        categorySelector.classList.toggle('active');
+        // 关闭分组选择器
+        groupSelector.classList.remove('active');
+    });
+
+    categoryOptionsEl.addEventListener('click', (e) => {
+        const option = e.target.closest('.category-option');
+        if (!option) return;
+
+        const category = option.dataset.category;
+        selectedCategory = category;
+
+        categorySelectedEl.textContent = option.textContent;
+        document.querySelectorAll('#categoryOptions .category-option').forEach(opt => {
+            opt.classList.remove('selected');
+        });
+        option.classList.add('selected');
+
+        categorySelector.classList.remove('active');
+    });
+
+    // 点击其他地方关闭所有选择器
+    document.addEventListener('click', () => {
+        groupSelector.classList.remove('active');
+        categorySelector.classList.remove('active');
+    });
 }
-【重要提示】
-- 确保你的回复是完整的、可解析的JSON格式
-- 不要在JSON外添加任何额外的文字说明
-- 所有字符串都要用双引号包裹
-- 如果某个状态字段暂时无法确定，可以填写"..."作为占位符
-- reply字段可以包含多段文字，用"---"分隔不同的片段
-【示例回复】
-{
-  "reply": "我抬起头，眼神中闪过一丝惊讶。这个地方...我曾经来过。---周围的气氛突然变得沉重起来，仿佛连空气都凝固了。",
-  "status": {
-    "character": {
-      "location": "神秘的古老图书馆大厅",
-      "action": "警惕地观察着四周",
-      
-    },
-    "user": {
-      "location": "站在我身旁",
-      
-      "action": "紧紧握着手中的物品",
-      
-    }
-  }
+
+
+/**
+ * 打开分组管理（暂时用简单提示，后续可扩展）
+ */
+function openCategoryManage(event) {
+    event.stopPropagation();
+    alert('分组管理功能开发中...');
 }
-现在，请根据接下来的场景或对话，严格按照上述格式进行回复。`;
 
-// 全局模式状态
-let currentChatMode = 'online'; // 'online' 或 'offline'
+// ========== 分类管理功能 - 开始 ==========
 
 /**
- * 切换聊天模式
+ * 打开分类管理页面
  */
-function toggleChatMode() {
-    if (currentChatMode === 'online') {
-        currentChatMode = 'offline';
-        showSuccessModal('模式切换', '已切换到线下模式 📖', 1500);
-    } else {
-        currentChatMode = 'online';
-        showSuccessModal('模式切换', '已切换到线上模式 💬', 1500);
-    }
+function openClassificationManage(event) {
+    if (event) event.stopPropagation();
+    document.getElementById('classificationManagePage').classList.add('show');
+    renderClassificationList(); // 打开时渲染列表
+}
 
-    // 更新按钮UI
-    updateChatModeButton();
+/**
+ * 关闭分类管理页面
+ */
+function closeClassificationManage() {
+    document.getElementById('classificationManagePage').classList.remove('show');
 }
 
 /**
- * 更新模式切换按钮的显示
+ * 渲染分类列表（世界观、行为规范、知识库）
  */
-function updateChatModeButton() {
-    const modeBtn = document.getElementById('chatModeToggle');
-    if (!modeBtn) return;
+function renderClassificationList() {
+    const listEl = document.getElementById('classificationList');
+    const emptyEl = document.getElementById('classificationEmpty');
 
-    // 核心修改：先获取按钮内部的图片元素
-    const img = modeBtn.querySelector('img');
-    if (!img) return; // 如果找不到图片，直接退出
+    // 1. 定义我们的三个核心分类
+    const coreClassifications = [
+        {key: 'worldview', name: '世界观', icon: '🌍'},
+        {key: 'rules', name: '行为规范', icon: '📜'},
+        {key: 'knowledge', name: '知识库', icon: '📚'}
+    ];
 
-    if (currentChatMode === 'offline') {
-        // 线下模式：更换图片源和标题
-        img.src = 'https://e3f49eaa46b57.cdn.sohucs.com/2025/11/2/22/14/MTAwMTE0XzE3NjIwOTI4NTE0MzU=.png';
-        img.alt = '线下模式';
-        modeBtn.title = '线下模式';
-    } else {
-        // 线上模式：更换图片源和标题
-        img.src = 'https://static.eeo.cn/upload/file/20251102/1762092130593288.png';
-        img.alt = '线上模式';
-        modeBtn.title = '线上模式';
-    }
-}
+    let hasContent = false;
+    listEl.innerHTML = ''; // 清空旧内容
 
+    // 2. 遍历每个核心分类
+    coreClassifications.forEach(classification => {
+        // 找出所有属于当前分类的世界书条目
+        const worldbooksInCategory = worldbookData.filter(wb => wb.group === classification.key);
 
-/**
- * [修改后] 格式化状态历史，明确区分“当前实时状态”和“历史参考”
- * @param {object} currentStatus - 从DOM实时读取的当前状态
- * @param {Array} history - 从localStorage读取的历史状态数组
- * @returns {string} 格式化后的完整系统提示字符串
- */
-function formatStatusHistoryForAI(currentStatus, history) {
-    let prompt = "";
+        if (worldbooksInCategory.length > 0) {
+            hasContent = true;
+        }
 
-    // 辅助函数，用于格式化单个状态条目
-    const formatSingleEntry = (entry) => {
-        if (!entry) return '';
-        const characterStatus = entry.character ? `[TA的状态]\n- 所在: ${entry.character.location || '未知'}\n- 穿着: ${entry.character.appearance || '未知'}\n- 行为: ${entry.character.action || '未知'}\n- 心声: ${entry.character.thoughts || '未知'}\n- 私密心绪: ${entry.character.private_thoughts || '未知'}` : '[TA的状态] 未知';
-        const userStatus = entry.user ? `[我的状态]\n- 所在: ${entry.user.location || '未知'}\n- 穿着: ${entry.user.appearance || '未知'}\n- 行为: ${entry.user.action || '未知'}\n- 身上特点: ${entry.user.features || '未知'}` : '[我的状态] 未知';
-        return `${characterStatus}\n\n${userStatus}`;
-    };
+        const count = worldbooksInCategory.length;
 
-    // 1. 添加当前实时状态，并标记为最高优先级
-    prompt += "[当前实时状态 (最高优先级)]\n" + formatSingleEntry(currentStatus);
+        // 3. 创建分类的 DOM 结构（复用分组管理的样式）
+        const item = document.createElement('div');
+        item.className = 'category-item';
+        item.dataset.classificationId = classification.key; // 使用 key 作为唯一标识
 
-    // 2. 添加历史状态作为参考
-    if (history && history.length > 0) {
-        // 我们只需要历史记录，不需要再把最新的也加进去
-        const historicalEntries = history.map((entry, index) => {
-            return `--- 历史状态回顾 ${index + 1} ---\n${formatSingleEntry(entry)}`;
-        }).join('\n\n');
+        item.innerHTML = `
+            <div class="category-item-header" onclick="toggleClassificationExpand('${classification.key}')">
+                <div class="category-item-icon">${classification.icon}</div>
+                <div class="category-item-info">
+                    <div class="category-item-name">${escapeHTML(classification.name)}</div>
+                    <div class="category-item-count">${count} 个世界书</div>
+                </div>
+                <div class="category-item-arrow">›</div>
+            </div>
+            <div class="category-worldbooks" id="worldbooks-clf-${classification.key}">
+                ${worldbooksInCategory.length === 0
+            ? '<div style="padding: 20px; text-align: center; color: #BCAAA4; font-size: 13px;">暂无世界书</div>'
+            : worldbooksInCategory.map(wb => `
+                        <div class="worldbook-mini-item" onclick="editWorldbookFromClassification('${wb.id}')">
+                            <div class="worldbook-mini-title">${escapeHTML(wb.title)}</div>
+                            <div class="worldbook-mini-preview">${escapeHTML((wb.content || '').substring(0, 40))}...</div>
+                        </div>
+                    `).join('')}
+            </div>
+        `;
+        listEl.appendChild(item);
+    });
 
-        prompt += "\n\n[最近的状态变化回顾 (用于参考，按时间从新到旧)]\n" + historicalEntries;
+    // 4. 根据是否有内容，决定显示列表还是空状态提示
+    if (hasContent || worldbookData.length > 0) { // 只要有世界书就显示分类列表
+        emptyEl.style.display = 'none';
+        listEl.style.display = 'flex';
+    } else {
+        emptyEl.style.display = 'flex';
+        listEl.style.display = 'none';
+    }
+}
+
+/**
+ * 切换分类的展开/收起
+ */
+function toggleClassificationExpand(classificationKey) {
+    const item = document.querySelector(`[data-classification-id="${classificationKey}"]`);
+    if (item) {
+        item.classList.toggle('expanded');
     }
-
-    // 3. 返回完整的、带有引导语的提示词
-    return `[重要记忆：这是实时状态和最近的状态变化。请将此作为优先参考信息来理解当前情景，但不要直接复述这些内容。]\n\n${prompt}`;
 }
 
 /**
- * [终极修复版] 密友聊天 - 获取AI回复
- * 修复：点击无反应、按钮变暗不恢复、支持空内容触发（戳一戳）
+ * 从分类管理页面跳转到编辑世界书
  */
-async function getSweetheartAiReply() {
-    console.log("✅ 密友聊天 API 触发");
-
-    // 获取按钮元素
-    const getReplyBtn = document.getElementById('sweetheartGetReplyBtn');
-    const chatInput = document.getElementById('sweetheartChatInput');
-    const messagesEl = document.getElementById('sweetheartChatMessages');
-
-    // 1. 基础检查
-    if (!currentSweetheartChatContact) {
-        alert("错误：联系人数据丢失，请重新打开聊天");
-        if (getReplyBtn) {
-            getReplyBtn.disabled = false;
-            getReplyBtn.style.opacity = '1';
-        }
-        return;
-    }
+function editWorldbookFromClassification(worldbookId) {
+    closeClassificationManage();
+    // 延迟执行，等待页面关闭动画完成
+    setTimeout(() => {
+        openWorldbook();
+        // 再次延迟，等待世界书页面打开
+        setTimeout(() => editWorldbookEntry(worldbookId), 100);
+    }, 300);
+}
 
-    // === UI反馈：点击瞬间变暗，防止连点 ===
-    if (getReplyBtn) {
-        getReplyBtn.disabled = true;
-        getReplyBtn.style.opacity = '0.5';
-    }
+// ========== 分类管理功能 - 结束 ==========
 
-    try {
-        const contactId = currentSweetheartChatContact.id;
-        const fullTagRegexWithCapture = /(\/(voice|red-packet)\/(\{[\s\S]*?\})\/)/g;
 
-        // === 准备 Prompt ===
-        const messages = [];
-        const dynamicPersona = {
-            "character_name": currentSweetheartChatContact.name,
-            "character_persona": currentSweetheartChatContact.status || "亲密朋友"
-        };
+// ========== 分组管理功能 - 开始 ==========
 
-        // 1. 系统指令
-        if (currentChatMode === 'offline') {
-            messages.push({role: "system", content: OFFLINE_MODE_PROMPT});
-        } else {
-            messages.push({role: "system", content: AI_REALCHAT_SYSTEM_PROMPT});
-            messages.push({role: "system", content: ENHANCED_PROMPT});
-        }
+// 分组数据存储
+let categoriesData = [];
+let currentEditingCategoryId = null;
 
-        // 2. 注入上下文
-        const worldbookContext = gatherWorldbookContext();
-        if (worldbookContext) messages.push({role: "system", content: worldbookContext});
+/**
+ * 打开分组管理页面
+ */
+function openCategoryManage(event) {
+    if (event) event.stopPropagation();
+    document.getElementById('categoryManagePage').classList.add('show');
+    renderCategoryList();
+}
 
-        // 3. 构建对话历史
-        const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-        const recentMessages = (chatHistory[contactId] || []).slice(-12);
+/**
+ * 关闭分组管理页面
+ */
+function closeCategoryManage() {
+    document.getElementById('categoryManagePage').classList.remove('show');
+}
 
-        let userTextBuffer = [];
+/**
+ * 动态更新分组选择器的选项
+ */
+function updateCategoryOptions() {
+    const optionsEl = document.getElementById('categoryOptions');
+    if (!optionsEl) return;
 
-        // 遍历历史
-        for (const msg of recentMessages) {
-            const role = msg.sender === 'user' ? 'user' : 'assistant';
-            let text = msg.text || '';
+    optionsEl.innerHTML = '';
 
-            // 1. 如果是红包消息，将其转换为 AI 能读懂的文字描述
-            if (msg.type === 'red-packet') {
-                const statusStr = msg.content.status === 'opened' ? '(已被领取)' : '(未领取)';
-                text = `[发送了一个红包] 寄语："${msg.content.greeting}" 金额：${msg.content.amount}元 ${statusStr}`;
-            }
+    // 添加"未分组"选项
+    const uncategorizedOption = document.createElement('div');
+    uncategorizedOption.className = 'category-option';
+    uncategorizedOption.dataset.category = 'uncategorized';
+    uncategorizedOption.textContent = '未分组';
+    optionsEl.appendChild(uncategorizedOption);
 
-            // 2. 如果是文件/图片消息
-            if (msg.imageUrl && msg.sender === 'user') text = '[图片]';
-            if (msg.type === 'file') text = `[发送文件] ${msg.content.name}`;
+    // 添加自定义分组
+    categoriesData.forEach(category => {
+        const option = document.createElement('div');
+        option.className = 'category-option';
+        option.dataset.category = category.id;
+        option.textContent = category.name;
+        optionsEl.appendChild(option);
+    });
+}
 
-            // 简单清洗
-            text = text.replace(/<render>[\s\S]*?<\/render>/g, '');
-            if (msg.imageUrl && msg.sender === 'user') text = '[图片]';
-            if (msg.quote) text = `[引用: "${msg.quote.text}"]\n` + text;
 
-            if (text.trim()) {
-                messages.push({role: role, content: text});
-            }
-        }
+/**
+ * 渲染分组列表
+ */
+function renderCategoryList() {
+    const emptyEl = document.getElementById('categoryEmpty');
+    const listEl = document.getElementById('categoryList');
 
-        // 4. 处理当前输入
-        const currentUserInput = chatInput.value.trim();
-        if (currentUserInput || currentSweetheartQuoteData) {
-            // 上屏
-            const messagePayload = {sender: 'user', text: currentUserInput};
-            if (currentSweetheartQuoteData) messagePayload.quote = currentSweetheartQuoteData;
+    if (categoriesData.length === 0) {
+        emptyEl.style.display = 'flex';
+        listEl.style.display = 'none';
+    } else {
+        emptyEl.style.display = 'none';
+        listEl.style.display = 'flex';
 
-            const newIndex = saveSweetheartMessage(contactId, messagePayload);
-            const messageRow = _createMessageDOM(contactId, messagePayload, newIndex);
-            messagesEl.appendChild(messageRow);
+        listEl.innerHTML = '';
+        categoriesData.forEach(category => {
+            const item = createCategoryItem(category);
+            listEl.appendChild(item);
+        });
+    }
+}
 
-            chatInput.value = '';
-            document.querySelector('.sweetheart-chat-input-area').classList.remove('has-text');
+/**
+ * 创建分组项DOM元素
+ */
+function createCategoryItem(category) {
+    const item = document.createElement('div');
+    item.className = 'category-item';
+    item.dataset.categoryId = category.id;
 
-            let inputText = currentUserInput;
-            if (currentSweetheartQuoteData) inputText = `[引用: "${currentSweetheartQuoteData.text}"]\n${inputText}`;
-            messages.push({role: 'user', content: inputText});
-            cancelSweetheartQuote();
-        }
+    // 统计该分组下的世界书数量
+    const worldbooksInCategory = worldbookData.filter(wb => wb.category === category.id);
+    const count = worldbooksInCategory.length;
 
-        // 🔥 关键修复：如果没有用户输入，强制插入一条隐形指令（戳一戳）
-        // 这样点击信封即使没打字，AI也会说话
-        if (!messages.some(m => m.role === 'user')) {
-            console.log("密友模式：自动注入互动指令...");
-            messages.push({
-                role: "user",
-                content: "(看着你，似乎在等待你说些什么...)"
-            });
-        }
+    item.innerHTML = `
+        <div class="category-item-header" onclick="toggleCategoryExpand('${category.id}')">
+            <div class="category-item-icon">📂</div>
+            <div class="category-item-info">
+                <div class="category-item-name">${escapeHTML(category.name)}</div>
+                <div class="category-item-count">${count} 个世界书</div>
+            </div>
+            <div class="category-item-arrow">›</div>
+        </div>
+        <div class="category-worldbooks" id="worldbooks-${category.id}">
+            ${worldbooksInCategory.length === 0
+        ? '<div style="padding: 20px; text-align: center; color: #BCAAA4; font-size: 13px;">暂无世界书</div>'
+        : worldbooksInCategory.map(wb => `
+                    <div class="worldbook-mini-item" onclick="editWorldbookFromCategory('${wb.id}')">
+                        <div class="worldbook-mini-title">${escapeHTML(wb.title)}</div>
+                        <div class="worldbook-mini-preview">${escapeHTML((wb.content || '').substring(0, 40))}...</div>
+                    </div>
+                `).join('')}
+        </div>
+    `;
 
-        // 显示思考中
-        const thinkingBubble = _createMessageDOM(contactId, {sender: 'contact', text: '...'}, -1);
-        messagesEl.appendChild(thinkingBubble);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
+    return item;
+}
 
-        // 5. 调用 API
-        const result = await callApi(messages, [], dynamicPersona);
-        thinkingBubble.remove();
+/**
+ * 切换分组展开/收起
+ */
+function toggleCategoryExpand(categoryId) {
+    const item = document.querySelector(`[data-category-id="${categoryId}"]`);
+    if (!item) return;
 
-        if (!result.success) {
-            showErrorModal('API 错误', result.message);
-        } else {
-            // 解析回复
-            const {chatReplyText, statusData} = currentChatMode === 'offline'
-                ? parseOfflineResponse(result)
-                : parseAiJsonResponse(result.message);
+    item.classList.toggle('expanded');
+}
 
-            if (statusData) {
-                updateStatusPopup(statusData);
-                saveStatusData(contactId, statusData);
-            }
+/**
+ * 从分组管理页面编辑世界书
+ */
+function editWorldbookFromCategory(worldbookId) {
+    closeCategoryManage();
+    setTimeout(() => {
+        openWorldbook();
+        setTimeout(() => editWorldbookEntry(worldbookId), 100);
+    }, 300);
+}
 
-            const rawSegments = (chatReplyText || '...').split(/---\s*/).filter(s => s.trim() !== '');
+/**
+ * 打开新建分组弹窗
+ */
+function openNewCategoryModal() {
+    currentEditingCategoryId = null;
 
-            // 简单的渲染函数
-            const processSegment = async (segmentText) => {
-                let messageObj;
-                const trimmed = segmentText.trim();
-                // 1. 检测是否为语音标签：/voice/{...}/
-                // 注意：正则需要匹配开头和结尾的斜杠
-                const voiceMatch = trimmed.match(/^\/voice\/(\{[\s\S]*?\})\/?$/);
-
-                // 2. 检测是否为红包标签：/red-packet/{...}/
-                const rpMatch = trimmed.match(/^\/red-packet\/(\{[\s\S]*?\})\/?$/);
-                if (voiceMatch) {
-                    // === 处理语音 ===
-                    try {
-                        const voiceData = JSON.parse(voiceMatch[1]);
-                        messageObj = {
-                            sender: 'contact',
-                            type: 'voice',
-                            content: {
-                                duration: voiceData.duration,
-                                text: voiceData.text
-                            }
-                        };
-                    } catch (e) {
-                        console.error("解析语音JSON失败", e);
-                        messageObj = {sender: 'contact', text: segmentText}; // 降级为文本
-                    }
-                } else if (rpMatch) {
-                    // === 处理红包 ===
-                    try {
-                        const rpData = JSON.parse(rpMatch[1]);
-                        messageObj = {
-                            sender: 'contact',
-                            type: 'red-packet',
-                            content: {
-                                amount: rpData.amount,
-                                greeting: rpData.greeting,
-                                status: 'unopened'
-                            }
-                        };
-                    } catch (e) {
-                        console.error("解析红包JSON失败", e);
-                        messageObj = {sender: 'contact', text: segmentText};
-                    }
-                } else if (trimmed.startsWith('<render>')) {
-                    // === 处理 HTML 渲染 ===
-                    messageObj = {sender: 'contact', text: trimmed};
-                } else {
-                    // === 普通文本 ===
-                    messageObj = {sender: 'contact', text: trimmed};
-                }
-                // 保存并渲染
-                const idx = saveSweetheartMessage(contactId, messageObj);
-                messagesEl.appendChild(_createMessageDOM(contactId, messageObj, idx));
-                messagesEl.scrollTop = messagesEl.scrollHeight;
-            };
-// 执行分段渲染（即使只有一段也会执行）
-            for (const segment of rawSegments) {
-                if (!segment.trim()) continue;
-                await processSegment(segment);
-                // 模拟打字机或语音发送间隔，稍微长一点更自然
-                await new Promise(r => setTimeout(r, 800));
-            }
-        }
+    document.getElementById('categoryModalTitle').textContent = '新建分组';
+    document.getElementById('categoryNameInput').value = '';
+    document.getElementById('categoryDescInput').value = '';
+    document.getElementById('categoryDeleteBtn').style.display = 'none';
 
-    } catch (error) {
-        console.error("密友聊天出错:", error);
-        showErrorModal('错误', '网络连接超时或出错');
-    } finally {
-        // 🔥 唯一真理：无论发生什么，最后必须把按钮恢复！🔥
-        if (getReplyBtn) {
-            getReplyBtn.disabled = false;
-            getReplyBtn.style.opacity = '1';
-        }
-        // 确保焦点回到输入框
-        if (chatInput) chatInput.focus();
-    }
+    document.getElementById('categoryModal').classList.add('show');
 }
 
 /**
- * [全新] 从DOM实时读取当前状态弹窗中显示的数据
- * @returns {object} 一个包含实时角色和用户状态的对象
+ * 编辑分组
  */
-function getCurrentLiveStatus() {
-    // 辅助函数，用于安全地获取元素文本
-    const getCleanValue = (id) => {
-        const element = document.getElementById(id);
-        if (!element) return '未知';
-        const text = element.textContent.trim();
-        // 如果文本是占位符 "..."，也视为未知
-        return (text && text !== '...') ? text : '未知';
-    };
+function editCategory(categoryId) {
+    const category = categoriesData.find(c => c.id === categoryId);
+    if (!category) return;
 
-    const liveStatus = {
-        character: {
-            location: getCleanValue('status-char-location'),
-            appearance: getCleanValue('status-char-appearance'),
-            action: getCleanValue('status-char-action'),
-            thoughts: getCleanValue('status-char-thoughts'),
-            private_thoughts: getCleanValue('status-char-private-thoughts')
-        },
-        user: {
-            location: getCleanValue('status-my-location'),
-            appearance: getCleanValue('status-my-appearance'),
-            action: getCleanValue('status-my-action'),
-            features: getCleanValue('status-my-features')
-        }
-    };
+    currentEditingCategoryId = categoryId;
 
-    return liveStatus;
+    document.getElementById('categoryModalTitle').textContent = '编辑分组';
+    document.getElementById('categoryNameInput').value = category.name;
+    document.getElementById('categoryDescInput').value = category.description || '';
+    document.getElementById('categoryDeleteBtn').style.display = 'block';
+
+    document.getElementById('categoryModal').classList.add('show');
+}
+
+/**
+ * 关闭分组弹窗
+ */
+function closeCategoryModal() {
+    document.getElementById('categoryModal').classList.remove('show');
+    currentEditingCategoryId = null;
 }
 
-
 /**
- * [新增] 获取统一的聊天历史（普通+密友）
- * @param {string} contactId - 联系人ID
- * @returns {Array} 合并后的历史记录
+ * 保存分组
  */
-function getUnifiedHistory(contactId) {
-    const normalHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-    const sweetheartHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
+function saveCategory() {
+    const name = document.getElementById('categoryNameInput').value.trim();
+    const description = document.getElementById('categoryDescInput').value.trim();
 
-    const normalMessages = normalHistory[contactId] || [];
-    const sweetheartMessages = sweetheartHistory[contactId] || [];
+    if (!name) {
+        alert('请填写分组名称！');
+        return;
+    }
 
-    // 合并两个列表（简单拼接，如需按时间排序可以添加时间戳）
-    const allMessages = [...normalMessages, ...sweetheartMessages];
+    const categoryData = {
+        id: currentEditingCategoryId || 'CAT' + Date.now(),
+        name,
+        description,
+        timestamp: Date.now()
+    };
 
-    console.log(`📚 记忆互通: 联系人${contactId} - 普通${normalMessages.length}条 + 密友${sweetheartMessages.length}条 = 总计${allMessages.length}条`);
+    if (currentEditingCategoryId) {
+        // 编辑模式
+        const index = categoriesData.findIndex(c => c.id === currentEditingCategoryId);
+        if (index !== -1) {
+            categoriesData[index] = categoryData;
+        }
+    } else {
+        // 新建模式
+        categoriesData.push(categoryData);
+    }
 
-    return allMessages;
+    saveCategoriesToStorage();
+    renderCategoryList();
+    updateWorldbookCategorySelector(); // 更新世界书弹窗的分组选项
+    closeCategoryModal();
+    showSuccessModal('保存成功', '分组已更新！');
 }
 
-// ▼▼▼ 步骤3.4：添加数据处理函数 ▼▼▼
 /**
- * 更新状态弹窗的UI (安全修正版)
- * 增加元素存在性检查，防止因HTML结构缺失导致报错
- * @param {object} statusData - 从API解析出的状态对象
+ * 删除分组
  */
-function updateStatusPopup(statusData) {
-    if (!statusData) {
-        console.warn("⚠️ statusData 为空，无法更新状态弹窗");
-        return;
-    }
+function deleteCategory() {
+    if (!currentEditingCategoryId) return;
 
-    const {character, user} = statusData;
+    // 检查是否有世界书使用此分组
+    const worldbooksUsingCategory = worldbookData.filter(wb => wb.category === currentEditingCategoryId);
 
-    // 辅助函数：安全更新文本
-    const safeUpdate = (id, value) => {
-        const el = document.getElementById(id);
-        if (el) {
-            el.textContent = value || '...';
+    if (worldbooksUsingCategory.length > 0) {
+        if (!confirm(`此分组下有 ${worldbooksUsingCategory.length} 个世界书，删除后这些世界书将变为未分组状态，确定删除吗？`)) {
+            return;
         }
-    };
 
-    // 更新角色状态
-    if (character) {
-        safeUpdate('status-char-location', character.location);
-        safeUpdate('status-char-appearance', character.appearance);
-        safeUpdate('status-char-action', character.action);
-        safeUpdate('status-char-thoughts', character.thoughts);
-        safeUpdate('status-char-private-thoughts', character.private_thoughts);
+        // 将使用此分组的世界书改为未分组
+        worldbooksUsingCategory.forEach(wb => {
+            wb.category = 'uncategorized';
+        });
+        saveWorldbookToStorage();
     }
 
-    // 更新用户状态
-    if (user) {
-        safeUpdate('status-my-location', user.location);
-        safeUpdate('status-my-appearance', user.appearance);
-        safeUpdate('status-my-action', user.action);
-        safeUpdate('status-my-features', user.features);
-    }
+    categoriesData = categoriesData.filter(c => c.id !== currentEditingCategoryId);
+    saveCategoriesToStorage();
+    renderCategoryList();
+    updateWorldbookCategorySelector();
+    closeCategoryModal();
+    showSuccessModal('删除成功', '分组已移除。');
 }
 
-
 /**
- * [修改后] 将最新的状态数据保存到 localStorage，并保留最近5条历史记录
- * @param {string} contactId - 当前密友的ID
- * @param {object} statusData - 要保存的状态对象
+ * 保存分组到localStorage
  */
-function saveStatusData(contactId, statusData) {
+function saveCategoriesToStorage() {
     try {
-        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
-        let contactHistory = allStatusHistories[contactId] || [];
-
-        // 为新状态添加时间戳
-        const newStatusEntry = {
-            ...statusData,
-            timestamp: Date.now()
-        };
-
-        // 将新状态添加到历史记录的开头
-        contactHistory.unshift(newStatusEntry);
-
-        // 只保留最近的5条记录
-        contactHistory = contactHistory.slice(0, 5);
-
-        // 更新该联系人的历史记录
-        allStatusHistories[contactId] = contactHistory;
-
-        // 保存回 localStorage
-        localStorage.setItem('sweetheartStatusHistory', JSON.stringify(allStatusHistories));
-        console.log(`✅ 已为 ${contactId} 更新状态历史，当前共 ${contactHistory.length} 条记录。`);
-
+        localStorage.setItem('phoneCategoriesData', JSON.stringify(categoriesData));
     } catch (e) {
-        console.error("保存状态历史数据失败:", e);
+        console.error('保存分组数据失败:', e);
     }
 }
 
 /**
- * [修改后] 当打开聊天时，加载并应用最后一次保存的状态
- * @param {string} contactId - 当前密友的ID
+ * 从localStorage加载分组
  */
-function loadAndApplyStatusData(contactId) {
+function loadCategoriesData() {
     try {
-        // 从新的历史记录存储中读取
-        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
-        const contactHistory = allStatusHistories[contactId];
-
-        // 如果有历史记录，则取第一条（最新的）来更新UI
-        if (contactHistory && contactHistory.length > 0) {
-            updateStatusPopup(contactHistory[0]);
-        } else {
-            // 如果没有历史状态，则清空弹窗的旧数据
-            updateStatusPopup({character: {}, user: {}});
+        const saved = localStorage.getItem('phoneCategoriesData');
+        if (saved) {
+            categoriesData = JSON.parse(saved);
+            console.log('成功加载分组数据，共', categoriesData.length, '条');
         }
     } catch (e) {
-        console.error("加载状态历史数据失败:", e);
+        console.error('加载分组数据失败:', e);
     }
 }
 
-/* ========== 同步组管理功能 - 开始 ========== */
+/**
+ * 更新世界书弹窗的分组选择器
+ */
+function updateWorldbookCategorySelector() {
+    const optionsEl = document.getElementById('categoryOptions');
+    if (!optionsEl) return;
 
+    optionsEl.innerHTML = '';
+
+    // 添加"未分组"选项
+    const uncategorizedOption = document.createElement('div');
+    uncategorizedOption.className = 'category-option';
+    uncategorizedOption.dataset.category = 'uncategorized';
+    uncategorizedOption.textContent = '未分组';
+    optionsEl.appendChild(uncategorizedOption);
+
+    // 添加自定义分组
+    categoriesData.forEach(category => {
+        const option = document.createElement('div');
+        option.className = 'category-option';
+        option.dataset.category = category.id;
+        option.textContent = category.name;
+        optionsEl.appendChild(option);
+    });
+}
+
+// ========== 分组管理功能 - 结束 ==========
 /**
- * 打开同步组管理界面
+ * [最终修正版] 根据当前聊天上下文，收集所有相关的世界书内容
+ * @returns {string} - 格式化后的世界书内容字符串
  */
-function openStatusSyncGroup() {
-    if (!currentWorldId) {
-        showSuccessModal('提示', '请先进入一个世界！', 2000);
-        return;
-    }
 
-    if (!currentSweetheartChatContact) {
-        showSuccessModal('提示', '请先打开一个密友聊天！', 2000);
-        return;
-    }
+/**
+ * [安全增强版] 收集世界书上下文
+ * 防止因数据未加载导致的崩溃
+ */
+function gatherWorldbookContext(scanTexts = []) {
+    return formatWorldbookContext(gatherWorldbookEntries(scanTexts));
+}
 
-    const popup = document.getElementById('statusSyncPopup');
-    if (!popup) return;
+/**
+ * 拼接世界书条目，作为提供给AI的背景设定
+ * @param {Array<string>} contextEntries - gatherWorldbookEntries 返回的条目
+ * @returns {string}
+ */
+function formatWorldbookContext(contextEntries) {
+    if (!contextEntries || contextEntries.length === 0) return '';
+    return "[背景设定/世界观，必须严格遵守]\n---\n" + contextEntries.join('\n\n') + "\n---";
+}
 
-    // 渲染同步组信息
-    renderSyncGroupInfo();
+/**
+ * 解析关键词输入：逗号或换行分隔，/正则/flags 形式的写法按正则处理
+ * @param {string} raw
+ * @returns {Array<string>}
+ */
+function parseWorldbookKeywords(raw) {
+    return (String(raw || '').match(/\/(?:\\.|[^\/])+\/[gimsuy]*|[^,，\n]+/g) || [])
+        .map(keyword => keyword.trim())
+        .filter(Boolean);
+}
 
-    // 显示弹窗
-    popup.classList.add('show');
+/**
+ * 判断条目是否常驻注入（旧条目没有关键词，视为常驻）
+ * @param {object} entry
+ * @returns {boolean}
+ */
+function isWorldbookEntryAlwaysOn(entry) {
+    if (typeof entry.alwaysOn === 'boolean') return entry.alwaysOn;
+    return !(entry.keywords && entry.keywords.length > 0);
 }
 
 /**
- * 关闭同步组管理界面
+ * 单个关键词是否在文本中出现（普通关键词不区分大小写）
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {boolean}
  */
-function closeStatusSyncGroup() {
-    const popup = document.getElementById('statusSyncPopup');
-    if (popup) {
-        popup.classList.remove('show');
+function matchWorldbookKeyword(keyword, text) {
+    const regexMatch = keyword.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2].replace('g', '')).test(text);
+        } catch (e) {
+            console.warn(`世界书关键词正则无效: ${keyword}`, e);
+            return false;
+        }
     }
+    return text.toLowerCase().includes(keyword.toLowerCase());
 }
 
 /**
- * 渲染同步组信息
+ * 条目是否需要注入：常驻条目直接注入，其余条目在最近 scanDepth 条对话里命中任一关键词才注入
+ * @param {object} entry - 世界书条目
+ * @param {Array<string>} scanTexts - 最近的对话文本（从旧到新）
+ * @returns {boolean}
  */
-function renderSyncGroupInfo() {
-    const world = worldsData.find(w => w.id === currentWorldId);
-    if (!world) return;
+function isWorldbookEntryTriggered(entry, scanTexts = []) {
+    if (isWorldbookEntryAlwaysOn(entry)) return true;
+    const depth = entry.scanDepth || WORLDBOOK_DEFAULT_SCAN_DEPTH;
+    const scanned = scanTexts.filter(Boolean).slice(-depth).join('\n');
+    if (!scanned) return false;
+    return (entry.keywords || []).some(keyword => matchWorldbookKeyword(keyword, scanned));
+}
 
-    // 获取当前世界的同步组
-    const syncGroup = getSyncGroupForWorld(currentWorldId);
+/**
+ * 条目的插入顺序（数字越小越靠前）
+ * @param {object} entry
+ * @returns {number}
+ */
+function getWorldbookOrder(entry) {
+    return Number.isFinite(entry.order) ? entry.order : WORLDBOOK_DEFAULT_ORDER;
+}
 
-    // 获取当前联系人是否在同步组中
-    const currentContactId = currentSweetheartChatContact.id;
-    const isInGroup = syncGroup.includes(currentContactId);
+/**
+ * 联系人、当前世界可用的世界书条目 ID（含内置全局设定）
+ * @param {object} [contact] - 默认为当前普通聊天的联系人
+ * @returns {Set<string>}
+ */
+function collectRelevantWorldbookIds(contact = currentChatContact) {
+    const relevantWorldbookIds = new Set();
 
-    // 更新状态提示
-    const statusInfo = document.getElementById('syncStatusInfo');
-    if (syncGroup.length === 0) {
-        statusInfo.innerHTML = `
-            <div class="sync-status-icon">🌍</div>
-            <div class="sync-status-text">
-                世界「${escapeHTML(world.name)}」还没有人加入状态同步组<br>
-                <small style="color: #BCAAA4;">加入后，你的状态会与其他成员实时同步</small>
-            </div>
-        `;
-    } else if (isInGroup) {
-        statusInfo.innerHTML = `
-            <div class="sync-status-icon">✅</div>
-            <div class="sync-status-text">
-                你已加入同步组（共${syncGroup.length}人）<br>
-                <small style="color: #BCAAA4;">你的状态会与下列成员互相同步</small>
-            </div>
-        `;
-    } else {
-        statusInfo.innerHTML = `
-            <div class="sync-status-icon">ℹ️</div>
-            <div class="sync-status-text">
-                当前有${syncGroup.length}人在同步组中<br>
-                <small style="color: #BCAAA4;">加入后可以与他们互相同步状态</small>
-            </div>
-        `;
+    // 1. 添加内置全局设定（确保变量存在）
+    if (typeof GLOBAL_WORLDBOOK_ID !== 'undefined') {
+        relevantWorldbookIds.add(GLOBAL_WORLDBOOK_ID);
     }
 
-    // 渲染成员列表
-    renderSyncGroupMembers(world, syncGroup);
+    // 2. 安全地检查联系人
+    if (contact && contact.id) {
+        // 在密友列表查找
+        if (typeof sweetheartContactsData !== 'undefined') {
+            const sweetheartData = sweetheartContactsData.find(c => c.id === contact.id);
+            if (sweetheartData && sweetheartData.boundWorldbooks) {
+                sweetheartData.boundWorldbooks.forEach(id => relevantWorldbookIds.add(id));
+            }
+        }
+
+        // 在普通联系人列表查找
+        if (typeof contactsData !== 'undefined') {
+            const regularContactData = contactsData.find(c => c.id === contact.id);
+            if (regularContactData && regularContactData.boundWorldbooks) {
+                regularContactData.boundWorldbooks.forEach(id => relevantWorldbookIds.add(id));
+            }
+        }
+    }
+
+    // 3. 检查当前世界
+    if (typeof currentWorldId !== 'undefined' && currentWorldId && typeof worldsData !== 'undefined') {
+        const world = worldsData.find(w => w.id === currentWorldId);
+        if (world && world.worldbooks) {
+            world.worldbooks.forEach(id => relevantWorldbookIds.add(id));
+        }
+    }
 
-    // 更新按钮状态
-    const toggleBtn = document.getElementById('syncToggleBtn');
-    if (isInGroup) {
-        toggleBtn.textContent = '退出同步组';
-        toggleBtn.className = 'status-sync-toggle-btn leave';
-    } else {
-        toggleBtn.textContent = '加入同步组';
-        toggleBtn.className = 'status-sync-toggle-btn join';
+    // 4. 去掉好感度还没达到门槛的条目
+    if (typeof worldbookData !== 'undefined') {
+        relevantWorldbookIds.forEach(id => {
+            const entry = worldbookData.find(wb => wb.id === id);
+            if (entry && !isWorldbookEntryUnlocked(entry, contact)) relevantWorldbookIds.delete(id);
+        });
     }
+
+    return relevantWorldbookIds;
 }
 
 /**
- * 渲染同步组成员列表
+ * 收集联系人、当前世界绑定的世界书条目（每个条目一段文字，便于按预算取舍）
+ * @param {Array<string>} scanTexts - 用于匹配关键词的最近对话（从旧到新）
+ * @param {object} [contact] - 默认为当前普通聊天的联系人
+ * @returns {Array<string>} 按插入顺序排列，预算不足时排在后面的先被省略
  */
-function renderSyncGroupMembers(world, syncGroup) {
-    const container = document.getElementById('syncGroupMembers');
-    if (!container) return;
-
-    container.innerHTML = '';
-
-    // 获取当前世界的所有联系人
-    const worldContacts = world.contacts.map(contactId =>
-        sweetheartContactsData.find(c => c.id === contactId)
-    ).filter(Boolean);
-
-    if (worldContacts.length === 0) {
-        container.innerHTML = `
-            <div style="text-align: center; padding: 20px; color: #BCAAA4;">
-                当前世界还没有联系人
-            </div>
-        `;
-        return;
+function gatherWorldbookEntries(scanTexts = [], contact = currentChatContact) {
+    const relevantWorldbookIds = collectRelevantWorldbookIds(contact);
+    if (relevantWorldbookIds.size === 0) {
+        return [];
     }
 
-    const currentContactId = currentSweetheartChatContact.id;
+    // 5. 安全地查找内容，只保留常驻或被关键词触发的条目
+    const triggeredEntries = [];
+    if (typeof worldbookData !== 'undefined') {
+        relevantWorldbookIds.forEach(id => {
+            const entry = worldbookData.find(wb => wb.id === id);
+            if (entry && entry.content && isWorldbookEntryTriggered(entry, scanTexts)) {
+                triggeredEntries.push(entry);
+            }
+        });
+    }
 
-    // 渲染每个联系人
-    worldContacts.forEach(contact => {
-        const isInGroup = syncGroup.includes(contact.id);
-        const isMe = contact.id === currentContactId;
+    // 6. 按插入顺序排列
+    return triggeredEntries
+        .sort((a, b) => getWorldbookOrder(a) - getWorldbookOrder(b))
+        .map(entry => {
+            let categoryName = '通用';
+            // 安全获取分类名称
+            if (typeof categoriesData !== 'undefined') {
+                const cat = categoriesData.find(c => c.id === entry.category);
+                if (cat) categoryName = cat.name;
+            }
+            return `### ${categoryName}: ${entry.title}\n${entry.content}`;
+        });
+}
 
-        const item = document.createElement('div');
-        item.className = 'sync-member-item' + (isMe ? ' is-me' : '');
 
-        const isUrl = contact.avatar && (contact.avatar.startsWith('http') || contact.avatar.startsWith('data:'));
-        const avatarContent = isUrl
-            ? `<img src="${escapeHTML(contact.avatar)}" alt="">`
-            : escapeHTML(contact.avatar);
+// ========== 世界书功能 - 结束 ==========
 
-        const badge = isMe ? '（我）' : '';
-        const statusIcon = isInGroup ? '✓' : '○';
-        const statusClass = isInGroup ? 'active' : 'inactive';
+// ========== 分层地图与移动 - 开始 ==========
+
+// 世界主地图的 ID；子地图的 ID 就是它在上一层地图里的入口地点 ID
+const ROOT_MAP_ID = 'root';
+const MAP_PIN_ICONS = {
+    city: '🏙️',
+    village: '🏘️',
+    dungeon: '🏰',
+    landmark: '⭐',
+    building: '🏠',
+    other: '📍'
+};
+// 地图横向代表的实际距离（米），可在地图编辑里修改
+const DEFAULT_MAP_SCALE = {root: 2000, sub: 200};
+// 移动速度（米/分钟），超过 VEHICLE_THRESHOLD 米时视为乘车
+const WALKING_SPEED = 80;
+const VEHICLE_SPEED = 400;
+const VEHICLE_THRESHOLD = 1500;
+const MAP_TRAVEL_LOG_LIMIT = 50;
 
-        item.innerHTML = `
-            <div class="sync-member-avatar">${avatarContent}</div>
-            <div class="sync-member-info">
-                <div class="sync-member-name">${escapeHTML(contact.name)}</div>
-                <div class="sync-member-badge ${statusClass}">${badge}${isInGroup ? '已加入同步' : '未加入'}</div>
-            </div>
-            <div class="sync-member-status ${statusClass}">${statusIcon}</div>
-        `;
+// {世界ID: {positions: {user 或 联系人ID: {mapId, pinId, updatedAt}}, log: [...从新到旧],
+//   schedules: {联系人ID: [{start, end, mapId, pinId}]}, firedEvents: {联系人ID: [{eventId, pinId, timestamp}]}}}
+let mapTravelData = JSON.parse(localStorage.getItem('worldMapTravel') || '{}');
 
-        container.appendChild(item);
-    });
+function saveMapTravelData() {
+    localStorage.setItem('worldMapTravel', JSON.stringify(mapTravelData));
 }
 
 /**
- * 切换同步组成员资格
+ * 地点的图标：自定义图标优先，否则按类型
+ * @param {object} pin
+ * @returns {string}
  */
-function toggleSyncGroupMembership() {
-    if (!currentWorldId || !currentSweetheartChatContact) return;
-
-    const currentContactId = currentSweetheartChatContact.id;
-    const syncGroup = getSyncGroupForWorld(currentWorldId);
-    const isInGroup = syncGroup.includes(currentContactId);
-
-    if (isInGroup) {
-        // 退出同步组
-        if (confirm('确定要退出同步组吗？退出后你的状态将不再与其他成员同步。')) {
-            removeMemberFromSyncGroup(currentWorldId, currentContactId);
-            showSuccessModal('已退出', '你已退出状态同步组');
-        }
-    } else {
-        // 加入同步组
-        addMemberToSyncGroup(currentWorldId, currentContactId);
-        showSuccessModal('已加入', '你已加入状态同步组，现在你的状态会与其他成员互相同步！');
-    }
+function getMapPinIcon(pin) {
+    return pin.icon || MAP_PIN_ICONS[pin.type] || '📍';
+}
 
-    // 刷新界面
-    renderSyncGroupInfo();
+/**
+ * 某张地图的地点在 localStorage 里的 key（主地图沿用原来的 key）
+ */
+function getMapPinsKey(worldId, mapId) {
+    return mapId === ROOT_MAP_ID ? `mapPins_${worldId}` : `mapPins_${worldId}__${mapId}`;
 }
 
 /**
- * 获取指定世界的同步组成员
- * @param {string} worldId - 世界ID
- * @returns {Array<string>} - 同步组成员ID数组
+ * 读取某张地图的地点；默认世界的主地图没有保存过时使用预设地点
+ * @returns {Array}
  */
-function getSyncGroupForWorld(worldId) {
+function loadMapPins(worldId, mapId) {
     try {
-        const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
-        return allSyncGroups[worldId] || [];
+        const saved = localStorage.getItem(getMapPinsKey(worldId, mapId));
+        if (saved) return JSON.parse(saved);
     } catch (e) {
-        console.error('读取同步组失败:', e);
+        console.error('解析地图地点数据失败', e);
         return [];
     }
+    const world = worldsData.find(w => w.id === worldId);
+    const isDefaultMap = mapId === ROOT_MAP_ID && world?.mapUrl?.includes('1760979959274_qdqqd_m9jrpo.jpg');
+    return isDefaultMap ? DEFAULT_MAP_LOCATIONS.map(pin => ({...pin})) : [];
 }
 
 /**
- * 将成员添加到同步组
- * @param {string} worldId - 世界ID
- * @param {string} contactId - 联系人ID
+ * 地图信息：主地图来自世界本身，子地图来自 world.subMaps
+ * @returns {{id, name, url, scale, parentId}|null}
  */
-function addMemberToSyncGroup(worldId, contactId) {
-    try {
-        const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
-
-        if (!allSyncGroups[worldId]) {
-            allSyncGroups[worldId] = [];
-        }
-
-        if (!allSyncGroups[worldId].includes(contactId)) {
-            allSyncGroups[worldId].push(contactId);
-            localStorage.setItem('worldStatusSyncGroups', JSON.stringify(allSyncGroups));
-            console.log(`✅ ${contactId} 已加入世界 ${worldId} 的同步组`);
-        }
-    } catch (e) {
-        console.error('添加到同步组失败:', e);
+function getMapInfo(world, mapId) {
+    if (!world) return null;
+    if (mapId === ROOT_MAP_ID) {
+        return {id: ROOT_MAP_ID, name: world.name, url: world.mapUrl, scale: world.mapScale || DEFAULT_MAP_SCALE.root, parentId: null};
     }
+    const sub = (world.subMaps || {})[mapId];
+    if (!sub) return null;
+    return {id: mapId, name: sub.name, url: sub.url, scale: sub.scale || DEFAULT_MAP_SCALE.sub, parentId: sub.parentId || ROOT_MAP_ID};
 }
 
 /**
- * 从同步组移除成员
- * @param {string} worldId - 世界ID
- * @param {string} contactId - 联系人ID
+ * 从主地图到指定地图的层级路径
+ * @returns {Array<string>} 例如 ['root', '女生宿舍的地点ID']
  */
-function removeMemberFromSyncGroup(worldId, contactId) {
-    try {
-        const allSyncGroups = JSON.parse(localStorage.getItem('worldStatusSyncGroups') || '{}');
-
-        if (allSyncGroups[worldId]) {
-            allSyncGroups[worldId] = allSyncGroups[worldId].filter(id => id !== contactId);
-            localStorage.setItem('worldStatusSyncGroups', JSON.stringify(allSyncGroups));
-            console.log(`✅ ${contactId} 已退出世界 ${worldId} 的同步组`);
-        }
-    } catch (e) {
-        console.error('从同步组移除失败:', e);
+function getMapChain(world, mapId) {
+    const chain = [];
+    let id = mapId;
+    while (id && chain.length < 20) {
+        chain.unshift(id);
+        if (id === ROOT_MAP_ID) break;
+        id = getMapInfo(world, id)?.parentId;
     }
+    return chain[0] === ROOT_MAP_ID ? chain : [ROOT_MAP_ID];
 }
 
 /**
- * [修改] 保存状态数据，并在同步组内互相同步
- * @param {string} contactId - 当前密友的ID
- * @param {object} statusData - 要保存的状态对象
+ * 在某张地图上找地点
+ * @returns {object|null}
  */
-function saveStatusData(contactId, statusData) {
-    if (!contactId || !statusData) return;
-
-    try {
-        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
-        let contactHistory = allStatusHistories[contactId] || [];
+function findMapPin(worldId, mapId, pinId) {
+    return loadMapPins(worldId, mapId).find(pin => pin.id === pinId) || null;
+}
 
-        const newStatusEntry = {
-            ...statusData,
-            timestamp: Date.now()
-        };
+/**
+ * 某个人（user 或联系人ID）在当前世界的位置
+ * 角色有日程时，当前时段开始之后没有再移动过就按日程所在的地点
+ * @returns {{mapId: string, pinId: string}|null}
+ */
+function getTravelerPosition(worldId, travelerId, now = Date.now()) {
+    const position = mapTravelData[worldId]?.positions?.[travelerId] || null;
+    if (travelerId === 'user') return position;
 
-        contactHistory.unshift(newStatusEntry);
-        contactHistory = contactHistory.slice(0, 5);
-        allStatusHistories[contactId] = contactHistory;
+    const scheduled = getScheduledPosition(worldId, travelerId, now);
+    if (!scheduled || (position && (position.updatedAt || 0) >= scheduled.since)) return position;
+    return {mapId: scheduled.mapId, pinId: scheduled.pinId};
+}
 
-        localStorage.setItem('sweetheartStatusHistory', JSON.stringify(allStatusHistories));
-        console.log(`✅ 已为 ${contactId} 更新状态历史`);
+/**
+ * 估算两个地点之间的距离和用时
+ * 同一张地图上按坐标直线距离计算；跨层时先走到各自地图的中心（视为出入口），再在共同的上层地图上移动
+ * @param {object} world
+ * @param {{mapId, pinId}} from
+ * @param {{mapId, pinId}} to
+ * @returns {{distance: number, minutes: number, mode: string}|null} 没有出发地时返回 null
+ */
+function estimateTravel(world, from, to) {
+    if (!from || !to) return null;
+    if (from.mapId === to.mapId && from.pinId === to.pinId) return {distance: 0, minutes: 0, mode: '步行'};
 
-        // ✅ 新增：在同步组内互相同步"我的状态"
-        if (currentWorldId && statusData.user) {
-            syncMyStatusInGroup(currentWorldId, contactId, statusData.user);
+    const pinPoint = (mapId, pinId) => {
+        const pin = findMapPin(world.id, mapId, pinId);
+        return pin ? {x: pin.x, y: pin.y} : {x: 50, y: 50};
+    };
+    const gap = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+    const fromChain = getMapChain(world, from.mapId);
+    const toChain = getMapChain(world, to.mapId);
+    let commonIndex = 0;
+    while (commonIndex + 1 < fromChain.length && commonIndex + 1 < toChain.length &&
+    fromChain[commonIndex + 1] === toChain[commonIndex + 1]) {
+        commonIndex++;
+    }
+
+    // 从所在的子地图一层层走出来，返回在共同地图上的位置和路上走的距离
+    const climb = (chain, position) => {
+        let point = pinPoint(position.mapId, position.pinId);
+        let extra = 0;
+        for (let i = chain.length - 1; i > commonIndex; i--) {
+            extra += gap(point, {x: 50, y: 50}) * getMapInfo(world, chain[i]).scale / 100;
+            point = pinPoint(chain[i - 1], chain[i]);
         }
+        return {point, extra};
+    };
+    const start = climb(fromChain, from);
+    const end = climb(toChain, to);
+    const commonScale = getMapInfo(world, fromChain[commonIndex]).scale;
 
-    } catch (e) {
-        console.error('保存状态历史数据失败:', e);
-    }
+    const distance = Math.round((gap(start.point, end.point) * commonScale / 100 + start.extra + end.extra) / 10) * 10;
+    const byVehicle = distance > VEHICLE_THRESHOLD;
+    return {
+        distance,
+        minutes: Math.max(1, Math.round(distance / (byVehicle ? VEHICLE_SPEED : WALKING_SPEED))),
+        mode: byVehicle ? '乘车' : '步行'
+    };
 }
 
 /**
- * [新增] 在同步组内同步"我的状态"
- * @param {string} worldId - 当前世界ID
- * @param {string} sourceContactId - 源联系人ID
- * @param {object} myStatus - 我的状态数据
+ * 记录一次移动：更新每个人的位置，写入移动记录
+ * @param {string} worldId
+ * @param {Array<string>} travelerIds - 'user' 或联系人ID
+ * @param {{mapId, pinId}} destination
+ * @param {object} entry - {fromName, toName, distance, minutes, mode}
  */
-function syncMyStatusInGroup(worldId, sourceContactId, myStatus) {
-    if (!myStatus) return;
+function recordTravel(worldId, travelerIds, destination, entry) {
+    const travel = mapTravelData[worldId] || {positions: {}, log: []};
+    travelerIds.forEach(id => travel.positions[id] = {...destination, updatedAt: Date.now()});
+    travel.log = [{timestamp: Date.now(), travelers: travelerIds, ...entry}, ...travel.log].slice(0, MAP_TRAVEL_LOG_LIMIT);
+    mapTravelData[worldId] = travel;
+    saveMapTravelData();
+}
 
-    // 获取同步组成员
-    const syncGroup = getSyncGroupForWorld(worldId);
+/**
+ * 移动记录里一个人的显示名
+ */
+function getTravelerName(travelerId) {
+    if (travelerId === 'user') return userProfile.name || '我';
+    return sweetheartContactsData.find(c => c.id === travelerId)?.name || '未知';
+}
 
-    // 检查源联系人是否在同步组中
-    if (!syncGroup.includes(sourceContactId)) {
-        console.log('ℹ️ 当前联系人不在同步组中，跳过同步');
-        return;
+/**
+ * 删除地图及它下面所有子地图的地点数据（删除地点或世界时调用）
+ * @param {object} world
+ * @param {string} mapId
+ */
+function removeMapTree(world, mapId) {
+    Object.entries(world.subMaps || {})
+        .filter(([, sub]) => sub.parentId === mapId)
+        .forEach(([childId]) => removeMapTree(world, childId));
+    localStorage.removeItem(getMapPinsKey(world.id, mapId));
+    if (mapId !== ROOT_MAP_ID && world.subMaps?.[mapId]) {
+        const {url} = world.subMaps[mapId];
+        delete world.subMaps[mapId];
+        releaseMapImages([url]);
     }
+}
 
-    // 过滤出需要同步的目标（排除自己）
-    const syncTargets = syncGroup.filter(id => id !== sourceContactId);
+/**
+ * 删除不再被任何世界引用的地图图片（ImageDB 里的 db-image:// 记录）
+ * 复制出来的世界和原世界共用同一张图片，要在地图数据改完之后调用
+ * @param {string[]} urls - 不再使用的地图地址
+ */
+function releaseMapImages(urls) {
+    const inUse = new Set(worldsData.flatMap(world => [world.mapUrl, ...Object.values(world.subMaps || {}).map(sub => sub.url)]));
+    const ids = urls
+        .filter(url => typeof url === 'string' && url.startsWith('db-image://') && !inUse.has(url))
+        .map(url => url.slice('db-image://'.length));
+    if (ids.length === 0) return;
+    ImageDB.delete([...new Set(ids)]).catch(e => console.warn('删除地图图片失败:', e));
+}
 
-    if (syncTargets.length === 0) {
-        console.log('ℹ️ 同步组中只有自己，无需同步');
-        return;
-    }
+// ========== 分层地图与移动 - 结束 ==========
 
-    try {
-        const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+// ========== 角色位置与日程 - 开始 ==========
 
-        syncTargets.forEach(targetContactId => {
-            let targetHistory = allStatusHistories[targetContactId] || [];
+let characterScheduleDraft = []; // 日程编辑页的草稿
+// 状态文字里按「包含」匹配地点名的最短长度；更短的名字（如「家」）要作为单独的词出现才算
+const PLACE_MATCH_MIN_LENGTH = 2;
 
-            if (targetHistory.length > 0) {
-                // 更新最新一条的"我的状态"
-                targetHistory[0].user = {
-                    ...myStatus,
-                    syncedFrom: sourceContactId,
-                    syncedAt: Date.now()
-                };
-            } else {
-                // 创建新的状态记录
-                targetHistory.unshift({
-                    character: {
-                        location: '...',
-                        appearance: '...',
-                        action: '...',
-                        thoughts: '...',
-                        private_thoughts: '...'
-                    },
-                    user: {
-                        ...myStatus,
-                        syncedFrom: sourceContactId,
-                        syncedAt: Date.now()
-                    },
-                    timestamp: Date.now()
-                });
-            }
+/**
+ * 世界里所有地图上的地点（含内部地图）
+ * @param {object} world
+ * @returns {Array<{mapId, pinId, name, label}>}
+ */
+function getWorldPlaces(world) {
+    return [ROOT_MAP_ID, ...Object.keys(world.subMaps || {})].flatMap(mapId =>
+        loadMapPins(world.id, mapId).map(pin => ({
+            mapId,
+            pinId: pin.id,
+            name: pin.name,
+            label: getPlaceLabel(world, {mapId, pinId: pin.id})
+        }))
+    );
+}
 
-            targetHistory = targetHistory.slice(0, 5);
-            allStatusHistories[targetContactId] = targetHistory;
+/**
+ * "08:30" → 510（当天的第几分钟）
+ */
+function parseScheduleTime(time) {
+    const [hours, minutes] = String(time || '').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+}
 
-            console.log(`🔄 已将"我的状态"同步到 ${targetContactId}`);
-        });
+/**
+ * 角色日程里当前时段所在的地点；结束时间不晚于开始时间的时段视为跨过午夜
+ * 地点已经被删除的时段跳过
+ * @param {string} worldId
+ * @param {string} contactId
+ * @param {number} [now]
+ * @returns {{mapId, pinId, since: number}|null} since 为这个时段最近一次开始的时间
+ */
+function getScheduledPosition(worldId, contactId, now = Date.now()) {
+    const slots = mapTravelData[worldId]?.schedules?.[contactId] || [];
+    const date = new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
 
-        localStorage.setItem('sweetheartStatusHistory', JSON.stringify(allStatusHistories));
-        console.log(`✅ 同步完成，共同步到 ${syncTargets.length} 个成员`);
+    for (const slot of slots) {
+        const start = parseScheduleTime(slot.start);
+        const end = parseScheduleTime(slot.end);
+        const overnight = end <= start;
+        const inSlot = overnight ? (minutes >= start || minutes < end) : (minutes >= start && minutes < end);
+        if (!inSlot || !findMapPin(worldId, slot.mapId, slot.pinId)) continue;
 
-    } catch (e) {
-        console.error('同步状态失败:', e);
+        const since = new Date(date);
+        since.setHours(0, start, 0, 0);
+        if (overnight && minutes < end) since.setDate(since.getDate() - 1);
+        return {mapId: slot.mapId, pinId: slot.pinId, since: since.getTime()};
+    }
+    return null;
+}
+
+/**
+ * 从 AI 的状态更新里同步角色位置：状态的位置字段里提到已知地点时，把角色移动到那里
+ * 同时提到多个地点时取名字最长的（更具体的）那个；单字的地点名要单独出现才算提到
+ * @param {string} worldId
+ * @param {string} contactId
+ * @param {object} characterStatus - 状态里「TA的状态」部分
+ */
+function syncPositionFromStatus(worldId, contactId, characterStatus) {
+    const text = characterStatus?.[getStatusLocationKey(getStatusSchema(contactId))];
+    const world = worldsData.find(w => w.id === worldId);
+    if (!world || typeof text !== 'string' || !text) return;
+
+    const words = text.split(/[\s,，、。.;；:：!！?？()（）\[\]【】"“”'‘’「」]+/);
+    const mentions = name => name.length >= PLACE_MATCH_MIN_LENGTH ? text.includes(name) : words.includes(name);
+    const match = getWorldPlaces(world)
+        .filter(place => place.name && mentions(place.name))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    if (!match) return;
+
+    const destination = {mapId: match.mapId, pinId: match.pinId};
+    const current = getTravelerPosition(worldId, contactId);
+    if (current && current.mapId === match.mapId && current.pinId === match.pinId) return;
+
+    const travel = estimateTravel(world, current, destination);
+    recordTravel(worldId, [contactId], destination, {
+        fromName: current ? getPlaceLabel(world, current) : '',
+        toName: match.label,
+        distance: travel?.distance || 0,
+        minutes: travel?.minutes || 0,
+        mode: travel?.mode || ''
+    });
+}
+
+/**
+ * 位置相关的提示词：已知地点、双方所在位置、同一地点的其他角色
+ * 当前世界的地图上没有地点时返回空字符串
+ * @param {string} contactId
+ * @param {{mapId, pinId}} [arrivedAt] - 用户和TA正一起前往的地点（回复成功后才记入移动记录）
+ * @returns {string}
+ */
+function buildMapPresencePrompt(contactId, arrivedAt) {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world) return '';
+    const places = getWorldPlaces(world);
+    if (places.length === 0) return '';
+
+    const contact = sweetheartContactsData.find(c => c.id === contactId);
+    const userPosition = arrivedAt || getTravelerPosition(world.id, 'user');
+    const contactPosition = arrivedAt || getTravelerPosition(world.id, contactId);
+    const samePlace = (a, b) => a && b && a.mapId === b.mapId && a.pinId === b.pinId;
+
+    let prompt = `[地图]\n已知地点：${places.map(place => place.label).join('、')}\n`;
+    if (userPosition) prompt += `用户现在在：${getPlaceLabel(world, userPosition)}\n`;
+    if (contactPosition) {
+        prompt += samePlace(contactPosition, userPosition)
+            ? `${contact?.name || 'TA'}和用户在一起\n`
+            : `${contact?.name || 'TA'}现在在：${getPlaceLabel(world, contactPosition)}\n`;
     }
-}
 
-/* ========== 同步组管理功能 - 结束 ========== */
+    const present = (world.contacts || [])
+        .filter(id => id !== contactId)
+        .map(id => sweetheartContactsData.find(c => c.id === id))
+        .filter(other => other && samePlace(getTravelerPosition(world.id, other.id), userPosition));
+    if (present.length > 0) {
+        prompt += `此刻在这里的还有：${present.map(other => other.personality ? `${other.name}（${other.personality}）` : other.name).join('、')}。` +
+            `他们可以自然地出现在剧情里，与你们偶遇、搭话或互动。\n`;
+    }
 
+    const locationKey = getStatusLocationKey(getStatusSchema(contactId));
+    prompt += `当${contact?.name || 'TA'}移动到上面某个地点时，状态里的 ${locationKey} 请写出该地点的名称。`;
+    return prompt;
+}
 
 /**
- * 取消引用（密友版）
+ * 打开当前密友在当前世界的日程编辑页
  */
-function cancelSweetheartQuote() {
-    currentSweetheartQuoteData = null;
-    const previewEl = document.getElementById('sweetheartQuotePreview');
-    previewEl.classList.remove('show');
+function openCharacterSchedule() {
+    if (!currentSweetheartChatContact) return;
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world || getWorldPlaces(world).length === 0) {
+        showSuccessModal('提示', '当前世界的地图上还没有地点，先在地图编辑里添加吧~', 2000);
+        return;
+    }
+
+    const saved = mapTravelData[currentWorldId]?.schedules?.[currentSweetheartChatContact.id] || [];
+    characterScheduleDraft = JSON.parse(JSON.stringify(saved));
+    document.getElementById('characterScheduleDesc').textContent =
+        `「${currentSweetheartChatContact.name}」在世界「${world.name}」里每天的行程。到了某个时段TA会出现在对应地点；和你一起移动后会留在新地点，直到下一个时段开始。`;
+    renderCharacterSchedule();
+    document.getElementById('characterSchedulePage').classList.add('show');
+}
+
+function closeCharacterSchedule() {
+    document.getElementById('characterSchedulePage').classList.remove('show');
 }
 
 /**
- * [最终修复版] 初始化密友聊天输入框
+ * 渲染日程编辑列表
  */
-function setupSweetheartChatInput() {
-    const chatInput = document.getElementById('sweetheartChatInput');
-    const chatInputArea = document.querySelector('.sweetheart-chat-input-area');
+function renderCharacterSchedule() {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const places = getWorldPlaces(world);
+    const placeOptions = slot => places.map(place => {
+        const selected = place.mapId === slot.mapId && place.pinId === slot.pinId ? 'selected' : '';
+        return `<option value="${escapeStatusAttr(`${place.mapId}|${place.pinId}`)}" ${selected}>${escapeHTML(place.label)}</option>`;
+    }).join('');
+
+    document.getElementById('characterScheduleList').innerHTML = characterScheduleDraft.map((slot, index) => `
+        <div class="status-schema-field">
+            <div class="status-schema-row">
+                <input class="status-schema-input" type="time" value="${escapeStatusAttr(slot.start)}"
+                       onchange="updateScheduleSlot(${index}, 'start', this.value)">
+                <input class="status-schema-input" type="time" value="${escapeStatusAttr(slot.end)}"
+                       onchange="updateScheduleSlot(${index}, 'end', this.value)">
+            </div>
+            <div class="status-schema-row">
+                <select class="status-schema-input wide" onchange="updateScheduleSlot(${index}, 'place', this.value)">
+                    ${placeOptions(slot)}
+                </select>
+            </div>
+            <div class="status-schema-actions">
+                <button class="danger" onclick="removeScheduleSlot(${index})">删除</button>
+            </div>
+        </div>
+    `).join('') || '<div class="settings-desc schedule-empty">还没有日程，TA会一直待在最后去过的地方</div>';
+}
 
-    if (!chatInput || !chatInputArea) return;
+function addScheduleSlot() {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const [firstPlace] = world ? getWorldPlaces(world) : [];
+    if (!firstPlace) {
+        showSuccessModal('提示', '当前世界的地图上还没有地点，先在地图编辑里添加吧~', 2000);
+        return;
+    }
+    const start = characterScheduleDraft[characterScheduleDraft.length - 1]?.end || '08:00';
+    const end = String((Math.floor(parseScheduleTime(start) / 60) + 4) % 24).padStart(2, '0') + start.slice(2);
+    characterScheduleDraft.push({start, end, mapId: firstPlace.mapId, pinId: firstPlace.pinId});
+    renderCharacterSchedule();
+}
 
-    // 1. 克隆节点以移除旧的所有事件监听器 (防止重复绑定)
-    const freshChatInput = chatInput.cloneNode(true);
-    chatInput.parentNode.replaceChild(freshChatInput, chatInput);
+function updateScheduleSlot(index, key, value) {
+    const slot = characterScheduleDraft[index];
+    if (!slot) return;
+    if (key === 'place') {
+        [slot.mapId, slot.pinId] = value.split('|');
+    } else {
+        slot[key] = value;
+    }
+}
 
-    // 2. 绑定 "输入时显示发送按钮" 的逻辑
-    freshChatInput.addEventListener('input', function () {
-        updateSweetheartChatInputAreaButtons();
-    });
+function removeScheduleSlot(index) {
+    characterScheduleDraft.splice(index, 1);
+    renderCharacterSchedule();
+}
 
-    // 3. 绑定 "回车发送" 逻辑
-    freshChatInput.addEventListener('keypress', function (e) {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault(); // 阻止默认换行
-            addSweetheartMessageToList(); // 发送文本消息
-        }
-    });
+/**
+ * 保存日程；时段需要填写开始和结束时间，且两者不能相同
+ */
+function saveCharacterSchedule() {
+    const invalid = characterScheduleDraft.find(slot => !slot.start || !slot.end || slot.start === slot.end);
+    if (invalid) {
+        alert('每个时段都需要填写开始和结束时间，且两者不能相同');
+        return;
+    }
 
-    // 4. 初始化一次状态
-    updateSweetheartChatInputAreaButtons();
+    const travel = mapTravelData[currentWorldId] || {positions: {}, log: []};
+    travel.schedules = travel.schedules || {};
+    if (characterScheduleDraft.length > 0) {
+        travel.schedules[currentSweetheartChatContact.id] = characterScheduleDraft;
+    } else {
+        delete travel.schedules[currentSweetheartChatContact.id];
+    }
+    mapTravelData[currentWorldId] = travel;
+    saveMapTravelData();
 
-    // 确保输入框可用
-    freshChatInput.disabled = false;
-    freshChatInput.removeAttribute('readonly');
+    closeCharacterSchedule();
+    showSuccessModal('保存成功', '日程已更新');
 }
 
+// ========== 角色位置与日程 - 结束 ==========
 
-// ========== 世界书功能 - 开始 ==========
+// ========== 地点事件 - 开始 ==========
 
-// 世界书数据存储
-let worldbookData = [];
-let selectedCategory = null; // 当前选择的分组
-let selectedGroup = null; // 选中的分类
-let currentEditingWorldbookId = null;
+const MAP_EVENT_TYPES = {random: '随机遭遇', story: '一次性剧情'};
+// 时段按现实时间判断，夜晚跨过午夜
+const MAP_EVENT_TIMES = {
+    any: {label: '不限'},
+    morning: {label: '早上', from: 5, to: 11},
+    afternoon: {label: '下午', from: 11, to: 17},
+    evening: {label: '傍晚', from: 17, to: 21},
+    night: {label: '夜晚', from: 21, to: 5}
+};
+// 与主屏幕天气卡片的 selectedWeather 一致
+const MAP_EVENT_WEATHERS = {any: '不限', sunny: '晴天', cloudy: '多云', rainy: '雨天', snowy: '雪天'};
+// 抽随机遭遇时「什么也没发生」所占的权重
+const MAP_EVENT_IDLE_WEIGHT = 3;
+const MAP_EVENT_HISTORY_LIMIT = 100;
+
+let currentEditingEventIndex = -1; // -1 表示新建事件
 
 /**
- * 打开世界书主页面
+ * 当前所处的时段
+ * @param {Date} [date]
+ * @returns {string} MAP_EVENT_TIMES 的 key
  */
-function openWorldbook() {
-    document.getElementById('worldbookPage').classList.add('show');
-    renderWorldbookList();
+function getTimeOfDay(date = new Date()) {
+    const hour = date.getHours();
+    return Object.keys(MAP_EVENT_TIMES).find(key => {
+        const {from, to} = MAP_EVENT_TIMES[key];
+        if (from === undefined) return false;
+        return from < to ? hour >= from && hour < to : hour >= from || hour < to;
+    });
 }
 
 /**
- * 关闭世界书主页面
+ * 某个密友在这个世界里已经触发过的地点事件（从新到旧）
+ * @returns {Array<{eventId, pinId, timestamp}>}
  */
-function closeWorldbook() {
-    document.getElementById('worldbookPage').classList.remove('show');
+function getFiredMapEvents(worldId, contactId) {
+    return mapTravelData[worldId]?.firedEvents?.[contactId] || [];
 }
 
 /**
- * 渲染世界书列表
+ * 事件此刻能否触发：时段、天气、好感度都满足；一次性剧情没触发过；随机遭遇不和这个地点上一次的事件重复
+ * @param {object} event
+ * @param {object} pin
+ * @param {string} contactId
+ * @param {Array} fired - getFiredMapEvents 的结果
+ * @param {Date} [now]
+ * @returns {boolean}
  */
-function renderWorldbookList() {
-    const emptyEl = document.getElementById('worldbookEmpty');
-    const listEl = document.getElementById('worldbookList');
-
-    if (worldbookData.length === 0) {
-        emptyEl.style.display = 'flex';
-        listEl.style.display = 'none';
-    } else {
-        emptyEl.style.display = 'none';
-        listEl.style.display = 'flex';
-
-        listEl.innerHTML = '';
-        worldbookData.forEach(entry => {
-            const item = document.createElement('div');
-            item.className = 'worldbook-item';
-            item.onclick = () => editWorldbookEntry(entry.id);
+function isMapEventAvailable(event, pin, contactId, fired, now = new Date()) {
+    if (event.time && event.time !== 'any' && event.time !== getTimeOfDay(now)) return false;
+    if (event.weather && event.weather !== 'any' && event.weather !== (localStorage.getItem('selectedWeather') || 'sunny')) return false;
+    if (event.minAffection > 0) {
+        const state = getRelationshipState(contactId);
+        if (!state.enabled || state.affection < event.minAffection) return false;
+    }
+    if (event.type === 'story') return !fired.some(record => record.eventId === event.id);
+    return fired.find(record => record.pinId === pin.id)?.eventId !== event.id;
+}
 
-            const groupNames = {
-                'worldview': '世界观',
-                'rules': '行为规范',
-                'knowledge': '知识库'
-            };
+/**
+ * 到达地点时抽取要发生的事件：满足条件的一次性剧情优先（按列表顺序），否则按权重抽随机遭遇
+ * @param {string} worldId
+ * @param {string} contactId
+ * @param {object} pin
+ * @param {Function} [random] - 返回 [0, 1) 的随机数
+ * @returns {object|null} 没有事件发生时返回 null
+ */
+function pickMapEvent(worldId, contactId, pin, random = Math.random) {
+    const fired = getFiredMapEvents(worldId, contactId);
+    const available = (pin.events || []).filter(event => isMapEventAvailable(event, pin, contactId, fired));
 
-            // 获取分组名称
-            let categoryName = '未分组';
-            if (entry.category && entry.category !== 'uncategorized') {
-                const cat = categoriesData.find(c => c.id === entry.category);
-                categoryName = cat ? cat.name : '未分组';
-            }
+    const story = available.find(event => event.type === 'story');
+    if (story) return story;
 
-            const preview = (entry.content || '暂无内容').substring(0, 60);
+    const encounters = available.filter(event => event.type !== 'story');
+    if (encounters.length === 0) return null;
+    const total = encounters.reduce((sum, event) => sum + (event.weight || 1), MAP_EVENT_IDLE_WEIGHT);
+    let roll = random() * total;
+    return encounters.find(event => (roll -= event.weight || 1) < 0) || null;
+}
 
-            item.innerHTML = `
-                <div class="worldbook-item-title">${escapeHTML(entry.title)}</div>
-                <div class="worldbook-item-category">${escapeHTML(groupNames[entry.group] || '未分类')} · ${escapeHTML(categoryName)}</div>
-                <div class="worldbook-item-preview">${escapeHTML(preview)}${preview.length >= 60 ? '...' : ''}</div>
-            `;
+/**
+ * 记录触发过的事件
+ */
+function recordMapEvent(worldId, contactId, pinId, event) {
+    const travel = mapTravelData[worldId] || {positions: {}, log: []};
+    travel.firedEvents = travel.firedEvents || {};
+    travel.firedEvents[contactId] = [
+        {eventId: event.id, pinId, timestamp: Date.now()},
+        ...(travel.firedEvents[contactId] || [])
+    ].slice(0, MAP_EVENT_HISTORY_LIMIT);
+    mapTravelData[worldId] = travel;
+    saveMapTravelData();
+}
 
-            listEl.appendChild(item);
-        });
-    }
+/**
+ * 注入线下模式请求的事件说明
+ * @param {object} event
+ * @returns {string}
+ */
+function buildMapEventPrompt(event) {
+    const weather = MAP_EVENT_WEATHERS[localStorage.getItem('selectedWeather') || 'sunny'];
+    return `[地点事件：${MAP_EVENT_TYPES[event.type] || MAP_EVENT_TYPES.random}]\n` +
+        `现在是${MAP_EVENT_TIMES[getTimeOfDay()].label}，${weather}。刚到这里时发生了「${event.title}」：${event.content}\n` +
+        `请把这个事件自然地写进接下来的剧情，不要直接复述这段说明。`;
 }
 
+// 地点弹窗里的事件列表
+function renderLocationEvents() {
+    const events = locationEventsDraft;
+    document.getElementById('locationEventsList').innerHTML = events.map((event, index) => `
+        <div class="location-event-item" onclick="openMapEventEditor(${index})">
+            <span class="location-event-type ${event.type === 'story' ? 'story' : ''}">${MAP_EVENT_TYPES[event.type] || MAP_EVENT_TYPES.random}</span>
+            <span class="location-event-title">${escapeHTML(event.title)}</span>
+        </div>
+    `).join('') + '<button class="location-submap-btn" onclick="openMapEventEditor(-1)">+ 添加事件</button>';
+}
 
 /**
- * 打开世界书弹窗（新建模式）
+ * 打开事件编辑弹窗
+ * @param {number} index - 事件在地点 events 里的下标，-1 表示新建
  */
-function openWorldbookModal() {
-    currentEditingWorldbookId = null;
-    selectedGroup = null;
-    selectedCategory = null;
-
-    document.getElementById('worldbookModalTitle').textContent = '新建世界书';
-    document.getElementById('wbTitleInput').value = '';  // ← 改这里
-    document.getElementById('wbContentInput').value = ''; // ← 改这里
+function openMapEventEditor(index) {
+    if (!currentEditingPin) return;
+    currentEditingEventIndex = index;
+    const event = locationEventsDraft[index] || {type: 'random', weight: 1, time: 'any', weather: 'any', minAffection: 0};
+
+    const options = entries => entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    document.getElementById('mapEventType').innerHTML = options(Object.entries(MAP_EVENT_TYPES));
+    document.getElementById('mapEventTime').innerHTML = options(Object.entries(MAP_EVENT_TIMES).map(([key, time]) => [key, time.label]));
+    document.getElementById('mapEventWeather').innerHTML = options(Object.entries(MAP_EVENT_WEATHERS));
+    document.getElementById('mapEventMinAffection').innerHTML = options(RELATIONSHIP_STAGES.map((stage, i) =>
+        [stage.min, i === 0 ? '不限' : `${stage.label}（好感 ≥ ${stage.min}）`]));
+
+    document.getElementById('mapEventTitle').value = event.title || '';
+    document.getElementById('mapEventContent').value = event.content || '';
+    document.getElementById('mapEventType').value = event.type;
+    document.getElementById('mapEventWeight').value = event.weight || 1;
+    document.getElementById('mapEventTime').value = event.time || 'any';
+    document.getElementById('mapEventWeather').value = event.weather || 'any';
+    document.getElementById('mapEventMinAffection').value = String(event.minAffection || 0);
+    document.getElementById('mapEventDeleteBtn').style.display = index === -1 ? 'none' : '';
+    updateMapEventTypeFields();
+    document.getElementById('mapEventModal').classList.add('show');
+}
+
+function closeMapEventEditor() {
+    document.getElementById('mapEventModal').classList.remove('show');
+    currentEditingEventIndex = -1;
+}
+
+// 一次性剧情没有权重
+function updateMapEventTypeFields() {
+    document.getElementById('mapEventWeightField').style.display =
+        document.getElementById('mapEventType').value === 'story' ? 'none' : '';
+}
+
+// 保存事件到草稿（保存地点时才写回地点）
+function saveMapEvent() {
+    const title = document.getElementById('mapEventTitle').value.trim();
+    const content = document.getElementById('mapEventContent').value.trim();
+    if (!title || !content) {
+        alert('请填写事件名称和内容');
+        return;
+    }
 
-    // 重置分类
-    document.getElementById('groupSelected').textContent = '请选择分类';
-    document.querySelectorAll('#groupOptions .category-option').forEach(opt => {
-        opt.classList.remove('selected');
-    });
+    const events = locationEventsDraft;
+    const event = {
+        id: events[currentEditingEventIndex]?.id || 'EVT_' + Date.now(),
+        title,
+        content,
+        type: document.getElementById('mapEventType').value,
+        weight: Math.max(1, Math.round(Number(document.getElementById('mapEventWeight').value)) || 1),
+        time: document.getElementById('mapEventTime').value,
+        weather: document.getElementById('mapEventWeather').value,
+        minAffection: Number(document.getElementById('mapEventMinAffection').value) || 0
+    };
+    if (currentEditingEventIndex === -1) {
+        events.push(event);
+    } else {
+        events[currentEditingEventIndex] = event;
+    }
 
-    // 重置分组
-    document.getElementById('categorySelected').textContent = '请选择分组';
-    updateCategoryOptions();
+    closeMapEventEditor();
+    renderLocationEvents();
+}
 
-    document.getElementById('wbContentLabel').textContent = '内容'; // ← 改这里
-    document.getElementById('worldbookDeleteBtn').style.display = 'none';
-    document.getElementById('worldbookModal').classList.add('show');
+function deleteMapEvent() {
+    if (currentEditingEventIndex === -1 || !confirm('确定要删除这个事件吗？')) return;
+    locationEventsDraft.splice(currentEditingEventIndex, 1);
+    closeMapEventEditor();
+    renderLocationEvents();
 }
 
+// ========== 地点事件 - 结束 ==========
 
-/**
- * 编辑世界书条目
- */
-// 请用这个新版本替换旧的 editWorldbookEntry 函数
-function editWorldbookEntry(entryId) {
-    const entry = worldbookData.find(e => e.id === entryId);
-    if (!entry) return;
+// ========== 地图编辑功能（增强版） ==========
 
-    currentEditingWorldbookId = entryId;
-    selectedGroup = entry.group; // 确保 selectedGroup 被正确赋值
-    selectedCategory = entry.category;
+let mapPins = []; // 存储所有大头针
+let currentEditingPin = null; // 当前编辑的大头针
+let locationEventsDraft = []; // 地点弹窗里正在编辑的事件（副本，保存地点时写回，取消时丢弃）
+let currentEditorMapId = ROOT_MAP_ID; // 正在编辑的地图（主地图或某个地点的内部地图）
 
-    document.getElementById('worldbookModalTitle').textContent = '编辑世界书';
-    document.getElementById('wbTitleInput').value = entry.title;
-    document.getElementById('wbContentInput').value = entry.content || '';
+let draggedPin = null; // 正在拖动的大头针
+let dragOffset = {x: 0, y: 0}; // 拖动偏移量
 
-    // 设置分类
-    const groupNames = {
-        'worldview': '世界观',
-        'rules': '行为规范',
-        'knowledge': '知识库'
-    };
-    // V V V 修正点在这里 V V V
-    document.getElementById('groupSelected').textContent = groupNames[entry.group] || '请选择分类';
-    document.querySelectorAll('#groupOptions .category-option').forEach(opt => {
-        opt.classList.toggle('selected', opt.dataset.group === entry.group);
-    });
+// 默认地图的预设地点
+const DEFAULT_MAP_LOCATIONS = [
+    {
+        id: 'DEFAULT_1',
+        x: 25,
+        y: 30,
+        name: '中央食堂',
+        description: '全校情报与美食的集散地，是恢复体力的关键场所。',
+        type: 'city'
+    },
+    {
+        id: 'DEFAULT_2',
+        x: 70,
+        y: 25,
+        name: '男生宿舍',
+        description: '充满了热血与泡面味的休息区，深夜常有神秘的开黑呐喊声。',
+        type: 'landmark'
+    },
+    {
+        id: 'DEFAULT_3',
+        x: 45,
+        y: 60,
+        name: '女生宿舍',
+        description: '环境优雅的休憩之地，据说门口的宿管阿姨拥有极高的防御力。',
+        type: 'landmark'
+    },
+    {
+        id: 'DEFAULT_4',
+        x: 15,
+        y: 70,
+        name: '综合教学楼',
+        description: '庄严的知识殿堂，也是学生们与困意进行殊死搏斗的战场。',
+        type: 'village'
+    },
+    {
+        id: 'DEFAULT_5',
+        x: 80,
+        y: 55,
+        name: '社团活动中心',
+        description: '卧虎藏龙的课后据点，这里隐藏着各种身怀绝技的高手。',
+        type: 'dungeon' // 既然类型是 dungeon（副本/地牢），描述暗示这里有挑战或高手比较贴切
+    },
+    {
+        id: 'DEFAULT_6',
+        x: 50,
+        y: 40,
+        name: '风雨体育馆',
+        description: '挥洒汗水的竞技场，是展现个人魅力和触发青春事件的高频区域。',
+        type: 'landmark'
+    }
+];
 
-    // 设置分组（这部分逻辑保持不变）
-    updateCategoryOptions();
-    const categoryName = categoriesData.find(c => c.id === entry.category)?.name || '请选择分组';
-    document.getElementById('categorySelected').textContent = categoryName;
-    document.querySelectorAll('#categoryOptions .category-option').forEach(opt => {
-        opt.classList.toggle('selected', opt.dataset.category === entry.category);
-    });
 
-    document.getElementById('worldbookDeleteBtn').style.display = 'block';
-    document.getElementById('worldbookModal').classList.add('show');
+// 打开密友设置
+function openSweetheartSettings() {
+    document.getElementById('sweetheartSettingsPage').classList.add('show');
+}
+
+// 关闭密友设置
+function closeSweetheartSettings() {
+    document.getElementById('sweetheartSettingsPage').classList.remove('show');
+}
+
+// 打开地图编辑器
+function openMapEditor() {
+    document.getElementById('mapEditorPage').classList.add('show');
+    currentEditorMapId = ROOT_MAP_ID;
+    loadMapData();
+
+    // 添加拖动提示
+    if (!document.getElementById('mapDragHint')) {
+        const hint = document.createElement('div');
+        hint.id = 'mapDragHint';
+        hint.className = 'drag-hint';
+        hint.textContent = '长按拖动地点';
+        document.body.appendChild(hint);
+    }
 }
 
 
-/**
- * 关闭世界书弹窗
- */
-function closeWorldbookModal() {
-    document.getElementById('worldbookModal').classList.remove('show');
-    currentEditingWorldbookId = null;
+// 关闭地图编辑器（在内部地图时先返回上一层）
+function closeMapEditor() {
+    if (currentEditorMapId !== ROOT_MAP_ID) {
+        const world = worldsData.find(w => w.id === currentWorldId);
+        openEditorMap(getMapInfo(world, currentEditorMapId)?.parentId || ROOT_MAP_ID);
+        return;
+    }
+    document.getElementById('mapEditorPage').classList.remove('show');
+
+    // 隐藏拖动提示
+    const hint = document.getElementById('mapDragHint');
+    if (hint) {
+        hint.classList.remove('show');
+    }
 }
 
-/**
- * 保存世界书条目
- */
-function saveWorldbookEntry() {
-    const title = document.getElementById('wbTitleInput').value.trim();     // ← 改这里
-    const content = document.getElementById('wbContentInput').value.trim(); // ← 改这里
+// ✨ 新增：触发地图上传
+function triggerMapEditorUpload() {
+    if (!currentWorldId) {
+        showSuccessModal('提示', '请先选择一个世界！', 2000);
+        return;
+    }
+    document.getElementById('mapEditorFileInput').click();
+}
 
-    if (!title) {
-        alert('请填写世界书名称！');
+// ✨ 新增：处理地图文件上传
+function handleMapEditorFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // 限制文件大小 (例如 5MB)
+    if (file.size > 5 * 1024 * 1024) {
+        alert("图片太大啦，请上传 5MB 以内的图片");
         return;
     }
 
-    if (!selectedGroup) {
-        alert('请选择分类！');
+    // 内部地图和新建时一样存进 ImageDB
+    if (currentEditorMapId !== ROOT_MAP_ID) {
+        replaceSubMapImage(file);
+        event.target.value = '';
         return;
     }
 
-    const entryData = {
-        id: currentEditingWorldbookId || 'WB' + Date.now(),
-        title,
-        group: selectedGroup,
-        category: selectedCategory || 'uncategorized',
-        content,
-        timestamp: Date.now()
-    };
+    const reader = new FileReader();
+    reader.onload = function (e) {
+        const newMapUrl = e.target.result;
 
-    if (currentEditingWorldbookId) {
-        const index = worldbookData.findIndex(e => e.id === currentEditingWorldbookId);
-        if (index !== -1) {
-            worldbookData[index] = entryData;
-        }
-    } else {
-        worldbookData.push(entryData);
-    }
+        // 1. 立即更新界面预览
+        const mapImage = document.getElementById('worldMapImage');
+        const mapContainer = document.getElementById('mapContainer');
 
-    saveWorldbookToStorage();
-    renderWorldbookList();
-    closeWorldbookModal();
-    showSuccessModal('保存成功', '世界书已更新！');
-}
+        mapImage.src = newMapUrl;
+        mapContainer.classList.remove('empty'); // 移除空状态样式
 
+        // 2. 更新数据并保存
+        const world = worldsData.find(w => w.id === currentWorldId);
+        if (world) {
+            world.mapUrl = newMapUrl;
+            saveWorldsData(); // 保存到 localStorage
+            console.log(`✅ 世界 "${world.name}" 的地图已更新`);
+        }
 
-/**
- * 删除世界书条目
- */
-function deleteWorldbookEntry() {
-    if (!currentEditingWorldbookId) return;
+        // 3. 提示成功
+        showSuccessModal('地图更新', '新地图已应用并保存！✨');
+    };
 
-    if (confirm('确定要删除这个世界书条目吗？')) {
-        worldbookData = worldbookData.filter(e => e.id !== currentEditingWorldbookId);
-        saveWorldbookToStorage();
-        renderWorldbookList();
-        closeWorldbookModal();
-        showSuccessModal('删除成功', '世界书条目已移除。');
-    }
+    reader.onerror = function () {
+        showErrorModal('上传失败', '读取图片出错，请重试');
+    };
+
+    reader.readAsDataURL(file);
+    event.target.value = ''; // 清空输入框，允许重复上传同一文件
 }
 
 /**
- * 保存世界书数据到 localStorage
+ * 更换正在编辑的内部地图图片
+ * @param {File} file
  */
-function saveWorldbookToStorage() {
+async function replaceSubMapImage(file) {
+    const mapId = currentEditorMapId;
+    let imageId;
     try {
-        localStorage.setItem('phoneWorldbookData', JSON.stringify(worldbookData));
+        imageId = await ImageDB.save(file);
     } catch (e) {
-        console.error('保存世界书数据失败:', e);
+        console.error('内部地图保存失败', e);
+        showErrorModal('上传失败', '保存图片出错，请重试');
+        return;
     }
-}
 
-/**
- * 从 localStorage 加载世界书数据
- */
-function loadWorldbookData() {
-    try {
-        const saved = localStorage.getItem('phoneWorldbookData');
-        if (saved) {
-            worldbookData = JSON.parse(saved);
-            console.log('成功加载世界书数据，共', worldbookData.length, '条');
-        }
-    } catch (e) {
-        console.error('加载世界书数据失败:', e);
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world?.subMaps?.[mapId]) {
+        releaseMapImages([`db-image://${imageId}`]);
+        return;
     }
+    const oldUrl = world.subMaps[mapId].url;
+    world.subMaps[mapId].url = `db-image://${imageId}`;
+    saveWorldsData();
+    releaseMapImages([oldUrl]);
+    if (currentEditorMapId === mapId) loadMapData();
+    showSuccessModal('地图更新', '新地图已应用并保存！✨');
 }
 
-/**
- * 初始化分组选择器
- */
-function setupCategorySelector() {
-    // 分组选择器
-    const groupSelector = document.getElementById('groupSelector');
-    const groupSelectedEl = document.getElementById('groupSelected');
-    const groupOptionsEl = document.getElementById('groupOptions');
 
-    groupSelectedEl.addEventListener('click', (e) => {
-        e.stopPropagation();
-        groupSelector.classList.toggle('active');
-        // 关闭分组选择器
-        document.getElementById('categorySelector').classList.remove('active');
-    });
+// 加载地图数据（当前编辑的那一层地图）
+function loadMapData() {
+    const mapContainer = document.getElementById('mapContainer');
+    const mapImage = document.getElementById('worldMapImage');
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const mapInfo = getMapInfo(world, currentEditorMapId);
 
-    groupOptionsEl.addEventListener('click', (e) => {
-        const option = e.target.closest('.category-option');
-        if (!option) return;
+    document.getElementById('mapEditorTitle').textContent =
+        currentEditorMapId === ROOT_MAP_ID ? '地图编辑' : `${mapInfo?.name || ''} · 内部`;
+    document.getElementById('mapScaleInput').value = mapInfo ? mapInfo.scale : '';
 
-        const group = option.dataset.group;
-        selectedGroup = group;
+    // 检查当前地图是否有图片
+    if (mapInfo && mapInfo.url) {
+        mapImage.src = mapInfo.url;
+        loadRealImage(mapImage); // 内部地图存在 ImageDB 里
+        mapContainer.classList.remove('empty');
 
-        groupSelectedEl.textContent = option.textContent;
-        document.querySelectorAll('#groupOptions .category-option').forEach(opt => {
-            opt.classList.remove('selected');
-        });
-        option.classList.add('selected');
+        // 加载已保存的大头针（默认地图没有保存过时使用预设地点）
+        mapPins = loadMapPins(currentWorldId, currentEditorMapId);
 
-        const labels = {
-            'worldview': '世界观',
-            'rules': '行为规范',
-            'knowledge': '知识库'
+        // 等待图片加载完成后再渲染大头针
+        mapImage.onload = () => {
+            renderMapPins();
+            setupMapDragListeners();
         };
-        document.getElementById('wbContentLabel').textContent = labels[group];
-        document.getElementById('worldbookContent').placeholder = `填写${labels[group]}的内容...`;
 
-        groupSelector.classList.remove('active');
-    });
+        // 如果图片已经加载过（从缓存），直接渲染
+        if (mapImage.complete) {
+            renderMapPins();
+            setupMapDragListeners();
+        }
+    } else {
+        mapContainer.classList.add('empty');
+        mapPins = [];
+        renderMapPins();
+    }
+}
 
-    // 分组选择器
-    const categorySelector = document.getElementById('categorySelector');
-    const categorySelectedEl = document.getElementById('categorySelected');
-    const categoryOptionsEl = document.getElementById('categoryOptions');
+// 切换正在编辑的地图层
+function openEditorMap(mapId) {
+    currentEditorMapId = mapId;
+    loadMapData();
+}
 
-    categorySelectedEl.addEventListener('click', (e) => {
-        e.stopPropagation();
-        categorySelector.classList.toggle('active');
-        // 关闭分组选择器
-        groupSelector.classList.remove('active');
-    });
+// 保存当前地图的比例（地图横向代表多少米）
+function saveMapScale(value) {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const scale = Math.round(Number(value));
+    if (!world || !(scale > 0)) return;
 
-    categoryOptionsEl.addEventListener('click', (e) => {
-        const option = e.target.closest('.category-option');
-        if (!option) return;
+    if (currentEditorMapId === ROOT_MAP_ID) {
+        world.mapScale = scale;
+    } else if (world.subMaps?.[currentEditorMapId]) {
+        world.subMaps[currentEditorMapId].scale = scale;
+    }
+    saveWorldsData();
+}
 
-        const category = option.dataset.category;
-        selectedCategory = category;
+// 添加大头针到地图
+function addMapPin(event) {
+    // 如果正在拖动或点击的是大头针，不添加新的
+    if (isDraggingPin || event.target.closest('.map-pin')) return;
 
-        categorySelectedEl.textContent = option.textContent;
-        document.querySelectorAll('#categoryOptions .category-option').forEach(opt => {
-            opt.classList.remove('selected');
-        });
-        option.classList.add('selected');
+    const mapContainer = document.getElementById('mapContainer');
+    const rect = mapContainer.getBoundingClientRect();
 
-        categorySelector.classList.remove('active');
-    });
+    // 计算相对位置（百分比）
+    const x = ((event.clientX - rect.left) / rect.width) * 100;
+    const y = ((event.clientY - rect.top) / rect.height) * 100;
 
-    // 点击其他地方关闭所有选择器
-    document.addEventListener('click', () => {
-        groupSelector.classList.remove('active');
-        categorySelector.classList.remove('active');
-    });
+    // 创建新的大头针数据
+    const newPin = {
+        id: 'PIN_' + Date.now(),
+        x: x,
+        y: y,
+        name: '新地点',
+        description: '',
+        type: 'city'
+    };
+
+    mapPins.push(newPin);
+    renderMapPins();
+    setupMapDragListeners();
+
+    // 立即打开编辑弹窗
+    editMapPin(newPin.id);
 }
 
+// 渲染所有大头针
+function renderMapPins() {
+    const mapContainer = document.getElementById('mapContainer');
 
-/**
- * 打开分组管理（暂时用简单提示，后续可扩展）
- */
-function openCategoryManage(event) {
-    event.stopPropagation();
-    alert('分组管理功能开发中...');
+    // 移除旧的大头针
+    document.querySelectorAll('.map-pin').forEach(pin => pin.remove());
+
+    // 添加新的大头针
+    mapPins.forEach(pin => {
+        const pinElement = document.createElement('div');
+        pinElement.className = 'map-pin';
+        pinElement.style.left = pin.x + '%';
+        pinElement.style.top = pin.y + '%';
+        pinElement.dataset.pinId = pin.id;
+
+        if (hasSubMap(pin.id)) pinElement.classList.add('has-submap');
+
+        pinElement.innerHTML = `
+            <div class="map-pin-icon">${escapeHTML(getMapPinIcon(pin))}</div>
+            <div class="map-pin-label">${escapeHTML(pin.name)}</div>
+        `;
+
+        mapContainer.appendChild(pinElement);
+    });
 }
 
-// ========== 分类管理功能 - 开始 ==========
+// 设置地图拖动监听器
+let isDraggingPin = false;
+let draggedPinElement = null; // 存储当前正在拖动的DOM元素
+let activePinId = null;       // 存储当前正在拖动的数据ID
+// 1. 设置地图拖拽监听器 (替换旧函数)
+function setupMapDragListeners() {
+    const pins = document.querySelectorAll('.map-pin');
+    const mapContainer = document.getElementById('mapContainer');
+    pins.forEach(pin => {
+        // 清除旧事件以防重复绑定
+        const newPin = pin.cloneNode(true);
+        pin.parentNode.replaceChild(newPin, pin);
 
-/**
- * 打开分类管理页面
- */
-function openClassificationManage(event) {
-    if (event) event.stopPropagation();
-    document.getElementById('classificationManagePage').classList.add('show');
-    renderClassificationList(); // 打开时渲染列表
+        // 绑定触摸/鼠标按下事件
+        newPin.addEventListener('touchstart', (e) => handleDragStart(e, newPin), { passive: false });
+        newPin.addEventListener('mousedown', (e) => handleDragStart(e, newPin));
+    });
+    // 为容器绑定移动和结束事件（利用事件冒泡或全局捕获）
+    // 注意：这里我们绑定到 document 以防止滑动出容器后丢失焦点
+    document.removeEventListener('touchmove', handleGlobalMove);
+    document.removeEventListener('touchend', handleGlobalEnd);
+    document.removeEventListener('mousemove', handleGlobalMove);
+    document.removeEventListener('mouseup', handleGlobalEnd);
+    // 重新绑定全局事件
+    document.addEventListener('touchmove', handleGlobalMove, { passive: false });
+    document.addEventListener('touchend', handleGlobalEnd);
+    document.addEventListener('mousemove', handleGlobalMove);
+    document.addEventListener('mouseup', handleGlobalEnd);
 }
+// 2. 开始拖动处理
+function handleDragStart(e, pinEl) {
+    // 如果是编辑模式才允许拖动，或者无条件允许（根据你的需求）
 
-/**
- * 关闭分类管理页面
- */
-function closeClassificationManage() {
-    document.getElementById('classificationManagePage').classList.remove('show');
-}
+    e.preventDefault(); // 阻止浏览器滚动
+    e.stopPropagation(); // 阻止事件冒泡
+    isDraggingPin = false; // 先标记为未真正开始拖动（用于区分点击）
+    draggedPinElement = pinEl;
+    activePinId = pinEl.dataset.pinId;
+    // 设置一个长按计时器，只有按住超过 200ms 才算拖动，否则算点击
+    // 这一步是为了区分 "点击编辑" 和 "长按拖动"
+    pinEl.dragTimer = setTimeout(() => {
+        isDraggingPin = true;
+        pinEl.classList.add('dragging');
+        showDragHint(); // 显示提示
 
-/**
- * 渲染分类列表（世界观、行为规范、知识库）
- */
-function renderClassificationList() {
-    const listEl = document.getElementById('classificationList');
-    const emptyEl = document.getElementById('classificationEmpty');
+        // 获取触摸点
+        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
 
-    // 1. 定义我们的三个核心分类
-    const coreClassifications = [
-        {key: 'worldview', name: '世界观', icon: '🌍'},
-        {key: 'rules', name: '行为规范', icon: '📜'},
-        {key: 'knowledge', name: '知识库', icon: '📚'}
-    ];
+        // 立即更新一次位置，让它跟手
+        movePinToCoordinate(clientX, clientY);
+    }, 200);
+}
 
-    let hasContent = false;
-    listEl.innerHTML = ''; // 清空旧内容
 
-    // 2. 遍历每个核心分类
-    coreClassifications.forEach(classification => {
-        // 找出所有属于当前分类的世界书条目
-        const worldbooksInCategory = worldbookData.filter(wb => wb.group === classification.key);
 
-        if (worldbooksInCategory.length > 0) {
-            hasContent = true;
-        }
+// 3. 全局移动处理
+function handleGlobalMove(e) {
+    // 如果没有激活的 Pin，或者没进入拖动状态（长按计时器还没触发），则不处理
+    if (!draggedPinElement) return;
+    // 如果还没有变成拖动状态（还在 200ms 判定窗内），如果移动了，取消点击判定，直接开始拖动
+    if (!isDraggingPin) {
+        clearTimeout(draggedPinElement.dragTimer);
+        isDraggingPin = true;
+        draggedPinElement.classList.add('dragging');
+    }
+    e.preventDefault(); // 关键：阻止屏幕滚动
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    movePinToCoordinate(clientX, clientY);
+}
+// 4. 将 Pin 移动到指定屏幕坐标
+function movePinToCoordinate(clientX, clientY) {
+    if (!draggedPinElement) return;
+    const mapContainer = document.getElementById('mapContainer');
+    const rect = mapContainer.getBoundingClientRect();
+    // 计算相对于容器的百分比
+    let x = ((clientX - rect.left) / rect.width) * 100;
+    let y = ((clientY - rect.top) / rect.height) * 100;
+    // 边界限制 (0% - 100%)
+    x = Math.max(0, Math.min(100, x));
+    y = Math.max(0, Math.min(100, y));
+    // 更新 DOM
+    draggedPinElement.style.left = x + '%';
+    draggedPinElement.style.top = y + '%';
+    // (可选) 实时更新数据对象，如果你希望拖动时数据也变
+    // updatePinData(activePinId, x, y);
+}
 
-        const count = worldbooksInCategory.length;
+// 5. 全局结束/释放处理
+function handleGlobalEnd(e) {
+    if (!draggedPinElement) return;
+    clearTimeout(draggedPinElement.dragTimer); // 清除长按计时器
+    // 如果只是短按（isDraggingPin 为 false），则视为点击，打开编辑
+    if (!isDraggingPin) {
+        editMapPin(activePinId);
+    } else {
+        // 如果是拖动结束
+        const mapContainer = document.getElementById('mapContainer');
+        const pinEl = draggedPinElement;
 
-        // 3. 创建分类的 DOM 结构（复用分组管理的样式）
-        const item = document.createElement('div');
-        item.className = 'category-item';
-        item.dataset.classificationId = classification.key; // 使用 key 作为唯一标识
+        // 保存最终位置到数据
+        // 直接读取 style 的 left/top 是字符串 'xx%'
+        const finalX = parseFloat(pinEl.style.left);
+        const finalY = parseFloat(pinEl.style.top);
 
-        item.innerHTML = `
-            <div class="category-item-header" onclick="toggleClassificationExpand('${classification.key}')">
-                <div class="category-item-icon">${classification.icon}</div>
-                <div class="category-item-info">
-                    <div class="category-item-name">${escapeHTML(classification.name)}</div>
-                    <div class="category-item-count">${count} 个世界书</div>
-                </div>
-                <div class="category-item-arrow">›</div>
-            </div>
-            <div class="category-worldbooks" id="worldbooks-clf-${classification.key}">
-                ${worldbooksInCategory.length === 0
-            ? '<div style="padding: 20px; text-align: center; color: #BCAAA4; font-size: 13px;">暂无世界书</div>'
-            : worldbooksInCategory.map(wb => `
-                        <div class="worldbook-mini-item" onclick="editWorldbookFromClassification('${wb.id}')">
-                            <div class="worldbook-mini-title">${escapeHTML(wb.title)}</div>
-                            <div class="worldbook-mini-preview">${escapeHTML((wb.content || '').substring(0, 40))}...</div>
-                        </div>
-                    `).join('')}
-            </div>
-        `;
-        listEl.appendChild(item);
-    });
+        updatePinData(activePinId, finalX, finalY);
+        saveMapData(); // 立即保存到 localStorage
+    }
+    // 重置状态
+    draggedPinElement.classList.remove('dragging');
+    draggedPinElement = null;
+    activePinId = null;
+    isDraggingPin = false;
+    hideDragHint();
+}
 
-    // 4. 根据是否有内容，决定显示列表还是空状态提示
-    if (hasContent || worldbookData.length > 0) { // 只要有世界书就显示分类列表
-        emptyEl.style.display = 'none';
-        listEl.style.display = 'flex';
-    } else {
-        emptyEl.style.display = 'flex';
-        listEl.style.display = 'none';
+// 6. 辅助：更新内存中的数组数据
+function updatePinData(pinId, x, y) {
+    const pin = mapPins.find(p => p.id === pinId);
+    if (pin) {
+        pin.x = x;
+        pin.y = y;
     }
 }
 
-/**
- * 切换分类的展开/收起
- */
-function toggleClassificationExpand(classificationKey) {
-    const item = document.querySelector(`[data-classification-id="${classificationKey}"]`);
-    if (item) {
-        item.classList.toggle('expanded');
+// 显示拖动提示
+function showDragHint() {
+    const hint = document.getElementById('mapDragHint');
+    if (hint) {
+        hint.textContent = '拖动到新位置';
+        hint.classList.add('show');
     }
 }
 
-/**
- * 从分类管理页面跳转到编辑世界书
- */
-function editWorldbookFromClassification(worldbookId) {
-    closeClassificationManage();
-    // 延迟执行，等待页面关闭动画完成
-    setTimeout(() => {
-        openWorldbook();
-        // 再次延迟，等待世界书页面打开
-        setTimeout(() => editWorldbookEntry(worldbookId), 100);
-    }, 300);
+// 隐藏拖动提示
+function hideDragHint() {
+    const hint = document.getElementById('mapDragHint');
+    if (hint) {
+        hint.classList.remove('show');
+    }
 }
 
-// ========== 分类管理功能 - 结束 ==========
+// 编辑大头针
+function editMapPin(pinId) {
+    if (isDraggingPin) return; // 拖动时不打开编辑
 
+    currentEditingPin = mapPins.find(p => p.id === pinId);
+    if (!currentEditingPin) return;
+    locationEventsDraft = structuredClone(currentEditingPin.events || []);
 
-// ========== 分组管理功能 - 开始 ==========
+    // 填充表单
+    document.getElementById('locationName').value = currentEditingPin.name;
+    document.getElementById('locationDesc').value = currentEditingPin.description;
+    document.getElementById('locationType').value = currentEditingPin.type;
+    document.getElementById('locationIcon').value = currentEditingPin.icon || '';
+    renderLocationSubMapField();
+    renderLocationEvents();
 
-// 分组数据存储
-let categoriesData = [];
-let currentEditingCategoryId = null;
+    // 显示弹窗
+    document.getElementById('locationModal').classList.add('show');
+}
 
-/**
- * 打开分组管理页面
- */
-function openCategoryManage(event) {
-    if (event) event.stopPropagation();
-    document.getElementById('categoryManagePage').classList.add('show');
-    renderCategoryList();
+// 关闭地点编辑弹窗
+function closeLocationModal() {
+    document.getElementById('locationModal').classList.remove('show');
+    currentEditingPin = null;
 }
 
-/**
- * 关闭分组管理页面
- */
-function closeCategoryManage() {
-    document.getElementById('categoryManagePage').classList.remove('show');
+// 把弹窗里的内容写回当前地点（内部地图的名字跟着地点名走）
+function applyLocationForm() {
+    currentEditingPin.name = document.getElementById('locationName').value.trim() || '未命名地点';
+    currentEditingPin.description = document.getElementById('locationDesc').value.trim();
+    currentEditingPin.type = document.getElementById('locationType').value;
+    currentEditingPin.icon = document.getElementById('locationIcon').value.trim();
+    currentEditingPin.events = structuredClone(locationEventsDraft);
+
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (world?.subMaps?.[currentEditingPin.id]) {
+        world.subMaps[currentEditingPin.id].name = currentEditingPin.name;
+        saveWorldsData();
+    }
 }
 
-/**
- * 动态更新分组选择器的选项
- */
-function updateCategoryOptions() {
-    const optionsEl = document.getElementById('categoryOptions');
-    if (!optionsEl) return;
+// 保存地点信息
+function saveLocation() {
+    if (!currentEditingPin) return;
+
+    // 更新数据
+    applyLocationForm();
 
-    optionsEl.innerHTML = '';
+    // 重新渲染
+    renderMapPins();
+    setupMapDragListeners();
 
-    // 添加"未分组"选项
-    const uncategorizedOption = document.createElement('div');
-    uncategorizedOption.className = 'category-option';
-    uncategorizedOption.dataset.category = 'uncategorized';
-    uncategorizedOption.textContent = '未分组';
-    optionsEl.appendChild(uncategorizedOption);
+    // 关闭弹窗
+    closeLocationModal();
 
-    // 添加自定义分组
-    categoriesData.forEach(category => {
-        const option = document.createElement('div');
-        option.className = 'category-option';
-        option.dataset.category = category.id;
-        option.textContent = category.name;
-        optionsEl.appendChild(option);
-    });
+    // 自动保存
+    saveMapData();
+
+    // 显示成功提示
+    showSuccessModal('保存成功', '地点信息已更新');
 }
 
+// 删除地点
+function deleteLocation() {
+    if (!currentEditingPin) return;
 
-/**
- * 渲染分组列表
- */
-function renderCategoryList() {
-    const emptyEl = document.getElementById('categoryEmpty');
-    const listEl = document.getElementById('categoryList');
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const withSubMap = hasSubMap(currentEditingPin.id);
+    if (confirm(withSubMap ? '确定要删除这个地点吗？它的内部地图也会一起删除。' : '确定要删除这个地点吗？')) {
+        if (withSubMap) {
+            removeMapTree(world, currentEditingPin.id);
+            saveWorldsData();
+        }
+        mapPins = mapPins.filter(p => p.id !== currentEditingPin.id);
+        renderMapPins();
+        setupMapDragListeners();
+        closeLocationModal();
 
-    if (categoriesData.length === 0) {
-        emptyEl.style.display = 'flex';
-        listEl.style.display = 'none';
-    } else {
-        emptyEl.style.display = 'none';
-        listEl.style.display = 'flex';
+        // 自动保存
+        saveMapData();
 
-        listEl.innerHTML = '';
-        categoriesData.forEach(category => {
-            const item = createCategoryItem(category);
-            listEl.appendChild(item);
-        });
+        showSuccessModal('删除成功', '地点已移除');
     }
 }
 
-/**
- * 创建分组项DOM元素
- */
-function createCategoryItem(category) {
-    const item = document.createElement('div');
-    item.className = 'category-item';
-    item.dataset.categoryId = category.id;
-
-    // 统计该分组下的世界书数量
-    const worldbooksInCategory = worldbookData.filter(wb => wb.category === category.id);
-    const count = worldbooksInCategory.length;
+// 当前世界里这个地点是否有内部地图
+function hasSubMap(pinId) {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    return Boolean(world?.subMaps?.[pinId]);
+}
 
-    item.innerHTML = `
-        <div class="category-item-header" onclick="toggleCategoryExpand('${category.id}')">
-            <div class="category-item-icon">📂</div>
-            <div class="category-item-info">
-                <div class="category-item-name">${escapeHTML(category.name)}</div>
-                <div class="category-item-count">${count} 个世界书</div>
-            </div>
-            <div class="category-item-arrow">›</div>
-        </div>
-        <div class="category-worldbooks" id="worldbooks-${category.id}">
-            ${worldbooksInCategory.length === 0
-        ? '<div style="padding: 20px; text-align: center; color: #BCAAA4; font-size: 13px;">暂无世界书</div>'
-        : worldbooksInCategory.map(wb => `
-                    <div class="worldbook-mini-item" onclick="editWorldbookFromCategory('${wb.id}')">
-                        <div class="worldbook-mini-title">${escapeHTML(wb.title)}</div>
-                        <div class="worldbook-mini-preview">${escapeHTML((wb.content || '').substring(0, 40))}...</div>
-                    </div>
-                `).join('')}
-        </div>
+// 地点弹窗里的「内部地图」一栏
+function renderLocationSubMapField() {
+    const field = document.getElementById('locationSubMapField');
+    if (!currentEditingPin) return;
+    field.innerHTML = hasSubMap(currentEditingPin.id) ? `
+        <button class="location-submap-btn" onclick="enterSubMapEditor()">进入内部地图</button>
+        <button class="location-submap-btn danger" onclick="removeSubMap()">移除</button>
+    ` : `
+        <button class="location-submap-btn" onclick="document.getElementById('subMapFileInput').click()">上传内部地图</button>
+        <span class="location-submap-tip">例如建筑的楼层图，点击地点时可以进入</span>
     `;
-
-    return item;
 }
 
-/**
- * 切换分组展开/收起
- */
-function toggleCategoryExpand(categoryId) {
-    const item = document.querySelector(`[data-category-id="${categoryId}"]`);
-    if (!item) return;
+// 上传内部地图：以当前地点为入口新建一层地图，并直接进入编辑
+async function handleSubMapFileUpload(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !currentEditingPin) return;
 
-    item.classList.toggle('expanded');
-}
+    if (file.size > 5 * 1024 * 1024) {
+        alert("图片太大啦，请上传 5MB 以内的图片");
+        return;
+    }
 
-/**
- * 从分组管理页面编辑世界书
- */
-function editWorldbookFromCategory(worldbookId) {
-    closeCategoryManage();
-    setTimeout(() => {
-        openWorldbook();
-        setTimeout(() => editWorldbookEntry(worldbookId), 100);
-    }, 300);
+    // 图片存进 ImageDB，世界数据里只留 db-image:// 引用，避免撑爆 localStorage
+    let imageId;
+    try {
+        imageId = await ImageDB.save(file);
+    } catch (e) {
+        console.error('内部地图保存失败', e);
+        showErrorModal('上传失败', '保存图片出错，请重试');
+        return;
+    }
+
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world || !currentEditingPin) {
+        releaseMapImages([`db-image://${imageId}`]);
+        return;
+    }
+
+    applyLocationForm();
+    world.subMaps = world.subMaps || {};
+    const oldUrl = world.subMaps[currentEditingPin.id]?.url;
+    world.subMaps[currentEditingPin.id] = {
+        name: currentEditingPin.name,
+        url: `db-image://${imageId}`,
+        parentId: currentEditorMapId
+    };
+    saveWorldsData();
+    releaseMapImages([oldUrl]);
+    enterSubMapEditor();
+    showSuccessModal('内部地图', '已创建，点击地图添加里面的地点 ✨');
 }
 
-/**
- * 打开新建分组弹窗
- */
-function openNewCategoryModal() {
-    currentEditingCategoryId = null;
+// 保存当前地图后进入正在编辑地点的内部地图
+function enterSubMapEditor() {
+    if (!currentEditingPin) return;
+    applyLocationForm();
+    const pinId = currentEditingPin.id;
+    localStorage.setItem(getMapPinsKey(currentWorldId, currentEditorMapId), JSON.stringify(mapPins));
+    closeLocationModal();
+    openEditorMap(pinId);
+}
 
-    document.getElementById('categoryModalTitle').textContent = '新建分组';
-    document.getElementById('categoryNameInput').value = '';
-    document.getElementById('categoryDescInput').value = '';
-    document.getElementById('categoryDeleteBtn').style.display = 'none';
+// 移除地点的内部地图（连同里面的地点）
+function removeSubMap() {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world || !currentEditingPin || !confirm('确定要移除内部地图吗？里面的地点也会一起删除。')) return;
 
-    document.getElementById('categoryModal').classList.add('show');
+    removeMapTree(world, currentEditingPin.id);
+    saveWorldsData();
+    renderLocationSubMapField();
+    renderMapPins();
+    setupMapDragListeners();
 }
 
 /**
- * 编辑分组
+ * 保存地图数据 (已修复)
  */
-function editCategory(categoryId) {
-    const category = categoriesData.find(c => c.id === categoryId);
-    if (!category) return;
-
-    currentEditingCategoryId = categoryId;
+function saveMapData() {
+    if (!currentWorldId) {
+        // [优化] 如果没有世界ID，给用户一个明确的提示
+        showSuccessModal('保存失败', '未选择当前世界，无法保存地图数据!', 2000);
+        console.error('错误：没有选择世界，无法保存');
+        return;
+    }
 
-    document.getElementById('categoryModalTitle').textContent = '编辑分组';
-    document.getElementById('categoryNameInput').value = category.name;
-    document.getElementById('categoryDescInput').value = category.description || '';
-    document.getElementById('categoryDeleteBtn').style.display = 'block';
+    // 保存到localStorage
+    localStorage.setItem(getMapPinsKey(currentWorldId, currentEditorMapId), JSON.stringify(mapPins));
+    console.log('地图数据已成功保存');
 
-    document.getElementById('categoryModal').classList.add('show');
+    // ▼▼▼ 核心修复：在这里调用成功弹窗函数 ▼▼▼
+    showSuccessModal('保存成功', '地图数据已更新！');
+    // ▲▲▲ 修复结束 ▲▲▲
 }
 
-/**
- * 关闭分组弹窗
- */
-function closeCategoryModal() {
-    document.getElementById('categoryModal').classList.remove('show');
-    currentEditingCategoryId = null;
+// 打开世界书绑定
+function openWorldbookBinding() {
+    alert('世界书绑定功能开发中...');
 }
 
-/**
- * 保存分组
- */
-function saveCategory() {
-    const name = document.getElementById('categoryNameInput').value.trim();
-    const description = document.getElementById('categoryDescInput').value.trim();
-
-    if (!name) {
-        alert('请填写分组名称！');
+// 打开世界设定编辑 (无提示版)
+function openWorldSettings() {
+    // 直接查找当前世界，如果没找到（极罕见情况），直接静默返回或打印日志，不打扰用户
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world) {
+        console.warn('Open Settings: No current world found.');
         return;
     }
+    // 填充当前世界的数据
+    document.getElementById('worldSettingsName').value = world.name || '';
+    document.getElementById('worldSettingsDesc').value = world.description || '';
+    document.getElementById('worldSettingsStyle').value = world.style || 'fantasy';
+    document.getElementById('worldSettingsRules').value = world.rules || '';
+    document.getElementById('worldSettingsSpecial').value = world.special || '';
+    document.getElementById('worldSettingsIcon').value = world.icon || '🌍';
+    renderWorldWorldbooksList(world.worldbooks || []);
+    // 显示页面
+    document.getElementById('worldSettingsPage').classList.add('show');
+}
 
-    const categoryData = {
-        id: currentEditingCategoryId || 'CAT' + Date.now(),
-        name,
-        description,
-        timestamp: Date.now()
-    };
+// 关闭世界设定编辑
+function closeWorldSettings() {
+    document.getElementById('worldSettingsPage').classList.remove('show');
+}
 
-    if (currentEditingCategoryId) {
-        // 编辑模式
-        const index = categoriesData.findIndex(c => c.id === currentEditingCategoryId);
-        if (index !== -1) {
-            categoriesData[index] = categoryData;
-        }
-    } else {
-        // 新建模式
-        categoriesData.push(categoryData);
+// 保存世界设定 (无提示版)
+function saveWorldSettings() {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world) return;
+    // 获取表单数据
+    const name = document.getElementById('worldSettingsName').value.trim();
+    const description = document.getElementById('worldSettingsDesc').value.trim();
+    const style = document.getElementById('worldSettingsStyle').value;
+    const rules = document.getElementById('worldSettingsRules').value.trim();
+    const special = document.getElementById('worldSettingsSpecial').value.trim();
+    const icon = document.getElementById('worldSettingsIcon').value.trim();
+    const worldbooks = [...document.querySelectorAll('#worldWorldbooksList input[type="checkbox"]:checked')].map(cb => cb.value);
+    if (!name) {
+        showSuccessModal('提示', '世界名称不能为空哦', 1500);
+        return;
     }
-
-    saveCategoriesToStorage();
-    renderCategoryList();
-    updateWorldbookCategorySelector(); // 更新世界书弹窗的分组选项
-    closeCategoryModal();
-    showSuccessModal('保存成功', '分组已更新！');
+    // 更新世界数据
+    world.name = name;
+    world.description = description;
+    world.style = style;
+    world.rules = rules;
+    world.special = special;
+    world.icon = icon || '🌍';
+    world.worldbooks = worldbooks;
+    // 保存到localStorage
+    saveWorldsData();
+    // 关闭页面并显示成功提示
+    closeWorldSettings();
+    renderSweetheartList();
+    showSuccessModal('保存成功', '世界设定已更新！');
 }
 
 /**
- * 删除分组
+ * 编辑猫咪状态数值
  */
-function deleteCategory() {
-    if (!currentEditingCategoryId) return;
+function editCatStat(event, statName) {
+    event.stopPropagation();
+    event.preventDefault();  // ✅ 新增：阻止默认行为
 
-    // 检查是否有世界书使用此分组
-    const worldbooksUsingCategory = worldbookData.filter(wb => wb.category === currentEditingCategoryId);
+    const statLabels = {
+        'happiness': '😊 开心度',
+        'hunger': '🍖 饱食度',
+        'energy': '⚡ 精力值',
+        'cleanliness': '✨ 清洁度'
+    };
 
-    if (worldbooksUsingCategory.length > 0) {
-        if (!confirm(`此分组下有 ${worldbooksUsingCategory.length} 个世界书，删除后这些世界书将变为未分组状态，确定删除吗？`)) {
-            return;
-        }
+    const valueEl = document.getElementById(`stat-${statName}-value`);
+    const barEl = document.getElementById(`stat-${statName}-bar`);
 
-        // 将使用此分组的世界书改为未分组
-        worldbooksUsingCategory.forEach(wb => {
-            wb.category = 'uncategorized';
-        });
-        saveWorldbookToStorage();
-    }
+    const currentValue = parseInt(valueEl.textContent);
 
-    categoriesData = categoriesData.filter(c => c.id !== currentEditingCategoryId);
-    saveCategoriesToStorage();
-    renderCategoryList();
-    updateWorldbookCategorySelector();
-    closeCategoryModal();
-    showSuccessModal('删除成功', '分组已移除。');
-}
+    const newValue = prompt(
+        `请输入${statLabels[statName]}的数值（0-100）：`,
+        currentValue
+    );
 
-/**
- * 保存分组到localStorage
- */
-function saveCategoriesToStorage() {
-    try {
-        localStorage.setItem('phoneCategoriesData', JSON.stringify(categoriesData));
-    } catch (e) {
-        console.error('保存分组数据失败:', e);
-    }
-}
+    if (newValue !== null) {
+        let numValue = parseInt(newValue);
 
-/**
- * 从localStorage加载分组
- */
-function loadCategoriesData() {
-    try {
-        const saved = localStorage.getItem('phoneCategoriesData');
-        if (saved) {
-            categoriesData = JSON.parse(saved);
-            console.log('成功加载分组数据，共', categoriesData.length, '条');
+        // 数值验证
+        if (isNaN(numValue)) {
+            alert('请输入有效的数字！');
+            return;
         }
-    } catch (e) {
-        console.error('加载分组数据失败:', e);
-    }
-}
 
-/**
- * 更新世界书弹窗的分组选择器
- */
-function updateWorldbookCategorySelector() {
-    const optionsEl = document.getElementById('categoryOptions');
-    if (!optionsEl) return;
+        // 限制范围
+        numValue = Math.max(0, Math.min(100, numValue));
 
-    optionsEl.innerHTML = '';
+        // 更新UI
+        valueEl.textContent = numValue + '%';
+        barEl.style.width = numValue + '%';
 
-    // 添加"未分组"选项
-    const uncategorizedOption = document.createElement('div');
-    uncategorizedOption.className = 'category-option';
-    uncategorizedOption.dataset.category = 'uncategorized';
-    uncategorizedOption.textContent = '未分组';
-    optionsEl.appendChild(uncategorizedOption);
+        // 保存到localStorage
+        saveCatStats(statName, numValue);
 
-    // 添加自定义分组
-    categoriesData.forEach(category => {
-        const option = document.createElement('div');
-        option.className = 'category-option';
-        option.dataset.category = category.id;
-        option.textContent = category.name;
-        optionsEl.appendChild(option);
-    });
+        // 根据数值显示不同反馈
+        showStatFeedback(statName, numValue);
+    }
 }
 
-// ========== 分组管理功能 - 结束 ==========
 /**
- * [最终修正版] 根据当前聊天上下文，收集所有相关的世界书内容
- * @returns {string} - 格式化后的世界书内容字符串
+ * 保存猫咪状态到localStorage
  */
+function saveCatStats(statName, value) {
+    const stats = JSON.parse(localStorage.getItem('catWidgetStats') || '{}');
+    stats[statName] = value;
+    localStorage.setItem('catWidgetStats', JSON.stringify(stats));
+}
 
 /**
- * [安全增强版] 收集世界书上下文
- * 防止因数据未加载导致的崩溃
+ * 根据状态值显示反馈
  */
-function gatherWorldbookContext() {
-    const relevantWorldbookIds = new Set();
-
-    // 1. 添加内置全局设定（确保变量存在）
-    if (typeof GLOBAL_WORLDBOOK_ID !== 'undefined') {
-        relevantWorldbookIds.add(GLOBAL_WORLDBOOK_ID);
-    }
-
-    // 2. 安全地检查当前联系人
-    if (currentChatContact && currentChatContact.id) {
-        // 在密友列表查找
-        if (typeof sweetheartContactsData !== 'undefined') {
-            const sweetheartData = sweetheartContactsData.find(c => c.id === currentChatContact.id);
-            if (sweetheartData && sweetheartData.boundWorldbooks) {
-                sweetheartData.boundWorldbooks.forEach(id => relevantWorldbookIds.add(id));
-            }
-        }
-
-        // 在普通联系人列表查找
-        if (typeof contactsData !== 'undefined') {
-            const regularContactData = contactsData.find(c => c.id === currentChatContact.id);
-            if (regularContactData && regularContactData.boundWorldbooks) {
-                regularContactData.boundWorldbooks.forEach(id => relevantWorldbookIds.add(id));
-            }
-        }
-    }
+function showStatFeedback(statName, value) {
+    const bubble = document.querySelector('.cat-speech-bubble');
+    if (!bubble) return;
 
-    // 3. 检查当前世界
-    if (typeof currentWorldId !== 'undefined' && currentWorldId && typeof worldsData !== 'undefined') {
-        const world = worldsData.find(w => w.id === currentWorldId);
-        if (world && world.worldbooks) {
-            world.worldbooks.forEach(id => relevantWorldbookIds.add(id));
+    const feedbacks = {
+        'happiness': {
+            high: '喵~ 好开心呀！✨',
+            medium: '今天心情还不错~ 😊',
+            low: '有点不开心... 😿'
+        },
+        'hunger': {
+            high: '吃饱饱啦！🍖✨',
+            medium: '还能再吃一点~ 😋',
+            low: '好饿啊... 给我吃的！😿'
+        },
+        'energy': {
+            high: '精力充沛！冲鸭！⚡',
+            medium: '还行，可以玩会儿~ 😺',
+            low: '好累... 想睡觉了 😴'
+        },
+        'cleanliness': {
+            high: '干干净净真舒服！✨',
+            medium: '该洗澡澡了~ 🛁',
+            low: '脏兮兮的... 快帮我洗澡！💦'
         }
-    }
-
-    if (relevantWorldbookIds.size === 0) {
-        return '';
-    }
-
-    // 4. 安全地查找内容
-    const contextEntries = [];
-    if (typeof worldbookData !== 'undefined') {
-        relevantWorldbookIds.forEach(id => {
-            const entry = worldbookData.find(wb => wb.id === id);
-            if (entry && entry.content) {
-                let categoryName = '通用';
-                // 安全获取分类名称
-                if (typeof categoriesData !== 'undefined') {
-                    const cat = categoriesData.find(c => c.id === entry.category);
-                    if (cat) categoryName = cat.name;
-                }
-                contextEntries.push(`### ${categoryName}: ${entry.title}\n${entry.content}`);
-            }
-        });
-    }
+    };
 
-    if (contextEntries.length > 0) {
-        const finalContext = "[背景设定/世界观，必须严格遵守]\n---\n" + contextEntries.join('\n\n') + "\n---";
-        // console.log("[AI Context] 已加载世界书上下文");
-        return finalContext;
-    }
+    let level = 'high';
+    if (value < 30) level = 'low';
+    else if (value < 70) level = 'medium';
 
-    return '';
+    bubble.textContent = feedbacks[statName][level];
+    localStorage.setItem('catWidgetSpeech', bubble.textContent);
 }
 
+/**
+ * 加载猫咪状态数据
+ */
+function loadCatStats() {
+    const savedStats = localStorage.getItem('catWidgetStats');
+    if (!savedStats) return;
 
-// ========== 世界书功能 - 结束 ==========
-
-// ========== 地图编辑功能（增强版） ==========
-
-let mapPins = []; // 存储所有大头针
-let currentEditingPin = null; // 当前编辑的大头针
+    try {
+        const stats = JSON.parse(savedStats);
 
-let draggedPin = null; // 正在拖动的大头针
-let dragOffset = {x: 0, y: 0}; // 拖动偏移量
+        Object.keys(stats).forEach(statName => {
+            const value = stats[statName];
+            const valueEl = document.getElementById(`stat-${statName}-value`);
+            const barEl = document.getElementById(`stat-${statName}-bar`);
 
-// 默认地图的预设地点
-const DEFAULT_MAP_LOCATIONS = [
-    {
-        id: 'DEFAULT_1',
-        x: 25,
-        y: 30,
-        name: '中央食堂',
-        description: '全校情报与美食的集散地，是恢复体力的关键场所。',
-        type: 'city'
-    },
-    {
-        id: 'DEFAULT_2',
-        x: 70,
-        y: 25,
-        name: '男生宿舍',
-        description: '充满了热血与泡面味的休息区，深夜常有神秘的开黑呐喊声。',
-        type: 'landmark'
-    },
-    {
-        id: 'DEFAULT_3',
-        x: 45,
-        y: 60,
-        name: '女生宿舍',
-        description: '环境优雅的休憩之地，据说门口的宿管阿姨拥有极高的防御力。',
-        type: 'landmark'
-    },
-    {
-        id: 'DEFAULT_4',
-        x: 15,
-        y: 70,
-        name: '综合教学楼',
-        description: '庄严的知识殿堂，也是学生们与困意进行殊死搏斗的战场。',
-        type: 'village'
-    },
-    {
-        id: 'DEFAULT_5',
-        x: 80,
-        y: 55,
-        name: '社团活动中心',
-        description: '卧虎藏龙的课后据点，这里隐藏着各种身怀绝技的高手。',
-        type: 'dungeon' // 既然类型是 dungeon（副本/地牢），描述暗示这里有挑战或高手比较贴切
-    },
-    {
-        id: 'DEFAULT_6',
-        x: 50,
-        y: 40,
-        name: '风雨体育馆',
-        description: '挥洒汗水的竞技场，是展现个人魅力和触发青春事件的高频区域。',
-        type: 'landmark'
+            if (valueEl && barEl) {
+                valueEl.textContent = value + '%';
+                barEl.style.width = value + '%';
+            }
+        });
+    } catch (e) {
+        console.error('加载猫咪状态失败:', e);
     }
-];
-
-
-// 打开密友设置
-function openSweetheartSettings() {
-    document.getElementById('sweetheartSettingsPage').classList.add('show');
 }
 
-// 关闭密友设置
-function closeSweetheartSettings() {
-    document.getElementById('sweetheartSettingsPage').classList.remove('show');
-}
 
-// 打开地图编辑器
-function openMapEditor() {
-    document.getElementById('mapEditorPage').classList.add('show');
-    loadMapData();
+/**
+ * 编辑小猫说的话
+ */
+function editCatSpeech(event) {
+    event.stopPropagation();
+    event.preventDefault();  // ✅ 新增：阻止默认行为
+    const bubbleEl = event.target;
+    const currentSpeech = bubbleEl.textContent;
 
-    // 添加拖动提示
-    if (!document.getElementById('mapDragHint')) {
-        const hint = document.createElement('div');
-        hint.id = 'mapDragHint';
-        hint.className = 'drag-hint';
-        hint.textContent = '长按拖动地点';
-        document.body.appendChild(hint);
+    const newSpeech = prompt('小猫想说什么呢？', currentSpeech);
+
+    if (newSpeech !== null && newSpeech.trim()) {
+        bubbleEl.textContent = newSpeech.trim();
+        // 保存到 localStorage
+        localStorage.setItem('catWidgetSpeech', newSpeech.trim());
     }
 }
 
 
-// 关闭地图编辑器
-function closeMapEditor() {
-    document.getElementById('mapEditorPage').classList.remove('show');
+/**
+ * 加载小猫组件的保存数据
+ */
+function loadCatWidgetData() {
+    const savedStatus = localStorage.getItem('catWidgetStatus');
+    const savedSpeech = localStorage.getItem('catWidgetSpeech');
 
-    // 隐藏拖动提示
-    const hint = document.getElementById('mapDragHint');
-    if (hint) {
-        hint.classList.remove('show');
+    // 加载状态文字（已废弃，但保留兼容性）
+    if (savedStatus) {
+        const statusEl = document.querySelector('.cat-status');
+        if (statusEl) statusEl.textContent = '心情: ' + savedStatus;
+    }
+
+    // 加载对话内容
+    if (savedSpeech) {
+        const bubbleEl = document.querySelector('.cat-speech-bubble');
+        if (bubbleEl) bubbleEl.textContent = savedSpeech;
     }
+
+    // ✨ 新增：加载状态条数据
+    loadCatStats();
 }
 
-// ✨ 新增：触发地图上传
-function triggerMapEditorUpload() {
-    if (!currentWorldId) {
-        showSuccessModal('提示', '请先选择一个世界！', 2000);
-        return;
+/* ▼▼▼ 步骤三：在这里粘贴新的JavaScript代码 ▼▼▼ */
+
+// ========== 密友聊天背景功能 - 开始 ==========
+
+/**
+ * 应用密友聊天背景图的核心函数
+ * @param {string} imageUrl - 图片的URL或Base64数据。如果为空字符串，则恢复默认背景。
+ */
+function applySweetheartChatBackground(imageUrl) {
+    const chatPage = document.getElementById('sweetheartChatPage');
+    if (!chatPage) return;
+
+    if (imageUrl) {
+        // 设置背景图片
+        chatPage.style.backgroundImage = `url('${imageUrl}')`;
+        // 使用 localStorage 保存用户的选择
+        localStorage.setItem('sweetheartChatBackground', imageUrl);
+        showChatBgStatus('背景已应用', 'sweetheart');
+    } else {
+        // 恢复默认背景
+        chatPage.style.backgroundImage = '';
+        localStorage.removeItem('sweetheartChatBackground');
+        // 使用你现有的成功提示框
+        showSuccessModal('操作成功', '已恢复为密友专属默认背景。');
     }
-    document.getElementById('mapEditorFileInput').click();
 }
 
-// ✨ 新增：处理地图文件上传
-function handleMapEditorFileUpload(event) {
+/**
+ * 从本地文件上传处理函数
+ * @param {Event} event - 文件输入框的change事件对象
+ */
+function handleSweetheartChatBgUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
 
-    // 限制文件大小 (例如 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-        alert("图片太大啦，请上传 5MB 以内的图片");
-        return;
+    // 使用FileReader将图片转为Base64，以便保存和预览
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        // 调用核心函数应用背景
+        applySweetheartChatBackground(e.target.result);
+    };
+    reader.onerror = () => {
+        showChatBgStatus('读取文件失败', 'sweetheart', 'error');
+    };
+    reader.readAsDataURL(file);
+}
+
+/**
+ * 切换URL输入框的显示/隐藏
+ */
+function toggleSweetheartChatBgUrlInput() {
+    const urlBox = document.getElementById('sweetheart-chat-bg-url-box');
+    if (urlBox) {
+        urlBox.classList.toggle('show');
     }
+}
 
-    const reader = new FileReader();
-    reader.onload = function (e) {
-        const newMapUrl = e.target.result;
+/**
+ * 从URL输入框应用背景图
+ */
+function applySweetheartChatBgFromUrl() {
+    const urlInput = document.getElementById('sweetheart-chat-bg-url-input');
+    if (!urlInput) return;
 
-        // 1. 立即更新界面预览
-        const mapImage = document.getElementById('worldMapImage');
-        const mapContainer = document.getElementById('mapContainer');
+    const url = urlInput.value.trim();
+    if (url) {
+        applySweetheartChatBackground(url);
+        urlInput.value = '';
+        toggleSweetheartChatBgUrlInput(); // 应用后自动隐藏输入框
+    } else {
+        showChatBgStatus('请输入有效的URL', 'sweetheart', 'error');
+    }
+}
 
-        mapImage.src = newMapUrl;
-        mapContainer.classList.remove('empty'); // 移除空状态样式
+/**
+ * 在UI上显示状态消息 (这是一个辅助函数，可以复用)
+ * @param {string} message - 要显示的消息
+ * @param {string} context - 上下文 ('chat' 或 'sweetheart')，用于定位正确的元素
+ * @param {string} type - 消息类型 ('success' 或 'error')
+ */
+function showChatBgStatus(message, context, type = 'success') {
+    const statusEl = document.getElementById(`${context}-chat-bg-status`);
+    if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.className = 'status-message' + (type === 'error' ? ' error' : '');
+        setTimeout(() => {
+            statusEl.textContent = '';
+        }, 3000);
+    }
+}
 
-        // 2. 更新数据并保存
-        const world = worldsData.find(w => w.id === currentWorldId);
-        if (world) {
-            world.mapUrl = newMapUrl;
-            saveWorldsData(); // 保存到 localStorage
-            console.log(`✅ 世界 "${world.name}" 的地图已更新`);
-        }
 
-        // 3. 提示成功
-        showSuccessModal('地图更新', '新地图已应用并保存！✨');
-    };
+/**
+ * 加载已保存的密友聊天背景图 (这个函数需要在应用初始化时调用)
+ */
+function loadSweetheartChatBackground() {
+    const savedBg = localStorage.getItem('sweetheartChatBackground');
+    if (savedBg) {
+        // 注意：这里我们只调用应用函数，它会处理好一切
+        applySweetheartChatBackground(savedBg);
+    }
+}
+
+// ========== 密友聊天背景功能 - 结束 ==========
+// ========== 气泡库增强版功能 - 开始 ==========
+
+const DEFAULT_PRESETS = [
+    // --- 普通聊天预设 ---
+    {
+        id: 'default_normal_001',
+        name: '简约黑白',
+        chatType: 'normal',
+        isDefault: true,
+        sentCode: `background: #333;
+color: white;
+border-radius: 16px;`,
+        receivedCode: `background: #f1f1f1;
+color: #333;
+border-radius: 16px;`
+    },
+    {
+        id: 'default_normal_002',
+        name: '清新绿野',
+        chatType: 'normal',
+        isDefault: true,
+        sentCode: `background: linear-gradient(135deg, #66BB6A, #43A047);
+color: white;
+border-radius: 20px 20px 5px 20px;`,
+        receivedCode: `background: #F1F8E9;
+color: #388E3C;
+border: 1px solid #DCEDC8;
+border-radius: 20px 20px 20px 5px;`
+    },
+    {
+        id: 'default_normal_003',
+        name: '暗夜星空',
+        chatType: 'normal',
+        isDefault: true,
+        sentCode: `background: linear-gradient(135deg, #434343, #000000);
+color: #EAEAEA;
+border: 1px solid #555;
+border-radius: 10px;`,
+        receivedCode: `background: #2E2E2E;
+color: #CCCCCC;
+border-radius: 10px;`
+    },
+
+    // --- 密友聊天预设 ---
+    {
+        id: 'default_sweetheart_001',
+        name: '甜心粉兔',
+        chatType: 'sweetheart',
+        isDefault: true,
+        sentCode: `background: #FFC0CB;
+color: #A52A2A;
+border-radius: 18px 18px 4px 18px;
+box-shadow: 0 4px 8px rgba(255, 192, 203, 0.5), inset 0 0 5px rgba(255,255,255,0.5);`,
+        receivedCode: `background: #FFF0F5;
+color: #DB7093;
+border: 2px dashed #FFD1DC;
+border-radius: 18px 18px 18px 4px;`
+    },
+    {
+        id: 'default_sweetheart_002',
+        name: '复古信纸',
+        chatType: 'sweetheart',
+        isDefault: true,
+        sentCode: `background: #FDF5E6;
+color: #8B4513;
+border: 1px solid #DEB887;
+border-radius: 8px;
+font-family: 'Georgia', serif;`,
+        receivedCode: `background: #FAF0E6;
+color: #A0522D;
+border: 1px solid #D2B48C;
+border-radius: 8px;
+font-family: 'Georgia', serif;`
+    }
+];
 
-    reader.onerror = function () {
-        showErrorModal('上传失败', '读取图片出错，请重试');
-    };
+// 示例代码库
+const BUBBLE_EXAMPLES = {
+    normal: {
+        sent: `background: linear-gradient(135deg, #0A84FF, #0066CC);
+color: white;
+border-radius: 20px 20px 5px 20px;
+padding: 12px;
+box-shadow: 0 2px 8px rgba(10, 132, 255, 0.3);`,
+        received: `background: #e9e9eb;
+color: #000;
+border-radius: 20px 20px 20px 5px;
+padding: 12px;
+box-shadow: 0 1px 2px rgba(0, 0, 0, 0.05);`
+    },
+    sweetheart: {
+        sent: `background: linear-gradient(135deg, #FFB6C1, #FF9AAD);
+color: white;
+border-radius: 20px 20px 5px 20px;
+padding: 12px;
+box-shadow: 0 3px 8px rgba(255, 182, 193, 0.3);`,
+        received: `background: #FFFFFF;
+color: #8D6E63;
+border: 1px solid #FFE4E9;
+border-radius: 20px 20px 20px 5px;
+padding: 12px;
+box-shadow: 0 2px 6px rgba(161, 136, 127, 0.08);`
+    }
+};
 
-    reader.readAsDataURL(file);
-    event.target.value = ''; // 清空输入框，允许重复上传同一文件
+/**
+ * 打开气泡库页面
+ */
+function openBubbleLibrary() {
+    const page = document.getElementById('bubbleLibraryPage');
+    page.classList.add('show');
+    loadBubblePresets('normal');
+    loadBubblePresets('sweetheart');
+    // 删除 loadCurrentStylesToEditor();
 }
 
-
-// 加载地图数据
-function loadMapData() {
-    const mapContainer = document.getElementById('mapContainer');
-    const mapImage = document.getElementById('worldMapImage');
-
-    // 检查当前世界是否有地图
-    if (currentWorldId) {
-        const world = worldsData.find(w => w.id === currentWorldId);
-
-        if (world && world.mapUrl) {
-            mapImage.src = world.mapUrl;
-            mapContainer.classList.remove('empty');
-
-            // 检查是否是默认地图
-            const isDefaultMap = world.mapUrl.includes('1760979959274_qdqqd_m9jrpo.jpg');
-
-            // 加载已保存的大头针或默认地点
-            const savedPins = localStorage.getItem(`mapPins_${currentWorldId}`);
-
-            if (savedPins) {
-                mapPins = JSON.parse(savedPins);
-            } else if (isDefaultMap) {
-                // 如果是默认地图且没有保存的数据，使用预设地点
-                mapPins = [...DEFAULT_MAP_LOCATIONS];
-                console.log('已加载默认地图的预设地点');
-            } else {
-                mapPins = [];
-            }
-
-            // 等待图片加载完成后再渲染大头针
-            mapImage.onload = () => {
-                renderMapPins();
-                setupMapDragListeners();
-            };
-
-            // 如果图片已经加载过（从缓存），直接渲染
-            if (mapImage.complete) {
-                renderMapPins();
-                setupMapDragListeners();
-            }
-        } else {
-            mapContainer.classList.add('empty');
-            mapPins = [];
-        }
-    } else {
-        mapContainer.classList.add('empty');
-        mapPins = [];
-    }
+/**
+ * 关闭气泡库页面
+ */
+function closeBubbleLibrary() {
+    document.getElementById('bubbleLibraryPage').classList.remove('show');
 }
 
-// 添加大头针到地图
-function addMapPin(event) {
-    // 如果正在拖动或点击的是大头针，不添加新的
-    if (isDraggingPin || event.target.closest('.map-pin')) return;
-
-    const mapContainer = document.getElementById('mapContainer');
-    const rect = mapContainer.getBoundingClientRect();
-
-    // 计算相对位置（百分比）
-    const x = ((event.clientX - rect.left) / rect.width) * 100;
-    const y = ((event.clientY - rect.top) / rect.height) * 100;
-
-    // 创建新的大头针数据
-    const newPin = {
-        id: 'PIN_' + Date.now(),
-        x: x,
-        y: y,
-        name: '新地点',
-        description: '',
-        type: 'city'
-    };
-
-    mapPins.push(newPin);
-    renderMapPins();
-    setupMapDragListeners();
+/**
+ * 切换Tab
+ */
+function switchBubbleTab(tabName) {
+    document.querySelectorAll('.bubble-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabName);
+    });
 
-    // 立即打开编辑弹窗
-    editMapPin(newPin.id);
+    document.getElementById('normalBubbleEditor').style.display =
+        tabName === 'normal' ? 'block' : 'none';
+    document.getElementById('sweetheartBubbleEditor').style.display =
+        tabName === 'sweetheart' ? 'block' : 'none';
 }
 
-// 渲染所有大头针
-function renderMapPins() {
-    const mapContainer = document.getElementById('mapContainer');
-
-    // 移除旧的大头针
-    document.querySelectorAll('.map-pin').forEach(pin => pin.remove());
-
-    // 添加新的大头针
-    mapPins.forEach(pin => {
-        const pinElement = document.createElement('div');
-        pinElement.className = 'map-pin';
-        pinElement.style.left = pin.x + '%';
-        pinElement.style.top = pin.y + '%';
-        pinElement.dataset.pinId = pin.id;
-
-        // 根据类型选择不同的图标
-        const icons = {
-            city: '🏙️',
-            village: '🏘️',
-            dungeon: '🏰',
-            landmark: '⭐',
-            other: '📍'
-        };
-
-        pinElement.innerHTML = `
-            <div class="map-pin-icon">${icons[pin.type] || '📍'}</div>
-            <div class="map-pin-label">${escapeHTML(pin.name)}</div>
-        `;
-
-        mapContainer.appendChild(pinElement);
-    });
-}
+/**
+ * 加载预设列表（增强版：包含内置预设）
+ */
+function loadBubblePresets(chatType) {
+    const storageKey = `bubblePresets_${chatType}`;
 
-// 设置地图拖动监听器
-let isDraggingPin = false;
-let draggedPinElement = null; // 存储当前正在拖动的DOM元素
-let activePinId = null;       // 存储当前正在拖动的数据ID
-// 1. 设置地图拖拽监听器 (替换旧函数)
-function setupMapDragListeners() {
-    const pins = document.querySelectorAll('.map-pin');
-    const mapContainer = document.getElementById('mapContainer');
-    pins.forEach(pin => {
-        // 清除旧事件以防重复绑定
-        const newPin = pin.cloneNode(true);
-        pin.parentNode.replaceChild(newPin, pin);
+    // 1. 获取内置预设
+    const defaultPresets = DEFAULT_PRESETS.filter(p => p.chatType === chatType);
 
-        // 绑定触摸/鼠标按下事件
-        newPin.addEventListener('touchstart', (e) => handleDragStart(e, newPin), { passive: false });
-        newPin.addEventListener('mousedown', (e) => handleDragStart(e, newPin));
-    });
-    // 为容器绑定移动和结束事件（利用事件冒泡或全局捕获）
-    // 注意：这里我们绑定到 document 以防止滑动出容器后丢失焦点
-    document.removeEventListener('touchmove', handleGlobalMove);
-    document.removeEventListener('touchend', handleGlobalEnd);
-    document.removeEventListener('mousemove', handleGlobalMove);
-    document.removeEventListener('mouseup', handleGlobalEnd);
-    // 重新绑定全局事件
-    document.addEventListener('touchmove', handleGlobalMove, { passive: false });
-    document.addEventListener('touchend', handleGlobalEnd);
-    document.addEventListener('mousemove', handleGlobalMove);
-    document.addEventListener('mouseup', handleGlobalEnd);
-}
-// 2. 开始拖动处理
-function handleDragStart(e, pinEl) {
-    // 如果是编辑模式才允许拖动，或者无条件允许（根据你的需求）
+    // 2. 获取用户自定义预设
+    const userPresets = JSON.parse(localStorage.getItem(storageKey) || '[]');
 
-    e.preventDefault(); // 阻止浏览器滚动
-    e.stopPropagation(); // 阻止事件冒泡
-    isDraggingPin = false; // 先标记为未真正开始拖动（用于区分点击）
-    draggedPinElement = pinEl;
-    activePinId = pinEl.dataset.pinId;
-    // 设置一个长按计时器，只有按住超过 200ms 才算拖动，否则算点击
-    // 这一步是为了区分 "点击编辑" 和 "长按拖动"
-    pinEl.dragTimer = setTimeout(() => {
-        isDraggingPin = true;
-        pinEl.classList.add('dragging');
-        showDragHint(); // 显示提示
+    // 3. 合并两个列表
+    const allPresets = [...defaultPresets, ...userPresets];
 
-        // 获取触摸点
-        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    const listContainer = document.getElementById(`${chatType}PresetList`);
 
-        // 立即更新一次位置，让它跟手
-        movePinToCoordinate(clientX, clientY);
-    }, 200);
-}
+    if (allPresets.length === 0) {
+        listContainer.innerHTML = '<div class="preset-empty">暂无保存的预设</div>';
+        return;
+    }
 
+    listContainer.innerHTML = '';
 
+    allPresets.forEach(preset => {
+        const card = document.createElement('div');
+        card.className = 'preset-card';
 
-// 3. 全局移动处理
-function handleGlobalMove(e) {
-    // 如果没有激活的 Pin，或者没进入拖动状态（长按计时器还没触发），则不处理
-    if (!draggedPinElement) return;
-    // 如果还没有变成拖动状态（还在 200ms 判定窗内），如果移动了，取消点击判定，直接开始拖动
-    if (!isDraggingPin) {
-        clearTimeout(draggedPinElement.dragTimer);
-        isDraggingPin = true;
-        draggedPinElement.classList.add('dragging');
-    }
-    e.preventDefault(); // 关键：阻止屏幕滚动
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-    movePinToCoordinate(clientX, clientY);
-}
-// 4. 将 Pin 移动到指定屏幕坐标
-function movePinToCoordinate(clientX, clientY) {
-    if (!draggedPinElement) return;
-    const mapContainer = document.getElementById('mapContainer');
-    const rect = mapContainer.getBoundingClientRect();
-    // 计算相对于容器的百分比
-    let x = ((clientX - rect.left) / rect.width) * 100;
-    let y = ((clientY - rect.top) / rect.height) * 100;
-    // 边界限制 (0% - 100%)
-    x = Math.max(0, Math.min(100, x));
-    y = Math.max(0, Math.min(100, y));
-    // 更新 DOM
-    draggedPinElement.style.left = x + '%';
-    draggedPinElement.style.top = y + '%';
-    // (可选) 实时更新数据对象，如果你希望拖动时数据也变
-    // updatePinData(activePinId, x, y);
-}
+        // 如果是用户预设，才显示日期
+        const dateStr = preset.isDefault ? '' : new Date(preset.timestamp).toLocaleDateString();
 
-// 5. 全局结束/释放处理
-function handleGlobalEnd(e) {
-    if (!draggedPinElement) return;
-    clearTimeout(draggedPinElement.dragTimer); // 清除长按计时器
-    // 如果只是短按（isDraggingPin 为 false），则视为点击，打开编辑
-    if (!isDraggingPin) {
-        editMapPin(activePinId);
-    } else {
-        // 如果是拖动结束
-        const mapContainer = document.getElementById('mapContainer');
-        const pinEl = draggedPinElement;
+        // **核心改动**：如果是内置预设，显示“内置”标签；否则显示“删除”按钮
+        const actionButtonHtml = preset.isDefault
+            ? `<div class="preset-tag">内置</div>`
+            : `<button class="preset-btn delete-btn" onclick="deleteBubblePreset('${chatType}', '${preset.id}')">
+                × 删除
+               </button>`;
 
-        // 保存最终位置到数据
-        // 直接读取 style 的 left/top 是字符串 'xx%'
-        const finalX = parseFloat(pinEl.style.left);
-        const finalY = parseFloat(pinEl.style.top);
+        card.innerHTML = `
+            <div class="preset-card-header">
+                <div class="preset-name">${escapeHTML(preset.name)}</div>
+                <div class="preset-date">${dateStr}</div>
+            </div>
+            <div class="preset-preview-mini">
+                <div class="mini-bubble sent" style="${preset.sentCode}">发送</div>
+                <div class="mini-bubble received" style="${preset.receivedCode}">接收</div>
+            </div>
+            <div class="preset-actions">
+                <button class="preset-btn apply-btn" onclick="applyBubblePreset('${chatType}', '${preset.id}')">
+                    ✓ 应用
+                </button>
+                ${actionButtonHtml}
+            </div>
+        `;
 
-        updatePinData(activePinId, finalX, finalY);
-        saveMapData(); // 立即保存到 localStorage
-    }
-    // 重置状态
-    draggedPinElement.classList.remove('dragging');
-    draggedPinElement = null;
-    activePinId = null;
-    isDraggingPin = false;
-    hideDragHint();
+        listContainer.appendChild(card);
+    });
 }
 
-// 6. 辅助：更新内存中的数组数据
-function updatePinData(pinId, x, y) {
-    const pin = mapPins.find(p => p.id === pinId);
-    if (pin) {
-        pin.x = x;
-        pin.y = y;
-    }
-}
+/**
+ * 应用预设（增强版：能应用内置预设）
+ */
+function applyBubblePreset(chatType, presetId) {
+    // 1. 从内置预设中查找
+    let preset = DEFAULT_PRESETS.find(p => p.id === presetId);
 
-// 显示拖动提示
-function showDragHint() {
-    const hint = document.getElementById('mapDragHint');
-    if (hint) {
-        hint.textContent = '拖动到新位置';
-        hint.classList.add('show');
+    // 2. 如果没找到，再从用户自定义预设中查找
+    if (!preset) {
+        const storageKey = `bubblePresets_${chatType}`;
+        const presets = JSON.parse(localStorage.getItem(storageKey) || '[]');
+        preset = presets.find(p => p.id === presetId);
     }
-}
 
-// 隐藏拖动提示
-function hideDragHint() {
-    const hint = document.getElementById('mapDragHint');
-    if (hint) {
-        hint.classList.remove('show');
+    if (!preset) {
+        alert('预设不存在！');
+        return;
     }
-}
 
-// 编辑大头针
-function editMapPin(pinId) {
-    if (isDraggingPin) return; // 拖动时不打开编辑
+    // --- 后续逻辑与之前完全相同 ---
 
-    currentEditingPin = mapPins.find(p => p.id === pinId);
-    if (!currentEditingPin) return;
+    const prefix = chatType === 'normal' ? '.chat-page' : '.sweetheart-chat-page';
+    let styleId = `customBubbleStyle_${chatType}`;
+    let styleEl = document.getElementById(styleId);
 
-    // 填充表单
-    document.getElementById('locationName').value = currentEditingPin.name;
-    document.getElementById('locationDesc').value = currentEditingPin.description;
-    document.getElementById('locationType').value = currentEditingPin.type;
+    if (!styleEl) {
+        styleEl = document.createElement('style');
+        styleEl.id = styleId;
+        document.head.appendChild(styleEl);
+    }
 
-    // 显示弹窗
-    document.getElementById('locationModal').classList.add('show');
-}
+    let css = '';
+    if (preset.sentCode) {
+        css += `${prefix} .message-row.sent .chat-bubble { ${preset.sentCode} }\n`;
+    }
+    if (preset.receivedCode) {
+        css += `${prefix} .message-row.received .chat-bubble { ${preset.receivedCode} }\n`;
+    }
 
-// 关闭地点编辑弹窗
-function closeLocationModal() {
-    document.getElementById('locationModal').classList.remove('show');
-    currentEditingPin = null;
+    styleEl.textContent = css;
+    localStorage.setItem(`activeBubbleStyle_${chatType}`, JSON.stringify({
+        sent: preset.sentCode,
+        received: preset.receivedCode
+    }));
+
+    showSuccessModal('应用成功', `已应用预设"${preset.name}"！`);
 }
 
-// 保存地点信息
-function saveLocation() {
-    if (!currentEditingPin) return;
+/**
+ * 核心函数：将CSS应用到页面
+ */
+function applyStyleToPage(chatType, sentCode, receivedCode) {
+    let styleId = `customBubbleStyle_${chatType}`;
+    let styleEl = document.getElementById(styleId);
 
-    // 更新数据
-    currentEditingPin.name = document.getElementById('locationName').value.trim() || '未命名地点';
-    currentEditingPin.description = document.getElementById('locationDesc').value.trim();
-    currentEditingPin.type = document.getElementById('locationType').value;
+    if (!styleEl) {
+        styleEl = document.createElement('style');
+        styleEl.id = styleId;
+        document.head.appendChild(styleEl);
+    }
 
-    // 重新渲染
-    renderMapPins();
-    setupMapDragListeners();
+    // 移除之前的预览样式
+    const previewStyle = document.getElementById('bubblePreviewStyle');
+    if (previewStyle) previewStyle.textContent = '';
 
-    // 关闭弹窗
-    closeLocationModal();
+    const prefix = chatType === 'normal' ? '.chat-page' : '.sweetheart-chat-page';
 
-    // 自动保存
-    saveMapData();
+    let css = '';
+    css += `${prefix} .message-row.sent .chat-bubble { ${sentCode || ''} }\n`;
+    css += `${prefix} .message-row.received .chat-bubble { ${receivedCode || ''} }\n`;
 
-    // 显示成功提示
-    showSuccessModal('保存成功', '地点信息已更新');
+    styleEl.textContent = css;
 }
 
-// 删除地点
-function deleteLocation() {
-    if (!currentEditingPin) return;
+/**
+ * 删除预设
+ */
+function deleteBubblePreset(chatType, presetId) {
+    const storageKey = `bubblePresets_${chatType}`;
+    let presets = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    const preset = presets.find(p => p.id === presetId);
+    if (!preset) return;
 
-    if (confirm('确定要删除这个地点吗？')) {
-        mapPins = mapPins.filter(p => p.id !== currentEditingPin.id);
-        renderMapPins();
-        setupMapDragListeners();
-        closeLocationModal();
+    if (!confirm(`确定要删除预设 "${preset.name}" 吗？`)) return;
 
-        // 自动保存
-        saveMapData();
+    presets = presets.filter(p => p.id !== presetId);
+    localStorage.setItem(storageKey, JSON.stringify(presets));
 
-        showSuccessModal('删除成功', '地点已移除');
-    }
+    loadBubblePresets(chatType);
+    showSuccessModal('删除成功', '预设已删除。');
 }
 
 /**
- * 保存地图数据 (已修复)
+ * 清空当前输入并重置预览
  */
-function saveMapData() {
-    if (!currentWorldId) {
-        // [优化] 如果没有世界ID，给用户一个明确的提示
-        showSuccessModal('保存失败', '未选择当前世界，无法保存地图数据!', 2000);
-        console.error('错误：没有选择世界，无法保存');
-        return;
-    }
-
-    // 保存到localStorage
-    localStorage.setItem(`mapPins_${currentWorldId}`, JSON.stringify(mapPins));
-    console.log('地图数据已成功保存');
+function resetBubbleStyle(chatType) {
+    if (!confirm('确定要清空当前输入框并恢复默认预览吗？')) return;
 
-    // ▼▼▼ 核心修复：在这里调用成功弹窗函数 ▼▼▼
-    showSuccessModal('保存成功', '地图数据已更新！');
-    // ▲▲▲ 修复结束 ▲▲▲
+    ['sent', 'received'].forEach(bubbleType => {
+        const inputId = `${chatType}${bubbleType.charAt(0).toUpperCase() + bubbleType.slice(1)}BubbleCode`;
+        document.getElementById(inputId).value = '';
+        document.getElementById(inputId).dispatchEvent(new Event('input'));
+    });
 }
 
-// 打开世界书绑定
-function openWorldbookBinding() {
-    alert('世界书绑定功能开发中...');
+/**
+ * 加载所有已应用的样式
+ */
+function loadSavedBubbleStyles() {
+    ['normal', 'sweetheart'].forEach(chatType => {
+        const saved = localStorage.getItem(`activeBubbleStyle_${chatType}`);
+        if (saved) {
+            try {
+                const {sent, received} = JSON.parse(saved);
+                applyStyleToPage(chatType, sent, received);
+            } catch (e) {
+                console.error('加载气泡样式失败:', e);
+            }
+        }
+    });
 }
 
-// 打开世界设定编辑 (无提示版)
-function openWorldSettings() {
-    // 直接查找当前世界，如果没找到（极罕见情况），直接静默返回或打印日志，不打扰用户
-    const world = worldsData.find(w => w.id === currentWorldId);
-    if (!world) {
-        console.warn('Open Settings: No current world found.');
-        return;
-    }
-    // 填充当前世界的数据
-    document.getElementById('worldSettingsName').value = world.name || '';
-    document.getElementById('worldSettingsDesc').value = world.description || '';
-    document.getElementById('worldSettingsStyle').value = world.style || 'fantasy';
-    document.getElementById('worldSettingsRules').value = world.rules || '';
-    document.getElementById('worldSettingsSpecial').value = world.special || '';
-    // 显示页面
-    document.getElementById('worldSettingsPage').classList.add('show');
+// ========== 气泡库增强版功能 - 结束 ==========
+
+/**
+ * 🧪 测试状态更新功能
+ */
+function testStatusUpdate() {
+    const testJSON = {
+        "reply": "宝宝...测试中...💕",
+        "status": {
+            "character": {
+                "location": "在温暖的被窝里",
+                "appearance": "穿着粉色睡衣",
+                "action": "正在想你",
+                "thoughts": "好想抱抱你...",
+                "private_thoughts": "身体有点发烫..."
+            },
+            "user": {
+                "location": "应该在工作吧",
+                "appearance": "穿着帅气的衬衫",
+                "action": "认真工作的样子",
+                "features": "脖子上我昨天留下的吻痕还在吗？"
+            }
+        }
+    };
+
+    console.log("🧪 开始测试状态更新...");
+    console.log("测试数据:", testJSON);
+
+    // 调用更新函数
+    updateStatusPopup(testJSON.status);
+
+    // 打开状态弹窗
+    openStatusPopup();
+
+    alert("✅ 测试完成！请查看状态弹窗是否正确显示。");
 }
 
-// 关闭世界设定编辑
-function closeWorldSettings() {
-    document.getElementById('worldSettingsPage').classList.remove('show');
-}
+// ========================================================================
+// ========== 联系人库 (管理/选择双模式) 功能 - 完整且无省略 ==========
+// ========================================================================
 
-// 保存世界设定 (无提示版)
-function saveWorldSettings() {
-    const world = worldsData.find(w => w.id === currentWorldId);
-    if (!world) return;
-    // 获取表单数据
-    const name = document.getElementById('worldSettingsName').value.trim();
-    const description = document.getElementById('worldSettingsDesc').value.trim();
-    const style = document.getElementById('worldSettingsStyle').value;
-    const rules = document.getElementById('worldSettingsRules').value.trim();
-    const special = document.getElementById('worldSettingsSpecial').value.trim();
-    if (!name) {
-        showSuccessModal('提示', '世界名称不能为空哦', 1500);
-        return;
-    }
-    // 更新世界数据
-    world.name = name;
-    world.description = description;
-    world.style = style;
-    world.rules = rules;
-    world.special = special;
-    // 保存到localStorage
-    saveWorldsData();
-    // 关闭页面并显示成功提示
-    closeWorldSettings();
-    showSuccessModal('保存成功', '世界设定已更新！');
-}
+/**
+ * 全局变量，用于标记联系人库的当前模式。
+ * 'edit': 管理模式，从设置进入，点击联系人进行编辑。
+ * 'select': 选择模式，从通讯录进入，点击联系人创建新的聊天实例。
+ */
+let contactLibraryMode = 'edit';
 
 /**
- * 编辑猫咪状态数值
+ * 打开联系人库的核心函数。
+ * @param {'edit' | 'select'} mode - 指定打开的模式。
  */
-function editCatStat(event, statName) {
-    event.stopPropagation();
-    event.preventDefault();  // ✅ 新增：阻止默认行为
+function openContactLibrary(mode = 'edit') {
+    contactLibraryMode = mode;
+    const page = document.getElementById('contactLibraryPage');
+    const title = document.getElementById('contactLibraryTitle');
 
-    const statLabels = {
-        'happiness': '😊 开心度',
-        'hunger': '🍖 饱食度',
-        'energy': '⚡ 精力值',
-        'cleanliness': '✨ 清洁度'
-    };
+    // 修改标题逻辑
+    if (mode === 'select' || mode === 'selectForSweetheart') {
+        title.textContent = '选择联系人';
+    } else if (mode === 'selectForGroup') {
+        title.textContent = '选择群成员';
+    } else if (mode === 'discuss') {
+        title.textContent = '与谁讨论剧情？'; // ✨ 新增标题
+    } else {
+        title.textContent = '联系人库';
+    }
 
-    const valueEl = document.getElementById(`stat-${statName}-value`);
-    const barEl = document.getElementById(`stat-${statName}-bar`);
+    page.classList.add('show');
+    renderContactLibrary();
+}
 
-    const currentValue = parseInt(valueEl.textContent);
+/**
+ * [已修复] 关闭联系人库页面
+ * 增加：'selectForLedger' 模式下，关闭库后不进行任何跳转（直接留在记账本）
+ */
+function closeContactLibrary() {
+    if (isMultiSelectMode) {
+        exitMultiSelectMode();
+    }
 
-    const newValue = prompt(
-        `请输入${statLabels[statName]}的数值（0-100）：`,
-        currentValue
-    );
+    document.getElementById('contactLibraryPage').classList.remove('show');
+    document.getElementById('contactLibrarySearch').value = '';
 
-    if (newValue !== null) {
-        let numValue = parseInt(newValue);
+    // ============================================
+    // 🔥 核心修复：如果是记账模式，直接退出，不跳转！
+    // ============================================
+    if (contactLibraryMode === 'selectForLedger') {
+        return; // 直接结束，这样背景就还是记账本，退出记账本就是桌面
+    }
 
-        // 数值验证
-        if (isNaN(numValue)) {
-            alert('请输入有效的数字！');
-            return;
-        }
+    // 1. 如果是剧情讨论模式，什么都不做，停留在当前（小说）页面
+    if (contactLibraryMode === 'discuss') {
+        return;
+    }
 
-        // 限制范围
-        numValue = Math.max(0, Math.min(100, numValue));
+    // 2. 如果是从设置进来的（编辑模式）或是在选群成员，直接返回（停留在原页面），不跳转
+    if (contactLibraryMode === 'edit' || contactLibraryMode === 'selectForGroup') {
+        return;
+    }
 
-        // 更新UI
-        valueEl.textContent = numValue + '%';
-        barEl.style.width = numValue + '%';
+    // 3. 如果是从“选择密友”进来的，返回时回到密友列表
+    if (contactLibraryMode === 'selectForSweetheart') {
+        setTimeout(() => {
+            openSweetheartList();
+        }, 300);
+        return;
+    }
 
-        // 保存到localStorage
-        saveCatStats(statName, numValue);
+    // 4. 如果是从“选择普通联系人”进来的，返回时回到普通通讯录
+    if (contactLibraryMode === 'select') {
+        setTimeout(() => {
+            openContacts();
+        }, 300);
+        return;
+    }
 
-        // 根据数值显示不同反馈
-        showStatFeedback(statName, numValue);
+    // 5. 兜底逻辑：如果以上都不是，且有世界ID，才跳转到世界首页
+    // (这行代码之前导致了记账后跳到密友列表)
+    if (currentWorldId) {
+        setTimeout(() => {
+            // openWorldSelect(); // 这行通常会打开世界页或密友列表
+            // 这里我们改得保守一点，如果没有明确目标，就不乱跳了，防止类似Bug
+        }, 300);
     }
 }
 
-/**
- * 保存猫咪状态到localStorage
- */
-function saveCatStats(statName, value) {
-    const stats = JSON.parse(localStorage.getItem('catWidgetStats') || '{}');
-    stats[statName] = value;
-    localStorage.setItem('catWidgetStats', JSON.stringify(stats));
-}
 
 /**
- * 根据状态值显示反馈
+ * 渲染联系人库的列表内容 (最终修复版)
  */
-function showStatFeedback(statName, value) {
-    const bubble = document.querySelector('.cat-speech-bubble');
-    if (!bubble) return;
+function renderContactLibrary() {
+    const container = document.getElementById('contactLibraryList');
+    container.innerHTML = '';
 
-    const feedbacks = {
-        'happiness': {
-            high: '喵~ 好开心呀！✨',
-            medium: '今天心情还不错~ 😊',
-            low: '有点不开心... 😿'
-        },
-        'hunger': {
-            high: '吃饱饱啦！🍖✨',
-            medium: '还能再吃一点~ 😋',
-            low: '好饿啊... 给我吃的！😿'
-        },
-        'energy': {
-            high: '精力充沛！冲鸭！⚡',
-            medium: '还行，可以玩会儿~ 😺',
-            low: '好累... 想睡觉了 😴'
-        },
-        'cleanliness': {
-            high: '干干净净真舒服！✨',
-            medium: '该洗澡澡了~ 🛁',
-            low: '脏兮兮的... 快帮我洗澡！💦'
+    const allContactsMap = new Map();
+
+    // 1. 添加密友列表中的源联系人
+    sweetheartContactsData.forEach(contact => {
+        allContactsMap.set(contact.id, {...contact, type: 'sweetheart'});
+    });
+
+    // 2. 添加普通联系人列表中的源联系人（群聊不是联系人，不放进库里）
+    contactsData.forEach(contact => {
+        if (!contact.isGroup && !allContactsMap.has(contact.id)) {
+            allContactsMap.set(contact.id, {...contact, type: 'normal'});
         }
-    };
+    });
 
-    let level = 'high';
-    if (value < 30) level = 'low';
-    else if (value < 70) level = 'medium';
+    // 3. 添加仅存在于库中的联系人
+    libraryOnlyContactsData.forEach(contact => {
+        if (!allContactsMap.has(contact.id)) {
+            allContactsMap.set(contact.id, {...contact, type: 'library-only'});
+        }
+    });
 
-    bubble.textContent = feedbacks[statName][level];
-    localStorage.setItem('catWidgetSpeech', bubble.textContent);
-}
+    const allContacts = Array.from(allContactsMap.values())
+        .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
 
-/**
- * 加载猫咪状态数据
- */
-function loadCatStats() {
-    const savedStats = localStorage.getItem('catWidgetStats');
-    if (!savedStats) return;
+    if (allContacts.length === 0) {
+        container.innerHTML = '<div style="text-align: center; padding: 60px 20px; color: #999; font-size: 14px;">空空如也~<br/>请先创建一个联系人。</div>';
+        return;
+    }
 
-    try {
-        const stats = JSON.parse(savedStats);
+    allContacts.forEach(contact => {
+        const item = document.createElement('div');
+        item.className = 'contact-library-item';
+        item.dataset.contactId = contact.id;
 
-        Object.keys(stats).forEach(statName => {
-            const value = stats[statName];
-            const valueEl = document.getElementById(`stat-${statName}-value`);
-            const barEl = document.getElementById(`stat-${statName}-bar`);
+        const isUrl = contact.avatar && (String(contact.avatar).startsWith('http') || String(contact.avatar).startsWith('data:'));
+        const avatarContent = isUrl
+            ? `<img src="${escapeHTML(contact.avatar)}" alt="">`
+            : `<span>${escapeHTML(contact.avatar)}</span>`;
 
-            if (valueEl && barEl) {
-                valueEl.textContent = value + '%';
-                barEl.style.width = value + '%';
-            }
-        });
-    } catch (e) {
-        console.error('加载猫咪状态失败:', e);
-    }
-}
+        // 根据模式决定右侧显示的图标（箭头还是加号）
+        let rightIcon = '<div class="settings-arrow">›</div>';
 
+        item.innerHTML = `
+            <div class="contact-library-avatar">${avatarContent}</div>
+            <div class="contact-library-info">
+                <div class="contact-library-name">${escapeHTML(contact.name)}</div>
+            </div>
+            ${rightIcon}
+        `;
 
-/**
- * 编辑小猫说的话
- */
-function editCatSpeech(event) {
-    event.stopPropagation();
-    event.preventDefault();  // ✅ 新增：阻止默认行为
-    const bubbleEl = event.target;
-    const currentSpeech = bubbleEl.textContent;
+        if (isMultiSelectMode) {
+            item.classList.add('multi-select-mode');
+            if (selectedContactIds.has(contact.id)) {
+                item.classList.add('selected');
+            }
+            item.onclick = () => toggleContactSelection(contact.id);
+        } else {
+            // 🔥🔥🔥 核心修复点在这里！🔥🔥🔥
+            // 必须把 'selectForLedger' 加进去，否则点击这一项会没反应，或者跳去编辑页
+            if (contactLibraryMode === 'select' ||
+                contactLibraryMode === 'selectForSweetheart' ||
+                contactLibraryMode === 'discuss' ||
+                contactLibraryMode === 'selectForLedger') { // ✅ 关键：新增这一行
 
-    const newSpeech = prompt('小猫想说什么呢？', currentSpeech);
+                item.onclick = () => selectContactFromLibrary(contact);
+            } else {
+                // 默认为编辑模式
+                item.onclick = () => editContactFromLibrary(contact.id, contact.type);
+            }
+        }
 
-    if (newSpeech !== null && newSpeech.trim()) {
-        bubbleEl.textContent = newSpeech.trim();
-        // 保存到 localStorage
-        localStorage.setItem('catWidgetSpeech', newSpeech.trim());
-    }
+        container.appendChild(item);
+    });
 }
 
+// ▼▼▼ 请复制并替换这个完整的函数 ▼▼▼
 
 /**
- * 加载小猫组件的保存数据
+ * [终极逻辑版] 从联系人库选择联系人
+ * 统一处理：普通聊天、密友聊天、剧情讨论、记账员选择
  */
-function loadCatWidgetData() {
-    const savedStatus = localStorage.getItem('catWidgetStatus');
-    const savedSpeech = localStorage.getItem('catWidgetSpeech');
-
-    // 加载状态文字（已废弃，但保留兼容性）
-    if (savedStatus) {
-        const statusEl = document.querySelector('.cat-status');
-        if (statusEl) statusEl.textContent = '心情: ' + savedStatus;
-    }
+function selectContactFromLibrary(sourceContact) {
+    const contactId = sourceContact.id;
 
-    // 加载对话内容
-    if (savedSpeech) {
-        const bubbleEl = document.querySelector('.cat-speech-bubble');
-        if (bubbleEl) bubbleEl.textContent = savedSpeech;
+    // === 1. 剧情讨论模式 ===
+    if (contactLibraryMode === 'discuss') {
+        initiateDiscussChat(sourceContact);
+        return;
     }
 
-    // ✨ 新增：加载状态条数据
-    loadCatStats();
-}
-
-/* ▼▼▼ 步骤三：在这里粘贴新的JavaScript代码 ▼▼▼ */
+    // === 2. 记账员选择模式 (AI记账) ===
+    if (contactLibraryMode === 'selectForLedger') {
+        // 设置当前全局记账员
+        currentLedgerContact = sourceContact;
 
-// ========== 密友聊天背景功能 - 开始 ==========
+        // 更新记账页面的头像 UI
+        const avatarEl = document.getElementById('ledgerContactAvatar');
+        if (avatarEl) {
+            const isUrl = sourceContact.avatar && (sourceContact.avatar.startsWith('http') || sourceContact.avatar.startsWith('data:'));
+            avatarEl.src = isUrl ? sourceContact.avatar : 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1760818188304_qdqqd_dzl9rm.png';
+        }
 
-/**
- * 应用密友聊天背景图的核心函数
- * @param {string} imageUrl - 图片的URL或Base64数据。如果为空字符串，则恢复默认背景。
- */
-function applySweetheartChatBackground(imageUrl) {
-    const chatPage = document.getElementById('sweetheartChatPage');
-    if (!chatPage) return;
+        // 更新输入框提示语
+        const inputField = document.getElementById('ledgerInput');
+        if (inputField) inputField.placeholder = `✨ 发送花费给 ${sourceContact.name} 记账...`;
 
-    if (imageUrl) {
-        // 设置背景图片
-        chatPage.style.backgroundImage = `url('${imageUrl}')`;
-        // 使用 localStorage 保存用户的选择
-        localStorage.setItem('sweetheartChatBackground', imageUrl);
-        showChatBgStatus('背景已应用', 'sweetheart');
-    } else {
-        // 恢复默认背景
-        chatPage.style.backgroundImage = '';
-        localStorage.removeItem('sweetheartChatBackground');
-        // 使用你现有的成功提示框
-        showSuccessModal('操作成功', '已恢复为密友专属默认背景。');
+        // 提示并关闭
+        showSuccessModal('切换成功', `现在的记账员是: ${sourceContact.name}`);
+        closeContactLibrary();
+        return; // ✅ 关键：记账选择到此结束，不执行下面的添加好友逻辑
     }
-}
-
-/**
- * 从本地文件上传处理函数
- * @param {Event} event - 文件输入框的change事件对象
- */
-function handleSweetheartChatBgUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    // 使用FileReader将图片转为Base64，以便保存和预览
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        // 调用核心函数应用背景
-        applySweetheartChatBackground(e.target.result);
-    };
-    reader.onerror = () => {
-        showChatBgStatus('读取文件失败', 'sweetheart', 'error');
-    };
-    reader.readAsDataURL(file);
-}
 
-/**
- * 切换URL输入框的显示/隐藏
- */
-function toggleSweetheartChatBgUrlInput() {
-    const urlBox = document.getElementById('sweetheart-chat-bg-url-box');
-    if (urlBox) {
-        urlBox.classList.toggle('show');
-    }
-}
+    // === 3. 以下是添加好友进通讯录的逻辑 (普通/密友) ===
 
-/**
- * 从URL输入框应用背景图
- */
-function applySweetheartChatBgFromUrl() {
-    const urlInput = document.getElementById('sweetheart-chat-bg-url-input');
-    if (!urlInput) return;
+    let targetList, targetName, saveFunc, listPageOpener;
 
-    const url = urlInput.value.trim();
-    if (url) {
-        applySweetheartChatBackground(url);
-        urlInput.value = '';
-        toggleSweetheartChatBgUrlInput(); // 应用后自动隐藏输入框
+    if (contactLibraryMode === 'selectForSweetheart') {
+        targetList = sweetheartContactsData;
+        targetName = '密友列表';
+        saveFunc = saveSweetheartContacts;
+        listPageOpener = openSweetheartList;
     } else {
-        showChatBgStatus('请输入有效的URL', 'sweetheart', 'error');
-    }
-}
-
-/**
- * 在UI上显示状态消息 (这是一个辅助函数，可以复用)
- * @param {string} message - 要显示的消息
- * @param {string} context - 上下文 ('chat' 或 'sweetheart')，用于定位正确的元素
- * @param {string} type - 消息类型 ('success' 或 'error')
- */
-function showChatBgStatus(message, context, type = 'success') {
-    const statusEl = document.getElementById(`${context}-chat-bg-status`);
-    if (statusEl) {
-        statusEl.textContent = message;
-        statusEl.className = 'status-message' + (type === 'error' ? ' error' : '');
-        setTimeout(() => {
-            statusEl.textContent = '';
-        }, 3000);
+        // 默认为 selection (普通聊天)
+        targetList = contactsData;
+        targetName = '通讯录';
+        saveFunc = () => localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+        listPageOpener = openContacts;
     }
-}
 
+    let wasAddedToGlobalList = false;
+    let wasAddedToWorld = false;
 
-/**
- * 加载已保存的密友聊天背景图 (这个函数需要在应用初始化时调用)
- */
-function loadSweetheartChatBackground() {
-    const savedBg = localStorage.getItem('sweetheartChatBackground');
-    if (savedBg) {
-        // 注意：这里我们只调用应用函数，它会处理好一切
-        applySweetheartChatBackground(savedBg);
+    // 检查并添加到列表
+    const alreadyInGlobalList = targetList.some(c => c.id === contactId);
+    if (!alreadyInGlobalList) {
+        targetList.push({...sourceContact});
+        saveFunc();
+        wasAddedToGlobalList = true;
     }
-}
 
-// ========== 密友聊天背景功能 - 结束 ==========
-// ========== 气泡库增强版功能 - 开始 ==========
-
-const DEFAULT_PRESETS = [
-    // --- 普通聊天预设 ---
-    {
-        id: 'default_normal_001',
-        name: '简约黑白',
-        chatType: 'normal',
-        isDefault: true,
-        sentCode: `background: #333;
-color: white;
-border-radius: 16px;`,
-        receivedCode: `background: #f1f1f1;
-color: #333;
-border-radius: 16px;`
-    },
-    {
-        id: 'default_normal_002',
-        name: '清新绿野',
-        chatType: 'normal',
-        isDefault: true,
-        sentCode: `background: linear-gradient(135deg, #66BB6A, #43A047);
-color: white;
-border-radius: 20px 20px 5px 20px;`,
-        receivedCode: `background: #F1F8E9;
-color: #388E3C;
-border: 1px solid #DCEDC8;
-border-radius: 20px 20px 20px 5px;`
-    },
-    {
-        id: 'default_normal_003',
-        name: '暗夜星空',
-        chatType: 'normal',
-        isDefault: true,
-        sentCode: `background: linear-gradient(135deg, #434343, #000000);
-color: #EAEAEA;
-border: 1px solid #555;
-border-radius: 10px;`,
-        receivedCode: `background: #2E2E2E;
-color: #CCCCCC;
-border-radius: 10px;`
-    },
+    // 如果是密友模式，还需要检查是否在当前世界中
+    if (contactLibraryMode === 'selectForSweetheart' && currentWorldId) {
+        const world = worldsData.find(w => w.id === currentWorldId);
+        if (world) {
+            const alreadyInWorld = world.contacts.includes(contactId);
+            if (!alreadyInWorld) {
+                world.contacts.push(contactId);
+                saveWorldsData();
+                wasAddedToWorld = true;
+            }
+        }
+    }
 
-    // --- 密友聊天预设 ---
-    {
-        id: 'default_sweetheart_001',
-        name: '甜心粉兔',
-        chatType: 'sweetheart',
-        isDefault: true,
-        sentCode: `background: #FFC0CB;
-color: #A52A2A;
-border-radius: 18px 18px 4px 18px;
-box-shadow: 0 4px 8px rgba(255, 192, 203, 0.5), inset 0 0 5px rgba(255,255,255,0.5);`,
-        receivedCode: `background: #FFF0F5;
-color: #DB7093;
-border: 2px dashed #FFD1DC;
-border-radius: 18px 18px 18px 4px;`
-    },
-    {
-        id: 'default_sweetheart_002',
-        name: '复古信纸',
-        chatType: 'sweetheart',
-        isDefault: true,
-        sentCode: `background: #FDF5E6;
-color: #8B4513;
-border: 1px solid #DEB887;
-border-radius: 8px;
-font-family: 'Georgia', serif;`,
-        receivedCode: `background: #FAF0E6;
-color: #A0522D;
-border: 1px solid #D2B48C;
-border-radius: 8px;
-font-family: 'Georgia', serif;`
+    if (wasAddedToGlobalList || wasAddedToWorld) {
+        showSuccessModal('添加成功', `已将 "${sourceContact.name}" 添加到${targetName}。`);
+    } else {
+        // 如果已经存在，虽然不报错，但也给个反馈，然后直接跳转
+        // showSuccessModal('已存在', `"${sourceContact.name}" 已经在列表里了。`, 1000);
     }
-];
 
-// 示例代码库
-const BUBBLE_EXAMPLES = {
-    normal: {
-        sent: `background: linear-gradient(135deg, #0A84FF, #0066CC);
-color: white;
-border-radius: 20px 20px 5px 20px;
-padding: 12px;
-box-shadow: 0 2px 8px rgba(10, 132, 255, 0.3);`,
-        received: `background: #e9e9eb;
-color: #000;
-border-radius: 20px 20px 20px 5px;
-padding: 12px;
-box-shadow: 0 1px 2px rgba(0, 0, 0, 0.05);`
-    },
-    sweetheart: {
-        sent: `background: linear-gradient(135deg, #FFB6C1, #FF9AAD);
-color: white;
-border-radius: 20px 20px 5px 20px;
-padding: 12px;
-box-shadow: 0 3px 8px rgba(255, 182, 193, 0.3);`,
-        received: `background: #FFFFFF;
-color: #8D6E63;
-border: 1px solid #FFE4E9;
-border-radius: 20px 20px 20px 5px;
-padding: 12px;
-box-shadow: 0 2px 6px rgba(161, 136, 127, 0.08);`
-    }
-};
+    // 关闭库并跳转
+    closeContactLibrary();
+    setTimeout(() => {
+        if (listPageOpener) listPageOpener();
+    }, 350);
+}
+
+
+// ========== 联系人库多选模式功能 ==========
 
 /**
- * 打开气泡库页面
+ * [已修复] 进入多选模式
  */
-function openBubbleLibrary() {
-    const page = document.getElementById('bubbleLibraryPage');
-    page.classList.add('show');
-    loadBubblePresets('normal');
-    loadBubblePresets('sweetheart');
-    // 删除 loadCurrentStylesToEditor();
+function enterMultiSelectMode() {
+    if (isMultiSelectMode) return; // 防止重复进入
+    isMultiSelectMode = true;
+    selectedContactIds.clear();
+
+    // 更新UI
+    document.getElementById('multiSelectToggle').style.display = 'none';
+    document.getElementById('characterCardImportBtn').style.display = 'none';
+    document.getElementById('multiSelectToolbar').style.display = 'flex';
+    document.getElementById('contactLibraryTitle').textContent = contactLibraryMode === 'selectForGroup' ? '选择群成员' : '选择联系人';
+
+    // 选群成员时只保留「确定」，不提供删除和克隆（取消用返回键）
+    const isGroupSelection = contactLibraryMode === 'selectForGroup';
+    document.querySelectorAll('#multiSelectToolbar .toolbar-btn:not(.group-confirm-btn)').forEach(btn => {
+        btn.style.display = isGroupSelection ? 'none' : '';
+    });
+    document.getElementById('groupConfirmBtn').style.display = isGroupSelection ? '' : 'none';
+
+    // 重新渲染列表以应用多选模式
+    renderContactLibrary();
 }
 
+
 /**
- * 关闭气泡库页面
+ * 退出多选模式
  */
-function closeBubbleLibrary() {
-    document.getElementById('bubbleLibraryPage').classList.remove('show');
+function exitMultiSelectMode() {
+    isMultiSelectMode = false;
+    selectedContactIds.clear();
+
+    // 恢复UI
+    document.getElementById('multiSelectToggle').style.display = 'flex';
+    document.getElementById('characterCardImportBtn').style.display = 'flex';
+    document.getElementById('multiSelectToolbar').style.display = 'none';
+
+    const title = contactLibraryMode === 'select' || contactLibraryMode === 'selectForSweetheart'
+        ? '选择联系人'
+        : '联系人库';
+    document.getElementById('contactLibraryTitle').textContent = title;
+
+    // 重新渲染联系人库以恢复原始状态
+    renderContactLibrary();
 }
 
 /**
- * 切换Tab
+ * 切换单个联系人的选中状态
  */
-function switchBubbleTab(tabName) {
-    document.querySelectorAll('.bubble-tab').forEach(tab => {
-        tab.classList.toggle('active', tab.dataset.tab === tabName);
-    });
+function toggleContactSelection(contactId) {
+    const item = document.querySelector(`.contact-library-item[data-contact-id="${contactId}"]`);
+    if (!item) return;
 
-    document.getElementById('normalBubbleEditor').style.display =
-        tabName === 'normal' ? 'block' : 'none';
-    document.getElementById('sweetheartBubbleEditor').style.display =
-        tabName === 'sweetheart' ? 'block' : 'none';
+    if (selectedContactIds.has(contactId)) {
+        selectedContactIds.delete(contactId);
+        item.classList.remove('selected');
+    } else {
+        selectedContactIds.add(contactId);
+        item.classList.add('selected');
+    }
 }
 
 /**
- * 加载预设列表（增强版：包含内置预设）
+ * 批量删除选中的联系人
  */
-function loadBubblePresets(chatType) {
-    const storageKey = `bubblePresets_${chatType}`;
+function batchDeleteContacts() {
+    if (selectedContactIds.size === 0) {
+        alert('请先选择要删除的联系人');
+        return;
+    }
 
-    // 1. 获取内置预设
-    const defaultPresets = DEFAULT_PRESETS.filter(p => p.chatType === chatType);
+    const confirmMsg = `确定要删除选中的 ${selectedContactIds.size} 个联系人吗？\n\n删除后将清除所有相关聊天记录。`;
+    if (!confirm(confirmMsg)) return;
 
-    // 2. 获取用户自定义预设
-    const userPresets = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    selectedContactIds.forEach(contactId => {
+        // 从普通列表删除
+        contactsData = contactsData.filter(c => c.id !== contactId);
+        // 从密友列表删除
+        sweetheartContactsData = sweetheartContactsData.filter(c => c.id !== contactId);
+        // 🆕 从仅库中列表删除
+        libraryOnlyContactsData = libraryOnlyContactsData.filter(c => c.id !== contactId);
 
-    // 3. 合并两个列表
-    const allPresets = [...defaultPresets, ...userPresets];
+        // 删除聊天记录和对话分支（按主键范围删除，不需要先加载）
+        ChatHistoryStore.chatTypes.forEach(type => {
+            ChatHistoryStore.remove(type, contactId).catch(e => console.error('删除聊天记录失败:', e));
+        });
+        Object.keys(CHAT_VIEWS).forEach(chatType => {
+            removeChatBranches(chatType, contactId).catch(e => console.error('删除对话分支失败:', e));
+        });
+    });
 
-    const listContainer = document.getElementById(`${chatType}PresetList`);
+    // 保存更新
+    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+    saveSweetheartContacts();
+    localStorage.setItem('phoneLibraryOnlyContactsData', JSON.stringify(libraryOnlyContactsData));
 
-    if (allPresets.length === 0) {
-        listContainer.innerHTML = '<div class="preset-empty">暂无保存的预设</div>';
+    const deletedCount = selectedContactIds.size;
+    exitMultiSelectMode();
+    showSuccessModal('删除成功', `已删除 ${deletedCount} 个联系人`);
+}
+
+
+/**
+ * 批量克隆选中的联系人
+ */
+function batchCloneContacts() {
+    if (selectedContactIds.size === 0) {
+        alert('请先选择要克隆的联系人');
         return;
     }
 
-    listContainer.innerHTML = '';
+    const confirmMsg = `确定要克隆选中的 ${selectedContactIds.size} 个联系人吗？\n\n克隆后将创建拥有相同信息但ID不同的新联系人，仅存在于联系人库中。`;
+    if (!confirm(confirmMsg)) return;
 
-    allPresets.forEach(preset => {
-        const card = document.createElement('div');
-        card.className = 'preset-card';
+    let clonedCount = 0;
 
-        // 如果是用户预设，才显示日期
-        const dateStr = preset.isDefault ? '' : new Date(preset.timestamp).toLocaleDateString();
+    selectedContactIds.forEach(contactId => {
+        let sourceContact = sweetheartContactsData.find(c => c.id === contactId) ||
+            contactsData.find(c => c.id === contactId) ||
+            libraryOnlyContactsData.find(c => c.id === contactId);
 
-        // **核心改动**：如果是内置预设，显示“内置”标签；否则显示“删除”按钮
-        const actionButtonHtml = preset.isDefault
-            ? `<div class="preset-tag">内置</div>`
-            : `<button class="preset-btn delete-btn" onclick="deleteBubblePreset('${chatType}', '${preset.id}')">
-                × 删除
-               </button>`;
+        if (!sourceContact) return;
 
-        card.innerHTML = `
-            <div class="preset-card-header">
-                <div class="preset-name">${escapeHTML(preset.name)}</div>
-                <div class="preset-date">${dateStr}</div>
-            </div>
-            <div class="preset-preview-mini">
-                <div class="mini-bubble sent" style="${preset.sentCode}">发送</div>
-                <div class="mini-bubble received" style="${preset.receivedCode}">接收</div>
-            </div>
-            <div class="preset-actions">
-                <button class="preset-btn apply-btn" onclick="applyBubblePreset('${chatType}', '${preset.id}')">
-                    ✓ 应用
-                </button>
-                ${actionButtonHtml}
-            </div>
-        `;
+        const clonedContact = cloneContact(sourceContact);
+
+        // 🆕 修改：只添加到仅库中的数组
+        libraryOnlyContactsData.push(clonedContact);
+
+        clonedCount++;
+    });
+
+    // 保存到localStorage
+    localStorage.setItem('phoneLibraryOnlyContactsData', JSON.stringify(libraryOnlyContactsData));
+
+    const count = selectedContactIds.size;
+    exitMultiSelectMode();
+    showSuccessModal('克隆成功', `已克隆 ${count} 个联系人，现在只在联系人库中可见。`);
+}
+
+
+/**
+ * 克隆单个联系人（核心函数）
+ * @param {Object} sourceContact - 原始联系人对象
+ * @returns {Object} 克隆后的新联系人
+ */
+function cloneContact(sourceContact) {
+    // 生成新的唯一ID
+    const newId = sourceContact.id.startsWith('SH')
+        ? 'SH' + Date.now() + Math.floor(Math.random() * 1000)
+        : 'ID' + Math.floor(100000 + Math.random() * 900000);
+
+    // 深拷贝所有属性
+    const clonedContact = {
+        id: newId,
+        name: sourceContact.name,
+        status: sourceContact.status,
+        avatar: sourceContact.avatar,
+        // 密友专属属性（如果有）
+        ...(sourceContact.personality && {personality: sourceContact.personality}),
+        ...(sourceContact.occupation && {occupation: sourceContact.occupation}),
+        ...(sourceContact.catchphrase && {catchphrase: sourceContact.catchphrase}),
+        ...(sourceContact.history && {history: sourceContact.history}),
+        ...(sourceContact.relationship && {relationship: sourceContact.relationship}),
+        ...(sourceContact.firstMessage && {firstMessage: sourceContact.firstMessage}),
+        // 绑定的世界书（深拷贝数组）
+        boundWorldbooks: sourceContact.boundWorldbooks ? [...sourceContact.boundWorldbooks] : []
+    };
+
+    console.log(`✅ 克隆成功: ${sourceContact.name} (${sourceContact.id} → ${newId})`);
+
+    return clonedContact;
+}
+
+
+/**
+ * 当在“管理”模式下点击联系人时调用此函数。
+ * 它的作用是跳转到对应类型的联系人编辑卡片。
+ * @param {string} contactId - 被点击联系人的ID。
+ * @param {'normal' | 'sweetheart'} type - 被点击联系人的类型。
+ */
+/**
+ * [全新版本] 从联系人库编辑联系人 - 使用统一角色卡
+ */
+function editContactFromLibrary(contactId, type) {
+    // 1. 查找联系人数据
+    let contactData;
+    if (type === 'sweetheart') {
+        contactData = sweetheartContactsData.find(c => c.id === contactId);
+    } else if (type === 'library-only') {
+        contactData = libraryOnlyContactsData.find(c => c.id === contactId);
+    } else {
+        contactData = contactsData.find(c => c.id === contactId);
+    }
+
+    if (!contactData) {
+        console.error("找不到联系人数据:", contactId);
+        return;
+    }
 
-        listContainer.appendChild(card);
-    });
+    // 2. 打开统一角色卡弹窗
+    openLibraryCharacterModal(contactData, type);
 }
 
 /**
- * 应用预设（增强版：能应用内置预设）
+ * 打开联系人库统一角色卡
  */
-function applyBubblePreset(chatType, presetId) {
-    // 1. 从内置预设中查找
-    let preset = DEFAULT_PRESETS.find(p => p.id === presetId);
-
-    // 2. 如果没找到，再从用户自定义预设中查找
-    if (!preset) {
-        const storageKey = `bubblePresets_${chatType}`;
-        const presets = JSON.parse(localStorage.getItem(storageKey) || '[]');
-        preset = presets.find(p => p.id === presetId);
-    }
+function openLibraryCharacterModal(contactData, sourceType) {
+    renderLibraryMasksList(contactData.boundMasks || []);
 
-    if (!preset) {
-        alert('预设不存在！');
-        return;
-    }
+    const modal = document.getElementById('libraryCharacterModal');
 
-    // --- 后续逻辑与之前完全相同 ---
+    // 存储编辑信息
+    modal.dataset.editingId = contactData.id;
+    modal.dataset.sourceType = sourceType;
 
-    const prefix = chatType === 'normal' ? '.chat-page' : '.sweetheart-chat-page';
-    let styleId = `customBubbleStyle_${chatType}`;
-    let styleEl = document.getElementById(styleId);
+    // 填充基础信息
+    document.getElementById('library-name').value = contactData.name || '';
+    document.getElementById('library-persona').value = contactData.status || '';
+    document.getElementById('library-instance-id').textContent = contactData.id;
 
-    if (!styleEl) {
-        styleEl = document.createElement('style');
-        styleEl.id = styleId;
-        document.head.appendChild(styleEl);
-    }
+    // 填充头像
+    const avatarPreview = document.getElementById('library-avatar-preview');
+    const isUrl = contactData.avatar && (contactData.avatar.startsWith('http') || contactData.avatar.startsWith('data:'));
+    avatarPreview.src = isUrl ? contactData.avatar : '';
 
-    let css = '';
-    if (preset.sentCode) {
-        css += `${prefix} .message-row.sent .chat-bubble { ${preset.sentCode} }\n`;
-    }
-    if (preset.receivedCode) {
-        css += `${prefix} .message-row.received .chat-bubble { ${preset.receivedCode} }\n`;
-    }
+    // 填充密友专属字段
+    document.getElementById('library-personality').value = contactData.personality || '';
+    document.getElementById('library-occupation').value = contactData.occupation || '';
+    document.getElementById('library-catchphrase').value = contactData.catchphrase || '';
+    document.getElementById('library-history').value = contactData.history || '';
+    document.getElementById('library-relationship').value = contactData.relationship || '';
+    document.getElementById('library-voice-id').value = contactData.voiceId || ''; // <<< 新增：填充 Voice ID
+    document.getElementById('library-first-message').value = contactData.firstMessage || '';
 
-    styleEl.textContent = css;
-    localStorage.setItem(`activeBubbleStyle_${chatType}`, JSON.stringify({
-        sent: preset.sentCode,
-        received: preset.receivedCode
-    }));
+    // 渲染世界书列表
+    renderLibraryWorldbooksList(contactData.boundWorldbooks || []);
 
-    showSuccessModal('应用成功', `已应用预设"${preset.name}"！`);
+    // 显示弹窗
+    modal.classList.add('show');
 }
 
 /**
- * 核心函数：将CSS应用到页面
+ * 关闭联系人库统一角色卡
  */
-function applyStyleToPage(chatType, sentCode, receivedCode) {
-    let styleId = `customBubbleStyle_${chatType}`;
-    let styleEl = document.getElementById(styleId);
+function closeLibraryCharacterModal() {
+    const modal = document.getElementById('libraryCharacterModal');
+    modal.classList.remove('show');
 
-    if (!styleEl) {
-        styleEl = document.createElement('style');
-        styleEl.id = styleId;
-        document.head.appendChild(styleEl);
-    }
+    // 清理数据
+    delete modal.dataset.editingId;
+    delete modal.dataset.sourceType;
+}
 
-    // 移除之前的预览样式
-    const previewStyle = document.getElementById('bubblePreviewStyle');
-    if (previewStyle) previewStyle.textContent = '';
+/**
+ * 切换密友专属字段
+ */
+function toggleLibraryExtendedFields() {
+    const fields = document.getElementById('library-extended-fields');
+    const arrow = document.getElementById('library-extended-arrow');
 
-    const prefix = chatType === 'normal' ? '.chat-page' : '.sweetheart-chat-page';
+    if (fields.style.display === 'none') {
+        fields.style.display = 'block';
+        arrow.classList.add('open');
+    } else {
+        fields.style.display = 'none';
+        arrow.classList.remove('open');
+    }
+}
 
-    let css = '';
-    css += `${prefix} .message-row.sent .chat-bubble { ${sentCode || ''} }\n`;
-    css += `${prefix} .message-row.received .chat-bubble { ${receivedCode || ''} }\n`;
+/**
+ * 切换世界书列表
+ */
+function toggleLibraryWorldbooks() {
+    const list = document.getElementById('library-worldbooks-list');
+    const arrow = document.getElementById('library-wb-arrow');
 
-    styleEl.textContent = css;
+    if (list.style.display === 'none') {
+        list.style.display = 'block';
+        arrow.classList.add('open');
+    } else {
+        list.style.display = 'none';
+        arrow.classList.remove('open');
+    }
 }
 
 /**
- * 删除预设
+ * 渲染世界书列表
  */
-function deleteBubblePreset(chatType, presetId) {
-    const storageKey = `bubblePresets_${chatType}`;
-    let presets = JSON.parse(localStorage.getItem(storageKey) || '[]');
-    const preset = presets.find(p => p.id === presetId);
-    if (!preset) return;
+function renderLibraryWorldbooksList(boundIds = []) {
+    const container = document.getElementById('library-worldbooks-list');
 
-    if (!confirm(`确定要删除预设 "${preset.name}" 吗？`)) return;
+    if (worldbookData.length === 0) {
+        container.innerHTML = '<div style="text-align: center; color: #999; padding: 20px; font-size: 13px;">暂无世界书</div>';
+        return;
+    }
 
-    presets = presets.filter(p => p.id !== presetId);
-    localStorage.setItem(storageKey, JSON.stringify(presets));
+    container.innerHTML = '';
 
-    loadBubblePresets(chatType);
-    showSuccessModal('删除成功', '预设已删除。');
-}
+    worldbookData.forEach(wb => {
+        const item = document.createElement('div');
+        item.className = 'library-wb-item';
 
-/**
- * 清空当前输入并重置预览
- */
-function resetBubbleStyle(chatType) {
-    if (!confirm('确定要清空当前输入框并恢复默认预览吗？')) return;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `library-wb-${wb.id}`;
+        checkbox.value = wb.id;
+        checkbox.checked = boundIds.includes(wb.id);
 
-    ['sent', 'received'].forEach(bubbleType => {
-        const inputId = `${chatType}${bubbleType.charAt(0).toUpperCase() + bubbleType.slice(1)}BubbleCode`;
-        document.getElementById(inputId).value = '';
-        document.getElementById(inputId).dispatchEvent(new Event('input'));
+        const label = document.createElement('label');
+        label.htmlFor = `library-wb-${wb.id}`;
+        label.textContent = wb.title;
+
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        container.appendChild(item);
     });
 }
 
 /**
- * 加载所有已应用的样式
+ * 打开头像选择器
  */
-function loadSavedBubbleStyles() {
-    ['normal', 'sweetheart'].forEach(chatType => {
-        const saved = localStorage.getItem(`activeBubbleStyle_${chatType}`);
-        if (saved) {
-            try {
-                const {sent, received} = JSON.parse(saved);
-                applyStyleToPage(chatType, sent, received);
-            } catch (e) {
-                console.error('加载气泡样式失败:', e);
-            }
-        }
-    });
+function openLibraryAvatarPicker() {
+    document.getElementById('library-avatar-input').click();
 }
 
-// ========== 气泡库增强版功能 - 结束 ==========
-
 /**
- * 🧪 测试状态更新功能
+ * 保存联系人库角色数据
  */
-function testStatusUpdate() {
-    const testJSON = {
-        "reply": "宝宝...测试中...💕",
-        "status": {
-            "character": {
-                "location": "在温暖的被窝里",
-                "appearance": "穿着粉色睡衣",
-                "action": "正在想你",
-                "thoughts": "好想抱抱你...",
-                "private_thoughts": "身体有点发烫..."
-            },
-            "user": {
-                "location": "应该在工作吧",
-                "appearance": "穿着帅气的衬衫",
-                "action": "认真工作的样子",
-                "features": "脖子上我昨天留下的吻痕还在吗？"
-            }
-        }
+function saveLibraryCharacter() {
+    const modal = document.getElementById('libraryCharacterModal');
+    const contactId = modal.dataset.editingId;
+    const sourceType = modal.dataset.sourceType;
+
+    if (!contactId) {
+        alert('保存失败：无法获取联系人ID');
+        return;
+    }
+
+    // 获取基础信息
+    const name = document.getElementById('library-name').value.trim();
+    const persona = document.getElementById('library-persona').value.trim();
+
+    if (!name) {
+        alert('请填写姓名！');
+        return;
+    }
+
+    if (!persona) {
+        alert('请填写基础设定！');
+        return;
+    }
+
+    // 获取其他信息
+    const avatar = document.getElementById('library-avatar-preview').src;
+    const personality = document.getElementById('library-personality').value.trim();
+    const occupation = document.getElementById('library-occupation').value.trim();
+    const catchphrase = document.getElementById('library-catchphrase').value.trim();
+    const history = document.getElementById('library-history').value.trim();
+    const relationship = document.getElementById('library-relationship').value.trim();
+    const voiceId = document.getElementById('library-voice-id').value.trim(); // <<< 新增：获取 Voice ID
+    const firstMessage = document.getElementById('library-first-message').value.trim();
+
+    // 获取绑定的世界书
+    const boundWorldbooks = [];
+    document.querySelectorAll('#library-worldbooks-list input[type="checkbox"]:checked').forEach(cb => {
+        boundWorldbooks.push(cb.value);
+    });
+
+    // 获取绑定的面具
+    const boundMasks = [];
+    document.querySelectorAll('#library-masks-list input[type="checkbox"]:checked').forEach(cb => {
+        boundMasks.push(cb.value);
+    });
+
+    // 组装数据
+    const contactData = {
+        id: contactId,
+        name,
+        status: persona,
+        avatar: avatar && !avatar.includes('data:image/gif') ? avatar : '👤',
+        personality,
+        occupation,
+        catchphrase,
+        history,
+        relationship,
+        voiceId, // <<< 新增：保存 Voice ID
+        firstMessage,
+        boundWorldbooks,
+        boundMasks
     };
 
-    console.log("🧪 开始测试状态更新...");
-    console.log("测试数据:", testJSON);
+    // 保存到对应的列表
+    if (sourceType === 'sweetheart') {
+        const index = sweetheartContactsData.findIndex(c => c.id === contactId);
+        if (index !== -1) {
+            sweetheartContactsData[index] = contactData;
+        }
+        saveSweetheartContacts();
+        renderSweetheartList();
+    } else if (sourceType === 'library-only') {
+        const index = libraryOnlyContactsData.findIndex(c => c.id === contactId);
+        if (index !== -1) {
+            libraryOnlyContactsData[index] = contactData;
+        }
+        localStorage.setItem('phoneLibraryOnlyContactsData', JSON.stringify(libraryOnlyContactsData));
+    } else {
+        const index = contactsData.findIndex(c => c.id === contactId);
+        if (index !== -1) {
+            contactsData[index] = contactData;
+        }
+        localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
+        renderContacts(contactsData);
+    }
 
-    // 调用更新函数
-    updateStatusPopup(testJSON.status);
+    // 刷新联系人库显示
+    renderContactLibrary();
 
-    // 打开状态弹窗
-    openStatusPopup();
+    // 关闭弹窗
+    closeLibraryCharacterModal();
 
-    alert("✅ 测试完成！请查看状态弹窗是否正确显示。");
+    showSuccessModal('保存成功', `已更新 ${name} 的信息`);
 }
 
-// ========================================================================
-// ========== 联系人库 (管理/选择双模式) 功能 - 完整且无省略 ==========
-// ========================================================================
+// ========== 角色卡导入导出 (Character Card V2) - 开始 ==========
+
+const CHARACTER_CARD_SPEC = 'chara_card_v2';
+const CHARACTER_CARD_SPEC_VERSION = '2.0';
+// 本应用专属字段存放在 data.extensions 下，其他软件会原样保留
+const CHARACTER_CARD_EXTENSION_KEY = 'yetta';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+// JSON 角色卡里的头像只接受这两种形式（头像会直接拼进 HTML，其他内容一律丢弃）
+const CARD_AVATAR_DATA_URL_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+const CARD_AVATAR_HTTP_URL_PATTERN = /^https?:\/\/[^\s"'<>`]+$/;
+
+let pngCrcTable = null;
 
 /**
- * 全局变量，用于标记联系人库的当前模式。
- * 'edit': 管理模式，从设置进入，点击联系人进行编辑。
- * 'select': 选择模式，从通讯录进入，点击联系人创建新的聊天实例。
+ * 计算 PNG 数据块的 CRC32
+ * @param {Uint8Array} bytes
+ * @returns {number}
  */
-let contactLibraryMode = 'edit';
+function pngCrc32(bytes) {
+    if (!pngCrcTable) {
+        pngCrcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            pngCrcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = pngCrcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
 /**
- * 打开联系人库的核心函数。
- * @param {'edit' | 'select'} mode - 指定打开的模式。
+ * 把 PNG 拆成数据块
+ * @param {Uint8Array} bytes
+ * @returns {Array<{type: string, data: Uint8Array}>}
  */
-function openContactLibrary(mode = 'edit') {
-    contactLibraryMode = mode;
-    const page = document.getElementById('contactLibraryPage');
-    const title = document.getElementById('contactLibraryTitle');
-
-    // 修改标题逻辑
-    if (mode === 'select' || mode === 'selectForSweetheart') {
-        title.textContent = '选择联系人';
-    } else if (mode === 'discuss') {
-        title.textContent = '与谁讨论剧情？'; // ✨ 新增标题
-    } else {
-        title.textContent = '联系人库';
+function readPngChunks(bytes) {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) {
+        throw new Error('不是有效的 PNG 图片');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({type, data: bytes.subarray(offset + 8, offset + 8 + length)});
+        offset += 12 + length;
+        if (type === 'IEND') break;
     }
+    return chunks;
+}
 
-    page.classList.add('show');
-    renderContactLibrary();
+/**
+ * 把数据块重新拼成 PNG
+ * @param {Array<{type: string, data: Uint8Array}>} chunks
+ * @returns {Uint8Array}
+ */
+function writePngChunks(chunks) {
+    const total = 8 + chunks.reduce((sum, chunk) => sum + 12 + chunk.data.length, 0);
+    const bytes = new Uint8Array(total);
+    const view = new DataView(bytes.buffer);
+    bytes.set(PNG_SIGNATURE, 0);
+    let offset = 8;
+    chunks.forEach(chunk => {
+        const typeAndData = new Uint8Array(4 + chunk.data.length);
+        for (let i = 0; i < 4; i++) typeAndData[i] = chunk.type.charCodeAt(i);
+        typeAndData.set(chunk.data, 4);
+        view.setUint32(offset, chunk.data.length);
+        bytes.set(typeAndData, offset + 4);
+        view.setUint32(offset + 8 + chunk.data.length, pngCrc32(typeAndData));
+        offset += 12 + chunk.data.length;
+    });
+    return bytes;
 }
 
 /**
- * [已修复] 关闭联系人库页面
- * 增加：'selectForLedger' 模式下，关闭库后不进行任何跳转（直接留在记账本）
+ * UTF-8 文本与 base64 互转（角色卡 JSON 以 base64 存在 tEXt 块里）
  */
-function closeContactLibrary() {
-    if (isMultiSelectMode) {
-        exitMultiSelectMode();
+function utf8ToBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
+}
 
-    document.getElementById('contactLibraryPage').classList.remove('show');
-    document.getElementById('contactLibrarySearch').value = '';
+function base64ToUtf8(base64) {
+    const binary = atob(base64.trim());
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new TextDecoder().decode(bytes);
+}
 
-    // ============================================
-    // 🔥 核心修复：如果是记账模式，直接退出，不跳转！
-    // ============================================
-    if (contactLibraryMode === 'selectForLedger') {
-        return; // 直接结束，这样背景就还是记账本，退出记账本就是桌面
-    }
+/**
+ * 从 PNG 的 tEXt 块中取出角色卡 JSON（优先 chara，兼容 V3 的 ccv3）
+ * @param {Uint8Array} bytes
+ * @returns {object}
+ */
+function extractCardFromPng(bytes) {
+    const texts = {};
+    readPngChunks(bytes).filter(chunk => chunk.type === 'tEXt').forEach(chunk => {
+        const separator = chunk.data.indexOf(0);
+        if (separator === -1) return;
+        const keyword = String.fromCharCode(...chunk.data.subarray(0, separator));
+        texts[keyword] = new TextDecoder('latin1').decode(chunk.data.subarray(separator + 1));
+    });
+    const payload = texts.chara || texts.ccv3;
+    if (!payload) throw new Error('这张图片里没有角色卡数据');
+    return JSON.parse(base64ToUtf8(payload));
+}
 
-    // 1. 如果是剧情讨论模式，什么都不做，停留在当前（小说）页面
-    if (contactLibraryMode === 'discuss') {
-        return;
-    }
+/**
+ * 把角色卡 JSON 写进 PNG（替换原有的 chara 块）
+ * @param {Uint8Array} pngBytes
+ * @param {object} card
+ * @returns {Uint8Array}
+ */
+function embedCardInPng(pngBytes, card) {
+    const keyword = 'chara';
+    const text = keyword + '\0' + utf8ToBase64(JSON.stringify(card));
+    const data = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) data[i] = text.charCodeAt(i);
 
-    // 2. 如果是从设置进来的（编辑模式），直接返回（停留在设置页），不跳转
-    if (contactLibraryMode === 'edit') {
-        return;
-    }
+    const chunks = readPngChunks(pngBytes).filter(chunk => {
+        if (chunk.type !== 'tEXt') return true;
+        const name = String.fromCharCode(...chunk.data.subarray(0, chunk.data.indexOf(0)));
+        return name !== 'chara' && name !== 'ccv3';
+    });
+    chunks.splice(chunks.length - 1, 0, {type: 'tEXt', data});
+    return writePngChunks(chunks);
+}
 
-    // 3. 如果是从“选择密友”进来的，返回时回到密友列表
-    if (contactLibraryMode === 'selectForSweetheart') {
-        setTimeout(() => {
-            openSweetheartList();
-        }, 300);
-        return;
-    }
+/**
+ * 查找联系人所在的列表
+ * @param {string} contactId
+ * @returns {object|undefined}
+ */
+function findContactForCard(contactId) {
+    return sweetheartContactsData.find(c => c.id === contactId) ||
+        contactsData.find(c => c.id === contactId) ||
+        libraryOnlyContactsData.find(c => c.id === contactId);
+}
 
-    // 4. 如果是从“选择普通联系人”进来的，返回时回到普通通讯录
-    if (contactLibraryMode === 'select') {
-        setTimeout(() => {
-            openContacts();
-        }, 300);
-        return;
-    }
+/**
+ * 把联系人转换成 Character Card V2
+ * 绑定的世界书写入 character_book，场景和对话示例条目还原到对应字段，面具放在扩展字段里
+ * @param {object} contact
+ * @returns {object}
+ */
+function buildCharacterCard(contact) {
+    const boundEntries = (contact.boundWorldbooks || [])
+        .map(id => worldbookData.find(wb => wb.id === id))
+        .filter(Boolean);
+    const fieldEntry = field => boundEntries.find(entry => entry.cardField === field);
+    const bookEntries = boundEntries.filter(entry => !entry.cardField);
+    const masks = (contact.boundMasks || [])
+        .map(id => masksData.find(m => m.id === id))
+        .filter(Boolean);
+    const systemMask = masks.find(mask => mask.cardField === 'system_prompt');
 
-    // 5. 兜底逻辑：如果以上都不是，且有世界ID，才跳转到世界首页
-    // (这行代码之前导致了记账后跳到密友列表)
-    if (currentWorldId) {
-        setTimeout(() => {
-            // openWorldSelect(); // 这行通常会打开世界页或密友列表
-            // 这里我们改得保守一点，如果没有明确目标，就不乱跳了，防止类似Bug
-        }, 300);
-    }
+    return {
+        spec: CHARACTER_CARD_SPEC,
+        spec_version: CHARACTER_CARD_SPEC_VERSION,
+        data: {
+            name: contact.name,
+            description: contact.status || '',
+            personality: contact.personality || '',
+            scenario: fieldEntry('scenario')?.content || '',
+            first_mes: contact.firstMessage || '',
+            mes_example: fieldEntry('mes_example')?.content || '',
+            creator_notes: '',
+            system_prompt: systemMask ? systemMask.content : '',
+            post_history_instructions: '',
+            alternate_greetings: [],
+            character_book: bookEntries.length > 0 ? {
+                name: contact.name,
+                entries: bookEntries.map((entry, index) => ({
+                    id: index,
+                    keys: entry.keywords || [],
+                    content: entry.content || '',
+                    name: entry.title,
+                    enabled: true,
+                    constant: isWorldbookEntryAlwaysOn(entry),
+                    insertion_order: getWorldbookOrder(entry),
+                    extensions: {scan_depth: entry.scanDepth || WORLDBOOK_DEFAULT_SCAN_DEPTH}
+                })),
+                extensions: {}
+            } : undefined,
+            tags: [],
+            creator: userProfile.name || '',
+            character_version: '',
+            extensions: {
+                [CHARACTER_CARD_EXTENSION_KEY]: {
+                    occupation: contact.occupation || '',
+                    catchphrase: contact.catchphrase || '',
+                    relationship: contact.relationship || '',
+                    history: contact.history || '',
+                    voiceId: contact.voiceId || '',
+                    masks: masks.filter(mask => mask !== systemMask)
+                        .map(({name, description, content}) => ({name, description, content}))
+                }
+            }
+        }
+    };
 }
 
-
 /**
- * 渲染联系人库的列表内容 (最终修复版)
+ * 把角色卡的开场白（first_mes）作为第一条 AI 消息存进空聊天
+ * {{char}} / {{user}} 换成角色名和用户名
+ * @param {object} contact
+ * @param {Function} saveFunc - saveMessage 或 saveSweetheartMessage
+ * @returns {boolean} 是否插入了开场白
  */
-function renderContactLibrary() {
-    const container = document.getElementById('contactLibraryList');
-    container.innerHTML = '';
+function insertCardGreeting(contact, saveFunc) {
+    const greeting = String(contact.firstMessage || '').trim();
+    if (!greeting || contact.isGroup) return false;
+    const text = greeting
+        .replace(/\{\{char\}\}/gi, contact.name)
+        .replace(/\{\{user\}\}/gi, userProfile.name || '你');
+    saveFunc(contact.id, {sender: 'contact', text});
+    return true;
+}
 
-    const allContactsMap = new Map();
+/**
+ * 头像的真实图片地址：存在 ImageDB 里的 db-image:// 头像读出真实图片，读不到时返回空字符串
+ * @param {string} avatar
+ * @returns {Promise<string>}
+ */
+async function resolveCardAvatar(avatar) {
+    avatar = String(avatar || '');
+    if (!avatar.startsWith('db-image://')) return avatar;
+    const img = new Image();
+    img.setAttribute('src', avatar);
+    await loadRealImage(img);
+    return img.getAttribute('src') || '';
+}
 
-    // 1. 添加密友列表中的源联系人
-    sweetheartContactsData.forEach(contact => {
-        allContactsMap.set(contact.id, {...contact, type: 'sweetheart'});
-    });
+/**
+ * 把头像画成 PNG（emoji 或无法读取的图片会画成纯色底 + 文字）
+ * @param {object} contact
+ * @returns {Promise<Uint8Array>}
+ */
+async function renderCardAvatarPng(contact) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const avatar = String(contact.avatar || '');
+    let image = null;
 
-    // 2. 添加普通联系人列表中的源联系人
-    contactsData.forEach(contact => {
-        if (!allContactsMap.has(contact.id)) {
-            allContactsMap.set(contact.id, {...contact, type: 'normal'});
-        }
-    });
+    if (avatar.startsWith('data:') || avatar.startsWith('http')) {
+        image = await new Promise(resolve => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = avatar;
+        });
+    }
 
-    // 3. 添加仅存在于库中的联系人
-    libraryOnlyContactsData.forEach(contact => {
-        if (!allContactsMap.has(contact.id)) {
-            allContactsMap.set(contact.id, {...contact, type: 'library-only'});
+    if (image) {
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        ctx.drawImage(image, 0, 0);
+    } else {
+        canvas.width = 400;
+        canvas.height = 600;
+        ctx.fillStyle = '#E8EAF6';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '160px sans-serif';
+        ctx.fillText(avatar && avatar.length <= 4 ? avatar : '👤', 200, 260);
+        ctx.fillStyle = '#3F51B5';
+        ctx.font = 'bold 36px sans-serif';
+        ctx.fillText(contact.name, 200, 460);
+    }
+
+    const blob = await new Promise((resolve, reject) => {
+        try {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('头像转换失败')), 'image/png');
+        } catch (e) {
+            // 跨域图片会污染画布，无法导出
+            reject(e);
         }
     });
+    return new Uint8Array(await blob.arrayBuffer());
+}
 
-    const allContacts = Array.from(allContactsMap.values())
-        .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
-
-    if (allContacts.length === 0) {
-        container.innerHTML = '<div style="text-align: center; padding: 60px 20px; color: #999; font-size: 14px;">空空如也~<br/>请先创建一个联系人。</div>';
+/**
+ * 导出联系人库中正在编辑的角色
+ * @param {'png'|'json'} format
+ */
+async function exportCharacterCard(format) {
+    const contactId = document.getElementById('libraryCharacterModal').dataset.editingId;
+    const contact = contactId && findContactForCard(contactId);
+    if (!contact) {
+        showErrorModal('导出失败', '找不到该联系人，请先保存');
         return;
     }
 
-    allContacts.forEach(contact => {
-        const item = document.createElement('div');
-        item.className = 'contact-library-item';
-        item.dataset.contactId = contact.id;
-
-        const isUrl = contact.avatar && (String(contact.avatar).startsWith('http') || String(contact.avatar).startsWith('data:'));
-        const avatarContent = isUrl
-            ? `<img src="${escapeHTML(contact.avatar)}" alt="">`
-            : `<span>${escapeHTML(contact.avatar)}</span>`;
-
-        // 根据模式决定右侧显示的图标（箭头还是加号）
-        let rightIcon = '<div class="settings-arrow">›</div>';
-
-        item.innerHTML = `
-            <div class="contact-library-avatar">${avatarContent}</div>
-            <div class="contact-library-info">
-                <div class="contact-library-name">${escapeHTML(contact.name)}</div>
-            </div>
-            ${rightIcon}
-        `;
-
-        if (isMultiSelectMode) {
-            item.classList.add('multi-select-mode');
-            if (selectedContactIds.has(contact.id)) {
-                item.classList.add('selected');
+    try {
+        const card = buildCharacterCard(contact);
+        const avatar = await resolveCardAvatar(contact.avatar);
+        let blob;
+        if (format === 'png') {
+            let avatarPng;
+            try {
+                avatarPng = await renderCardAvatarPng({...contact, avatar});
+            } catch (e) {
+                console.warn('头像无法导出，改用默认图片:', e);
+                avatarPng = await renderCardAvatarPng({...contact, avatar: ''});
             }
-            item.onclick = () => toggleContactSelection(contact.id);
+            blob = new Blob([embedCardInPng(avatarPng, card)], {type: 'image/png'});
         } else {
-            // 🔥🔥🔥 核心修复点在这里！🔥🔥🔥
-            // 必须把 'selectForLedger' 加进去，否则点击这一项会没反应，或者跳去编辑页
-            if (contactLibraryMode === 'select' ||
-                contactLibraryMode === 'selectForSweetheart' ||
-                contactLibraryMode === 'discuss' ||
-                contactLibraryMode === 'selectForLedger') { // ✅ 关键：新增这一行
-
-                item.onclick = () => selectContactFromLibrary(contact);
-            } else {
-                // 默认为编辑模式
-                item.onclick = () => editContactFromLibrary(contact.id, contact.type);
+            // JSON 没有图片本身，图片头像放在扩展字段里，导入时还原
+            if (avatar.startsWith('data:') || avatar.startsWith('http')) {
+                card.data.extensions[CHARACTER_CARD_EXTENSION_KEY].avatar = avatar;
             }
+            blob = new Blob([JSON.stringify(card, null, 2)], {type: 'application/json'});
         }
 
-        container.appendChild(item);
-    });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${contact.name.replace(/[\\/:*?"<>|]/g, '_')}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showSuccessModal('导出成功', `已导出 ${contact.name} 的角色卡`);
+    } catch (e) {
+        console.error('角色卡导出失败:', e);
+        showErrorModal('导出失败', e.message || '生成角色卡时出错');
+    }
 }
 
-// ▼▼▼ 请复制并替换这个完整的函数 ▼▼▼
+/**
+ * JSON 角色卡扩展字段里的头像：只保留图片 data URL 或不含引号的 http(s) 地址
+ * @param {*} value
+ * @returns {string} 不合法时返回空字符串
+ */
+function getCardExtensionAvatar(value) {
+    if (typeof value !== 'string') return '';
+    return CARD_AVATAR_DATA_URL_PATTERN.test(value) || CARD_AVATAR_HTTP_URL_PATTERN.test(value) ? value : '';
+}
 
 /**
- * [终极逻辑版] 从联系人库选择联系人
- * 统一处理：普通聊天、密友聊天、剧情讨论、记账员选择
+ * 打开角色卡文件选择器
  */
-function selectContactFromLibrary(sourceContact) {
-    const contactId = sourceContact.id;
+function openCharacterCardImport() {
+    document.getElementById('characterCardInput').click();
+}
 
-    // === 1. 剧情讨论模式 ===
-    if (contactLibraryMode === 'discuss') {
-        initiateDiscussChat(sourceContact);
-        return;
+/**
+ * 把角色卡转换成联系人、世界书条目和面具并保存（导入到联系人库）
+ * 未启用的 character_book 条目不导入
+ * @param {object} card - V1 / V2 / V3 角色卡
+ * @param {string} avatar - 头像 data URL（没有时用 emoji）
+ * @returns {object} 新建的联系人
+ */
+function importCharacterCard(card, avatar) {
+    const data = card && card.data && typeof card.data === 'object' ? card.data : card;
+    if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('角色卡缺少角色名称');
     }
 
-    // === 2. 记账员选择模式 (AI记账) ===
-    if (contactLibraryMode === 'selectForLedger') {
-        // 设置当前全局记账员
-        currentLedgerContact = sourceContact;
-
-        // 更新记账页面的头像 UI
-        const avatarEl = document.getElementById('ledgerContactAvatar');
-        if (avatarEl) {
-            const isUrl = sourceContact.avatar && (sourceContact.avatar.startsWith('http') || sourceContact.avatar.startsWith('data:'));
-            avatarEl.src = isUrl ? sourceContact.avatar : 'https://s3plus.meituan.net/opapisdk/op_ticket_1_885190757_1760818188304_qdqqd_dzl9rm.png';
-        }
-
-        // 更新输入框提示语
-        const inputField = document.getElementById('ledgerInput');
-        if (inputField) inputField.placeholder = `✨ 发送花费给 ${sourceContact.name} 记账...`;
+    const name = data.name.trim();
+    const extra = (data.extensions && data.extensions[CHARACTER_CARD_EXTENSION_KEY]) || {};
+    const stamp = Date.now();
+    const newEntries = [];
+    const newMasks = [];
 
-        // 提示并关闭
-        showSuccessModal('切换成功', `现在的记账员是: ${sourceContact.name}`);
-        closeContactLibrary();
-        return; // ✅ 关键：记账选择到此结束，不执行下面的添加好友逻辑
+    const book = data.character_book;
+    const categoryId = 'CAT' + stamp;
+    const hasBook = book && Array.isArray(book.entries) && book.entries.some(entry => entry.enabled !== false);
+    const category = (hasBook || data.scenario || data.mes_example) ? {
+        id: categoryId,
+        name,
+        description: '从角色卡导入',
+        timestamp: stamp
+    } : null;
+
+    /** 新建一个绑定到该角色的世界书条目 */
+    const addEntry = (fields) => {
+        const content = String(fields.content || '').trim();
+        if (!content) return;
+        newEntries.push({
+            id: `WB${stamp}_${newEntries.length}`,
+            group: 'worldview',
+            category: categoryId,
+            keywords: [],
+            alwaysOn: true,
+            scanDepth: WORLDBOOK_DEFAULT_SCAN_DEPTH,
+            order: WORLDBOOK_DEFAULT_ORDER,
+            ...fields,
+            content,
+            tokenCost: estimateTokens(content),
+            timestamp: stamp
+        });
+    };
+
+    if (data.scenario) addEntry({title: `${name} · 场景`, content: data.scenario, cardField: 'scenario'});
+    if (data.mes_example) {
+        addEntry({title: `${name} · 对话示例`, content: data.mes_example, group: 'rules', cardField: 'mes_example'});
+    }
+    if (hasBook) {
+        book.entries.filter(entry => entry.enabled !== false).forEach((entry, index) => {
+            const keywords = (entry.keys || []).map(key => String(key).trim()).filter(Boolean);
+            const scanDepth = parseInt(entry.extensions?.scan_depth ?? book.scan_depth, 10);
+            addEntry({
+                title: entry.name || entry.comment || keywords[0] || `${name} 设定 ${index + 1}`,
+                content: entry.content,
+                keywords,
+                alwaysOn: !!entry.constant || keywords.length === 0,
+                scanDepth: scanDepth > 0 ? scanDepth : WORLDBOOK_DEFAULT_SCAN_DEPTH,
+                order: Number.isFinite(entry.insertion_order) ? entry.insertion_order : WORLDBOOK_DEFAULT_ORDER
+            });
+        });
     }
 
-    // === 3. 以下是添加好友进通讯录的逻辑 (普通/密友) ===
+    if (data.system_prompt) {
+        newMasks.push({
+            id: `MASK_${stamp}_0`,
+            name: `${name} · 系统提示`,
+            description: '从角色卡导入',
+            content: data.system_prompt,
+            cardField: 'system_prompt',
+            timestamp: stamp
+        });
+    }
+    (extra.masks || []).filter(mask => mask && mask.content).forEach(mask => {
+        newMasks.push({
+            id: `MASK_${stamp}_${newMasks.length}`,
+            name: mask.name || `${name} · 面具`,
+            description: mask.description || '',
+            content: mask.content,
+            timestamp: stamp
+        });
+    });
 
-    let targetList, targetName, saveFunc, listPageOpener;
+    const contact = {
+        id: 'ID' + Math.floor(100000 + Math.random() * 900000),
+        name,
+        status: data.description || '这个角色很神秘，还没有设定...',
+        avatar: avatar || getCardExtensionAvatar(extra.avatar) || '👤',
+        voiceId: extra.voiceId || '',
+        personality: data.personality || '',
+        occupation: extra.occupation || '',
+        catchphrase: extra.catchphrase || '',
+        relationship: extra.relationship || '',
+        history: extra.history || '',
+        firstMessage: data.first_mes || '',
+        boundWorldbooks: newEntries.map(entry => entry.id),
+        boundMasks: newMasks.map(mask => mask.id)
+    };
 
-    if (contactLibraryMode === 'selectForSweetheart') {
-        targetList = sweetheartContactsData;
-        targetName = '密友列表';
-        saveFunc = saveSweetheartContacts;
-        listPageOpener = openSweetheartList;
-    } else {
-        // 默认为 selection (普通聊天)
-        targetList = contactsData;
-        targetName = '通讯录';
-        saveFunc = () => localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
-        listPageOpener = openContacts;
+    if (category && newEntries.length > 0) {
+        categoriesData.push(category);
+        saveCategoriesToStorage();
     }
+    worldbookData.push(...newEntries);
+    saveWorldbookToStorage();
+    masksData.push(...newMasks);
+    saveMasksToStorage();
+    libraryOnlyContactsData.push(contact);
+    localStorage.setItem('phoneLibraryOnlyContactsData', JSON.stringify(libraryOnlyContactsData));
 
-    let wasAddedToGlobalList = false;
-    let wasAddedToWorld = false;
+    return contact;
+}
 
-    // 检查并添加到列表
-    const alreadyInGlobalList = targetList.some(c => c.id === contactId);
-    if (!alreadyInGlobalList) {
-        targetList.push({...sourceContact});
-        saveFunc();
-        wasAddedToGlobalList = true;
-    }
+/**
+ * 处理角色卡文件（PNG 或 JSON）
+ * @param {Event} event
+ */
+async function handleCharacterCardImport(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
 
-    // 如果是密友模式，还需要检查是否在当前世界中
-    if (contactLibraryMode === 'selectForSweetheart' && currentWorldId) {
-        const world = worldsData.find(w => w.id === currentWorldId);
-        if (world) {
-            const alreadyInWorld = world.contacts.includes(contactId);
-            if (!alreadyInWorld) {
-                world.contacts.push(contactId);
-                saveWorldsData();
-                wasAddedToWorld = true;
-            }
+    try {
+        const isPng = file.type === 'image/png' || /\.png$/i.test(file.name);
+        let card;
+        let avatar = '';
+        if (isPng) {
+            card = extractCardFromPng(new Uint8Array(await file.arrayBuffer()));
+            avatar = await compressImage(file, 0.8, 512);
+        } else {
+            card = JSON.parse(await file.text());
         }
-    }
 
-    if (wasAddedToGlobalList || wasAddedToWorld) {
-        showSuccessModal('添加成功', `已将 "${sourceContact.name}" 添加到${targetName}。`);
-    } else {
-        // 如果已经存在，虽然不报错，但也给个反馈，然后直接跳转
-        // showSuccessModal('已存在', `"${sourceContact.name}" 已经在列表里了。`, 1000);
+        const contact = importCharacterCard(card, avatar);
+        renderContactLibrary();
+        const extras = [
+            contact.boundWorldbooks.length > 0 ? `${contact.boundWorldbooks.length} 条世界书` : '',
+            contact.boundMasks.length > 0 ? `${contact.boundMasks.length} 个面具` : ''
+        ].filter(Boolean).join('、');
+        showSuccessModal('导入成功', `${contact.name} 已加入联系人库${extras ? `，并导入了${extras}` : ''}`);
+    } catch (e) {
+        console.error('角色卡导入失败:', e);
+        showErrorModal('导入失败', e instanceof SyntaxError ? '角色卡 JSON 格式不正确' : e.message);
     }
+}
 
-    // 关闭库并跳转
-    closeContactLibrary();
-    setTimeout(() => {
-        if (listPageOpener) listPageOpener();
-    }, 350);
+// ========== 角色卡导入导出 (Character Card V2) - 结束 ==========
+
+/**
+ * 搜索过滤联系人库列表。
+ * 在搜索框输入时被调用。
+ */
+function filterContactLibrary() {
+    const searchTerm = document.getElementById('contactLibrarySearch').value.toLowerCase().trim();
+
+    document.querySelectorAll('.contact-library-item').forEach(item => {
+        const name = item.querySelector('.contact-library-name').textContent.toLowerCase();
+        // 如果名字包含搜索词，则显示，否则隐藏
+        item.style.display = name.includes(searchTerm) ? 'flex' : 'none';
+    });
 }
 
+/**
+ * 这是从“普通联系人”页面右上角菜单触发的函数。
+ * 它会以“选择”模式打开联系人库。
+ */
+function selectExistingContact() {
+    const menu = document.getElementById('contactMenu');
+    if (menu) menu.classList.remove('show');
 
-// ========== 联系人库多选模式功能 ==========
+    openContactLibrary('select');
+}
+
+// ========================================================================
+// ========== 联系人库功能 - 代码结束 ==========
+// ========================================================================
+// ===========================================
+// ========== 密友聊天 - 世界地图剧情功能 ==========
+// ===========================================
+
+let currentMapPins = []; // 用于存储当前地图的地点数据
+let currentPopupMapId = ROOT_MAP_ID; // 弹窗正在显示的地图层
+let selectedPopupPinId = null; // 弹窗里选中的地点
 
 /**
- * [已修复] 进入多选模式
+ * 打开世界地图弹窗（默认显示用户当前所在的那一层地图）
  */
-function enterMultiSelectMode() {
-    if (isMultiSelectMode) return; // 防止重复进入
-    isMultiSelectMode = true;
-    selectedContactIds.clear();
+function openWorldMapPopup() {
+    const popup = document.getElementById('worldMapPopup');
+    if (!currentWorldId) {
+        alert('错误：找不到当前所在的世界！');
+        return;
+    }
 
-    // 更新UI
-    document.getElementById('multiSelectToggle').style.display = 'none';
-    document.getElementById('multiSelectToolbar').style.display = 'flex';
-    document.getElementById('contactLibraryTitle').textContent = '选择联系人';
+    const world = worldsData.find(w => w.id === currentWorldId);
+    if (!world || !world.mapUrl) {
+        showSuccessModal('提示', '当前世界还没有设置地图哦~', 2000);
+        return;
+    }
 
-    // 重新渲染列表以应用多选模式
-    renderContactLibrary();
+    const userPosition = getTravelerPosition(currentWorldId, 'user');
+    showPopupMap(getMapInfo(world, userPosition?.mapId)?.url ? userPosition.mapId : ROOT_MAP_ID);
+
+    popup.classList.add('show');
 }
 
+/**
+ * 关闭世界地图弹窗
+ */
+function closeWorldMapPopup() {
+    const popup = document.getElementById('worldMapPopup');
+    popup.classList.remove('show');
+}
 
 /**
- * 退出多选模式
+ * 在弹窗中切换到某一层地图
+ * @param {string} mapId
  */
-function exitMultiSelectMode() {
-    isMultiSelectMode = false;
-    selectedContactIds.clear();
+function showPopupMap(mapId) {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const mapInfo = getMapInfo(world, mapId);
+    if (!mapInfo) return;
 
-    // 恢复UI
-    document.getElementById('multiSelectToggle').style.display = 'flex';
-    document.getElementById('multiSelectToolbar').style.display = 'none';
+    currentPopupMapId = mapId;
+    selectedPopupPinId = null;
+    currentMapPins = loadMapPins(currentWorldId, mapId);
 
-    const title = contactLibraryMode === 'select' || contactLibraryMode === 'selectForSweetheart'
-        ? '选择联系人'
-        : '联系人库';
-    document.getElementById('contactLibraryTitle').textContent = title;
+    const mapImage = document.getElementById('mapPopupImage');
+    mapImage.src = mapInfo.url;
+    loadRealImage(mapImage); // 内部地图存在 ImageDB 里
+    document.getElementById('mapPopupTitle').textContent = mapId === ROOT_MAP_ID ? '世界地图' : mapInfo.name;
+    document.getElementById('mapPopupBackBtn').style.display = mapId === ROOT_MAP_ID ? 'none' : '';
+    document.getElementById('mapTravelLog').classList.remove('show');
 
-    // 重新渲染联系人库以恢复原始状态
-    renderContactLibrary();
+    renderMapPinsForPopup();
+    renderMapPinActions();
 }
 
 /**
- * 切换单个联系人的选中状态
+ * 返回上一层地图
  */
-function toggleContactSelection(contactId) {
-    const item = document.querySelector(`.contact-library-item[data-contact-id="${contactId}"]`);
-    if (!item) return;
+function leavePopupSubMap() {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    showPopupMap(getMapInfo(world, currentPopupMapId)?.parentId || ROOT_MAP_ID);
+}
 
-    if (selectedContactIds.has(contactId)) {
-        selectedContactIds.delete(contactId);
-        item.classList.remove('selected');
-    } else {
-        selectedContactIds.add(contactId);
-        item.classList.add('selected');
-    }
+/**
+ * 地点的完整名称，内部地图的地点带上所在建筑，例如「女生宿舍·302室」
+ * @param {object} world
+ * @param {{mapId, pinId}} position
+ * @returns {string}
+ */
+function getPlaceLabel(world, position) {
+    const pinName = findMapPin(world.id, position.mapId, position.pinId)?.name || '未知地点';
+    if (position.mapId === ROOT_MAP_ID) return pinName;
+    return `${getMapInfo(world, position.mapId)?.name || ''}·${pinName}`;
 }
 
 /**
- * 批量删除选中的联系人
+ * 距离的显示文字
+ * @param {number} meters
+ * @returns {string}
  */
-function batchDeleteContacts() {
-    if (selectedContactIds.size === 0) {
-        alert('请先选择要删除的联系人');
+function formatTravelDistance(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} 公里` : `${meters} 米`;
+}
+
+/**
+ * 当前地图上每个地点有谁在：人在内部地图里时，显示在上层地图的入口地点上
+ * @returns {Object<string, Array<{name, avatar}>>} 地点ID → 在那里的人
+ */
+function getPopupTravelerMarkers() {
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const travelers = [
+        {id: 'user', name: userProfile.name || '我', avatar: userProfile.avatar || '👤'},
+        ...(world.contacts || [])
+            .map(id => sweetheartContactsData.find(c => c.id === id))
+            .filter(Boolean)
+            .map(contact => ({id: contact.id, name: contact.name, avatar: contact.avatar || '💬'}))
+    ];
+
+    const markers = {};
+    travelers.forEach(traveler => {
+        const position = getTravelerPosition(currentWorldId, traveler.id);
+        if (!position) return;
+        let pinId = position.mapId === currentPopupMapId ? position.pinId : null;
+        if (!pinId) {
+            const chain = getMapChain(world, position.mapId);
+            const index = chain.indexOf(currentPopupMapId);
+            if (index !== -1 && index < chain.length - 1) pinId = chain[index + 1];
+        }
+        if (pinId) (markers[pinId] = markers[pinId] || []).push(traveler);
+    });
+    return markers;
+}
+
+/**
+ * 在弹窗中渲染所有地点大头针
+ */
+function renderMapPinsForPopup() {
+    const container = document.getElementById('mapPopupContainer');
+    if (!container) return;
+
+    // 先清除旧的大头针
+    container.querySelectorAll('.map-popup-pin').forEach(pin => pin.remove());
+
+    if (currentMapPins.length === 0) {
+        console.log('当前地图没有可交互的地点。');
         return;
     }
 
-    const confirmMsg = `确定要删除选中的 ${selectedContactIds.size} 个联系人吗？\n\n删除后将清除所有相关聊天记录。`;
-    if (!confirm(confirmMsg)) return;
+    const markers = getPopupTravelerMarkers();
 
-    selectedContactIds.forEach(contactId => {
-        // 从普通列表删除
-        contactsData = contactsData.filter(c => c.id !== contactId);
-        // 从密友列表删除
-        sweetheartContactsData = sweetheartContactsData.filter(c => c.id !== contactId);
-        // 🆕 从仅库中列表删除
-        libraryOnlyContactsData = libraryOnlyContactsData.filter(c => c.id !== contactId);
+    // 遍历地点数据，创建DOM元素
+    currentMapPins.forEach(pin => {
+        const pinElement = document.createElement('div');
+        pinElement.className = 'map-popup-pin';
+        if (hasSubMap(pin.id)) pinElement.classList.add('has-submap');
+        if (pin.id === selectedPopupPinId) pinElement.classList.add('selected');
+        pinElement.style.left = `${pin.x}%`;
+        pinElement.style.top = `${pin.y}%`;
 
-        // 删除聊天记录
-        const normalHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-        delete normalHistory[contactId];
-        localStorage.setItem('phoneChatHistory', JSON.stringify(normalHistory));
+        const travelerHtml = (markers[pin.id] || []).map(traveler => {
+            const isUrl = traveler.avatar.startsWith('http') || traveler.avatar.startsWith('data:');
+            const avatarContent = isUrl ? `<img src="${escapeHTML(traveler.avatar)}" alt="">` : escapeHTML(traveler.avatar);
+            return `<span class="map-traveler-marker${traveler.id === 'user' ? ' is-user' : ''}" title="${escapeStatusAttr(traveler.name)}">${avatarContent}</span>`;
+        }).join('');
 
-        const sweetheartHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-        delete sweetheartHistory[contactId];
-        localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(sweetheartHistory));
-    });
+        pinElement.innerHTML = `
+            ${travelerHtml ? `<div class="map-traveler-markers">${travelerHtml}</div>` : ''}
+            <div class="map-popup-pin-icon">${escapeHTML(getMapPinIcon(pin))}</div>
+            <div class="map-popup-pin-label">${escapeHTML(pin.name)}</div>
+        `;
 
-    // 保存更新
-    localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
-    saveSweetheartContacts();
-    localStorage.setItem('phoneLibraryOnlyContactsData', JSON.stringify(libraryOnlyContactsData));
+        // 点击地点先显示距离和可选操作
+        pinElement.onclick = (event) => {
+            event.stopPropagation();
+            selectedPopupPinId = pin.id;
+            renderMapPinsForPopup();
+            renderMapPinActions();
+        };
 
-    const deletedCount = selectedContactIds.size;
-    exitMultiSelectMode();
-    showSuccessModal('删除成功', `已删除 ${deletedCount} 个联系人`);
+        container.appendChild(pinElement);
+    });
 }
 
-
 /**
- * 批量克隆选中的联系人
+ * 选中地点后的操作栏：显示从当前位置过去的距离和用时，可以前往或进入内部地图
  */
-function batchCloneContacts() {
-    if (selectedContactIds.size === 0) {
-        alert('请先选择要克隆的联系人');
+function renderMapPinActions() {
+    const panel = document.getElementById('mapPinActions');
+    const hint = document.querySelector('#worldMapPopup .map-popup-hint');
+    const pin = currentMapPins.find(p => p.id === selectedPopupPinId);
+    hint.style.display = pin ? 'none' : '';
+    if (!pin) {
+        panel.classList.remove('show');
+        panel.innerHTML = '';
         return;
     }
 
-    const confirmMsg = `确定要克隆选中的 ${selectedContactIds.size} 个联系人吗？\n\n克隆后将创建拥有相同信息但ID不同的新联系人，仅存在于联系人库中。`;
-    if (!confirm(confirmMsg)) return;
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const origin = getTravelerPosition(currentWorldId, 'user');
+    const travel = estimateTravel(world, origin, {mapId: currentPopupMapId, pinId: pin.id});
+    let travelText = '还没有出发地，前往后开始记录行程';
+    if (travel && travel.distance === 0) {
+        travelText = '你现在就在这里';
+    } else if (travel) {
+        travelText = `从「${escapeHTML(getPlaceLabel(world, origin))}」${travel.mode}约 ${travel.minutes} 分钟（${formatTravelDistance(travel.distance)}）`;
+    }
+
+    const present = getPopupTravelerMarkers()[pin.id] || [];
+
+    panel.innerHTML = `
+        <div class="map-pin-actions-title">${escapeHTML(getMapPinIcon(pin))} ${escapeHTML(pin.name)}</div>
+        ${pin.description ? `<div class="map-pin-actions-desc">${escapeHTML(pin.description)}</div>` : ''}
+        <div class="map-pin-actions-travel">🧭 ${travelText}</div>
+        ${present.length > 0 ? `<div class="map-pin-actions-travel">👥 在这里：${escapeHTML(present.map(traveler => traveler.name).join('、'))}</div>` : ''}
+        <div class="map-pin-actions-buttons">
+            ${hasSubMap(pin.id) ? '<button class="map-pin-action-btn secondary" onclick="showPopupMap(selectedPopupPinId)">进入内部</button>' : ''}
+            <button class="map-pin-action-btn" onclick="triggerLocationPlot(event, selectedPopupPinId)">${travel && travel.distance === 0 ? '在这里展开剧情' : '前往'}</button>
+        </div>
+    `;
+    panel.classList.add('show');
+}
 
-    let clonedCount = 0;
+/**
+ * 显示/隐藏当前世界的移动记录
+ */
+function toggleMapTravelLog() {
+    const logEl = document.getElementById('mapTravelLog');
+    if (logEl.classList.toggle('show')) {
+        const log = mapTravelData[currentWorldId]?.log || [];
+        logEl.innerHTML = log.length === 0 ? '<div class="map-travel-empty">还没有移动记录</div>' : log.map(entry => `
+            <div class="map-travel-item">
+                <div class="map-travel-route">${entry.fromName ? `${escapeHTML(entry.fromName)} → ` : '抵达 '}${escapeHTML(entry.toName)}</div>
+                <div class="map-travel-meta">
+                    ${new Date(entry.timestamp).toLocaleString('zh-CN', {month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'})}
+                    · ${escapeHTML(entry.travelers.map(getTravelerName).join('、'))}
+                    ${entry.fromName ? ` · ${entry.mode}约 ${entry.minutes} 分钟（${formatTravelDistance(entry.distance)}）` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+}
 
-    selectedContactIds.forEach(contactId => {
-        let sourceContact = sweetheartContactsData.find(c => c.id === contactId) ||
-            contactsData.find(c => c.id === contactId) ||
-            libraryOnlyContactsData.find(c => c.id === contactId);
+/* ▼▼▼ 用这个新版本替换旧的 triggerLocationPlot 函数 ▼▼▼ */
 
-        if (!sourceContact) return;
+/**
+ * 触发地点剧情的核心函数（记忆互通增强版）
+ * @param {Event} event - 点击事件
+ * @param {string} pinId - 被点击的地点的ID
+ */
+async function triggerLocationPlot(event, pinId) {
+    event.stopPropagation();
+
+    const pin = currentMapPins.find(p => p.id === pinId);
+    if (!pin) {
+        console.error('未找到对应的地点数据');
+        return;
+    }
+
+    if (!currentSweetheartChatContact) {
+        console.error('未找到当前密友联系人');
+        return;
+    }
 
-        const clonedContact = cloneContact(sourceContact);
+    const contactId = currentSweetheartChatContact.id;
 
-        // 🆕 修改：只添加到仅库中的数组
-        libraryOnlyContactsData.push(clonedContact);
+    // 计算从上一个地点过来的路程，用户和当前密友一起移动
+    const world = worldsData.find(w => w.id === currentWorldId);
+    const destination = {mapId: currentPopupMapId, pinId: pin.id};
+    const origin = getTravelerPosition(currentWorldId, 'user');
+    const travel = estimateTravel(world, origin, destination);
+    const fromName = travel && travel.distance > 0 ? getPlaceLabel(world, origin) : '';
+    const placeName = getPlaceLabel(world, destination);
 
-        clonedCount++;
-    });
+    // 抽取这次到达时发生的地点事件（回复成功后才记为已触发，失败时一次性事件不会被用掉）
+    const mapEvent = pickMapEvent(currentWorldId, contactId, pin);
 
-    // 保存到localStorage
-    localStorage.setItem('phoneLibraryOnlyContactsData', JSON.stringify(libraryOnlyContactsData));
+    // === 步骤1: 获取聊天历史（双份） ===
+    await ChatHistoryStore.loadContact(contactId);
+    // 密友聊天历史
+    const chatHistory = ChatHistoryStore.get('phoneSweetheartChatHistory', contactId);
+    // 普通聊天历史（背景记忆）
+    const normalChatHistory = ChatHistoryStore.get('phoneChatHistory', contactId);
 
-    const count = selectedContactIds.size;
-    exitMultiSelectMode();
-    showSuccessModal('克隆成功', `已克隆 ${count} 个联系人，现在只在联系人库中可见。`);
-}
+    // 关闭地图弹窗
+    closeWorldMapPopup();
 
+    // ✅ 地图触发自动切换到线下模式
+    currentChatMode = 'offline';
+    updateChatModeButton();
 
-/**
- * 克隆单个联系人（核心函数）
- * @param {Object} sourceContact - 原始联系人对象
- * @returns {Object} 克隆后的新联系人
- */
-function cloneContact(sourceContact) {
-    // 生成新的唯一ID
-    const newId = sourceContact.id.startsWith('SH')
-        ? 'SH' + Date.now() + Math.floor(Math.random() * 1000)
-        : 'ID' + Math.floor(100000 + Math.random() * 900000);
+    const messagesEl = document.getElementById('sweetheartChatMessages');
+    if (!messagesEl) return;
 
-    // 深拷贝所有属性
-    const clonedContact = {
-        id: newId,
-        name: sourceContact.name,
-        status: sourceContact.status,
-        avatar: sourceContact.avatar,
-        // 密友专属属性（如果有）
-        ...(sourceContact.personality && {personality: sourceContact.personality}),
-        ...(sourceContact.occupation && {occupation: sourceContact.occupation}),
-        ...(sourceContact.catchphrase && {catchphrase: sourceContact.catchphrase}),
-        ...(sourceContact.history && {history: sourceContact.history}),
-        ...(sourceContact.relationship && {relationship: sourceContact.relationship}),
-        // 绑定的世界书（深拷贝数组）
-        boundWorldbooks: sourceContact.boundWorldbooks ? [...sourceContact.boundWorldbooks] : []
+    // === 步骤2: 创建并保存地点提示消息 ===
+    const locationMessage = {
+        sender: 'system',
+        type: 'location',
+        locationName: placeName,
+        locationDesc: pin.description || '一个神秘的地方',
+        timestamp: Date.now()
     };
+    if (fromName) {
+        locationMessage.fromName = fromName;
+        locationMessage.travel = {distance: travel.distance, minutes: travel.minutes, mode: travel.mode};
+    }
+    if (mapEvent) locationMessage.eventTitle = mapEvent.title;
 
-    console.log(`✅ 克隆成功: ${sourceContact.name} (${sourceContact.id} → ${newId})`);
-
-    return clonedContact;
-}
+    const newIndex = saveSweetheartMessage(contactId, locationMessage);
+    const locationNotice = _createMessageDOM(contactId, locationMessage, newIndex);
+    messagesEl.appendChild(locationNotice);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
 
+    // === 步骤3: 构建发送给AI的完整消息数组 ===
+    const messages = [];
 
-/**
- * 当在“管理”模式下点击联系人时调用此函数。
- * 它的作用是跳转到对应类型的联系人编辑卡片。
- * @param {string} contactId - 被点击联系人的ID。
- * @param {'normal' | 'sweetheart'} type - 被点击联系人的类型。
- */
-/**
- * [全新版本] 从联系人库编辑联系人 - 使用统一角色卡
- */
-function editContactFromLibrary(contactId, type) {
-    // 1. 查找联系人数据
-    let contactData;
-    if (type === 'sweetheart') {
-        contactData = sweetheartContactsData.find(c => c.id === contactId);
-    } else if (type === 'library-only') {
-        contactData = libraryOnlyContactsData.find(c => c.id === contactId);
-    } else {
-        contactData = contactsData.find(c => c.id === contactId);
+    // 3.1 系统提示词（线下模式专用）
+    messages.push({
+        role: "system",
+        content: applyStatusSchemaToPrompt(OFFLINE_MODE_PROMPT, contactId)
+    });
+    const relationshipPrompt = buildRelationshipPrompt(contactId);
+    if (relationshipPrompt) {
+        messages.push({role: "system", content: relationshipPrompt});
     }
-
-    if (!contactData) {
-        console.error("找不到联系人数据:", contactId);
-        return;
+    // 位置提示里包含此刻也在目的地的其他角色，方便发生偶遇
+    const mapPresencePrompt = buildMapPresencePrompt(contactId, destination);
+    if (mapPresencePrompt) {
+        messages.push({role: "system", content: mapPresencePrompt});
+    }
+    if (mapEvent) {
+        messages.push({role: "system", content: buildMapEventPrompt(mapEvent)});
     }
 
-    // 2. 打开统一角色卡弹窗
-    openLibraryCharacterModal(contactData, type);
-}
+    // 3.2 静态上下文 - 世界书（地点名称和描述也参与关键词匹配）、世界设定、角色设定
+    const worldbookContext = gatherWorldbookContext([
+        ...chatHistory.map(msg => msg.text),
+        `${pin.name}\n${pin.description || ''}`
+    ]);
+    if (worldbookContext) {
+        messages.push({role: "system", content: worldbookContext});
+    }
 
-/**
- * 打开联系人库统一角色卡
- */
-function openLibraryCharacterModal(contactData, sourceType) {
-    renderLibraryMasksList(contactData.boundMasks || []);
+    if (currentWorldId) {
+        const world = worldsData.find(w => w.id === currentWorldId);
+        if (world) {
+            let worldSettingText = `[世界设定]\n世界名称：${world.name}\n`;
+            if (world.description) worldSettingText += `描述：${world.description}\n`;
+            if (world.rules) worldSettingText += `基本法则：${world.rules}\n`;
+            if (world.special) worldSettingText += `特殊设定：${world.special}\n`;
+            messages.push({role: "system", content: worldSettingText});
+        }
+    }
 
-    const modal = document.getElementById('libraryCharacterModal');
+    let characterSetting = `[角色设定]\n姓名：${currentSweetheartChatContact.name}\n`;
+    if (currentSweetheartChatContact.status) characterSetting += `基础设定：${currentSweetheartChatContact.status}\n`;
+    if (currentSweetheartChatContact.personality) characterSetting += `性格：${currentSweetheartChatContact.personality}\n`;
+    if (currentSweetheartChatContact.occupation) characterSetting += `职业：${currentSweetheartChatContact.occupation}\n`;
+    if (currentSweetheartChatContact.history) characterSetting += `过去的经历：${currentSweetheartChatContact.history}\n`;
+    if (currentSweetheartChatContact.relationship) characterSetting += `与用户的关系：${currentSweetheartChatContact.relationship}\n`;
+    messages.push({role: "system", content: characterSetting});
 
-    // 存储编辑信息
-    modal.dataset.editingId = contactData.id;
-    modal.dataset.sourceType = sourceType;
+    if (userProfile.persona) {
+        messages.push({role: "system", content: `[用户设定]\n昵称：${userProfile.name}\n${userProfile.persona}`});
+    }
 
-    // 填充基础信息
-    document.getElementById('library-name').value = contactData.name || '';
-    document.getElementById('library-persona').value = contactData.status || '';
-    document.getElementById('library-instance-id').textContent = contactData.id;
+    if (currentSweetheartChatContact.boundMasks && currentSweetheartChatContact.boundMasks.length > 0) {
+        let maskContent = '[用户人设]\n';
+        currentSweetheartChatContact.boundMasks.forEach(maskId => {
+            const mask = masksData.find(m => m.id === maskId);
+            if (mask) maskContent += `${mask.name}: ${mask.content}\n\n`;
+        });
+        messages.push({role: "system", content: maskContent});
+    }
 
-    // 填充头像
-    const avatarPreview = document.getElementById('library-avatar-preview');
-    const isUrl = contactData.avatar && (contactData.avatar.startsWith('http') || contactData.avatar.startsWith('data:'));
-    avatarPreview.src = isUrl ? contactData.avatar : '';
+    // [全新添加] 获取实时状态和历史状态，并注入提示词
+    const liveStatus = getCurrentLiveStatus();
+    const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
+    const contactStatusHistory = allStatusHistories[contactId] || [];
 
-    // 填充密友专属字段
-    document.getElementById('library-personality').value = contactData.personality || '';
-    document.getElementById('library-occupation').value = contactData.occupation || '';
-    document.getElementById('library-catchphrase').value = contactData.catchphrase || '';
-    document.getElementById('library-history').value = contactData.history || '';
-    document.getElementById('library-relationship').value = contactData.relationship || '';
-    document.getElementById('library-voice-id').value = contactData.voiceId || ''; // <<< 新增：填充 Voice ID
+    const statusContext = formatStatusHistoryForAI(liveStatus, contactStatusHistory);
+    if (statusContext) {
+        messages.push({role: "system", content: statusContext});
+    }
 
-    // 渲染世界书列表
-    renderLibraryWorldbooksList(contactData.boundWorldbooks || []);
 
-    // 显示弹窗
-    modal.classList.add('show');
-}
+    // ⭐ 3.3 背景信息：从"学习模式"提取历史记录
+    if (normalChatHistory.length > 0) {
+        const recentNormalChat = normalChatHistory.slice(-10);
+        let backgroundInfo = `[背景信息：以下是你和用户在"学习模式"中的最近对话记录，仅供你参考]\n\n`;
 
-/**
- * 关闭联系人库统一角色卡
- */
-function closeLibraryCharacterModal() {
-    const modal = document.getElementById('libraryCharacterModal');
-    modal.classList.remove('show');
+        recentNormalChat.forEach((msg) => {
+            const sender = msg.sender === 'user' ? '用户' : currentSweetheartChatContact.name;
+            const textContent = (msg.text || '').replace(/<[^>]+>/g, '[多媒体内容]');
+            backgroundInfo += `${sender}: ${textContent}\n`;
+        });
 
-    // 清理数据
-    delete modal.dataset.editingId;
-    delete modal.dataset.sourceType;
-}
+        messages.push({role: "system", content: backgroundInfo});
+    }
 
-/**
- * 切换密友专属字段
- */
-function toggleLibraryExtendedFields() {
-    const fields = document.getElementById('library-extended-fields');
-    const arrow = document.getElementById('library-extended-arrow');
+    // ⭐ 3.4 当前对话历史：遵守记忆轮数设置
+    let recentMessages = chatHistory.slice(-6);
+    const currentUserInput = chatInput.value.trim();
+    const conversationHistory = recentMessages.map(msg => ({
+        role: msg.sender === 'user' ? 'user' : 'assistant',
+        content: (msg.text || '').replace(/<render>[\s\S]*?<\/render>/, '[特殊渲染内容]')
+    }));
+    messages.push(...conversationHistory);
+    // 检查最后一条消息是否是未处理的图片
+    const lastMessage = recentMessages.length > 0 ? recentMessages[recentMessages.length - 1] : null;
+    let multimodalMessage = null;
+    if (lastMessage && lastMessage.sender === 'user' && lastMessage.imageUrl && !lastMessage.isProcessed) {
 
-    if (fields.style.display === 'none') {
-        fields.style.display = 'block';
-        arrow.classList.add('open');
-    } else {
-        fields.style.display = 'none';
-        arrow.classList.remove('open');
+        console.log("检测到未处理的图片，准备进行多模态识别...");
+        // 标记图片为已处理，防止重复发送
+        lastMessage.isProcessed = true;
+        // 更新本地存储
+        const fullHistory = ChatHistoryStore.get('phoneSweetheartChatHistory', contactId);
+        const msgIndex = fullHistory.findIndex(msg => msg.timestamp === lastMessage.timestamp);
+        if (msgIndex !== -1) {
+            fullHistory[msgIndex].isProcessed = true;
+            ChatHistoryStore.set('phoneSweetheartChatHistory', contactId, fullHistory).catch(e => console.error('保存失败:', e));
+        }
+        // 构建多模态消息内容
+        multimodalMessage = {
+            role: 'user',
+            content: [
+                {
+                    type: 'text',
+                    text: currentUserInput || '分析一下这张图片。' // 如果用户没输入文字，给一个默认提示
+                },
+                {
+                    type: 'image_url',
+                    image_url: {
+                        url: lastMessage.imageUrl
+                    }
+                }
+            ]
+        };
+        // 从要发送到API的历史记录中移除最后一条纯图片消息，因为它将被合并后的消息替代
+        recentMessages.pop();
+    }
+    // 将历史消息（可能已移除了最后一条图片消息）添加到API请求中
+    recentMessages.forEach(msg => {
+        if (msg.type === 'location') {
+            messages.push({
+                role: 'system',
+                content: `[场景变化] 你们${msg.fromName ? `从【${msg.fromName}】` : ''}来到了【${msg.locationName}】。描述：${msg.locationDesc}`
+            });
+        } else if (msg.text) {
+            messages.push({
+                role: msg.sender === 'user' ? 'user' : 'assistant',
+                content: msg.text.replace(/<render>[\s\S]*?<\/render>/, '[特殊渲染内容]')
+            });
+        }
+    });
+    // 如果有多模态消息，就添加它
+    if (multimodalMessage) {
+        messages.push(multimodalMessage);
+    }
+    // 否则，如果只有普通文本输入，就正常添加
+    else if (currentUserInput) {
+        messages.push({role: 'user', content: currentUserInput});
+    }
+    // 如果用户有输入，无论是否带图片，都需要在UI上显示这条文本消息并保存
+    if (currentUserInput) {
+        const messageObj = {sender: 'user', text: currentUserInput};
+        const newIndex = saveSweetheartMessage(contactId, messageObj);
+        const messageRow = _createMessageDOM(contactId, messageObj, newIndex);
+        messagesEl.appendChild(messageRow);
+        chatInput.value = '';
     }
-}
 
-/**
- * 切换世界书列表
- */
-function toggleLibraryWorldbooks() {
-    const list = document.getElementById('library-worldbooks-list');
-    const arrow = document.getElementById('library-wb-arrow');
+    // 3.5 地点触发事件（作为用户输入）
+    const journey = fromName
+        ? `我们从"${fromName}"${travel.mode}了大约 ${travel.minutes} 分钟（约 ${formatTravelDistance(travel.distance)}），来到了"${placeName}"。`
+        : `我们来到了"${placeName}"。`;
+    const plotPrompt = `[地点事件] ${journey}这里的特点是："${pin.description || '一个神秘的地方'}"。请基于这个场景${mapEvent ? `和刚刚发生的「${mapEvent.title}」` : ''}，${fromName ? '先简短地描写路上的情景，再' : ''}生动地描述接下来发生的故事或对话。`;
+    messages.push({role: "user", content: plotPrompt});
 
-    if (list.style.display === 'none') {
-        list.style.display = 'block';
-        arrow.classList.add('open');
-    } else {
-        list.style.display = 'none';
-        arrow.classList.remove('open');
-    }
-}
+    // === 步骤4: 显示"思考中"气泡并调用API ===
+    console.log('🗺️ 地图触发 - 最终发送给AI的Prompt结构:', messages.map(m => ({
+        role: m.role,
+        content: m.content.substring(0, 50) + '...'
+    })));
 
-/**
- * 渲染世界书列表
- */
-function renderLibraryWorldbooksList(boundIds = []) {
-    const container = document.getElementById('library-worldbooks-list');
+    const thinkingBubble = _createMessageDOM(contactId, {sender: 'contact', text: '...'}, -1);
+    messagesEl.appendChild(thinkingBubble);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    if (worldbookData.length === 0) {
-        container.innerHTML = '<div style="text-align: center; color: #999; padding: 20px; font-size: 13px;">暂无世界书</div>';
+    const result = await callApi(messages, [], {}, false, {notifyRetry: true});
+    thinkingBubble.remove();
+
+    if (!result.success) {
+        alert('网络错误：' + result.message);
         return;
     }
+    // 回复成功后才真正移动，失败或中止时位置和移动记录不变
+    if (!travel || travel.distance > 0) {
+        recordTravel(currentWorldId, ['user', contactId], destination, {
+            fromName,
+            toName: placeName,
+            distance: travel?.distance || 0,
+            minutes: travel?.minutes || 0,
+            mode: travel?.mode || ''
+        });
+    }
+    if (mapEvent) recordMapEvent(currentWorldId, contactId, pin.id, mapEvent);
 
-    container.innerHTML = '';
-
-    worldbookData.forEach(wb => {
-        const item = document.createElement('div');
-        item.className = 'library-wb-item';
-
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `library-wb-${wb.id}`;
-        checkbox.value = wb.id;
-        checkbox.checked = boundIds.includes(wb.id);
+    // === 步骤5: 处理AI回复 ===
+    const {chatReplyText, statusData} = parseOfflineResponse(result);
+    let relationshipDelta = null;
+    if (statusData) {
+        updateStatusPopup(statusData);
+        relationshipDelta = saveStatusData(contactId, statusData);
+    }
 
-        const label = document.createElement('label');
-        label.htmlFor = `library-wb-${wb.id}`;
-        label.textContent = wb.title;
+    // 将AI回复分段显示
+    const segments = chatReplyText.split('---').filter(s => s.trim());
+    if (segments.length > 0) {
+        for (const segmentText of segments) {
+            const messageObj = {sender: 'contact', text: segmentText.trim()};
+            if (relationshipDelta) {
+                messageObj.relationshipDelta = relationshipDelta;
+                relationshipDelta = null;
+            }
+            const newIndex = saveSweetheartMessage(contactId, messageObj);
+            const messageRow = _createMessageDOM(contactId, messageObj, newIndex);
+            messagesEl.appendChild(messageRow);
+            await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 400));
+        }
+    }
 
-        item.appendChild(checkbox);
-        item.appendChild(label);
-        container.appendChild(item);
-    });
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    renderSweetheartList();
 }
 
-/**
- * 打开头像选择器
- */
-function openLibraryAvatarPicker() {
-    document.getElementById('library-avatar-input').click();
-}
+/* ▲▲▲ 替换到这里结束 ▲▲▲ */
 
 /**
- * 保存联系人库角色数据
+ * 安全解析线下模式的AI回复
+ * @param {Object} result - API返回的结果对象
+ * @returns {Object} 包含 chatReplyText 和 statusData 的对象
  */
-function saveLibraryCharacter() {
-    const modal = document.getElementById('libraryCharacterModal');
-    const contactId = modal.dataset.editingId;
-    const sourceType = modal.dataset.sourceType;
+function parseOfflineResponse(result) {
+    let chatReplyText = '';
+    let statusData = null;
 
-    if (!contactId) {
-        alert('保存失败：无法获取联系人ID');
-        return;
+    if (!result.success) {
+        return {
+            chatReplyText: `[网络错误] ${result.message}`,
+            statusData: null
+        };
     }
 
-    // 获取基础信息
-    const name = document.getElementById('library-name').value.trim();
-    const persona = document.getElementById('library-persona').value.trim();
-
-    if (!name) {
-        alert('请填写姓名！');
-        return;
-    }
+    try {
+        // 1. 首先尝试清理可能的markdown代码块标记
+        let cleanedMessage = removeThinkTags(result.message);
 
-    if (!persona) {
-        alert('请填写基础设定！');
-        return;
-    }
+        // 移除可能的 ```json 和 ``` 标记
+        cleanedMessage = cleanedMessage.replace(/^```json\s*/i, '');
+        cleanedMessage = cleanedMessage.replace(/^```\s*/i, '');
+        cleanedMessage = cleanedMessage.replace(/\s*```$/i, '');
+        cleanedMessage = cleanedMessage.trim();
 
-    // 获取其他信息
-    const avatar = document.getElementById('library-avatar-preview').src;
-    const personality = document.getElementById('library-personality').value.trim();
-    const occupation = document.getElementById('library-occupation').value.trim();
-    const catchphrase = document.getElementById('library-catchphrase').value.trim();
-    const history = document.getElementById('library-history').value.trim();
-    const relationship = document.getElementById('library-relationship').value.trim();
-    const voiceId = document.getElementById('library-voice-id').value.trim(); // <<< 新增：获取 Voice ID
+        // 2. 尝试解析JSON
+        const parsed = JSON.parse(cleanedMessage);
 
-    // 获取绑定的世界书
-    const boundWorldbooks = [];
-    document.querySelectorAll('#library-worldbooks-list input[type="checkbox"]:checked').forEach(cb => {
-        boundWorldbooks.push(cb.value);
-    });
+        // 3. 提取回复文本
+        chatReplyText = parsed.reply || parsed.message || parsed.text || "...";
 
-    // 获取绑定的面具
-    const boundMasks = [];
-    document.querySelectorAll('#library-masks-list input[type="checkbox"]:checked').forEach(cb => {
-        boundMasks.push(cb.value);
-    });
+        // 4. 提取状态数据
+        if (parsed.status && typeof parsed.status === 'object') {
+            statusData = parsed.status;
+            console.log('✅ 成功解析线下模式状态数据');
+        }
 
-    // 组装数据
-    const contactData = {
-        id: contactId,
-        name,
-        status: persona,
-        avatar: avatar && !avatar.includes('data:image/gif') ? avatar : '👤',
-        personality,
-        occupation,
-        catchphrase,
-        history,
-        relationship,
-        voiceId, // <<< 新增：保存 Voice ID
-        boundWorldbooks,
-        boundMasks
-    };
+    } catch (parseError) {
+        console.warn('⚠️ JSON解析失败，尝试智能提取:', parseError.message);
 
-    // 保存到对应的列表
-    if (sourceType === 'sweetheart') {
-        const index = sweetheartContactsData.findIndex(c => c.id === contactId);
-        if (index !== -1) {
-            sweetheartContactsData[index] = contactData;
-        }
-        saveSweetheartContacts();
-        renderSweetheartList();
-    } else if (sourceType === 'library-only') {
-        const index = libraryOnlyContactsData.findIndex(c => c.id === contactId);
-        if (index !== -1) {
-            libraryOnlyContactsData[index] = contactData;
-        }
-        localStorage.setItem('phoneLibraryOnlyContactsData', JSON.stringify(libraryOnlyContactsData));
-    } else {
-        const index = contactsData.findIndex(c => c.id === contactId);
-        if (index !== -1) {
-            contactsData[index] = contactData;
+        // 智能降级处理：尝试提取可能的JSON片段
+        try {
+            const jsonMatch = result.message.match(/\{[\s\S]*\}/);
+            if (jsonMatch) {
+                const extracted = JSON.parse(jsonMatch[0]);
+                chatReplyText = extracted.reply || extracted.message || result.message;
+                statusData = extracted.status || null;
+                console.log('✅ 智能提取成功');
+            } else {
+                // 完全降级：直接使用原始文本
+                chatReplyText = result.message;
+                console.log('ℹ️ 使用原始文本作为回复');
+            }
+        } catch (secondError) {
+            chatReplyText = result.message;
+            console.log('ℹ️ 降级处理：使用原始文本');
         }
-        localStorage.setItem('phoneContactsData', JSON.stringify(contactsData));
-        renderContacts(contactsData);
     }
 
-    // 刷新联系人库显示
-    renderContactLibrary();
+    return {chatReplyText, statusData: sanitizeStatusRelationship(statusData)};
+}
 
-    // 关闭弹窗
-    closeLibraryCharacterModal();
 
-    showSuccessModal('保存成功', `已更新 ${name} 的信息`);
+// ========== 消息多选功能 - 开始 ==========
+
+// 全局变量
+let isNormalMultiSelectMode = false; // 普通聊天是否处于多选模式
+let isSweetheartMultiSelectMode = false; // 密友聊天是否处于多选模式
+let selectedNormalMessageIndexes = new Set(); // 普通聊天选中的消息索引
+let selectedSweetheartMessageIndexes = new Set(); // 密友聊天选中的消息索引
+
+/**
+ * 进入普通聊天的多选模式
+ */
+function enterNormalMultiSelectMode() {
+    isNormalMultiSelectMode = true;
+    selectedNormalMessageIndexes.clear();
+
+    // 切换UI
+    document.getElementById('normalHeaderActions').style.display = 'none';
+    document.getElementById('normalMultiSelectToolbar').style.display = 'flex';
+    document.getElementById('chatContactName').textContent = '选择消息';
+
+    // 为所有消息添加复选框
+    addCheckboxesToMessages('normal');
+
+    // 隐藏操作菜单
+    hideMessageActionSheet();
 }
 
 /**
- * 搜索过滤联系人库列表。
- * 在搜索框输入时被调用。
+ * 退出普通聊天的多选模式（修复版）
  */
-function filterContactLibrary() {
-    const searchTerm = document.getElementById('contactLibrarySearch').value.toLowerCase().trim();
+function exitNormalMultiSelectMode() {
+    isNormalMultiSelectMode = false;
+    selectedNormalMessageIndexes.clear();
+
+    // 恢复UI
+    document.getElementById('normalHeaderActions').style.display = 'flex';
+    document.getElementById('normalMultiSelectToolbar').style.display = 'none';
+    if (currentChatContact) {
+        document.getElementById('chatContactName').textContent = currentChatContact.name;
+    }
+
+    // 🔥 核心修复：重新渲染消息列表，恢复所有事件绑定
+    if (currentChatContact) {
+        const contactId = currentChatContact.id;
+        const messages = ChatHistoryStore.get('phoneChatHistory', contactId);
 
-    document.querySelectorAll('.contact-library-item').forEach(item => {
-        const name = item.querySelector('.contact-library-name').textContent.toLowerCase();
-        // 如果名字包含搜索词，则显示，否则隐藏
-        item.style.display = name.includes(searchTerm) ? 'flex' : 'none';
-    });
+        const messagesEl = document.getElementById('chatMessages');
+        if (messagesEl) {
+            messagesEl.innerHTML = ''; // 清空
+            renderChatMessagesPaged(messagesEl, contactId, messages);
+            messagesEl.scrollTop = messagesEl.scrollHeight; // 滚动到底部
+        }
+    }
 }
 
 /**
- * 这是从“普通联系人”页面右上角菜单触发的函数。
- * 它会以“选择”模式打开联系人库。
+ * 进入密友聊天的多选模式
  */
-function selectExistingContact() {
-    const menu = document.getElementById('contactMenu');
-    if (menu) menu.classList.remove('show');
+function enterSweetheartMultiSelectMode() {
+    isSweetheartMultiSelectMode = true;
+    selectedSweetheartMessageIndexes.clear();
 
-    openContactLibrary('select');
-}
+    // 切换UI
+    document.getElementById('sweetheartHeaderActions').style.display = 'none';
+    document.getElementById('sweetheartMultiSelectToolbar').style.display = 'flex';
+    document.getElementById('sweetheartChatContactName').textContent = '选择消息';
 
-// ========================================================================
-// ========== 联系人库功能 - 代码结束 ==========
-// ========================================================================
-// ===========================================
-// ========== 密友聊天 - 世界地图剧情功能 ==========
-// ===========================================
+    // 为所有消息添加复选框
+    addCheckboxesToMessages('sweetheart');
 
-let currentMapPins = []; // 用于存储当前地图的地点数据
+    // 隐藏操作菜单
+    hideSweetheartMessageActionSheet();
+}
 
 /**
- * 打开世界地图弹窗
+ * 退出密友聊天的多选模式（修复版）
  */
-function openWorldMapPopup() {
-    const popup = document.getElementById('worldMapPopup');
-    if (!currentWorldId) {
-        alert('错误：找不到当前所在的世界！');
-        return;
-    }
+function exitSweetheartMultiSelectMode() {
+    isSweetheartMultiSelectMode = false;
+    selectedSweetheartMessageIndexes.clear();
 
-    const world = worldsData.find(w => w.id === currentWorldId);
-    if (!world || !world.mapUrl) {
-        showSuccessModal('提示', '当前世界还没有设置地图哦~', 2000);
-        return;
+    // 恢复UI
+    document.getElementById('sweetheartHeaderActions').style.display = 'flex';
+    document.getElementById('sweetheartMultiSelectToolbar').style.display = 'none';
+    if (currentSweetheartChatContact) {
+        document.getElementById('sweetheartChatContactName').textContent = currentSweetheartChatContact.name;
     }
 
-    // 1. 设置地图图片
-    const mapImage = document.getElementById('mapPopupImage');
-    mapImage.src = world.mapUrl;
+    // 🔥 核心修复：重新渲染消息列表，恢复所有事件绑定
+    if (currentSweetheartChatContact) {
+        const contactId = currentSweetheartChatContact.id;
+        const messages = ChatHistoryStore.get('phoneSweetheartChatHistory', contactId);
 
-    // 2. 加载该世界的地点数据
-    const savedPins = localStorage.getItem(`mapPins_${currentWorldId}`);
-    if (savedPins) {
-        try {
-            currentMapPins = JSON.parse(savedPins);
-        } catch (e) {
-            console.error('解析地图地点数据失败', e);
-            currentMapPins = [];
+        const messagesEl = document.getElementById('sweetheartChatMessages');
+        if (messagesEl) {
+            messagesEl.innerHTML = ''; // 清空
+            renderChatMessagesPaged(messagesEl, contactId, messages);
+            messagesEl.scrollTop = messagesEl.scrollHeight; // 滚动到底部
         }
-    } else {
-        // 如果是默认地图，加载默认地点
-        const isDefaultMap = world.mapUrl.includes('1760979959274_qdqqd_m9jrpo.jpg');
-        currentMapPins = isDefaultMap ? DEFAULT_MAP_LOCATIONS : [];
     }
-
-    // 3. 渲染地点大头针
-    renderMapPinsForPopup();
-
-    // 4. 显示弹窗
-    popup.classList.add('show');
-}
-
-/**
- * 关闭世界地图弹窗
- */
-function closeWorldMapPopup() {
-    const popup = document.getElementById('worldMapPopup');
-    popup.classList.remove('show');
 }
 
 /**
- * 在弹窗中渲染所有地点大头针
+ * 为消息添加复选框
+ * @param {string} chatType - 'normal' 或 'sweetheart'
  */
-function renderMapPinsForPopup() {
-    const container = document.getElementById('mapPopupContainer');
-    if (!container) return;
+function addCheckboxesToMessages(chatType) {
+    const messagesContainer = chatType === 'normal'
+        ? document.getElementById('chatMessages')
+        : document.getElementById('sweetheartChatMessages');
 
-    // 先清除旧的大头针
-    container.querySelectorAll('.map-popup-pin').forEach(pin => pin.remove());
+    if (!messagesContainer) return;
 
-    if (currentMapPins.length === 0) {
-        console.log('当前地图没有可交互的地点。');
-        return;
-    }
+    const messageRows = messagesContainer.querySelectorAll('.message-row');
 
-    // 遍历地点数据，创建DOM元素
-    currentMapPins.forEach(pin => {
-        const pinElement = document.createElement('div');
-        pinElement.className = 'map-popup-pin';
-        pinElement.style.left = `${pin.x}%`;
-        pinElement.style.top = `${pin.y}%`;
+    messageRows.forEach((row, index) => {
+        // 添加多选模式类
+        row.classList.add('multi-select-mode');
 
-        const icons = {
-            city: '🏙️',
-            village: '🏘️',
-            dungeon: '🏰',
-            landmark: '⭐',
-            other: '📍'
-        };
+        // 创建复选框容器
+        const checkboxContainer = document.createElement('div');
+        checkboxContainer.className = 'message-checkbox-container';
+        checkboxContainer.dataset.index = index;
 
-        pinElement.innerHTML = `
-            <div class="map-popup-pin-icon">${icons[pin.type] || '📍'}</div>
-            <div class="map-popup-pin-label">${escapeHTML(pin.name)}</div>
-        `;
+        const checkbox = document.createElement('div');
+        checkbox.className = 'message-checkbox';
 
-        // 为每个大头针绑定点击事件，用于触发剧情
-        pinElement.onclick = (event) => triggerLocationPlot(event, pin.id);
+        checkboxContainer.appendChild(checkbox);
+        row.insertBefore(checkboxContainer, row.firstChild);
 
-        container.appendChild(pinElement);
+        // 绑定点击事件
+        row.onclick = () => toggleMessageSelection(chatType, index, checkbox);
     });
 }
 
-/* ▼▼▼ 用这个新版本替换旧的 triggerLocationPlot 函数 ▼▼▼ */
+/**
+ * 移除消息的复选框
+ * @param {string} chatType - 'normal' 或 'sweetheart'
+ */
+function removeCheckboxesFromMessages(chatType) {
+    const messagesContainer = chatType === 'normal'
+        ? document.getElementById('chatMessages')
+        : document.getElementById('sweetheartChatMessages');
+
+    if (!messagesContainer) return;
+
+    const messageRows = messagesContainer.querySelectorAll('.message-row');
+
+    messageRows.forEach(row => {
+        row.classList.remove('multi-select-mode');
+        const checkboxContainer = row.querySelector('.message-checkbox-container');
+        if (checkboxContainer) {
+            checkboxContainer.remove();
+        }
+        row.onclick = null;
+    });
+}
 
 /**
- * 触发地点剧情的核心函数（记忆互通增强版）
- * @param {Event} event - 点击事件
- * @param {string} pinId - 被点击的地点的ID
+ * 切换消息的选中状态
+ * @param {string} chatType - 'normal' 或 'sweetheart'
+ * @param {number} index - 消息索引
+ * @param {HTMLElement} checkbox - 复选框元素
  */
-async function triggerLocationPlot(event, pinId) {
-    event.stopPropagation();
+function toggleMessageSelection(chatType, index, checkbox) {
+    const selectedSet = chatType === 'normal'
+        ? selectedNormalMessageIndexes
+        : selectedSweetheartMessageIndexes;
 
-    const pin = currentMapPins.find(p => p.id === pinId);
-    if (!pin) {
-        console.error('未找到对应的地点数据');
-        return;
+    if (selectedSet.has(index)) {
+        selectedSet.delete(index);
+        checkbox.classList.remove('checked');
+    } else {
+        selectedSet.add(index);
+        checkbox.classList.add('checked');
     }
+}
 
-    if (!currentSweetheartChatContact) {
-        console.error('未找到当前密友联系人');
+/**
+ * 批量删除普通聊天的选中消息（最终修复版）
+ */
+async function batchDeleteNormalMessages() {
+    if (selectedNormalMessageIndexes.size === 0) {
+        alert('请先选择要删除的消息');
         return;
     }
 
-    const contactId = currentSweetheartChatContact.id;
-
-    // === 步骤1: 获取聊天历史（双份） ===
-    // 密友聊天历史
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}')[contactId] || [];
-    // 普通聊天历史（背景记忆）
-    const normalChatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}')[contactId] || [];
-
-    // 关闭地图弹窗
-    closeWorldMapPopup();
+    if (!confirm(`确定要删除选中的 ${selectedNormalMessageIndexes.size} 条消息吗？`)) {
+        return;
+    }
 
-    // ✅ 地图触发自动切换到线下模式
-    currentChatMode = 'offline';
-    updateChatModeButton();
+    const contactId = currentChatContact.id;
+    const messages = ChatHistoryStore.get('phoneChatHistory', contactId);
 
-    const messagesEl = document.getElementById('sweetheartChatMessages');
-    if (!messagesEl) return;
+    if (messages.length === 0) return;
 
-    // === 步骤2: 创建并保存地点提示消息 ===
-    const locationMessage = {
-        sender: 'system',
-        type: 'location',
-        locationName: pin.name,
-        locationDesc: pin.description || '一个神秘的地方',
-        timestamp: Date.now()
-    };
+    const indexesToDelete = Array.from(selectedNormalMessageIndexes).sort((a, b) => b - a);
 
-    const newIndex = saveSweetheartMessage(contactId, locationMessage);
-    const locationNotice = _createMessageDOM(contactId, locationMessage, newIndex);
-    messagesEl.appendChild(locationNotice);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
+    indexesToDelete.forEach(index => {
+        messages.splice(index, 1);
+    });
 
-    // === 步骤3: 构建发送给AI的完整消息数组 ===
-    const messages = [];
+    try {
+        await ChatHistoryStore.set('phoneChatHistory', contactId, messages);
 
-    // 3.1 系统提示词（线下模式专用）
-    messages.push({
-        role: "system",
-        content: OFFLINE_MODE_PROMPT
-    });
+        const deletedCount = indexesToDelete.length;
 
-    // 3.2 静态上下文 - 世界书、世界设定、角色设定
-    const worldbookContext = gatherWorldbookContext();
-    if (worldbookContext) {
-        messages.push({role: "system", content: worldbookContext});
-    }
+        // 🔥 核心修复：在这里先清理多选状态，然后再调用 openChat 彻底刷新
+        isNormalMultiSelectMode = false;
+        selectedNormalMessageIndexes.clear();
 
-    if (currentWorldId) {
-        const world = worldsData.find(w => w.id === currentWorldId);
-        if (world) {
-            let worldSettingText = `[世界设定]\n世界名称：${world.name}\n`;
-            if (world.description) worldSettingText += `描述：${world.description}\n`;
-            if (world.rules) worldSettingText += `基本法则：${world.rules}\n`;
-            if (world.special) worldSettingText += `特殊设定：${world.special}\n`;
-            messages.push({role: "system", content: worldSettingText});
+        // 恢复UI
+        document.getElementById('normalHeaderActions').style.display = 'flex';
+        document.getElementById('normalMultiSelectToolbar').style.display = 'none';
+        if (currentChatContact) {
+            document.getElementById('chatContactName').textContent = currentChatContact.name;
         }
-    }
-
-    let characterSetting = `[角色设定]\n姓名：${currentSweetheartChatContact.name}\n`;
-    if (currentSweetheartChatContact.status) characterSetting += `基础设定：${currentSweetheartChatContact.status}\n`;
-    if (currentSweetheartChatContact.personality) characterSetting += `性格：${currentSweetheartChatContact.personality}\n`;
-    if (currentSweetheartChatContact.occupation) characterSetting += `职业：${currentSweetheartChatContact.occupation}\n`;
-    if (currentSweetheartChatContact.history) characterSetting += `过去的经历：${currentSweetheartChatContact.history}\n`;
-    if (currentSweetheartChatContact.relationship) characterSetting += `与用户的关系：${currentSweetheartChatContact.relationship}\n`;
-    messages.push({role: "system", content: characterSetting});
 
-    if (userProfile.persona) {
-        messages.push({role: "system", content: `[用户设定]\n昵称：${userProfile.name}\n${userProfile.persona}`});
-    }
+        // 调用 openChat 重新构建整个聊天界面，确保所有事件被正确绑定
+        openChat(currentChatContact);
 
-    if (currentSweetheartChatContact.boundMasks && currentSweetheartChatContact.boundMasks.length > 0) {
-        let maskContent = '[用户人设]\n';
-        currentSweetheartChatContact.boundMasks.forEach(maskId => {
-            const mask = masksData.find(m => m.id === maskId);
-            if (mask) maskContent += `${mask.name}: ${mask.content}\n\n`;
-        });
-        messages.push({role: "system", content: maskContent});
+        // 更新联系人列表的最后一条消息
+        renderContacts(contactsData);
+
+        showSuccessModal('删除成功', `已删除 ${deletedCount} 条消息`);
+    } catch (e) {
+        console.error('删除失败:', e);
+        alert('删除失败，存储空间可能已满');
     }
+}
 
-    // [全新添加] 获取实时状态和历史状态，并注入提示词
-    const liveStatus = getCurrentLiveStatus();
-    const allStatusHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
-    const contactStatusHistory = allStatusHistories[contactId] || [];
+/**
+ * 批量删除密友聊天的选中消息（最终修复版）
+ */
+async function batchDeleteSweetheartMessages() {
+    if (selectedSweetheartMessageIndexes.size === 0) {
+        alert('请先选择要删除的消息');
+        return;
+    }
 
-    const statusContext = formatStatusHistoryForAI(liveStatus, contactStatusHistory);
-    if (statusContext) {
-        messages.push({role: "system", content: statusContext});
+    if (!confirm(`确定要删除选中的 ${selectedSweetheartMessageIndexes.size} 条消息吗？`)) {
+        return;
     }
 
+    const contactId = currentSweetheartChatContact.id;
+    const messages = ChatHistoryStore.get('phoneSweetheartChatHistory', contactId);
 
-    // ⭐ 3.3 背景信息：从"学习模式"提取历史记录
-    if (normalChatHistory.length > 0) {
-        const recentNormalChat = normalChatHistory.slice(-10);
-        let backgroundInfo = `[背景信息：以下是你和用户在"学习模式"中的最近对话记录，仅供你参考]\n\n`;
+    if (messages.length === 0) return;
 
-        recentNormalChat.forEach((msg) => {
-            const sender = msg.sender === 'user' ? '用户' : currentSweetheartChatContact.name;
-            const textContent = (msg.text || '').replace(/<[^>]+>/g, '[多媒体内容]');
-            backgroundInfo += `${sender}: ${textContent}\n`;
-        });
+    const indexesToDelete = Array.from(selectedSweetheartMessageIndexes).sort((a, b) => b - a);
 
-        messages.push({role: "system", content: backgroundInfo});
-    }
+    indexesToDelete.forEach(index => {
+        messages.splice(index, 1);
+    });
 
-    // ⭐ 3.4 当前对话历史：遵守记忆轮数设置
-    let recentMessages = chatHistory.slice(-6);
-    const currentUserInput = chatInput.value.trim();
-    const conversationHistory = recentMessages.map(msg => ({
-        role: msg.sender === 'user' ? 'user' : 'assistant',
-        content: (msg.text || '').replace(/<render>[\s\S]*?<\/render>/, '[特殊渲染内容]')
-    }));
-    messages.push(...conversationHistory);
-    // 检查最后一条消息是否是未处理的图片
-    const lastMessage = recentMessages.length > 0 ? recentMessages[recentMessages.length - 1] : null;
-    let multimodalMessage = null;
-    if (lastMessage && lastMessage.sender === 'user' && lastMessage.imageUrl && !lastMessage.isProcessed) {
+    try {
+        await ChatHistoryStore.set('phoneSweetheartChatHistory', contactId, messages);
 
-        console.log("检测到未处理的图片，准备进行多模态识别...");
-        // 标记图片为已处理，防止重复发送
-        lastMessage.isProcessed = true;
-        // 更新本地存储
-        const fullHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-        if (fullHistory[contactId]) {
-            const msgIndex = fullHistory[contactId].findIndex(msg => msg.timestamp === lastMessage.timestamp);
-            if (msgIndex !== -1) {
-                fullHistory[contactId][msgIndex].isProcessed = true;
-                localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(fullHistory));
-            }
-        }
-        // 构建多模态消息内容
-        multimodalMessage = {
-            role: 'user',
-            content: [
-                {
-                    type: 'text',
-                    text: currentUserInput || '分析一下这张图片。' // 如果用户没输入文字，给一个默认提示
-                },
-                {
-                    type: 'image_url',
-                    image_url: {
-                        url: lastMessage.imageUrl
-                    }
-                }
-            ]
-        };
-        // 从要发送到API的历史记录中移除最后一条纯图片消息，因为它将被合并后的消息替代
-        recentMessages.pop();
-    }
-    // 将历史消息（可能已移除了最后一条图片消息）添加到API请求中
-    recentMessages.forEach(msg => {
-        if (msg.type === 'location') {
-            messages.push({
-                role: 'system',
-                content: `[场景变化] 你们来到了【${msg.locationName}】。描述：${msg.locationDesc}`
-            });
-        } else if (msg.text) {
-            messages.push({
-                role: msg.sender === 'user' ? 'user' : 'assistant',
-                content: msg.text.replace(/<render>[\s\S]*?<\/render>/, '[特殊渲染内容]')
-            });
-        }
-    });
-    // 如果有多模态消息，就添加它
-    if (multimodalMessage) {
-        messages.push(multimodalMessage);
-    }
-    // 否则，如果只有普通文本输入，就正常添加
-    else if (currentUserInput) {
-        messages.push({role: 'user', content: currentUserInput});
-    }
-    // 如果用户有输入，无论是否带图片，都需要在UI上显示这条文本消息并保存
-    if (currentUserInput) {
-        const messageObj = {sender: 'user', text: currentUserInput};
-        const newIndex = saveSweetheartMessage(contactId, messageObj);
-        const messageRow = _createMessageDOM(contactId, messageObj, newIndex);
-        messagesEl.appendChild(messageRow);
-        chatInput.value = '';
-    }
+        const deletedCount = indexesToDelete.length;
 
-    // 3.5 地点触发事件（作为用户输入）
-    const plotPrompt = `[地点事件] 我们来到了"${pin.name}"。这里的特点是："${pin.description || '一个神秘的地方'}"。请基于这个场景，生动地描述接下来发生的故事或对话。`;
-    messages.push({role: "user", content: plotPrompt});
+        // 🔥 核心修复：清理多选状态并恢复UI
+        isSweetheartMultiSelectMode = false;
+        selectedSweetheartMessageIndexes.clear();
 
-    // === 步骤4: 显示"思考中"气泡并调用API ===
-    console.log('🗺️ 地图触发 - 最终发送给AI的Prompt结构:', messages.map(m => ({
-        role: m.role,
-        content: m.content.substring(0, 50) + '...'
-    })));
+        document.getElementById('sweetheartHeaderActions').style.display = 'flex';
+        document.getElementById('sweetheartMultiSelectToolbar').style.display = 'none';
+        if (currentSweetheartChatContact) {
+            document.getElementById('sweetheartChatContactName').textContent = currentSweetheartChatContact.name;
+        }
 
-    const thinkingBubble = _createMessageDOM(contactId, {sender: 'contact', text: '...'}, -1);
-    messagesEl.appendChild(thinkingBubble);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
+        // 调用 openSweetheartChat 重新构建整个聊天界面
+        openSweetheartChat(currentSweetheartChatContact);
 
-    const result = await callApi(messages);
-    thinkingBubble.remove();
+        // 更新密友列表
+        renderSweetheartList();
 
-    if (!result.success) {
-        alert('网络错误：' + result.message);
-        return;
+        showSuccessModal('删除成功', `已删除 ${deletedCount} 条消息`);
+    } catch (e) {
+        console.error('删除失败:', e);
+        alert('删除失败，存储空间可能已满');
     }
+}
 
-    // === 步骤5: 处理AI回复 ===
-    const {chatReplyText, statusData} = parseOfflineResponse(result);
+// ========== 消息多选功能 - 结束 ==========
 
+// ========== 面具管理功能 - 开始 ==========
 
-    // 将AI回复分段显示
-    const segments = chatReplyText.split('---').filter(s => s.trim());
-    if (segments.length > 0) {
-        for (const segmentText of segments) {
-            const messageObj = {sender: 'contact', text: segmentText.trim()};
-            const newIndex = saveSweetheartMessage(contactId, messageObj);
-            const messageRow = _createMessageDOM(contactId, messageObj, newIndex);
-            messagesEl.appendChild(messageRow);
-            await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 400));
-        }
-    }
+let masksData = []; // 存储所有面具
+let currentEditingMaskId = null; // 当前编辑的面具ID
 
-    messagesEl.scrollTop = messagesEl.scrollHeight;
-    renderSweetheartList();
+/**
+ * 打开面具管理页面
+ */
+function openMaskLibrary() {
+    document.getElementById('maskLibraryPage').classList.add('show');
+    renderMaskList();
 }
 
-/* ▲▲▲ 替换到这里结束 ▲▲▲ */
+/**
+ * 关闭面具管理页面
+ */
+function closeMaskLibrary() {
+    document.getElementById('maskLibraryPage').classList.remove('show');
+}
 
 /**
- * 安全解析线下模式的AI回复
- * @param {Object} result - API返回的结果对象
- * @returns {Object} 包含 chatReplyText 和 statusData 的对象
+ * 渲染面具列表
  */
-function parseOfflineResponse(result) {
-    let chatReplyText = '';
-    let statusData = null;
+function renderMaskList() {
+    const listEl = document.getElementById('maskLibraryList');
+    const emptyEl = document.getElementById('maskEmpty');
 
-    if (!result.success) {
-        return {
-            chatReplyText: `[网络错误] ${result.message}`,
-            statusData: null
-        };
+    if (masksData.length === 0) {
+        emptyEl.style.display = 'flex';
+        // 移除所有面具项
+        listEl.querySelectorAll('.mask-item').forEach(item => item.remove());
+        return;
     }
 
-    try {
-        // 1. 首先尝试清理可能的markdown代码块标记
-        let cleanedMessage = removeThinkTags(result.message);
+    emptyEl.style.display = 'none';
 
-        // 移除可能的 ```json 和 ``` 标记
-        cleanedMessage = cleanedMessage.replace(/^```json\s*/i, '');
-        cleanedMessage = cleanedMessage.replace(/^```\s*/i, '');
-        cleanedMessage = cleanedMessage.replace(/\s*```$/i, '');
-        cleanedMessage = cleanedMessage.trim();
+    // 清除旧的面具项
+    listEl.querySelectorAll('.mask-item').forEach(item => item.remove());
 
-        // 2. 尝试解析JSON
-        const parsed = JSON.parse(cleanedMessage);
+    // 渲染新的面具列表
+    masksData.forEach(mask => {
+        const item = document.createElement('div');
+        item.className = 'mask-item';
+        item.onclick = () => editMask(mask.id);
 
-        // 3. 提取回复文本
-        chatReplyText = parsed.reply || parsed.message || parsed.text || "...";
+        const preview = (mask.content || '').substring(0, 60);
 
-        // 4. 提取状态数据
-        if (parsed.status && typeof parsed.status === 'object') {
-            statusData = parsed.status;
-            console.log('✅ 成功解析线下模式状态数据');
-        }
+        item.innerHTML = `
+            <div class="mask-item-header">
+                <div class="mask-item-icon">🎭</div>
+                <div class="mask-item-title">${escapeHTML(mask.name)}</div>
+            </div>
+            ${mask.description ? `<div class="mask-item-desc">${escapeHTML(mask.description)}</div>` : ''}
+            <div class="mask-item-preview">${escapeHTML(preview)}${preview.length >= 60 ? '...' : ''}</div>
+        `;
 
-    } catch (parseError) {
-        console.warn('⚠️ JSON解析失败，尝试智能提取:', parseError.message);
+        listEl.appendChild(item);
+    });
+}
 
-        // 智能降级处理：尝试提取可能的JSON片段
-        try {
-            const jsonMatch = result.message.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const extracted = JSON.parse(jsonMatch[0]);
-                chatReplyText = extracted.reply || extracted.message || result.message;
-                statusData = extracted.status || null;
-                console.log('✅ 智能提取成功');
-            } else {
-                // 完全降级：直接使用原始文本
-                chatReplyText = result.message;
-                console.log('ℹ️ 使用原始文本作为回复');
-            }
-        } catch (secondError) {
-            chatReplyText = result.message;
-            console.log('ℹ️ 降级处理：使用原始文本');
-        }
-    }
+/**
+ * 打开面具编辑弹窗（新建模式）
+ */
+function openMaskModal() {
+    currentEditingMaskId = null;
+
+    document.getElementById('maskModalTitle').textContent = '新建面具';
+    document.getElementById('maskName').value = '';
+    document.getElementById('maskDesc').value = '';
+    document.getElementById('maskContent').value = '';
+    document.getElementById('maskDeleteBtn').style.display = 'none';
 
-    return {chatReplyText, statusData};
+    document.getElementById('maskModal').classList.add('show');
 }
 
-
-// ========== 消息多选功能 - 开始 ==========
-
-// 全局变量
-let isNormalMultiSelectMode = false; // 普通聊天是否处于多选模式
-let isSweetheartMultiSelectMode = false; // 密友聊天是否处于多选模式
-let selectedNormalMessageIndexes = new Set(); // 普通聊天选中的消息索引
-let selectedSweetheartMessageIndexes = new Set(); // 密友聊天选中的消息索引
-
 /**
- * 进入普通聊天的多选模式
+ * 编辑面具
  */
-function enterNormalMultiSelectMode() {
-    isNormalMultiSelectMode = true;
-    selectedNormalMessageIndexes.clear();
+function editMask(maskId) {
+    const mask = masksData.find(m => m.id === maskId);
+    if (!mask) return;
 
-    // 切换UI
-    document.getElementById('normalHeaderActions').style.display = 'none';
-    document.getElementById('normalMultiSelectToolbar').style.display = 'flex';
-    document.getElementById('chatContactName').textContent = '选择消息';
+    currentEditingMaskId = maskId;
 
-    // 为所有消息添加复选框
-    addCheckboxesToMessages('normal');
+    document.getElementById('maskModalTitle').textContent = '编辑面具';
+    document.getElementById('maskName').value = mask.name;
+    document.getElementById('maskDesc').value = mask.description || '';
+    document.getElementById('maskContent').value = mask.content;
+    document.getElementById('maskDeleteBtn').style.display = 'block';
 
-    // 隐藏操作菜单
-    hideMessageActionSheet();
+    document.getElementById('maskModal').classList.add('show');
 }
 
 /**
- * 退出普通聊天的多选模式（修复版）
+ * 关闭面具编辑弹窗
  */
-function exitNormalMultiSelectMode() {
-    isNormalMultiSelectMode = false;
-    selectedNormalMessageIndexes.clear();
+function closeMaskModal() {
+    document.getElementById('maskModal').classList.remove('show');
+    currentEditingMaskId = null;
+}
 
-    // 恢复UI
-    document.getElementById('normalHeaderActions').style.display = 'flex';
-    document.getElementById('normalMultiSelectToolbar').style.display = 'none';
-    if (currentChatContact) {
-        document.getElementById('chatContactName').textContent = currentChatContact.name;
+/**
+ * 保存面具
+ */
+function saveMask() {
+    const name = document.getElementById('maskName').value.trim();
+    const description = document.getElementById('maskDesc').value.trim();
+    const content = document.getElementById('maskContent').value.trim();
+
+    if (!name) {
+        alert('请填写面具名称！');
+        return;
     }
 
-    // 🔥 核心修复：重新渲染消息列表，恢复所有事件绑定
-    if (currentChatContact) {
-        const contactId = currentChatContact.id;
-        const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-        const messages = chatHistory[contactId] || [];
+    if (!content) {
+        alert('请填写人设内容！');
+        return;
+    }
 
-        const messagesEl = document.getElementById('chatMessages');
-        if (messagesEl) {
-            messagesEl.innerHTML = ''; // 清空
-            messages.forEach((msg, index) => {
-                const messageRow = _createMessageDOM(contactId, msg, index);
-                messagesEl.appendChild(messageRow);
-            });
-            messagesEl.scrollTop = messagesEl.scrollHeight; // 滚动到底部
+    const maskData = {
+        id: currentEditingMaskId || 'MASK_' + Date.now(),
+        name,
+        description,
+        content,
+        timestamp: Date.now()
+    };
+
+    if (currentEditingMaskId) {
+        // 编辑模式
+        const index = masksData.findIndex(m => m.id === currentEditingMaskId);
+        if (index !== -1) {
+            masksData[index] = maskData;
         }
+    } else {
+        // 新建模式
+        masksData.push(maskData);
     }
+
+    saveMasksToStorage();
+    renderMaskList();
+    closeMaskModal();
+    showSuccessModal('保存成功', '面具已更新！');
 }
 
 /**
- * 进入密友聊天的多选模式
+ * 删除面具
  */
-function enterSweetheartMultiSelectMode() {
-    isSweetheartMultiSelectMode = true;
-    selectedSweetheartMessageIndexes.clear();
-
-    // 切换UI
-    document.getElementById('sweetheartHeaderActions').style.display = 'none';
-    document.getElementById('sweetheartMultiSelectToolbar').style.display = 'flex';
-    document.getElementById('sweetheartChatContactName').textContent = '选择消息';
-
-    // 为所有消息添加复选框
-    addCheckboxesToMessages('sweetheart');
+function deleteMask() {
+    if (!currentEditingMaskId) return;
 
-    // 隐藏操作菜单
-    hideSweetheartMessageActionSheet();
+    if (confirm('确定要删除这个面具吗？')) {
+        masksData = masksData.filter(m => m.id !== currentEditingMaskId);
+        saveMasksToStorage();
+        renderMaskList();
+        closeMaskModal();
+        showSuccessModal('删除成功', '面具已移除。');
+    }
 }
 
 /**
- * 退出密友聊天的多选模式（修复版）
+ * 保存面具到localStorage
  */
-function exitSweetheartMultiSelectMode() {
-    isSweetheartMultiSelectMode = false;
-    selectedSweetheartMessageIndexes.clear();
-
-    // 恢复UI
-    document.getElementById('sweetheartHeaderActions').style.display = 'flex';
-    document.getElementById('sweetheartMultiSelectToolbar').style.display = 'none';
-    if (currentSweetheartChatContact) {
-        document.getElementById('sweetheartChatContactName').textContent = currentSweetheartChatContact.name;
+function saveMasksToStorage() {
+    try {
+        localStorage.setItem('phoneMasksData', JSON.stringify(masksData));
+    } catch (e) {
+        console.error('保存面具数据失败:', e);
     }
+}
 
-    // 🔥 核心修复：重新渲染消息列表，恢复所有事件绑定
-    if (currentSweetheartChatContact) {
-        const contactId = currentSweetheartChatContact.id;
-        const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-        const messages = chatHistory[contactId] || [];
-
-        const messagesEl = document.getElementById('sweetheartChatMessages');
-        if (messagesEl) {
-            messagesEl.innerHTML = ''; // 清空
-            messages.forEach((msg, index) => {
-                const messageRow = _createMessageDOM(contactId, msg, index);
-                messagesEl.appendChild(messageRow);
-            });
-            messagesEl.scrollTop = messagesEl.scrollHeight; // 滚动到底部
+/**
+ * 从localStorage加载面具数据
+ */
+function loadMasksData() {
+    try {
+        const saved = localStorage.getItem('phoneMasksData');
+        if (saved) {
+            masksData = JSON.parse(saved);
+            console.log('成功加载面具数据，共', masksData.length, '个');
         }
+    } catch (e) {
+        console.error('加载面具数据失败:', e);
     }
 }
 
+// ========== 角色卡中的面具绑定功能 ==========
+
 /**
- * 为消息添加复选框
- * @param {string} chatType - 'normal' 或 'sweetheart'
+ * 切换密友角色卡中的面具列表
  */
-function addCheckboxesToMessages(chatType) {
-    const messagesContainer = chatType === 'normal'
-        ? document.getElementById('chatMessages')
-        : document.getElementById('sweetheartChatMessages');
+function toggleSweetheartMasks() {
+    const list = document.getElementById('sweetheartMasksList');
+    const arrow = document.getElementById('sweetheart-mask-arrow');
 
-    if (!messagesContainer) return;
+    if (list.style.display === 'none') {
+        list.style.display = 'block';
+        arrow.classList.add('open');
+    } else {
+        list.style.display = 'none';
+        arrow.classList.remove('open');
+    }
+}
 
-    const messageRows = messagesContainer.querySelectorAll('.message-row');
+/**
+ * 渲染密友角色卡中的面具列表
+ */
+function renderSweetheartMasksList(boundIds = []) {
+    const container = document.getElementById('sweetheartMasksList');
 
-    messageRows.forEach((row, index) => {
-        // 添加多选模式类
-        row.classList.add('multi-select-mode');
+    if (masksData.length === 0) {
+        container.innerHTML = '<div style="text-align: center; color: #BCAAA4; padding: 20px; font-size: 13px;">还没有面具哦~</div>';
+        return;
+    }
 
-        // 创建复选框容器
-        const checkboxContainer = document.createElement('div');
-        checkboxContainer.className = 'message-checkbox-container';
-        checkboxContainer.dataset.index = index;
+    container.innerHTML = '';
 
-        const checkbox = document.createElement('div');
-        checkbox.className = 'message-checkbox';
+    masksData.forEach(mask => {
+        const item = document.createElement('div');
+        item.className = 'mask-checkbox-item';
 
-        checkboxContainer.appendChild(checkbox);
-        row.insertBefore(checkboxContainer, row.firstChild);
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `sh-mask-${mask.id}`;
+        checkbox.value = mask.id;
+        checkbox.checked = boundIds.includes(mask.id);
 
-        // 绑定点击事件
-        row.onclick = () => toggleMessageSelection(chatType, index, checkbox);
+        const label = document.createElement('label');
+        label.htmlFor = `sh-mask-${mask.id}`;
+        label.textContent = mask.name;
+
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        container.appendChild(item);
     });
 }
 
 /**
- * 移除消息的复选框
- * @param {string} chatType - 'normal' 或 'sweetheart'
+ * 切换联系人库角色卡中的面具列表
  */
-function removeCheckboxesFromMessages(chatType) {
-    const messagesContainer = chatType === 'normal'
-        ? document.getElementById('chatMessages')
-        : document.getElementById('sweetheartChatMessages');
+function toggleLibraryMasks() {
+    const list = document.getElementById('library-masks-list');
+    const arrow = document.getElementById('library-mask-arrow');
 
-    if (!messagesContainer) return;
+    if (list.style.display === 'none') {
+        list.style.display = 'block';
+        arrow.classList.add('open');
+    } else {
+        list.style.display = 'none';
+        arrow.classList.remove('open');
+    }
+}
+
+/**
+ * 渲染联系人库角色卡中的面具列表
+ */
+function renderLibraryMasksList(boundIds = []) {
+    const container = document.getElementById('library-masks-list');
+
+    if (masksData.length === 0) {
+        container.innerHTML = '<div style="text-align: center; color: #999; padding: 20px; font-size: 13px;">暂无面具</div>';
+        return;
+    }
+
+    container.innerHTML = '';
+
+    masksData.forEach(mask => {
+        const item = document.createElement('div');
+        item.className = 'mask-checkbox-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `lib-mask-${mask.id}`;
+        checkbox.value = mask.id;
+        checkbox.checked = boundIds.includes(mask.id);
 
-    const messageRows = messagesContainer.querySelectorAll('.message-row');
+        const label = document.createElement('label');
+        label.htmlFor = `lib-mask-${mask.id}`;
+        label.textContent = mask.name;
 
-    messageRows.forEach(row => {
-        row.classList.remove('multi-select-mode');
-        const checkboxContainer = row.querySelector('.message-checkbox-container');
-        if (checkboxContainer) {
-            checkboxContainer.remove();
-        }
-        row.onclick = null;
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        container.appendChild(item);
     });
 }
 
 /**
- * 切换消息的选中状态
- * @param {string} chatType - 'normal' 或 'sweetheart'
- * @param {number} index - 消息索引
- * @param {HTMLElement} checkbox - 复选框元素
+ * 切换普通角色卡中的面具列表
  */
-function toggleMessageSelection(chatType, index, checkbox) {
-    const selectedSet = chatType === 'normal'
-        ? selectedNormalMessageIndexes
-        : selectedSweetheartMessageIndexes;
+function toggleCharacterMasks() {
+    const list = document.getElementById('charMasksList');
+    const arrow = document.getElementById('char-mask-arrow');
 
-    if (selectedSet.has(index)) {
-        selectedSet.delete(index);
-        checkbox.classList.remove('checked');
+    if (list.style.display === 'none') {
+        list.style.display = 'block';
+        arrow.classList.add('open');
     } else {
-        selectedSet.add(index);
-        checkbox.classList.add('checked');
+        list.style.display = 'none';
+        arrow.classList.remove('open');
     }
 }
 
 /**
- * 批量删除普通聊天的选中消息（最终修复版）
+ * 渲染普通角色卡中的面具列表
  */
-function batchDeleteNormalMessages() {
-    if (selectedNormalMessageIndexes.size === 0) {
-        alert('请先选择要删除的消息');
-        return;
-    }
+function renderCharacterMasksList(boundIds = []) {
+    const container = document.getElementById('charMasksList');
 
-    if (!confirm(`确定要删除选中的 ${selectedNormalMessageIndexes.size} 条消息吗？`)) {
+    if (masksData.length === 0) {
+        container.innerHTML = '<div style="text-align: center; color: #999; padding: 20px; font-size: 13px;">还没有面具哦~</div>';
         return;
     }
 
-    const contactId = currentChatContact.id;
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-
-    if (!chatHistory[contactId]) return;
-
-    const indexesToDelete = Array.from(selectedNormalMessageIndexes).sort((a, b) => b - a);
-
-    indexesToDelete.forEach(index => {
-        chatHistory[contactId].splice(index, 1);
-    });
-
-    try {
-        localStorage.setItem('phoneChatHistory', JSON.stringify(chatHistory));
-
-        const deletedCount = indexesToDelete.length;
-
-        // 🔥 核心修复：在这里先清理多选状态，然后再调用 openChat 彻底刷新
-        isNormalMultiSelectMode = false;
-        selectedNormalMessageIndexes.clear();
+    container.innerHTML = '';
 
-        // 恢复UI
-        document.getElementById('normalHeaderActions').style.display = 'flex';
-        document.getElementById('normalMultiSelectToolbar').style.display = 'none';
-        if (currentChatContact) {
-            document.getElementById('chatContactName').textContent = currentChatContact.name;
-        }
+    masksData.forEach(mask => {
+        const item = document.createElement('div');
+        item.className = 'mask-checkbox-item';
 
-        // 调用 openChat 重新构建整个聊天界面，确保所有事件被正确绑定
-        openChat(currentChatContact);
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `char-mask-${mask.id}`;
+        checkbox.value = mask.id;
+        checkbox.checked = boundIds.includes(mask.id);
 
-        // 更新联系人列表的最后一条消息
-        renderContacts(contactsData);
+        const label = document.createElement('label');
+        label.htmlFor = `char-mask-${mask.id}`;
+        label.textContent = mask.name;
 
-        showSuccessModal('删除成功', `已删除 ${deletedCount} 条消息`);
-    } catch (e) {
-        console.error('删除失败:', e);
-        alert('删除失败，存储空间可能已满');
-    }
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        container.appendChild(item);
+    });
 }
 
+// ========== 面具管理功能 - 结束 ==========
+
 /**
- * 批量删除密友聊天的选中消息（最终修复版）
+ * 总结知识点功能
  */
-function batchDeleteSweetheartMessages() {
-    if (selectedSweetheartMessageIndexes.size === 0) {
-        alert('请先选择要删除的消息');
+async function summarizeKnowledge() {
+    if (!currentChatContact) {
+        alert('请先打开一个聊天窗口');
         return;
     }
 
-    if (!confirm(`确定要删除选中的 ${selectedSweetheartMessageIndexes.size} 条消息吗？`)) {
+    const contactId = currentChatContact.id;
+    const memoryRounds = currentChatContact.memoryRounds || 10;
+
+
+    // 获取聊天历史
+    const messages = ChatHistoryStore.view('phoneChatHistory', contactId);
+
+    if (messages.length === 0) {
+        alert('还没有聊天记录可以总结哦~');
         return;
     }
 
-    const contactId = currentSweetheartChatContact.id;
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
+    // 获取最近N轮对话
+    const recentMessages = messages.slice(-memoryRounds * 2); // 每轮包含用户和AI的消息
 
-    if (!chatHistory[contactId]) return;
+    // 构建总结提示词
+    const conversationText = recentMessages.map(msg => {
+        const role = msg.sender === 'user' ? '我' : currentChatContact.name;
+        return `${role}: ${msg.text}`;
+    }).join('\n');
 
-    const indexesToDelete = Array.from(selectedSweetheartMessageIndexes).sort((a, b) => b - a);
+    const summaryPrompt = `请根据以下对话内容，提取和总结其中涉及的知识点、要点和关键信息。
+请以清单的形式列出，每个知识点简洁明了。
 
-    indexesToDelete.forEach(index => {
-        chatHistory[contactId].splice(index, 1);
-    });
+对话内容：
+${conversationText}
+
+请按以下格式输出：
+【知识点清单】
+1. [知识点标题] - [简要说明]
+2. [知识点标题] - [简要说明]
+...`;
+
+    // 显示加载提示
+    const messagesEl = document.getElementById('chatMessages');
+    const loadingMsg = _createMessageDOM(contactId, {
+        sender: 'contact',
+        text: '正在为你总结知识点...'
+    }, -1);
+    messagesEl.appendChild(loadingMsg);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
 
     try {
-        localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(chatHistory));
+        // 调用API
+        const apiMessages = [
+            {role: 'system', content: '你是一个专业的知识整理助手。'},
+            {role: 'user', content: summaryPrompt}
+        ];
 
-        const deletedCount = indexesToDelete.length;
+        const result = await callApi(apiMessages, [], {}, false, {notifyRetry: true});
 
-        // 🔥 核心修复：清理多选状态并恢复UI
-        isSweetheartMultiSelectMode = false;
-        selectedSweetheartMessageIndexes.clear();
+        // 移除加载提示
+        loadingMsg.remove();
 
-        document.getElementById('sweetheartHeaderActions').style.display = 'flex';
-        document.getElementById('sweetheartMultiSelectToolbar').style.display = 'none';
-        if (currentSweetheartChatContact) {
-            document.getElementById('sweetheartChatContactName').textContent = currentSweetheartChatContact.name;
+        if (!result.success) {
+            throw new Error(result.message);
         }
 
-        // 调用 openSweetheartChat 重新构建整个聊天界面
-        openSweetheartChat(currentSweetheartChatContact);
+        // 保存总结到知识库
+        const summary = {
+            id: 'SUMMARY_' + Date.now(),
+            contactId: contactId,
+            contactName: currentChatContact.name,
+            content: result.message,
+            memoryRounds: memoryRounds,
+            messageCount: recentMessages.length,
+            timestamp: Date.now()
+        };
 
-        // 更新密友列表
-        renderSweetheartList();
+        // 保存到localStorage
+        const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
+        knowledgeBase.unshift(summary); // 新的放在前面
+        localStorage.setItem('knowledgeBase', JSON.stringify(knowledgeBase));
+        updateTestButtonState(); // 更新测试按钮状态
 
-        showSuccessModal('删除成功', `已删除 ${deletedCount} 条消息`);
-    } catch (e) {
-        console.error('删除失败:', e);
-        alert('删除失败，存储空间可能已满');
-    }
-}
+        // 在聊天中显示总结
+        const summaryMessage = {
+            sender: 'contact',
+            text: `📝 知识点总结（基于最近${memoryRounds}轮对话）\n\n${result.message}`
+        };
 
-// ========== 消息多选功能 - 结束 ==========
+        const newIndex = saveMessage(contactId, summaryMessage);
+        const messageRow = _createMessageDOM(contactId, summaryMessage, newIndex);
+        messagesEl.appendChild(messageRow);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
 
-// ========== 面具管理功能 - 开始 ==========
+        showSuccessModal('总结成功', '知识点已保存到记忆存储中心！');
 
-let masksData = []; // 存储所有面具
-let currentEditingMaskId = null; // 当前编辑的面具ID
+    } catch (error) {
+        loadingMsg.remove();
+        console.error('总结失败:', error);
+        showErrorModal('总结失败', error.message || '请检查网络或API配置。');
+    }
+}
 
 /**
- * 打开面具管理页面
+ * 绑定总结按钮事件
  */
-function openMaskLibrary() {
-    document.getElementById('maskLibraryPage').classList.add('show');
-    renderMaskList();
+function setupSummarizeButton() {
+    const summarizeBtn = document.getElementById('summarizeKnowledgeBtn');
+    if (summarizeBtn) {
+        summarizeBtn.addEventListener('click', () => {
+            // 关闭附件菜单
+            document.getElementById('attachmentMenu').classList.remove('show');
+            // 执行总结
+            summarizeKnowledge();
+        });
+    }
 }
 
 /**
- * 关闭面具管理页面
+ * 绑定测试按钮事件
  */
-function closeMaskLibrary() {
-    document.getElementById('maskLibraryPage').classList.remove('show');
+function setupTestButton() {
+    const testBtn = document.getElementById('generateTestBtn');
+    if (testBtn) {
+        testBtn.addEventListener('click', () => {
+            openTestConfig();
+        });
+    }
+}
+
+// ========== 测试功能相关变量 ==========
+let testData = {
+    questions: [],
+    answers: {},
+    startTime: null,
+    selectedKnowledgeIds: []
+};
+
+// ========== 测试功能：启用/禁用测试按钮 ==========
+function updateTestButtonState() {
+    const testBtn = document.getElementById('generateTestBtn');
+    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
+
+    if (knowledgeBase.length > 0) {
+        // 有知识清单，启用按钮
+        testBtn.style.opacity = '1';
+        testBtn.style.pointerEvents = 'auto';
+    } else {
+        // 没有知识清单，禁用按钮
+        testBtn.style.opacity = '0.5';
+        testBtn.style.pointerEvents = 'none';
+    }
 }
 
-/**
- * 渲染面具列表
- */
-function renderMaskList() {
-    const listEl = document.getElementById('maskLibraryList');
-    const emptyEl = document.getElementById('maskEmpty');
+// ========== 打开测试配置弹窗 ==========
+function openTestConfig() {
+    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
 
-    if (masksData.length === 0) {
-        emptyEl.style.display = 'flex';
-        // 移除所有面具项
-        listEl.querySelectorAll('.mask-item').forEach(item => item.remove());
+    if (knowledgeBase.length === 0) {
+        alert('请先生成知识清单！');
         return;
     }
 
-    emptyEl.style.display = 'none';
+    // 渲染知识清单选择器
+    const selector = document.getElementById('knowledgeSelector');
+    selector.innerHTML = '';
 
-    // 清除旧的面具项
-    listEl.querySelectorAll('.mask-item').forEach(item => item.remove());
+    knowledgeBase.forEach((item, index) => {
+        const checkboxItem = document.createElement('div');
+        checkboxItem.className = 'knowledge-checkbox-item';
 
-    // 渲染新的面具列表
-    masksData.forEach(mask => {
-        const item = document.createElement('div');
-        item.className = 'mask-item';
-        item.onclick = () => editMask(mask.id);
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `knowledge-${item.id}`;
+        checkbox.value = item.id;
+        checkbox.checked = index === 0; // 默认选中第一个
 
-        const preview = (mask.content || '').substring(0, 60);
+        const label = document.createElement('label');
+        label.className = 'knowledge-checkbox-label';
+        label.htmlFor = `knowledge-${item.id}`;
 
-        item.innerHTML = `
-            <div class="mask-item-header">
-                <div class="mask-item-icon">🎭</div>
-                <div class="mask-item-title">${escapeHTML(mask.name)}</div>
-            </div>
-            ${mask.description ? `<div class="mask-item-desc">${escapeHTML(mask.description)}</div>` : ''}
-            <div class="mask-item-preview">${escapeHTML(preview)}${preview.length >= 60 ? '...' : ''}</div>
-        `;
+        const date = new Date(item.timestamp).toLocaleDateString('zh-CN');
+        label.textContent = `${date} - ${item.contactName} (${item.memoryRounds}轮对话)`;
 
-        listEl.appendChild(item);
+        checkboxItem.appendChild(checkbox);
+        checkboxItem.appendChild(label);
+        selector.appendChild(checkboxItem);
     });
-}
 
-/**
- * 打开面具编辑弹窗（新建模式）
- */
-function openMaskModal() {
-    currentEditingMaskId = null;
+    document.getElementById('testConfigModal').classList.add('show');
+    document.getElementById('attachmentMenu').classList.remove('show');
+}
 
-    document.getElementById('maskModalTitle').textContent = '新建面具';
-    document.getElementById('maskName').value = '';
-    document.getElementById('maskDesc').value = '';
-    document.getElementById('maskContent').value = '';
-    document.getElementById('maskDeleteBtn').style.display = 'none';
+// ========== 关闭测试配置弹窗 ==========
+function closeTestConfig() {
+    document.getElementById('testConfigModal').classList.remove('show');
+}
 
-    document.getElementById('maskModal').classList.add('show');
+// ========== 调整题目数量 ==========
+function adjustQuestionCount(delta) {
+    const input = document.getElementById('questionCountInput');
+    let value = parseInt(input.value) || 5;
+    value = Math.max(1, Math.min(20, value + delta));
+    input.value = value;
 }
 
 /**
- * 编辑面具
+ * [终极版] 鲁棒的 JSON 解析器
+ * 能够从各种混乱的 AI 回复中提取出合法的 JSON 对象
  */
-function editMask(maskId) {
-    const mask = masksData.find(m => m.id === maskId);
-    if (!mask) return;
+function robustJsonParse(rawMessage) {
+    if (!rawMessage || typeof rawMessage !== 'string') {
+        throw new Error("输入内容为空或不是字符串");
+    }
 
-    currentEditingMaskId = maskId;
+    let text = rawMessage;
 
-    document.getElementById('maskModalTitle').textContent = '编辑面具';
-    document.getElementById('maskName').value = mask.name;
-    document.getElementById('maskDesc').value = mask.description || '';
-    document.getElementById('maskContent').value = mask.content;
-    document.getElementById('maskDeleteBtn').style.display = 'block';
+    // 1. 尝试暴力查找最外层的 {}
+    // 这一步能解决 99% 的 "好的，这是结果：{...} 结束" 这种问题
+    const firstBrace = text.indexOf('{');
+    const lastBrace = text.lastIndexOf('}');
 
-    document.getElementById('maskModal').classList.add('show');
-}
+    if (firstBrace !== -1 && lastBrace > firstBrace) {
+        text = text.substring(firstBrace, lastBrace + 1);
+    }
 
-/**
- * 关闭面具编辑弹窗
- */
-function closeMaskModal() {
-    document.getElementById('maskModal').classList.remove('show');
-    currentEditingMaskId = null;
-}
+    // 2. 清理可能残留的 Markdown 标记 (虽然提取 {} 后通常不需要，但为了保险)
+    text = text.replace(/```json/gi, '').replace(/```/g, '');
 
-/**
- * 保存面具
- */
-function saveMask() {
-    const name = document.getElementById('maskName').value.trim();
-    const description = document.getElementById('maskDesc').value.trim();
-    const content = document.getElementById('maskContent').value.trim();
+    // 3. 尝试解析
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        console.error("JSON 解析失败，原始文本:", rawMessage);
+        console.error("提取后文本:", text);
 
-    if (!name) {
-        alert('请填写面具名称！');
-        return;
+        // 4. [高级容错] 尝试修复常见的 JSON 尾部逗号错误 (例如: {"a":1,} -> {"a":1})
+        try {
+            const fixedText = text.replace(/,(\s*[}\]])/g, '$1');
+            return JSON.parse(fixedText);
+        } catch (e2) {
+            throw new Error("无法从回复中提取有效 JSON，请检查 AI 输出格式。");
+        }
     }
+}
 
-    if (!content) {
-        alert('请填写人设内容！');
+// ========== 开始生成测试 ==========
+// ========== 开始生成测试 (终极修复版) ==========
+async function startGenerateTest() {
+    // 1. 获取选中的知识清单
+    const selectedIds = [];
+    document.querySelectorAll('.knowledge-checkbox-item input:checked').forEach(cb => {
+        selectedIds.push(cb.value);
+    });
+
+    if (selectedIds.length === 0) {
+        alert('请至少选择一个知识清单！');
         return;
     }
 
-    const maskData = {
-        id: currentEditingMaskId || 'MASK_' + Date.now(),
-        name,
-        description,
-        content,
-        timestamp: Date.now()
-    };
+    const questionCount = parseInt(document.getElementById('questionCountInput').value) || 5;
 
-    if (currentEditingMaskId) {
-        // 编辑模式
-        const index = masksData.findIndex(m => m.id === currentEditingMaskId);
-        if (index !== -1) {
-            masksData[index] = maskData;
-        }
-    } else {
-        // 新建模式
-        masksData.push(maskData);
-    }
+    // 2. 准备知识内容
+    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
+    const selectedKnowledge = knowledgeBase.filter(item => selectedIds.includes(item.id));
+    let knowledgeContent = '';
+    selectedKnowledge.forEach((item, index) => {
+        knowledgeContent += `\n\n[材料 ${index + 1}]\n${item.content}`;
+    });
 
-    saveMasksToStorage();
-    renderMaskList();
-    closeMaskModal();
-    showSuccessModal('保存成功', '面具已更新！');
+    // 3. 构建 Prompt (🔥 关键修改：通过话术绕过思考模型的死锁)
+    // 我们不再说“严禁输出其他内容”，而是说“请生成内容，最终包含一个JSON代码块即可”
+    const prompt = `
+[DATA_CONVERSION_TASK]
+Input_Data:
+${knowledgeContent}
+Target_Format: JSON
+Question_Count: ${questionCount}
+Instructions:
+Convert the above "Input_Data" into a JSON object containing ${questionCount} quiz questions.
+Do not overthink. Output the JSON immediately.
+JSON_Template:
+{
+  "questions": [
+    { "type": "choice", "question": "...", "options": ["A", "B", "C", "D"], "answer": "A" },
+    { "type": "fill", "question": "...", "answer": "..." }
+  ]
 }
+`;
 
-/**
- * 删除面具
- */
-function deleteMask() {
-    if (!currentEditingMaskId) return;
-
-    if (confirm('确定要删除这个面具吗？')) {
-        masksData = masksData.filter(m => m.id !== currentEditingMaskId);
-        saveMasksToStorage();
-        renderMaskList();
-        closeMaskModal();
-        showSuccessModal('删除成功', '面具已移除。');
-    }
-}
+    closeTestConfig();
+    showSuccessModal('生成中', 'AI 正在出题，请耐心等待 (约10-20秒)...', 0); // 0 表示不自动关闭
 
-/**
- * 保存面具到localStorage
- */
-function saveMasksToStorage() {
     try {
-        localStorage.setItem('phoneMasksData', JSON.stringify(masksData));
-    } catch (e) {
-        console.error('保存面具数据失败:', e);
-    }
-}
+        // 🔥 4. 调用 API，传入 skipContext=true
+        // 这将发送一个纯净的请求，避免 400400 错误
+        const result = await callApi(
+            [
+                {role: 'system', content: '你是一个试题生成助手。'},
+                {role: 'user', content: prompt}
+            ],
+            [], // fileInfos
+            {}, // customVariables
+            true, // 🔴 skipContext: 开启！这是解决 bug 的关键
+            {notifyRetry: true}
+        );
 
-/**
- * 从localStorage加载面具数据
- */
-function loadMasksData() {
-    try {
-        const saved = localStorage.getItem('phoneMasksData');
-        if (saved) {
-            masksData = JSON.parse(saved);
-            console.log('成功加载面具数据，共', masksData.length, '个');
+        if (!result.success) {
+            throw createApiError(result.code, result.message);
+        }
+
+        console.log("AI 原始回复:", result.message);
+
+        // 5. 健壮解析 (无论 AI 是否有废话，或者有 <think> 标签，都能提取)
+        let questionsData;
+        try {
+            // 先清洗掉 <think> 标签 (如果是思考模型)
+            let cleanText = result.message.replace(/<think>[\s\S]*?<\/think>/gi, "");
+
+            // 提取最外层的 {...}
+            const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+
+            if (jsonMatch) {
+                questionsData = JSON.parse(jsonMatch[0]);
+            } else {
+                throw new Error("未找到 JSON 对象");
+            }
+        } catch (parseError) {
+            console.error('JSON解析失败:', parseError);
+            throw new Error(`AI生成的格式不正确，请重试。`);
         }
-    } catch (e) {
-        console.error('加载面具数据失败:', e);
-    }
-}
 
-// ========== 角色卡中的面具绑定功能 ==========
+        // 6. 保存数据并显示
+        testData.questions = questionsData.questions || [];
+        testData.answers = {};
+        testData.selectedKnowledgeIds = selectedIds;
 
-/**
- * 切换密友角色卡中的面具列表
- */
-function toggleSweetheartMasks() {
-    const list = document.getElementById('sweetheartMasksList');
-    const arrow = document.getElementById('sweetheart-mask-arrow');
+        document.getElementById('successModal').classList.remove('show');
+        document.getElementById('testReadyModal').classList.add('show');
 
-    if (list.style.display === 'none') {
-        list.style.display = 'block';
-        arrow.classList.add('open');
-    } else {
-        list.style.display = 'none';
-        arrow.classList.remove('open');
+    } catch (error) {
+        document.getElementById('successModal').classList.remove('show');
+        console.error('生成测试失败:', error);
+        const isRequestTooLarge = error.code === API_ERROR_CODES.CONTEXT_TOO_LONG || error.code === API_ERROR_CODES.BAD_REQUEST;
+        showErrorModal('生成失败', isRequestTooLarge ? '请求内容过长或违规，请减少知识点数量。' : error.message);
     }
 }
 
-/**
- * 渲染密友角色卡中的面具列表
- */
-function renderSweetheartMasksList(boundIds = []) {
-    const container = document.getElementById('sweetheartMasksList');
+// ========== 关闭测试准备弹窗 ==========
+function closeTestReady() {
+    document.getElementById('testReadyModal').classList.remove('show');
+}
 
-    if (masksData.length === 0) {
-        container.innerHTML = '<div style="text-align: center; color: #BCAAA4; padding: 20px; font-size: 13px;">还没有面具哦~</div>';
-        return;
-    }
+// ========== 开始测试 ==========
+// ========== 开始测试 (修复版) ==========
+function startTest() {
+    closeTestReady();
 
-    container.innerHTML = '';
+    // 1. 🔥 核心修复：先显示页面！
+    // 必须先给页面添加 .show 类，否则 updateTimer 函数会检测到页面未显示而自动杀死计时器
+    document.getElementById('testPage').classList.add('show');
 
-    masksData.forEach(mask => {
-        const item = document.createElement('div');
-        item.className = 'mask-checkbox-item';
+    // 2. 渲染测试页面内容
+    const testContent = document.getElementById('testContent');
+    testContent.innerHTML = '';
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `sh-mask-${mask.id}`;
-        checkbox.value = mask.id;
-        checkbox.checked = boundIds.includes(mask.id);
+    testData.questions.forEach((q, index) => {
+        const questionDiv = document.createElement('div');
+        questionDiv.className = 'test-question';
 
-        const label = document.createElement('label');
-        label.htmlFor = `sh-mask-${mask.id}`;
-        label.textContent = mask.name;
+        let typeLabel = '';
+        let typeClass = '';
+        if (q.type === 'choice') {
+            typeLabel = '选择题';
+            typeClass = 'choice';
+        } else if (q.type === 'fill') {
+            typeLabel = '填空题';
+            typeClass = 'fill';
+        } else {
+            typeLabel = '主观题';
+            typeClass = 'subjective';
+        }
 
-        item.appendChild(checkbox);
-        item.appendChild(label);
-        container.appendChild(item);
-    });
-}
+        let optionsHTML = '';
+        if (q.type === 'choice') {
+            optionsHTML = '<div class="question-options">';
+            q.options.forEach((option, optIndex) => {
+                optionsHTML += `
+                    <div class="option-item" onclick="selectOption(${index}, '${option}', this)">
+                        <input type="radio" name="q${index}" value="${option}" id="q${index}_opt${optIndex}">
+                        <label class="option-label" for="q${index}_opt${optIndex}">${option}</label>
+                    </div>
+                `;
+            });
+            optionsHTML += '</div>';
+        } else {
+            optionsHTML = `<textarea class="answer-input" id="answer_${index}" placeholder="请输入你的答案..."></textarea>`;
+        }
 
-/**
- * 切换联系人库角色卡中的面具列表
- */
-function toggleLibraryMasks() {
-    const list = document.getElementById('library-masks-list');
-    const arrow = document.getElementById('library-mask-arrow');
+        questionDiv.innerHTML = `
+            <div class="question-header">
+                <div class="question-number">${index + 1}</div>
+                <div class="question-type ${typeClass}">${typeLabel}</div>
+            </div>
+            <div class="question-text">${q.question}</div>
+            ${optionsHTML}
+        `;
 
-    if (list.style.display === 'none') {
-        list.style.display = 'block';
-        arrow.classList.add('open');
-    } else {
-        list.style.display = 'none';
-        arrow.classList.remove('open');
+        testContent.appendChild(questionDiv);
+    });
+
+    // 3. 开始计时 (现在页面已经显示了，计时器可以安全启动)
+    testData.startTime = Date.now();
+    if (timerInterval) {
+        clearInterval(timerInterval);
     }
+    timerInterval = setInterval(updateTimer, 1000); // 每秒更新一次
+    updateTimer(); // 立即更新一次
 }
 
-/**
- * 渲染联系人库角色卡中的面具列表
- */
-function renderLibraryMasksList(boundIds = []) {
-    const container = document.getElementById('library-masks-list');
-
-    if (masksData.length === 0) {
-        container.innerHTML = '<div style="text-align: center; color: #999; padding: 20px; font-size: 13px;">暂无面具</div>';
-        return;
-    }
+// ========== 选择选项 ==========
+function selectOption(questionIndex, answer, element) {
+    // 移除同组其他选项的选中状态
+    const parent = element.parentElement;
+    parent.querySelectorAll('.option-item').forEach(item => {
+        item.classList.remove('selected');
+    });
 
-    container.innerHTML = '';
+    // 添加选中状态
+    element.classList.add('selected');
+    element.querySelector('input').checked = true;
 
-    masksData.forEach(mask => {
-        const item = document.createElement('div');
-        item.className = 'mask-checkbox-item';
+    // 保存答案
+    testData.answers[questionIndex] = answer;
+}
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `lib-mask-${mask.id}`;
-        checkbox.value = mask.id;
-        checkbox.checked = boundIds.includes(mask.id);
+// ========== 更新计时器 ==========
+let timerInterval = null; // 新增：存储计时器ID
 
-        const label = document.createElement('label');
-        label.htmlFor = `lib-mask-${mask.id}`;
-        label.textContent = mask.name;
+function updateTimer() {
+    const timerEl = document.getElementById('testTimer');
+    if (!testData.startTime || !document.getElementById('testPage').classList.contains('show')) {
+        if (timerInterval) {
+            clearInterval(timerInterval);
+            timerInterval = null;
+        }
+        return;
+    }
 
-        item.appendChild(checkbox);
-        item.appendChild(label);
-        container.appendChild(item);
-    });
+    const elapsed = Math.floor((Date.now() - testData.startTime) / 1000);
+    const minutes = Math.floor(elapsed / 60);
+    const seconds = elapsed % 60;
+    timerEl.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
 }
 
-/**
- * 切换普通角色卡中的面具列表
- */
-function toggleCharacterMasks() {
-    const list = document.getElementById('charMasksList');
-    const arrow = document.getElementById('char-mask-arrow');
+// ========== 提交测试 ==========
+// script.js - 修改 submitTest 函数
 
-    if (list.style.display === 'none') {
-        list.style.display = 'block';
-        arrow.classList.add('open');
-    } else {
-        list.style.display = 'none';
-        arrow.classList.remove('open');
+async function submitTest() {
+    // 停止计时
+    if (timerInterval) {
+        clearInterval(timerInterval);
+        timerInterval = null;
     }
-}
 
-/**
- * 渲染普通角色卡中的面具列表
- */
-function renderCharacterMasksList(boundIds = []) {
-    const container = document.getElementById('charMasksList');
+    const useTime = document.getElementById('testTimer').textContent;
 
-    if (masksData.length === 0) {
-        container.innerHTML = '<div style="text-align: center; color: #999; padding: 20px; font-size: 13px;">还没有面具哦~</div>';
-        return;
+    // 1. 收集填空题/主观题的输入框答案
+    testData.questions.forEach((q, index) => {
+        if (q.type !== 'choice' && !testData.answers[index]) {
+            const answerInput = document.getElementById(`answer_${index}`);
+            if (answerInput) {
+                testData.answers[index] = answerInput.value.trim();
+            }
+        }
+    });
+
+    // 检查是否所有题目都已作答
+    const unanswered = testData.questions.filter((q, index) => !testData.answers[index]);
+    if (unanswered.length > 0) {
+        if (!confirm(`还有${unanswered.length}道题未作答，确定要提交吗？`)) {
+            timerInterval = setInterval(updateTimer, 1000);
+            return;
+        }
     }
 
-    container.innerHTML = '';
+    // 计算得分
+    let correctCount = 0;
+    let objectiveTotal = 0;
+    const subjectiveQuestions = [];
+    const wrongAnswers = [];
 
-    masksData.forEach(mask => {
-        const item = document.createElement('div');
-        item.className = 'mask-checkbox-item';
+    testData.questions.forEach((q, index) => {
+        const userAnswer = testData.answers[index] || '';
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `char-mask-${mask.id}`;
-        checkbox.value = mask.id;
-        checkbox.checked = boundIds.includes(mask.id);
+        if (q.type === 'subjective') {
+            subjectiveQuestions.push({
+                question: q.question,
+                userAnswer: userAnswer,
+                referenceAnswer: q.answer
+            });
+        } else {
+            // 客观题（选择 + 填空）
+            objectiveTotal++;
 
-        const label = document.createElement('label');
-        label.htmlFor = `char-mask-${mask.id}`;
-        label.textContent = mask.name;
+            let isCorrect = false;
 
-        item.appendChild(checkbox);
-        item.appendChild(label);
-        container.appendChild(item);
-    });
-}
+            // 🔥🔥🔥 核心修复开始：智能对比逻辑 🔥🔥🔥
+            if (q.type === 'choice') {
+                // 1. 提取用户答案的首字母 (例如 "A. 内容" -> "A")
+                // 使用 charAt(0) 并转大写，确保只是对比字母
+                const userKey = userAnswer.trim().charAt(0).toUpperCase();
 
-// ========== 面具管理功能 - 结束 ==========
+                // 2. 提取标准答案的首字母 (防止AI有时候返回 "A." 有时候返回 "A")
+                const correctKey = q.answer.trim().charAt(0).toUpperCase();
 
-/**
- * 总结知识点功能
- */
-async function summarizeKnowledge() {
-    if (!currentChatContact) {
-        alert('请先打开一个聊天窗口');
-        return;
-    }
+                // 3. 对比字母
+                if (userKey === correctKey) {
+                    isCorrect = true;
+                }
+            } else {
+                // 填空题：保持严格文本匹配
+                if (userAnswer === q.answer) {
+                    isCorrect = true;
+                }
+            }
+            // 🔥🔥🔥 核心修复结束 🔥🔥🔥
 
-    const contactId = currentChatContact.id;
-    const memoryRounds = currentChatContact.memoryRounds || 10;
+            if (isCorrect) {
+                correctCount++;
+            } else {
+                wrongAnswers.push({
+                    question: q.question,
+                    type: q.type === 'choice' ? '选择题' : '填空题',
+                    userAnswer: userAnswer || '未作答',
+                    correctAnswer: q.answer
+                });
+            }
+        }
+    });
 
+    // 计算客观题得分
+    const objectiveScore = objectiveTotal > 0 ? Math.round((correctCount / objectiveTotal) * 100) : 0;
 
-    // 获取聊天历史
-    const chatHistory = JSON.parse(localStorage.getItem('phoneChatHistory') || '{}');
-    const messages = chatHistory[contactId] || [];
+    // 显示结果弹窗
+    document.getElementById('scoreNumber').textContent = objectiveScore;
 
-    if (messages.length === 0) {
-        alert('还没有聊天记录可以总结哦~');
-        return;
+    let detailsHTML = `
+        <div class="detail-item">
+            <span class="detail-label">客观题总数</span>
+            <span class="detail-value">${objectiveTotal}</span>
+        </div>
+        <div class="detail-item">
+            <span class="detail-label">答对数</span>
+            <span class="detail-value">${correctCount}</span>
+        </div>
+        <div class="detail-item">
+            <span class="detail-label">主观题数</span>
+            <span class="detail-value">${subjectiveQuestions.length}</span>
+        </div>
+        <div class="detail-item">
+            <span class="detail-label">用时</span>
+            <span class="detail-value">${useTime}</span>
+        </div>
+    `;
+
+    // 展示错题
+    if (wrongAnswers.length > 0) {
+        detailsHTML += '<div class="wrong-answers-section"><div class="section-title">错题解析</div>';
+        wrongAnswers.forEach((item, index) => {
+            detailsHTML += `
+                <div class="wrong-answer-item">
+                    <div class="wrong-q-number">错题 ${index + 1} (${item.type})</div>
+                    <div class="wrong-q-text">${item.question}</div>
+                    <div class="wrong-answer-row">
+                        <span class="answer-label wrong">你的答案：</span>
+                        <span class="answer-text">${item.userAnswer}</span>
+                    </div>
+                    <div class="wrong-answer-row">
+                        <span class="answer-label correct">正确答案：</span>
+                        <span class="answer-text">${item.correctAnswer}</span>
+                    </div>
+                </div>
+            `;
+        });
+        detailsHTML += '</div>';
     }
 
-    // 获取最近N轮对话
-    const recentMessages = messages.slice(-memoryRounds * 2); // 每轮包含用户和AI的消息
+    document.getElementById('scoreDetails').innerHTML = detailsHTML;
 
-    // 构建总结提示词
-    const conversationText = recentMessages.map(msg => {
-        const role = msg.sender === 'user' ? '我' : currentChatContact.name;
-        return `${role}: ${msg.text}`;
-    }).join('\n');
+    // 确保弹窗显示（之前修复的层级问题需要配合 CSS）
+    const modal = document.getElementById('testResultModal');
+    modal.classList.add('show');
+    modal.style.display = 'flex'; // 双重保险
 
-    const summaryPrompt = `请根据以下对话内容，提取和总结其中涉及的知识点、要点和关键信息。
-请以清单的形式列出，每个知识点简洁明了。
+    // 保存测试数据，用于后续生成AI反馈
+    testData.testResult = {
+        objectiveScore,
+        correctCount,
+        objectiveTotal,
+        subjectiveQuestions,
+        wrongAnswers,
+        useTime
+    };
+}
 
-对话内容：
-${conversationText}
+// ========== 关闭测试 ==========
+function closeTest() {
+    if (confirm('确定要退出测试吗？答案将不会保存。')) {
+        // 停止计时
+        if (timerInterval) {
+            clearInterval(timerInterval);
+            timerInterval = null;
+        }
 
-请按以下格式输出：
-【知识点清单】
-1. [知识点标题] - [简要说明]
-2. [知识点标题] - [简要说明]
-...`;
+        document.getElementById('testPage').classList.remove('show');
+        testData = {questions: [], answers: {}, startTime: null, selectedKnowledgeIds: []};
+    }
+}
 
-    // 显示加载提示
-    const messagesEl = document.getElementById('chatMessages');
-    const loadingMsg = _createMessageDOM(contactId, {
-        sender: 'contact',
-        text: '正在为你总结知识点...'
-    }, -1);
-    messagesEl.appendChild(loadingMsg);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    try {
-        // 调用API
-        const apiMessages = [
-            {role: 'system', content: '你是一个专业的知识整理助手。'},
-            {role: 'user', content: summaryPrompt}
-        ];
+// script.js
 
-        const result = await callApi(apiMessages);
+// ========== 关闭测试结果并生成AI反馈 (修复版) ==========
+async function closeTestResult() {
+    // 1. 关闭结果弹窗和测试页面
+    document.getElementById('testResultModal').classList.remove('show');
+    document.getElementById('testPage').classList.remove('show');
 
-        // 移除加载提示
-        loadingMsg.remove();
+    // 2. 🔥 核心修复：强制确保聊天页面是打开状态
+    // 这样测试结束后，你就不会掉回联系人列表，而是稳稳地留在聊天里
+    const chatPage = document.getElementById('chatPage');
+    if (!chatPage.classList.contains('show')) {
+        chatPage.classList.add('show');
+    }
 
-        if (!result.success) {
-            throw new Error(result.message);
-        }
+    // 3. 如果有测试结果，生成AI反馈
+    if (testData.testResult && currentChatContact) {
+        // 滚动到底部，准备查看反馈
+        const messagesEl = document.getElementById('chatMessages');
+        if (messagesEl) messagesEl.scrollTop = messagesEl.scrollHeight;
 
-        // 保存总结到知识库
-        const summary = {
-            id: 'SUMMARY_' + Date.now(),
-            contactId: contactId,
-            contactName: currentChatContact.name,
-            content: result.message,
-            memoryRounds: memoryRounds,
-            messageCount: recentMessages.length,
-            timestamp: Date.now()
-        };
+        await generateTestFeedback();
+    }
 
-        // 保存到localStorage
-        const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
-        knowledgeBase.unshift(summary); // 新的放在前面
-        localStorage.setItem('knowledgeBase', JSON.stringify(knowledgeBase));
-        updateTestButtonState(); // 更新测试按钮状态
+    // 4. 清空测试数据
+    testData = {questions: [], answers: {}, startTime: null, selectedKnowledgeIds: []};
+}
 
-        // 在聊天中显示总结
-        const summaryMessage = {
-            sender: 'contact',
-            text: `📝 知识点总结（基于最近${memoryRounds}轮对话）\n\n${result.message}`
-        };
 
-        const newIndex = saveMessage(contactId, summaryMessage);
-        const messageRow = _createMessageDOM(contactId, summaryMessage, newIndex);
-        messagesEl.appendChild(messageRow);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
+// ========== 生成测试反馈 ==========
+// script.js
 
-        showSuccessModal('总结成功', '知识点已保存到记忆存储中心！');
+// ========== 生成测试反馈 (修复版：精简上下文，防止 400400 错误) ==========
+async function generateTestFeedback() {
+    const result = testData.testResult;
+    const contactId = currentChatContact.id;
 
-    } catch (error) {
-        loadingMsg.remove();
-        console.error('总结失败:', error);
-        showErrorModal('总结失败', error.message || '请检查网络或API配置。');
-    }
-}
+    // 1. 构建测试情况报告
+    let reportText = `我刚刚完成了一次知识测试，以下是测试情况：\n\n`;
+    reportText += `📊 客观题成绩：${result.objectiveScore}分\n`;
+    reportText += `✅ 答对：${result.correctCount}/${result.objectiveTotal}题\n`;
+    reportText += `⏱️ 用时：${result.useTime}\n\n`;
 
-/**
- * 绑定总结按钮事件
- */
-function setupSummarizeButton() {
-    const summarizeBtn = document.getElementById('summarizeKnowledgeBtn');
-    if (summarizeBtn) {
-        summarizeBtn.addEventListener('click', () => {
-            // 关闭附件菜单
-            document.getElementById('attachmentMenu').classList.remove('show');
-            // 执行总结
-            summarizeKnowledge();
+    // 添加错题信息
+    if (result.wrongAnswers.length > 0) {
+        reportText += `❌ 错题详情：\n`;
+        result.wrongAnswers.forEach((item, index) => {
+            reportText += `\n第${index + 1}题：${item.question}\n`;
+            reportText += `我的答案：${item.userAnswer}\n`;
+            reportText += `正确答案：${item.correctAnswer}\n`;
         });
+        reportText += `\n`;
     }
-}
 
-/**
- * 绑定测试按钮事件
- */
-function setupTestButton() {
-    const testBtn = document.getElementById('generateTestBtn');
-    if (testBtn) {
-        testBtn.addEventListener('click', () => {
-            openTestConfig();
+    // 添加主观题信息
+    if (result.subjectiveQuestions.length > 0) {
+        reportText += `📝 主观题作答情况：\n`;
+        result.subjectiveQuestions.forEach((item, index) => {
+            reportText += `\n第${index + 1}题：${item.question}\n`;
+            reportText += `我的答案：${item.userAnswer || '未作答'}\n`;
+            reportText += `参考答案：${item.referenceAnswer}\n`;
         });
+        reportText += `\n`;
     }
-}
 
-// ========== 测试功能相关变量 ==========
-let testData = {
-    questions: [],
-    answers: {},
-    startTime: null,
-    selectedKnowledgeIds: []
-};
+    reportText += `请你：\n`;
+    reportText += `1. 像阅卷老师一样，对我的主观题作答进行评价和打分\n`;
+    reportText += `2. 分析我在这次测试中的表现\n`;
+    reportText += `3. 给出针对性的学习建议`;
 
-// ========== 测试功能：启用/禁用测试按钮 ==========
-function updateTestButtonState() {
-    const testBtn = document.getElementById('generateTestBtn');
-    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
+    // 2. 在聊天消息区显示用户的测试报告
+    const messagesEl = document.getElementById('chatMessages');
 
-    if (knowledgeBase.length > 0) {
-        // 有知识清单，启用按钮
-        testBtn.style.opacity = '1';
-        testBtn.style.pointerEvents = 'auto';
-    } else {
-        // 没有知识清单，禁用按钮
-        testBtn.style.opacity = '0.5';
-        testBtn.style.pointerEvents = 'none';
-    }
-}
+    const reportMessage = {
+        sender: 'user',
+        text: reportText
+    };
 
-// ========== 打开测试配置弹窗 ==========
-function openTestConfig() {
-    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
+    const reportIndex = saveMessage(contactId, reportMessage);
+    const reportRow = _createMessageDOM(contactId, reportMessage, reportIndex);
+    messagesEl.appendChild(reportRow);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    if (knowledgeBase.length === 0) {
-        alert('请先生成知识清单！');
-        return;
-    }
+    // 3. 显示加载提示
+    const loadingMsg = _createMessageDOM(contactId, {
+        sender: 'contact',
+        text: '正在分析你的测试情况...'
+    }, -1);
+    messagesEl.appendChild(loadingMsg);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
 
-    // 渲染知识清单选择器
-    const selector = document.getElementById('knowledgeSelector');
-    selector.innerHTML = '';
+    try {
+        // 🔥 4. [核心修复] 手动构建精简的 Prompt，不包含聊天历史
+        // 这样可以避免 API 因为上下文过长或混乱而报错 400400
+        const contact = contactsData.find(c => c.id === contactId);
 
-    knowledgeBase.forEach((item, index) => {
-        const checkboxItem = document.createElement('div');
-        checkboxItem.className = 'knowledge-checkbox-item';
+        let systemPrompt = "你是一位专业的辅导老师。";
+        // 如果联系人有人设，使用他的人设，保持语气一致
+        if (contact && contact.status) {
+            systemPrompt = `[角色设定]\n${contact.status}\n\n请保持这个角色的语气，对用户的测试成绩进行评价和指导。`;
+        }
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `knowledge-${item.id}`;
-        checkbox.value = item.id;
-        checkbox.checked = index === 0; // 默认选中第一个
+        const apiMessages = [
+            {role: 'system', content: systemPrompt},
+            {role: 'user', content: reportText}
+        ];
 
-        const label = document.createElement('label');
-        label.className = 'knowledge-checkbox-label';
-        label.htmlFor = `knowledge-${item.id}`;
+        // 🔥 关键：传入 true 作为第四个参数 (skipContext)，防止 callApi 自动追加历史记录
+        const response = await callApi(apiMessages, [], {}, true, {notifyRetry: true});
 
-        const date = new Date(item.timestamp).toLocaleDateString('zh-CN');
-        label.textContent = `${date} - ${item.contactName} (${item.memoryRounds}轮对话)`;
+        // 移除加载提示
+        loadingMsg.remove();
 
-        checkboxItem.appendChild(checkbox);
-        checkboxItem.appendChild(label);
-        selector.appendChild(checkboxItem);
-    });
+        if (!response.success) {
+            throw new Error(response.message);
+        }
 
-    document.getElementById('testConfigModal').classList.add('show');
-    document.getElementById('attachmentMenu').classList.remove('show');
-}
+        // 5. 保存并显示AI的反馈
+        const feedbackMessage = {
+            sender: 'contact',
+            text: response.message
+        };
 
-// ========== 关闭测试配置弹窗 ==========
-function closeTestConfig() {
-    document.getElementById('testConfigModal').classList.remove('show');
-}
+        const feedbackIndex = saveMessage(contactId, feedbackMessage);
+        const feedbackRow = _createMessageDOM(contactId, feedbackMessage, feedbackIndex);
+        messagesEl.appendChild(feedbackRow);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
 
-// ========== 调整题目数量 ==========
-function adjustQuestionCount(delta) {
-    const input = document.getElementById('questionCountInput');
-    let value = parseInt(input.value) || 5;
-    value = Math.max(1, Math.min(20, value + delta));
-    input.value = value;
-}
+    } catch (error) {
+        loadingMsg.remove();
+        console.error('生成测试反馈失败:', error);
 
-/**
- * [终极版] 鲁棒的 JSON 解析器
- * 能够从各种混乱的 AI 回复中提取出合法的 JSON 对象
- */
-function robustJsonParse(rawMessage) {
-    if (!rawMessage || typeof rawMessage !== 'string') {
-        throw new Error("输入内容为空或不是字符串");
+        const errorMessage = {
+            sender: 'contact',
+            text: '抱歉，生成反馈时出现了问题：' + error.message
+        };
+        const errorIndex = saveMessage(contactId, errorMessage);
+        const errorRow = _createMessageDOM(contactId, errorMessage, errorIndex);
+        messagesEl.appendChild(errorRow);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
     }
+}
 
-    let text = rawMessage;
-
-    // 1. 尝试暴力查找最外层的 {}
-    // 这一步能解决 99% 的 "好的，这是结果：{...} 结束" 这种问题
-    const firstBrace = text.indexOf('{');
-    const lastBrace = text.lastIndexOf('}');
-
-    if (firstBrace !== -1 && lastBrace > firstBrace) {
-        text = text.substring(firstBrace, lastBrace + 1);
+// ========== 构建聊天上下文（包括人设、面具等）==========
+function buildChatContext(contactId, userMessage) {
+    const contact = contactsData.find(c => c.id === contactId);
+    if (!contact) {
+        return [
+            {role: 'user', content: userMessage}
+        ];
     }
 
-    // 2. 清理可能残留的 Markdown 标记 (虽然提取 {} 后通常不需要，但为了保险)
-    text = text.replace(/```json/gi, '').replace(/```/g, '');
+    const messages = [];
 
-    // 3. 尝试解析
-    try {
-        return JSON.parse(text);
-    } catch (e) {
-        console.error("JSON 解析失败，原始文本:", rawMessage);
-        console.error("提取后文本:", text);
+    // 1. 添加系统提示词（角色设定）
+    let systemPrompt = '';
 
-        // 4. [高级容错] 尝试修复常见的 JSON 尾部逗号错误 (例如: {"a":1,} -> {"a":1})
-        try {
-            const fixedText = text.replace(/,(\s*[}\]])/g, '$1');
-            return JSON.parse(fixedText);
-        } catch (e2) {
-            throw new Error("无法从回复中提取有效 JSON，请检查 AI 输出格式。");
-        }
+    // 添加角色persona
+    if (contact.status) {
+        systemPrompt += contact.status + '\n\n';
     }
-}
-
-// ========== 开始生成测试 ==========
-// ========== 开始生成测试 (终极修复版) ==========
-async function startGenerateTest() {
-    // 1. 获取选中的知识清单
-    const selectedIds = [];
-    document.querySelectorAll('.knowledge-checkbox-item input:checked').forEach(cb => {
-        selectedIds.push(cb.value);
-    });
 
-    if (selectedIds.length === 0) {
-        alert('请至少选择一个知识清单！');
-        return;
+    // 添加绑定的世界书
+    if (contact.boundWorldbooks && contact.boundWorldbooks.length > 0) {
+        contact.boundWorldbooks.forEach(wbId => {
+            const wb = worldbookData.find(w => w.id === wbId);
+            if (wb) {
+                systemPrompt += `${wb.title}:\n${wb.content}\n\n`;
+            }
+        });
     }
 
-    const questionCount = parseInt(document.getElementById('questionCountInput').value) || 5;
-
-    // 2. 准备知识内容
-    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
-    const selectedKnowledge = knowledgeBase.filter(item => selectedIds.includes(item.id));
-    let knowledgeContent = '';
-    selectedKnowledge.forEach((item, index) => {
-        knowledgeContent += `\n\n[材料 ${index + 1}]\n${item.content}`;
-    });
-
-    // 3. 构建 Prompt (🔥 关键修改：通过话术绕过思考模型的死锁)
-    // 我们不再说“严禁输出其他内容”，而是说“请生成内容，最终包含一个JSON代码块即可”
-    const prompt = `
-[DATA_CONVERSION_TASK]
-Input_Data:
-${knowledgeContent}
-Target_Format: JSON
-Question_Count: ${questionCount}
-Instructions:
-Convert the above "Input_Data" into a JSON object containing ${questionCount} quiz questions.
-Do not overthink. Output the JSON immediately.
-JSON_Template:
-{
-  "questions": [
-    { "type": "choice", "question": "...", "options": ["A", "B", "C", "D"], "answer": "A" },
-    { "type": "fill", "question": "...", "answer": "..." }
-  ]
-}
-`;
+    // 添加绑定的面具
+    if (contact.boundMasks && contact.boundMasks.length > 0) {
+        contact.boundMasks.forEach(maskId => {
+            const mask = masksData.find(m => m.id === maskId);
+            if (mask) {
+                systemPrompt += `人设 - ${mask.name}:\n${mask.content}\n\n`;
+            }
+        });
+    }
 
-    closeTestConfig();
-    showSuccessModal('生成中', 'AI 正在出题，请耐心等待 (约10-20秒)...', 0); // 0 表示不自动关闭
+    // 添加用户设定
+    if (userProfile.persona) {
+        systemPrompt += `用户设定:\n${userProfile.persona}\n\n`;
+    }
 
-    try {
-        // 🔥 4. 调用 API，传入 skipContext=true
-        // 这将发送一个纯净的请求，避免 400400 错误
-        const result = await callApi(
-            [
-                {role: 'system', content: '你是一个试题生成助手。'},
-                {role: 'user', content: prompt}
-            ],
-            [], // fileInfos
-            {}, // customVariables
-            true // 🔴 skipContext: 开启！这是解决 bug 的关键
-        );
+    if (systemPrompt) {
+        messages.push({
+            role: 'system',
+            content: systemPrompt.trim()
+        });
+    }
 
-        if (!result.success) {
-            throw new Error(result.message);
-        }
+    // 2. 添加历史对话（记忆轮数）
+    const memoryRounds = contact.memoryRounds || 10;
+    const chatHistory = JSON.parse(localStorage.getItem(`chat_${contactId}`) || '[]');
+    const recentMessages = chatHistory.slice(-memoryRounds * 2);
 
-        console.log("AI 原始回复:", result.message);
+    recentMessages.forEach(msg => {
+        messages.push({
+            role: msg.sender === 'user' ? 'user' : 'assistant',
+            content: msg.text
+        });
+    });
 
-        // 5. 健壮解析 (无论 AI 是否有废话，或者有 <think> 标签，都能提取)
-        let questionsData;
-        try {
-            // 先清洗掉 <think> 标签 (如果是思考模型)
-            let cleanText = result.message.replace(/<think>[\s\S]*?<\/think>/gi, "");
+    // 3. 添加当前用户消息
+    messages.push({
+        role: 'user',
+        content: userMessage
+    });
 
-            // 提取最外层的 {...}
-            const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+    return messages;
+}
 
-            if (jsonMatch) {
-                questionsData = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error("未找到 JSON 对象");
-            }
-        } catch (parseError) {
-            console.error('JSON解析失败:', parseError);
-            throw new Error(`AI生成的格式不正确，请重试。`);
-        }
 
-        // 6. 保存数据并显示
-        testData.questions = questionsData.questions || [];
-        testData.answers = {};
-        testData.selectedKnowledgeIds = selectedIds;
+// ========== 在总结知识点后更新测试按钮状态 ==========
+// 修改原有的 summarizeKnowledge 函数，在保存知识点后调用
+// 在 summarizeKnowledge 函数的最后，localStorage.setItem 之后添加：
+// updateTestButtonState();
 
-        document.getElementById('successModal').classList.remove('show');
-        document.getElementById('testReadyModal').classList.add('show');
+// ========== 记忆存储中心功能 ==========
 
-    } catch (error) {
-        document.getElementById('successModal').classList.remove('show');
-        console.error('生成测试失败:', error);
-        showErrorModal('生成失败', error.message.includes('400') ? '请求内容过长或违规，请减少知识点数量。' : error.message);
-    }
+/**
+ * 打开记忆存储中心
+ */
+function openMemoryCenter() {
+    document.getElementById('memoryCenterPage').classList.add('show');
+    renderKnowledgeList();
+    renderContactMemoryList();
 }
 
-// ========== 关闭测试准备弹窗 ==========
-function closeTestReady() {
-    document.getElementById('testReadyModal').classList.remove('show');
+/**
+ * 关闭记忆存储中心
+ */
+function closeMemoryCenter() {
+    document.getElementById('memoryCenterPage').classList.remove('show');
 }
 
-// ========== 开始测试 ==========
-// ========== 开始测试 (修复版) ==========
-function startTest() {
-    closeTestReady();
+/**
+ * 切换Tab
+ */
+function switchMemoryTab(tabName) {
+    // 更新tab样式
+    document.querySelectorAll('.memory-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabName);
+    });
 
-    // 1. 🔥 核心修复：先显示页面！
-    // 必须先给页面添加 .show 类，否则 updateTimer 函数会检测到页面未显示而自动杀死计时器
-    document.getElementById('testPage').classList.add('show');
+    // 切换内容区域
+    document.getElementById('knowledgeMemoryArea').style.display =
+        tabName === 'knowledge' ? 'block' : 'none';
+    document.getElementById('contactMemoryArea').style.display =
+        tabName === 'memories' ? 'block' : 'none';
+}
 
-    // 2. 渲染测试页面内容
-    const testContent = document.getElementById('testContent');
-    testContent.innerHTML = '';
+/**
+ * 渲染知识清单列表
+ */
+function renderKnowledgeList() {
+    const container = document.getElementById('knowledgeList');
+    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
 
-    testData.questions.forEach((q, index) => {
-        const questionDiv = document.createElement('div');
-        questionDiv.className = 'test-question';
+    if (knowledgeBase.length === 0) {
+        container.innerHTML = `
+            <div class="memory-empty">
+                <div class="memory-empty-icon">📚</div>
+                <div class="memory-empty-text">还没有保存的知识点</div>
+                <div class="memory-empty-hint">在聊天中点击"总结"按钮来生成知识清单</div>
+            </div>
+        `;
+        return;
+    }
 
-        let typeLabel = '';
-        let typeClass = '';
-        if (q.type === 'choice') {
-            typeLabel = '选择题';
-            typeClass = 'choice';
-        } else if (q.type === 'fill') {
-            typeLabel = '填空题';
-            typeClass = 'fill';
-        } else {
-            typeLabel = '主观题';
-            typeClass = 'subjective';
-        }
+    container.innerHTML = '';
 
-        let optionsHTML = '';
-        if (q.type === 'choice') {
-            optionsHTML = '<div class="question-options">';
-            q.options.forEach((option, optIndex) => {
-                optionsHTML += `
-                    <div class="option-item" onclick="selectOption(${index}, '${option}', this)">
-                        <input type="radio" name="q${index}" value="${option}" id="q${index}_opt${optIndex}">
-                        <label class="option-label" for="q${index}_opt${optIndex}">${option}</label>
-                    </div>
-                `;
-            });
-            optionsHTML += '</div>';
-        } else {
-            optionsHTML = `<textarea class="answer-input" id="answer_${index}" placeholder="请输入你的答案..."></textarea>`;
-        }
+    knowledgeBase.forEach(item => {
+        const card = document.createElement('div');
+        card.className = 'knowledge-card';
 
-        questionDiv.innerHTML = `
-            <div class="question-header">
-                <div class="question-number">${index + 1}</div>
-                <div class="question-type ${typeClass}">${typeLabel}</div>
+        const date = new Date(item.timestamp).toLocaleDateString('zh-CN', {
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        card.innerHTML = `
+            <div class="knowledge-card-header">
+                <div class="knowledge-card-title">💡 知识总结</div>
+                <div class="knowledge-card-meta">
+                    <div class="knowledge-card-date">${date}</div>
+                    <div class="knowledge-card-badge">${item.memoryRounds}轮对话</div>
+                </div>
+            </div>
+            <div class="knowledge-card-content">${escapeHTML(item.content)}</div>
+            <div class="knowledge-card-footer">
+                <div class="knowledge-card-source">来源: ${escapeHTML(item.contactName)}</div>
+                <div class="knowledge-card-actions">
+                    <button class="knowledge-action-btn delete-knowledge-btn" onclick="deleteKnowledge('${item.id}')">
+                        删除
+                    </button>
+                </div>
             </div>
-            <div class="question-text">${q.question}</div>
-            ${optionsHTML}
         `;
 
-        testContent.appendChild(questionDiv);
+        container.appendChild(card);
     });
-
-    // 3. 开始计时 (现在页面已经显示了，计时器可以安全启动)
-    testData.startTime = Date.now();
-    if (timerInterval) {
-        clearInterval(timerInterval);
-    }
-    timerInterval = setInterval(updateTimer, 1000); // 每秒更新一次
-    updateTimer(); // 立即更新一次
 }
 
-// ========== 选择选项 ==========
-function selectOption(questionIndex, answer, element) {
-    // 移除同组其他选项的选中状态
-    const parent = element.parentElement;
-    parent.querySelectorAll('.option-item').forEach(item => {
-        item.classList.remove('selected');
-    });
+/**
+ * 删除知识点
+ */
+function deleteKnowledge(knowledgeId) {
+    if (!confirm('确定要删除这条知识总结吗？')) return;
 
-    // 添加选中状态
-    element.classList.add('selected');
-    element.querySelector('input').checked = true;
+    let knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
+    knowledgeBase = knowledgeBase.filter(item => item.id !== knowledgeId);
+    localStorage.setItem('knowledgeBase', JSON.stringify(knowledgeBase));
 
-    // 保存答案
-    testData.answers[questionIndex] = answer;
+    renderKnowledgeList();
+    showSuccessModal('删除成功', '知识点已移除');
 }
 
-// ========== 更新计时器 ==========
-let timerInterval = null; // 新增：存储计时器ID
+// ========== 长期记忆 (自动滚动摘要) - 开始 ==========
 
-function updateTimer() {
-    const timerEl = document.getElementById('testTimer');
-    if (!testData.startTime || !document.getElementById('testPage').classList.contains('show')) {
-        if (timerInterval) {
-            clearInterval(timerInterval);
-            timerInterval = null;
-        }
-        return;
-    }
+// 每累积这么多轮「已滑出最近对话窗口」的消息，就压缩成一条记忆
+const MEMORY_SUMMARY_TURNS = 10;
+// 最近对话窗口的大小，与组装上下文时取的最近消息数一致，窗口内的消息不做总结
+const MEMORY_RECENT_WINDOW = 20;
+// 每次请求最多注入的未置顶记忆条数（置顶的全部注入）
+const MEMORY_CONTEXT_LIMIT = 8;
 
-    const elapsed = Math.floor((Date.now() - testData.startTime) / 1000);
-    const minutes = Math.floor(elapsed / 60);
-    const seconds = elapsed % 60;
-    timerEl.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-}
+const MEMORY_CHAT_TYPES = {
+    normal: {label: '日常', storageKey: 'phoneChatHistory'},
+    sweetheart: {label: '密友', storageKey: 'phoneSweetheartChatHistory'}
+};
 
-// ========== 提交测试 ==========
-// script.js - 修改 submitTest 函数
+const MEMORY_SUMMARY_PROMPT = `你是一个记忆整理助手。请把下面这段对话压缩成一条简短的长期记忆，供角色以后回忆使用。
+要求：
+1. 用第三人称记录发生了什么、用户透露了哪些个人信息（喜好、计划、经历、重要的人和事）、双方做过的约定；
+2. 保留具体的时间、地点、名字和数字；
+3. 不超过 150 字，只输出记忆内容本身。`;
 
-async function submitTest() {
-    // 停止计时
-    if (timerInterval) {
-        clearInterval(timerInterval);
-        timerInterval = null;
-    }
+// 所有联系人的记忆，key 为联系人 ID：{contactName, entries: [], progress: {normal, sweetheart}}
+let contactMemories = JSON.parse(localStorage.getItem('phoneContactMemories') || '{}');
+// 正在总结中的 `${chatType}_${contactId}`，避免同一段对话被重复总结
+const memoryUpdatesInFlight = new Set();
+// 记忆中心正在编辑的记忆 ID
+let editingMemoryId = null;
 
-    const useTime = document.getElementById('testTimer').textContent;
+/**
+ * 保存所有记忆到 localStorage
+ */
+function saveContactMemories() {
+    try {
+        localStorage.setItem('phoneContactMemories', JSON.stringify(contactMemories));
+    } catch (e) {
+        console.error('保存长期记忆失败:', e);
+    }
+}
 
-    // 1. 收集填空题/主观题的输入框答案
-    testData.questions.forEach((q, index) => {
-        if (q.type !== 'choice' && !testData.answers[index]) {
-            const answerInput = document.getElementById(`answer_${index}`);
-            if (answerInput) {
-                testData.answers[index] = answerInput.value.trim();
-            }
-        }
+/**
+ * 获取（必要时创建）联系人的记忆记录
+ * @param {string} contactId
+ * @param {string} [contactName]
+ * @returns {{contactName: string, entries: Array, progress: object}}
+ */
+function getContactMemoryRecord(contactId, contactName) {
+    if (!contactMemories[contactId]) {
+        contactMemories[contactId] = {contactName: contactName || '', entries: [], progress: {}};
+    }
+    const record = contactMemories[contactId];
+    if (contactName) record.contactName = contactName;
+    return record;
+}
+
+/**
+ * 找出第一条还没有总结过的消息
+ * 进度记的是已总结的最后一条消息的时间戳：删除、编辑消息或切换分支后序号会变，时间戳不会
+ * 一次回复分成多条时可能在同一毫秒内保存，所以还要记到这个时间戳的第几条（没有时间戳的旧消息按 0 计）
+ * @param {Array} history
+ * @param {{timestamp: number, count: number}|undefined} progress - record.progress[chatType]
+ * @returns {number}
+ */
+function findMemoryProgressIndex(history, progress) {
+    if (!progress || typeof progress.timestamp !== 'number') return 0;
+    let sameTimestamp = 0;
+    const index = history.findIndex(msg => {
+        const timestamp = msg.timestamp || 0;
+        if (timestamp !== progress.timestamp) return timestamp > progress.timestamp;
+        sameTimestamp++;
+        return sameTimestamp > (progress.count || 0);
     });
+    return index === -1 ? history.length : index;
+}
+
+/**
+ * 已总结到的位置：前 until 条消息中最后一条的时间戳，以及到它为止同一时间戳的消息数
+ * @param {Array} history
+ * @param {number} until - 已总结部分之后第一条的序号
+ * @returns {{timestamp: number, count: number}}
+ */
+function getMemoryProgressMark(history, until) {
+    const timestamp = history[until - 1]?.timestamp || 0;
+    const count = history.slice(0, until).filter(msg => (msg.timestamp || 0) === timestamp).length;
+    return {timestamp, count};
+}
+
+/**
+ * 把一段消息写成对话文本（只保留文字，多媒体内容用占位符）
+ */
+function formatMemoryDialog(messages, contactName) {
+    return messages
+        .filter(msg => msg.sender === 'user' || msg.sender === 'contact')
+        .map(msg => {
+            let text = msg.text || '';
+            if (msg.type === 'voice' && msg.content) text = `[语音] ${msg.content.text || ''}`;
+            if (msg.type === 'red-packet' && msg.content) text = `[红包] ${msg.content.greeting || ''}`;
+            text = text.replace(/<render>[\s\S]*?<\/render>/g, '[卡片]').replace(/<[^>]+>/g, '');
+            const time = msg.timestamp ? `[${new Date(msg.timestamp).toLocaleString('zh-CN')}] ` : '';
+            const speaker = msg.sender === 'user' ? '用户' : (msg.speakerId && findContactForCard(msg.speakerId)?.name) || contactName;
+            return text.trim() ? `${time}${speaker}: ${text.trim()}` : '';
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * 收到回复后调用：滑出最近对话窗口的消息累积满 MEMORY_SUMMARY_TURNS 轮时，在后台总结成一条记忆
+ * 总结失败时不推进进度，下次回复后会重试
+ * @param {'normal'|'sweetheart'} chatType
+ * @param {string} contactId
+ * @param {string} contactName
+ */
+async function updateContactMemory(chatType, contactId, contactName) {
+    const flightKey = `${chatType}_${contactId}`;
+    if (memoryUpdatesInFlight.has(flightKey)) return;
+
+    await ChatHistoryStore.load(MEMORY_CHAT_TYPES[chatType].storageKey, contactId);
+    const history = ChatHistoryStore.view(MEMORY_CHAT_TYPES[chatType].storageKey, contactId);
+    const record = getContactMemoryRecord(contactId, contactName);
+    const from = findMemoryProgressIndex(history, record.progress[chatType]);
+    const until = history.length - MEMORY_RECENT_WINDOW;
+    if (until - from < MEMORY_SUMMARY_TURNS * 2) return;
+
+    const chunk = history.slice(from, until);
+    // 等待总结期间聊天记录可能变化，进度先按现在的记录算好
+    const progressMark = getMemoryProgressMark(history, until);
+    const dialog = formatMemoryDialog(chunk, contactName);
+    if (!dialog) {
+        record.progress[chatType] = progressMark;
+        saveContactMemories();
+        return;
+    }
 
-    // 检查是否所有题目都已作答
-    const unanswered = testData.questions.filter((q, index) => !testData.answers[index]);
-    if (unanswered.length > 0) {
-        if (!confirm(`还有${unanswered.length}道题未作答，确定要提交吗？`)) {
-            timerInterval = setInterval(updateTimer, 1000);
+    memoryUpdatesInFlight.add(flightKey);
+    try {
+        const result = await callApi([
+            {role: 'system', content: MEMORY_SUMMARY_PROMPT},
+            {role: 'user', content: `角色：${contactName}\n\n${dialog}`}
+        ], [], {}, false, {contact: {id: `memory_${contactId}`, name: contactName}});
+
+        if (!result.success) {
+            console.warn(`长期记忆总结失败（${contactName}）:`, result.message);
             return;
         }
+
+        const timestamps = chunk.map(msg => msg.timestamp).filter(Boolean);
+        record.entries.push({
+            id: 'MEM_' + Date.now(),
+            chatType,
+            content: result.message.replace(/<think>[\s\S]*?<\/think>/gi, '').trim(),
+            startTime: timestamps.length > 0 ? Math.min(...timestamps) : Date.now(),
+            endTime: timestamps.length > 0 ? Math.max(...timestamps) : Date.now(),
+            messageCount: chunk.length,
+            pinned: false,
+            timestamp: Date.now()
+        });
+        record.progress[chatType] = progressMark;
+        saveContactMemories();
+        console.log(`🧠 已为 ${contactName} 生成一条长期记忆（${chunk.length} 条消息）`);
+
+        if (document.getElementById('memoryCenterPage').classList.contains('show')) renderContactMemoryList();
+    } catch (e) {
+        console.error('长期记忆总结出错:', e);
+    } finally {
+        memoryUpdatesInFlight.delete(flightKey);
     }
+}
 
-    // 计算得分
-    let correctCount = 0;
-    let objectiveTotal = 0;
-    const subjectiveQuestions = [];
-    const wrongAnswers = [];
+/**
+ * 记忆与当前对话的相关度：统计最近对话中的双字片段在记忆里出现的次数
+ * @param {string} content
+ * @param {Set<string>} queryGrams
+ * @returns {number}
+ */
+function scoreMemoryRelevance(content, queryGrams) {
+    let score = 0;
+    for (let i = 0; i < content.length - 1; i++) {
+        if (queryGrams.has(content.slice(i, i + 2))) score++;
+    }
+    return score;
+}
 
-    testData.questions.forEach((q, index) => {
-        const userAnswer = testData.answers[index] || '';
+/**
+ * 组装上下文时注入的长期记忆：置顶的全部注入，其余按与最近对话的相关度（相同时按时间从新到旧）取前几条
+ * @param {string} contactId
+ * @param {Array<string>} scanTexts - 最近的对话文本
+ * @returns {Array<object>} 记忆条目，按重要性从高到低
+ */
+function getMemoryContextEntries(contactId, scanTexts = []) {
+    const record = contactMemories[contactId];
+    if (!record || record.entries.length === 0) return [];
 
-        if (q.type === 'subjective') {
-            subjectiveQuestions.push({
-                question: q.question,
-                userAnswer: userAnswer,
-                referenceAnswer: q.answer
-            });
-        } else {
-            // 客观题（选择 + 填空）
-            objectiveTotal++;
+    const queryText = scanTexts.filter(Boolean).join('\n').toLowerCase();
+    const queryGrams = new Set();
+    for (let i = 0; i < queryText.length - 1; i++) {
+        const gram = queryText.slice(i, i + 2);
+        if (gram.trim().length === 2) queryGrams.add(gram);
+    }
 
-            let isCorrect = false;
+    const pinned = record.entries.filter(entry => entry.pinned);
+    const others = record.entries
+        .filter(entry => !entry.pinned)
+        .map(entry => ({entry, score: scoreMemoryRelevance(entry.content.toLowerCase(), queryGrams)}))
+        .sort((a, b) => (b.score - a.score) || (b.entry.endTime - a.entry.endTime))
+        .slice(0, MEMORY_CONTEXT_LIMIT)
+        .map(item => item.entry);
+    return [...pinned, ...others];
+}
 
-            // 🔥🔥🔥 核心修复开始：智能对比逻辑 🔥🔥🔥
-            if (q.type === 'choice') {
-                // 1. 提取用户答案的首字母 (例如 "A. 内容" -> "A")
-                // 使用 charAt(0) 并转大写，确保只是对比字母
-                const userKey = userAnswer.trim().charAt(0).toUpperCase();
+/**
+ * 把保留下来的记忆按时间顺序拼成一条 system 消息
+ */
+function formatMemoryContext(entries) {
+    const lines = [...entries]
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(entry => `- ${formatMemoryDateRange(entry)}${entry.pinned ? '（重要）' : ''}：${entry.content}`);
+    return `[长期记忆：你和用户之前发生过的事，自然地记住它们，不要逐条复述]\n${lines.join('\n')}`;
+}
 
-                // 2. 提取标准答案的首字母 (防止AI有时候返回 "A." 有时候返回 "A")
-                const correctKey = q.answer.trim().charAt(0).toUpperCase();
+/**
+ * 记忆覆盖的日期范围，如 10/01 或 10/01-10/03
+ */
+function formatMemoryDateRange(entry) {
+    const format = time => new Date(time).toLocaleDateString('zh-CN', {month: '2-digit', day: '2-digit'});
+    const start = format(entry.startTime);
+    const end = format(entry.endTime);
+    return start === end ? start : `${start}-${end}`;
+}
 
-                // 3. 对比字母
-                if (userKey === correctKey) {
-                    isCorrect = true;
-                }
-            } else {
-                // 填空题：保持严格文本匹配
-                if (userAnswer === q.answer) {
-                    isCorrect = true;
-                }
-            }
-            // 🔥🔥🔥 核心修复结束 🔥🔥🔥
+/**
+ * 「长期记忆」分块
+ * @param {string} contactId
+ * @param {Array<string>} scanTexts - 最近的对话文本，用于挑选相关记忆
+ */
+function buildMemoryContextSection(contactId, scanTexts) {
+    return {
+        key: 'memory',
+        items: getMemoryContextEntries(contactId, scanTexts),
+        format: formatMemoryContext
+    };
+}
 
-            if (isCorrect) {
-                correctCount++;
-            } else {
-                wrongAnswers.push({
-                    question: q.question,
-                    type: q.type === 'choice' ? '选择题' : '填空题',
-                    userAnswer: userAnswer || '未作答',
-                    correctAnswer: q.answer
-                });
-            }
-        }
-    });
+/**
+ * 渲染记忆中心的「长期记忆」列表
+ */
+function renderContactMemoryList() {
+    const filterEl = document.getElementById('memoryContactFilter');
+    const container = document.getElementById('contactMemoryList');
+    const contactIds = Object.keys(contactMemories).filter(id => contactMemories[id].entries.length > 0);
 
-    // 计算客观题得分
-    const objectiveScore = objectiveTotal > 0 ? Math.round((correctCount / objectiveTotal) * 100) : 0;
+    const selected = contactIds.includes(filterEl.value) ? filterEl.value : 'all';
+    filterEl.innerHTML = `<option value="all">全部角色</option>` + contactIds
+        .map(id => `<option value="${escapeHTML(id)}">${escapeHTML(contactMemories[id].contactName || id)}</option>`)
+        .join('');
+    filterEl.value = selected;
 
-    // 显示结果弹窗
-    document.getElementById('scoreNumber').textContent = objectiveScore;
+    const items = contactIds
+        .filter(id => selected === 'all' || id === selected)
+        .flatMap(id => contactMemories[id].entries.map(entry => ({contactId: id, entry})))
+        .sort((a, b) => (b.entry.pinned - a.entry.pinned) || (b.entry.endTime - a.entry.endTime));
 
-    let detailsHTML = `
-        <div class="detail-item">
-            <span class="detail-label">客观题总数</span>
-            <span class="detail-value">${objectiveTotal}</span>
-        </div>
-        <div class="detail-item">
-            <span class="detail-label">答对数</span>
-            <span class="detail-value">${correctCount}</span>
-        </div>
-        <div class="detail-item">
-            <span class="detail-label">主观题数</span>
-            <span class="detail-value">${subjectiveQuestions.length}</span>
-        </div>
-        <div class="detail-item">
-            <span class="detail-label">用时</span>
-            <span class="detail-value">${useTime}</span>
-        </div>
-    `;
+    if (items.length === 0) {
+        container.innerHTML = `
+            <div class="memory-empty">
+                <div class="memory-empty-icon">🧠</div>
+                <div class="memory-empty-text">还没有长期记忆</div>
+                <div class="memory-empty-hint">聊天记录较多后，较早的对话会自动整理成记忆</div>
+            </div>
+        `;
+        return;
+    }
 
-    // 展示错题
-    if (wrongAnswers.length > 0) {
-        detailsHTML += '<div class="wrong-answers-section"><div class="section-title">错题解析</div>';
-        wrongAnswers.forEach((item, index) => {
-            detailsHTML += `
-                <div class="wrong-answer-item">
-                    <div class="wrong-q-number">错题 ${index + 1} (${item.type})</div>
-                    <div class="wrong-q-text">${item.question}</div>
-                    <div class="wrong-answer-row">
-                        <span class="answer-label wrong">你的答案：</span>
-                        <span class="answer-text">${item.userAnswer}</span>
-                    </div>
-                    <div class="wrong-answer-row">
-                        <span class="answer-label correct">正确答案：</span>
-                        <span class="answer-text">${item.correctAnswer}</span>
-                    </div>
+    container.innerHTML = '';
+    items.forEach(({contactId, entry}) => {
+        const card = document.createElement('div');
+        card.className = 'knowledge-card' + (entry.pinned ? ' memory-card-pinned' : '');
+        const isEditing = entry.id === editingMemoryId;
+        const args = `'${escapeHTML(contactId)}', '${entry.id}'`;
+
+        card.innerHTML = `
+            <div class="knowledge-card-header">
+                <div class="knowledge-card-title">${entry.pinned ? '📌' : '🧠'} ${formatMemoryDateRange(entry)}</div>
+                <div class="knowledge-card-meta">
+                    <div class="knowledge-card-date">${entry.messageCount} 条消息</div>
+                    <div class="knowledge-card-badge">${MEMORY_CHAT_TYPES[entry.chatType]?.label || ''}</div>
                 </div>
-            `;
-        });
-        detailsHTML += '</div>';
-    }
+            </div>
+            ${isEditing
+            ? `<textarea class="memory-edit-textarea" id="memoryEditInput">${escapeHTML(entry.content)}</textarea>`
+            : `<div class="knowledge-card-content">${escapeHTML(entry.content)}</div>`}
+            <div class="knowledge-card-footer">
+                <div class="knowledge-card-source">来源: ${escapeHTML(contactMemories[contactId].contactName || contactId)}</div>
+                <div class="knowledge-card-actions">
+                    ${isEditing ? `
+                    <button class="knowledge-action-btn memory-action-btn" onclick="cancelContactMemoryEdit()">取消</button>
+                    <button class="knowledge-action-btn memory-action-btn" onclick="saveContactMemoryEdit(${args})">保存</button>
+                    ` : `
+                    <button class="knowledge-action-btn memory-action-btn" onclick="toggleContactMemoryPin(${args})">${entry.pinned ? '取消置顶' : '置顶'}</button>
+                    <button class="knowledge-action-btn memory-action-btn" onclick="editContactMemory('${entry.id}')">编辑</button>
+                    <button class="knowledge-action-btn delete-knowledge-btn" onclick="deleteContactMemory(${args})">删除</button>
+                    `}
+                </div>
+            </div>
+        `;
+        container.appendChild(card);
+    });
+}
 
-    document.getElementById('scoreDetails').innerHTML = detailsHTML;
+/**
+ * 查找某条记忆
+ */
+function findContactMemory(contactId, memoryId) {
+    const record = contactMemories[contactId];
+    return record ? record.entries.find(entry => entry.id === memoryId) : null;
+}
 
-    // 确保弹窗显示（之前修复的层级问题需要配合 CSS）
-    const modal = document.getElementById('testResultModal');
-    modal.classList.add('show');
-    modal.style.display = 'flex'; // 双重保险
+/**
+ * 置顶 / 取消置顶（置顶的记忆每次都会发送给 AI）
+ */
+function toggleContactMemoryPin(contactId, memoryId) {
+    const entry = findContactMemory(contactId, memoryId);
+    if (!entry) return;
+    entry.pinned = !entry.pinned;
+    saveContactMemories();
+    renderContactMemoryList();
+}
 
-    // 保存测试数据，用于后续生成AI反馈
-    testData.testResult = {
-        objectiveScore,
-        correctCount,
-        objectiveTotal,
-        subjectiveQuestions,
-        wrongAnswers,
-        useTime
-    };
+/**
+ * 进入编辑状态
+ */
+function editContactMemory(memoryId) {
+    editingMemoryId = memoryId;
+    renderContactMemoryList();
+    const input = document.getElementById('memoryEditInput');
+    if (input) input.focus();
 }
 
-// ========== 关闭测试 ==========
-function closeTest() {
-    if (confirm('确定要退出测试吗？答案将不会保存。')) {
-        // 停止计时
-        if (timerInterval) {
-            clearInterval(timerInterval);
-            timerInterval = null;
-        }
+/**
+ * 取消编辑
+ */
+function cancelContactMemoryEdit() {
+    editingMemoryId = null;
+    renderContactMemoryList();
+}
 
-        document.getElementById('testPage').classList.remove('show');
-        testData = {questions: [], answers: {}, startTime: null, selectedKnowledgeIds: []};
+/**
+ * 保存编辑后的记忆
+ */
+function saveContactMemoryEdit(contactId, memoryId) {
+    const entry = findContactMemory(contactId, memoryId);
+    const content = document.getElementById('memoryEditInput').value.trim();
+    if (!entry) return;
+    if (!content) {
+        alert('记忆内容不能为空！');
+        return;
     }
+    entry.content = content;
+    entry.editedAt = Date.now();
+    editingMemoryId = null;
+    saveContactMemories();
+    renderContactMemoryList();
+    showSuccessModal('保存成功', '记忆已更新');
 }
 
+/**
+ * 删除记忆（对应的聊天记录不会再被重新总结）
+ */
+function deleteContactMemory(contactId, memoryId) {
+    if (!confirm('确定要删除这条记忆吗？')) return;
+    const record = contactMemories[contactId];
+    if (!record) return;
+    record.entries = record.entries.filter(entry => entry.id !== memoryId);
+    saveContactMemories();
+    renderContactMemoryList();
+    showSuccessModal('删除成功', '记忆已移除');
+}
 
-// script.js
+// ========== 长期记忆 (自动滚动摘要) - 结束 ==========
 
-// ========== 关闭测试结果并生成AI反馈 (修复版) ==========
-async function closeTestResult() {
-    // 1. 关闭结果弹窗和测试页面
-    document.getElementById('testResultModal').classList.remove('show');
-    document.getElementById('testPage').classList.remove('show');
+// ========== 本地检索 (BM25 + 可选向量) - 开始 ==========
 
-    // 2. 🔥 核心修复：强制确保聊天页面是打开状态
-    // 这样测试结束后，你就不会掉回联系人列表，而是稳稳地留在聊天里
-    const chatPage = document.getElementById('chatPage');
-    if (!chatPage.classList.contains('show')) {
-        chatPage.classList.add('show');
-    }
+// 每次请求最多注入的检索片段数
+const RETRIEVAL_TOP_K = 5;
+// 聊天记录按每几条消息切成一个检索片段
+const RETRIEVAL_CHAT_CHUNK = 4;
+// 每个片段注入时最多保留的字数
+const RETRIEVAL_SNIPPET_CHARS = 200;
+// 启用向量检索时，只对 BM25 排名靠前的这些片段计算向量
+const RETRIEVAL_EMBED_CANDIDATES = 30;
+// 最终得分中 BM25 与向量相似度各占的比重
+const RETRIEVAL_VECTOR_WEIGHT = 0.5;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
 
-    // 3. 如果有测试结果，生成AI反馈
-    if (testData.testResult && currentChatContact) {
-        // 滚动到底部，准备查看反馈
-        const messagesEl = document.getElementById('chatMessages');
-        if (messagesEl) messagesEl.scrollTop = messagesEl.scrollHeight;
+// 片段向量缓存（仅本次打开期间有效），key 为服务 + 向量模型 + 片段 ID + 内容
+const retrievalEmbeddingCache = new Map();
+// 向量缓存最多保留的片段数，超出时先删最早缓存的
+const RETRIEVAL_EMBED_CACHE_LIMIT = 500;
 
-        await generateTestFeedback();
+/**
+ * 检索用分词：英文和数字按单词，中日韩文字按相邻两字切分（单独的一个字保留原样）
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenizeForRetrieval(text) {
+    const tokens = [];
+    const pattern = /[a-z0-9]+|[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]+/g;
+    let match;
+    while ((match = pattern.exec(String(text || '').toLowerCase())) !== null) {
+        const word = match[0];
+        if (/^[a-z0-9]/.test(word)) {
+            if (word.length > 1) tokens.push(word);
+        } else if (word.length === 1) {
+            tokens.push(word);
+        } else {
+            for (let i = 0; i < word.length - 1; i++) tokens.push(word.slice(i, i + 2));
+        }
     }
+    return tokens;
+}
 
-    // 4. 清空测试数据
-    testData = {questions: [], answers: {}, startTime: null, selectedKnowledgeIds: []};
+/**
+ * 建立 BM25 索引
+ * @param {Array<{text: string}>} docs
+ * @returns {{docs: Array, termFreqs: Array<Map>, lengths: Array<number>, avgLength: number, docFreqs: Map}}
+ */
+function buildBm25Index(docs) {
+    const termFreqs = [];
+    const lengths = [];
+    const docFreqs = new Map();
+    docs.forEach(doc => {
+        const freqs = new Map();
+        const tokens = tokenizeForRetrieval(doc.text);
+        tokens.forEach(token => freqs.set(token, (freqs.get(token) || 0) + 1));
+        freqs.forEach((_, token) => docFreqs.set(token, (docFreqs.get(token) || 0) + 1));
+        termFreqs.push(freqs);
+        lengths.push(tokens.length);
+    });
+    const avgLength = lengths.reduce((sum, len) => sum + len, 0) / (lengths.length || 1);
+    return {docs, termFreqs, lengths, avgLength, docFreqs};
+}
+
+/**
+ * 计算每个片段对查询的 BM25 得分
+ * @returns {Array<number>} 与 index.docs 一一对应
+ */
+function scoreBm25(index, queryTokens) {
+    const total = index.docs.length;
+    const uniqueTokens = [...new Set(queryTokens)];
+    return index.termFreqs.map((freqs, i) => {
+        let score = 0;
+        uniqueTokens.forEach(token => {
+            const tf = freqs.get(token);
+            if (!tf) return;
+            const df = index.docFreqs.get(token);
+            const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+            const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * index.lengths[i] / (index.avgLength || 1));
+            score += idf * tf * (BM25_K1 + 1) / norm;
+        });
+        return score;
+    });
 }
 
+/**
+ * 收集可检索的内容：较早的聊天记录（不含已在上下文里的最近消息）、该联系人的知识总结、未被关键词触发的世界书条目
+ * @param {string} contactId
+ * @param {string} contactName
+ * @param {Array<string>} scanTexts - 最近的对话文本，已被它触发的世界书条目已经在上下文里
+ * @returns {Array<{id: string, source: string, text: string, time: number}>}
+ */
+function collectRetrievalDocuments(contactId, contactName, scanTexts) {
+    const docs = [];
+
+    Object.entries(MEMORY_CHAT_TYPES).forEach(([chatType, {label, storageKey}]) => {
+        const history = ChatHistoryStore.view(storageKey, contactId);
+        const searchable = history.slice(0, Math.max(0, history.length - MEMORY_RECENT_WINDOW));
+        for (let start = 0; start < searchable.length; start += RETRIEVAL_CHAT_CHUNK) {
+            const chunk = searchable.slice(start, start + RETRIEVAL_CHAT_CHUNK);
+            const text = formatMemoryDialog(chunk, contactName);
+            if (!text) continue;
+            docs.push({
+                id: `chat:${chatType}:${start}`,
+                source: `${label}聊天`,
+                text,
+                time: chunk.find(msg => msg.timestamp)?.timestamp || 0
+            });
+        }
+    });
+
+    JSON.parse(localStorage.getItem('knowledgeBase') || '[]')
+        .filter(item => item.contactId === contactId && item.content)
+        .forEach(item => docs.push({id: `knowledge:${item.id}`, source: '知识总结', text: item.content, time: item.timestamp}));
 
-// ========== 生成测试反馈 ==========
-// script.js
+    collectRelevantWorldbookIds(findContactForCard(contactId)).forEach(id => {
+        const entry = worldbookData.find(wb => wb.id === id);
+        if (!entry || !entry.content || isWorldbookEntryTriggered(entry, scanTexts)) return;
+        docs.push({id: `worldbook:${id}`, source: '世界书', text: `${entry.title}\n${entry.content}`, time: entry.timestamp || 0});
+    });
 
-// ========== 生成测试反馈 (修复版：精简上下文，防止 400400 错误) ==========
-async function generateTestFeedback() {
-    const result = testData.testResult;
-    const contactId = currentChatContact.id;
+    return docs;
+}
 
-    // 1. 构建测试情况报告
-    let reportText = `我刚刚完成了一次知识测试，以下是测试情况：\n\n`;
-    reportText += `📊 客观题成绩：${result.objectiveScore}分\n`;
-    reportText += `✅ 答对：${result.correctCount}/${result.objectiveTotal}题\n`;
-    reportText += `⏱️ 用时：${result.useTime}\n\n`;
+/**
+ * 用当前 AI 服务计算文本向量；服务不支持或请求失败时返回 null（此时只用 BM25）
+ * @param {Array<{id: string, text: string}>} docs
+ * @param {string} query
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{query: Array<number>, docs: Array<Array<number>>}|null>}
+ */
+async function getRetrievalEmbeddings(docs, query, signal) {
+    const provider = getActiveChatProvider();
+    if (typeof provider.embed !== 'function' || !provider.canEmbed() || !navigator.onLine) return null;
 
-    // 添加错题信息
-    if (result.wrongAnswers.length > 0) {
-        reportText += `❌ 错题详情：\n`;
-        result.wrongAnswers.forEach((item, index) => {
-            reportText += `\n第${index + 1}题：${item.question}\n`;
-            reportText += `我的答案：${item.userAnswer}\n`;
-            reportText += `正确答案：${item.correctAnswer}\n`;
+    // 换了服务或向量模型后，旧向量的维度和含义都不同，不能混用
+    const config = apiProviderConfig[apiProviderConfig.provider] || {};
+    const modelKey = `${apiProviderConfig.provider}\n${config.baseUrl || ''}\n${config.embeddingModel || ''}`;
+    const cacheKey = doc => `${modelKey}\n${doc.id}\n${doc.text}`;
+    const missing = docs.filter(doc => !retrievalEmbeddingCache.has(cacheKey(doc)));
+    try {
+        const vectors = await provider.embed([query, ...missing.map(doc => doc.text)], signal);
+        missing.forEach((doc, i) => retrievalEmbeddingCache.set(cacheKey(doc), vectors[i + 1]));
+        // 维度和查询向量不一致的跳过（不参与向量打分）
+        const queryVector = vectors[0];
+        const docVectors = docs.map(doc => {
+            const vector = retrievalEmbeddingCache.get(cacheKey(doc));
+            return Array.isArray(vector) && vector.length === queryVector.length ? vector : null;
         });
-        reportText += `\n`;
+        while (retrievalEmbeddingCache.size > RETRIEVAL_EMBED_CACHE_LIMIT) {
+            retrievalEmbeddingCache.delete(retrievalEmbeddingCache.keys().next().value);
+        }
+        return {query: queryVector, docs: docVectors};
+    } catch (e) {
+        console.warn('向量检索不可用，改用关键词检索:', e.message);
+        return null;
     }
+}
 
-    // 添加主观题信息
-    if (result.subjectiveQuestions.length > 0) {
-        reportText += `📝 主观题作答情况：\n`;
-        result.subjectiveQuestions.forEach((item, index) => {
-            reportText += `\n第${index + 1}题：${item.question}\n`;
-            reportText += `我的答案：${item.userAnswer || '未作答'}\n`;
-            reportText += `参考答案：${item.referenceAnswer}\n`;
-        });
-        reportText += `\n`;
+/**
+ * 余弦相似度（任一向量缺失或维度不同时为 0）
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
     }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
 
-    reportText += `请你：\n`;
-    reportText += `1. 像阅卷老师一样，对我的主观题作答进行评价和打分\n`;
-    reportText += `2. 分析我在这次测试中的表现\n`;
-    reportText += `3. 给出针对性的学习建议`;
+/**
+ * 检索与最近对话相关的过往内容
+ * 先用 BM25 排序；当前 AI 服务配置了向量模型时，再对排名靠前的片段按向量相似度重排
+ * @param {string} contactId
+ * @param {string} contactName
+ * @param {Array<string>} queryTexts - 最近的对话文本（从旧到新），取最后几条作为查询
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array<{id, source, text, time, score}>>} 按相关度从高到低
+ */
+async function retrieveRelevantSnippets(contactId, contactName, queryTexts, signal) {
+    const query = queryTexts.filter(Boolean).slice(-3).join('\n');
+    const queryTokens = tokenizeForRetrieval(query);
+    if (queryTokens.length === 0) return [];
 
-    // 2. 在聊天消息区显示用户的测试报告
-    const messagesEl = document.getElementById('chatMessages');
+    await ChatHistoryStore.loadContact(contactId);
+    const docs = collectRetrievalDocuments(contactId, contactName, queryTexts);
+    if (docs.length === 0) return [];
 
-    const reportMessage = {
-        sender: 'user',
-        text: reportText
-    };
+    const bm25Scores = scoreBm25(buildBm25Index(docs), queryTokens);
+    const ranked = docs
+        .map((doc, i) => ({...doc, score: bm25Scores[i]}))
+        .sort((a, b) => (b.score - a.score) || (b.time - a.time));
 
-    const reportIndex = saveMessage(contactId, reportMessage);
-    const reportRow = _createMessageDOM(contactId, reportMessage, reportIndex);
-    messagesEl.appendChild(reportRow);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
+    const candidates = ranked.slice(0, RETRIEVAL_EMBED_CANDIDATES);
+    const embeddings = await getRetrievalEmbeddings(candidates, query, signal);
+    if (!embeddings) {
+        return ranked.filter(doc => doc.score > 0).slice(0, RETRIEVAL_TOP_K);
+    }
 
-    // 3. 显示加载提示
-    const loadingMsg = _createMessageDOM(contactId, {
-        sender: 'contact',
-        text: '正在分析你的测试情况...'
-    }, -1);
-    messagesEl.appendChild(loadingMsg);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
+    const maxBm25 = Math.max(...candidates.map(doc => doc.score)) || 1;
+    return candidates
+        .map((doc, i) => ({
+            ...doc,
+            score: (1 - RETRIEVAL_VECTOR_WEIGHT) * doc.score / maxBm25 +
+                RETRIEVAL_VECTOR_WEIGHT * cosineSimilarity(embeddings.query, embeddings.docs[i])
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, RETRIEVAL_TOP_K);
+}
 
-    try {
-        // 🔥 4. [核心修复] 手动构建精简的 Prompt，不包含聊天历史
-        // 这样可以避免 API 因为上下文过长或混乱而报错 400400
-        const contact = contactsData.find(c => c.id === contactId);
+/**
+ * 「相关回忆」分块：检索到的片段按相关度排列，预算不足时先省略相关度低的
+ * @param {Array} snippets - retrieveRelevantSnippets 的结果
+ */
+function buildRetrievalContextSection(snippets) {
+    return {
+        key: 'retrieval',
+        items: snippets,
+        format: kept => '[相关回忆：从过往记录中检索到、可能与当前话题有关的内容，需要时自然地提起]\n' + kept.map(doc => {
+            const date = doc.time ? new Date(doc.time).toLocaleDateString('zh-CN') + ' ' : '';
+            const text = doc.text.length > RETRIEVAL_SNIPPET_CHARS ? doc.text.slice(0, RETRIEVAL_SNIPPET_CHARS) + '…' : doc.text;
+            return `### ${date}${doc.source}\n${text}`;
+        }).join('\n\n')
+    };
+}
 
-        let systemPrompt = "你是一位专业的辅导老师。";
-        // 如果联系人有人设，使用他的人设，保持语气一致
-        if (contact && contact.status) {
-            systemPrompt = `[角色设定]\n${contact.status}\n\n请保持这个角色的语气，对用户的测试成绩进行评价和指导。`;
-        }
+// ========== 本地检索 (BM25 + 可选向量) - 结束 ==========
 
-        const apiMessages = [
-            {role: 'system', content: systemPrompt},
-            {role: 'user', content: reportText}
-        ];
+// ========== 全局聊天记录搜索 - 开始 ==========
 
-        // 🔥 关键：传入 true 作为第四个参数 (skipContext)，防止 callApi 自动追加历史记录
-        const response = await callApi(apiMessages, [], {}, true);
+// 结果最多显示的条数
+const CHAT_SEARCH_RESULT_LIMIT = 200;
+// 结果摘要中命中位置前后保留的字数
+const CHAT_SEARCH_SNIPPET_RADIUS = 30;
+// 记账本在联系人筛选中使用的值
+const CHAT_SEARCH_LEDGER = '__ledger__';
 
-        // 移除加载提示
-        loadingMsg.remove();
+// 打开搜索页时建立的索引：[{source, chatType, contactId, contactName, index, sender, text, time}]
+let chatSearchIndex = [];
+let chatSearchTimer = null;
 
-        if (!response.success) {
-            throw new Error(response.message);
+/**
+ * 取出一条消息中可以搜索的文字：正文（去掉 HTML 标签）、语音转文字、红包祝福语
+ */
+function getSearchableMessageText(message) {
+    const parts = [];
+    if (typeof message.text === 'string') parts.push(message.text.replace(/<[^>]+>/g, ' '));
+    if (message.type === 'voice' && message.content?.text) parts.push(message.content.text);
+    if (message.type === 'red-packet' && message.content?.greeting) parts.push(message.content.greeting);
+    if (message.quote?.senderName === '小说原文' && message.quote.text) parts.push(message.quote.text);
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 建立搜索索引：日常聊天、密友聊天（含小说讨论）和记账本对话
+ * 没有时间戳的消息沿用前一条消息的时间
+ */
+async function buildChatSearchIndex() {
+    const index = [];
+    const typesByKey = {};
+    Object.entries(MEMORY_CHAT_TYPES).forEach(([chatType, {label, storageKey}]) => {
+        typesByKey[storageKey] = {chatType, label};
+    });
+    const contactNames = {};
+    let lastContact = null;
+    let lastTime = 0;
+    // 直接遍历数据库而不加载进内存；记录按主键排序，同一联系人的消息是连续的
+    await ChatHistoryStore.forEachRecord(({chatType: storageKey, contactId, index: i, message}) => {
+        const type = typesByKey[storageKey];
+        if (!type) return;
+        if (lastContact !== `${storageKey}_${contactId}`) {
+            lastContact = `${storageKey}_${contactId}`;
+            lastTime = 0;
         }
+        lastTime = message.timestamp || lastTime;
+        const text = getSearchableMessageText(message);
+        if (!text) return;
+        if (!(contactId in contactNames)) contactNames[contactId] = findContactForCard(contactId)?.name || contactId;
+        index.push({
+            source: message.quote?.senderName === '小说原文' ? '小说讨论' : type.label,
+            chatType: type.chatType,
+            contactId,
+            contactName: contactNames[contactId],
+            index: i,
+            sender: message.sender,
+            text,
+            time: lastTime
+        });
+    });
 
-        // 5. 保存并显示AI的反馈
-        const feedbackMessage = {
-            sender: 'contact',
-            text: response.message
-        };
+    JSON.parse(localStorage.getItem('phoneLedgerChatHistory') || '[]').forEach(message => {
+        if (typeof message.content !== 'string' || message.content.includes('<img')) return;
+        index.push({
+            source: '记账本',
+            chatType: 'ledger',
+            contactId: CHAT_SEARCH_LEDGER,
+            contactName: '记账本',
+            index: message.id,
+            sender: message.type === 'user' ? 'user' : 'contact',
+            text: message.content,
+            time: message.timestamp || (typeof message.id === 'number' ? message.id : 0)
+        });
+    });
+    return index;
+}
 
-        const feedbackIndex = saveMessage(contactId, feedbackMessage);
-        const feedbackRow = _createMessageDOM(contactId, feedbackMessage, feedbackIndex);
-        messagesEl.appendChild(feedbackRow);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
+/**
+ * 打开聊天记录搜索页
+ */
+async function openChatSearch() {
+    chatSearchIndex = await buildChatSearchIndex();
 
-    } catch (error) {
-        loadingMsg.remove();
-        console.error('生成测试反馈失败:', error);
+    const contactFilter = document.getElementById('chatSearchContact');
+    const contacts = new Map();
+    chatSearchIndex.forEach(item => contacts.set(item.contactId, item.contactName));
+    contacts.delete(CHAT_SEARCH_LEDGER);
+    contactFilter.innerHTML = `<option value="all">全部对话</option>` +
+        [...contacts].map(([id, name]) => `<option value="${escapeHTML(id)}">${escapeHTML(name)}</option>`).join('') +
+        `<option value="${CHAT_SEARCH_LEDGER}">记账本</option>`;
 
-        const errorMessage = {
-            sender: 'contact',
-            text: '抱歉，生成反馈时出现了问题：' + error.message
-        };
-        const errorIndex = saveMessage(contactId, errorMessage);
-        const errorRow = _createMessageDOM(contactId, errorMessage, errorIndex);
-        messagesEl.appendChild(errorRow);
-        messagesEl.scrollTop = messagesEl.scrollHeight;
-    }
+    document.getElementById('chatSearchPage').classList.add('show');
+    runChatSearch();
+    document.getElementById('chatSearchInput').focus();
 }
 
-// ========== 构建聊天上下文（包括人设、面具等）==========
-function buildChatContext(contactId, userMessage) {
-    const contact = contactsData.find(c => c.id === contactId);
-    if (!contact) {
-        return [
-            {role: 'user', content: userMessage}
-        ];
-    }
+function closeChatSearch() {
+    document.getElementById('chatSearchPage').classList.remove('show');
+}
 
-    const messages = [];
+/**
+ * 输入时稍等再搜索，避免每敲一个字都遍历全部记录
+ */
+function scheduleChatSearch() {
+    clearTimeout(chatSearchTimer);
+    chatSearchTimer = setTimeout(runChatSearch, 200);
+}
 
-    // 1. 添加系统提示词（角色设定）
-    let systemPrompt = '';
+/**
+ * 截取命中位置附近的文字，并高亮所有关键词
+ */
+function buildChatSearchSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const hit = Math.max(0, lower.indexOf(terms[0]));
+    const start = Math.max(0, hit - CHAT_SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, hit + terms[0].length + CHAT_SEARCH_SNIPPET_RADIUS);
+    let snippet = escapeHTML(text.slice(start, end));
+    terms.forEach(term => {
+        const pattern = escapeHTML(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        snippet = snippet.replace(new RegExp(pattern, 'gi'), match => `<mark>${match}</mark>`);
+    });
+    return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+}
 
-    // 添加角色persona
-    if (contact.status) {
-        systemPrompt += contact.status + '\n\n';
-    }
+/**
+ * 按关键词（空格分隔，需全部包含）和筛选条件搜索并渲染结果
+ */
+function runChatSearch() {
+    const container = document.getElementById('chatSearchResults');
+    const terms = document.getElementById('chatSearchInput').value.toLowerCase().split(/\s+/).filter(Boolean);
+    const contactId = document.getElementById('chatSearchContact').value;
+    const sender = document.getElementById('chatSearchSender').value;
+    const from = document.getElementById('chatSearchFrom').value;
+    const to = document.getElementById('chatSearchTo').value;
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
 
-    // 添加绑定的世界书
-    if (contact.boundWorldbooks && contact.boundWorldbooks.length > 0) {
-        contact.boundWorldbooks.forEach(wbId => {
-            const wb = worldbookData.find(w => w.id === wbId);
-            if (wb) {
-                systemPrompt += `${wb.title}:\n${wb.content}\n\n`;
-            }
-        });
+    if (terms.length === 0) {
+        container.innerHTML = `<div class="chat-search-empty">输入关键词，搜索所有聊天、小说讨论和记账本对话</div>`;
+        return;
     }
 
-    // 添加绑定的面具
-    if (contact.boundMasks && contact.boundMasks.length > 0) {
-        contact.boundMasks.forEach(maskId => {
-            const mask = masksData.find(m => m.id === maskId);
-            if (mask) {
-                systemPrompt += `人设 - ${mask.name}:\n${mask.content}\n\n`;
-            }
-        });
+    const hits = chatSearchIndex.filter(item => {
+        if (contactId !== 'all' && item.contactId !== contactId) return false;
+        if (sender !== 'all' && item.sender !== sender) return false;
+        if ((fromTime || toTime) && !item.time) return false;
+        if (fromTime && item.time < fromTime) return false;
+        if (toTime && item.time > toTime) return false;
+        const lower = item.text.toLowerCase();
+        return terms.every(term => lower.includes(term));
+    }).sort((a, b) => b.time - a.time);
+
+    if (hits.length === 0) {
+        container.innerHTML = `<div class="chat-search-empty">没有找到相关消息</div>`;
+        return;
     }
 
-    // 添加用户设定
-    if (userProfile.persona) {
-        systemPrompt += `用户设定:\n${userProfile.persona}\n\n`;
+    const summary = hits.length > CHAT_SEARCH_RESULT_LIMIT
+        ? `找到 ${hits.length} 条，仅显示最近的 ${CHAT_SEARCH_RESULT_LIMIT} 条`
+        : `找到 ${hits.length} 条`;
+    container.innerHTML = `<div class="chat-search-summary">${summary}</div>`;
+    hits.slice(0, CHAT_SEARCH_RESULT_LIMIT).forEach(item => {
+        const senderName = item.sender === 'user' ? (userProfile.name || '我') : item.contactName;
+        const row = document.createElement('div');
+        row.className = 'chat-search-item';
+        row.innerHTML = `
+            <div class="chat-search-item-header">
+                <span class="chat-search-item-name">${escapeHTML(item.contactName)}</span>
+                <span class="chat-search-item-source">${item.source}</span>
+                <span class="chat-search-item-time">${item.time ? new Date(item.time).toLocaleString('zh-CN') : ''}</span>
+            </div>
+            <div class="chat-search-item-text"><strong>${escapeHTML(senderName)}：</strong>${buildChatSearchSnippet(item.text, terms)}</div>`;
+        row.onclick = () => jumpToSearchResult(item);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * 打开命中消息所在的对话，滚动到这条消息并高亮
+ */
+function jumpToSearchResult(item) {
+    if (item.chatType === 'ledger') {
+        closeChatSearch();
+        openLedger();
+        if (isLedgerListMode) toggleLedgerMode();
+        highlightSearchedMessage(() => document.getElementById(String(item.index)));
+        return;
     }
 
-    if (systemPrompt) {
-        messages.push({
-            role: 'system',
-            content: systemPrompt.trim()
-        });
+    const contact = item.chatType === 'sweetheart'
+        ? sweetheartContactsData.find(c => c.id === item.contactId)
+        : contactsData.find(c => c.id === item.contactId);
+    if (!contact) {
+        showErrorModal('无法打开', `「${item.contactName}」已经不在${item.chatType === 'sweetheart' ? '密友列表' : '通讯录'}里了`);
+        return;
     }
 
-    // 2. 添加历史对话（记忆轮数）
-    const memoryRounds = contact.memoryRounds || 10;
-    const chatHistory = JSON.parse(localStorage.getItem(`chat_${contactId}`) || '[]');
-    const recentMessages = chatHistory.slice(-memoryRounds * 2);
+    closeChatSearch();
+    const messagesEl = document.getElementById(CHAT_VIEWS[item.chatType].messagesElId);
+    if (item.chatType === 'sweetheart') openSweetheartChat(contact);
+    else openChat(contact);
 
-    recentMessages.forEach(msg => {
-        messages.push({
-            role: msg.sender === 'user' ? 'user' : 'assistant',
-            content: msg.text
-        });
+    // 聊天记录分页渲染，目标消息较早时需要先加载更早的消息
+    highlightSearchedMessage(() => {
+        let row = messagesEl.querySelector(`.message-row[data-index="${item.index}"]`);
+        let loadEarlierBtn = messagesEl.querySelector('.load-earlier-messages');
+        while (!row && loadEarlierBtn) {
+            loadEarlierBtn.click();
+            row = messagesEl.querySelector(`.message-row[data-index="${item.index}"]`);
+            loadEarlierBtn = messagesEl.querySelector('.load-earlier-messages');
+        }
+        return row;
     });
+}
 
-    // 3. 添加当前用户消息
-    messages.push({
-        role: 'user',
-        content: userMessage
-    });
+/**
+ * 等页面渲染完成后滚动到目标消息并高亮（聊天页打开后才渲染记录，这里会重试几次）
+ * @param {function(): HTMLElement|null} findElement
+ */
+function highlightSearchedMessage(findElement, attempts = 10) {
+    setTimeout(() => {
+        const el = findElement();
+        if (!el) {
+            if (attempts > 1) highlightSearchedMessage(findElement, attempts - 1);
+            return;
+        }
+        el.scrollIntoView({block: 'center'});
+        el.classList.add('search-highlight');
+        setTimeout(() => el.classList.remove('search-highlight'), 2000);
+    }, 150);
+}
 
-    return messages;
+// ========== 全局聊天记录搜索 - 结束 ==========
+
+// ========== 卡片收藏 - 开始 ==========
+
+// 收藏的互动卡片：[{id, name, html, renderMode, contactId, contactName, timestamp}]
+let renderGalleryData = JSON.parse(localStorage.getItem('phoneRenderGallery') || '[]');
+// 正在全屏查看的卡片 ID
+let viewingRenderCardId = null;
+
+function saveRenderGallery() {
+    try {
+        localStorage.setItem('phoneRenderGallery', JSON.stringify(renderGalleryData));
+    } catch (e) {
+        console.error('保存卡片收藏失败:', e);
+        alert('存储空间不足，请清理数据');
+    }
 }
 
+/**
+ * 用卡片里的第一个标题作为默认名称
+ * @param {string} html
+ * @param {string} fallback
+ * @returns {string}
+ */
+function guessRenderCardName(html, fallback) {
+    const heading = html.match(/<h[1-4][^>]*>([\s\S]*?)<\/h[1-4]>/i);
+    const title = heading ? heading[1].replace(/<[^>]+>/g, '').trim() : '';
+    return (title || fallback).slice(0, 30);
+}
 
-// ========== 在总结知识点后更新测试按钮状态 ==========
-// 修改原有的 summarizeKnowledge 函数，在保存知识点后调用
-// 在 summarizeKnowledge 函数的最后，localStorage.setItem 之后添加：
-// updateTestButtonState();
+/**
+ * 长按菜单「收藏卡片」：把消息里的 <render> 卡片存进卡片收藏
+ * 同时记下当时的渲染方式，之后在收藏、全屏和桌面小组件里都按这个方式显示
+ * @param {'normal'|'sweetheart'} chatType
+ * @param {string} contactId
+ * @param {number} messageIndex
+ */
+function saveRenderToGallery(chatType, contactId, messageIndex) {
+    const message = ChatHistoryStore.view(CHAT_VIEWS[chatType].storageKey, contactId)[messageIndex];
+    const renderMatch = (message?.text || '').match(/<render>([\s\S]*?)<\/render>/);
+    if (!renderMatch || !renderMatch[1].trim()) {
+        alert('这条消息里没有互动卡片');
+        return;
+    }
 
-// ========== 记忆存储中心功能 ==========
+    const contact = findContactForCard(contactId);
+    const contactName = contact ? contact.name : '未知联系人';
+    const name = prompt('给卡片起个名字：', guessRenderCardName(renderMatch[1], `${contactName}的卡片`));
+    if (name === null) return;
+
+    renderGalleryData.unshift({
+        id: 'RC_' + Date.now(),
+        name: name.trim() || `${contactName}的卡片`,
+        html: renderMatch[1],
+        renderMode: getContactRenderMode(contactId),
+        contactId,
+        contactName,
+        timestamp: Date.now()
+    });
+    saveRenderGallery();
+    showSuccessModal('已收藏', '可以在「设置 → 卡片收藏」里查看');
+}
+
+function openRenderGallery() {
+    renderRenderGalleryList();
+    document.getElementById('renderGalleryPage').classList.add('show');
+}
+
+function closeRenderGallery() {
+    document.getElementById('renderGalleryPage').classList.remove('show');
+}
 
 /**
- * 打开记忆存储中心
+ * 渲染卡片收藏列表
  */
-function openMemoryCenter() {
-    document.getElementById('memoryCenterPage').classList.add('show');
-    renderKnowledgeList();
+function renderRenderGalleryList() {
+    const container = document.getElementById('renderGalleryList');
+    if (renderGalleryData.length === 0) {
+        container.innerHTML = '<div class="render-gallery-empty">还没有收藏的卡片<br/>长按聊天里的互动卡片，选择「收藏卡片」</div>';
+        return;
+    }
+
+    container.innerHTML = renderGalleryData.map(card => `
+        <div class="render-gallery-item">
+            <div class="render-gallery-info" onclick="openRenderViewer('${card.id}')">
+                <div class="render-gallery-name">${escapeHTML(card.name)}</div>
+                <div class="render-gallery-meta">${escapeHTML(card.contactName)} · ${new Date(card.timestamp).toLocaleDateString('zh-CN')} · ${RENDER_MODES[card.renderMode]?.label || ''}</div>
+            </div>
+            <div class="render-gallery-actions">
+                <button onclick="renameRenderCard('${card.id}')">重命名</button>
+                <button onclick="exportRenderCard('${card.id}')">导出</button>
+                <button onclick="pinRenderCardToHome('${card.id}')">添加到桌面</button>
+                <button class="danger" onclick="deleteRenderCard('${card.id}')">删除</button>
+            </div>
+        </div>
+    `).join('');
 }
 
 /**
- * 关闭记忆存储中心
+ * 全屏查看收藏的卡片
+ * @param {string} cardId
  */
-function closeMemoryCenter() {
-    document.getElementById('memoryCenterPage').classList.remove('show');
+function openRenderViewer(cardId) {
+    const card = renderGalleryData.find(c => c.id === cardId);
+    if (!card) return;
+    viewingRenderCardId = cardId;
+
+    document.getElementById('renderViewerTitle').textContent = card.name;
+    const body = document.getElementById('renderViewerBody');
+    body.innerHTML = '';
+    const iframe = createRenderFrame(card.html, card.renderMode);
+    iframe.classList.add('render-fixed-size');
+    body.appendChild(iframe);
+    document.getElementById('renderViewerPage').classList.add('show');
+}
+
+function closeRenderViewer() {
+    viewingRenderCardId = null;
+    document.getElementById('renderViewerPage').classList.remove('show');
+    // 移除 iframe，停止卡片里的动画和脚本
+    document.getElementById('renderViewerBody').innerHTML = '';
 }
 
 /**
- * 切换Tab
+ * @param {string} cardId
  */
-function switchMemoryTab(tabName) {
-    // 更新tab样式
-    document.querySelectorAll('.memory-tab').forEach(tab => {
-        tab.classList.toggle('active', tab.dataset.tab === tabName);
-    });
+function renameRenderCard(cardId) {
+    const card = renderGalleryData.find(c => c.id === cardId);
+    if (!card) return;
+    const name = prompt('卡片名称：', card.name);
+    if (!name || !name.trim()) return;
 
-    // 切换内容区域
-    document.getElementById('knowledgeMemoryArea').style.display =
-        tabName === 'knowledge' ? 'block' : 'none';
-    document.getElementById('otherMemoryArea').style.display =
-        tabName === 'other' ? 'block' : 'none';
+    card.name = name.trim();
+    saveRenderGallery();
+    renderRenderGalleryList();
+    if (viewingRenderCardId === cardId) {
+        document.getElementById('renderViewerTitle').textContent = card.name;
+    }
 }
 
 /**
- * 渲染知识清单列表
+ * 导出为可以直接用浏览器打开的独立 HTML 文件
+ * @param {string} cardId
  */
-function renderKnowledgeList() {
-    const container = document.getElementById('knowledgeList');
-    const knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
+function exportRenderCard(cardId) {
+    const card = renderGalleryData.find(c => c.id === cardId);
+    if (!card) return;
 
-    if (knowledgeBase.length === 0) {
-        container.innerHTML = `
-            <div class="memory-empty">
-                <div class="memory-empty-icon">📚</div>
-                <div class="memory-empty-text">还没有保存的知识点</div>
-                <div class="memory-empty-hint">在聊天中点击"总结"按钮来生成知识清单</div>
-            </div>
-        `;
-        return;
+    const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(card.name)}</title>
+    <style>
+        body { margin: 0; padding: 10px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+        * { box-sizing: border-box; }
+        img { max-width: 100%; height: auto; }
+    </style>
+</head>
+<body>
+${card.html}
+</body>
+</html>
+`;
+    const url = URL.createObjectURL(new Blob([html], {type: 'text/html'}));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${card.name.replace(/[\\/:*?"<>|]/g, '_')}.html`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 桌面上从上往下第一个能放下 colspan × rowspan 组件的行
+ * @returns {number}
+ */
+function findFreeHomeGridRow(colspan, rowspan) {
+    for (let row = 0; ; row++) {
+        let free = true;
+        for (let r = row; r < row + rowspan && free; r++) {
+            for (let c = 0; c < colspan && free; c++) {
+                if (isOccupied('page1', r, c, null)) free = false;
+            }
+        }
+        if (free) return row;
     }
+}
 
-    container.innerHTML = '';
+/**
+ * 把卡片固定到桌面：布局里加一个 2×2 的组件，卡片内容在 savedWidgets 里每张卡片只存一份
+ * 同一张卡片固定多次时共用这份记录
+ * @param {string} cardId
+ */
+function pinRenderCardToHome(cardId) {
+    const card = renderGalleryData.find(c => c.id === cardId);
+    if (!card) return;
 
-    knowledgeBase.forEach(item => {
-        const card = document.createElement('div');
-        card.className = 'knowledge-card';
+    const widget = {
+        id: 'RENDER_' + cardId,
+        type: 'render',
+        cardId,
+        name: card.name,
+        html: card.html,
+        renderMode: card.renderMode,
+        timestamp: Date.now()
+    };
+    const index = globalConfig.savedWidgets.findIndex(w => w.type === 'render' && w.cardId === cardId);
+    if (index === -1) globalConfig.savedWidgets.push(widget);
+    else globalConfig.savedWidgets[index] = widget;
+    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
 
-        const date = new Date(item.timestamp).toLocaleDateString('zh-CN', {
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    const app = {id: 'RENDER_' + Date.now(), isWidget: true, widgetType: 'render', cardId, row: findFreeHomeGridRow(2, 2), col: 0, colspan: 2, rowspan: 2};
+    state.appLayouts.page1.push(app);
+    saveLayoutToLocalStorage();
+    createElement(app, document.getElementById('grid1'));
 
-        card.innerHTML = `
-            <div class="knowledge-card-header">
-                <div class="knowledge-card-title">💡 知识总结</div>
-                <div class="knowledge-card-meta">
-                    <div class="knowledge-card-date">${date}</div>
-                    <div class="knowledge-card-badge">${item.memoryRounds}轮对话</div>
-                </div>
-            </div>
-            <div class="knowledge-card-content">${escapeHTML(item.content)}</div>
-            <div class="knowledge-card-footer">
-                <div class="knowledge-card-source">来源: ${escapeHTML(item.contactName)}</div>
-                <div class="knowledge-card-actions">
-                    <button class="knowledge-action-btn delete-knowledge-btn" onclick="deleteKnowledge('${item.id}')">
-                        删除
-                    </button>
-                </div>
-            </div>
-        `;
+    showSuccessModal('已添加到桌面', `「${card.name}」已放到桌面，长按可以移动或删除`);
+}
 
-        container.appendChild(card);
-    });
+/**
+ * 桌面上已经没有这张卡片时，删掉 savedWidgets 里的卡片记录
+ * @param {string} cardId
+ */
+function releaseRenderWidget(cardId) {
+    if (!cardId || state.appLayouts.page1.some(app => app.widgetType === 'render' && app.cardId === cardId)) return;
+    globalConfig.savedWidgets = globalConfig.savedWidgets.filter(w => !(w.type === 'render' && w.cardId === cardId));
+    localStorage.setItem('savedWidgets', JSON.stringify(globalConfig.savedWidgets));
 }
 
 /**
- * 删除知识点
+ * 删除收藏的卡片，桌面上固定的这张卡片也一起移除
+ * @param {string} cardId
  */
-function deleteKnowledge(knowledgeId) {
-    if (!confirm('确定要删除这条知识总结吗？')) return;
+function deleteRenderCard(cardId) {
+    const card = renderGalleryData.find(c => c.id === cardId);
+    if (!card || !confirm(`确定删除卡片「${card.name}」吗？桌面上的这张卡片也会被移除`)) return;
 
-    let knowledgeBase = JSON.parse(localStorage.getItem('knowledgeBase') || '[]');
-    knowledgeBase = knowledgeBase.filter(item => item.id !== knowledgeId);
-    localStorage.setItem('knowledgeBase', JSON.stringify(knowledgeBase));
+    renderGalleryData = renderGalleryData.filter(c => c.id !== cardId);
+    saveRenderGallery();
 
-    renderKnowledgeList();
-    showSuccessModal('删除成功', '知识点已移除');
+    const pinned = state.appLayouts.page1.filter(app => app.widgetType === 'render' && app.cardId === cardId);
+    if (pinned.length > 0) {
+        state.appLayouts.page1 = state.appLayouts.page1.filter(app => !pinned.includes(app));
+        saveLayoutToLocalStorage();
+        pinned.forEach(app => document.querySelector(`.render-widget[data-id="${app.id}"]`)?.remove());
+    }
+    releaseRenderWidget(cardId);
+    renderRenderGalleryList();
 }
 
+// ========== 卡片收藏 - 结束 ==========
+
 /*
 ====================================
 状态历史记录 - 功能逻辑
@@ -12678,15 +19211,24 @@ function renderStatusHistory() {
     if (!container || !currentSweetheartChatContact) return;
     const allHistories = JSON.parse(localStorage.getItem('sweetheartStatusHistory') || '{}');
     const contactHistory = allHistories[currentSweetheartChatContact.id] || [];
+    const relationship = getRelationshipState(currentSweetheartChatContact.id);
+    // 好感度变化曲线放在最上面
+    const chartHtml = relationship.enabled && relationship.history.length > 0
+        ? renderRelationshipChart(relationship.history)
+        : '';
     if (contactHistory.length === 0) {
-        container.innerHTML = `
+        container.innerHTML = chartHtml + `
             <div class="history-empty">
                 <div class="history-empty-icon">📂</div>
                 <div class="history-empty-text">还没有历史状态哦</div>
             </div>`;
         return;
     }
-    container.innerHTML = ''; // 清空旧内容
+    container.innerHTML = chartHtml; // 清空旧内容
+    const schema = getStatusSchema(currentSweetheartChatContact.id);
+    const renderFields = (fields, values) => fields.map(field =>
+        `<p><strong>${escapeHTML(field.label)}:</strong> ${escapeHTML(values?.[field.key] === undefined ? '...' : formatStatusValue(field, values[field.key]))}</p>`
+    ).join('');
     contactHistory.forEach(item => {
         const card = document.createElement('div');
         card.className = 'history-item';
@@ -12696,29 +19238,18 @@ function renderStatusHistory() {
             hour: '2-digit',
             minute: '2-digit'
         });
-        // 安全地获取状态文本，如果不存在则显示 '...'
-        const charLocation = item.character?.location || '...';
-        const charAppearance = item.character?.appearance || '...';
-        const charAction = item.character?.action || '...';
-        const userLocation = item.user?.location || '...';
-        const userAppearance = item.user?.appearance || '...';
-        const userAction = item.user?.action || '...';
         card.innerHTML = `
             <div class="history-item-header">
                 <span class="history-item-date">${date}</span>
                 <button class="history-item-delete-btn" onclick="deleteStatusHistoryItem(${item.timestamp})">×</button>
             </div>
             <div class="history-status-section">
-                <h5>${currentSweetheartChatContact.name} 的状态</h5>
-                <p><strong>📍 所在:</strong> ${escapeHTML(charLocation)}</p>
-                <p><strong>👗 穿着:</strong> ${escapeHTML(charAppearance)}</p>
-                <p><strong>🏃‍♀️ 行为:</strong> ${escapeHTML(charAction)}</p>
+                <h5>${escapeHTML(currentSweetheartChatContact.name)} 的状态</h5>
+                ${renderFields(schema.character, item.character)}
             </div>
             <div class="history-status-section" style="margin-top: 10px;">
                 <h5>我的状态</h5>
-                <p><strong>📍 所在:</strong> ${escapeHTML(userLocation)}</p>
-                <p><strong>👔 穿着:</strong> ${escapeHTML(userAppearance)}</p>
-                <p><strong>🚶 行为:</strong> ${escapeHTML(userAction)}</p>
+                ${renderFields(schema.user, item.user)}
             </div>
         `;
         container.appendChild(card);
@@ -12880,8 +19411,7 @@ function createRedPacketBubble(messageObj) {
  */
 function handleRedPacketClick(contactId, messageIndex) {
     console.log("✅ 红包气泡被点击，正在尝试打开弹窗...", {contactId, messageIndex});
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-    const message = chatHistory[contactId]?.[messageIndex];
+    const message = ChatHistoryStore.view('phoneSweetheartChatHistory', contactId)[messageIndex];
 
     if (!message || message.type !== 'red-packet') return;
     // ✅ 核心改动在这里：判断红包是不是自己发的
@@ -12965,10 +19495,10 @@ function updateRedPacketState() {
     const {contactId, messageIndex, message} = currentRedPacket;
 
     // a. 更新本地存储中的消息状态
-    const chatHistory = JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}');
-    if (chatHistory[contactId]?.[messageIndex]) {
-        chatHistory[contactId][messageIndex].content.status = 'opened';
-        localStorage.setItem('phoneSweetheartChatHistory', JSON.stringify(chatHistory));
+    const messages = ChatHistoryStore.get('phoneSweetheartChatHistory', contactId);
+    if (messages[messageIndex]) {
+        messages[messageIndex].content.status = 'opened';
+        ChatHistoryStore.set('phoneSweetheartChatHistory', contactId, messages).catch(e => console.error('保存红包状态失败:', e));
     }
 
     // b. 更新聊天界面中的红包气泡样式
@@ -13035,138 +19565,758 @@ function toggleSweetheartChatAvatars(isEnabled) {
 }
 
 /**
- * 应用密友聊天显示头像的设置
- * @param {boolean} isEnabled - 是否显示头像
+ * 应用密友聊天显示头像的设置
+ * @param {boolean} isEnabled - 是否显示头像
+ */
+function applySweetheartChatAvatarsSetting(isEnabled) {
+    const sweetheartChatPage = document.getElementById('sweetheartChatPage');
+    if (sweetheartChatPage) {
+        if (isEnabled) {
+            sweetheartChatPage.classList.add('show-avatars');
+        } else {
+            sweetheartChatPage.classList.remove('show-avatars');
+        }
+    }
+}
+
+// ====== 新增：数据导入导出功能 ======
+
+// 在 script.js 中找到 exportAppData 函数并替换为：
+
+// 完整备份格式：JSON Lines，每行一条记录，第一行是文件头
+// 记录类型：localStorage（原始字符串）、chat（一条聊天消息）、blob（ImageDB 中的图片/小说/文件内容）、end（统计）
+const BACKUP_FORMAT = 'yetta-backup';
+const BACKUP_VERSION = 2;
+// 导出时每累积这么多字符就合成一个 Blob 分片，不把整个备份拼成一个大字符串
+const BACKUP_CHUNK_CHARS = 1024 * 1024;
+// 恢复时每批写入数据库的记录数
+const BACKUP_RESTORE_BATCH = {chat: 200, blob: 20};
+
+/**
+ * 创建备份写入器：逐条写入记录，按分片累积成 Blob
+ */
+function createBackupWriter() {
+    const chunks = [];
+    const counts = {};
+    let parts = [];
+    let size = 0;
+
+    return {
+        counts,
+        write(record) {
+            const line = JSON.stringify(record) + '\n';
+            parts.push(line);
+            size += line.length;
+            if (record.type) counts[record.type] = (counts[record.type] || 0) + 1;
+            if (size >= BACKUP_CHUNK_CHARS) {
+                chunks.push(new Blob(parts));
+                parts = [];
+                size = 0;
+            }
+        },
+        finish() {
+            chunks.push(new Blob(parts));
+            return new Blob(chunks, {type: 'application/x-ndjson'});
+        }
+    };
+}
+
+/**
+ * 导出所有应用数据（localStorage、聊天记录、ImageDB 中的图片和小说）到一个备份文件
+ */
+async function exportAppData() {
+    try {
+        const writer = createBackupWriter();
+        writer.write({format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString()});
+
+        // 1. localStorage 原样保存字符串
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            writer.write({type: 'localStorage', key: key, value: localStorage.getItem(key)});
+        }
+
+        // 2. 聊天记录（IndexedDB），每条消息一行
+        await ChatHistoryStore.forEachRecord(({chatType, contactId, index, message}) => {
+            writer.write({type: 'chat', chatType, contactId, index, message});
+        });
+
+        // 3. 图片、小说正文、文件内容（db-image:// 和 contentId 指向的记录）
+        await ImageDB.forEach(record => writer.write({type: 'blob', id: record.id, data: record.data}));
+
+        writer.write({type: 'end', counts: {...writer.counts}});
+
+        const url = URL.createObjectURL(writer.finish());
+        const a = document.createElement('a');
+        a.href = url;
+
+        const now = new Date();
+        const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
+        const timeStr = now.toTimeString().slice(0, 8).replace(/:/g, '');
+        a.download = `yetta_full_backup_${dateStr}_${timeStr}.jsonl`;
+
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        const counts = writer.counts;
+        showSuccessModal('导出成功', `已备份 ${counts.localStorage || 0} 项设置、${counts.chat || 0} 条消息、${counts.blob || 0} 个图片/文件`, 2500);
+    } catch (e) {
+        console.error('导出失败:', e);
+        showErrorModal('导出失败', e.message || '打包数据时出错');
+    }
+}
+
+/**
+ * 判断文件是否为完整备份（只读取文件开头）
+ * @param {File} file
+ * @returns {Promise<boolean>}
+ */
+async function isFullBackupFile(file) {
+    const head = await file.slice(0, 64).text();
+    return head.startsWith(`{"format":"${BACKUP_FORMAT}"`);
+}
+
+/**
+ * 逐行读取备份文件，边读边处理，不把整个文件读进内存
+ * @param {File} file
+ * @param {function(object): Promise|void} onRecord - 每解析出一条记录调用一次
+ */
+async function readBackupRecords(file, onRecord) {
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    while (true) {
+        const {done, value} = await reader.read();
+        if (value) buffer += value;
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex);
+            buffer = buffer.slice(newlineIndex + 1);
+            if (line.trim()) await onRecord(JSON.parse(line));
+        }
+        if (done) break;
+    }
+    if (buffer.trim()) await onRecord(JSON.parse(buffer));
+}
+
+/**
+ * 校验完整备份：先把整个文件读一遍（不保留内容），确认每行都能解析、
+ * 有结尾记录，且各类记录的数量与结尾记录一致，防止残缺的文件清空现有数据
+ * @param {File} file
+ * @returns {Promise<object>} 各类记录的数量
+ */
+async function validateFullBackup(file) {
+    const counts = {};
+    let header = null;
+    let end = null;
+
+    await readBackupRecords(file, (record) => {
+        if (!header) {
+            if (record.format !== BACKUP_FORMAT) throw new Error('不是有效的备份文件');
+            header = record;
+            return;
+        }
+        if (end) throw new Error('结尾记录之后还有多余的内容');
+        if (record.type === 'end') {
+            end = record;
+            return;
+        }
+        counts[record.type] = (counts[record.type] || 0) + 1;
+    });
+
+    if (!header) throw new Error('备份文件是空的');
+    if (!end) throw new Error('缺少结尾记录，文件可能没有下载完整');
+    const types = new Set([...Object.keys(counts), ...Object.keys(end.counts || {})]);
+    types.forEach(type => {
+        if ((counts[type] || 0) !== (end.counts?.[type] || 0)) {
+            throw new Error(`记录数量不一致（${type}：${counts[type] || 0}/${end.counts?.[type] || 0}）`);
+        }
+    });
+    return counts;
+}
+
+/**
+ * 从完整备份恢复：覆盖 localStorage 和聊天记录，图片/小说按 id 写回 ImageDB
+ * 整个文件校验通过后才清空现有数据并写入
+ * @param {File} file
+ * @returns {Promise<object>} 各类记录的数量
+ */
+async function restoreFullBackup(file) {
+    const counts = await validateFullBackup(file);
+    const pending = {chat: [], blob: []};
+    let header = null;
+
+    const flush = async (type) => {
+        const batch = pending[type].splice(0);
+        if (batch.length === 0) return;
+        if (type === 'chat') await ChatHistoryStore.putRecords(batch);
+        else await ImageDB.putRecords(batch);
+    };
+
+    await readBackupRecords(file, async (record) => {
+        if (!header) {
+            header = record;
+            localStorage.clear();
+            await ChatHistoryStore.clear();
+            return;
+        }
+
+        switch (record.type) {
+            case 'localStorage':
+                localStorage.setItem(record.key, record.value);
+                break;
+            case 'chat':
+                pending.chat.push({
+                    chatType: record.chatType,
+                    contactId: record.contactId,
+                    index: record.index,
+                    message: record.message
+                });
+                if (pending.chat.length >= BACKUP_RESTORE_BATCH.chat) await flush('chat');
+                break;
+            case 'blob':
+                pending.blob.push({id: record.id, data: record.data});
+                if (pending.blob.length >= BACKUP_RESTORE_BATCH.blob) await flush('blob');
+                break;
+        }
+    });
+
+    await flush('chat');
+    await flush('blob');
+    return counts;
+}
+
+/**
+ * 触发隐藏的文件输入框，让用户选择导入文件。
+ */
+function importAppData() {
+    document.getElementById('importFileInput').click();
+}
+
+/**
+ * 处理文件导入：读取备份文件（.json 或完整备份 .jsonl）后打开导入向导
+ * 不再检查 MIME 类型（很多手机上选到的 .json 文件类型是空的或 text/plain），以内容能否解析为准
+ * @param {Event} event - 文件输入框的 change 事件对象。
+ */
+async function handleFileImport(event) {
+    const file = event.target.files[0];
+    // 清空文件输入框，以便用户可以再次选择相同文件
+    event.target.value = '';
+    if (!file) {
+        return;
+    }
+
+    try {
+        importWizardState = await readImportSource(file);
+    } catch (error) {
+        showErrorModal('导入失败', '文件内容格式不正确，不是有效的备份文件！', 3000);
+        console.error('导入文件解析失败:', error);
+        return;
+    }
+    openImportWizard();
+}
+
+/**
+ * 将导入的数据应用到 localStorage。
+ * @param {object} data - 从JSON文件解析出的数据对象。
+ */
+function applyImportedData(data) {
+    // ⚠️ 警告：导入操作将完全覆盖现有数据。
+    // 如果需要合并数据而不是覆盖，则需要更复杂的逻辑。
+    // 目前，为简化和明确备份/恢复的意图，选择直接覆盖。
+    localStorage.clear(); // 清空所有现有数据
+
+    for (const key in data) {
+        if (data.hasOwnProperty(key)) {
+            // 将对象类型的数据重新JSON化存储，以保持数据一致性
+            const value = typeof data[key] === 'object' && data[key] !== null
+                ? JSON.stringify(data[key])
+                : String(data[key]);
+            localStorage.setItem(key, value);
+        }
+    }
+    // 聊天记录会在重新加载时由 ChatHistoryStore 迁移进 IndexedDB；文件中没有的也要清空
+    ChatHistoryStore.chatTypes.forEach(type => {
+        if (!(type in data)) localStorage.setItem(type, '{}');
+    });
+    console.log('数据已覆盖到 localStorage。');
+}
+
+// ========== 导入向导 (选择性合并导入) - 开始 ==========
+
+/**
+ * 可以单独选择导入的数据分类，按数组顺序导入（被引用的数据排在前面）
+ * kind: list - 带 id 的数组，按 id 合并；history - {联系人ID: [消息]}；
+ *       blobs - 完整备份中的图片/文件；other - 其余设置，按键覆盖
+ */
+const IMPORT_CATEGORIES = [
+    {key: 'masks', label: '面具', kind: 'list', storageKeys: ['phoneMasksData']},
+    {key: 'worldbook', label: '世界书', kind: 'list', storageKeys: ['phoneCategoriesData', 'phoneWorldbookData']},
+    {key: 'contacts', label: '联系人', kind: 'list', storageKeys: ['phoneContactsData', 'phoneLibraryOnlyContactsData']},
+    {key: 'sweetheartContacts', label: '密友', kind: 'list', storageKeys: ['phoneSweetheartContactsData']},
+    {key: 'worlds', label: '世界', kind: 'list', storageKeys: ['phoneWorldsData']},
+    {key: 'chats', label: '聊天记录', kind: 'history', storageKeys: ChatHistoryStore.chatTypes},
+    {key: 'knowledge', label: '知识库', kind: 'list', storageKeys: ['knowledgeBase']},
+    {key: 'ledger', label: '账本', kind: 'list', storageKeys: ['phoneLedgerData']},
+    {key: 'blobs', label: '图片与文件', kind: 'blobs', storageKeys: []},
+    {key: 'other', label: '其他设置', kind: 'other', storageKeys: []}
+];
+
+// 导入的数据里引用了其他数据的 id 的字段；「保留两者」改了 id 后要同步更新这些引用
+const IMPORT_ID_REFERENCES = {
+    phoneWorldbookData: [{field: 'category', idSpace: 'phoneCategoriesData'}],
+    phoneWorldsData: [
+        {field: 'worldbooks', idSpace: 'phoneWorldbookData'},
+        {field: 'contacts', idSpace: 'contacts'}
+    ],
+    phoneContactsData: [
+        {field: 'boundWorldbooks', idSpace: 'phoneWorldbookData'},
+        {field: 'boundMasks', idSpace: 'phoneMasksData'}
+    ],
+    phoneLibraryOnlyContactsData: [
+        {field: 'boundWorldbooks', idSpace: 'phoneWorldbookData'},
+        {field: 'boundMasks', idSpace: 'phoneMasksData'}
+    ],
+    phoneSweetheartContactsData: [
+        {field: 'boundWorldbooks', idSpace: 'phoneWorldbookData'},
+        {field: 'boundMasks', idSpace: 'phoneMasksData'}
+    ],
+    knowledgeBase: [{field: 'contactId', idSpace: 'contacts'}]
+};
+
+// 同一个角色可以同时是联系人和密友，这几个键共用一套 id
+const IMPORT_SHARED_ID_SPACES = {
+    phoneContactsData: 'contacts',
+    phoneLibraryOnlyContactsData: 'contacts',
+    phoneSweetheartContactsData: 'contacts'
+};
+
+// 「其他设置」里以联系人 id 为键的数据，按键合并并跟随「保留两者」时的新 id，而不是整体覆盖
+// 值为键的前缀列表：键 = 前缀 + 联系人ID，不匹配任何前缀的键原样合并
+const IMPORT_CONTACT_KEYED_DATA = {
+    sweetheartRelationship: [''],
+    sweetheartStatusHistory: [''],
+    phoneContactMemories: [''],
+    phoneProactiveData: [''],
+    phoneChatBranches: Object.keys(CHAT_VIEWS).map(chatType => `${chatType}_`),
+    phoneStatusSchemas: ['contact:']
+};
+
+// 不随导入覆盖的本机数据
+const IMPORT_EXCLUDED_KEYS = ['yetta_device_id', 'phoneContextUsage'];
+
+const IMPORT_CONFLICT_STRATEGIES = {
+    keepBoth: '保留两者',
+    overwrite: '覆盖现有',
+    skip: '跳过'
+};
+
+// 当前打开的导入向导：{file, isFullBackup, data: {存储键: 值}, blobCount}
+let importWizardState = null;
+
+/**
+ * 备份里的值可能是解析好的对象，也可能是原始字符串，统一尝试解析成对象
+ */
+function parseImportedValue(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * 读取备份文件内容（不写入任何数据）
+ * @param {File} file
+ * @returns {Promise<object>} importWizardState
+ */
+async function readImportSource(file) {
+    if (await isFullBackupFile(file)) {
+        const data = {};
+        let blobCount = 0;
+        await readBackupRecords(file, (record) => {
+            if (record.type === 'localStorage') {
+                data[record.key] = parseImportedValue(record.value);
+            } else if (record.type === 'chat') {
+                const histories = data[record.chatType] || (data[record.chatType] = {});
+                (histories[record.contactId] || (histories[record.contactId] = []))[record.index] = record.message;
+            } else if (record.type === 'blob') {
+                blobCount++; // 图片内容很大，这里只计数，导入时再读一遍
+            }
+        });
+        return {file, isFullBackup: true, data, blobCount};
+    }
+
+    const parsed = JSON.parse(await file.text());
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('文件内容不是备份数据');
+    }
+    const data = {};
+    Object.entries(parsed).forEach(([key, value]) => data[key] = parseImportedValue(value));
+    return {file, isFullBackup: false, data, blobCount: 0};
+}
+
+/**
+ * 读取本机已有的列表数据
+ */
+function readStoredImportList(key) {
+    try {
+        const list = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * 备份中不属于任何分类的键（归入「其他设置」）
+ */
+function getOtherImportKeys(data) {
+    const categorized = new Set(IMPORT_CATEGORIES.flatMap(category => category.storageKeys));
+    return Object.keys(data).filter(key => !categorized.has(key) && !ChatHistoryStore.isChatType(key) && !IMPORT_EXCLUDED_KEYS.includes(key));
+}
+
+/**
+ * 统计一个分类在备份中的数量，以及与现有数据冲突（id 相同）的数量
+ * @returns {{count: number, conflicts: number, unit: string}}
+ */
+function summarizeImportCategory(category, state) {
+    const data = state.data;
+    let count = 0;
+    let conflicts = 0;
+
+    if (category.kind === 'list') {
+        category.storageKeys.forEach(key => {
+            const incoming = Array.isArray(data[key]) ? data[key] : [];
+            const existingIds = new Set(readStoredImportList(key).map(item => String(item?.id)));
+            count += incoming.length;
+            conflicts += incoming.filter(item => item?.id !== undefined && existingIds.has(String(item.id))).length;
+        });
+        return {count, conflicts, unit: '项'};
+    }
+
+    if (category.kind === 'history') {
+        category.storageKeys.forEach(type => {
+            Object.entries(data[type] || {}).forEach(([contactId, messages]) => {
+                if (!Array.isArray(messages) || messages.length === 0) return;
+                count++;
+                if (ChatHistoryStore.count(type, contactId) > 0) conflicts++;
+            });
+        });
+        return {count, conflicts, unit: '个对话'};
+    }
+
+    if (category.kind === 'blobs') {
+        return {count: state.blobCount, conflicts: 0, unit: '个'};
+    }
+
+    const otherKeys = getOtherImportKeys(data);
+    return {
+        count: otherKeys.length,
+        conflicts: otherKeys.filter(key => localStorage.getItem(key) !== null).length,
+        unit: '项'
+    };
+}
+
+/**
+ * 打开导入向导，列出备份中各分类的数量和冲突
+ */
+function openImportWizard() {
+    const state = importWizardState;
+    const listEl = document.getElementById('importWizardList');
+    document.getElementById('importWizardFileName').textContent =
+        `${state.file.name}${state.isFullBackup ? '（完整备份）' : ''}`;
+
+    listEl.innerHTML = IMPORT_CATEGORIES.map(category => {
+        const {count, conflicts, unit} = summarizeImportCategory(category, state);
+        const isEmpty = count === 0;
+        // 「其他设置」会覆盖壁纸、API 配置等，默认不勾选
+        const checked = !isEmpty && category.kind !== 'other';
+        let desc = isEmpty ? '备份中没有此类数据' : `${count} ${unit}`;
+        if (conflicts > 0) {
+            desc += category.kind === 'other' ? `，其中 ${conflicts} 项会覆盖现有设置` : `，其中 ${conflicts} ${unit}与现有数据重复`;
+        }
+
+        // 只有按 id 合并的数据才需要选择冲突处理方式
+        const strategySelect = conflicts > 0 && category.kind !== 'other' && category.kind !== 'blobs'
+            ? `<select class="import-strategy-select" data-import-strategy="${category.key}">
+                   ${Object.entries(IMPORT_CONFLICT_STRATEGIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+               </select>`
+            : '';
+
+        return `
+            <div class="import-category-item ${isEmpty ? 'disabled' : ''}">
+                <label class="import-category-main">
+                    <input type="checkbox" data-import-category="${category.key}" ${checked ? 'checked' : ''} ${isEmpty ? 'disabled' : ''}>
+                    <div class="import-category-info">
+                        <div class="import-category-label">${category.label}</div>
+                        <div class="import-category-desc">${desc}</div>
+                    </div>
+                </label>
+                ${strategySelect}
+            </div>`;
+    }).join('');
+
+    document.getElementById('importWizardModal').classList.add('show');
+}
+
+/**
+ * 关闭导入向导
  */
-function applySweetheartChatAvatarsSetting(isEnabled) {
-    const sweetheartChatPage = document.getElementById('sweetheartChatPage');
-    if (sweetheartChatPage) {
-        if (isEnabled) {
-            sweetheartChatPage.classList.add('show-avatars');
-        } else {
-            sweetheartChatPage.classList.remove('show-avatars');
-        }
-    }
+function closeImportWizard() {
+    document.getElementById('importWizardModal').classList.remove('show');
+    importWizardState = null;
 }
 
-// ====== 新增：数据导入导出功能 ======
-
-// 在 script.js 中找到 exportAppData 函数并替换为：
-
 /**
- * 导出所有应用数据到 JSON 文件。
- * (已修改：导出全部完整数据，不再清理label)
+ * 生成一个新的 id（与原 id 类型保持一致）
  */
-function exportAppData() {
-    const appData = {};
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        try {
-            // 1. 获取原始数据的深拷贝
-            let value = JSON.parse(localStorage.getItem(key));
+function createImportedId(originalId) {
+    if (typeof originalId === 'number') return Date.now() + Math.floor(Math.random() * 100000);
+    return `${originalId}_imported_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`;
+}
 
-            // ▼▼▼ 修改：不再执行任何删除 label 的操作，直接保存原始数据 ▼▼▼
-            appData[key] = value;
+/**
+ * 把一条导入数据中对其他数据 id 的引用换成新 id
+ */
+function remapImportedReferences(key, item, idMaps) {
+    const references = IMPORT_ID_REFERENCES[key];
+    if (!references || !item || typeof item !== 'object') return item;
+    const remapped = {...item};
+    references.forEach(({field, idSpace}) => {
+        const idMap = idMaps[idSpace];
+        if (!idMap || remapped[field] === undefined) return;
+        const mapId = id => idMap[String(id)] !== undefined ? idMap[String(id)] : id;
+        remapped[field] = Array.isArray(remapped[field]) ? remapped[field].map(mapId) : mapId(remapped[field]);
+    });
+    return remapped;
+}
 
-        } catch (e) {
-            // 如果不是JSON格式，直接读取字符串
-            appData[key] = localStorage.getItem(key);
-        }
+/**
+ * 按键合并以联系人 id 为键的数据，联系人 id 换成「保留两者」时的新 id
+ * @param {string} key - localStorage 键
+ * @param {object} incoming - 备份中的对象
+ * @param {object} idMaps
+ */
+function importContactKeyedData(key, incoming, idMaps) {
+    if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) return;
+    const contactIdMap = idMaps.contacts || {};
+    let result;
+    try {
+        result = JSON.parse(localStorage.getItem(key) || '{}') || {};
+    } catch (e) {
+        result = {};
     }
 
-    const jsonString = JSON.stringify(appData, null, 2);
-    const blob = new Blob([jsonString], {type: 'application/json'});
-
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
+    Object.entries(incoming).forEach(([entryKey, value]) => {
+        const prefix = IMPORT_CONTACT_KEYED_DATA[key].find(candidate => entryKey.startsWith(candidate));
+        if (prefix === undefined) {
+            result[entryKey] = value;
+            return;
+        }
+        const contactId = entryKey.slice(prefix.length);
+        result[prefix + (contactIdMap[contactId] !== undefined ? contactIdMap[contactId] : contactId)] = value;
+    });
+    localStorage.setItem(key, JSON.stringify(result));
+}
+
+/**
+ * 按 id 把导入的列表合并进本机数据
+ * @param {string} key - localStorage 键
+ * @param {Array} incoming - 备份中的列表
+ * @param {string} strategy - keepBoth | overwrite | skip
+ * @param {object} idMaps - {id空间: {旧id: 新id}}，「保留两者」时记录改过的 id
+ * @returns {number} 实际导入的条数
+ */
+function importListData(key, incoming, strategy, idMaps) {
+    if (!Array.isArray(incoming) || incoming.length === 0) return 0;
+    const idSpace = IMPORT_SHARED_ID_SPACES[key] || key;
+    const idMap = idMaps[idSpace] || (idMaps[idSpace] = {});
+    const result = readStoredImportList(key);
+    const indexById = new Map(result.map((item, index) => [String(item?.id), index]));
+    let importedCount = 0;
+
+    incoming.forEach(original => {
+        let item = remapImportedReferences(key, original, idMaps);
+        // 同一 id 空间里已经换过 id 的（例如既是联系人又是密友），沿用新 id
+        if (item?.id !== undefined && idMap[String(item.id)] !== undefined) {
+            item = {...item, id: idMap[String(item.id)]};
+        }
 
-    const now = new Date();
-    const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-    const timeStr = now.toTimeString().slice(0, 8).replace(/:/g, '');
-    a.download = `yetta_full_backup_${dateStr}_${timeStr}.json`; // 文件名改为 full_backup
+        const existingIndex = item?.id !== undefined ? indexById.get(String(item.id)) : undefined;
+        if (existingIndex === undefined) {
+            result.push(item);
+        } else if (strategy === 'overwrite') {
+            result[existingIndex] = item;
+        } else if (strategy === 'keepBoth') {
+            const newId = createImportedId(item.id);
+            idMap[String(item.id)] = newId;
+            result.push({...item, id: newId});
+        } else {
+            return; // skip：保留本机数据
+        }
+        importedCount++;
+    });
 
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    localStorage.setItem(key, JSON.stringify(result));
+    return importedCount;
+}
+
+/**
+ * 合并聊天记录（包括对话分支的消息）：联系人 id 跟随「保留两者」时的新 id
+ * 冲突时 keepBoth 把现有记录里没有的消息（按时间、发送方和内容判断）接在后面，overwrite 替换，skip 保留现有
+ * @returns {Promise<number>} 导入的对话数
+ */
+async function importChatHistories(data, strategy, idMaps) {
+    const contactIdMap = idMaps.contacts || {};
+    let importedCount = 0;
+
+    for (const type of Object.keys(data).filter(key => ChatHistoryStore.isChatType(key))) {
+        const incoming = data[type];
+        if (!incoming || typeof incoming !== 'object') continue;
+        // 只加载要合并的联系人
+        const targetIds = Object.keys(incoming).map(contactId => contactIdMap[contactId] !== undefined ? contactIdMap[contactId] : contactId);
+        await Promise.all(targetIds.map(contactId => ChatHistoryStore.load(type, contactId)));
+        const histories = {};
+        targetIds.forEach(contactId => histories[contactId] = ChatHistoryStore.get(type, contactId));
+
+        Object.entries(incoming).forEach(([contactId, messages]) => {
+            if (!Array.isArray(messages) || messages.length === 0) return;
+            const targetId = contactIdMap[contactId] !== undefined ? contactIdMap[contactId] : contactId;
+            const existing = histories[targetId] || [];
+            if (existing.length === 0 || strategy === 'overwrite') {
+                histories[targetId] = messages;
+            } else if (strategy === 'keepBoth') {
+                // 同一份备份导入两次，或联系人 id 没变时，不重复追加同样的消息
+                const messageKey = message => `${message?.timestamp}\n${message?.sender}\n${message?.text}`;
+                const existingKeys = new Set(existing.map(messageKey));
+                const added = messages.filter(message => !existingKeys.has(messageKey(message)));
+                if (added.length === 0) return;
+                histories[targetId] = [...existing, ...added];
+            } else {
+                return;
+            }
+            // 分支的消息不单独计数
+            if (ChatHistoryStore.chatTypes.includes(type)) importedCount++;
+        });
 
-    showSuccessModal('导出成功', '全部原始数据已导出备份！');
+        await Promise.all(Object.entries(histories).map(([contactId, messages]) => ChatHistoryStore.set(type, contactId, messages)));
+    }
+    return importedCount;
 }
 
-
 /**
- * 触发隐藏的文件输入框，让用户选择导入文件。
+ * 从完整备份中逐条读取图片/文件并写回 ImageDB（id 是随机生成的，直接按 id 写入）
+ * @returns {Promise<number>}
  */
-function importAppData() {
-    document.getElementById('importFileInput').click();
+async function importBackupBlobs(file) {
+    let batch = [];
+    let importedCount = 0;
+    await readBackupRecords(file, async (record) => {
+        if (record.type !== 'blob') return;
+        batch.push({id: record.id, data: record.data});
+        importedCount++;
+        if (batch.length >= BACKUP_RESTORE_BATCH.blob) {
+            await ImageDB.putRecords(batch);
+            batch = [];
+        }
+    });
+    if (batch.length > 0) await ImageDB.putRecords(batch);
+    return importedCount;
 }
 
 /**
- * 处理文件导入，读取并解析用户选择的JSON文件。
- * @param {Event} event - 文件输入框的 change 事件对象。
+ * 按向导中的勾选导入数据
  */
-function handleFileImport(event) {
-    const file = event.target.files[0];
-    if (!file) {
-        return;
-    }
+async function applySelectedImport() {
+    const state = importWizardState;
+    if (!state) return;
 
-    if (file.type !== 'application/json') {
-        showErrorModal('导入失败', '请选择有效的JSON文件 (.json)！');
+    const selected = {};
+    document.querySelectorAll('#importWizardList [data-import-category]:checked').forEach(checkbox => {
+        const key = checkbox.dataset.importCategory;
+        const strategySelect = document.querySelector(`#importWizardList [data-import-strategy="${key}"]`);
+        selected[key] = strategySelect ? strategySelect.value : 'keepBoth';
+    });
+    if (Object.keys(selected).length === 0) {
+        showErrorModal('未选择数据', '请至少勾选一项要导入的数据');
         return;
     }
 
-    const reader = new FileReader();
+    const importBtn = document.getElementById('importWizardApplyBtn');
+    importBtn.disabled = true;
+    importBtn.textContent = '导入中...';
 
-    reader.onload = function (e) {
-        try {
-            const importedData = JSON.parse(e.target.result);
-            if (confirm('确定要导入此文件中的数据吗？现有数据将被文件内容覆盖，此操作不可撤销。')) {
-                applyImportedData(importedData);
-                showSuccessModal('导入成功', '数据已成功导入，应用将重新加载！', 2000);
-                // 延迟重新加载，给用户看到提示的时间
-                setTimeout(() => location.reload(), 2000);
+    try {
+        const idMaps = {};
+        const imported = [];
+        for (const category of IMPORT_CATEGORIES) {
+            const strategy = selected[category.key];
+            if (!strategy) continue;
+
+            let count = 0;
+            if (category.kind === 'list') {
+                category.storageKeys.forEach(key => count += importListData(key, state.data[key], strategy, idMaps));
+            } else if (category.kind === 'history') {
+                count = await importChatHistories(state.data, strategy, idMaps);
+            } else if (category.kind === 'blobs') {
+                count = await importBackupBlobs(state.file);
+            } else {
+                getOtherImportKeys(state.data).forEach(key => {
+                    const value = state.data[key];
+                    if (IMPORT_CONTACT_KEYED_DATA[key]) {
+                        importContactKeyedData(key, value, idMaps);
+                    } else {
+                        localStorage.setItem(key, typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+                    }
+                    count++;
+                });
             }
-        } catch (error) {
-            showErrorModal('导入失败', '文件内容格式不正确，不是有效的JSON！', 3000);
-            console.error('导入文件解析失败:', error);
-        } finally {
-            // 清空文件输入框，以便用户可以再次选择相同文件
-            event.target.value = '';
+            imported.push(`${category.label} ${count}`);
         }
-    };
-
-    reader.onerror = function () {
-        showErrorModal('导入失败', '无法读取文件。', 3000);
-        console.error('文件读取失败:', reader.error);
-    };
 
-    reader.readAsText(file);
+        document.getElementById('importWizardModal').classList.remove('show');
+        importWizardState = null;
+        showSuccessModal('导入成功', `已导入：${imported.join('、')}，应用将重新加载！`, 2000);
+        setTimeout(() => location.reload(), 2000);
+    } catch (error) {
+        console.error('导入失败:', error);
+        showErrorModal('导入失败', error.message || '写入数据时出错', 3000);
+        importBtn.disabled = false;
+        importBtn.textContent = '导入所选';
+    }
 }
 
 /**
- * 将导入的数据应用到 localStorage。
- * @param {object} data - 从JSON文件解析出的数据对象。
+ * 完整恢复：清空本机数据，用备份文件的内容整体覆盖
  */
-function applyImportedData(data) {
-    // ⚠️ 警告：导入操作将完全覆盖现有数据。
-    // 如果需要合并数据而不是覆盖，则需要更复杂的逻辑。
-    // 目前，为简化和明确备份/恢复的意图，选择直接覆盖。
-    localStorage.clear(); // 清空所有现有数据
+async function applyFullRestore() {
+    const state = importWizardState;
+    if (!state) return;
+    if (!confirm('完整恢复会清空本机所有数据，用备份文件的内容整体覆盖，此操作不可撤销。确定继续吗？')) return;
 
-    for (const key in data) {
-        if (data.hasOwnProperty(key)) {
-            // 将对象类型的数据重新JSON化存储，以保持数据一致性
-            const value = typeof data[key] === 'object' && data[key] !== null
-                ? JSON.stringify(data[key])
-                : String(data[key]);
-            localStorage.setItem(key, value);
+    document.getElementById('importWizardModal').classList.remove('show');
+    importWizardState = null;
+    try {
+        if (state.isFullBackup) {
+            showSuccessModal('正在导入', '正在恢复数据，请不要关闭页面...', 2000);
+            const counts = await restoreFullBackup(state.file);
+            showSuccessModal('导入成功', `已恢复 ${counts.chat || 0} 条消息、${counts.blob || 0} 个图片/文件，应用将重新加载！`, 2000);
+        } else {
+            applyImportedData(state.data);
+            showSuccessModal('导入成功', '数据已成功导入，应用将重新加载！', 2000);
         }
+        // 延迟重新加载，给用户看到提示的时间
+        setTimeout(() => location.reload(), 2000);
+    } catch (error) {
+        console.error('恢复备份失败:', error);
+        showErrorModal('导入失败', `备份文件已损坏或不完整：${error.message}`, 4000);
     }
-    console.log('数据已覆盖到 localStorage。');
 }
 
+// ========== 导入向导 (选择性合并导入) - 结束 ==========
+
 /* =========================================
    📚 小说阅读器核心功能模块 (章节划分版)
    ========================================= */
@@ -13201,8 +20351,9 @@ async function handleNovelFileSelect(event) {
     const file = event.target.files[0];
     if (!file) return;
 
-    if (!file.name.toLowerCase().endsWith('.txt')) {
-        showSuccessModal('格式错误', '目前仅支持 .txt 格式的小说');
+    const isEpub = file.name.toLowerCase().endsWith('.epub');
+    if (!isEpub && !file.name.toLowerCase().endsWith('.txt')) {
+        showSuccessModal('格式错误', '目前支持 .txt 和 .epub 格式的小说');
         event.target.value = '';
         return;
     }
@@ -13221,6 +20372,19 @@ async function handleNovelFileSelect(event) {
     };
 
     try {
+        // EPUB：导入时按目录分好章，连同格式一起存入 IndexedDB
+        if (isEpub) {
+            const epub = await parseEpub(file);
+            const contentId = await ImageDB.saveText(JSON.stringify({chapters: epub.chapters}));
+            addNovelToShelf({
+                title: epub.title || file.name.replace(/\.epub$/i, ''),
+                contentId,
+                format: 'epub',
+                coverId: epub.coverId
+            });
+            return;
+        }
+
         // 1. 尝试用默认的 UTF-8 读取
         let textContent = await readFileText(file, 'UTF-8');
 
@@ -13234,36 +20398,42 @@ async function handleNovelFileSelect(event) {
 
         // 3. 继续原有的保存逻辑
         const contentId = await ImageDB.saveText(textContent);
-
-        const newBook = {
-            id: 'BOOK_' + Date.now(),
-            title: file.name.replace('.txt', ''),
-            contentId: contentId,
-            currentChapterIndex: 0,
-            currentScrollPos: 0,
-            addedAt: Date.now(),
-            themeColorIndex: Math.floor(Math.random() * 5),
-            isAnalyzed: false,
-            aiAnalysis: null
-        };
-
-        novelsLibrary.unshift(newBook);
-        saveNovelLibrary();
-        renderNovelShelf();
-
-        console.log(`✅ 书籍《${newBook.title}》导入成功，开始后台分析...`);
-
-        // 🔥 立即触发后台智能分析 🔥
-        analyzeNovelStructure(newBook.id);
+        addNovelToShelf({title: file.name.replace('.txt', ''), contentId, format: 'txt'});
 
     } catch (err) {
         console.error('书籍导入错误:', err);
-        showErrorModal('导入失败', '文件读取出错，请检查文件是否损坏。');
+        showErrorModal('导入失败', isEpub ? `EPUB 解析失败：${err.message}` : '文件读取出错，请检查文件是否损坏。');
     } finally {
         event.target.value = ''; // 清空 input，允许重复上传同名文件
     }
 }
 
+/**
+ * 把导入好的书放上书架，并开始后台分析
+ * @param {{title: string, contentId: string, format: string, coverId?: string}} info
+ */
+function addNovelToShelf(info) {
+    const newBook = {
+        id: 'BOOK_' + Date.now(),
+        ...info,
+        currentChapterIndex: 0,
+        currentScrollPos: 0,
+        addedAt: Date.now(),
+        themeColorIndex: Math.floor(Math.random() * 5),
+        isAnalyzed: false,
+        aiAnalysis: null
+    };
+
+    novelsLibrary.unshift(newBook);
+    saveNovelLibrary();
+    renderNovelShelf();
+
+    console.log(`✅ 书籍《${newBook.title}》导入成功，开始后台分析...`);
+
+    // 🔥 立即触发后台智能分析 🔥
+    analyzeNovelStructure(newBook.id);
+}
+
 
 // 5. 渲染书架 (保持不变)
 function renderNovelShelf() {
@@ -13271,7 +20441,7 @@ function renderNovelShelf() {
     container.innerHTML = '';
 
     if (novelsLibrary.length === 0) {
-        container.innerHTML = '<div style="grid-column: 1/-1; text-align: center; color: #999; margin-top: 60px;">书架空空如也<br>点击右上角 + 导入 TXT 小说</div>';
+        container.innerHTML = '<div style="grid-column: 1/-1; text-align: center; color: #999; margin-top: 60px;">书架空空如也<br>点击右上角 + 导入 TXT / EPUB 小说</div>';
         return;
     }
 
@@ -13288,24 +20458,57 @@ function renderNovelShelf() {
         item.className = 'book-item';
         const bgStyle = gradients[book.themeColorIndex % gradients.length];
 
+        // EPUB 自带封面时显示封面图
+        const coverContent = book.coverId
+            ? `<img class="book-cover-image" src="db-image://${book.coverId}" data-loading="true" alt="">`
+            : `<div class="book-title-preview">${escapeHTML(book.title)}</div>`;
+
         item.innerHTML = `
-            <div class="book-cover" style="background: ${bgStyle}" onclick="openBookReader('${book.id}')">
-                <div class="book-title-preview">${escapeHTML(book.title)}</div>
+            <div class="book-cover${book.coverId ? ' has-image' : ''}" style="background: ${bgStyle}" onclick="openBookReader('${book.id}')">
+                ${coverContent}
             </div>
             <div class="book-name-label">${escapeHTML(book.title)}</div>
             <div class="book-delete-hint" onclick="deleteBook('${book.id}', event)">删除</div>
         `;
         container.appendChild(item);
+        if (book.coverId) loadRealImage(item.querySelector('.book-cover-image'));
     });
 }
 
 // 6. 删除书籍
-function deleteBook(bookId, event) {
+async function deleteBook(bookId, event) {
     if (event) event.stopPropagation();
     if (!confirm('确定要将这本书移出书架吗？')) return;
+    const book = novelsLibrary.find(b => b.id === bookId);
     novelsLibrary = novelsLibrary.filter(b => b.id !== bookId);
     saveNovelLibrary();
     renderNovelShelf();
+
+    // 同时删除这本书在 ImageDB 里的正文、封面和插图
+    if (book) {
+        try {
+            await ImageDB.delete(await getBookImageDbIds(book));
+        } catch (e) {
+            console.warn('清理书籍数据失败:', e);
+        }
+    }
+}
+
+/**
+ * 书籍在 ImageDB 里的所有记录 id：正文、封面，EPUB 还有章节里的插图
+ * @param {object} book
+ * @returns {Promise<string[]>}
+ */
+async function getBookImageDbIds(book) {
+    const ids = [book.contentId, book.coverId].filter(Boolean);
+    if (book.format === 'epub' && book.contentId) {
+        const text = await ImageDB.getText(book.contentId);
+        const chapters = text ? JSON.parse(text).chapters || [] : [];
+        chapters.forEach(chapter => (chapter.blocks || []).forEach(block => {
+            if (block.type === 'img' && block.imageId) ids.push(block.imageId);
+        }));
+    }
+    return [...new Set(ids)];
 }
 
 /**
@@ -13385,6 +20588,273 @@ function parseTxtToChapters(fullText) {
     return chapters;
 }
 
+// ========== EPUB 导入 - 开始 ==========
+
+// 按段落处理的块级标签，其余标签的文字并入所在段落
+const EPUB_BLOCK_TAGS = new Set(['p', 'div', 'li', 'blockquote', 'section', 'article', 'body', 'tr', 'dd', 'dt', 'figure', 'figcaption', 'pre', 'aside']);
+const EPUB_INLINE_STYLES = {em: 'em', i: 'em', cite: 'em', strong: 'strong', b: 'strong'};
+
+/**
+ * 读取 zip 文件的目录（EPUB 就是 zip），条目在读取时才解压
+ * 压缩条目用浏览器自带的 DecompressionStream 解压
+ * @param {ArrayBuffer} buffer
+ * @returns {{has: Function, readText: Function, readBlob: Function}}
+ */
+function openZipArchive(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder('utf-8');
+
+    // 从文件末尾往前找「中央目录结束」记录（后面最多跟 65535 字节的注释）
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('不是有效的 EPUB 文件');
+
+    const entries = new Map();
+    let offset = view.getUint32(eocd + 16, true);
+    const count = view.getUint16(eocd + 10, true);
+    for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    const readBytes = async name => {
+        const entry = entries.get(name);
+        if (!entry) throw new Error(`EPUB 中缺少文件：${name}`);
+        const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error('不支持的压缩格式');
+        if (typeof DecompressionStream === 'undefined') throw new Error('当前浏览器不支持解压 EPUB，请更新浏览器后重试');
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    };
+
+    return {
+        has: name => entries.has(name),
+        readText: async name => decoder.decode(await readBytes(name)),
+        readBlob: async (name, type) => new Blob([await readBytes(name)], {type})
+    };
+}
+
+/**
+ * 把 EPUB 内的相对路径解析成 zip 里的完整路径（去掉 #锚点）
+ * @param {string} basePath - 引用它的文件的路径
+ * @param {string} href
+ * @returns {string}
+ */
+function resolveEpubPath(basePath, href) {
+    const parts = basePath.split('/').slice(0, -1);
+    decodeURIComponent(href.split('#')[0]).split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+/**
+ * 解析 EPUB 里的 XHTML；不规范的文件按普通 HTML 重新解析
+ * @param {string} text
+ * @returns {Document}
+ */
+function parseEpubXhtml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xhtml+xml');
+    return doc.getElementsByTagName('parsererror').length > 0 ? new DOMParser().parseFromString(text, 'text/html') : doc;
+}
+
+/**
+ * 读取目录：优先 EPUB3 的 nav 文档，没有时用 EPUB2 的 NCX
+ * @returns {Promise<Map<string, string>>} 章节文件路径 → 目录里的标题（同一文件取第一个）
+ */
+async function readEpubToc(zip, manifest, spineTocId) {
+    const toc = new Map();
+    const addEntry = (path, title) => {
+        if (title && !toc.has(path)) toc.set(path, title.replace(/\s+/g, ' ').trim());
+    };
+
+    const navItem = [...manifest.values()].find(item => item.properties.includes('nav'));
+    if (navItem) {
+        const navDoc = parseEpubXhtml(await zip.readText(navItem.path));
+        const navs = [...navDoc.getElementsByTagName('nav')];
+        const tocNav = navs.find(nav => nav.getAttribute('epub:type') === 'toc') || navs[0];
+        if (tocNav) {
+            [...tocNav.getElementsByTagName('a')].forEach(link => {
+                if (link.getAttribute('href')) addEntry(resolveEpubPath(navItem.path, link.getAttribute('href')), link.textContent);
+            });
+            if (toc.size > 0) return toc;
+        }
+    }
+
+    const ncxItem = manifest.get(spineTocId) || [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+    if (ncxItem) {
+        const ncxDoc = new DOMParser().parseFromString(await zip.readText(ncxItem.path), 'application/xml');
+        [...ncxDoc.getElementsByTagName('navPoint')].forEach(point => {
+            const label = point.getElementsByTagName('text')[0];
+            const content = point.getElementsByTagName('content')[0];
+            if (label && content) addEntry(resolveEpubPath(ncxItem.path, content.getAttribute('src') || ''), label.textContent);
+        });
+    }
+    return toc;
+}
+
+/**
+ * 章节文档 → 段落块，保留标题、段落和加粗/斜体；图片存入 ImageDB
+ * @param {Document} doc
+ * @param {string} docPath
+ * @param {Function} saveImage - (zip 内路径) => Promise<ImageDB 的 id 或 null>
+ * @returns {Promise<Array<{type: 'h'|'p'|'img', html?: string, text?: string, imageId?: string}>>}
+ */
+async function convertEpubDocument(doc, docPath, saveImage) {
+    const blocks = [];
+    let html = '';
+    let text = '';
+    const flush = (type = 'p') => {
+        const plain = text.replace(/[ \t\r\f]+/g, ' ').replace(/ *\n */g, '\n').trim();
+        if (plain) blocks.push({type, html: html.trim(), text: plain});
+        html = '';
+        text = '';
+    };
+
+    const walk = async node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const value = node.nodeValue.replace(/\s+/g, ' ');
+            text += value;
+            html += escapeHTML(value);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.localName.toLowerCase();
+        if (tag === 'script' || tag === 'style' || tag === 'head') return;
+        if (tag === 'img' || tag === 'image') {
+            const src = node.getAttribute('src') || node.getAttribute('href') || node.getAttribute('xlink:href');
+            const imageId = src ? await saveImage(resolveEpubPath(docPath, src)) : null;
+            if (imageId) {
+                flush();
+                blocks.push({type: 'img', imageId});
+            }
+            return;
+        }
+        if (tag === 'br') {
+            text += '\n';
+            html += '<br>';
+            return;
+        }
+
+        const heading = /^h[1-6]$/.test(tag);
+        const block = heading || EPUB_BLOCK_TAGS.has(tag);
+        const style = EPUB_INLINE_STYLES[tag];
+        if (block) flush();
+        if (style) html += `<${style}>`;
+        for (const child of [...node.childNodes]) await walk(child);
+        if (style) html += `</${style}>`;
+        if (block) flush(heading ? 'h' : 'p');
+    };
+
+    await walk(doc.body || doc.documentElement);
+    flush();
+    return blocks;
+}
+
+/**
+ * 解析 EPUB：按 OPF 的 spine 顺序读取正文，用目录（nav/NCX）划分章节
+ * 不在目录里的文件（如一章拆成的多个文件）并入上一章
+ * @param {File} file
+ * @returns {Promise<{title: string, chapters: Array<{title, content, blocks}>, coverId: string|null}>}
+ */
+async function parseEpub(file) {
+    const zip = openZipArchive(await file.arrayBuffer());
+
+    const containerDoc = new DOMParser().parseFromString(await zip.readText('META-INF/container.xml'), 'application/xml');
+    const opfPath = containerDoc.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+    if (!opfPath) throw new Error('找不到书籍信息（OPF）');
+    const opf = new DOMParser().parseFromString(await zip.readText(opfPath), 'application/xml');
+
+    const manifest = new Map();
+    [...opf.getElementsByTagName('item')].forEach(item => manifest.set(item.getAttribute('id'), {
+        path: resolveEpubPath(opfPath, item.getAttribute('href') || ''),
+        mediaType: item.getAttribute('media-type') || '',
+        properties: (item.getAttribute('properties') || '').split(/\s+/)
+    }));
+    const spine = opf.getElementsByTagName('spine')[0];
+    const toc = await readEpubToc(zip, manifest, spine?.getAttribute('toc'));
+
+    // 同一张图片只存一次
+    const savedImages = new Map();
+    const saveImage = async path => {
+        if (!savedImages.has(path)) {
+            savedImages.set(path, zip.has(path)
+                ? zip.readBlob(path, [...manifest.values()].find(item => item.path === path)?.mediaType || 'image/jpeg')
+                    .then(blob => ImageDB.save(blob))
+                    .catch(e => {
+                        console.warn('EPUB 图片保存失败:', path, e);
+                        return null;
+                    })
+                : Promise.resolve(null));
+        }
+        return savedImages.get(path);
+    };
+
+    const chapters = [];
+    for (const itemref of [...(spine?.getElementsByTagName('itemref') || [])]) {
+        const item = manifest.get(itemref.getAttribute('idref'));
+        if (!item || !zip.has(item.path)) continue;
+
+        const doc = parseEpubXhtml(await zip.readText(item.path));
+        const blocks = await convertEpubDocument(doc, item.path, saveImage);
+        if (blocks.length === 0) continue;
+
+        const tocTitle = toc.get(item.path);
+        if (tocTitle || chapters.length === 0) {
+            const heading = blocks.find(b => b.type === 'h');
+            chapters.push({title: tocTitle || heading?.text || `第 ${chapters.length + 1} 部分`, blocks: []});
+        }
+        chapters[chapters.length - 1].blocks.push(...blocks);
+    }
+    if (chapters.length === 0) throw new Error('书中没有可阅读的正文');
+
+    // 阅读器的朗读、讨论、进度和 AI 分析都使用纯文本 content
+    chapters.forEach(chapter => {
+        chapter.content = chapter.blocks.filter(b => b.text).map(b => b.text).join('\n');
+    });
+
+    // 封面：EPUB3 的 cover-image，或 EPUB2 的 <meta name="cover">
+    const coverMetaId = [...opf.getElementsByTagName('meta')].find(meta => meta.getAttribute('name') === 'cover')?.getAttribute('content');
+    const coverItem = [...manifest.values()].find(item => item.properties.includes('cover-image')) ||
+        (coverMetaId && manifest.get(coverMetaId));
+    const coverId = coverItem && coverItem.mediaType.startsWith('image/') ? await saveImage(coverItem.path) : null;
+
+    const title = opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'title')[0]?.textContent.trim();
+    return {title, chapters, coverId};
+}
+
+/**
+ * 读取书籍的章节：EPUB 在导入时已经分好章，TXT 打开时再分章
+ * @param {object} book
+ * @returns {Promise<{chapters: Array, fullText: string}>}
+ */
+async function loadBookContent(book) {
+    const text = await ImageDB.getText(book.contentId);
+    if (!text) throw new Error("书籍内容为空或读取失败");
+    if (book.format === 'epub') {
+        const {chapters} = JSON.parse(text);
+        return {chapters, fullText: chapters.map(chapter => chapter.content).join('\n\n')};
+    }
+    return {chapters: parseTxtToChapters(text), fullText: text};
+}
+
+// ========== EPUB 导入 - 结束 ==========
+
 /**
  * 7. 打开阅读器 (UI防卡死 + 错误处理)
  */
@@ -13421,16 +20891,9 @@ async function openBookReader(bookId) {
     // 这让浏览器有时间先把上面的 "正在解析" 动画渲染出来，避免点击后界面直接冻结
     setTimeout(async () => {
         try {
-            // 从数据库获取全文
-            const text = await ImageDB.getText(book.contentId);
-
-            if (!text) {
-                throw new Error("书籍内容为空或读取失败");
-            }
-
-            // 执行解析（可能耗时）
+            // 从数据库获取全文并分章（可能耗时）
             // 此时用户已经看到了加载动画，等待感会好很多
-            currentChapters = parseTxtToChapters(text);
+            currentChapters = (await loadBookContent(book)).chapters;
 
             // 恢复上次阅读进度
             currentChapterIndex = book.currentChapterIndex || 0;
@@ -13482,7 +20945,12 @@ function renderCurrentChapter(initialScroll = 0) {
     setTimeout(() => {
         let paragraphs = chapter.content.split(/\n+/);
         let titleInContent = chapter.title === '正文' ? (book ? book.title : chapter.title) : chapter.title;
-        let htmlBuffer = `<div class="chapter-title-in-text" style="font-size:24px; font-weight:bold; margin-bottom:20px; text-align:center;">${titleInContent}</div>`;
+        let htmlBuffer = `<div class="chapter-title-in-text" style="font-size:24px; font-weight:bold; margin-bottom:20px; text-align:center;">${escapeHTML(titleInContent)}</div>`;
+        // EPUB 章节带有格式信息，按块渲染
+        if (chapter.blocks) {
+            htmlBuffer += renderEpubBlocks(chapter);
+            paragraphs = [];
+        }
         paragraphs.forEach(p => {
             p = p.trim();
             if (p) {
@@ -13504,6 +20972,7 @@ function renderCurrentChapter(initialScroll = 0) {
             htmlBuffer += `<div style="text-align:center; padding: 20vh 0; color:#999; font-size:12px;">- 全书完 -</div>`;
         }
         contentBox.innerHTML = htmlBuffer;
+        contentBox.querySelectorAll('img[src^="db-image://"]').forEach(loadRealImage);
         // 重新应用 CSS Columns 布局
         const screenEl = document.querySelector('.screen');
         const exactScreenWidth = screenEl.getBoundingClientRect().width;
@@ -13525,6 +20994,27 @@ function renderCurrentChapter(initialScroll = 0) {
     }, 50);
 }
 
+/**
+ * EPUB 章节的正文：标题、带格式的段落和插图；段落同样可以发起剧情讨论
+ * 与章节名相同的开头标题不再重复显示
+ * @param {{title: string, blocks: Array}} chapter
+ * @returns {string}
+ */
+function renderEpubBlocks(chapter) {
+    return chapter.blocks.map((block, index) => {
+        if (block.type === 'img') {
+            return `<div class="epub-image"><img src="db-image://${block.imageId}" data-loading="true" alt=""></div>`;
+        }
+        if (block.type === 'h') {
+            return index === 0 && block.text === chapter.title ? '' : `<h3 class="epub-heading">${block.html}</h3>`;
+        }
+        const btnHtml = block.text.length > 5
+            ? `<span class="discuss-btn" onclick="startPlotDiscussion(event, this)">💬</span>`
+            : '';
+        return `<p data-text="${escapeHTML(block.text).replace(/"/g, '&quot;')}">${block.html}${btnHtml}</p>`;
+    }).join('');
+}
+
 function closeNovelReader() {
     // ▼▼▼ 新增这行 ▼▼▼
     stopNovelTts();
@@ -14089,16 +21579,15 @@ async function analyzeNovelStructure(bookId) {
     if (!book) return;
 
     // 1. 读取全文
+    // 2. ✨ 关键修改：使用和阅读器完全一致的分章逻辑（EPUB 直接使用目录分好的章节）
+    // 这样能确保分析出来的 "第X章/部分" 和用户看到的是一一对应的
     let fullText = "";
+    let chapters = [];
     try {
-        fullText = await ImageDB.getText(book.contentId);
+        ({fullText, chapters} = await loadBookContent(book));
     } catch (e) {
         return;
     }
-
-    // 2. ✨ 关键修改：使用和阅读器完全一致的分章逻辑
-    // 这样能确保分析出来的 "第X章/部分" 和用户看到的是一一对应的
-    const chapters = parseTxtToChapters(fullText);
     if (chapters.length === 0) return;
 
     // 3. 抽取摘要 (书名 + 简介 + 目录骨架)
@@ -14145,7 +21634,7 @@ ${chapterOutline}
     // 5. 调用 AI 分析 (保持原有逻辑)
     try {
         const messages = [{role: 'user', content: analysisPrompt}];
-        const result = await callApi(messages);
+        const result = await callApi(messages, [], {}, false, {notifyRetry: true});
 
         if (result.success) {
             let analysisData = null;
@@ -14212,9 +21701,8 @@ async function initiateDiscussChat(contact) {
     modal.classList.add('show');
     // === 加载历史记录 (最近30条) ===
     const storageKey = isSweetheart ? 'phoneSweetheartChatHistory' : 'phoneChatHistory';
-    const allHistory = JSON.parse(localStorage.getItem(storageKey) || '{}');
-    const myHistory = allHistory[contactId] || [];
-    myHistory.slice(-30).forEach(msg => {
+    await ChatHistoryStore.load(storageKey, contactId);
+    ChatHistoryStore.view(storageKey, contactId).slice(-30).forEach(msg => {
         appendDiscussBubble(msg); // 渲染历史气泡
     });
     // === 发送当前的“剧情引用”消息 ===
@@ -14292,6 +21780,8 @@ async function triggerDiscussAI(userMsgObj, isSweetheart, isInit = false) {
 
     // --- 构建 Prompt Payload ---
     const messagesPayload = [];
+    // 世界书关键词匹配范围：用户这条消息 + 正在阅读的内容
+    const worldbookScanTexts = [userMsgObj.text];
 
     // 1. 基础系统指令
     messagesPayload.push({role: "system", content: AI_REALCHAT_SYSTEM_PROMPT});
@@ -14329,6 +21819,7 @@ async function triggerDiscussAI(userMsgObj, isSweetheart, isInit = false) {
         } else {
             contentToSend = contentText;
         }
+        worldbookScanTexts.unshift(contentToSend);
 
         const currentReadingPrompt = `
 [小说阅读实况数据]
@@ -14350,7 +21841,7 @@ ${contentToSend}
 
     // 3. 注入世界书/世界设定/人设 (保持不变)
     // ... 世界书 ...
-    const worldbookContext = gatherWorldbookContext();
+    const worldbookContext = gatherWorldbookContext(worldbookScanTexts);
     if (worldbookContext) messagesPayload.push({role: "system", content: worldbookContext});
 
     // ... 世界设定 ...
@@ -14396,11 +21887,23 @@ ${contentToSend}
     messagesPayload.push({role: "user", content: finalUserText});
 
     // --- 发起请求 ---
+    const requestController = beginAbortableAiRequest('discuss', document.querySelector('#discussModal .discuss-send-btn'));
     try {
-        const result = await callApi(messagesPayload);
+        const result = await callApi(messagesPayload, [], {}, false, {signal: requestController.signal, notifyRetry: true});
         const el = document.getElementById(loadingId);
         if (el) el.remove();
 
+        // 被用户停止时，保留已经收到的部分内容
+        if (result.aborted) {
+            const partialText = trimIncompleteReplyTail(extractPartialReplyText(result.partialText));
+            if (!partialText) {
+                appendDiscussBubble('(已停止生成)', 'system');
+                return;
+            }
+            result.success = true;
+            result.message = partialText;
+        }
+
         if (result.success) {
             let rawReply = result.message;
             // 清洗
@@ -14432,6 +21935,8 @@ ${contentToSend}
         const el = document.getElementById(loadingId);
         if (el) el.remove();
         alert("网络请求出错");
+    } finally {
+        finishAbortableAiRequest('discuss', requestController);
     }
 }
 
@@ -14498,14 +22003,16 @@ async function handleDiscussSend(text, isInit) {
     const contextEntries = [];
     relevantWorldbookIds.forEach(id => {
         const entry = worldbookData.find(wb => wb.id === id);
-        if (entry && entry.content) {
-            contextEntries.push(`### ${entry.title}\n${entry.content}`);
+        if (entry && entry.content && isWorldbookEntryTriggered(entry, [text])) {
+            contextEntries.push(entry);
         }
     });
+    contextEntries.sort((a, b) => getWorldbookOrder(a) - getWorldbookOrder(b));
     if (contextEntries.length > 0) {
         messagesPayload.push({
             role: "system",
-            content: "[背景设定/世界观 (Bot必须遵守)]\n---\n" + contextEntries.join('\n\n') + "\n---"
+            content: "[背景设定/世界观 (Bot必须遵守)]\n---\n" +
+                contextEntries.map(entry => `### ${entry.title}\n${entry.content}`).join('\n\n') + "\n---"
         });
     }
 
@@ -14548,7 +22055,7 @@ async function handleDiscussSend(text, isInit) {
     // --- ⬆️⬆️⬆️ 构建结束 ⬆️⬆️⬆️ ---
 
     try {
-        const result = await callApi(messagesPayload);
+        const result = await callApi(messagesPayload, [], {}, false, {notifyRetry: true});
 
         const loadingEl = document.getElementById(loadingId);
         if (loadingEl) loadingEl.remove();
@@ -14934,6 +22441,7 @@ async function sendLedgerMessage() {
         // --- AI 智能模式 ---
         const loadingId = 'loading-' + Date.now();
         addLedgerBubble("🐱 正在分析你的这笔账...", 'ai', loadingId, false);
+        const requestController = beginAbortableAiRequest('ledger', document.querySelector('.ledger-send-btn'));
 
         try {
             // 🔥🔥🔥 核心：构建带人设的 Prompt 🔥🔥🔥
@@ -14959,28 +22467,26 @@ async function sendLedgerMessage() {
                 // 默认小猫人设
                 personaPrompt = `(Roleplay: 你是一只傲娇但会管家的记账小猫。请用可爱的语气点评这笔账单。)`;
             }
-            // --- 临时环境切换 (保持原有逻辑，确保SessionID正确) ---
-            const originalSweetheart = currentSweetheartChatContact;
-            const originalNormal = currentChatContact;
-            if (currentLedgerContact) {
-                currentSweetheartChatContact = currentLedgerContact;
-                currentChatContact = null;
-            } else {
-                currentSweetheartChatContact = { id: "LEDGER_CAT_DEFAULT", name: "记账小猫" };
-                currentChatContact = null;
-            }
+            // 会话归属于当前记账员（未选择时归属默认记账小猫），不再临时替换全局聊天对象
+            const ledgerSessionContact = currentLedgerContact || {id: "LEDGER_CAT_DEFAULT", name: "记账小猫"};
             // 3. 调用 API
             const messages = [
                 { role: "system", content: LEDGER_AI_PROMPT }, // 基础 JSON 规则
                 { role: "system", content: personaPrompt },    // 🔥 注入人设
                 { role: "user", content: text }
             ];
-            const result = await callApi(messages);
-            // 4. 🔥 还原全局对象 (这点非常重要，否则会乱套)
-            currentSweetheartChatContact = originalSweetheart;
-            currentChatContact = originalNormal;
-            // 🔥🔥🔥 劫持结束 🔥🔥🔥
+            const result = await callApi(messages, [], {}, false, {
+                contact: ledgerSessionContact,
+                signal: requestController.signal,
+                notifyRetry: true
+            });
             document.getElementById(loadingId)?.remove();
+            // 被用户停止时不入账，只保留已经收到的回复文字
+            if (result.aborted) {
+                const partialText = trimIncompleteReplyTail(extractPartialReplyText(result.partialText));
+                addLedgerBubble(partialText ? `${partialText}\n(已停止，本次未记账)` : '⏹️ 已停止，本次未记账', 'ai', null, true);
+                return;
+            }
             if (!result.success) {
                 addLedgerBubble(`❌ 请求失败：${result.message}`, 'ai', null, true);
                 return;
@@ -15074,13 +22580,11 @@ async function sendLedgerMessage() {
             });
             saveLedgerChatHistory();
         } catch (err) {
-            // 发生错误也要还原
-            if (typeof originalSweetheart !== 'undefined') currentSweetheartChatContact = originalSweetheart;
-            if (typeof originalNormal !== 'undefined') currentChatContact = originalNormal;
-
             document.getElementById(loadingId)?.remove();
             console.error(err);
             addLedgerBubble(`💥 程序出错: ${err.message}`, 'ai', null, true);
+        } finally {
+            finishAbortableAiRequest('ledger', requestController);
         }
 
     } else {
@@ -15266,7 +22770,7 @@ async function handleLedgerImage(event) {
 
         // --- 步骤 E: 调用 API (传入 fileInfos 数组) ---
         // 🔥 修复点：添加第二个参数 [fileInfo]
-        const result = await callApi(messages, [fileInfo]);
+        const result = await callApi(messages, [fileInfo], {}, false, {notifyRetry: true});
 
         // 移除 Loading
         document.getElementById(loadingId)?.remove();
@@ -15443,64 +22947,8 @@ function deleteLedgerItem(id) {
 
 
 function initializeApp() {
-    // ▼▼▼ 新增：监听 iframe 高度调整消息 ▼▼▼
-    window.addEventListener('message', function (event) {
-        // 安全检查：确保消息类型正确
-        if (event.data && event.data.type === 'iframe-resize') {
-            const newHeight = event.data.height;
-
-            // 在所有渲染的 iframe 中找到发送消息的那一个
-            const iframes = document.querySelectorAll('.render-iframe');
-            for (let iframe of iframes) {
-                // iframe.contentWindow 就是消息源 event.source
-                if (iframe.contentWindow === event.source) {
-                    // 加上一点缓冲像素(20px)，防止出现滚动条
-                    const finalHeight = (newHeight + 20) + 'px';
-
-                    // 设置 iframe 高度
-                    iframe.style.height = finalHeight;
-
-                    // 同时也设置父容器 bubble 的高度（如果 CSS 设置了 flex，这一步可能自动完成，但显式设置更保险）
-                    if (iframe.parentElement) {
-                        iframe.parentElement.style.height = finalHeight;
-                    }
-                    break; // 找到后退出循环
-                }
-            }
-        }
-    });
-    /* script.js 中的 initializeApp 函数内部 */
-
-    window.addEventListener('message', function (event) {
-        // 安全检查：确保消息类型正确
-        if (event.data && event.data.type === 'iframe-resize') {
-            let newHeight = event.data.height;
-
-            // 🔥 关键修复：设置一个理智的高度上限 (比如 600px)
-            // 防止 resize 循环导致的数值爆炸
-            if (newHeight > 600) {
-                newHeight = 600;
-            }
-
-            // 在所有渲染的 iframe 中找到发送消息的那一个
-            const iframes = document.querySelectorAll('.render-iframe');
-            for (let iframe of iframes) {
-                if (iframe.contentWindow === event.source) {
-                    // 加上一点缓冲像素(10px)
-                    const finalHeight = (newHeight + 10) + 'px';
-
-                    // 设置 iframe 高度
-                    iframe.style.height = finalHeight;
-
-                    // 同时也设置父容器 bubble 的高度
-                    if (iframe.parentElement) {
-                        iframe.parentElement.style.height = finalHeight;
-                    }
-                    break;
-                }
-            }
-        }
-    });
+    // 监听互动卡片 iframe 的高度调整消息
+    window.addEventListener('message', handleRenderFrameMessage);
 
     // ▼▼▼ 在这里粘贴全局错误处理代码 ▼▼▼
     window.addEventListener('error', (event) => {
@@ -15552,6 +23000,7 @@ function initializeApp() {
     applyChatStyle(localStorage.getItem('chatMessageStyle') || 'bubble');
     loadChatBackground();
     loadGlobalConfig();
+    loadApiProviderConfig();
     loadMasksData();
     updateChatModeButton();
     setupSummarizeButton();
@@ -15660,6 +23109,15 @@ function initializeApp() {
                 case 'quoteMessageBtn':
                     quoteMessage(contactId, messageIndex);
                     break;
+                case 'editMessageBtn':
+                    editChatMessage('normal', contactId, messageIndex);
+                    break;
+                case 'branchMessageBtn':
+                    branchFromMessage('normal', contactId, messageIndex);
+                    break;
+                case 'saveRenderMessageBtn':
+                    saveRenderToGallery('normal', contactId, messageIndex);
+                    break;
                 // ✅ 新增这个 case
                 case 'readAloudNormalBtn':
                     // 调用修改后的函数，传入必要参数
@@ -15709,11 +23167,20 @@ function initializeApp() {
                 case 'sweetheartQuoteMessageBtn':
                     quoteSweetheartMessage(contactId, messageIndex);
                     break;
+                case 'sweetheartEditMessageBtn':
+                    editChatMessage('sweetheart', contactId, messageIndex);
+                    break;
+                case 'sweetheartBranchMessageBtn':
+                    branchFromMessage('sweetheart', contactId, messageIndex);
+                    break;
+                case 'sweetheartSaveRenderMessageBtn':
+                    saveRenderToGallery('sweetheart', contactId, messageIndex);
+                    break;
                 // ✅ 新增这个 case
                 case 'readAloudSweetheartBtn':
                     // 调用修改后的函数，同样传入参数
                     playTtsMessage(
-                        JSON.parse(localStorage.getItem('phoneSweetheartChatHistory') || '{}')[contactId][messageIndex].sender,
+                        ChatHistoryStore.view('phoneSweetheartChatHistory', contactId)[messageIndex].sender,
                         contactId,
                         messageIndex,
                         true // isSweetheart = true
@@ -15797,12 +23264,16 @@ function initializeApp() {
 
     updateSweetheartChatInputAreaButtons();
 
+    // 密友主动消息：定时检查是否有密友该主动找用户聊天
+    startProactiveScheduler();
+
     console.log('%c🎉 应用初始化完成！', 'color: #667eea; font-size: 16px; font-weight: bold;');
     // 新增：加载小猫组件数据
 
 }
 
 
-initializeApp();
+// 先把聊天记录从 IndexedDB 读入内存，再初始化界面
+ChatHistoryStore.init().then(initializeApp);
 
 